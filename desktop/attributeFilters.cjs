@@ -0,0 +1,140 @@
+"use strict";
+
+// Mirrors src/components/attributeFilters.js so both backends read map filters alike.
+
+const ATTRIBUTE_FILTER_OPERATORS = new Set(["equals", "contains", "range", "empty"]);
+const MAX_ATTRIBUTE_FILTERS = 50;
+
+/**
+ * Keep complete attribute filters in a stable order. Incomplete entries, such
+ * as a text comparison without a value or a range without either bound, are
+ * dropped instead of matching everything or nothing.
+ */
+function normalizeAttributeFilters(value) {
+  if (!Array.isArray(value)) return [];
+  const filters = [];
+  for (const entry of value.slice(0, MAX_ATTRIBUTE_FILTERS)) {
+    const filter = normalizeAttributeFilter(entry);
+    if (filter) filters.push(filter);
+  }
+  return filters;
+}
+
+/**
+ * Build one WHERE clause per filter. `features` rows are tested against their
+ * own row_json; `geometry_features` rows look up the features row that
+ * supplies their details through the unique dataset/source-row index.
+ * Each clause only constrains its own dataset.
+ */
+function buildAttributeFilterClauses(filters, tableName = "features") {
+  const clauses = [];
+  const params = {};
+  const rowJson = tableName === "features" ? "row_json" : "filtered_features.row_json";
+
+  filters.forEach((filter, index) => {
+    const key = `attribute${index}`;
+    const text = `TRIM(COALESCE(CAST(json_extract(${rowJson}, @${key}Path) AS TEXT), ''))`;
+    params[`${key}Dataset`] = filter.datasetId;
+    params[`${key}Path`] = toJsonPath(filter.field);
+    const conditions = [];
+    if (filter.operator === "empty") {
+      conditions.push(`${text} = ''`);
+    } else if (filter.operator === "equals") {
+      conditions.push(`LOWER(${text}) = LOWER(@${key}Value)`);
+      params[`${key}Value`] = filter.value;
+    } else if (filter.operator === "contains") {
+      conditions.push(`INSTR(LOWER(${text}), LOWER(@${key}Value)) > 0`);
+      params[`${key}Value`] = filter.value;
+    } else {
+      const number = toNumericText(text);
+      // Non-numeric text would otherwise CAST to 0 and fall inside many ranges.
+      conditions.push(`${number} GLOB '*[0-9]*'`, `${number} NOT GLOB '*[^0-9.eE+-]*'`);
+      if (filter.min != null) {
+        conditions.push(`CAST(${number} AS REAL) >= @${key}Min`);
+        params[`${key}Min`] = filter.min;
+      }
+      if (filter.max != null) {
+        conditions.push(`CAST(${number} AS REAL) <= @${key}Max`);
+        params[`${key}Max`] = filter.max;
+      }
+    }
+
+    clauses.push(tableName === "features"
+      ? `(dataset_id <> @${key}Dataset OR (${conditions.join(" AND ")}))`
+      : `(
+        ${tableName}.dataset_id <> @${key}Dataset
+        OR EXISTS (
+          SELECT 1 FROM features AS filtered_features
+          WHERE filtered_features.dataset_id = ${tableName}.dataset_id
+            AND filtered_features.source_row_index = ${tableName}.source_row_index
+            AND ${conditions.join(" AND ")}
+        )
+      )`);
+  });
+
+  return { clauses, params };
+}
+
+/**
+ * Rewrite a trimmed value as SQLite numeric text, reading decimal commas and
+ * thousands separators like the browser backend's attribute filters do.
+ */
+function toNumericText(text) {
+  const compact = `REPLACE(${text}, ' ', '')`;
+  return `(SELECT CASE
+    WHEN INSTR(value, ',') = 0 THEN value
+    WHEN LENGTH(value) - LENGTH(REPLACE(value, ',', '')) > 1
+      OR INSTR(SUBSTR(value, INSTR(value, ',')), '.') > 0 THEN REPLACE(value, ',', '')
+    WHEN INSTR(value, '.') > 0 THEN REPLACE(REPLACE(value, '.', ''), ',', '.')
+    WHEN value GLOB '*[0-9],[0-9][0-9][0-9]' AND LTRIM(value, '+-') NOT GLOB '0*'
+      THEN REPLACE(value, ',', '')
+    ELSE REPLACE(value, ',', '.')
+  END FROM (SELECT ${compact} AS value))`;
+}
+
+function normalizeAttributeFilter(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return null;
+  const datasetId = normalizeNullableString(value.datasetId);
+  const field = typeof value.field === "string" && value.field.trim() ? value.field : null;
+  const operator = ATTRIBUTE_FILTER_OPERATORS.has(value.operator) ? value.operator : null;
+  if (!datasetId || !field || !operator) return null;
+
+  if (operator === "empty") return { datasetId, field, operator };
+  if (operator === "range") {
+    const min = normalizeNullableNumber(value.min);
+    const max = normalizeNullableNumber(value.max);
+    if (min == null && max == null) return null;
+    return {
+      datasetId,
+      field,
+      operator,
+      min: min != null && max != null ? Math.min(min, max) : min,
+      max: min != null && max != null ? Math.max(min, max) : max,
+    };
+  }
+  const text = normalizeNullableString(value.value);
+  return text ? { datasetId, field, operator, value: text } : null;
+}
+
+/** Quote the column name so dots, brackets, and quotes stay part of the key. */
+function toJsonPath(field) {
+  return `$."${field.replaceAll("\\", "\\\\").replaceAll("\"", "\\\"")}"`;
+}
+
+function normalizeNullableNumber(value) {
+  if (value == null) return null;
+  if (typeof value === "string" && !value.trim()) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function normalizeNullableString(value) {
+  if (typeof value !== "string") return null;
+  return value.trim() || null;
+}
+
+module.exports = {
+  buildAttributeFilterClauses,
+  normalizeAttributeFilters,
+  toJsonPath,
+};
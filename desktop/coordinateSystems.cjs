@@ -0,0 +1,194 @@
+"use strict";
+
+/*
+ * Coordinate reference systems for the desktop importer and zone edits.
+ *
+ * Mirrors src/components/coordinateSystems.js, which the main process cannot
+ * require: a dataset's latitude and longitude columns may use a built-in EPSG
+ * system or a custom proj4 string, and are reprojected to WGS 84 whenever map
+ * features are derived from them. A missing system means WGS 84 degrees.
+ */
+
+const proj4 = require("proj4");
+
+/** WGS 84 longitude/latitude, the system every map feature is stored in. */
+const WGS84 = "EPSG:4326";
+
+/**
+ * Built-in systems offered by the coordinate mapping. The latitude column
+ * holds the northing (y) and the longitude column the easting (x).
+ * `bounds` is the area each system is used for, in WGS 84 degrees.
+ */
+const COORDINATE_SYSTEMS = Object.freeze([
+  {
+    code: WGS84,
+    label: "WGS 84 (latitude/longitude)",
+    definition: null,
+    bounds: null,
+  },
+  {
+    code: "EPSG:3006",
+    label: "SWEREF 99 TM (Sweden)",
+    definition: "+proj=utm +zone=33 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+    bounds: { minLat: 54.9, maxLat: 69.1, minLon: 10.0, maxLon: 24.2 },
+  },
+  {
+    code: "EPSG:3021",
+    label: "RT90 2.5 gon V (Sweden)",
+    definition: "+proj=tmerc +lat_0=0 +lon_0=15.80827777777778 +k=1 +x_0=1500000 +y_0=0 "
+      + "+ellps=bessel +towgs84=414.1,41.3,603.1,-0.855,2.141,-7.023,0 +units=m +no_defs",
+    bounds: { minLat: 54.9, maxLat: 69.1, minLon: 10.0, maxLon: 24.2 },
+  },
+  {
+    code: "EPSG:27700",
+    label: "British National Grid (OSGB36)",
+    definition: "+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 "
+      + "+ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs",
+    bounds: { minLat: 49.7, maxLat: 61.0, minLon: -9.0, maxLon: 2.1 },
+  },
+  {
+    code: "EPSG:25832",
+    label: "ETRS89 / UTM zone 32N",
+    definition: "+proj=utm +zone=32 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+    bounds: null,
+  },
+  {
+    code: "EPSG:25833",
+    label: "ETRS89 / UTM zone 33N",
+    definition: "+proj=utm +zone=33 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+    bounds: null,
+  },
+  {
+    code: "EPSG:3857",
+    label: "Web Mercator",
+    definition: "+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 "
+      + "+units=m +nadgrids=@null +no_defs",
+    bounds: null,
+  },
+]);
+
+const MAX_CUSTOM_DEFINITION_LENGTH = 1000;
+const DETECTION_SHARE = 0.9;
+const BUILT_IN_SYSTEMS = new Map(COORDINATE_SYSTEMS.map((system) => [system.code, system]));
+
+/**
+ * Canonical form of a stored or submitted system: null for WGS 84 or an
+ * empty value, the upper-case code of a built-in system, or the trimmed
+ * custom proj4 string. Unknown codes and malformed strings return undefined.
+ *
+ * @param {unknown} value
+ * @returns {string|null|undefined}
+ */
+function normalizeCoordinateSystem(value) {
+  if (value == null) return null;
+  if (typeof value !== "string") return undefined;
+  const trimmed = value.trim();
+  if (!trimmed) return null;
+  const code = trimmed.toUpperCase();
+  if (code === WGS84) return null;
+  if (BUILT_IN_SYSTEMS.has(code)) return code;
+  if (!trimmed.startsWith("+proj=") || trimmed.length > MAX_CUSTOM_DEFINITION_LENGTH) {
+    return undefined;
+  }
+  try {
+    proj4(trimmed, "WGS84");
+    return trimmed;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Convert between a mapping's columns and WGS 84. `toWgs84` takes the
+ * latitude-column and longitude-column numbers and returns [lat, lon];
+ * `fromWgs84` does the reverse for values written back into source rows.
+ * Projected values are written to the millimetre. Failed conversions, and
+ * every conversion of an unsupported system, return NaN, which callers
+ * already treat as invalid coordinates.
+ *
+ * @param {unknown} coordinateSystem Stored or submitted coordinate system.
+ */
+function getCoordinateTransform(coordinateSystem) {
+  const normalized = normalizeCoordinateSystem(coordinateSystem);
+  if (normalized === null) {
+    return {
+      toWgs84: (latValue, lonValue) => [latValue, lonValue],
+      fromWgs84: (lat, lon) => [lat, lon],
+    };
+  }
+
+  let converter = null;
+  if (normalized !== undefined) {
+    try {
+      converter = proj4(BUILT_IN_SYSTEMS.get(normalized)?.definition ?? normalized, "WGS84");
+    } catch {
+      converter = null;
+    }
+  }
+  return {
+    toWgs84(northing, easting) {
+      if (!converter || !Number.isFinite(northing) || !Number.isFinite(easting)) return [NaN, NaN];
+      try {
+        const [lon, lat] = converter.forward([easting, northing]);
+        return [lat, lon];
+      } catch {
+        return [NaN, NaN];
+      }
+    },
+    fromWgs84(lat, lon) {
+      if (!converter || !Number.isFinite(lat) || !Number.isFinite(lon)) return [NaN, NaN];
+      try {
+        const [easting, northing] = converter.inverse([lon, lat]);
+        return [roundMillimetres(northing), roundMillimetres(easting)];
+      } catch {
+        return [NaN, NaN];
+      }
+    },
+  };
+}
+
+/**
+ * Guess the system of coordinate columns that are not WGS 84 degrees from
+ * sample [latitude-column, longitude-column] numbers. Only built-in systems
+ * with a known area of use are considered, and one is chosen only when nearly
+ * every sample lands inside that area.
+ *
+ * @param {Array<[number, number]>} samples
+ * @returns {string|null} Built-in code, or null to keep WGS 84.
+ */
+function detectCoordinateSystem(samples) {
+  const finite = (samples ?? []).filter(([latValue, lonValue]) => (
+    Number.isFinite(latValue) && Number.isFinite(lonValue)
+  ));
+  if (finite.length === 0) return null;
+  // Columns that mostly hold valid degrees stay WGS 84, even where a few
+  // small projected values would also fit some grid.
+  const projected = finite.filter(([latValue, lonValue]) => (
+    Math.abs(latValue) > 90 || Math.abs(lonValue) > 180
+  ));
+  if (projected.length < finite.length * DETECTION_SHARE) return null;
+
+  for (const system of COORDINATE_SYSTEMS) {
+    if (!system.definition || !system.bounds) continue;
+    const transform = getCoordinateTransform(system.code);
+    const inside = projected.filter(([latValue, lonValue]) => {
+      const [lat, lon] = transform.toWgs84(latValue, lonValue);
+      return lat >= system.bounds.minLat && lat <= system.bounds.maxLat
+        && lon >= system.bounds.minLon && lon <= system.bounds.maxLon;
+    });
+    if (inside.length >= projected.length * DETECTION_SHARE) return system.code;
+  }
+  return null;
+}
+
+function roundMillimetres(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  COORDINATE_SYSTEMS,
+  WGS84,
+  detectCoordinateSystem,
+  getCoordinateTransform,
+  normalizeCoordinateSystem,
+};
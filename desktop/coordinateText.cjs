@@ -0,0 +1,201 @@
+"use strict";
+
+/*
+ * Positions written into one CSV column, for the desktop importer and zone edits.
+ *
+ * Mirrors src/components/coordinateText.js, which the main process cannot
+ * require: a dataset may map a single column holding decimal or DMS pairs,
+ * WKT points, or Google Maps links instead of separate latitude and
+ * longitude columns. The pair patterns copy the go-to box parser in
+ * src/components/coordinateNavigation.js.
+ */
+
+const { parseWktGeometry } = require("./wktGeometry.cjs");
+
+const DECIMAL_NUMBER_SOURCE = String.raw`[+-]?(?:\d+(?:\.\d+)?|\.\d+)`;
+const DECIMAL_PAIR_PATTERN = new RegExp(
+  `^\\s*(${DECIMAL_NUMBER_SOURCE})\\s*[,;]\\s*(${DECIMAL_NUMBER_SOURCE})\\s*$`,
+);
+const DMS_PAIR_PATTERN = /^\s*(\d+)\s*°\s*(\d+)\s*['′]\s*(\d+(?:\.\d+)?)\s*["″]\s*([NS])\s+(\d+)\s*°\s*(\d+)\s*['′]\s*(\d+(?:\.\d+)?)\s*["″]\s*([EW])\s*$/i;
+
+/** Normalized header names that usually hold a whole position. */
+const COORDINATE_HEADER_KEYS = new Set([
+  "coordinates",
+  "coordinate",
+  "coords",
+  "coord",
+  "latlon",
+  "latlng",
+  "latlong",
+  "position",
+  "location",
+  "geolocation",
+  "gps",
+  "point",
+  "koordinater",
+  "googlemaps",
+  "mapslink",
+  "mapsurl",
+]);
+const DETECTION_SHARE = 0.9;
+const GOOGLE_MAPS_PLACE_PATTERN = /!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/;
+const GOOGLE_MAPS_VIEW_PATTERN = /@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/;
+const GOOGLE_MAPS_QUERY_PARAMS = ["q", "query", "ll", "center", "destination"];
+const GOOGLE_MAPS_QUERY_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+/**
+ * Read one cell as [latitude-value, longitude-value] numbers, or null when it
+ * holds no recognized position. Decimal pairs are not range checked, so
+ * projected northing/easting pairs pass through to the coordinate system.
+ *
+ * @param {unknown} value Raw CSV cell.
+ * @returns {[number, number]|null}
+ */
+function parseCoordinateText(value) {
+  if (typeof value === "number" || value == null) return null;
+  const text = String(value).trim();
+  if (!text || /[\r\n]/.test(text)) return null;
+
+  const decimal = DECIMAL_PAIR_PATTERN.exec(text);
+  if (decimal) return [Number(decimal[1]), Number(decimal[2])];
+
+  const dms = parseDmsPair(text);
+  if (dms) return dms;
+
+  const wkt = parseWktGeometry(text);
+  if (wkt) return wkt.featureType === "point" ? wkt.parts[0][0] : null;
+
+  return parseGoogleMapsUrl(text);
+}
+
+/**
+ * Write a position into a coordinate cell. WKT cells stay WKT points; every
+ * other form, including DMS text and links, becomes a decimal pair.
+ */
+function formatCoordinateText(original, latValue, lonValue) {
+  if (parseWktGeometry(original)?.featureType === "point") {
+    return `POINT (${lonValue} ${latValue})`;
+  }
+  return `${latValue}, ${lonValue}`;
+}
+
+/**
+ * Read the mapped position of one source row, from the single coordinate
+ * column when the mapping names one and otherwise from the latitude and
+ * longitude columns. Unusable values come back as NaN.
+ */
+function readMappedCoordinates(row, { latField, lonField, coordinateField }) {
+  if (coordinateField) return parseCoordinateText(row?.[coordinateField]) ?? [NaN, NaN];
+  return [parseFlexibleFloat(row?.[latField]), parseFlexibleFloat(row?.[lonField])];
+}
+
+/** Whether a mapping names enough columns to locate rows. */
+function hasMappedCoordinates(mapping) {
+  return !!(mapping?.coordinateField || (mapping?.latField && mapping?.lonField));
+}
+
+/**
+ * Pick a single coordinate column for a file whose latitude and longitude
+ * columns do not hold numbers. Only headers with a coordinate-like name are
+ * considered, and only when nearly every non-empty sampled cell parses.
+ *
+ * @param {string[]} headers
+ * @param {object[]} sampleRows Leading parsed rows.
+ * @param {{ latField?: string|null, lonField?: string|null }} [detected]
+ *   Separate columns found by header name.
+ * @returns {string|null}
+ */
+function detectCoordinateField(headers, sampleRows, detected = {}) {
+  const rows = Array.isArray(sampleRows) ? sampleRows : [];
+  const { latField = null, lonField = null } = detected;
+  if (latField && lonField && latField !== lonField) {
+    const filled = rows.filter((row) => hasText(row?.[latField]) || hasText(row?.[lonField]));
+    const numeric = filled.filter((row) => (
+      Number.isFinite(parseFlexibleFloat(row[latField]))
+      && Number.isFinite(parseFlexibleFloat(row[lonField]))
+    ));
+    if (filled.length === 0 || numeric.length >= filled.length * DETECTION_SHARE) return null;
+  }
+
+  for (const header of Array.isArray(headers) ? headers : []) {
+    if (!COORDINATE_HEADER_KEYS.has(normalizeKey(header))) continue;
+    const values = rows.map((row) => row?.[header]).filter(hasText);
+    const parsed = values.filter((value) => parseCoordinateText(value));
+    if (values.length > 0 && parsed.length >= values.length * DETECTION_SHARE) return header;
+  }
+  return null;
+}
+
+function parseDmsPair(text) {
+  const match = DMS_PAIR_PATTERN.exec(text);
+  if (!match) return null;
+
+  const lat = convertDmsCoordinate(match[1], match[2], match[3], match[4].toUpperCase());
+  const lon = convertDmsCoordinate(match[5], match[6], match[7], match[8].toUpperCase());
+  if (lat == null || lon == null || lat < -90 || lat > 90 || lon < -180 || lon > 180) return null;
+  // The go-to box rounds DMS input to six decimals; keep derived positions identical.
+  return [Number(lat.toFixed(6)), Number(lon.toFixed(6))];
+}
+
+function convertDmsCoordinate(degreesText, minutesText, secondsText, hemisphere) {
+  const minutes = Number(minutesText);
+  const seconds = Number(secondsText);
+  if (minutes >= 60 || seconds >= 60) return null;
+  const sign = hemisphere === "S" || hemisphere === "W" ? -1 : 1;
+  return sign * (Number(degreesText) + (minutes / 60) + (seconds / 3600));
+}
+
+function parseGoogleMapsUrl(text) {
+  let url;
+  try {
+    url = new URL(text);
+  } catch {
+    return null;
+  }
+  const host = url.hostname.toLowerCase();
+  const isGoogleMaps = /^https?:$/.test(url.protocol)
+    && /(^|\.)google\.[a-z.]+$/.test(host)
+    && (host.startsWith("maps.") || url.pathname.startsWith("/maps"));
+  if (!isGoogleMaps) return null;
+
+  // A place's own position comes before the map view centred around it.
+  const match = GOOGLE_MAPS_PLACE_PATTERN.exec(url.href)
+    ?? GOOGLE_MAPS_VIEW_PATTERN.exec(url.pathname)
+    ?? GOOGLE_MAPS_QUERY_PARAMS
+      .map((param) => GOOGLE_MAPS_QUERY_PATTERN.exec(url.searchParams.get(param) ?? ""))
+      .find(Boolean);
+  if (!match) return null;
+
+  const lat = Number(match[1]);
+  const lon = Number(match[2]);
+  return lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180 ? [lat, lon] : null;
+}
+
+/** Lenient reading of separate coordinate columns, accepting decimal commas. */
+function parseFlexibleFloat(value) {
+  if (value == null) return NaN;
+  if (typeof value === "number") return Number.isFinite(value) ? value : NaN;
+  const normalized = String(value).trim().replace(/\s+/g, "").replace(/,/g, ".");
+  if (!normalized) return NaN;
+  const parsed = Number.parseFloat(normalized);
+  return Number.isFinite(parsed) ? parsed : NaN;
+}
+
+function normalizeKey(header) {
+  return String(header ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_-]+/g, "");
+}
+
+function hasText(value) {
+  return value != null && String(value).trim() !== "";
+}
+
+module.exports = {
+  detectCoordinateField,
+  formatCoordinateText,
+  hasMappedCoordinates,
+  parseCoordinateText,
+  readMappedCoordinates,
+};
@@ -8,7 +8,36 @@ const Papa = require("papaparse");
 const LAT_SYNONYMS = ["lat", "latitude", "y", "northing"];
 const LON_SYNONYMS = ["lon", "lng", "long", "longitude", "x", "easting"];
 const YEAR_SYNONYMS = ["year", "yyyy", "yr", "ar"];
-const { rebuildSqliteDatasetRegions } = require("./sqliteZoneService.cjs");
+const { rebuildSqliteDatasetGeometries } = require("./sqliteZoneService.cjs");
+const {
+  detectCoordinateSystem,
+  getCoordinateTransform,
+  normalizeCoordinateSystem,
+} = require("./coordinateSystems.cjs");
+const {
+  detectCoordinateField,
+  hasMappedCoordinates,
+  readMappedCoordinates,
+} = require("./coordinateText.cjs");
+const {
+  DEFAULT_CSV_IMPORT_OPTIONS,
+  decodeCsvBytes,
+  getCsvParseConfig,
+  normalizeCsvImportOptions,
+} = require("./csvImportOptions.cjs");
+const {
+  GeoJsonImportError,
+  isGeoJsonFilePath,
+  parseGeoJsonText,
+} = require("./geoJsonImport.cjs");
+const {
+  SpreadsheetImportError,
+  isSpreadsheetFilePath,
+  listSpreadsheetSheets,
+  readSpreadsheetRows,
+} = require("./spreadsheetImport.cjs");
+const { detectWktField, parseWktGeometry } = require("./wktGeometry.cjs");
+const { getRowTimelineExtent } = require("./timelineDays.cjs");
 const DATE_SYNONYMS = ["date", "datetime", "timestamp", "time", "created", "createdat"];
 // These fields are small enough to keep beside each imported point. Later map queries can read them without loading the full row.
 const COMPACT_FIELD_NAMES = [
@@ -24,13 +53,20 @@ const COMPACT_FIELD_NAMES = [
   "image",
   "color",
   "weight",
+  "arrow",
 ];
+// Leading rows sampled to recognize projected coordinate columns such as SWEREF 99 TM.
+const COORDINATE_SYSTEM_SAMPLE_ROWS = 1000;
+// Leading rows sampled to recognize a single coordinate column.
+const COORDINATE_FIELD_SAMPLE_ROWS = 100;
 
 /**
- * Import one local CSV file into the desktop SQLite store.
+ * Import one local CSV, GeoJSON, .xlsx or .ods file into the desktop SQLite store.
  * This does not update the Leaflet map. It only writes data for later query work.
+ * `sheetName` picks a workbook sheet; without it the first visible sheet is read.
+ * `csvOptions` overrides how CSV text is decoded and split into rows.
  */
-function importCsvFileToSqlite({ db, filePath }) {
+function importCsvFileToSqlite({ db, filePath, sheetName = null, csvOptions = null }) {
   if (!db?.open) {
     throw new TypeError("An open SQLite database is required.");
   }
@@ -39,9 +75,93 @@ function importCsvFileToSqlite({ db, filePath }) {
     throw new TypeError("A CSV file path is required.");
   }
 
-  const csvText = fs.readFileSync(filePath, "utf8");
-  const parsed = parseCsvText(csvText);
+  if (isSpreadsheetFilePath(filePath)) {
+    const { rows } = readSpreadsheetRows(fs.readFileSync(filePath), sheetName);
+    return importParsedToSqlite({
+      db,
+      parsed: parseRowArrays(rows),
+      fileName: path.basename(filePath),
+      sourcePath: filePath,
+      isGeoJson: false,
+    });
+  }
+
+  const isGeoJson = isGeoJsonFilePath(filePath);
+  return importParsedToSqlite({
+    db,
+    parsed: isGeoJson
+      ? parseGeoJsonText(fs.readFileSync(filePath, "utf8"))
+      : parseCsvFile(filePath, csvOptions),
+    fileName: path.basename(filePath),
+    sourcePath: filePath,
+    isGeoJson,
+  });
+}
+
+/**
+ * Import CSV text that has no local source file, such as a dataset stored in a
+ * project file. `coordinateFields` restores a saved single coordinate column or
+ * latitude/longitude mapping, and its coordinate system, when the columns
+ * exist; otherwise the columns are detected as usual.
+ */
+function importCsvTextToSqlite({ db, fileName, csvText, coordinateFields = null }) {
+  if (!db?.open) {
+    throw new TypeError("An open SQLite database is required.");
+  }
+
+  if (typeof csvText !== "string") {
+    throw new TypeError("CSV text is required.");
+  }
+
+  return importParsedToSqlite({
+    db,
+    parsed: parseCsvText(csvText),
+    fileName: getSafeFileName(fileName),
+    sourcePath: null,
+    isGeoJson: false,
+    coordinateFields,
+  });
+}
+
+function importParsedToSqlite({
+  db,
+  parsed,
+  fileName,
+  sourcePath,
+  isGeoJson,
+  coordinateFields = null,
+}) {
   const detectedFields = detectFields(parsed.headers);
+  if (isGeoJson) {
+    // Generated coordinate columns must win over property names such as "y".
+    detectedFields.latField = "lat";
+    detectedFields.lonField = "lon";
+  } else if (parsed.headers.includes(coordinateFields?.coordinateField)) {
+    detectedFields.latField = null;
+    detectedFields.lonField = null;
+    detectedFields.coordinateField = coordinateFields.coordinateField;
+  } else if (
+    parsed.headers.includes(coordinateFields?.latField) &&
+    parsed.headers.includes(coordinateFields?.lonField)
+  ) {
+    detectedFields.latField = coordinateFields.latField;
+    detectedFields.lonField = coordinateFields.lonField;
+  } else {
+    // Positions written as one "59.33, 18.06", WKT, DMS, or link column replace
+    // separate columns whose values are not numbers.
+    detectedFields.coordinateField = detectCoordinateField(
+      parsed.headers,
+      parsed.rows.slice(0, COORDINATE_FIELD_SAMPLE_ROWS),
+      detectedFields,
+    );
+    if (detectedFields.coordinateField) {
+      detectedFields.latField = null;
+      detectedFields.lonField = null;
+    }
+  }
+  detectedFields.coordinateSystem = isGeoJson
+    ? null
+    : getImportCoordinateSystem(parsed.rows, detectedFields, coordinateFields);
   const recommendedTimelineRange = getRecommendedTimelineRange(
     parsed.rows,
     detectedFields,
@@ -52,27 +172,52 @@ function importCsvFileToSqlite({ db, filePath }) {
     datasetId,
     rows: parsed.rows,
     detectedFields,
+    wktField: isGeoJson ? null : detectWktField(parsed.headers),
   });
 
+  // GeoJSON features without usable geometry never became rows; the browser
+  // importer reports them as skipped rows, so this does too.
+  const skippedFeatureCount = parsed.skippedFeatureCount ?? 0;
   const summary = {
     ok: true,
     datasetId,
-    fileName: path.basename(filePath),
-    sourcePath: filePath,
+    fileName,
+    sourcePath,
     rowCount: parsed.rows.length,
     importedFeatureCount: importRows.features.length,
-    skippedRowCount: importRows.skippedRowCount,
+    skippedRowCount: importRows.skippedRowCount + skippedFeatureCount,
     columns: parsed.headers,
     detectedFields,
     parseErrors: parsed.parseErrors,
     recommendedTimelineRange,
   };
 
-  insertImportResult(db, summary, importRows.features);
+  insertImportResult(db, summary, importRows.features, importRows.unlocatedRows);
 
   return summary;
 }
 
+/**
+ * A restored mapping keeps its saved system; otherwise projected columns are
+ * recognized from the leading rows' values.
+ */
+function getImportCoordinateSystem(rows, detectedFields, coordinateFields) {
+  if (
+    (coordinateFields?.coordinateField ?? null) === detectedFields.coordinateField &&
+    (detectedFields.coordinateField || (
+      coordinateFields?.latField === detectedFields.latField &&
+      coordinateFields?.lonField === detectedFields.lonField
+    )) &&
+    Object.hasOwn(coordinateFields, "coordinateSystem")
+  ) {
+    return normalizeCoordinateSystem(coordinateFields.coordinateSystem) ?? null;
+  }
+  if (!hasMappedCoordinates(detectedFields)) return null;
+  return detectCoordinateSystem(rows.slice(0, COORDINATE_SYSTEM_SAMPLE_ROWS).map((row) => (
+    readMappedCoordinates(row, detectedFields)
+  )));
+}
+
 /** Calculate the immutable per-file recommendation from all parsed feature rows. */
 function getRecommendedTimelineRange(rows, detectedFields) {
   let startYear = null;
@@ -92,14 +237,26 @@ function getRecommendedTimelineRange(rows, detectedFields) {
 
 /**
  * Import selected files independently so one failure cannot undo other imports.
+ * `chooseSheet(fileName, sheets)` is asked for workbooks with several sheets and
+ * returns a sheet name, or null to leave that file out. `csvOptions` applies to
+ * every CSV file in the batch.
  */
-function importCsvFilesToSqlite({ db, filePaths, onProgress = null }) {
+function importCsvFilesToSqlite({
+  db,
+  filePaths,
+  onProgress = null,
+  chooseSheet = null,
+  csvOptions = null,
+}) {
   if (!db?.open) {
     throw new TypeError("An open SQLite database is required.");
   }
   if (!Array.isArray(filePaths)) {
     throw new TypeError("CSV file paths are required.");
   }
+  if (!normalizeCsvImportOptions(csvOptions)) {
+    throw new TypeError("The CSV import options are invalid.");
+  }
 
   const results = [];
   const totalFiles = filePaths.length;
@@ -114,7 +271,8 @@ function importCsvFilesToSqlite({ db, filePaths, onProgress = null }) {
     });
 
     try {
-      const summary = importCsvFileToSqlite({ db, filePath });
+      const sheetName = pickWorkbookSheet(filePath, chooseSheet);
+      const summary = importCsvFileToSqlite({ db, filePath, sheetName, csvOptions });
       const result = {
         ok: true,
         fileName: summary.fileName,
@@ -159,6 +317,19 @@ function importCsvFilesToSqlite({ db, filePaths, onProgress = null }) {
   };
 }
 
+function pickWorkbookSheet(filePath, chooseSheet) {
+  if (typeof chooseSheet !== "function" || !isSpreadsheetFilePath(filePath)) return null;
+
+  const sheets = listSpreadsheetSheets(fs.readFileSync(filePath));
+  if (sheets.length < 2) return null;
+
+  const sheetName = chooseSheet(path.basename(filePath), sheets);
+  if (!sheets.some((sheet) => sheet.name === sheetName)) {
+    throw new SpreadsheetImportError("No sheet was chosen.");
+  }
+  return sheetName;
+}
+
 function emitImportProgress(onProgress, progress) {
   if (typeof onProgress !== "function") return;
 
@@ -178,6 +349,9 @@ function getSafeFileName(filePath) {
 }
 
 function getSafeImportError(error) {
+  if (error instanceof GeoJsonImportError || error instanceof SpreadsheetImportError) {
+    return error.message;
+  }
   if (error?.code === "ENOENT" || error?.code === "EACCES") {
     return "The CSV file could not be read.";
   }
@@ -185,35 +359,59 @@ function getSafeImportError(error) {
   return "The CSV file could not be imported.";
 }
 
+function parseCsvFile(filePath, csvOptions) {
+  const options = normalizeCsvImportOptions(csvOptions);
+  if (!options) {
+    throw new TypeError("The CSV import options are invalid.");
+  }
+  return parseCsvText(decodeCsvBytes(fs.readFileSync(filePath), options.encoding), options);
+}
+
 /**
  * Parse CSV text into headers and row objects.
  * This mirrors the browser parser shape, but runs in Electron main process code.
  */
-function parseCsvText(csvText) {
-  const result = Papa.parse(csvText, {
-    delimiter: "",
-    skipEmptyLines: true,
-    quoteChar: '"',
-    escapeChar: '"',
-  });
+function parseCsvText(csvText, csvOptions = DEFAULT_CSV_IMPORT_OPTIONS) {
+  const result = Papa.parse(csvText, getCsvParseConfig(csvOptions));
 
   const parseErrors = (result.errors ?? []).map(
     (error) => `Parser: ${error.message} (row ${error.row ?? "?"})`,
   );
-  const data = Array.isArray(result.data) ? result.data : [];
-  const firstNonEmptyRowIndex = data.findIndex((row) => Array.isArray(row) && !isEmptyRow(row));
+  return parseRowArrays(
+    Array.isArray(result.data) ? result.data : [],
+    parseErrors,
+    csvOptions.headerRowIndex,
+  );
+}
+
+/**
+ * Turn row arrays into headers and row objects. The header is the first
+ * non-empty row after `headerRowIndex` non-empty rows, which are dropped.
+ * Workbook sheets come through here as well as parsed CSV text.
+ */
+function parseRowArrays(data, parseErrors = [], headerRowIndex = 0) {
+  let headerIndex = -1;
+  let rowsBeforeHeader = 0;
+  for (const [index, row] of data.entries()) {
+    if (!Array.isArray(row) || isEmptyRow(row)) continue;
+    if (rowsBeforeHeader === headerRowIndex) {
+      headerIndex = index;
+      break;
+    }
+    rowsBeforeHeader += 1;
+  }
 
-  if (firstNonEmptyRowIndex < 0) {
+  if (headerIndex < 0) {
     return { headers: [], rows: [], parseErrors: [...parseErrors, "No rows detected."] };
   }
 
-  const headers = normalizeHeaders(data[firstNonEmptyRowIndex].map((value) => String(value ?? "")));
+  const headers = normalizeHeaders(data[headerIndex].map((value) => String(value ?? "")));
   if (headers.length === 0) {
     return { headers: [], rows: [], parseErrors: [...parseErrors, "Header row is empty."] };
   }
 
   const rows = [];
-  for (const rowArr of data.slice(firstNonEmptyRowIndex + 1)) {
+  for (const rowArr of data.slice(headerIndex + 1)) {
     if (!Array.isArray(rowArr) || isEmptyRow(rowArr)) continue;
     rows.push(rowArrayToObject(rowArr, headers));
   }
@@ -228,6 +426,7 @@ function detectFields(headers) {
   return {
     latField: pickBest(headers, LAT_SYNONYMS),
     lonField: pickBest(headers, LON_SYNONYMS),
+    coordinateField: null,
     yearField: pickBest(headers, YEAR_SYNONYMS),
     dateField: pickBest(headers, DATE_SYNONYMS),
     yearFromField: findExactKey(headers, "yearfrom"),
@@ -239,59 +438,76 @@ function detectFields(headers) {
 
 /**
  * Convert parsed CSV rows into rows that match the prototype SQLite schema.
- * Rows without valid coordinates are counted as skipped.
+ * Rows without valid coordinates or a usable WKT value are counted as skipped
+ * and returned as `unlocatedRows` for place-name geocoding.
+ * Rows appended to an existing dataset start at `firstSourceRowIndex`.
  */
-function buildImportRows({ datasetId, rows, detectedFields }) {
+function buildImportRows({
+  datasetId,
+  rows,
+  detectedFields,
+  wktField = null,
+  firstSourceRowIndex = 0,
+}) {
   const features = [];
-  let skippedRowCount = 0;
+  const unlocatedRows = [];
 
-  const latField = detectedFields.latField;
-  const lonField = detectedFields.lonField;
-
-  if (!latField || !lonField) {
-    return {
-      features,
-      skippedRowCount: rows.length,
-    };
-  }
+  const transform = getCoordinateTransform(detectedFields.coordinateSystem);
+  const locatable = hasMappedCoordinates(detectedFields) || !!wktField;
 
   for (let rowIndex = 0; rowIndex < rows.length; rowIndex += 1) {
     const row = rows[rowIndex];
-    const lat = parseFlexibleFloat(row?.[latField]);
-    const lon = parseFlexibleFloat(row?.[lonField]);
-
-    if (!isValidLat(lat) || !isValidLon(lon)) {
-      skippedRowCount += 1;
+    const sourceRowIndex = firstSourceRowIndex + rowIndex;
+    const compact = getCompactFields(row, detectedFields);
+    const wktGeometry = wktField ? parseWktGeometry(row?.[wktField]) : null;
+    // A WKT row is stored once, at its first vertex; geometry rebuilds read the full shape.
+    const [lat, lon] = wktGeometry
+      ? wktGeometry.parts[0][0]
+      : transform.toWgs84(...readMappedCoordinates(row, detectedFields));
+
+    if (!locatable || !isValidLat(lat) || !isValidLon(lon)) {
+      unlocatedRows.push({
+        sourceRowIndex,
+        compactJson: JSON.stringify(compact),
+        rowJson: JSON.stringify(row),
+      });
       continue;
     }
 
     const timelineExtent = getRowTimelineExtent(row, detectedFields);
-    const id = `${datasetId}:${rowIndex}`;
+    const id = `${datasetId}:${sourceRowIndex}`;
+    if (wktGeometry) {
+      compact.featureType = wktGeometry.featureType;
+      compact.wktField = wktField;
+    }
 
     features.push({
       id,
       datasetId,
-      sourceRowIndex: rowIndex,
+      sourceRowIndex,
       lat,
       lon,
       timelineStartYear: timelineExtent?.startYear ?? null,
       timelineEndYear: timelineExtent?.endYear ?? null,
-      compactJson: JSON.stringify(getCompactFields(row, detectedFields)),
+      timelineStartDay: timelineExtent?.startDay ?? null,
+      timelineEndDay: timelineExtent?.endDay ?? null,
+      compactJson: JSON.stringify(compact),
       rowJson: JSON.stringify(row),
     });
   }
 
   return {
     features,
-    skippedRowCount,
+    skippedRowCount: unlocatedRows.length,
+    unlocatedRows,
   };
 }
 
 /**
- * Store dataset metadata and feature rows in one transaction.
+ * Store dataset metadata, feature rows and unlocated rows in one transaction.
  * This keeps partial imports out of the database if an insert fails.
  */
-function insertImportResult(db, summary, features) {
+function insertImportResult(db, summary, features, unlocatedRows = []) {
   const insertDataset = db.prepare(`
     INSERT INTO datasets (
       id,
@@ -317,10 +533,17 @@ function insertImportResult(db, summary, features) {
       lon,
       timeline_start_year,
       timeline_end_year,
+      timeline_start_day,
+      timeline_end_day,
       compact_json,
       row_json
     )
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const insertUnlocatedRow = db.prepare(`
+    INSERT INTO unlocated_rows (dataset_id, source_row_index, compact_json, row_json)
+    VALUES (?, ?, ?, ?)
   `);
 
   const runImport = db.transaction(() => {
@@ -346,12 +569,17 @@ function insertImportResult(db, summary, features) {
         feature.lon,
         feature.timelineStartYear,
         feature.timelineEndYear,
+        feature.timelineStartDay,
+        feature.timelineEndDay,
         feature.compactJson,
         feature.rowJson,
       );
     }
-    // Region parts derive inside the import transaction, so partial geometry never persists.
-    rebuildSqliteDatasetRegions({ db, datasetId: summary.datasetId });
+    for (const row of unlocatedRows) {
+      insertUnlocatedRow.run(summary.datasetId, row.sourceRowIndex, row.compactJson, row.rowJson);
+    }
+    // Line and region parts derive inside the import transaction, so partial geometry never persists.
+    rebuildSqliteDatasetGeometries({ db, datasetId: summary.datasetId });
   });
 
   runImport();
@@ -428,21 +656,6 @@ function findExactKey(headers, normalizedKey) {
   return null;
 }
 
-function parseFlexibleFloat(value) {
-  if (value === null || value === undefined) return NaN;
-  if (typeof value === "number") return Number.isFinite(value) ? value : NaN;
-
-  const normalized = String(value ?? "")
-    .trim()
-    .replace(/\s+/g, "")
-    .replace(/,/g, ".");
-
-  if (!normalized) return NaN;
-
-  const parsed = Number.parseFloat(normalized);
-  return Number.isFinite(parsed) ? parsed : NaN;
-}
-
 function isValidLat(lat) {
   return Number.isFinite(lat) && lat >= -90 && lat <= 90;
 }
@@ -451,90 +664,12 @@ function isValidLon(lon) {
   return Number.isFinite(lon) && lon >= -180 && lon <= 180;
 }
 
-function getRowTimelineExtent(row, fields) {
-  const yearFrom = getRangeYear(row, fields.yearFromField, fields.dateFromField);
-  const yearTo = getRangeYear(row, fields.yearToField, fields.dateToField);
-
-  if (yearFrom != null || yearTo != null) {
-    const startYear = yearFrom ?? yearTo;
-    const endYear = yearTo ?? yearFrom;
-    return { startYear, endYear };
-  }
-
-  const year = getRangeYear(row, fields.yearField, fields.dateField);
-  if (year == null) return null;
-
-  return { startYear: year, endYear: year };
-}
-
-function getRangeYear(row, yearField, dateField) {
-  if (!row || typeof row !== "object") return null;
-
-  if (yearField) {
-    const year = parseYearValue(row[yearField]);
-    if (year != null) return year;
-  }
-
-  if (dateField) {
-    const date = parseDateValue(row[dateField]);
-    if (date) return date.getUTCFullYear();
-  }
-
-  return null;
-}
-
-function parseYearValue(value) {
-  if (value == null) return null;
-
-  if (typeof value === "number" && Number.isFinite(value)) {
-    const year = Math.trunc(value);
-    return isReasonableYear(year) ? year : null;
-  }
-
-  const match = String(value).trim().match(/-?\d{1,5}/);
-  if (!match) return null;
-
-  const year = Number.parseInt(match[0], 10);
-  return isReasonableYear(year) ? year : null;
-}
-
-function parseDateValue(value) {
-  if (value == null) return null;
-  if (value instanceof Date && !Number.isNaN(value.getTime())) return value;
-
-  const raw = String(value).trim();
-  if (!raw) return null;
-
-  if (/^-?\d{1,5}$/.test(raw)) {
-    const year = Number.parseInt(raw, 10);
-    if (!isReasonableYear(year)) return null;
-
-    const date = new Date(Date.UTC(year, 0, 1));
-    return Number.isNaN(date.getTime()) ? null : date;
-  }
-
-  const date = new Date(raw);
-  if (!Number.isNaN(date.getTime())) return date;
-
-  const match = raw.match(/^(-?\d{1,5})[/-](\d{1,2})[/-](\d{1,2})/);
-  if (!match) return null;
-
-  const year = Number.parseInt(match[1], 10);
-  const month = Number.parseInt(match[2], 10);
-  const day = Number.parseInt(match[3], 10);
-  const parsed = new Date(Date.UTC(year, month - 1, day));
-
-  return Number.isNaN(parsed.getTime()) ? null : parsed;
-}
-
-function isReasonableYear(year) {
-  return Number.isFinite(year) && Math.abs(year) <= 10000;
-}
-
 function getCompactFields(row, detectedFields) {
   const compact = {
     latField: detectedFields.latField,
     lonField: detectedFields.lonField,
+    ...(detectedFields.coordinateField ? { coordinateField: detectedFields.coordinateField } : {}),
+    ...(detectedFields.coordinateSystem ? { coordinateSystem: detectedFields.coordinateSystem } : {}),
   };
 
   for (const key of COMPACT_FIELD_NAMES) {
@@ -547,6 +682,9 @@ function getCompactFields(row, detectedFields) {
 }
 
 module.exports = {
+  buildImportRows,
+  detectFields,
   importCsvFileToSqlite,
   importCsvFilesToSqlite,
+  importCsvTextToSqlite,
 };
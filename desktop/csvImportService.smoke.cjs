@@ -7,12 +7,20 @@ const path = require("node:path");
 const { importCsvFilesToSqlite } = require("./csvImportService.cjs");
 const { getSqliteDatasetSummary } = require("./sqliteDatasetService.cjs");
 const { closeSqliteStore, openSqliteStore } = require("./sqliteStore.cjs");
+const { getSqliteLogicalZone, updateSqliteLogicalZone } = require("./sqliteZoneService.cjs");
 
 const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "csv-map-batch-import-"));
 
 try {
   verifyMixedBatchImport();
   verifyFailedImportRollsBack();
+  verifyGeoJsonImport();
+  verifyGeoJsonLineIds();
+  verifyWktImport();
+  verifyProjectedImport();
+  verifyCombinedCoordinateImport();
+  verifySpreadsheetImport();
+  verifyCsvOptionsImport();
   console.log("SQLite CSV batch import smoke test passed.");
 } finally {
   fs.rmSync(tempDir, { recursive: true, force: true });
@@ -101,3 +109,383 @@ function verifyFailedImportRollsBack() {
     closeSqliteStore(db);
   }
 }
+
+function verifyGeoJsonImport() {
+  const geoJsonPath = path.join(tempDir, "borders.geojson");
+  const invalidPath = path.join(tempDir, "broken.json");
+  fs.writeFileSync(geoJsonPath, `\uFEFF${JSON.stringify({
+    type: "FeatureCollection",
+    features: [
+      {
+        type: "Feature",
+        id: "castle",
+        properties: { name: "Castle", year: 1500, y: "shadow" },
+        geometry: { type: "Point", coordinates: [18.1, 59.3] },
+      },
+      {
+        type: "Feature",
+        properties: { name: "Road", year: 1600 },
+        geometry: { type: "LineString", coordinates: [[10, 50], [11, 51]] },
+      },
+      {
+        type: "Feature",
+        id: "realm",
+        properties: { name: "Realm" },
+        geometry: {
+          type: "Polygon",
+          coordinates: [
+            [[0, 0], [1, 0], [1, 1], [0, 0]],
+            [[0.2, 0.2], [0.4, 0.2], [0.4, 0.4], [0.2, 0.2]],
+          ],
+        },
+      },
+      { type: "Feature", properties: {}, geometry: { type: "GeometryCollection" } },
+    ],
+  })}`, "utf8");
+  fs.writeFileSync(invalidPath, "{\"type\":", "utf8");
+  const projectPath = path.join(tempDir, "map-project.json");
+  fs.writeFileSync(projectPath, JSON.stringify({
+    format: "csv-map-layer-visualizer-project",
+    version: 1,
+    datasets: [],
+  }), "utf8");
+
+  const db = openSqliteStore(path.join(tempDir, "geojson.sqlite"));
+  try {
+    const result = importCsvFilesToSqlite({
+      db,
+      filePaths: [geoJsonPath, invalidPath, projectPath],
+    });
+    assert.equal(result.successfulCount, 1);
+    assert.deepEqual(result.results[1], {
+      ok: false,
+      fileName: "broken.json",
+      error: "The file is not valid GeoJSON.",
+    });
+    assert.deepEqual(result.results[2], {
+      ok: false,
+      fileName: "map-project.json",
+      error: "This is a map project file. Use Open project to load it instead of importing it.",
+    });
+
+    const imported = result.results[0];
+    assert.equal(imported.importedFeatureCount, 6);
+    assert.equal(imported.rowCount, 6);
+    assert.equal(imported.skippedRowCount, 1);
+    assert.equal(imported.detectedFields.latField, "lat");
+    assert.equal(imported.detectedFields.lonField, "lon");
+    assert.deepEqual(imported.parseErrors, [
+      "Feature 3: polygon holes are not supported and were ignored.",
+      "Feature 4: skipped unsupported geometry type GeometryCollection.",
+    ]);
+
+    const dataset = getSqliteDatasetSummary({ db }).datasets[0];
+    assert.deepEqual(dataset.recommendedTimelineRange, { startYear: 1500, endYear: 1600 });
+    assert.deepEqual(
+      db.prepare(`
+        SELECT geometry_type AS type, feature_id AS featureId, part
+        FROM geometry_features
+        ORDER BY geometry_type, feature_id
+      `).all().map((row) => ({ ...row })),
+      [
+        { type: "line", featureId: "feature-2", part: "" },
+        { type: "region", featureId: "realm", part: "0" },
+      ],
+    );
+    const castle = db.prepare("SELECT lat, lon FROM features WHERE lat > 59").get();
+    assert.deepEqual({ ...castle }, { lat: 59.3, lon: 18.1 });
+  } finally {
+    closeSqliteStore(db);
+  }
+}
+
+function verifyGeoJsonLineIds() {
+  const geoJsonPath = path.join(tempDir, "routes.geojson");
+  fs.writeFileSync(geoJsonPath, JSON.stringify({
+    type: "FeatureCollection",
+    features: [
+      {
+        type: "Feature",
+        id: "a",
+        properties: {},
+        geometry: { type: "MultiLineString", coordinates: [[[0, 0], [1, 1]], [[2, 2], [3, 3]]] },
+      },
+      {
+        type: "Feature",
+        id: "a-1",
+        properties: {},
+        geometry: { type: "LineString", coordinates: [[4, 4], [5, 5]] },
+      },
+    ],
+  }), "utf8");
+
+  const db = openSqliteStore(path.join(tempDir, "geojson-lines.sqlite"));
+  try {
+    importCsvFilesToSqlite({ db, filePaths: [geoJsonPath] });
+    // A member ID that matches another feature's ID gets a suffix instead of merging.
+    assert.deepEqual(
+      db.prepare("SELECT feature_id AS featureId FROM geometry_features ORDER BY feature_id")
+        .all()
+        .map((row) => row.featureId),
+      ["a-1", "a-1_2", "a-2"],
+    );
+  } finally {
+    closeSqliteStore(db);
+  }
+}
+
+function verifyWktImport() {
+  const csvPath = path.join(tempDir, "parcels.csv");
+  fs.writeFileSync(csvPath, [
+    "name,the_geom,year",
+    "Well,POINT (18.1 59.3),1500",
+    "Road,\"LINESTRING (10 50, 11 51, 12 51)\",1600",
+    "Parcel,\"SRID=4326;POLYGON ((0 0, 1 0, 1 1, 0 0))\",1700",
+    "Broken,POLYGON EMPTY,1800",
+  ].join("\n"), "utf8");
+
+  const db = openSqliteStore(path.join(tempDir, "wkt.sqlite"));
+  try {
+    const result = importCsvFilesToSqlite({ db, filePaths: [csvPath] });
+    const imported = result.results[0];
+    assert.equal(imported.importedFeatureCount, 3);
+    assert.equal(imported.skippedRowCount, 1);
+    assert.deepEqual(
+      db.prepare(`
+        SELECT geometry_type AS type, feature_id AS featureId, part, coordinates_json AS coordinates
+        FROM geometry_features
+        ORDER BY geometry_type
+      `).all().map((row) => ({ ...row, coordinates: JSON.parse(row.coordinates) })),
+      [
+        { type: "line", featureId: "row-2", part: "", coordinates: [[50, 10], [51, 11], [51, 12]] },
+        { type: "region", featureId: "row-3", part: "0", coordinates: [[0, 0], [0, 1], [1, 1], [0, 0]] },
+      ],
+    );
+
+    const datasetId = getSqliteDatasetSummary({ db }).datasets[0].id;
+    const zone = getSqliteLogicalZone({ db, datasetId, featureId: "row-3" });
+    updateSqliteLogicalZone({
+      db,
+      datasetId,
+      featureId: "row-3",
+      parts: zone.parts.map((part) => ({
+        part: part.part,
+        coordinates: part.coordinates.map(([lat, lon]) => [lat + 2, lon]),
+      })),
+    });
+    const parcel = db.prepare("SELECT lat, lon, row_json FROM features WHERE source_row_index = 2").get();
+    assert.deepEqual([parcel.lat, parcel.lon], [2, 0]);
+    assert.equal(JSON.parse(parcel.row_json).the_geom, "SRID=4326;POLYGON ((0 2, 1 2, 1 3, 0 2))");
+  } finally {
+    closeSqliteStore(db);
+  }
+}
+
+function verifyProjectedImport() {
+  const csvPath = path.join(tempDir, "sweref.csv");
+  fs.writeFileSync(csvPath, [
+    "name,featureType,featureId,order,northing,easting",
+    "City hall,point,,,6580822,674032",
+    "Road,line,road,1,6580822,674032",
+    "Road,line,road,2,6399848,319401",
+  ].join("\n"), "utf8");
+
+  const db = openSqliteStore(path.join(tempDir, "sweref.sqlite"));
+  try {
+    const imported = importCsvFilesToSqlite({ db, filePaths: [csvPath] }).results[0];
+    assert.equal(imported.detectedFields.coordinateSystem, "EPSG:3006");
+    assert.equal(imported.importedFeatureCount, 3);
+    const cityHall = db.prepare("SELECT lat, lon FROM features WHERE source_row_index = 0").get();
+    assert.deepEqual([cityHall.lat.toFixed(2), cityHall.lon.toFixed(2)], ["59.33", "18.06"]);
+
+    // Zone edits write metres back into the projected columns.
+    const datasetId = getSqliteDatasetSummary({ db }).datasets[0].id;
+    const zone = getSqliteLogicalZone({ db, datasetId, featureId: "road", geometryType: "line" });
+    updateSqliteLogicalZone({
+      db,
+      datasetId,
+      featureId: "road",
+      geometryType: "line",
+      parts: zone.parts.map((part) => ({
+        part: part.part,
+        coordinates: part.coordinates.map(([lat, lon], index) => [index === 0 ? lat + 0.001 : lat, lon]),
+      })),
+    });
+    const moved = db.prepare("SELECT lat, row_json FROM features WHERE source_row_index = 1").get();
+    const row = JSON.parse(moved.row_json);
+    assert.ok(moved.lat > cityHall.lat);
+    // Grid north differs from true north here, so the easting shifts a few metres too.
+    assert.ok(Math.abs(Number(row.northing) - 6580933) < 2);
+    assert.ok(Math.abs(Number(row.easting) - 674032) < 10);
+  } finally {
+    closeSqliteStore(db);
+  }
+}
+
+function verifyCombinedCoordinateImport() {
+  const csvPath = path.join(tempDir, "combined.csv");
+  fs.writeFileSync(csvPath, [
+    "name,featureType,featureId,order,Location",
+    "City hall,point,,,\"59.33, 18.06\"",
+    "Road,line,road,1,POINT (18.06 59.33)",
+    "Road,line,road,2,POINT (18.07 59.34)",
+  ].join("\n"), "utf8");
+
+  const db = openSqliteStore(path.join(tempDir, "combined.sqlite"));
+  try {
+    const imported = importCsvFilesToSqlite({ db, filePaths: [csvPath] }).results[0];
+    assert.equal(imported.detectedFields.coordinateField, "Location");
+    assert.equal(imported.detectedFields.latField, null);
+    assert.equal(imported.importedFeatureCount, 3);
+    const cityHall = db.prepare("SELECT lat, lon FROM features WHERE source_row_index = 0").get();
+    assert.deepEqual([cityHall.lat, cityHall.lon], [59.33, 18.06]);
+
+    // Zone edits keep WKT cells in WKT form.
+    const datasetId = getSqliteDatasetSummary({ db }).datasets[0].id;
+    const zone = getSqliteLogicalZone({ db, datasetId, featureId: "road", geometryType: "line" });
+    updateSqliteLogicalZone({
+      db,
+      datasetId,
+      featureId: "road",
+      geometryType: "line",
+      parts: zone.parts.map((part) => ({
+        part: part.part,
+        coordinates: part.coordinates.map(([lat, lon], index) => [index === 0 ? 59.5 : lat, lon]),
+      })),
+    });
+    const moved = db.prepare("SELECT lat, row_json FROM features WHERE source_row_index = 1").get();
+    assert.equal(moved.lat, 59.5);
+    assert.equal(JSON.parse(moved.row_json).Location, "POINT (18.06 59.5)");
+  } finally {
+    closeSqliteStore(db);
+  }
+}
+
+function verifySpreadsheetImport() {
+  const workbookPath = path.join(tempDir, "finds.ods");
+  fs.writeFileSync(workbookPath, createStoredZip({
+    mimetype: "application/vnd.oasis.opendocument.spreadsheet",
+    "content.xml": `<office:document-content><office:body><office:spreadsheet>
+      <table:table table:name="Notes"><table:table-row><table:table-cell><text:p>note</text:p></table:table-cell></table:table-row></table:table>
+      <table:table table:name="Finds">
+        <table:table-row>${odsRow(["name", "lat", "lon", "date"])}</table:table-row>
+        <table:table-row>${odsRow(["Coin", "59.3", "18.1"])}<table:table-cell office:value-type="date" office:date-value="1650-05-01"><text:p>1 May 1650</text:p></table:table-cell></table:table-row>
+      </table:table>
+    </office:spreadsheet></office:body></office:document-content>`,
+  }));
+
+  const db = openSqliteStore(path.join(tempDir, "workbook.sqlite"));
+  try {
+    const asked = [];
+    const result = importCsvFilesToSqlite({
+      db,
+      filePaths: [workbookPath, workbookPath],
+      chooseSheet: (fileName, sheets) => {
+        asked.push([fileName, sheets.map((sheet) => sheet.name)]);
+        return asked.length === 1 ? "Finds" : null;
+      },
+    });
+    assert.deepEqual(asked, [
+      ["finds.ods", ["Notes", "Finds"]],
+      ["finds.ods", ["Notes", "Finds"]],
+    ]);
+    assert.equal(result.successfulCount, 1);
+    assert.equal(result.results[0].fileName, "finds.ods");
+    assert.equal(result.results[0].importedFeatureCount, 1);
+    assert.equal(result.results[0].detectedFields.dateField, "date");
+    assert.deepEqual(result.results[1], {
+      ok: false,
+      fileName: "finds.ods",
+      error: "No sheet was chosen.",
+    });
+    const coin = db.prepare("SELECT lat, lon, row_json FROM features").get();
+    assert.deepEqual([coin.lat, coin.lon], [59.3, 18.1]);
+    assert.equal(JSON.parse(coin.row_json).date, "1650-05-01");
+  } finally {
+    closeSqliteStore(db);
+  }
+}
+
+function verifyCsvOptionsImport() {
+  // The same Windows-1252 file as the browser importer smoke: a title line, a
+  // comment, and a row above the header.
+  const csvPath = path.join(tempDir, "orter.csv");
+  fs.writeFileSync(csvPath, Buffer.from([
+    "Utdrag ur ortregistret, 2024",
+    "# Koordinater i WGS 84",
+    "Socknar i Bohuslän;;",
+    "namn;lat;lon",
+    "Kärna;58,1;11,9",
+    "# utgått",
+    "Tjörn;58,0;11,6",
+  ].join("\r\n"), "latin1"));
+
+  const db = openSqliteStore(path.join(tempDir, "options.sqlite"));
+  try {
+    const result = importCsvFilesToSqlite({
+      db,
+      filePaths: [csvPath],
+      csvOptions: {
+        delimiter: ";",
+        encoding: "windows-1252",
+        skipRows: 1,
+        headerRowIndex: 1,
+        commentPrefix: "#",
+      },
+    });
+    const imported = result.results[0];
+    assert.equal(imported.rowCount, 2);
+    assert.equal(imported.importedFeatureCount, 2);
+    assert.deepEqual(imported.parseErrors, []);
+    assert.deepEqual(
+      db.prepare("SELECT row_json FROM features ORDER BY source_row_index").all()
+        .map((row) => JSON.parse(row.row_json))
+        .map((row) => [row.namn, row.lat]),
+      [["Kärna", "58,1"], ["Tjörn", "58,0"]],
+    );
+
+    assert.throws(
+      () => importCsvFilesToSqlite({ db, filePaths: [csvPath], csvOptions: { encoding: "ebcdic" } }),
+      /CSV import options are invalid/,
+    );
+  } finally {
+    closeSqliteStore(db);
+  }
+}
+
+function odsRow(values) {
+  return values.map((value) => `<table:table-cell><text:p>${value}</text:p></table:table-cell>`).join("");
+}
+
+/** Build an uncompressed ZIP archive, enough for the workbook reader. */
+function createStoredZip(files) {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name);
+    const content = Buffer.from(text);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt32LE(content.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt32LE(content.length, 20);
+    entry.writeUInt32LE(content.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, content);
+    directory.push(entry, nameBytes);
+    offset += local.length + nameBytes.length + content.length;
+  }
+  const directoryBytes = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directoryBytes.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directoryBytes, end]);
+}
@@ -0,0 +1,149 @@
+"use strict";
+
+// Mirrors src/components/drawnFeatures.js so both backends store drawn features alike.
+
+const { getCoordinateTransform } = require("./coordinateSystems.cjs");
+const { formatCoordinateText } = require("./coordinateText.cjs");
+const { replaceWktLineString, replaceWktPolygons } = require("./wktGeometry.cjs");
+
+/** Geometry types that can be drawn on the map, with their minimum distinct vertices. */
+const DRAWN_FEATURE_MINIMUM_VERTICES = Object.freeze({
+  point: 1,
+  line: 2,
+  region: 3,
+});
+
+const DRAWN_FEATURE_ID_PREFIX = "drawn-";
+
+/**
+ * Validate sketched [lat, lon] vertices for one geometry type. A region's
+ * closing vertex is dropped because source rows list each vertex once.
+ * Returns null when the sketch is not a complete feature.
+ */
+function normalizeDrawnCoordinates(geometryType, coordinates) {
+  const minimum = DRAWN_FEATURE_MINIMUM_VERTICES[geometryType];
+  if (!minimum || !Array.isArray(coordinates)) return null;
+  const vertices = [];
+  for (const value of coordinates) {
+    const lat = Number(value?.[0]);
+    const lon = Number(value?.[1]);
+    if (
+      !Number.isFinite(lat) || lat < -90 || lat > 90
+      || !Number.isFinite(lon) || lon < -180 || lon > 180
+    ) return null;
+    vertices.push([lat, lon]);
+  }
+  if (
+    geometryType === "region"
+    && vertices.length > 1
+    && vertices[0][0] === vertices.at(-1)[0]
+    && vertices[0][1] === vertices.at(-1)[1]
+  ) vertices.pop();
+  if (vertices.length < minimum) return null;
+  if (geometryType === "point" && vertices.length !== 1) return null;
+  return vertices;
+}
+
+/** Pick the first `drawn-N` feature ID not already used in the dataset. */
+function createDrawnFeatureId(existingFeatureIds) {
+  const taken = new Set(existingFeatureIds ?? []);
+  let index = 1;
+  while (taken.has(`${DRAWN_FEATURE_ID_PREFIX}${index}`)) index += 1;
+  return `${DRAWN_FEATURE_ID_PREFIX}${index}`;
+}
+
+/**
+ * Build the source rows for one drawn feature using a dataset's own columns.
+ *
+ * Datasets with latitude and longitude columns, or a single coordinate column,
+ * get one row per vertex, tagged with `featureType`, `featureId` and `order`
+ * like a hand-written CSV, written in the mapping's coordinate system. Datasets that only locate features
+ * through a WKT column get one row holding the geometry. Columns the rows need
+ * but the dataset lacks are appended to the returned headers; every other
+ * column is left blank.
+ *
+ * @param {object} options
+ * @param {string[]} options.headers Stored dataset headers in export order.
+ * @param {string|null} options.latField Mapped latitude column.
+ * @param {string|null} options.lonField Mapped longitude column.
+ * @param {string|null} [options.coordinateField] Mapped single coordinate column.
+ * @param {string|null} [options.coordinateSystem] System of the mapped columns.
+ * @param {string|null} options.wktField Detected WKT column.
+ * @param {string|null} options.featureTypeField Existing feature type column.
+ * @param {"point"|"line"|"region"} options.geometryType
+ * @param {Array<[number, number]>} options.coordinates Normalized vertices.
+ * @param {string} options.featureId Feature ID for drawn lines and regions.
+ * @returns {{ headers: string[], rows: object[] } | null} Null when the dataset
+ *   has no column that can hold a location.
+ */
+function buildDrawnFeatureRows({
+  headers,
+  latField,
+  lonField,
+  coordinateField = null,
+  coordinateSystem = null,
+  wktField,
+  featureTypeField,
+  geometryType,
+  coordinates,
+  featureId,
+}) {
+  const nextHeaders = [...headers];
+  const ensureHeader = (name) => {
+    if (!nextHeaders.includes(name)) nextHeaders.push(name);
+    return name;
+  };
+  const blankRow = () => Object.fromEntries(nextHeaders.map((header) => [header, ""]));
+  const isPoint = geometryType === "point";
+
+  if (coordinateField || (latField && lonField)) {
+    // Rows without a feature type are points, so a point needs no new column.
+    const typeField = featureTypeField ?? (isPoint ? null : ensureHeader("featureType"));
+    if (!isPoint) {
+      ensureHeader("featureId");
+      ensureHeader("order");
+    }
+    const transform = getCoordinateTransform(coordinateSystem);
+    const rows = coordinates.map((coordinate, index) => {
+      const [lat, lon] = transform.fromWgs84(...coordinate);
+      const row = blankRow();
+      if (coordinateField) {
+        row[coordinateField] = formatCoordinateText(null, lat, lon);
+      } else {
+        row[latField] = String(lat);
+        row[lonField] = String(lon);
+      }
+      if (typeField) row[typeField] = geometryType;
+      if (!isPoint) {
+        row.featureId = featureId;
+        row.order = String(index + 1);
+      }
+      return row;
+    });
+    return { headers: nextHeaders, rows };
+  }
+
+  if (wktField) {
+    if (!isPoint) ensureHeader("featureId");
+    const row = blankRow();
+    row[wktField] = formatDrawnWkt(geometryType, coordinates);
+    if (!isPoint) row.featureId = featureId;
+    return { headers: nextHeaders, rows: [row] };
+  }
+
+  return null;
+}
+
+function formatDrawnWkt(geometryType, coordinates) {
+  if (geometryType === "line") return replaceWktLineString("", coordinates);
+  if (geometryType === "region") return replaceWktPolygons("", [coordinates]);
+  const [[lat, lon]] = coordinates;
+  return `POINT (${lon} ${lat})`;
+}
+
+module.exports = {
+  DRAWN_FEATURE_MINIMUM_VERTICES,
+  buildDrawnFeatureRows,
+  createDrawnFeatureId,
+  normalizeDrawnCoordinates,
+};
@@ -3,20 +3,44 @@
 const fs = require("node:fs");
 const path = require("node:path");
 const { importCsvFilesToSqlite } = require("./csvImportService.cjs");
+const { normalizeCsvImportOptions } = require("./csvImportOptions.cjs");
+const { GEOJSON_FILE_EXTENSIONS } = require("./geoJsonImport.cjs");
+const { SPREADSHEET_FILE_EXTENSIONS } = require("./spreadsheetImport.cjs");
 
 const MAX_DROPPED_CSV_FILES = 100;
+const IMPORTABLE_EXTENSIONS = [".csv", ...GEOJSON_FILE_EXTENSIONS, ...SPREADSHEET_FILE_EXTENSIONS];
 
 /**
- * Validate renderer-provided drop paths before any file is read or imported.
+ * Validate renderer-provided drop paths and CSV import options before any file
+ * is read or imported.
  */
-function importDroppedCsvFilesToSqlite({ db, filePaths, onProgress = null }) {
+function importDroppedCsvFilesToSqlite({
+  db,
+  filePaths,
+  onProgress = null,
+  chooseSheet = null,
+  csvOptions = null,
+}) {
   if (!db?.open) {
     throw new TypeError("An open SQLite database is required.");
   }
 
   const { validFilePaths, invalidResults } = validateDroppedCsvFilePaths(filePaths);
+  const normalizedCsvOptions = normalizeCsvImportOptions(csvOptions);
+  if (!normalizedCsvOptions) {
+    invalidResults.unshift(...validFilePaths.map((filePath) => (
+      createInvalidResult(getSafeFileName(filePath), "The CSV import options are invalid.")
+    )));
+    validFilePaths.length = 0;
+  }
   const imported = validFilePaths.length > 0
-    ? importCsvFilesToSqlite({ db, filePaths: validFilePaths, onProgress })
+    ? importCsvFilesToSqlite({
+      db,
+      filePaths: validFilePaths,
+      onProgress,
+      chooseSheet,
+      csvOptions: normalizedCsvOptions,
+    })
     : createEmptyBatchResult();
 
   return {
@@ -38,16 +62,16 @@ function validateDroppedCsvFilePaths(filePaths) {
       invalidResults.push(createInvalidResult(fileName, "The dropped file is invalid."));
       return;
     }
-    if (path.extname(filePath).toLowerCase() !== ".csv") {
-      invalidResults.push(createInvalidResult(fileName, "Only CSV files can be imported."));
+    if (!isImportableExtension(filePath)) {
+      invalidResults.push(createInvalidResult(fileName, "Only CSV, GeoJSON and spreadsheet files can be imported."));
       return;
     }
 
     try {
       const realPath = fs.realpathSync(path.resolve(filePath));
       const stats = fs.statSync(realPath);
-      if (!stats.isFile() || path.extname(realPath).toLowerCase() !== ".csv") {
-        invalidResults.push(createInvalidResult(fileName, "The dropped item is not a CSV file."));
+      if (!stats.isFile() || !isImportableExtension(realPath)) {
+        invalidResults.push(createInvalidResult(fileName, "The dropped item is not a CSV, GeoJSON or spreadsheet file."));
         return;
       }
 
@@ -73,6 +97,10 @@ function validateDroppedCsvFilePaths(filePaths) {
   return { validFilePaths, invalidResults };
 }
 
+function isImportableExtension(filePath) {
+  return IMPORTABLE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
 function getSafeFileName(filePath) {
   if (typeof filePath !== "string" || !filePath.trim()) {
     return "Unknown CSV file";
@@ -62,6 +62,19 @@ try {
     assert.equal(JSON.stringify(result).includes(tempDir), false);
     assert.equal(JSON.stringify(progressEvents).includes(tempDir), false);
     assert.equal(fs.readFileSync(firstPath, "utf8"), "lat,lon,name\n1,2,one\n");
+
+    // Options from the renderer are validated before any file is read.
+    const rejected = importDroppedCsvFilesToSqlite({
+      db,
+      filePaths: [firstPath, textPath],
+      csvOptions: { delimiter: ";", skipRows: "1" },
+    });
+    assert.equal(rejected.ok, false);
+    assert.deepEqual(rejected.results.map((item) => [item.fileName, item.error]), [
+      ["first.csv", "The CSV import options are invalid."],
+      ["notes.txt", "Only CSV, GeoJSON and spreadsheet files can be imported."],
+    ]);
+    assert.equal(getSqliteDatasetSummary({ db }).datasets.length, 2);
   } finally {
     closeSqliteStore(db);
   }
@@ -0,0 +1,303 @@
+"use strict";
+
+const path = require("node:path");
+
+// Mirrors src/data/geoJsonRows.js so both backends store the same rows.
+const GEOJSON_GEOMETRY_HEADERS = ["featureType", "featureId", "part", "order", "lat", "lon"];
+const GEOJSON_FILE_EXTENSIONS = [".geojson", ".json"];
+const MAX_GEOJSON_WARNINGS = 200;
+const GEOJSON_GEOMETRY_TYPES = new Set([
+  "Point",
+  "MultiPoint",
+  "LineString",
+  "MultiLineString",
+  "Polygon",
+  "MultiPolygon",
+  "GeometryCollection",
+]);
+// Matches PROJECT_FILE_FORMAT in src/data/projectFile.js.
+const PROJECT_FILE_FORMAT = "csv-map-layer-visualizer-project";
+
+/**
+ * Return true when a local path should be read as JSON instead of CSV. Plain
+ * `.json` files are only candidates; `parseGeoJsonText` checks the content.
+ */
+function isGeoJsonFilePath(filePath) {
+  return typeof filePath === "string" &&
+    GEOJSON_FILE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Parse GeoJSON text into the vertex-per-row shape used by CSV imports.
+ * Properties are written to the first row of each feature only, and
+ * `skippedFeatureCount` counts features that produced no rows.
+ */
+function parseGeoJsonText(text) {
+  let document;
+  try {
+    document = JSON.parse(String(text ?? "").replace(/^\uFEFF/, ""));
+  } catch {
+    throw new GeoJsonImportError("The file is not valid GeoJSON.");
+  }
+
+  const features = readFeatures(document);
+  const warnings = [];
+  const usedFeatureIds = new Set();
+  const propertyKeys = [];
+  const seenPropertyKeys = new Set();
+  const expanded = [];
+  let skippedFeatureCount = 0;
+
+  features.forEach((feature, index) => {
+    const properties = isRecord(feature?.properties) ? feature.properties : {};
+    for (const key of Object.keys(properties)) {
+      if (!key.trim() || seenPropertyKeys.has(key)) continue;
+      seenPropertyKeys.add(key);
+      propertyKeys.push(key);
+    }
+
+    const featureId = createUniqueFeatureId(feature?.id, index, usedFeatureIds);
+    const vertices = expandGeometry(
+      feature?.geometry,
+      featureId,
+      index,
+      warnings,
+      usedFeatureIds,
+    );
+    if (vertices.length === 0) {
+      skippedFeatureCount += 1;
+      return;
+    }
+    expanded.push({ properties, vertices });
+  });
+
+  const headers = normalizeHeaders([...GEOJSON_GEOMETRY_HEADERS, ...propertyKeys]);
+  const propertyHeaders = headers.slice(GEOJSON_GEOMETRY_HEADERS.length);
+  const rows = [];
+
+  for (const { properties, vertices } of expanded) {
+    for (const vertex of vertices) {
+      const row = {
+        featureType: vertex.featureType,
+        featureId: vertex.featureId,
+        part: vertex.part,
+        order: vertex.order,
+        lat: String(vertex.lat),
+        lon: String(vertex.lon),
+      };
+      propertyKeys.forEach((key, keyIndex) => {
+        row[propertyHeaders[keyIndex]] = vertex.carriesProperties
+          ? formatPropertyValue(properties[key])
+          : "";
+      });
+      rows.push(row);
+    }
+  }
+
+  if (features.length === 0) {
+    throw new GeoJsonImportError("The GeoJSON file did not contain any features.");
+  }
+
+  return { headers, rows, parseErrors: warnings, skippedFeatureCount };
+}
+
+function readFeatures(document) {
+  if (!isRecord(document)) {
+    throw new GeoJsonImportError("A GeoJSON object is required.");
+  }
+  if (document.type === "FeatureCollection") {
+    if (!Array.isArray(document.features)) {
+      throw new GeoJsonImportError("The GeoJSON FeatureCollection has no features array.");
+    }
+    return document.features;
+  }
+  if (document.type === "Feature") return [document];
+  if (GEOJSON_GEOMETRY_TYPES.has(document.type)) {
+    return [{ type: "Feature", properties: {}, geometry: document }];
+  }
+  if (document.format === PROJECT_FILE_FORMAT) {
+    throw new GeoJsonImportError(
+      "This is a map project file. Use Open project to load it instead of importing it.",
+    );
+  }
+  throw new GeoJsonImportError("The file is not a GeoJSON Feature or FeatureCollection.");
+}
+
+function expandGeometry(geometry, featureId, index, warnings, usedFeatureIds) {
+  const label = `Feature ${index + 1}`;
+  if (!isRecord(geometry)) {
+    pushWarning(warnings, `${label}: skipped because it has no geometry.`);
+    return [];
+  }
+
+  const coordinates = geometry.coordinates;
+  switch (geometry.type) {
+    case "Point":
+      return isPosition(coordinates)
+        ? [createVertex("point", featureId, "", "", coordinates, true)]
+        : skipInvalid(warnings, label);
+    case "MultiPoint":
+      return Array.isArray(coordinates) && coordinates.every(isPosition)
+        ? coordinates.map((position) => createVertex("point", featureId, "", "", position, true))
+        : skipInvalid(warnings, label);
+    case "LineString":
+      return isPositionList(coordinates, 2)
+        ? expandLine(featureId, coordinates)
+        : skipInvalid(warnings, label);
+    case "MultiLineString":
+      return Array.isArray(coordinates) && coordinates.every((line) => isPositionList(line, 2))
+        ? coordinates.flatMap((line, lineIndex) => expandLine(
+          coordinates.length === 1
+            ? featureId
+            : createUniqueFeatureId(`${featureId}-${lineIndex + 1}`, index, usedFeatureIds),
+          line,
+        ))
+        : skipInvalid(warnings, label);
+    case "Polygon":
+      return isPolygon(coordinates)
+        ? expandPolygon(featureId, "0", coordinates, label, warnings, true)
+        : skipInvalid(warnings, label);
+    case "MultiPolygon":
+      return Array.isArray(coordinates) && coordinates.length > 0 && coordinates.every(isPolygon)
+        ? coordinates.flatMap((polygon, partIndex) => expandPolygon(
+          featureId,
+          String(partIndex),
+          polygon,
+          label,
+          warnings,
+          partIndex === 0,
+        ))
+        : skipInvalid(warnings, label);
+    default:
+      pushWarning(
+        warnings,
+        `${label}: skipped unsupported geometry type ${String(geometry.type ?? "unknown")}.`,
+      );
+      return [];
+  }
+}
+
+function expandLine(featureId, positions) {
+  return positions.map((position, vertexIndex) => createVertex(
+    "line",
+    featureId,
+    "",
+    String(vertexIndex + 1),
+    position,
+    vertexIndex === 0,
+  ));
+}
+
+function expandPolygon(featureId, part, rings, label, warnings, carriesProperties) {
+  if (rings.length > 1) {
+    pushWarning(warnings, `${label}: polygon holes are not supported and were ignored.`);
+  }
+  const ring = rings[0];
+  const closed = samePosition(ring[0], ring.at(-1));
+  const positions = closed ? ring.slice(0, -1) : ring;
+  return positions.map((position, vertexIndex) => createVertex(
+    "region",
+    featureId,
+    part,
+    String(vertexIndex + 1),
+    position,
+    carriesProperties && vertexIndex === 0,
+  ));
+}
+
+function createVertex(featureType, featureId, part, order, position, carriesProperties) {
+  return {
+    featureType,
+    featureId,
+    part,
+    order,
+    lon: Number(position[0]),
+    lat: Number(position[1]),
+    carriesProperties,
+  };
+}
+
+function skipInvalid(warnings, label) {
+  pushWarning(warnings, `${label}: skipped because its coordinates are invalid.`);
+  return [];
+}
+
+function pushWarning(warnings, message) {
+  if (warnings.length < MAX_GEOJSON_WARNINGS) warnings.push(message);
+}
+
+function createUniqueFeatureId(value, index, usedFeatureIds) {
+  const base = (typeof value === "string" || typeof value === "number") && String(value).trim()
+    ? String(value).trim()
+    : `feature-${index + 1}`;
+  let candidate = base;
+  let suffix = 2;
+  while (usedFeatureIds.has(candidate)) {
+    candidate = `${base}_${suffix}`;
+    suffix += 1;
+  }
+  usedFeatureIds.add(candidate);
+  return candidate;
+}
+
+function normalizeHeaders(rawHeaders) {
+  const seen = new Map();
+  const headers = [];
+
+  for (const rawHeader of rawHeaders) {
+    const base = String(rawHeader ?? "").trim();
+    if (!base) continue;
+
+    const count = (seen.get(base) ?? 0) + 1;
+    seen.set(base, count);
+    headers.push(count === 1 ? base : `${base}_${count}`);
+  }
+
+  return headers;
+}
+
+function isPosition(value) {
+  return Array.isArray(value) &&
+    value.length >= 2 &&
+    typeof value[0] !== "boolean" &&
+    typeof value[1] !== "boolean" &&
+    Number.isFinite(Number(value[0])) &&
+    Number.isFinite(Number(value[1]));
+}
+
+function isPositionList(value, minimumLength) {
+  return Array.isArray(value) && value.length >= minimumLength && value.every(isPosition);
+}
+
+function isPolygon(value) {
+  return Array.isArray(value) && value.length > 0 && value.every((ring) => isPositionList(ring, 3));
+}
+
+function samePosition(left, right) {
+  return Number(left[0]) === Number(right[0]) && Number(left[1]) === Number(right[1]);
+}
+
+function formatPropertyValue(value) {
+  if (value == null) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value).trim();
+}
+
+function isRecord(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/** Error whose message is safe to show for a rejected GeoJSON file. */
+class GeoJsonImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "GeoJsonImportError";
+  }
+}
+
+module.exports = {
+  GeoJsonImportError,
+  GEOJSON_FILE_EXTENSIONS,
+  isGeoJsonFilePath,
+  parseGeoJsonText,
+};
@@ -6,13 +6,21 @@ const path = require("node:path");
 const { importCsvFilesToSqlite } = require("./csvImportService.cjs");
 const { importDroppedCsvFilesToSqlite } = require("./droppedCsvImport.cjs");
 const {
+  addSqliteDrawnFeature,
+  geocodeSqliteDataset,
   getSqliteDatasetSummary,
   removeSqliteDataset,
   setSqliteDatasetEnabled,
+  updateSqliteDatasetMapping,
+  updateSqliteSourceRow,
 } = require("./sqliteDatasetService.cjs");
 const { closeSqliteStore, openSqliteStore } = require("./sqliteStore.cjs");
-const { exportSqliteDatasetCsv } = require("./sqliteDatasetExport.cjs");
+const {
+  exportSqliteDatasetCsv,
+  exportSqliteDatasetGeoJson,
+} = require("./sqliteDatasetExport.cjs");
 const { createExternalLinkWindowHandler } = require("./externalLinks.cjs");
+const { normalizeMapPdfRequest, printMapPdf } = require("./mapPdfExport.cjs");
 const { querySqliteMapView } = require("./sqliteViewportQuery.cjs");
 const {
   getCustomTileLayerFilePath,
@@ -21,6 +29,10 @@ const {
 } = require("./customTileLayerStore.cjs");
 const {
   getSqliteLogicalZone,
+  getSqliteZoneEditHistory,
+  redoSqliteZoneEdit,
+  revertSqliteLogicalZone,
+  undoSqliteZoneEdit,
   updateSqliteLogicalZone,
 } = require("./sqliteZoneService.cjs");
 
@@ -28,6 +40,13 @@ const {
   getSqliteFeatureDetails,
   getSqliteGroupRows,
 } = require('./sqliteDetailQuery.cjs');
+const { searchSqliteFeatures } = require("./sqliteFeatureSearch.cjs");
+const { getSqliteFieldSummary } = require("./sqliteFieldSummary.cjs");
+const { getSqliteTimelineHistogram } = require("./sqliteTimelineHistogram.cjs");
+const {
+  collectSqliteProjectDatasets,
+  importSqliteProjectDatasets,
+} = require("./sqliteProjectFile.cjs");
 
 const LOCAL_DATA_DIR_NAME = ".local-data";
 const SQLITE_DB_FILE_NAME = "csv-map-layer-visualizer.sqlite";
@@ -52,10 +71,13 @@ function registerDesktopBridgeHandlers() {
   // The renderer asks to import, but the main process opens the file picker.
   ipcMain.handle("desktop:importCsvToSqlite", async (event) => {
     const fileResult = await dialog.showOpenDialog({
-      title: "Import CSV files",
+      title: "Import CSV, GeoJSON or spreadsheet files",
       properties: ["openFile", "multiSelections"],
       filters: [
-        { name: "CSV files", extensions: ["csv"] },
+        {
+          name: "CSV, GeoJSON and spreadsheet files",
+          extensions: ["csv", "geojson", "json", "xlsx", "ods"],
+        },
         { name: "All files", extensions: ["*"] },
       ],
     });
@@ -71,6 +93,7 @@ function registerDesktopBridgeHandlers() {
         db,
         filePaths: fileResult.filePaths,
         onProgress: (progress) => sendCsvImportProgress(event, progress),
+        chooseSheet: (fileName, sheets) => chooseWorkbookSheet(event, fileName, sheets),
       });
     } finally {
       closeSqliteStore(db);
@@ -85,6 +108,9 @@ function registerDesktopBridgeHandlers() {
         bounds: query?.bounds,
         timeline: query?.timeline,
         renderBudget: query?.renderBudget,
+        attributeFilters: query?.attributeFilters,
+        styleFields: query?.styleFields,
+        heatmapDatasetIds: query?.heatmapDatasetIds,
       });
     } finally {
       closeSqliteStore(db);
@@ -97,7 +123,9 @@ function registerDesktopBridgeHandlers() {
       return importDroppedCsvFilesToSqlite({
         db,
         filePaths: request?.filePaths,
+        csvOptions: request?.csvOptions,
         onProgress: (progress) => sendCsvImportProgress(event, progress),
+        chooseSheet: (fileName, sheets) => chooseWorkbookSheet(event, fileName, sheets),
       });
     } finally {
       closeSqliteStore(db);
@@ -137,47 +165,33 @@ function registerDesktopBridgeHandlers() {
       closeSqliteStore(db);
     }
   });
-  ipcMain.handle("desktop:saveDatasetAsCsv", async (event, request = {}) => {
-    const requestedDatasetId = typeof request?.datasetId === "string"
-      ? request.datasetId.trim()
-      : null;
-    let exported;
-
-    try {
-      const db = openDesktopSqliteStore();
-      try {
-        // Serialize before opening the dialog so no partial output can precede a failure.
-        exported = exportSqliteDatasetCsv({ db, datasetId: requestedDatasetId });
-      } finally {
-        closeSqliteStore(db);
-      }
-
-      const owner = BrowserWindow.fromWebContents(event.sender);
-      const saveResult = await dialog.showSaveDialog(owner, {
-        title: "Save CSV dataset",
-        defaultPath: exported.fileName,
-        filters: [
-          { name: "CSV files", extensions: ["csv"] },
-          { name: "All files", extensions: ["*"] },
-        ],
-      });
-
-      if (saveResult.canceled || !saveResult.filePath) {
-        return { ok: false, canceled: true, datasetId: exported.datasetId };
-      }
-
-      writeUtf8FileAtomically(saveResult.filePath, exported.csvText);
-      return {
-        ok: true,
-        canceled: false,
-        datasetId: exported.datasetId,
-        fileName: path.basename(saveResult.filePath),
-      };
-    } catch {
-      // Raw paths, SQLite details, and filesystem errors never cross the preload boundary.
-      return { ok: false, canceled: false, datasetId: requestedDatasetId };
-    }
-  });
+  ipcMain.handle("desktop:saveDatasetAsCsv", (event, request = {}) => saveExportedDataset(
+    event,
+    request,
+    {
+      title: "Save CSV dataset",
+      filter: { name: "CSV files", extensions: ["csv"] },
+      exportDataset: (db, datasetId) => {
+        const exported = exportSqliteDatasetCsv({ db, datasetId });
+        return { ...exported, text: exported.csvText };
+      },
+    },
+  ));
+  ipcMain.handle("desktop:saveDatasetAsGeoJson", (event, request = {}) => saveExportedDataset(
+    event,
+    request,
+    {
+      title: "Save dataset as GeoJSON",
+      filter: { name: "GeoJSON files", extensions: ["geojson"] },
+      exportDataset: (db, datasetId) => {
+        const exported = exportSqliteDatasetGeoJson({ db, datasetId });
+        return { ...exported, text: exported.geoJsonText };
+      },
+    },
+  ));
+  ipcMain.handle("desktop:saveProject", (event, request = {}) => saveProjectFile(event, request));
+  ipcMain.handle("desktop:openProject", (event) => openProjectFile(event));
+  ipcMain.handle("desktop:saveMapPdf", (event, request = {}) => saveMapPdf(event, request));
   ipcMain.handle('desktop:getFeatureDetails', async (_event, query = {}) => {
     // Keep SQLite access in the main process and return full rows only on demand.
     const db = openDesktopSqliteStore();
@@ -205,6 +219,47 @@ function registerDesktopBridgeHandlers() {
       closeSqliteStore(db);
     }
   });
+  ipcMain.handle('desktop:searchFeatures', async (_event, query = {}) => {
+    const db = openDesktopSqliteStore();
+
+    try {
+      return searchSqliteFeatures({
+        db,
+        text: query?.text,
+        limit: query?.limit,
+      });
+    } finally {
+      closeSqliteStore(db);
+    }
+  });
+  ipcMain.handle('desktop:getFieldSummary', async (_event, query = {}) => {
+    const db = openDesktopSqliteStore();
+
+    try {
+      return getSqliteFieldSummary({
+        db,
+        datasetId: query?.datasetId,
+        field: query?.field,
+      });
+    } finally {
+      closeSqliteStore(db);
+    }
+  });
+  ipcMain.handle('desktop:getTimelineHistogram', async (_event, query = {}) => {
+    const db = openDesktopSqliteStore();
+
+    try {
+      return getSqliteTimelineHistogram({
+        db,
+        startYear: query?.startYear,
+        endYear: query?.endYear,
+        bucketYears: query?.bucketYears,
+        attributeFilters: query?.attributeFilters,
+      });
+    } finally {
+      closeSqliteStore(db);
+    }
+  });
   ipcMain.handle('desktop:getLogicalZone', async (_event, query = {}) => {
     const db = openDesktopSqliteStore();
     try {
@@ -212,6 +267,7 @@ function registerDesktopBridgeHandlers() {
         db,
         datasetId: query?.datasetId,
         featureId: query?.featureId,
+        geometryType: query?.geometryType,
       });
     } finally {
       closeSqliteStore(db);
@@ -224,12 +280,102 @@ function registerDesktopBridgeHandlers() {
         db,
         datasetId: request?.datasetId,
         featureId: request?.featureId,
+        geometryType: request?.geometryType,
         parts: request?.parts,
       });
     } finally {
       closeSqliteStore(db);
     }
   });
+  ipcMain.handle('desktop:revertLogicalZone', async (_event, request = {}) => {
+    const db = openDesktopSqliteStore();
+    try {
+      return revertSqliteLogicalZone({
+        db,
+        datasetId: request?.datasetId,
+        featureId: request?.featureId,
+        geometryType: request?.geometryType,
+      });
+    } finally {
+      closeSqliteStore(db);
+    }
+  });
+  ipcMain.handle('desktop:undoZoneEdit', async (_event, request = {}) => {
+    const db = openDesktopSqliteStore();
+    try {
+      return undoSqliteZoneEdit({ db, datasetId: request?.datasetId });
+    } finally {
+      closeSqliteStore(db);
+    }
+  });
+  ipcMain.handle('desktop:redoZoneEdit', async (_event, request = {}) => {
+    const db = openDesktopSqliteStore();
+    try {
+      return redoSqliteZoneEdit({ db, datasetId: request?.datasetId });
+    } finally {
+      closeSqliteStore(db);
+    }
+  });
+  ipcMain.handle('desktop:getZoneEditHistory', async (_event, query = {}) => {
+    const db = openDesktopSqliteStore();
+    try {
+      return getSqliteZoneEditHistory({ db, datasetId: query?.datasetId });
+    } finally {
+      closeSqliteStore(db);
+    }
+  });
+  ipcMain.handle('desktop:updateDatasetMapping', async (_event, request = {}) => {
+    const db = openDesktopSqliteStore();
+    try {
+      return updateSqliteDatasetMapping({
+        db,
+        datasetId: request?.datasetId,
+        mapping: request?.mapping,
+      });
+    } finally {
+      closeSqliteStore(db);
+    }
+  });
+  ipcMain.handle('desktop:addDrawnFeature', async (_event, request = {}) => {
+    const db = openDesktopSqliteStore();
+    try {
+      return addSqliteDrawnFeature({
+        db,
+        datasetId: request?.datasetId,
+        geometryType: request?.geometryType,
+        coordinates: request?.coordinates,
+      });
+    } finally {
+      closeSqliteStore(db);
+    }
+  });
+  ipcMain.handle('desktop:updateSourceRow', async (_event, request = {}) => {
+    const db = openDesktopSqliteStore();
+    try {
+      return updateSqliteSourceRow({
+        db,
+        sourceRef: request?.sourceRef,
+        values: request?.values,
+      });
+    } finally {
+      closeSqliteStore(db);
+    }
+  });
+  ipcMain.handle('desktop:geocodeDataset', async (_event, request = {}) => {
+    const db = openDesktopSqliteStore();
+    try {
+      return geocodeSqliteDataset({
+        db,
+        datasetId: request?.datasetId,
+        gazetteerDatasetId: request?.gazetteerDatasetId,
+        placeField: request?.placeField,
+        countryField: request?.countryField ?? null,
+        choices: request?.choices ?? [],
+      });
+    } finally {
+      closeSqliteStore(db);
+    }
+  });
   ipcMain.handle("desktop:loadCustomTileLayers", async () => {
     const loaded = await loadValidatedCustomTileLayers();
     return loaded.ok
@@ -317,14 +463,204 @@ function sendCsvImportProgress(event, progress) {
   event.sender.send("desktop:csvImportProgress", progress);
 }
 
+/**
+ * Ask which sheet of a multi-sheet workbook to import. Runs synchronously
+ * because the import batch itself is synchronous in the main process.
+ */
+function chooseWorkbookSheet(event, fileName, sheets) {
+  const owner = event?.sender && !event.sender.isDestroyed()
+    ? BrowserWindow.fromWebContents(event.sender)
+    : null;
+  const defaultIndex = Math.max(0, sheets.findIndex((sheet) => !sheet.hidden));
+  const options = {
+    type: "question",
+    title: "Choose a sheet",
+    message: `Which sheet of ${fileName} should be imported?`,
+    detail: "The first non-empty row of the sheet is read as the header row.",
+    buttons: [
+      ...sheets.map((sheet) => (sheet.hidden ? `${sheet.name} (hidden)` : sheet.name)),
+      "Cancel",
+    ],
+    defaultId: defaultIndex,
+    cancelId: sheets.length,
+    noLink: true,
+  };
+  const response = owner
+    ? dialog.showMessageBoxSync(owner, options)
+    : dialog.showMessageBoxSync(options);
+  return sheets[response]?.name ?? null;
+}
+
+/** Serialize one dataset, then let the user choose where the completed text is written. */
+async function saveExportedDataset(event, request, { title, filter, exportDataset }) {
+  const requestedDatasetId = typeof request?.datasetId === "string"
+    ? request.datasetId.trim()
+    : null;
+  let exported;
+
+  try {
+    const db = openDesktopSqliteStore();
+    try {
+      // Serialize before opening the dialog so no partial output can precede a failure.
+      exported = exportDataset(db, requestedDatasetId);
+    } finally {
+      closeSqliteStore(db);
+    }
+
+    const owner = BrowserWindow.fromWebContents(event.sender);
+    const saveResult = await dialog.showSaveDialog(owner, {
+      title,
+      defaultPath: exported.fileName,
+      filters: [
+        filter,
+        { name: "All files", extensions: ["*"] },
+      ],
+    });
+
+    if (saveResult.canceled || !saveResult.filePath) {
+      return { ok: false, canceled: true, datasetId: exported.datasetId };
+    }
+
+    writeUtf8FileAtomically(saveResult.filePath, exported.text);
+    return {
+      ok: true,
+      canceled: false,
+      datasetId: exported.datasetId,
+      fileName: path.basename(saveResult.filePath),
+    };
+  } catch {
+    // Raw paths, SQLite details, and filesystem errors never cross the preload boundary.
+    return { ok: false, canceled: false, datasetId: requestedDatasetId };
+  }
+}
+
+/** Bundle every dataset with the renderer's view, then let the user choose the file. */
+async function saveProjectFile(event, request) {
+  try {
+    let datasets;
+    const db = openDesktopSqliteStore();
+    try {
+      datasets = collectSqliteProjectDatasets({ db });
+    } finally {
+      closeSqliteStore(db);
+    }
+
+    const { PROJECT_FILE_NAME, serializeProjectFile } = await import(
+      "../src/data/projectFile.js"
+    );
+    const text = serializeProjectFile({ datasets, view: request?.view });
+    const owner = BrowserWindow.fromWebContents(event.sender);
+    const saveResult = await dialog.showSaveDialog(owner, {
+      title: "Save project",
+      defaultPath: PROJECT_FILE_NAME,
+      filters: [
+        { name: "Map project files", extensions: ["json"] },
+        { name: "All files", extensions: ["*"] },
+      ],
+    });
+
+    if (saveResult.canceled || !saveResult.filePath) {
+      return { ok: false, canceled: true };
+    }
+
+    writeUtf8FileAtomically(saveResult.filePath, text);
+    return {
+      ok: true,
+      canceled: false,
+      fileName: path.basename(saveResult.filePath),
+    };
+  } catch {
+    return { ok: false, canceled: false };
+  }
+}
+
+/** Render the exported map document to PDF, then let the user choose the file. */
+async function saveMapPdf(event, request) {
+  try {
+    const mapRequest = normalizeMapPdfRequest(request);
+    if (!mapRequest) return { ok: false, canceled: false };
+
+    const { buildMapPrintHtml } = await import("../src/components/mapImageExport.js");
+    // Render before opening the dialog so a failed print never leaves a file behind.
+    const pdf = await printMapPdf({
+      BrowserWindow,
+      html: buildMapPrintHtml(mapRequest),
+      width: mapRequest.width,
+      height: mapRequest.height,
+    });
+    const owner = BrowserWindow.fromWebContents(event.sender);
+    const saveResult = await dialog.showSaveDialog(owner, {
+      title: "Save map as PDF",
+      defaultPath: mapRequest.fileName,
+      filters: [
+        { name: "PDF documents", extensions: ["pdf"] },
+        { name: "All files", extensions: ["*"] },
+      ],
+    });
+
+    if (saveResult.canceled || !saveResult.filePath) {
+      return { ok: false, canceled: true };
+    }
+
+    writeFileAtomically(saveResult.filePath, pdf);
+    return {
+      ok: true,
+      canceled: false,
+      fileName: path.basename(saveResult.filePath),
+    };
+  } catch {
+    return { ok: false, canceled: false };
+  }
+}
+
+/** Import a chosen project's datasets and hand its view back to the renderer. */
+async function openProjectFile(event) {
+  const owner = BrowserWindow.fromWebContents(event.sender);
+  const fileResult = await dialog.showOpenDialog(owner, {
+    title: "Open project",
+    properties: ["openFile"],
+    filters: [
+      { name: "Map project files", extensions: ["json"] },
+      { name: "All files", extensions: ["*"] },
+    ],
+  });
+
+  if (fileResult.canceled || fileResult.filePaths.length === 0) {
+    return { ok: false, canceled: true };
+  }
+
+  let project;
+  try {
+    const { parseProjectFile } = await import("../src/data/projectFile.js");
+    project = parseProjectFile(fs.readFileSync(fileResult.filePaths[0], "utf8"));
+  } catch {
+    return { ok: false, canceled: false, results: [] };
+  }
+
+  const db = openDesktopSqliteStore();
+  try {
+    return {
+      ...importSqliteProjectDatasets({ db, datasets: project.datasets }),
+      view: project.view,
+    };
+  } finally {
+    closeSqliteStore(db);
+  }
+}
+
 /** Write beside the destination, then replace it only after UTF-8 output succeeds. */
 function writeUtf8FileAtomically(destination, contents) {
+  writeFileAtomically(destination, contents, { encoding: "utf8" });
+}
+
+/** Same replace-after-success write for binary output such as PDFs. */
+function writeFileAtomically(destination, contents, options = {}) {
   const temporaryPath = path.join(
     path.dirname(destination),
     `.${path.basename(destination)}.${process.pid}.${Date.now()}.tmp`,
   );
   try {
-    fs.writeFileSync(temporaryPath, contents, { encoding: "utf8", flag: "wx" });
+    fs.writeFileSync(temporaryPath, contents, { ...options, flag: "wx" });
     fs.renameSync(temporaryPath, destination);
   } catch (error) {
     try {
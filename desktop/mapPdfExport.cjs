@@ -0,0 +1,89 @@
+"use strict";
+
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+// Embedded tiles make large documents; anything beyond this is not a map export.
+const MAX_MAP_PDF_SVG_LENGTH = 64 * 1024 * 1024;
+const MAX_MAP_PDF_SIZE = 10000;
+const CSS_PIXELS_PER_INCH = 96;
+const DEFAULT_MAP_PDF_FILE_NAME = "map.pdf";
+
+/**
+ * Accept only a standalone SVG document with a sane page size and a plain
+ * PDF file name; anything else is rejected before a window is created.
+ */
+function normalizeMapPdfRequest(request) {
+  const svg = request?.svg;
+  if (
+    typeof svg !== "string" ||
+    svg.length > MAX_MAP_PDF_SVG_LENGTH ||
+    !svg.startsWith("<svg")
+  ) {
+    return null;
+  }
+  const width = Number(request.width);
+  const height = Number(request.height);
+  if (![width, height].every((size) => (
+    Number.isFinite(size) && size >= 1 && size <= MAX_MAP_PDF_SIZE
+  ))) {
+    return null;
+  }
+
+  const requestedName = typeof request.fileName === "string"
+    ? path.basename(request.fileName.trim())
+    : "";
+  return {
+    svg,
+    width: Math.round(width),
+    height: Math.round(height),
+    fileName: /^[^<>:"/\\|?*]+\.pdf$/i.test(requestedName)
+      ? requestedName
+      : DEFAULT_MAP_PDF_FILE_NAME,
+  };
+}
+
+/**
+ * Print the page to PDF in a hidden window without scripts. The page is
+ * written to a private temporary folder because large documents exceed the
+ * length Chromium allows for data URLs.
+ */
+async function printMapPdf({ BrowserWindow, html, width, height }) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "csv-map-pdf-"));
+  const htmlPath = path.join(directory, "map.html");
+  let window = null;
+  try {
+    fs.writeFileSync(htmlPath, html, { encoding: "utf8", flag: "wx" });
+    window = new BrowserWindow({
+      show: false,
+      width,
+      height,
+      webPreferences: {
+        contextIsolation: true,
+        javascript: false,
+        nodeIntegration: false,
+        sandbox: true,
+      },
+    });
+    await window.loadFile(htmlPath);
+    return await window.webContents.printToPDF({
+      printBackground: true,
+      pageSize: {
+        width: width / CSS_PIXELS_PER_INCH,
+        height: height / CSS_PIXELS_PER_INCH,
+      },
+      margins: { top: 0, bottom: 0, left: 0, right: 0 },
+      preferCSSPageSize: true,
+    });
+  } finally {
+    if (window && !window.isDestroyed()) window.destroy();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  MAX_MAP_PDF_SVG_LENGTH,
+  normalizeMapPdfRequest,
+  printMapPdf,
+};
@@ -0,0 +1,91 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const {
+  MAX_MAP_PDF_SVG_LENGTH,
+  normalizeMapPdfRequest,
+  printMapPdf,
+} = require("./mapPdfExport.cjs");
+
+const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="300"></svg>';
+
+assert.deepEqual(
+  normalizeMapPdfRequest({ svg, width: 400.4, height: 300, fileName: "towns.pdf" }),
+  { svg, width: 400, height: 300, fileName: "towns.pdf" },
+);
+// Folder parts and unsafe names never reach the save dialog.
+assert.equal(
+  normalizeMapPdfRequest({ svg, width: 10, height: 10, fileName: "../../secret/towns.pdf" }).fileName,
+  "towns.pdf",
+);
+for (const fileName of ["towns.png", "", "a<b.pdf", null]) {
+  assert.equal(normalizeMapPdfRequest({ svg, width: 10, height: 10, fileName }).fileName, "map.pdf");
+}
+
+for (const request of [
+  null,
+  { svg: "<html></html>", width: 10, height: 10 },
+  { svg: 42, width: 10, height: 10 },
+  { svg, width: 0, height: 10 },
+  { svg, width: 10, height: 20000 },
+  { svg, width: "wide", height: 10 },
+  { svg: `<svg>${" ".repeat(MAX_MAP_PDF_SVG_LENGTH)}</svg>`, width: 10, height: 10 },
+]) {
+  assert.equal(normalizeMapPdfRequest(request), null);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
+
+async function main() {
+  // The window is created without scripts and the temporary page is removed.
+  const created = [];
+  let pagePath = null;
+  class FakeWindow {
+    constructor(options) {
+      created.push(options);
+      this.destroyed = false;
+      this.webContents = {
+        printToPDF: async (options) => {
+          assert.equal(fs.readFileSync(pagePath, "utf8"), "<p>map</p>");
+          return Buffer.from(JSON.stringify(options));
+        },
+      };
+    }
+
+    async loadFile(filePath) {
+      pagePath = filePath;
+    }
+
+    isDestroyed() {
+      return this.destroyed;
+    }
+
+    destroy() {
+      this.destroyed = true;
+    }
+  }
+
+  const pdf = await printMapPdf({ BrowserWindow: FakeWindow, html: "<p>map</p>", width: 960, height: 480 });
+  assert.deepEqual(JSON.parse(pdf.toString()).pageSize, { width: 10, height: 5 });
+  assert.equal(created[0].show, false);
+  assert.equal(created[0].webPreferences.javascript, false);
+  assert.equal(fs.existsSync(pagePath), false);
+
+  class FailingWindow extends FakeWindow {
+    async loadFile(filePath) {
+      pagePath = filePath;
+      throw new Error("load failed");
+    }
+  }
+  await assert.rejects(
+    printMapPdf({ BrowserWindow: FailingWindow, html: "<p>map</p>", width: 10, height: 10 }),
+    /load failed/,
+  );
+  assert.equal(fs.existsSync(pagePath), false);
+
+  console.log("Map PDF export smoke test passed.");
+}
@@ -7,7 +7,7 @@ contextBridge.exposeInMainWorld("csvMapDesktop", {
   isDesktop: true,
   getStatus: () => ipcRenderer.invoke("desktop:getStatus"),
   importCsvToSqlite: () => ipcRenderer.invoke("desktop:importCsvToSqlite"),
-  importDroppedCsvFiles: (files) => {
+  importDroppedCsvFiles: (files, options) => {
     const filePaths = Array.from(files ?? []).map((file) => {
       try {
         return webUtils.getPathForFile(file);
@@ -15,7 +15,10 @@ contextBridge.exposeInMainWorld("csvMapDesktop", {
         return "";
       }
     });
-    return ipcRenderer.invoke("desktop:importDroppedCsvFiles", { filePaths });
+    return ipcRenderer.invoke("desktop:importDroppedCsvFiles", {
+      filePaths,
+      ...(options?.csvOptions ? { csvOptions: options.csvOptions } : {}),
+    });
   },
   onCsvImportProgress: (callback) => {
     if (typeof callback !== "function") return () => {};
@@ -38,11 +41,33 @@ contextBridge.exposeInMainWorld("csvMapDesktop", {
     "desktop:saveDatasetAsCsv",
     { datasetId },
   ),
+  saveDatasetAsGeoJson: (datasetId) => ipcRenderer.invoke(
+    "desktop:saveDatasetAsGeoJson",
+    { datasetId },
+  ),
+  // Project files are chosen by native dialogs in the main process.
+  saveProject: (view) => ipcRenderer.invoke("desktop:saveProject", { view }),
+  openProject: () => ipcRenderer.invoke("desktop:openProject"),
+  // The main process renders the map document to PDF and saves it.
+  saveMapPdf: ({ svg, width, height, fileName } = {}) => (
+    ipcRenderer.invoke("desktop:saveMapPdf", { svg, width, height, fileName })
+  ),
   // Expose structured lookup requests without exposing SQLite or raw SQL.
   getFeatureDetails: (query) => ipcRenderer.invoke('desktop:getFeatureDetails', query),
   getGroupRows: (query) => ipcRenderer.invoke('desktop:getGroupRows', query),
+  searchFeatures: (query) => ipcRenderer.invoke('desktop:searchFeatures', query),
+  getFieldSummary: (query) => ipcRenderer.invoke('desktop:getFieldSummary', query),
+  getTimelineHistogram: (query) => ipcRenderer.invoke('desktop:getTimelineHistogram', query),
   getLogicalZone: (query) => ipcRenderer.invoke('desktop:getLogicalZone', query),
   updateLogicalZone: (request) => ipcRenderer.invoke('desktop:updateLogicalZone', request),
+  revertLogicalZone: (request) => ipcRenderer.invoke('desktop:revertLogicalZone', request),
+  undoZoneEdit: (request) => ipcRenderer.invoke('desktop:undoZoneEdit', request),
+  redoZoneEdit: (request) => ipcRenderer.invoke('desktop:redoZoneEdit', request),
+  getZoneEditHistory: (query) => ipcRenderer.invoke('desktop:getZoneEditHistory', query),
+  updateDatasetMapping: (request) => ipcRenderer.invoke('desktop:updateDatasetMapping', request),
+  addDrawnFeature: (request) => ipcRenderer.invoke('desktop:addDrawnFeature', request),
+  updateSourceRow: (request) => ipcRenderer.invoke('desktop:updateSourceRow', request),
+  geocodeDataset: (request) => ipcRenderer.invoke('desktop:geocodeDataset', request),
   // Custom tile settings use fixed operations; no path or channel is renderer-controlled.
   loadCustomTileLayers: () => ipcRenderer.invoke("desktop:loadCustomTileLayers"),
   addCustomTileLayer: (definition) => ipcRenderer.invoke(
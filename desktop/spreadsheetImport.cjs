@@ -0,0 +1,650 @@
+"use strict";
+
+/*
+ * Rows of one sheet from an .xlsx or .ods workbook, for the desktop importer.
+ *
+ * Mirrors src/data/spreadsheetRows.js, which the main process cannot require:
+ * workbooks are ZIP archives of XML parts, read here with node:zlib instead of
+ * the browser's DecompressionStream so the whole import stays synchronous.
+ */
+
+const path = require("node:path");
+const zlib = require("node:zlib");
+
+/** Workbook formats read as one sheet of rows instead of CSV text. */
+const SPREADSHEET_FILE_EXTENSIONS = [".xlsx", ".ods"];
+
+// Parts larger than this are refused before inflating, which keeps a
+// compressed file from expanding without bound in the main process.
+const MAX_SPREADSHEET_PART_BYTES = 256 * 1024 * 1024;
+const ZIP_END_OF_DIRECTORY_SIGNATURE = 0x06054b50;
+const ZIP_DIRECTORY_ENTRY_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const MAX_ZIP_COMMENT_BYTES = 0xffff;
+// Built-in Excel number formats that display dates or times.
+const BUILT_IN_DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const EXCEL_1900_EPOCH_MS = Date.UTC(1899, 11, 30);
+const EXCEL_1904_EPOCH_MS = Date.UTC(1904, 0, 1);
+const XML_TOKEN_PATTERN = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][^>]*>|<(\/?)([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const XML_ATTRIBUTE_PATTERN = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const XML_ENTITIES = Object.freeze({ amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" });
+
+/** Return true when a local path is an Excel or OpenDocument workbook. */
+function isSpreadsheetFilePath(filePath) {
+  return typeof filePath === "string" &&
+    SPREADSHEET_FILE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * List the sheets of an .xlsx or .ods workbook in workbook order.
+ *
+ * @param {Buffer|Uint8Array} data Complete workbook bytes.
+ * @returns {Array<{ name: string, hidden: boolean }>}
+ */
+function listSpreadsheetSheets(data) {
+  const archive = openZipArchive(data);
+  if (archive.has("content.xml")) {
+    return readOdsSheets(readZipText(archive, "content.xml")).map(toSheetInfo);
+  }
+  return readXlsxWorkbook(archive).sheets.map(toSheetInfo);
+}
+
+/**
+ * Read one sheet as rows of cell text, ready for the CSV header and row rules.
+ *
+ * Dates become ISO `YYYY-MM-DD` text (with a time when the cell has one) so
+ * timeline detection reads them like CSV dates; numbers lose display
+ * formatting. Without a sheet name the first visible sheet is read.
+ *
+ * @param {Buffer|Uint8Array} data Complete workbook bytes.
+ * @param {string|null} [sheetName] Sheet chosen by the user.
+ * @returns {{ sheetName: string, rows: string[][] }}
+ */
+function readSpreadsheetRows(data, sheetName = null) {
+  const archive = openZipArchive(data);
+  if (archive.has("content.xml")) {
+    const sheets = readOdsSheets(readZipText(archive, "content.xml"));
+    const sheet = pickSheet(sheets, sheetName);
+    return { sheetName: sheet.name, rows: sheet.rows };
+  }
+
+  const workbook = readXlsxWorkbook(archive);
+  const sheet = pickSheet(workbook.sheets, sheetName);
+  if (!archive.has(sheet.path)) {
+    throw new SpreadsheetImportError(`The sheet "${sheet.name}" could not be found in the workbook.`);
+  }
+  const sharedStrings = workbook.sharedStringsPath && archive.has(workbook.sharedStringsPath)
+    ? readSharedStrings(readZipText(archive, workbook.sharedStringsPath))
+    : [];
+  const dateStyles = workbook.stylesPath && archive.has(workbook.stylesPath)
+    ? readDateStyles(readZipText(archive, workbook.stylesPath))
+    : new Set();
+  const rows = readXlsxSheetRows(readZipText(archive, sheet.path), {
+    sharedStrings,
+    dateStyles,
+    epochMs: workbook.date1904 ? EXCEL_1904_EPOCH_MS : EXCEL_1900_EPOCH_MS,
+    date1904: workbook.date1904,
+  });
+  return { sheetName: sheet.name, rows };
+}
+
+function toSheetInfo(sheet) {
+  return { name: sheet.name, hidden: sheet.hidden };
+}
+
+function pickSheet(sheets, sheetName) {
+  if (sheets.length === 0) {
+    throw new SpreadsheetImportError("The workbook does not contain any sheets.");
+  }
+  if (sheetName == null) return sheets.find((sheet) => !sheet.hidden) ?? sheets[0];
+  const sheet = sheets.find((candidate) => candidate.name === sheetName);
+  if (!sheet) throw new SpreadsheetImportError(`The workbook has no sheet named "${sheetName}".`);
+  return sheet;
+}
+
+/** Find the sheets of an .xlsx archive through its workbook relationships. */
+function readXlsxWorkbook(archive) {
+  const rootRelations = archive.has("_rels/.rels")
+    ? readRelationships(readZipText(archive, "_rels/.rels"), "")
+    : [];
+  const workbookPath = rootRelations.find((relation) => relation.type.endsWith("/officeDocument"))
+    ?.target ?? "xl/workbook.xml";
+  if (!archive.has(workbookPath)) {
+    throw new SpreadsheetImportError("The file is not an .xlsx or .ods workbook.");
+  }
+
+  const workbookDirectory = workbookPath.slice(0, workbookPath.lastIndexOf("/") + 1);
+  const relationsPath = `${workbookDirectory}_rels/${workbookPath.slice(workbookDirectory.length)}.rels`;
+  const relations = archive.has(relationsPath)
+    ? readRelationships(readZipText(archive, relationsPath), workbookDirectory)
+    : [];
+  const targets = new Map(relations.map((relation) => [relation.id, relation.target]));
+  const sheets = [];
+  let date1904 = false;
+
+  scanXml(readZipText(archive, workbookPath), {
+    open(name, attributes) {
+      const local = localName(name);
+      if (local === "workbookPr") {
+        date1904 = ["1", "true"].includes(attributes.date1904);
+      } else if (local === "sheet") {
+        const relationId = findAttribute(attributes, "id");
+        sheets.push({
+          name: attributes.name ?? `Sheet${sheets.length + 1}`,
+          hidden: attributes.state === "hidden" || attributes.state === "veryHidden",
+          path: targets.get(relationId) ?? `${workbookDirectory}worksheets/sheet${sheets.length + 1}.xml`,
+        });
+      }
+    },
+  });
+
+  return {
+    sheets,
+    date1904,
+    sharedStringsPath: relations.find((relation) => relation.type.endsWith("/sharedStrings"))
+      ?.target ?? null,
+    stylesPath: relations.find((relation) => relation.type.endsWith("/styles"))?.target ?? null,
+  };
+}
+
+function readRelationships(text, baseDirectory) {
+  const relations = [];
+  scanXml(text, {
+    open(name, attributes) {
+      if (localName(name) !== "Relationship" || attributes.TargetMode === "External") return;
+      relations.push({
+        id: attributes.Id ?? "",
+        type: attributes.Type ?? "",
+        target: resolvePartPath(baseDirectory, attributes.Target ?? ""),
+      });
+    },
+  });
+  return relations;
+}
+
+function resolvePartPath(baseDirectory, target) {
+  const parts = [];
+  const joined = target.startsWith("/") ? target.slice(1) : `${baseDirectory}${target}`;
+  for (const part of joined.split("/")) {
+    if (part === "..") parts.pop();
+    else if (part && part !== ".") parts.push(part);
+  }
+  return parts.join("/");
+}
+
+function readSharedStrings(text) {
+  const strings = [];
+  let current = null;
+  let textDepth = 0;
+  let phoneticDepth = 0;
+
+  scanXml(text, {
+    open(name, _attributes, selfClosing) {
+      const local = localName(name);
+      if (local === "si") {
+        current = selfClosing ? null : "";
+        if (selfClosing) strings.push("");
+      } else if (local === "rPh" && !selfClosing) {
+        phoneticDepth += 1;
+      } else if (local === "t" && !selfClosing) {
+        textDepth += 1;
+      }
+    },
+    close(name) {
+      const local = localName(name);
+      if (local === "si") {
+        strings.push(current ?? "");
+        current = null;
+      } else if (local === "rPh") {
+        phoneticDepth -= 1;
+      } else if (local === "t") {
+        textDepth -= 1;
+      }
+    },
+    text(value) {
+      if (current != null && textDepth > 0 && phoneticDepth === 0) current += value;
+    },
+  });
+  return strings;
+}
+
+/** Indexes of cell formats (`s` attributes) that display dates or times. */
+function readDateStyles(text) {
+  const customDateFormats = new Set();
+  const dateStyles = new Set();
+  let inCellFormats = false;
+  let formatIndex = 0;
+
+  scanXml(text, {
+    open(name, attributes, selfClosing) {
+      const local = localName(name);
+      if (local === "numFmt") {
+        if (isDateFormatCode(attributes.formatCode)) {
+          customDateFormats.add(Number(attributes.numFmtId));
+        }
+      } else if (local === "cellXfs") {
+        inCellFormats = !selfClosing;
+      } else if (local === "xf" && inCellFormats) {
+        const formatId = Number(attributes.numFmtId ?? 0);
+        if (BUILT_IN_DATE_FORMAT_IDS.has(formatId) || customDateFormats.has(formatId)) {
+          dateStyles.add(formatIndex);
+        }
+        formatIndex += 1;
+      }
+    },
+    close(name) {
+      if (localName(name) === "cellXfs") inCellFormats = false;
+    },
+  });
+  return dateStyles;
+}
+
+function isDateFormatCode(formatCode) {
+  const code = String(formatCode ?? "")
+    .replace(/"[^"]*"/g, "")
+    .replace(/\\./g, "")
+    .replace(/\[[^\]]*\]/g, "");
+  return /[dmyhs]/i.test(code);
+}
+
+function readXlsxSheetRows(text, context) {
+  const rows = [];
+  let row = null;
+  let cell = null;
+  let valueDepth = 0;
+
+  scanXml(text, {
+    open(name, attributes, selfClosing) {
+      const local = localName(name);
+      if (local === "row") {
+        row = [];
+        if (selfClosing) {
+          rows.push(row);
+          row = null;
+        }
+      } else if (local === "c" && row) {
+        const column = readColumnIndex(attributes.r) ?? row.length;
+        cell = selfClosing
+          ? null
+          : { column, type: attributes.t ?? "n", style: Number(attributes.s ?? 0), value: "" };
+      } else if (cell && (local === "v" || local === "t") && !selfClosing) {
+        valueDepth += 1;
+      }
+    },
+    close(name) {
+      const local = localName(name);
+      if (local === "row" && row) {
+        rows.push(row);
+        row = null;
+      } else if (local === "c" && cell && row) {
+        setCell(row, cell.column, formatXlsxCell(cell, context));
+        cell = null;
+      } else if (cell && (local === "v" || local === "t")) {
+        valueDepth -= 1;
+      }
+    },
+    text(value) {
+      if (cell && valueDepth > 0) cell.value += value;
+    },
+  });
+  return rows.map(fillRow);
+}
+
+function formatXlsxCell(cell, context) {
+  const value = cell.value;
+  switch (cell.type) {
+    case "s":
+      return context.sharedStrings[Number(value)] ?? "";
+    case "b":
+      return value === "1" ? "TRUE" : value === "0" ? "FALSE" : value;
+    case "inlineStr":
+    case "str":
+    case "e":
+      return value;
+    case "d":
+      return trimMidnight(value);
+    default: {
+      const number = Number(value);
+      if (value.trim() === "" || !Number.isFinite(number)) return value;
+      return context.dateStyles.has(cell.style)
+        ? formatSerialDate(number, context)
+        : String(number);
+    }
+  }
+}
+
+/** Excel serial day numbers as ISO dates, times, or date-times. */
+function formatSerialDate(serial, { epochMs, date1904 }) {
+  // Serials before 1 March 1900 count the non-existent 29 February 1900.
+  const days = !date1904 && serial > 0 && serial < 60 ? serial + 1 : serial;
+  const date = new Date(epochMs + Math.round(days * MS_PER_DAY / 1000) * 1000);
+  if (Number.isNaN(date.getTime())) return String(serial);
+  const iso = date.toISOString();
+  if (serial >= 0 && serial < 1) return iso.slice(11, 19);
+  return trimMidnight(iso.slice(0, 19));
+}
+
+function readColumnIndex(reference) {
+  const letters = /^([A-Z]+)\d*$/i.exec(String(reference ?? ""))?.[1];
+  if (!letters) return null;
+  let column = 0;
+  for (const letter of letters.toUpperCase()) {
+    column = (column * 26) + (letter.charCodeAt(0) - 64);
+  }
+  return column - 1;
+}
+
+/** Read every table of an .ods `content.xml` with one streaming pass. */
+function readOdsSheets(text) {
+  const hiddenStyles = new Set();
+  const sheets = [];
+  let styleName = null;
+  let sheet = null;
+  let row = null;
+  let rowRepeat = 1;
+  let cell = null;
+  let paragraph = null;
+  let annotationDepth = 0;
+
+  scanXml(text, {
+    open(name, attributes, selfClosing) {
+      switch (name) {
+        case "style:style":
+          styleName = selfClosing ? null : attributes["style:name"] ?? null;
+          break;
+        case "style:table-properties":
+          if (styleName && attributes["table:display"] === "false") hiddenStyles.add(styleName);
+          break;
+        case "table:table":
+          sheet = {
+            name: attributes["table:name"] ?? `Sheet${sheets.length + 1}`,
+            hidden: hiddenStyles.has(attributes["table:style-name"]),
+            rows: [],
+          };
+          if (selfClosing) {
+            sheets.push(sheet);
+            sheet = null;
+          }
+          break;
+        case "table:table-row":
+          if (!sheet) break;
+          row = { cells: [], column: 0 };
+          rowRepeat = readRepeat(attributes["table:number-rows-repeated"]);
+          if (selfClosing) row = null;
+          break;
+        case "table:table-cell":
+        case "table:covered-table-cell":
+          if (!row) break;
+          cell = {
+            repeat: readRepeat(attributes["table:number-columns-repeated"]),
+            value: readOdsTypedValue(attributes),
+            paragraphs: [],
+          };
+          if (selfClosing) {
+            closeOdsCell(row, cell);
+            cell = null;
+          }
+          break;
+        case "office:annotation":
+          if (!selfClosing) annotationDepth += 1;
+          break;
+        case "text:p":
+        case "text:h":
+          if (cell && annotationDepth === 0) {
+            paragraph = "";
+            if (selfClosing) {
+              cell.paragraphs.push(paragraph);
+              paragraph = null;
+            }
+          }
+          break;
+        case "text:s":
+          if (paragraph != null) paragraph += " ".repeat(readRepeat(attributes["text:c"]));
+          break;
+        case "text:tab":
+          if (paragraph != null) paragraph += "\t";
+          break;
+        case "text:line-break":
+          if (paragraph != null) paragraph += "\n";
+          break;
+        default:
+          break;
+      }
+    },
+    close(name) {
+      switch (name) {
+        case "style:style":
+          styleName = null;
+          break;
+        case "table:table":
+          if (sheet) sheets.push(sheet);
+          sheet = null;
+          break;
+        case "table:table-row":
+          if (row && sheet && row.cells.some((value) => value)) {
+            // Repeated filled rows are real duplicates; repeated empty rows
+            // pad sheets to their full height and are left out.
+            const filled = fillRow(row.cells);
+            for (let index = 0; index < rowRepeat; index += 1) sheet.rows.push([...filled]);
+          }
+          row = null;
+          break;
+        case "table:table-cell":
+        case "table:covered-table-cell":
+          if (row && cell) closeOdsCell(row, cell);
+          cell = null;
+          break;
+        case "office:annotation":
+          annotationDepth -= 1;
+          break;
+        case "text:p":
+        case "text:h":
+          if (cell && paragraph != null) cell.paragraphs.push(paragraph);
+          paragraph = null;
+          break;
+        default:
+          break;
+      }
+    },
+    text(value) {
+      if (paragraph != null) paragraph += value;
+    },
+  });
+  return sheets;
+}
+
+function readOdsTypedValue(attributes) {
+  switch (attributes["office:value-type"]) {
+    case "float":
+    case "percentage":
+    case "currency": {
+      const number = Number(attributes["office:value"]);
+      return Number.isFinite(number) ? String(number) : null;
+    }
+    case "date":
+      return attributes["office:date-value"] ? trimMidnight(attributes["office:date-value"]) : null;
+    case "boolean":
+      return attributes["office:boolean-value"] === "true" ? "TRUE" : "FALSE";
+    default:
+      return null;
+  }
+}
+
+function closeOdsCell(row, cell) {
+  const value = cell.value ?? cell.paragraphs.join("\n");
+  if (!value) {
+    // Trailing empty cells are often repeated to the last sheet column.
+    row.column += cell.repeat;
+    return;
+  }
+  for (let index = 0; index < cell.repeat; index += 1) {
+    setCell(row.cells, row.column, value);
+    row.column += 1;
+  }
+}
+
+function readRepeat(value) {
+  const count = Number(value ?? 1);
+  return Number.isSafeInteger(count) && count > 0 ? count : 1;
+}
+
+function setCell(cells, column, value) {
+  cells[column] = value;
+}
+
+function fillRow(cells) {
+  return Array.from(cells, (value) => value ?? "");
+}
+
+function trimMidnight(value) {
+  return String(value).replace(/T00:00(?::00(?:\.0+)?)?$/, "");
+}
+
+/**
+ * Walk XML tags and text without building a document. Handlers receive
+ * qualified names, so callers match either the exact name (ODS prefixes are
+ * fixed) or its local part (SpreadsheetML is often written with a prefix).
+ * Self-closing tags reach `open` only, with `selfClosing` set.
+ */
+function scanXml(text, { open = null, close = null, text: onText = null }) {
+  XML_TOKEN_PATTERN.lastIndex = 0;
+  let position = 0;
+  let match;
+  while ((match = XML_TOKEN_PATTERN.exec(text))) {
+    if (onText && match.index > position) {
+      onText(decodeXmlEntities(text.slice(position, match.index)));
+    }
+    position = XML_TOKEN_PATTERN.lastIndex;
+    if (match[1] != null) {
+      onText?.(match[1]);
+    } else if (match[3]) {
+      if (match[2]) close?.(match[3]);
+      else open?.(match[3], readXmlAttributes(match[4]), match[5] === "/");
+    }
+  }
+  if (onText && position < text.length) onText(decodeXmlEntities(text.slice(position)));
+}
+
+function readXmlAttributes(source) {
+  const attributes = {};
+  if (!source) return attributes;
+  XML_ATTRIBUTE_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = XML_ATTRIBUTE_PATTERN.exec(source))) {
+    attributes[match[1]] = decodeXmlEntities(match[2] ?? match[3] ?? "");
+  }
+  return attributes;
+}
+
+function decodeXmlEntities(value) {
+  if (!value.includes("&")) return value;
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, body) => {
+    if (body[0] !== "#") return XML_ENTITIES[body] ?? entity;
+    const code = body[1] === "x" || body[1] === "X"
+      ? Number.parseInt(body.slice(2), 16)
+      : Number.parseInt(body.slice(1), 10);
+    return Number.isInteger(code) && code >= 0 && code <= 0x10ffff
+      ? String.fromCodePoint(code)
+      : entity;
+  });
+}
+
+function localName(name) {
+  return name.slice(name.indexOf(":") + 1);
+}
+
+function findAttribute(attributes, local) {
+  const key = Object.keys(attributes).find((name) => name.endsWith(`:${local}`));
+  return key ? attributes[key] : undefined;
+}
+
+/**
+ * Index the central directory of a ZIP archive. Only stored and deflated,
+ * unencrypted entries are supported, which covers every workbook written by
+ * Excel, LibreOffice, Numbers, and Google Sheets.
+ */
+function openZipArchive(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data ?? 0);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const endOffset = findEndOfDirectory(view);
+  if (endOffset < 0) {
+    throw new SpreadsheetImportError("The file is not an .xlsx or .ods workbook.");
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const entries = new Map();
+  const decoder = new TextDecoder("utf-8");
+
+  for (let index = 0; index < entryCount; index += 1) {
+    if (offset + 46 > view.byteLength || view.getUint32(offset, true) !== ZIP_DIRECTORY_ENTRY_SIGNATURE) {
+      throw new SpreadsheetImportError("The workbook is damaged and could not be read.");
+    }
+    const nameLength = view.getUint16(offset + 28, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    entries.set(name, {
+      flags: view.getUint16(offset + 8, true),
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      localHeaderOffset: view.getUint32(offset + 42, true),
+    });
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+
+  return { bytes, view, entries, has: (name) => entries.has(name) };
+}
+
+function findEndOfDirectory(view) {
+  const lowest = Math.max(0, view.byteLength - 22 - MAX_ZIP_COMMENT_BYTES);
+  for (let offset = view.byteLength - 22; offset >= lowest; offset -= 1) {
+    if (view.getUint32(offset, true) === ZIP_END_OF_DIRECTORY_SIGNATURE) return offset;
+  }
+  return -1;
+}
+
+function readZipText(archive, name) {
+  const entry = archive.entries.get(name);
+  const { view, bytes } = archive;
+  if (
+    (entry.flags & 1) !== 0 ||
+    (entry.method !== 0 && entry.method !== 8) ||
+    view.getUint32(entry.localHeaderOffset, true) !== ZIP_LOCAL_HEADER_SIGNATURE
+  ) {
+    throw new SpreadsheetImportError("The workbook is encrypted or uses unsupported compression.");
+  }
+  if (entry.size > MAX_SPREADSHEET_PART_BYTES) {
+    throw new SpreadsheetImportError("The workbook is too large to import.");
+  }
+
+  const start = entry.localHeaderOffset + 30 +
+    view.getUint16(entry.localHeaderOffset + 26, true) +
+    view.getUint16(entry.localHeaderOffset + 28, true);
+  const stored = bytes.subarray(start, start + entry.compressedSize);
+  let content = stored;
+  if (entry.method === 8) {
+    try {
+      content = zlib.inflateRawSync(stored);
+    } catch {
+      throw new SpreadsheetImportError("The workbook is damaged and could not be read.");
+    }
+  }
+  return new TextDecoder("utf-8").decode(content);
+}
+
+/** Error whose message is safe to show for a rejected workbook. */
+class SpreadsheetImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SpreadsheetImportError";
+  }
+}
+
+module.exports = {
+  SPREADSHEET_FILE_EXTENSIONS,
+  SpreadsheetImportError,
+  isSpreadsheetFilePath,
+  listSpreadsheetSheets,
+  readSpreadsheetRows,
+};
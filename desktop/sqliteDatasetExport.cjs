@@ -1,6 +1,9 @@
 "use strict";
 
 const Papa = require("papaparse");
+const { detectWktField } = require("./wktGeometry.cjs");
+
+const GEOJSON_LAYOUT_HEADERS = ["featureType", "featureId", "part", "order"];
 
 /** Reconstruct one desktop dataset from its current committed SQLite rows. */
 function exportSqliteDatasetCsv({ db, datasetId } = {}) {
@@ -15,12 +18,13 @@ function exportSqliteDatasetCsv({ db, datasetId } = {}) {
   if (!dataset) throw new Error("The requested dataset is unavailable.");
 
   const headers = parseHeaders(dataset.columns_json);
+  // Unlocated rows export too, so a project keeps them for later geocoding.
   const storedRows = db.prepare(`
-    SELECT row_json
-    FROM features
-    WHERE dataset_id = ?
+    SELECT source_row_index, row_json FROM features WHERE dataset_id = ?
+    UNION ALL
+    SELECT source_row_index, row_json FROM unlocated_rows WHERE dataset_id = ?
     ORDER BY source_row_index
-  `).all(normalizedId);
+  `).all(normalizedId, normalizedId);
 
   // Zone commits update the original coordinate keys in row_json. Header-driven
   // arrays therefore retain those coordinates and exclude every internal column.
@@ -36,6 +40,154 @@ function exportSqliteDatasetCsv({ db, datasetId } = {}) {
   };
 }
 
+/**
+ * Build a GeoJSON FeatureCollection from one desktop dataset's current rows.
+ * Lines and regions come from geometry_features, so committed zone adjustments are included.
+ */
+function exportSqliteDatasetGeoJson({ db, datasetId } = {}) {
+  requireOpenDatabase(db);
+  const normalizedId = requireString(datasetId);
+  const dataset = db.prepare(`
+    SELECT file_name, columns_json
+    FROM datasets
+    WHERE id = ?
+  `).get(normalizedId);
+
+  if (!dataset) throw new Error("The requested dataset is unavailable.");
+
+  const headers = parseHeaders(dataset.columns_json);
+  const entries = [];
+  let propertyHeaders = null;
+
+  const points = db.prepare(`
+    SELECT source_row_index, lat, lon, compact_json, row_json
+    FROM features
+    WHERE dataset_id = ?
+      AND COALESCE(LOWER(TRIM(json_extract(compact_json, '$.featureType'))), 'point')
+        NOT IN ('line', 'region')
+    ORDER BY source_row_index
+  `).all(normalizedId);
+  for (const stored of points) {
+    const row = parseStoredRow(stored.row_json);
+    propertyHeaders ??= getPropertyHeaders(headers, parseJson(stored.compact_json));
+    entries.push({
+      sourceRowIndex: Number(stored.source_row_index),
+      feature: createFeature(
+        normalizeFeatureId(row.featureId),
+        { type: "Point", coordinates: [Number(stored.lon), Number(stored.lat)] },
+        pickProperties(row, propertyHeaders),
+      ),
+    });
+  }
+
+  const geometries = db.prepare(`
+    SELECT geometry.geometry_type, geometry.feature_id, geometry.source_row_index,
+           geometry.coordinates_json, geometry.style_json, geometry.arrow_mode,
+           source.compact_json, source.row_json
+    FROM geometry_features AS geometry
+    JOIN features AS source
+      ON source.dataset_id = geometry.dataset_id
+      AND source.source_row_index = geometry.source_row_index
+    WHERE geometry.dataset_id = ?
+    ORDER BY geometry.part_order_index, geometry.part
+  `).all(normalizedId);
+  const regions = new Map();
+  for (const stored of geometries) {
+    const sourceRowIndex = Number(stored.source_row_index);
+    propertyHeaders ??= getPropertyHeaders(headers, parseJson(stored.compact_json));
+    const properties = {
+      ...pickProperties(parseStoredRow(stored.row_json), propertyHeaders),
+      ...parseStyle(stored.style_json),
+    };
+    const coordinates = parseCoordinates(stored.coordinates_json);
+    if (stored.geometry_type === "line") {
+      entries.push({
+        sourceRowIndex,
+        feature: createFeature(
+          stored.feature_id,
+          { type: "LineString", coordinates },
+          { ...properties, arrow: stored.arrow_mode ?? "none" },
+        ),
+      });
+      continue;
+    }
+
+    // All parts of one logical zone become a single (Multi)Polygon feature.
+    const region = regions.get(stored.feature_id);
+    if (region) {
+      region.polygons.push([coordinates]);
+      region.sourceRowIndex = Math.min(region.sourceRowIndex, sourceRowIndex);
+      continue;
+    }
+    const entry = { sourceRowIndex, featureId: stored.feature_id, polygons: [[coordinates]], properties };
+    regions.set(stored.feature_id, entry);
+    entries.push(entry);
+  }
+
+  const features = entries
+    .sort((left, right) => left.sourceRowIndex - right.sourceRowIndex)
+    .map((entry) => entry.feature ?? createFeature(
+      entry.featureId,
+      entry.polygons.length === 1
+        ? { type: "Polygon", coordinates: entry.polygons[0] }
+        : { type: "MultiPolygon", coordinates: entry.polygons },
+      entry.properties,
+    ));
+
+  return {
+    datasetId: normalizedId,
+    fileName: ensureGeoJsonExtension(dataset.file_name),
+    geoJsonText: JSON.stringify({ type: "FeatureCollection", features }),
+  };
+}
+
+/** Exclude vertex-layout and coordinate columns, which GeoJSON encodes as geometry. */
+function getPropertyHeaders(headers, compact) {
+  const excluded = new Set([
+    ...GEOJSON_LAYOUT_HEADERS,
+    compact?.latField,
+    compact?.lonField,
+    compact?.coordinateField,
+    detectWktField(headers),
+  ]);
+  return headers.filter((header) => !excluded.has(header));
+}
+
+function pickProperties(row, propertyHeaders) {
+  const properties = {};
+  for (const header of propertyHeaders) properties[header] = row[header] ?? "";
+  return properties;
+}
+
+/** Convert stored [lat, lon] pairs to GeoJSON [lon, lat] positions. */
+function parseCoordinates(value) {
+  const coordinates = parseJson(value);
+  if (!Array.isArray(coordinates)) throw new Error("Stored geometry data is unavailable.");
+  return coordinates.map(([lat, lon]) => [Number(lon), Number(lat)]);
+}
+
+function parseStyle(value) {
+  try {
+    const style = JSON.parse(String(value ?? ""));
+    return style && typeof style === "object" && !Array.isArray(style) ? style : {};
+  } catch {
+    return {};
+  }
+}
+
+function createFeature(featureId, geometry, properties) {
+  return {
+    type: "Feature",
+    ...(featureId ? { id: featureId } : {}),
+    geometry,
+    properties,
+  };
+}
+
+function normalizeFeatureId(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
+
 /** Parse and validate the persisted import-time column ordering. */
 function parseHeaders(value) {
   const headers = parseJson(value);
@@ -68,7 +220,16 @@ function parseJson(value) {
 /** Keep the imported display name while ensuring the Save As type is CSV. */
 function ensureCsvExtension(value) {
   const fileName = requireString(value);
-  return /\.csv$/i.test(fileName) ? fileName : `${fileName}.csv`;
+  if (/\.csv$/i.test(fileName)) return fileName;
+  // GeoJSON and workbook imports export as CSV rows, so replace rather than append.
+  return `${fileName.replace(/\.(geojson|json|xlsx|ods)$/i, "")}.csv`;
+}
+
+/** Keep the imported display name while ensuring the Save As type is GeoJSON. */
+function ensureGeoJsonExtension(value) {
+  const fileName = requireString(value);
+  if (/\.geojson$/i.test(fileName)) return fileName;
+  return `${fileName.replace(/\.(csv|json)$/i, "")}.geojson`;
 }
 
 /** Reject missing identifiers before preparing any dataset-specific query. */
@@ -84,4 +245,4 @@ function requireOpenDatabase(db) {
   }
 }
 
-module.exports = { exportSqliteDatasetCsv };
+module.exports = { exportSqliteDatasetCsv, exportSqliteDatasetGeoJson };
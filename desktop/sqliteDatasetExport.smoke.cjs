@@ -2,7 +2,10 @@
 
 const assert = require("node:assert/strict");
 const Papa = require("papaparse");
-const { exportSqliteDatasetCsv } = require("./sqliteDatasetExport.cjs");
+const {
+  exportSqliteDatasetCsv,
+  exportSqliteDatasetGeoJson,
+} = require("./sqliteDatasetExport.cjs");
 const { closeSqliteStore, openSqliteStore } = require("./sqliteStore.cjs");
 
 const db = openSqliteStore(":memory:");
@@ -40,6 +43,20 @@ try {
   assert.equal(parsed.data[0].name, "Åland, \"adjusted\"\nzone");
   assert.equal(parsed.data[0].empty, "");
   assert.throws(() => exportSqliteDatasetCsv({ db, datasetId: "missing" }));
+
+  // Without derived geometry every stored row remains a point feature.
+  const exportedGeoJson = exportSqliteDatasetGeoJson({ db, datasetId: "selected" });
+  assert.equal(exportedGeoJson.fileName, "desktop-loaded.geojson");
+  const collection = JSON.parse(exportedGeoJson.geoJsonText);
+  assert.deepEqual(collection.features.map((feature) => feature.geometry.coordinates), [
+    [19.5, 60.25],
+    [18, 59],
+    [17, 58],
+  ]);
+  assert.deepEqual(collection.features.map((feature) => feature.id), ["zone", "route", "point"]);
+  assert.equal(collection.features[0].properties.name, "Åland, \"adjusted\"\nzone");
+  assert.equal(exportedGeoJson.geoJsonText.includes("must-not-export"), false);
+  assert.throws(() => exportSqliteDatasetGeoJson({ db, datasetId: "missing" }));
 } finally {
   closeSqliteStore(db);
 }
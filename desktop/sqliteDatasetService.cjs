@@ -1,5 +1,30 @@
 "use strict";
 
+const {
+  getCoordinateTransform,
+  normalizeCoordinateSystem,
+} = require("./coordinateSystems.cjs");
+const {
+  formatCoordinateText,
+  hasMappedCoordinates,
+} = require("./coordinateText.cjs");
+const { buildImportRows, detectFields } = require("./csvImportService.cjs");
+const {
+  buildDrawnFeatureRows,
+  createDrawnFeatureId,
+  normalizeDrawnCoordinates,
+} = require("./drawnFeatures.cjs");
+const { rebuildSqliteDatasetGeometries } = require("./sqliteZoneService.cjs");
+const {
+  createGazetteer,
+  detectGazetteerFields,
+  matchPlaceName,
+} = require("./placeGeocoding.cjs");
+const { detectWktField } = require("./wktGeometry.cjs");
+
+const GEOCODING_REVIEW_LIMIT = 200;
+const GEOCODING_CANDIDATE_LIMIT = 5;
+
 /**
  * Return lightweight dataset metadata without reading feature rows into memory.
  */
@@ -23,7 +48,17 @@ function getSqliteDatasetSummary({ db } = {}) {
   `).all();
 
   return {
-    datasets: rows.map(toDatasetSummaryItem),
+    datasets: rows.map((row) => {
+      const item = toDatasetSummaryItem(row);
+      const fields = readDatasetImportFields(db, item.id, item.headers);
+      return {
+        ...item,
+        latField: fields.latField,
+        lonField: fields.lonField,
+        coordinateField: fields.coordinateField,
+        coordinateSystem: fields.coordinateSystem,
+      };
+    }),
     timeline: null,
   };
 }
@@ -67,6 +102,578 @@ function removeSqliteDataset({ db, datasetId } = {}) {
   };
 }
 
+/**
+ * Store a new coordinate mapping for one dataset and derive its rows again.
+ * Mirrors updateBrowserSqliteDatasetMapping: omitted fields and an omitted
+ * coordinate system keep their current value, and explicit null clears them.
+ * Every stored row, located or not, is rebuilt under the new mapping, so rows
+ * move between features and unlocated_rows in one transaction that also
+ * rebuilds lines and regions and clears the dataset's zone edit history.
+ */
+function updateSqliteDatasetMapping({ db, datasetId, mapping } = {}) {
+  assertOpenDatabase(db);
+
+  const normalizedDatasetId = normalizeDatasetId(datasetId);
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw new TypeError("Coordinate mapping must be an object.");
+  }
+  const dataset = db.prepare(`
+    SELECT columns_json FROM datasets WHERE id = ?
+  `).get(normalizedDatasetId);
+  if (!dataset) {
+    throw new Error("The requested dataset is unavailable.");
+  }
+
+  const headers = parseStringArray(dataset.columns_json);
+  const detectedFields = readDatasetImportFields(db, normalizedDatasetId, headers);
+  for (const key of ["latField", "lonField", "coordinateField"]) {
+    if (!Object.hasOwn(mapping, key)) continue;
+    if (mapping[key] != null && typeof mapping[key] !== "string") {
+      throw new TypeError("Mapped fields must be column names or null.");
+    }
+    const field = mapping[key]?.trim() || null;
+    if (field != null && !headers.includes(field)) {
+      throw new TypeError("Mapped fields must be existing dataset columns.");
+    }
+    detectedFields[key] = field;
+  }
+  if (Object.hasOwn(mapping, "coordinateSystem")) {
+    const coordinateSystem = normalizeCoordinateSystem(mapping.coordinateSystem);
+    if (coordinateSystem === undefined) {
+      throw new TypeError("The coordinate system must be a supported EPSG code or a proj4 string.");
+    }
+    detectedFields.coordinateSystem = coordinateSystem;
+  }
+
+  const wktField = detectWktField(headers);
+  const features = [];
+  const unlocatedRows = [];
+  const storedRows = db.prepare(`
+    SELECT source_row_index, row_json FROM features WHERE dataset_id = ?
+    UNION ALL
+    SELECT source_row_index, row_json FROM unlocated_rows WHERE dataset_id = ?
+    ORDER BY source_row_index
+  `).all(normalizedDatasetId, normalizedDatasetId);
+  // Rows are rebuilt one at a time because older imports left gaps in the indexes.
+  for (const stored of storedRows) {
+    const built = buildImportRows({
+      datasetId: normalizedDatasetId,
+      rows: [parseObject(stored.row_json)],
+      detectedFields,
+      wktField,
+      firstSourceRowIndex: Number(stored.source_row_index),
+    });
+    features.push(...built.features);
+    unlocatedRows.push(...built.unlocatedRows);
+  }
+
+  const insertFeature = prepareFeatureInsert(db);
+  const insertUnlocatedRow = db.prepare(`
+    INSERT INTO unlocated_rows (dataset_id, source_row_index, compact_json, row_json)
+    VALUES (?, ?, ?, ?)
+  `);
+  const storeMapping = db.transaction(() => {
+    db.prepare("DELETE FROM features WHERE dataset_id = ?").run(normalizedDatasetId);
+    db.prepare("DELETE FROM unlocated_rows WHERE dataset_id = ?").run(normalizedDatasetId);
+    for (const feature of features) insertFeature(feature);
+    for (const row of unlocatedRows) {
+      insertUnlocatedRow.run(normalizedDatasetId, row.sourceRowIndex, row.compactJson, row.rowJson);
+    }
+    db.prepare(`
+      UPDATE datasets
+      SET imported_feature_count = ?,
+          skipped_row_count = ?
+      WHERE id = ?
+    `).run(features.length, unlocatedRows.length, normalizedDatasetId);
+    rebuildSqliteDatasetGeometries({ db, datasetId: normalizedDatasetId });
+    // Recorded zone coordinates belong to the previous mapping's fields.
+    db.prepare("DELETE FROM zone_edits WHERE dataset_id = ?").run(normalizedDatasetId);
+  });
+  storeMapping();
+
+  return {
+    ok: true,
+    datasetId: normalizedDatasetId,
+    mapping: {
+      latField: detectedFields.latField,
+      lonField: detectedFields.lonField,
+      coordinateField: detectedFields.coordinateField,
+      coordinateSystem: detectedFields.coordinateSystem,
+    },
+    detectedFields,
+    dataset: getSqliteDatasetSummary({ db }).datasets
+      .find((item) => item.id === normalizedDatasetId) ?? null,
+  };
+}
+
+/**
+ * Append one feature drawn on the map to a stored dataset as new feature rows.
+ * Rows are built from the dataset's columns and the coordinate fields its
+ * import detected, so they derive, export and filter like imported rows.
+ */
+function addSqliteDrawnFeature({ db, datasetId, geometryType, coordinates } = {}) {
+  assertOpenDatabase(db);
+
+  const normalizedDatasetId = normalizeDatasetId(datasetId);
+  const vertices = normalizeDrawnCoordinates(geometryType, coordinates);
+  if (!vertices) {
+    throw new TypeError("A drawn feature needs a geometry type and enough valid vertices.");
+  }
+  const dataset = db.prepare(`
+    SELECT columns_json FROM datasets WHERE id = ?
+  `).get(normalizedDatasetId);
+  if (!dataset) {
+    throw new Error("The requested dataset is unavailable.");
+  }
+
+  const headers = parseStringArray(dataset.columns_json);
+  const detectedFields = readDatasetImportFields(db, normalizedDatasetId, headers);
+  const wktField = detectWktField(headers);
+  const featureId = geometryType === "point"
+    ? null
+    : createDrawnFeatureId(db.prepare(`
+      SELECT DISTINCT feature_id FROM geometry_features WHERE dataset_id = ?
+    `).all(normalizedDatasetId).map((row) => row.feature_id));
+  const drawn = buildDrawnFeatureRows({
+    headers,
+    latField: detectedFields.latField,
+    lonField: detectedFields.lonField,
+    coordinateField: detectedFields.coordinateField,
+    coordinateSystem: detectedFields.coordinateSystem,
+    wktField,
+    // Desktop geometry derivation reads the exact featureType column.
+    featureTypeField: headers.includes("featureType") ? "featureType" : null,
+    geometryType,
+    coordinates: vertices,
+    featureId,
+  });
+  if (!drawn) {
+    throw new Error("This dataset has no coordinate columns to draw into.");
+  }
+
+  const insertFeature = prepareFeatureInsert(db);
+  const addFeature = db.transaction(() => {
+    const { features } = buildImportRows({
+      datasetId: normalizedDatasetId,
+      rows: drawn.rows,
+      detectedFields,
+      wktField,
+      // Unlocated rows keep their indexes, so drawn rows start after both tables.
+      firstSourceRowIndex: db.prepare(`
+        SELECT COALESCE(MAX(source_row_index) + 1, 0) AS next_index
+        FROM (
+          SELECT source_row_index FROM features WHERE dataset_id = ?
+          UNION ALL
+          SELECT source_row_index FROM unlocated_rows WHERE dataset_id = ?
+        )
+      `).get(normalizedDatasetId, normalizedDatasetId).next_index,
+    });
+    for (const feature of features) insertFeature(feature);
+    db.prepare(`
+      UPDATE datasets
+      SET row_count = row_count + ?,
+          imported_feature_count = imported_feature_count + ?,
+          columns_json = ?
+      WHERE id = ?
+    `).run(
+      drawn.rows.length,
+      features.length,
+      JSON.stringify(drawn.headers),
+      normalizedDatasetId,
+    );
+    rebuildSqliteDatasetGeometries({ db, datasetId: normalizedDatasetId });
+  });
+  addFeature();
+
+  return {
+    ok: true,
+    datasetId: normalizedDatasetId,
+    geometryType,
+    featureId,
+    dataset: getSqliteDatasetSummary({ db }).datasets
+      .find((item) => item.id === normalizedDatasetId) ?? null,
+  };
+}
+
+/**
+ * Replace attribute values in one stored feature row and refresh what the
+ * import derived from it: compact marker and style fields, the timeline
+ * extent, and the dataset's lines and regions. Coordinate columns are
+ * rejected because locations are adjusted on the map.
+ */
+function updateSqliteSourceRow({ db, sourceRef, values } = {}) {
+  assertOpenDatabase(db);
+
+  const normalizedDatasetId = normalizeDatasetId(sourceRef?.datasetId);
+  const rowIndex = Number(sourceRef?.rowIndex);
+  if (!Number.isSafeInteger(rowIndex) || rowIndex < 0) {
+    throw new TypeError("A source-row index is required.");
+  }
+  if (!values || typeof values !== "object" || Array.isArray(values)
+    || Object.keys(values).length === 0) {
+    throw new TypeError("At least one edited value is required.");
+  }
+  const dataset = db.prepare(`
+    SELECT columns_json FROM datasets WHERE id = ?
+  `).get(normalizedDatasetId);
+  const stored = dataset && db.prepare(`
+    SELECT id, row_json FROM features WHERE dataset_id = ? AND source_row_index = ?
+  `).get(normalizedDatasetId, rowIndex);
+  if (!stored) {
+    throw new Error("The requested source row is unavailable.");
+  }
+
+  const headers = parseStringArray(dataset.columns_json);
+  const detectedFields = readDatasetImportFields(db, normalizedDatasetId, headers);
+  const wktField = detectWktField(headers);
+  const coordinateFields = [
+    detectedFields.latField,
+    detectedFields.lonField,
+    detectedFields.coordinateField,
+    wktField,
+  ].filter(Boolean);
+  for (const [field, value] of Object.entries(values)) {
+    if (!headers.includes(field) || typeof value !== "string") {
+      throw new TypeError("Edited values must be strings for existing dataset columns.");
+    }
+    if (coordinateFields.includes(field)) {
+      throw new TypeError("Coordinate columns are adjusted on the map instead.");
+    }
+  }
+
+  const row = { ...parseObject(stored.row_json), ...values };
+  // Rebuilding the single row reuses the import's compact and timeline rules.
+  const [feature] = buildImportRows({
+    datasetId: normalizedDatasetId,
+    rows: [row],
+    detectedFields,
+    wktField,
+    firstSourceRowIndex: rowIndex,
+  }).features;
+  if (!feature) {
+    throw new Error("The edited row no longer has a valid location.");
+  }
+  const updateRow = db.transaction(() => {
+    db.prepare(`
+      UPDATE features
+      SET timeline_start_year = ?,
+          timeline_end_year = ?,
+          timeline_start_day = ?,
+          timeline_end_day = ?,
+          compact_json = ?,
+          row_json = ?
+      WHERE id = ?
+    `).run(
+      feature.timelineStartYear,
+      feature.timelineEndYear,
+      feature.timelineStartDay,
+      feature.timelineEndDay,
+      feature.compactJson,
+      feature.rowJson,
+      stored.id,
+    );
+    rebuildSqliteDatasetGeometries({ db, datasetId: normalizedDatasetId });
+  });
+  updateRow();
+
+  return {
+    ok: true,
+    datasetId: normalizedDatasetId,
+    rowIndex,
+    row,
+    dataset: getSqliteDatasetSummary({ db }).datasets
+      .find((item) => item.id === normalizedDatasetId) ?? null,
+  };
+}
+
+/**
+ * Locate a dataset's unlocated rows by matching a place-name column against
+ * the point rows of another dataset, which acts as the gazetteer.
+ * Mirrors geocodeBrowserSqliteDataset: matched places are written into the
+ * mapped coordinate columns in the dataset's own coordinate system, or into
+ * new `lat` and `lon` columns when it has none. Ambiguous and unmatched names
+ * come back as a bounded review list, and `choices` settle reviewed rows on a
+ * later run. Located rows move into features in one transaction that also
+ * rebuilds lines and regions and clears the dataset's zone edit history.
+ */
+function geocodeSqliteDataset({
+  db,
+  datasetId,
+  gazetteerDatasetId,
+  placeField,
+  countryField = null,
+  choices = [],
+} = {}) {
+  assertOpenDatabase(db);
+
+  const normalizedDatasetId = normalizeDatasetId(datasetId);
+  const gazetteerId = normalizeDatasetId(gazetteerDatasetId);
+  if (gazetteerId === normalizedDatasetId) {
+    throw new TypeError("A dataset cannot be its own gazetteer.");
+  }
+  const dataset = db.prepare(`
+    SELECT columns_json FROM datasets WHERE id = ?
+  `).get(normalizedDatasetId);
+  if (!dataset) {
+    throw new Error("The requested dataset is unavailable.");
+  }
+
+  const headers = parseStringArray(dataset.columns_json);
+  if (typeof placeField !== "string" || !placeField.trim()) {
+    throw new TypeError("A place-name column is required.");
+  }
+  if (!headers.includes(placeField)
+    || (countryField != null && !headers.includes(countryField))) {
+    throw new TypeError("Geocoding columns must be existing dataset columns.");
+  }
+
+  const detectedFields = readDatasetImportFields(db, normalizedDatasetId, headers);
+  const addsColumns = !hasMappedCoordinates(detectedFields);
+  const targetFields = addsColumns
+    ? {
+      ...detectedFields,
+      latField: createUniqueHeader(headers, "lat"),
+      lonField: createUniqueHeader(headers, "lon"),
+      coordinateField: null,
+      // New columns hold WGS 84 degrees whatever an unused mapping named.
+      coordinateSystem: null,
+    }
+    : detectedFields;
+  const transform = getCoordinateTransform(targetFields.coordinateSystem);
+  const gazetteer = readGazetteer(db, gazetteerId);
+  const chosenPlaces = normalizeGeocodingChoices(choices, gazetteer);
+
+  const matches = new Map();
+  const located = [];
+  const review = [];
+  const counts = { matchedCount: 0, fuzzyCount: 0, ambiguousCount: 0, unmatchedCount: 0 };
+  const unlocatedRows = db.prepare(`
+    SELECT source_row_index, row_json
+    FROM unlocated_rows
+    WHERE dataset_id = ?
+    ORDER BY source_row_index
+  `).all(normalizedDatasetId);
+  for (const stored of unlocatedRows) {
+    const rowIndex = Number(stored.source_row_index);
+    const row = parseObject(stored.row_json);
+    let place = chosenPlaces.get(rowIndex);
+    let fuzzy = false;
+    if (!place) {
+      const value = row[placeField];
+      const country = countryField ? row[countryField] : null;
+      const key = JSON.stringify([value ?? null, country ?? null]);
+      if (!matches.has(key)) matches.set(key, matchPlaceName(gazetteer, value, country));
+      const match = matches.get(key);
+      if (!match) continue;
+      if (match.status !== "matched") {
+        counts[match.status === "ambiguous" ? "ambiguousCount" : "unmatchedCount"] += 1;
+        if (review.length < GEOCODING_REVIEW_LIMIT) {
+          review.push({
+            rowIndex,
+            value: String(value).trim(),
+            status: match.status,
+            candidates: match.candidates.slice(0, GEOCODING_CANDIDATE_LIMIT).map((candidate) => ({
+              gazetteerRowIndex: candidate.rowIndex,
+              name: candidate.name,
+              country: candidate.country,
+              lat: candidate.lat,
+              lon: candidate.lon,
+            })),
+          });
+        }
+        continue;
+      }
+      [place] = match.candidates;
+      fuzzy = match.fuzzy;
+    }
+
+    const [latValue, lonValue] = transform.fromWgs84(place.lat, place.lon);
+    if (targetFields.coordinateField) {
+      row[targetFields.coordinateField] = formatCoordinateText(
+        row[targetFields.coordinateField],
+        latValue,
+        lonValue,
+      );
+    } else {
+      row[targetFields.latField] = String(latValue);
+      row[targetFields.lonField] = String(lonValue);
+    }
+    // Rebuilding the row reuses the import's compact and timeline rules.
+    const [feature] = buildImportRows({
+      datasetId: normalizedDatasetId,
+      rows: [row],
+      detectedFields: targetFields,
+      wktField: detectWktField(headers),
+      firstSourceRowIndex: rowIndex,
+    }).features;
+    if (!feature) continue;
+    located.push(feature);
+    counts.matchedCount += 1;
+    if (fuzzy) counts.fuzzyCount += 1;
+  }
+
+  if (located.length > 0) {
+    const insertFeature = prepareFeatureInsert(db);
+    const deleteUnlocatedRow = db.prepare(`
+      DELETE FROM unlocated_rows WHERE dataset_id = ? AND source_row_index = ?
+    `);
+    const storeLocations = db.transaction(() => {
+      if (addsColumns) {
+        // Every stored row names the new columns, so later rebuilds read them.
+        for (const table of ["features", "unlocated_rows"]) {
+          db.prepare(`
+            UPDATE ${table}
+            SET compact_json = json_remove(
+              json_set(compact_json, '$.latField', ?, '$.lonField', ?),
+              '$.coordinateField',
+              '$.coordinateSystem'
+            )
+            WHERE dataset_id = ?
+          `).run(targetFields.latField, targetFields.lonField, normalizedDatasetId);
+        }
+        db.prepare(`
+          UPDATE datasets SET columns_json = ? WHERE id = ?
+        `).run(
+          JSON.stringify([...headers, targetFields.latField, targetFields.lonField]),
+          normalizedDatasetId,
+        );
+      }
+      for (const feature of located) {
+        deleteUnlocatedRow.run(normalizedDatasetId, feature.sourceRowIndex);
+        insertFeature(feature);
+      }
+      db.prepare(`
+        UPDATE datasets
+        SET imported_feature_count = imported_feature_count + ?,
+            skipped_row_count = MAX(skipped_row_count - ?, 0)
+        WHERE id = ?
+      `).run(located.length, located.length, normalizedDatasetId);
+      rebuildSqliteDatasetGeometries({ db, datasetId: normalizedDatasetId });
+      // Newly located vertex rows change zones that recorded edits describe.
+      db.prepare("DELETE FROM zone_edits WHERE dataset_id = ?").run(normalizedDatasetId);
+    });
+    storeLocations();
+  }
+
+  return {
+    ok: true,
+    datasetId: normalizedDatasetId,
+    ...counts,
+    review,
+    dataset: getSqliteDatasetSummary({ db }).datasets
+      .find((item) => item.id === normalizedDatasetId) ?? null,
+  };
+}
+
+/**
+ * Detect a dataset's import fields from its headers. Compact fields keep the
+ * coordinate columns chosen at import, including GeoJSON's, so they win.
+ * A dataset whose rows are all unlocated reads them from those rows instead.
+ */
+function readDatasetImportFields(db, datasetId, headers) {
+  const storedCompact = parseObject(db.prepare(`
+    SELECT compact_json FROM features WHERE dataset_id = ?
+    UNION ALL
+    SELECT compact_json FROM unlocated_rows WHERE dataset_id = ?
+    LIMIT 1
+  `).get(datasetId, datasetId)?.compact_json);
+  const detectedFields = detectFields(headers);
+  if (Object.hasOwn(storedCompact, "latField")) {
+    detectedFields.latField = storedCompact.latField ?? null;
+    detectedFields.lonField = storedCompact.lonField ?? null;
+  }
+  detectedFields.coordinateField = storedCompact.coordinateField ?? null;
+  detectedFields.coordinateSystem = storedCompact.coordinateSystem ?? null;
+  return detectedFields;
+}
+
+/** Prepare one insert for feature rows built by `buildImportRows`. */
+function prepareFeatureInsert(db) {
+  const statement = db.prepare(`
+    INSERT INTO features (
+      id,
+      dataset_id,
+      source_row_index,
+      lat,
+      lon,
+      timeline_start_year,
+      timeline_end_year,
+      timeline_start_day,
+      timeline_end_day,
+      compact_json,
+      row_json
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  return (feature) => statement.run(
+    feature.id,
+    feature.datasetId,
+    feature.sourceRowIndex,
+    feature.lat,
+    feature.lon,
+    feature.timelineStartYear,
+    feature.timelineEndYear,
+    feature.timelineStartDay,
+    feature.timelineEndDay,
+    feature.compactJson,
+    feature.rowJson,
+  );
+}
+
+/** Read the point rows of a gazetteer dataset as place entries. */
+function readGazetteer(db, gazetteerId) {
+  const dataset = db.prepare(`
+    SELECT columns_json FROM datasets WHERE id = ?
+  `).get(gazetteerId);
+  if (!dataset) {
+    throw new Error("The requested dataset is unavailable.");
+  }
+  const { nameField, altNamesField, countryField } = detectGazetteerFields(
+    parseStringArray(dataset.columns_json),
+  );
+  if (!nameField) {
+    throw new TypeError("The gazetteer needs a name column.");
+  }
+
+  const places = db.prepare(`
+    SELECT source_row_index, lat, lon, row_json
+    FROM features
+    WHERE dataset_id = ?
+      AND COALESCE(LOWER(TRIM(json_extract(compact_json, '$.featureType'))), 'point')
+        NOT IN ('line', 'region')
+    ORDER BY source_row_index
+  `).all(gazetteerId).map((stored) => {
+    const row = parseObject(stored.row_json);
+    return {
+      rowIndex: Number(stored.source_row_index),
+      name: row[nameField],
+      altNames: altNamesField ? row[altNamesField] : null,
+      country: countryField ? row[countryField] : null,
+      lat: Number(stored.lat),
+      lon: Number(stored.lon),
+    };
+  });
+  return createGazetteer(places);
+}
+
+function normalizeGeocodingChoices(value, gazetteer) {
+  const choices = new Map();
+  for (const choice of Array.isArray(value) ? value : []) {
+    const place = gazetteer.entries.find((entry) => entry.rowIndex === choice?.gazetteerRowIndex);
+    if (!Number.isSafeInteger(choice?.rowIndex) || !place) {
+      throw new TypeError("A reviewed row must name one of the gazetteer places.");
+    }
+    choices.set(choice.rowIndex, place);
+  }
+  return choices;
+}
+
+function createUniqueHeader(headers, base) {
+  let name = base;
+  for (let index = 2; headers.includes(name); index += 1) name = `${base}_${index}`;
+  return name;
+}
+
 function toDatasetSummaryItem(row) {
   return {
     id: String(row.id),
@@ -109,6 +716,15 @@ function parseStringArray(value) {
   }
 }
 
+function parseObject(value) {
+  try {
+    const parsed = JSON.parse(String(value ?? ""));
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
 function normalizeCount(value) {
   const number = Number(value);
   if (!Number.isFinite(number) || number < 0) return 0;
@@ -130,7 +746,12 @@ function assertOpenDatabase(db) {
 }
 
 module.exports = {
+  addSqliteDrawnFeature,
+  geocodeSqliteDataset,
   getSqliteDatasetSummary,
+  readDatasetImportFields,
   removeSqliteDataset,
   setSqliteDatasetEnabled,
+  updateSqliteDatasetMapping,
+  updateSqliteSourceRow,
 };
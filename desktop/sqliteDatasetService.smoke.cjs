@@ -4,11 +4,17 @@ const assert = require("node:assert/strict");
 const fs = require("node:fs");
 const os = require("node:os");
 const path = require("node:path");
+const { importCsvFileToSqlite } = require("./csvImportService.cjs");
 const {
+  addSqliteDrawnFeature,
+  geocodeSqliteDataset,
   getSqliteDatasetSummary,
   removeSqliteDataset,
   setSqliteDatasetEnabled,
+  updateSqliteDatasetMapping,
+  updateSqliteSourceRow,
 } = require("./sqliteDatasetService.cjs");
+const { exportSqliteDatasetCsv } = require("./sqliteDatasetExport.cjs");
 const { closeSqliteStore, openSqliteStore } = require("./sqliteStore.cjs");
 
 const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "csv-map-dataset-summary-"));
@@ -45,6 +51,11 @@ try {
       skippedRowCount: 2,
       recommendedTimelineRange: { startYear: 900, endYear: 1200 },
       importedAt: "2026-01-01T00:00:00.000Z",
+      // Datasets without stored rows report the mapping detected from their headers.
+      latField: "lat",
+      lonField: "lon",
+      coordinateField: null,
+      coordinateSystem: null,
     },
   ]);
 
@@ -158,6 +169,259 @@ try {
     assert.equal(countFeatures(reopenedDb, "newer-b"), 1);
     assert.equal(fs.readFileSync(sourceCsvPath, "utf8"), sourceCsvContents);
 
+    const drawingCsvPath = path.join(tempDir, "drawing.csv");
+    fs.writeFileSync(drawingCsvPath, "name,latitude,longitude,year\nPlace,1,2,1900\nBlank,,,\n", "utf8");
+    const drawingImport = importCsvFileToSqlite({ db: reopenedDb, filePath: drawingCsvPath });
+    const drawnPoint = addSqliteDrawnFeature({
+      db: reopenedDb,
+      datasetId: drawingImport.datasetId,
+      geometryType: "point",
+      coordinates: [[3, 4]],
+    });
+    assert.equal(drawnPoint.featureId, null);
+    assert.deepEqual(drawnPoint.dataset.headers, ["name", "latitude", "longitude", "year"]);
+    const drawnRegion = addSqliteDrawnFeature({
+      db: reopenedDb,
+      datasetId: drawingImport.datasetId,
+      geometryType: "region",
+      coordinates: [[1, 1], [1, 2], [2, 2], [1, 1]],
+    });
+    assert.equal(drawnRegion.featureId, "drawn-1");
+    assert.deepEqual(
+      drawnRegion.dataset.headers,
+      ["name", "latitude", "longitude", "year", "featureType", "featureId", "order"],
+    );
+    assert.deepEqual(
+      [drawnRegion.dataset.rowCount, drawnRegion.dataset.importedFeatureCount],
+      [6, 5],
+    );
+    // Drawn rows are appended after the last stored row, including the unlocated
+    // one, with one row per region vertex.
+    assert.deepEqual(
+      reopenedDb.prepare(`
+        SELECT id, source_row_index, row_json FROM features
+        WHERE dataset_id = ? ORDER BY source_row_index
+      `).all(drawingImport.datasetId).slice(1).map((row) => [
+        row.id.slice(drawingImport.datasetId.length),
+        JSON.parse(row.row_json).order ?? null,
+      ]),
+      [[":2", null], [":3", "1"], [":4", "2"], [":5", "3"]],
+    );
+    assert.deepEqual(
+      JSON.parse(reopenedDb.prepare(`
+        SELECT coordinates_json FROM geometry_features WHERE dataset_id = ?
+      `).get(drawingImport.datasetId).coordinates_json),
+      [[1, 1], [1, 2], [2, 2], [1, 1]],
+    );
+    assert.throws(
+      () => addSqliteDrawnFeature({
+        db: reopenedDb,
+        datasetId: drawingImport.datasetId,
+        geometryType: "line",
+        coordinates: [[1, 1]],
+      }),
+      /vertices/i,
+    );
+    assert.throws(
+      () => addSqliteDrawnFeature({
+        db: reopenedDb,
+        datasetId: "missing",
+        geometryType: "point",
+        coordinates: [[1, 1]],
+      }),
+      /unavailable/i,
+    );
+    const editedRow = updateSqliteSourceRow({
+      db: reopenedDb,
+      sourceRef: { datasetId: drawingImport.datasetId, rowIndex: 0 },
+      values: { name: "Harbour", year: "1950" },
+    });
+    assert.deepEqual(editedRow.row, { name: "Harbour", latitude: "1", longitude: "2", year: "1950" });
+    // The edited row's timeline extent and compact fields are derived again.
+    const editedFeature = reopenedDb.prepare(`
+      SELECT timeline_start_year, timeline_end_year, compact_json FROM features
+      WHERE dataset_id = ? AND source_row_index = 0
+    `).get(drawingImport.datasetId);
+    assert.deepEqual(
+      [editedFeature.timeline_start_year, editedFeature.timeline_end_year],
+      [1950, 1950],
+    );
+    assert.equal(JSON.parse(editedFeature.compact_json).name, "Harbour");
+    assert.throws(
+      () => updateSqliteSourceRow({
+        db: reopenedDb,
+        sourceRef: { datasetId: drawingImport.datasetId, rowIndex: 0 },
+        values: { latitude: "5" },
+      }),
+      /coordinate/i,
+    );
+    assert.throws(
+      () => updateSqliteSourceRow({
+        db: reopenedDb,
+        sourceRef: { datasetId: drawingImport.datasetId, rowIndex: 99 },
+        values: { name: "Missing" },
+      }),
+      /unavailable/i,
+    );
+    removeSqliteDataset({ db: reopenedDb, datasetId: drawingImport.datasetId });
+
+    const gazetteerCsvPath = path.join(tempDir, "gazetteer.csv");
+    fs.writeFileSync(gazetteerCsvPath, [
+      "name,country,lat,lon",
+      "Paris,FR,48.85,2.35",
+      "Paris,US,33.66,-95.55",
+      "London,GB,51.5,-0.12",
+      "Springfield,US,39.8,-89.6",
+      "Springfield,US,42.1,-72.5",
+    ].join("\n"), "utf8");
+    const gazetteerImport = importCsvFileToSqlite({ db: reopenedDb, filePath: gazetteerCsvPath });
+    const lettersCsvPath = path.join(tempDir, "letters.csv");
+    fs.writeFileSync(
+      lettersCsvPath,
+      "sender,place,country\nA,Paris,FR\nB,Londn,\nC,Springfield,US\nD,Atlantis,\nE,,\n",
+      "utf8",
+    );
+    const lettersImport = importCsvFileToSqlite({ db: reopenedDb, filePath: lettersCsvPath });
+    assert.deepEqual([lettersImport.importedFeatureCount, lettersImport.skippedRowCount], [0, 5]);
+    const geocoded = geocodeSqliteDataset({
+      db: reopenedDb,
+      datasetId: lettersImport.datasetId,
+      gazetteerDatasetId: gazetteerImport.datasetId,
+      placeField: "place",
+      countryField: "country",
+    });
+    assert.deepEqual(
+      [geocoded.matchedCount, geocoded.fuzzyCount, geocoded.ambiguousCount, geocoded.unmatchedCount],
+      [2, 1, 1, 1],
+    );
+    assert.deepEqual(
+      geocoded.review.map((item) => [item.rowIndex, item.status, item.candidates.length]),
+      [[2, "ambiguous", 2], [3, "unmatched", 0]],
+    );
+    // A dataset without coordinate columns gains WGS 84 lat and lon columns.
+    assert.deepEqual(geocoded.dataset.headers, ["sender", "place", "country", "lat", "lon"]);
+    assert.deepEqual(
+      [geocoded.dataset.importedFeatureCount, geocoded.dataset.skippedRowCount],
+      [2, 3],
+    );
+    const settled = geocodeSqliteDataset({
+      db: reopenedDb,
+      datasetId: lettersImport.datasetId,
+      gazetteerDatasetId: gazetteerImport.datasetId,
+      placeField: "place",
+      choices: [{ rowIndex: 2, gazetteerRowIndex: 4 }],
+    });
+    assert.deepEqual([settled.matchedCount, settled.unmatchedCount], [1, 1]);
+    assert.deepEqual(
+      reopenedDb.prepare(`
+        SELECT source_row_index, lat, lon FROM features
+        WHERE dataset_id = ? ORDER BY source_row_index
+      `).all(lettersImport.datasetId).map((row) => [row.source_row_index, row.lat, row.lon]),
+      [[0, 48.85, 2.35], [1, 51.5, -0.12], [2, 42.1, -72.5]],
+    );
+    // Rows still unlocated export with the located ones, in source order.
+    assert.equal(
+      exportSqliteDatasetCsv({ db: reopenedDb, datasetId: lettersImport.datasetId }).csvText,
+      [
+        "sender,place,country,lat,lon",
+        "A,Paris,FR,48.85,2.35",
+        "B,Londn,,51.5,-0.12",
+        "C,Springfield,US,42.1,-72.5",
+        "D,Atlantis,,,",
+        "E,,,,",
+      ].join("\r\n"),
+    );
+    assert.throws(
+      () => geocodeSqliteDataset({
+        db: reopenedDb,
+        datasetId: lettersImport.datasetId,
+        gazetteerDatasetId: gazetteerImport.datasetId,
+        placeField: "place",
+        choices: [{ rowIndex: 3, gazetteerRowIndex: 99 }],
+      }),
+      /gazetteer places/i,
+    );
+    assert.throws(
+      () => geocodeSqliteDataset({
+        db: reopenedDb,
+        datasetId: lettersImport.datasetId,
+        gazetteerDatasetId: lettersImport.datasetId,
+        placeField: "place",
+      }),
+      /own gazetteer/i,
+    );
+    removeSqliteDataset({ db: reopenedDb, datasetId: lettersImport.datasetId });
+
+    const projectedCsvPath = path.join(tempDir, "projected.csv");
+    fs.writeFileSync(projectedCsvPath, "name,n,e\nPalace,6580822,674032\nBlank,,\n", "utf8");
+    const projectedImport = importCsvFileToSqlite({ db: reopenedDb, filePath: projectedCsvPath });
+    assert.deepEqual(
+      [projectedImport.importedFeatureCount, projectedImport.skippedRowCount],
+      [0, 2],
+    );
+    // A new mapping and system locate rows the import could not.
+    const remapped = updateSqliteDatasetMapping({
+      db: reopenedDb,
+      datasetId: projectedImport.datasetId,
+      mapping: { latField: "n", lonField: "e", coordinateSystem: "epsg:3006" },
+    });
+    assert.deepEqual(remapped.mapping, {
+      latField: "n",
+      lonField: "e",
+      coordinateField: null,
+      coordinateSystem: "EPSG:3006",
+    });
+    assert.deepEqual(
+      [remapped.dataset.importedFeatureCount, remapped.dataset.skippedRowCount],
+      [1, 1],
+    );
+    assert.equal(remapped.dataset.coordinateSystem, "EPSG:3006");
+    const readPalace = () => reopenedDb.prepare(`
+      SELECT source_row_index, lat, lon FROM features WHERE dataset_id = ?
+    `).all(projectedImport.datasetId);
+    const [palace] = readPalace();
+    assert.equal(palace.source_row_index, 0);
+    assert.ok(Math.abs(palace.lat - 59.330) < 0.001 && Math.abs(palace.lon - 18.059) < 0.001);
+    // A custom proj4 string describing the same projection gives the same point.
+    updateSqliteDatasetMapping({
+      db: reopenedDb,
+      datasetId: projectedImport.datasetId,
+      mapping: { coordinateSystem: "+proj=utm +zone=33 +ellps=GRS80 +units=m +no_defs" },
+    });
+    const [customPalace] = readPalace();
+    assert.ok(Math.abs(customPalace.lat - palace.lat) < 1e-6);
+    const cleared = updateSqliteDatasetMapping({
+      db: reopenedDb,
+      datasetId: projectedImport.datasetId,
+      mapping: { latField: null },
+    });
+    assert.deepEqual(
+      [cleared.mapping.latField, cleared.mapping.lonField, cleared.dataset.importedFeatureCount],
+      [null, "e", 0],
+    );
+    assert.throws(
+      () => updateSqliteDatasetMapping({
+        db: reopenedDb,
+        datasetId: projectedImport.datasetId,
+        mapping: { latField: "missing" },
+      }),
+      /existing dataset columns/i,
+    );
+    assert.throws(
+      () => updateSqliteDatasetMapping({
+        db: reopenedDb,
+        datasetId: projectedImport.datasetId,
+        mapping: { coordinateSystem: "EPSG:9999" },
+      }),
+      /coordinate system/i,
+    );
+    removeSqliteDataset({ db: reopenedDb, datasetId: projectedImport.datasetId });
+    removeSqliteDataset({ db: reopenedDb, datasetId: gazetteerImport.datasetId });
+    assert.equal(
+      reopenedDb.prepare("SELECT COUNT(*) AS count FROM unlocated_rows").get().count,
+      0,
+    );
+
     assert.deepEqual(removeSqliteDataset({
       db: reopenedDb,
       datasetId: "newer-a",
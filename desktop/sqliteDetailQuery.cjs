@@ -1,5 +1,8 @@
 'use strict';
 
+const { buildAttributeFilterClauses, normalizeAttributeFilters } = require('./attributeFilters.cjs');
+const { getTimelineQueryDayRange } = require('./timelineDays.cjs');
+
 const DEFAULT_GROUP_ROWS_LIMIT = 30;
 const MAX_GROUP_ROWS_LIMIT = 100;
 const GROUP_ROWS_SORT_ORDER = 'dataset-source-row';
@@ -90,19 +93,22 @@ function getSqliteGroupRows({
 
 function buildGroupWhereClause(groupRef) {
   const { bounds, grid, timeline } = groupRef;
-  // Rebuild the original point group from its viewport, grid cell, and timeline.
+  const attributeFilter = buildAttributeFilterClauses(groupRef.attributeFilters);
+  // Rebuild the original point group from its viewport, grid cell, attribute filters, and timeline.
   const clauses = [
     'dataset_id IN (SELECT id FROM datasets WHERE enabled = 1)',
-    // Region vertices render as polygons and therefore cannot belong to a point marker.
-    "COALESCE(LOWER(TRIM(json_extract(compact_json, '$.featureType'))), 'point') <> 'region'",
+    // Line and region vertices render as paths and therefore cannot belong to a point marker.
+    "COALESCE(LOWER(TRIM(json_extract(compact_json, '$.featureType'))), 'point') NOT IN ('line', 'region')",
     'lat BETWEEN @south AND @north',
     bounds.west > bounds.east
       ? '(lon >= @west OR lon <= @east)'
       : 'lon BETWEEN @west AND @east',
     'CAST((lat + 90.0) / @cellHeight AS INTEGER) = @cellLat',
     'CAST((lon + 180.0) / @cellWidth AS INTEGER) = @cellLon',
+    ...attributeFilter.clauses,
   ];
   const params = {
+    ...attributeFilter.params,
     north: bounds.north,
     south: bounds.south,
     east: bounds.east,
@@ -113,15 +119,25 @@ function buildGroupWhereClause(groupRef) {
     cellWidth: grid.cellWidth,
   };
 
+  // Heatmap datasets were drawn as density, not as part of this marker group.
+  if (groupRef.heatmapDatasetIds.length > 0) {
+    const placeholders = groupRef.heatmapDatasetIds.map((datasetId, index) => {
+      params[`heatmapDataset${index}`] = datasetId;
+      return `@heatmapDataset${index}`;
+    });
+    clauses.push(`dataset_id NOT IN (${placeholders.join(', ')})`);
+  }
+
   if (timeline) {
     clauses.push(
-      'timeline_start_year IS NOT NULL',
-      'timeline_end_year IS NOT NULL',
-      'timeline_start_year <= @timelineEndYear',
-      'timeline_end_year >= @timelineStartYear',
+      'timeline_start_day IS NOT NULL',
+      'timeline_end_day IS NOT NULL',
+      'timeline_start_day <= @timelineEndDay',
+      'timeline_end_day >= @timelineStartDay',
     );
-    params.timelineStartYear = timeline.startYear;
-    params.timelineEndYear = timeline.endYear;
+    const dayRange = getTimelineQueryDayRange(timeline);
+    params.timelineStartDay = dayRange.startDay;
+    params.timelineEndDay = dayRange.endDay;
   }
 
   return {
@@ -149,10 +165,20 @@ function normalizeGroupRef(groupRef) {
     bounds,
     grid,
     timeline,
+    attributeFilters: normalizeAttributeFilters(groupRef.attributeFilters),
+    heatmapDatasetIds: normalizeHeatmapDatasetIds(groupRef.heatmapDatasetIds),
     sortOrder: GROUP_ROWS_SORT_ORDER,
   };
 }
 
+function normalizeHeatmapDatasetIds(value) {
+  if (!Array.isArray(value)) return [];
+  const ids = value
+    .map((datasetId) => (typeof datasetId === 'string' ? datasetId.trim() : ''))
+    .filter(Boolean);
+  return [...new Set(ids)].sort();
+}
+
 function normalizeSourceRef(sourceRef) {
   if (!sourceRef || typeof sourceRef !== 'object') return null;
 
@@ -210,10 +236,15 @@ function normalizeTimeline(timeline) {
   const endYear = normalizeInteger(timeline.endYear);
   if (startYear == null || endYear == null) return undefined;
 
+  const startEpochDay = normalizeInteger(timeline.startEpochDay);
+  const endEpochDay = normalizeInteger(timeline.endEpochDay);
   return {
     timelineEnabled: true,
     startYear: Math.min(startYear, endYear),
     endYear: Math.max(startYear, endYear),
+    ...(startEpochDay != null && endEpochDay != null
+      ? { startEpochDay: Math.min(startEpochDay, endEpochDay), endEpochDay: Math.max(startEpochDay, endEpochDay) }
+      : {}),
   };
 }
 
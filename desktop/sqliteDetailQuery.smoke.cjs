@@ -171,6 +171,21 @@ function runGroupedPagingSmoke(db) {
     totalRows: 2,
   });
   setSqliteDatasetEnabled({ db, datasetId: DATASET_B, enabled: true });
+  // Captured attribute filters narrow only their own dataset's rows.
+  assert.deepEqual(getSqliteGroupRows({
+    db,
+    groupRef: {
+      ...groupRef,
+      attributeFilters: [{
+        datasetId: DATASET_A,
+        field: 'name',
+        operator: 'contains',
+        value: 'TWO',
+      }],
+    },
+    offset: 0,
+    limit: 10,
+  }).rows.map((row) => row.name), ['match-two', 'match-three']);
   assert.deepEqual(
     getSqliteGroupRows({
       db,
@@ -195,6 +210,7 @@ function runGroupedPagingSmoke(db) {
 function createSmokeDatabase() {
   const Database = require('better-sqlite3');
   const { closeSqliteStore, initializeSchema } = require('./sqliteStore.cjs');
+  const { getYearEndDay, getYearStartDay } = require('./timelineDays.cjs');
   const db = new Database(':memory:');
   const features = [
     createFeature(DATASET_A, 0, 'excluded-before', 1, 1, 1980, 1990),
@@ -214,14 +230,20 @@ function createSmokeDatabase() {
     const insertFeature = db.prepare([
       'INSERT INTO features (',
       '  id, dataset_id, source_row_index, lat, lon,',
-      '  timeline_start_year, timeline_end_year, compact_json, row_json',
+      '  timeline_start_year, timeline_end_year, timeline_start_day,',
+      '  timeline_end_day, compact_json, row_json',
       ') VALUES (',
       '  @id, @datasetId, @sourceRowIndex, @lat, @lon,',
-      '  @timelineStartYear, @timelineEndYear, @compactJson, @rowJson',
+      '  @timelineStartYear, @timelineEndYear, @timelineStartDay,',
+      '  @timelineEndDay, @compactJson, @rowJson',
       ')',
     ].join('\n'));
     const insertFeatures = db.transaction((rows) => {
-      rows.forEach((feature) => insertFeature.run(feature));
+      rows.forEach((feature) => insertFeature.run({
+        ...feature,
+        timelineStartDay: feature.timelineStartYear == null ? null : getYearStartDay(feature.timelineStartYear),
+        timelineEndDay: feature.timelineEndYear == null ? null : getYearEndDay(feature.timelineEndYear),
+      }));
     });
 
     insertFeatures(features);
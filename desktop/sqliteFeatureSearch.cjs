@@ -0,0 +1,173 @@
+"use strict";
+
+const DEFAULT_FEATURE_SEARCH_LIMIT = 20;
+const MAX_FEATURE_SEARCH_LIMIT = 100;
+const MAX_FEATURE_SEARCH_TEXT_LENGTH = 200;
+const MAX_FEATURE_SEARCH_TERMS = 8;
+const NAME_FIELDS = ["name", "title", "label"];
+const POINT_ROW_CONDITION =
+  "COALESCE(LOWER(TRIM(json_extract(features.compact_json, '$.featureType'))), 'point') NOT IN ('line', 'region')";
+
+/**
+ * Find features in enabled datasets whose stored row contains every searched word.
+ * Points match their own row; lines and regions match the row that supplies their details.
+ */
+function searchSqliteFeatures({ db, text, limit } = {}) {
+  assertOpenDatabase(db);
+  const match = buildFeatureSearchMatch(text);
+  if (!match) return { results: [], hasMore: false };
+  const normalizedLimit = normalizeLimit(limit);
+
+  // FTS returns document IDs in insertion order, which keeps results in import order.
+  const rows = db.prepare(`
+    SELECT
+      features.dataset_id,
+      features.source_row_index,
+      features.lat,
+      features.lon,
+      features.timeline_start_year,
+      features.timeline_end_year,
+      features.row_json,
+      datasets.file_name,
+      ${POINT_ROW_CONDITION} AS is_point
+    FROM search_text
+    INNER JOIN search_rows ON search_rows.search_id = search_text.docid
+    INNER JOIN features
+      ON features.dataset_id = search_rows.dataset_id
+      AND features.source_row_index = search_rows.source_row_index
+    INNER JOIN datasets ON datasets.id = features.dataset_id
+    WHERE search_text MATCH @match
+      AND datasets.enabled = 1
+      AND (
+        ${POINT_ROW_CONDITION}
+        OR EXISTS (
+          SELECT 1
+          FROM geometry_features
+          WHERE geometry_features.dataset_id = features.dataset_id
+            AND geometry_features.source_row_index = features.source_row_index
+        )
+      )
+    ORDER BY search_text.docid
+    LIMIT @limit
+  `).all({ match, limit: normalizedLimit + 1 });
+
+  return {
+    results: rows.slice(0, normalizedLimit).flatMap((row) => toSearchResults(db, row)),
+    hasMore: rows.length > normalizedLimit,
+  };
+}
+
+function toSearchResults(db, row) {
+  const datasetId = String(row.dataset_id);
+  const rowIndex = Number(row.source_row_index);
+  const sourceRow = parseJsonObject(row.row_json);
+  const base = {
+    datasetId,
+    datasetName: String(row.file_name ?? ""),
+    sourceRef: { datasetId, rowIndex },
+  };
+
+  if (row.is_point) {
+    return [{
+      ...base,
+      geometryType: "point",
+      featureId: null,
+      name: getFeatureSearchName(sourceRow, null, rowIndex),
+      startYear: normalizeNullableInteger(row.timeline_start_year),
+      endYear: normalizeNullableInteger(row.timeline_end_year),
+      lat: Number(row.lat),
+      lon: Number(row.lon),
+      bounds: null,
+    }];
+  }
+
+  // Every part of a multipart region carries the same detail row.
+  return db.prepare(`
+    SELECT
+      geometry_type,
+      feature_id,
+      MIN(min_lat) AS south,
+      MAX(max_lat) AS north,
+      MIN(min_lon) AS west,
+      MAX(max_lon) AS east,
+      MIN(timeline_start_year) AS timeline_start_year,
+      MAX(timeline_end_year) AS timeline_end_year
+    FROM geometry_features
+    WHERE dataset_id = ? AND source_row_index = ?
+    GROUP BY geometry_type, feature_id
+    ORDER BY MIN(part_order_index), feature_id
+  `).all(datasetId, rowIndex).map((geometry) => {
+    const bounds = {
+      north: Number(geometry.north),
+      south: Number(geometry.south),
+      east: Number(geometry.east),
+      west: Number(geometry.west),
+    };
+    const featureId = String(geometry.feature_id);
+    return {
+      ...base,
+      geometryType: geometry.geometry_type === "line" ? "line" : "region",
+      featureId,
+      name: getFeatureSearchName(sourceRow, featureId, rowIndex),
+      startYear: normalizeNullableInteger(geometry.timeline_start_year),
+      endYear: normalizeNullableInteger(geometry.timeline_end_year),
+      lat: (bounds.north + bounds.south) / 2,
+      lon: (bounds.east + bounds.west) / 2,
+      bounds,
+    };
+  });
+}
+
+// Mirrors buildFeatureSearchMatch in src/components/featureSearch.js so both backends read words alike.
+function buildFeatureSearchMatch(text) {
+  if (typeof text !== "string") return null;
+  const terms = text
+    .slice(0, MAX_FEATURE_SEARCH_TEXT_LENGTH)
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu)
+    ?.slice(0, MAX_FEATURE_SEARCH_TERMS) ?? [];
+  return terms.length > 0 ? terms.map((term) => `${term}*`).join(" ") : null;
+}
+
+// Mirrors getFeatureSearchName in src/components/featureSearch.js.
+function getFeatureSearchName(row, featureId, rowIndex) {
+  const entries = Object.entries(row);
+  for (const field of NAME_FIELDS) {
+    const entry = entries.find(([key, value]) => (
+      key.trim().toLowerCase() === field && String(value ?? "").trim()
+    ));
+    if (entry) return String(entry[1]).trim();
+  }
+  return featureId || `Row ${rowIndex + 1}`;
+}
+
+function normalizeLimit(value) {
+  const number = Number(value);
+  if (!Number.isSafeInteger(number) || number <= 0) return DEFAULT_FEATURE_SEARCH_LIMIT;
+  return Math.min(number, MAX_FEATURE_SEARCH_LIMIT);
+}
+
+function normalizeNullableInteger(value) {
+  if (value == null) return null;
+  const number = Number(value);
+  return Number.isSafeInteger(number) ? number : null;
+}
+
+function parseJsonObject(value) {
+  try {
+    const parsed = JSON.parse(String(value ?? ""));
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function assertOpenDatabase(db) {
+  if (!db?.open) {
+    throw new TypeError("An open SQLite database is required.");
+  }
+}
+
+module.exports = {
+  searchSqliteFeatures,
+};
@@ -0,0 +1,118 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { importCsvFileToSqlite } = require("./csvImportService.cjs");
+const {
+  removeSqliteDataset,
+  setSqliteDatasetEnabled,
+  updateSqliteSourceRow,
+} = require("./sqliteDatasetService.cjs");
+const { getSqliteFeatureDetails } = require("./sqliteDetailQuery.cjs");
+const { searchSqliteFeatures } = require("./sqliteFeatureSearch.cjs");
+const { closeSqliteStore, openSqliteStore } = require("./sqliteStore.cjs");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "csv-map-feature-search-"));
+const dbPath = path.join(tempDir, "search.sqlite");
+let db = openSqliteStore(dbPath);
+
+try {
+  const places = importCsv("places.csv", [
+    "featureType,featureId,order,name,lat,lon,year,kind",
+    "point,,,Göteborg harbour,57.7,11.9,1850,port",
+    "point,,,Uppsala,59.8,17.6,1900,town",
+    "line,canal,1,Canal route,58,12,1832,",
+    "line,canal,2,Canal route,58.5,15,1832,",
+  ]);
+  const harbours = importCsv("harbours.csv", [
+    "name,lat,lon,year,kind",
+    "Harbour master,60,20,1901,port",
+  ]);
+
+  // Words match the start of any value word, ignoring case and diacritics.
+  assert.deepEqual(searchSqliteFeatures({ db, text: "GOTE harb" }), {
+    results: [{
+      datasetId: places,
+      datasetName: "places.csv",
+      sourceRef: { datasetId: places, rowIndex: 0 },
+      geometryType: "point",
+      featureId: null,
+      name: "Göteborg harbour",
+      startYear: 1850,
+      endYear: 1850,
+      lat: 57.7,
+      lon: 11.9,
+      bounds: null,
+    }],
+    hasMore: false,
+  });
+
+  // Results span datasets in import order.
+  assert.deepEqual(
+    searchSqliteFeatures({ db, text: "port" }).results.map(({ datasetId }) => datasetId),
+    [places, harbours],
+  );
+
+  // A line is found once, through the row that supplies its details.
+  const canal = searchSqliteFeatures({ db, text: "canal" }).results;
+  assert.equal(canal.length, 1);
+  assert.equal(canal[0].geometryType, "line");
+  assert.equal(canal[0].featureId, "canal");
+  assert.deepEqual(canal[0].bounds, { north: 58.5, south: 58, east: 15, west: 12 });
+  assert.equal(
+    getSqliteFeatureDetails({ db, sourceRef: canal[0].sourceRef }).row.name,
+    "Canal route",
+  );
+
+  assert.deepEqual(searchSqliteFeatures({ db, text: "\"port\" OR -town*" }).results, []);
+  assert.deepEqual(searchSqliteFeatures({ db, text: "  " }), { results: [], hasMore: false });
+  const limited = searchSqliteFeatures({ db, text: "port", limit: 1 });
+  assert.equal(limited.results.length, 1);
+  assert.equal(limited.hasMore, true);
+
+  // Edits, hidden datasets, and removal are reflected immediately.
+  updateSqliteSourceRow({
+    db,
+    sourceRef: { datasetId: places, rowIndex: 1 },
+    values: { kind: "port" },
+  });
+  assert.deepEqual(
+    searchSqliteFeatures({ db, text: "port" }).results.map(({ name }) => name),
+    ["Göteborg harbour", "Uppsala", "Harbour master"],
+  );
+  setSqliteDatasetEnabled({ db, datasetId: harbours, enabled: false });
+  assert.equal(searchSqliteFeatures({ db, text: "master" }).results.length, 0);
+  setSqliteDatasetEnabled({ db, datasetId: harbours, enabled: true });
+  removeSqliteDataset({ db, datasetId: harbours });
+  assert.equal(searchSqliteFeatures({ db, text: "master" }).results.length, 0);
+  assert.equal(db.prepare("SELECT COUNT(*) AS count FROM search_rows").get().count, 4);
+
+  // Stores from before search rebuild the index when they are opened.
+  db.exec(`
+    DROP TRIGGER features_search_insert;
+    DROP TRIGGER features_search_update;
+    DROP TRIGGER features_search_delete;
+    DROP TABLE search_text;
+    DROP TABLE search_rows;
+  `);
+  db.pragma("user_version = 2");
+  closeSqliteStore(db);
+  db = openSqliteStore(dbPath);
+  assert.equal(db.pragma("user_version", { simple: true }), 3);
+  assert.equal(searchSqliteFeatures({ db, text: "uppsala" }).results.length, 1);
+
+  assert.throws(() => searchSqliteFeatures({ db: null, text: "port" }), TypeError);
+} finally {
+  closeSqliteStore(db);
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+console.log("SQLite feature search smoke checks passed.");
+
+function importCsv(fileName, lines) {
+  const filePath = path.join(tempDir, fileName);
+  fs.writeFileSync(filePath, `${lines.join("\n")}\n`);
+  return importCsvFileToSqlite({ db, filePath }).datasetId;
+}
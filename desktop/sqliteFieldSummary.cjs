@@ -0,0 +1,123 @@
+"use strict";
+
+const { toJsonPath } = require("./attributeFilters.cjs");
+
+// Mirrors MAX_STYLE_CATEGORIES in src/components/styleRules.js.
+const MAX_STYLE_CATEGORIES = 10;
+const POINT_ROW_CONDITION =
+  "COALESCE(LOWER(TRIM(json_extract(features.compact_json, '$.featureType'))), 'point') NOT IN ('line', 'region')";
+
+// Values of one column across rows that draw a map feature: points, and the
+// rows that supply line and region details.
+const FEATURE_VALUES = `
+  WITH feature_values AS (
+    SELECT TRIM(COALESCE(CAST(json_extract(features.row_json, @path) AS TEXT), '')) AS value
+    FROM features
+    WHERE features.dataset_id = @datasetId
+      AND (
+        ${POINT_ROW_CONDITION}
+        OR EXISTS (
+          SELECT 1
+          FROM geometry_features
+          WHERE geometry_features.dataset_id = features.dataset_id
+            AND geometry_features.source_row_index = features.source_row_index
+        )
+      )
+  )
+`;
+
+/**
+ * Summarize one dataset column for style rules: how many feature rows have a
+ * value, the numeric range, and the most common values. Numbers follow the
+ * numeric attribute filter rule, so non-numeric text never widens the range.
+ */
+function getSqliteFieldSummary({ db, datasetId, field } = {}) {
+  assertOpenDatabase(db);
+  const normalizedDatasetId = normalizeNullableString(datasetId);
+  const normalizedField = typeof field === "string" && field.trim() ? field : null;
+  if (!normalizedDatasetId || !normalizedField) {
+    return createEmptyFieldSummary(normalizedDatasetId, normalizedField);
+  }
+
+  const params = { datasetId: normalizedDatasetId, path: toJsonPath(normalizedField) };
+  const totals = db.prepare(`
+    ${FEATURE_VALUES}
+    SELECT
+      COUNT(*) AS row_count,
+      COUNT(NULLIF(value, '')) AS value_count,
+      COALESCE(SUM(is_numeric), 0) AS numeric_count,
+      MIN(CASE WHEN is_numeric THEN CAST(value AS REAL) END) AS min_value,
+      MAX(CASE WHEN is_numeric THEN CAST(value AS REAL) END) AS max_value,
+      COUNT(DISTINCT NULLIF(value, '')) AS category_count
+    FROM (
+      SELECT
+        value,
+        value GLOB '*[0-9]*' AND value NOT GLOB '*[^0-9.eE+-]*' AS is_numeric
+      FROM feature_values
+    )
+  `).get(params) ?? {};
+  const categories = db.prepare(`
+    ${FEATURE_VALUES}
+    SELECT value, COUNT(*) AS count
+    FROM feature_values
+    WHERE value <> ''
+    GROUP BY value
+    ORDER BY count DESC, value
+    LIMIT @limit
+  `).all({ ...params, limit: MAX_STYLE_CATEGORIES });
+
+  return {
+    datasetId: normalizedDatasetId,
+    field: normalizedField,
+    rowCount: normalizeCount(totals.row_count),
+    valueCount: normalizeCount(totals.value_count),
+    numericCount: normalizeCount(totals.numeric_count),
+    min: normalizeNullableNumber(totals.min_value),
+    max: normalizeNullableNumber(totals.max_value),
+    categories: categories.map((row) => ({
+      value: String(row.value),
+      count: normalizeCount(row.count),
+    })),
+    categoryCount: normalizeCount(totals.category_count),
+  };
+}
+
+function createEmptyFieldSummary(datasetId, field) {
+  return {
+    datasetId,
+    field,
+    rowCount: 0,
+    valueCount: 0,
+    numericCount: 0,
+    min: null,
+    max: null,
+    categories: [],
+    categoryCount: 0,
+  };
+}
+
+function normalizeCount(value) {
+  const number = Number(value);
+  return Number.isSafeInteger(number) && number > 0 ? number : 0;
+}
+
+function normalizeNullableNumber(value) {
+  if (value == null) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function normalizeNullableString(value) {
+  if (typeof value !== "string") return null;
+  return value.trim() || null;
+}
+
+function assertOpenDatabase(db) {
+  if (!db?.open) {
+    throw new TypeError("An open SQLite database is required.");
+  }
+}
+
+module.exports = {
+  getSqliteFieldSummary,
+};
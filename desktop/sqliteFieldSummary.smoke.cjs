@@ -0,0 +1,88 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { importCsvFileToSqlite } = require("./csvImportService.cjs");
+const { getSqliteFieldSummary } = require("./sqliteFieldSummary.cjs");
+const { querySqliteMapView } = require("./sqliteViewportQuery.cjs");
+const { closeSqliteStore, openSqliteStore } = require("./sqliteStore.cjs");
+
+const WORLD = { north: 90, south: -90, east: 180, west: -180 };
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "csv-map-field-summary-"));
+const db = openSqliteStore(path.join(tempDir, "summary.sqlite"));
+
+try {
+  const places = importCsv("places.csv", [
+    "featureType,featureId,order,name,lat,lon,kind,population",
+    "point,,,A,57,11,port,1200",
+    "point,,,B,58,12,town,300",
+    "point,,,C,59,13,port, 4.5e3 ",
+    "point,,,D,60,14,,unknown",
+    "line,road,1,Road,58,11,road,10",
+    "line,road,2,Road,59,12,,",
+  ]);
+
+  // The line counts once, through the row that supplies its details.
+  assert.deepEqual(getSqliteFieldSummary({ db, datasetId: places, field: "population" }), {
+    datasetId: places,
+    field: "population",
+    rowCount: 5,
+    valueCount: 5,
+    numericCount: 4,
+    min: 10,
+    max: 4500,
+    categories: [
+      { value: "10", count: 1 },
+      { value: "1200", count: 1 },
+      { value: "300", count: 1 },
+      { value: "4.5e3", count: 1 },
+      { value: "unknown", count: 1 },
+    ],
+    categoryCount: 5,
+  });
+  const kinds = getSqliteFieldSummary({ db, datasetId: places, field: "kind" });
+  assert.deepEqual(kinds.categories, [
+    { value: "port", count: 2 },
+    { value: "road", count: 1 },
+    { value: "town", count: 1 },
+  ]);
+  assert.deepEqual([kinds.rowCount, kinds.valueCount, kinds.min], [5, 4, null]);
+  assert.equal(getSqliteFieldSummary({ db, datasetId: "missing", field: "kind" }).rowCount, 0);
+  assert.deepEqual(getSqliteFieldSummary({ db, datasetId: places }).categories, []);
+
+  // Map results carry only the requested columns, for their own dataset.
+  const styled = querySqliteMapView({
+    db,
+    bounds: WORLD,
+    styleFields: [
+      { datasetId: places, field: "kind" },
+      { datasetId: places, field: "population" },
+      { datasetId: "other", field: "kind" },
+    ],
+  });
+  assert.deepEqual(styled.points.map(({ styleValues }) => styleValues), [
+    { kind: "port", population: "1200" },
+    { kind: "town", population: "300" },
+    { kind: "port", population: "4.5e3" },
+    { kind: "", population: "unknown" },
+  ]);
+  assert.deepEqual(styled.lines[0].styleValues, { kind: "road", population: "10" });
+  const unstyled = querySqliteMapView({ db, bounds: WORLD });
+  assert.equal("styleValues" in unstyled.points[0], false);
+  assert.equal("styleValues" in unstyled.lines[0], false);
+
+  assert.throws(() => getSqliteFieldSummary({ db: null }), TypeError);
+} finally {
+  closeSqliteStore(db);
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+console.log("SQLite field summary smoke checks passed.");
+
+function importCsv(fileName, lines) {
+  const filePath = path.join(tempDir, fileName);
+  fs.writeFileSync(filePath, `${lines.join("\n")}\n`);
+  return importCsvFileToSqlite({ db, filePath }).datasetId;
+}
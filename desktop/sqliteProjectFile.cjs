@@ -0,0 +1,106 @@
+"use strict";
+
+const { importCsvTextToSqlite } = require("./csvImportService.cjs");
+const { exportSqliteDatasetCsv } = require("./sqliteDatasetExport.cjs");
+const {
+  getSqliteDatasetSummary,
+  readDatasetImportFields,
+  setSqliteDatasetEnabled,
+} = require("./sqliteDatasetService.cjs");
+
+/**
+ * Read every dataset as the CSV text and coordinate mapping a project file stores.
+ * Rows come from the committed export, so zone adjustments are included.
+ */
+function collectSqliteProjectDatasets({ db } = {}) {
+  assertOpenDatabase(db);
+
+  return getSqliteDatasetSummary({ db }).datasets.map((dataset) => {
+    const exported = exportSqliteDatasetCsv({ db, datasetId: dataset.id });
+    const fields = readDatasetImportFields(db, dataset.id, dataset.headers);
+    return {
+      id: dataset.id,
+      name: exported.fileName,
+      enabled: dataset.enabled,
+      latField: fields.latField,
+      lonField: fields.lonField,
+      coordinateField: fields.coordinateField,
+      coordinateSystem: fields.coordinateSystem,
+      csvText: exported.csvText,
+    };
+  });
+}
+
+/**
+ * Import the datasets of a parsed project file. Results keep the project's
+ * dataset order so view settings can be bound to the new dataset IDs.
+ */
+function importSqliteProjectDatasets({ db, datasets } = {}) {
+  assertOpenDatabase(db);
+  if (!Array.isArray(datasets)) {
+    throw new TypeError("Project datasets are required.");
+  }
+
+  const results = new Array(datasets.length);
+  // Dataset lists show the newest import first, so the last dataset goes in first.
+  for (let index = datasets.length - 1; index >= 0; index -= 1) {
+    const dataset = datasets[index];
+    try {
+      const summary = importCsvTextToSqlite({
+        db,
+        fileName: dataset.name,
+        csvText: dataset.csvText,
+        coordinateFields: {
+          latField: dataset.latField,
+          lonField: dataset.lonField,
+          // Older projects leave the coordinate column and system to import detection.
+          ...(Object.hasOwn(dataset, "coordinateField")
+            ? { coordinateField: dataset.coordinateField }
+            : {}),
+          ...(Object.hasOwn(dataset, "coordinateSystem")
+            ? { coordinateSystem: dataset.coordinateSystem }
+            : {}),
+        },
+      });
+      if (dataset.enabled === false) {
+        setSqliteDatasetEnabled({ db, datasetId: summary.datasetId, enabled: false });
+      }
+      results[index] = {
+        ok: true,
+        fileName: summary.fileName,
+        datasetId: summary.datasetId,
+        rowCount: summary.rowCount,
+        importedFeatureCount: summary.importedFeatureCount,
+        skippedRowCount: summary.skippedRowCount,
+        detectedFields: summary.detectedFields,
+        parseErrors: summary.parseErrors,
+      };
+    } catch {
+      results[index] = {
+        ok: false,
+        fileName: String(dataset?.name ?? "Unknown CSV file"),
+        error: "The project dataset could not be imported.",
+      };
+    }
+  }
+  const successfulCount = results.filter((result) => result.ok).length;
+
+  return {
+    ok: successfulCount > 0,
+    canceled: false,
+    successfulCount,
+    failedCount: results.length - successfulCount,
+    results,
+  };
+}
+
+function assertOpenDatabase(db) {
+  if (!db?.open) {
+    throw new TypeError("An open SQLite database is required.");
+  }
+}
+
+module.exports = {
+  collectSqliteProjectDatasets,
+  importSqliteProjectDatasets,
+};
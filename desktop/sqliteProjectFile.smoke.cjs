@@ -0,0 +1,95 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { importCsvTextToSqlite } = require("./csvImportService.cjs");
+const { exportSqliteDatasetCsv } = require("./sqliteDatasetExport.cjs");
+const {
+  getSqliteDatasetSummary,
+  setSqliteDatasetEnabled,
+} = require("./sqliteDatasetService.cjs");
+const {
+  collectSqliteProjectDatasets,
+  importSqliteProjectDatasets,
+} = require("./sqliteProjectFile.cjs");
+const { closeSqliteStore, openSqliteStore } = require("./sqliteStore.cjs");
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
+
+async function main() {
+  const { parseProjectFile, serializeProjectFile } = await import("../src/data/projectFile.js");
+  const source = openSqliteStore(":memory:");
+  const target = openSqliteStore(":memory:");
+
+  try {
+    // "lat" would be detected, so the saved mapping must win on reopen.
+    const places = importCsvTextToSqlite({
+      db: source,
+      fileName: "/tmp/places.csv",
+      csvText: "name,lat,north,east\nHome,1,59.5,18.25\nAway,2,60,19\n",
+      coordinateFields: { latField: "north", lonField: "east" },
+    });
+    assert.equal(places.fileName, "places.csv");
+    assert.equal(places.sourcePath, null);
+    assert.equal(places.detectedFields.latField, "north");
+    const hidden = importCsvTextToSqlite({
+      db: source,
+      fileName: "hidden.csv",
+      csvText: "lat,lon\n1,2\n",
+      coordinateFields: { latField: "missing", lonField: "lon" },
+    });
+    // Unknown saved columns fall back to detection.
+    assert.equal(hidden.detectedFields.latField, "lat");
+    setSqliteDatasetEnabled({ db: source, datasetId: hidden.datasetId, enabled: false });
+
+    const datasets = collectSqliteProjectDatasets({ db: source });
+    assert.deepEqual(
+      datasets.map(({ name, enabled, latField, lonField }) => [name, enabled, latField, lonField]).sort(),
+      [
+        ["hidden.csv", false, "lat", "lon"],
+        ["places.csv", true, "north", "east"],
+      ],
+    );
+
+    const project = parseProjectFile(serializeProjectFile({
+      datasets,
+      view: { pointDisplayModes: { [places.datasetId]: "heatmap" } },
+    }));
+    const imported = importSqliteProjectDatasets({
+      db: target,
+      datasets: [...project.datasets, { name: "broken.csv", csvText: null }],
+    });
+    assert.equal(imported.ok, true);
+    assert.equal(imported.successfulCount, 2);
+    assert.equal(imported.failedCount, 1);
+    assert.deepEqual(imported.results.map(({ ok, fileName }) => [ok, fileName]), [
+      ...datasets.map(({ name }) => [true, name]),
+      [false, "broken.csv"],
+    ]);
+
+    // Each result is the dataset at the same project position.
+    const summary = getSqliteDatasetSummary({ db: target });
+    datasets.forEach((dataset, index) => {
+      const datasetId = imported.results[index].datasetId;
+      assert.equal(
+        summary.datasets.find((item) => item.id === datasetId)?.enabled,
+        dataset.enabled,
+      );
+      assert.equal(
+        exportSqliteDatasetCsv({ db: target, datasetId }).csvText,
+        dataset.csvText,
+      );
+    });
+    const placesIndex = datasets.findIndex((dataset) => dataset.name === "places.csv");
+    assert.equal(imported.results[placesIndex].detectedFields.latField, "north");
+    assert.deepEqual(project.view.pointDisplayModes, [{ dataset: placesIndex, mode: "heatmap" }]);
+
+    assert.throws(() => importSqliteProjectDatasets({ db: target }), TypeError);
+    console.log("SQLite project file smoke test passed.");
+  } finally {
+    closeSqliteStore(source);
+    closeSqliteStore(target);
+  }
+}
@@ -1,7 +1,8 @@
 "use strict";
 
 const Database = require("better-sqlite3");
-const { rebuildSqliteDatasetRegions } = require("./sqliteZoneService.cjs");
+const { rebuildSqliteDatasetGeometries } = require("./sqliteZoneService.cjs");
+const { getYearEndDay, getYearStartDay } = require("./timelineDays.cjs");
 
 /**
  * Open the SQLite database and make sure the prototype schema exists.
@@ -47,6 +48,8 @@ function initializeSchema(db) {
       lon REAL NOT NULL,
       timeline_start_year INTEGER,
       timeline_end_year INTEGER,
+      timeline_start_day INTEGER,
+      timeline_end_day INTEGER,
       compact_json TEXT NOT NULL DEFAULT '{}',
       row_json TEXT NOT NULL DEFAULT '{}',
       FOREIGN KEY (dataset_id) REFERENCES datasets(id) ON DELETE CASCADE
@@ -58,14 +61,12 @@ function initializeSchema(db) {
     CREATE INDEX IF NOT EXISTS idx_features_dataset_lat_lon
       ON features(dataset_id, lat, lon);
 
-    CREATE INDEX IF NOT EXISTS idx_features_dataset_timeline
-      ON features(dataset_id, timeline_start_year, timeline_end_year);
-
     CREATE UNIQUE INDEX IF NOT EXISTS idx_features_dataset_source_row
       ON features(dataset_id, source_row_index);
 
     CREATE TABLE IF NOT EXISTS geometry_features (
       dataset_id TEXT NOT NULL,
+      geometry_type TEXT NOT NULL DEFAULT 'region',
       feature_id TEXT NOT NULL,
       part TEXT NOT NULL,
       source_row_index INTEGER NOT NULL,
@@ -76,35 +77,217 @@ function initializeSchema(db) {
       max_lon REAL NOT NULL,
       timeline_start_year INTEGER,
       timeline_end_year INTEGER,
+      timeline_start_day INTEGER,
+      timeline_end_day INTEGER,
       coordinates_json TEXT NOT NULL,
       style_json TEXT NOT NULL DEFAULT '{}',
+      arrow_mode TEXT,
       PRIMARY KEY (dataset_id, feature_id, part),
       FOREIGN KEY (dataset_id) REFERENCES datasets(id) ON DELETE CASCADE
     );
 
     CREATE INDEX IF NOT EXISTS idx_geometry_features_dataset_bounds
       ON geometry_features(dataset_id, min_lat, max_lat, min_lon, max_lon);
+
+    -- Rows the import could not locate, kept so place-name geocoding can
+    -- locate them later. A located row moves into features.
+    CREATE TABLE IF NOT EXISTS unlocated_rows (
+      dataset_id TEXT NOT NULL,
+      source_row_index INTEGER NOT NULL,
+      compact_json TEXT NOT NULL DEFAULT '{}',
+      row_json TEXT NOT NULL DEFAULT '{}',
+      PRIMARY KEY (dataset_id, source_row_index),
+      FOREIGN KEY (dataset_id) REFERENCES datasets(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS zone_edits (
+      dataset_id TEXT NOT NULL,
+      edit_index INTEGER NOT NULL,
+      feature_id TEXT NOT NULL,
+      geometry_type TEXT NOT NULL DEFAULT 'region' CHECK (geometry_type IN ('line', 'region')),
+      kind TEXT NOT NULL CHECK (kind IN ('adjust', 'revert')),
+      before_json TEXT NOT NULL,
+      after_json TEXT NOT NULL,
+      undone INTEGER NOT NULL DEFAULT 0 CHECK (undone IN (0, 1)),
+      edited_at TEXT NOT NULL,
+      PRIMARY KEY (dataset_id, edit_index),
+      FOREIGN KEY (dataset_id) REFERENCES datasets(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS search_rows (
+      search_id INTEGER PRIMARY KEY,
+      dataset_id TEXT NOT NULL,
+      source_row_index INTEGER NOT NULL,
+      UNIQUE (dataset_id, source_row_index)
+    );
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS search_text USING fts4(content, tokenize=unicode61);
+
+    CREATE TRIGGER IF NOT EXISTS features_search_insert
+    AFTER INSERT ON features
+    BEGIN
+      INSERT INTO search_rows (dataset_id, source_row_index)
+      VALUES (NEW.dataset_id, NEW.source_row_index);
+      INSERT INTO search_text (docid, content)
+      VALUES (
+        last_insert_rowid(),
+        ${rowSearchContent("NEW.row_json")}
+      );
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS features_search_update
+    AFTER UPDATE OF row_json ON features
+    BEGIN
+      UPDATE search_text
+      SET content = ${rowSearchContent("NEW.row_json")}
+      WHERE docid = (
+        SELECT search_id FROM search_rows
+        WHERE dataset_id = NEW.dataset_id AND source_row_index = NEW.source_row_index
+      );
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS features_search_delete
+    AFTER DELETE ON features
+    BEGIN
+      DELETE FROM search_text
+      WHERE docid = (
+        SELECT search_id FROM search_rows
+        WHERE dataset_id = OLD.dataset_id AND source_row_index = OLD.source_row_index
+      );
+      DELETE FROM search_rows
+      WHERE dataset_id = OLD.dataset_id AND source_row_index = OLD.source_row_index;
+    END;
   `);
 
   ensureDatasetEnabledColumn(db);
   ensureDatasetRecommendedTimelineColumns(db);
-  migratePersistentRegions(db);
+  ensureGeometryLineColumns(db);
+  ensureTimelineDayColumns(db);
+  ensureZoneEditGeometryTypeColumn(db);
+  migratePersistentGeometries(db);
+  migrateFeatureSearchIndex(db);
 }
 
-/** Materialize regions once for databases imported before zone storage existed. */
-function migratePersistentRegions(db) {
+/**
+ * Materialize geometry for databases imported before it was stored.
+ * Version 1 added regions; version 2 adds lines, so older stores rebuild once more.
+ */
+function migratePersistentGeometries(db) {
   const version = Number(db.pragma("user_version", { simple: true })) || 0;
-  if (version >= 1) return;
+  if (version >= 2) return;
   const migrate = db.transaction(() => {
     const datasets = db.prepare("SELECT id FROM datasets ORDER BY id").all();
     for (const dataset of datasets) {
-      rebuildSqliteDatasetRegions({ db, datasetId: String(dataset.id) });
+      rebuildSqliteDatasetGeometries({ db, datasetId: String(dataset.id) });
     }
-    db.pragma("user_version = 1");
+    db.pragma("user_version = 2");
+  });
+  migrate();
+}
+
+/**
+ * Index rows stored before the search triggers existed. Version 3 adds the
+ * full-text index, so older stores rebuild it once from every feature row.
+ */
+function migrateFeatureSearchIndex(db) {
+  const version = Number(db.pragma("user_version", { simple: true })) || 0;
+  if (version >= 3) return;
+  const migrate = db.transaction(() => {
+    db.exec(`
+      DELETE FROM search_text;
+      DELETE FROM search_rows;
+
+      INSERT INTO search_rows (dataset_id, source_row_index)
+      SELECT dataset_id, source_row_index
+      FROM features
+      ORDER BY dataset_id, source_row_index;
+
+      INSERT INTO search_text (docid, content)
+      SELECT
+        search_rows.search_id,
+        ${rowSearchContent("features.row_json")}
+      FROM search_rows
+      INNER JOIN features
+        ON features.dataset_id = search_rows.dataset_id
+        AND features.source_row_index = search_rows.source_row_index;
+    `);
+    db.pragma("user_version = 3");
   });
   migrate();
 }
 
+/** A row's values as one search document; unreadable stored JSON indexes as empty. */
+function rowSearchContent(rowJson) {
+  return `(SELECT group_concat(value, ' ') FROM json_each(
+    CASE WHEN json_valid(${rowJson}) THEN ${rowJson} ELSE '{}' END
+  ))`;
+}
+
+/** Add line geometry columns to stores created when only regions were materialized. */
+function ensureGeometryLineColumns(db) {
+  const columns = db.pragma("table_info(geometry_features)");
+  const names = new Set(columns.map((column) => column.name));
+
+  if (!names.has("geometry_type")) {
+    db.exec("ALTER TABLE geometry_features ADD COLUMN geometry_type TEXT NOT NULL DEFAULT 'region';");
+  }
+  if (!names.has("arrow_mode")) {
+    db.exec("ALTER TABLE geometry_features ADD COLUMN arrow_mode TEXT;");
+  }
+}
+
+/**
+ * Add date-precise timeline extents to stores created when only years were
+ * kept. Existing rows cover their whole years until they are imported again,
+ * which matches how they were filtered before.
+ */
+function ensureTimelineDayColumns(db) {
+  db.function("timeline_year_start_day", { deterministic: true }, (year) => (
+    year == null ? null : getYearStartDay(Number(year))
+  ));
+  db.function("timeline_year_end_day", { deterministic: true }, (year) => (
+    year == null ? null : getYearEndDay(Number(year))
+  ));
+
+  for (const table of ["features", "geometry_features"]) {
+    const names = new Set(db.pragma(`table_info(${table})`).map((column) => column.name));
+    if (names.has("timeline_start_day") && names.has("timeline_end_day")) continue;
+    db.transaction(() => {
+      if (!names.has("timeline_start_day")) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN timeline_start_day INTEGER;`);
+      }
+      if (!names.has("timeline_end_day")) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN timeline_end_day INTEGER;`);
+      }
+      db.exec(`
+        UPDATE ${table}
+        SET timeline_start_day = timeline_year_start_day(timeline_start_year),
+            timeline_end_day = timeline_year_end_day(timeline_end_year)
+        WHERE timeline_start_year IS NOT NULL AND timeline_end_year IS NOT NULL;
+      `);
+    })();
+  }
+
+  db.exec(`
+    DROP INDEX IF EXISTS idx_features_dataset_timeline;
+
+    CREATE INDEX IF NOT EXISTS idx_features_dataset_timeline_days
+      ON features(dataset_id, timeline_start_day, timeline_end_day);
+  `);
+}
+
+/** Zone edit history recorded only regions before lines became editable. */
+function ensureZoneEditGeometryTypeColumn(db) {
+  const columns = db.pragma("table_info(zone_edits)");
+  if (columns.some((column) => column.name === "geometry_type")) return;
+
+  db.exec(`
+    ALTER TABLE zone_edits
+    ADD COLUMN geometry_type TEXT NOT NULL DEFAULT 'region'
+      CHECK (geometry_type IN ('line', 'region'));
+  `);
+}
+
 /**
  * Add persistent visibility to databases created before the column existed.
  * The non-null default makes every existing dataset visible after migration.
@@ -0,0 +1,136 @@
+"use strict";
+
+const { buildAttributeFilterClauses, normalizeAttributeFilters } = require("./attributeFilters.cjs");
+
+// Mirrors MAX_TIMELINE_HISTOGRAM_BUCKETS in src/components/timelineHistogram.js.
+const MAX_TIMELINE_HISTOGRAM_BUCKETS = 200;
+const POINT_ROW_CONDITION =
+  "COALESCE(LOWER(TRIM(json_extract(features.compact_json, '$.featureType'))), 'point') NOT IN ('line', 'region')";
+
+/**
+ * Count the points, lines, and regions of enabled datasets per bucket of
+ * whole years, split by dataset. Attribute filters apply as on the map. A
+ * feature counts in every bucket its time range overlaps, so rows are first
+ * grouped by their first and last bucket and only those groups are spread
+ * over the buckets.
+ */
+function getSqliteTimelineHistogram({
+  db,
+  startYear,
+  endYear,
+  bucketYears,
+  attributeFilters = null,
+} = {}) {
+  if (!db?.open) {
+    throw new TypeError("An open SQLite database is required.");
+  }
+  const range = normalizeHistogramRange({ startYear, endYear, bucketYears });
+  if (!range) {
+    return { startYear: null, endYear: null, bucketYears: 1, buckets: [] };
+  }
+
+  const filters = normalizeAttributeFilters(attributeFilters);
+  const pointFilter = buildAttributeFilterClauses(filters);
+  const geometryFilter = buildAttributeFilterClauses(filters, "geometry_features");
+  const timelineClauses = (tableName) => [
+    `${tableName}.dataset_id IN (SELECT id FROM datasets WHERE enabled = 1)`,
+    `${tableName}.timeline_start_year IS NOT NULL`,
+    `${tableName}.timeline_end_year IS NOT NULL`,
+    `${tableName}.timeline_start_year <= @endYear`,
+    `${tableName}.timeline_end_year >= @startYear`,
+  ];
+  const rows = db.prepare(`
+    WITH RECURSIVE timeline_rows AS (
+      SELECT features.dataset_id, features.timeline_start_year AS start_year, features.timeline_end_year AS end_year
+      FROM features
+      WHERE ${[...timelineClauses("features"), POINT_ROW_CONDITION, ...pointFilter.clauses].join(" AND ")}
+      UNION ALL
+      SELECT geometry_features.dataset_id, geometry_features.timeline_start_year, geometry_features.timeline_end_year
+      FROM geometry_features
+      WHERE ${[...timelineClauses("geometry_features"), ...geometryFilter.clauses].join(" AND ")}
+    ),
+    spans AS (
+      SELECT
+        dataset_id,
+        CAST((MAX(start_year, @startYear) - @startYear) / @bucketYears AS INTEGER) AS first_bucket,
+        CAST((MIN(end_year, @endYear) - @startYear) / @bucketYears AS INTEGER) AS last_bucket,
+        COUNT(*) AS count
+      FROM timeline_rows
+      GROUP BY dataset_id, first_bucket, last_bucket
+    ),
+    buckets(bucket) AS (
+      SELECT 0
+      UNION ALL
+      SELECT bucket + 1 FROM buckets WHERE bucket + 1 < @bucketCount
+    )
+    SELECT spans.dataset_id, buckets.bucket, SUM(spans.count) AS count
+    FROM spans
+    INNER JOIN buckets ON buckets.bucket BETWEEN spans.first_bucket AND spans.last_bucket
+    GROUP BY buckets.bucket, spans.dataset_id
+    ORDER BY buckets.bucket, spans.dataset_id
+  `).all({
+    ...pointFilter.params,
+    ...geometryFilter.params,
+    startYear: range.startYear,
+    endYear: range.endYear,
+    bucketYears: range.bucketYears,
+    bucketCount: range.bucketCount,
+  });
+
+  const buckets = [];
+  for (const row of rows) {
+    const bucketStart = range.startYear + Number(row.bucket) * range.bucketYears;
+    let bucket = buckets[buckets.length - 1];
+    if (bucket?.startYear !== bucketStart) {
+      bucket = {
+        startYear: bucketStart,
+        endYear: Math.min(range.endYear, bucketStart + range.bucketYears - 1),
+        counts: [],
+      };
+      buckets.push(bucket);
+    }
+    bucket.counts.push({ datasetId: String(row.dataset_id), count: normalizeCount(row.count) });
+  }
+
+  return {
+    startYear: range.startYear,
+    endYear: range.endYear,
+    bucketYears: range.bucketYears,
+    buckets,
+  };
+}
+
+// Mirrors normalizeTimelineHistogramQuery in src/components/timelineHistogram.js.
+function normalizeHistogramRange({ startYear, endYear, bucketYears }) {
+  const first = normalizeInteger(startYear);
+  const last = normalizeInteger(endYear);
+  if (first == null || last == null) return null;
+  const rangeStart = Math.min(first, last);
+  const rangeEnd = Math.max(first, last);
+  const size = Math.max(
+    normalizeInteger(bucketYears) ?? 1,
+    Math.ceil((rangeEnd - rangeStart + 1) / MAX_TIMELINE_HISTOGRAM_BUCKETS),
+    1,
+  );
+  return {
+    startYear: rangeStart,
+    endYear: rangeEnd,
+    bucketYears: size,
+    bucketCount: Math.floor((rangeEnd - rangeStart) / size) + 1,
+  };
+}
+
+function normalizeInteger(value) {
+  if (value == null || value === "") return null;
+  const number = Number(value);
+  return Number.isSafeInteger(number) ? number : null;
+}
+
+function normalizeCount(value) {
+  const number = Number(value);
+  return Number.isSafeInteger(number) && number > 0 ? number : 0;
+}
+
+module.exports = {
+  getSqliteTimelineHistogram,
+};
@@ -0,0 +1,89 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { importCsvFileToSqlite } = require("./csvImportService.cjs");
+const { setSqliteDatasetEnabled } = require("./sqliteDatasetService.cjs");
+const { closeSqliteStore, openSqliteStore } = require("./sqliteStore.cjs");
+const { getSqliteTimelineHistogram } = require("./sqliteTimelineHistogram.cjs");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "csv-map-timeline-histogram-"));
+const db = openSqliteStore(path.join(tempDir, "histogram.sqlite"));
+
+try {
+  const places = importCsv("places.csv", [
+    "featureType,featureId,order,name,lat,lon,yearFrom,yearTo,kind",
+    "point,,,A,57,11,1900,1900,port",
+    "point,,,B,58,12,1903,1907,town",
+    "point,,,C,59,13,1908,,port",
+    "point,,,D,60,14,,,port",
+    "point,,,E,61,15,1850,1850,port",
+    "line,road,1,Road,58,11,1901,1902,road",
+    "line,road,2,Road,59,12,1901,1902,road",
+  ]);
+  const events = importCsv("events.csv", [
+    "name,lat,lon,year",
+    "F,10,10,1904",
+    "G,11,11,1909",
+  ]);
+  const count = (datasetId, value) => ({ datasetId, count: value });
+
+  // Ranges count in every bucket they overlap; undated rows and rows outside the range never count.
+  const histogram = getSqliteTimelineHistogram({ db, startYear: 1909, endYear: 1900, bucketYears: 5 });
+  assert.deepEqual(histogram, {
+    startYear: 1900,
+    endYear: 1909,
+    bucketYears: 5,
+    buckets: [
+      {
+        startYear: 1900,
+        endYear: 1904,
+        counts: [count(events, 1), count(places, 3)].sort(byDataset),
+      },
+      {
+        startYear: 1905,
+        endYear: 1909,
+        counts: [count(events, 1), count(places, 2)].sort(byDataset),
+      },
+    ],
+  });
+
+  // Attribute filters and hidden datasets change the counts like the map.
+  const filtered = getSqliteTimelineHistogram({
+    db,
+    startYear: 1900,
+    endYear: 1909,
+    bucketYears: 10,
+    attributeFilters: [{ datasetId: places, field: "kind", operator: "equals", value: "road" }],
+  });
+  assert.deepEqual(filtered.buckets[0].counts, [count(events, 2), count(places, 1)].sort(byDataset));
+  setSqliteDatasetEnabled({ db, datasetId: events, enabled: false });
+  assert.deepEqual(
+    getSqliteTimelineHistogram({ db, startYear: 1900, endYear: 1909, bucketYears: 10 }).buckets,
+    [{ startYear: 1900, endYear: 1909, counts: [count(places, 4)] }],
+  );
+
+  // Long ranges get wider buckets instead of more of them.
+  const long = getSqliteTimelineHistogram({ db, startYear: 0, endYear: 1999, bucketYears: 1 });
+  assert.equal(long.bucketYears, 10);
+  assert.deepEqual(long.buckets.map(({ startYear }) => startYear), [1850, 1900]);
+  assert.deepEqual(getSqliteTimelineHistogram({ db, startYear: 1900 }).buckets, []);
+  assert.throws(() => getSqliteTimelineHistogram({ db: null }), TypeError);
+} finally {
+  closeSqliteStore(db);
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+console.log("SQLite timeline histogram smoke checks passed.");
+
+function importCsv(fileName, lines) {
+  const filePath = path.join(tempDir, fileName);
+  fs.writeFileSync(filePath, `${lines.join("\n")}\n`);
+  return importCsvFileToSqlite({ db, filePath }).datasetId;
+}
+
+function byDataset(a, b) {
+  return a.datasetId < b.datasetId ? -1 : 1;
+}
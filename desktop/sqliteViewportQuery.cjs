@@ -1,16 +1,35 @@
 "use strict";
 
+const { buildAttributeFilterClauses, normalizeAttributeFilters } = require("./attributeFilters.cjs");
+const { buildStyleValueColumn, normalizeStyleFields, parseStyleValues } = require("./styleFields.cjs");
+const { getTimelineQueryDayRange } = require("./timelineDays.cjs");
+
 const DEFAULT_RENDER_BUDGET = 1000;
 const MAX_RENDER_BUDGET = 10000;
 const DEFAULT_IMAGE_SIZE_METERS = 100;
 const MIN_IMAGE_SIZE_METERS = 1;
 const MAX_IMAGE_SIZE_METERS = 100000;
+const LINE_ARROW_MODES = new Set(["none", "start", "end", "both"]);
+// Mirrors DENSITY_GRID_CELLS and MAX_DENSITY_CELLS in src/components/densityHeatmap.js.
+const DENSITY_GRID_CELLS = 4096;
+const MAX_DENSITY_CELLS = DENSITY_GRID_CELLS * 2;
 
 /**
- * Query compact point and region render data from the desktop SQLite store.
- * This intentionally avoids row_json; full details use a separate lookup path.
+ * Query compact point, line, and region render data from the desktop SQLite store.
+ * This intentionally avoids returning row_json; full details use a separate lookup path.
+ * Attribute filters read single columns from row_json inside SQLite before grouping.
+ * Style columns are read the same way and only for exact points, lines, and regions.
+ * Points of heatmap datasets are counted per viewport cell instead of returned as markers.
  */
-function querySqliteMapView({ db, bounds, timeline = null, renderBudget = DEFAULT_RENDER_BUDGET }) {
+function querySqliteMapView({
+  db,
+  bounds,
+  timeline = null,
+  renderBudget = DEFAULT_RENDER_BUDGET,
+  attributeFilters = null,
+  styleFields = null,
+  heatmapDatasetIds = null,
+}) {
   if (!db?.open) {
     throw new TypeError("An open SQLite database is required.");
   }
@@ -26,22 +45,41 @@ function querySqliteMapView({ db, bounds, timeline = null, renderBudget = DEFAUL
     });
   }
 
-  const filter = buildWhereClause({ bounds: normalizedBounds, timeline });
+  const normalizedAttributeFilters = normalizeAttributeFilters(attributeFilters);
+  const normalizedStyleFields = normalizeStyleFields(styleFields);
+  const normalizedHeatmapDatasetIds = normalizeHeatmapDatasetIds(heatmapDatasetIds);
+  const density = normalizedHeatmapDatasetIds.length > 0
+    ? queryPointDensity(db, normalizedBounds, buildWhereClause({
+      bounds: normalizedBounds,
+      timeline,
+      attributeFilters: normalizedAttributeFilters,
+      datasetSelection: buildDatasetSelection(normalizedHeatmapDatasetIds, true),
+    }))
+    : null;
+  const filter = buildWhereClause({
+    bounds: normalizedBounds,
+    timeline,
+    attributeFilters: normalizedAttributeFilters,
+    datasetSelection: buildDatasetSelection(normalizedHeatmapDatasetIds, false),
+  });
   // Count first so the UI can explain how many matching datapoints are hidden by the render budget.
   const totalMatchingCount = countMatchingFeatures(db, filter);
   const boundsOnlyCount = filter.usesTimeline ? countMatchingFeatures(db, filter.boundsOnly) : totalMatchingCount;
-  const skippedPointsByTimeline = Math.max(0, boundsOnlyCount - totalMatchingCount);
+  const skippedPointsByTimeline = Math.max(0, boundsOnlyCount - totalMatchingCount)
+    + (density?.skippedByTimeline ?? 0);
   const overBudget = totalMatchingCount > budget;
   // Save the same grid used for rendering so detail paging can reproduce each group.
   const groupGrid = overBudget ? getGridSpec(normalizedBounds, budget) : null;
   // Under budget stays exact; over budget switches to compact render summaries.
   const rows = overBudget
     ? selectGroupedFeatures(db, filter, groupGrid, budget)
-    : selectMatchingFeatures(db, filter, budget);
+    : selectMatchingFeatures(db, filter, budget, buildStyleValueColumn(normalizedStyleFields));
   const points = overBudget
     ? rows.map((row) => rowToGroupedPointFeature(row, {
       bounds: normalizedBounds,
       timeline: filter.timeline,
+      attributeFilters: normalizedAttributeFilters,
+      heatmapDatasetIds: normalizedHeatmapDatasetIds,
       grid: groupGrid,
     }))
     : rows.map(rowToPointFeature);
@@ -50,34 +88,94 @@ function querySqliteMapView({ db, bounds, timeline = null, renderBudget = DEFAUL
     ? points.reduce((sum, point) => sum + normalizeCount(point.count), 0)
     : returnedCount;
   const hiddenByRenderBudget = Math.max(0, totalMatchingCount - representedCount);
-  const regionResult = queryMatchingRegions(db, normalizedBounds, timeline, budget);
+  const geometryResult = queryMatchingGeometries(
+    db,
+    normalizedBounds,
+    timeline,
+    normalizedAttributeFilters,
+    budget,
+    buildStyleValueColumn(normalizedStyleFields, "geometry_features"),
+  );
+  const totalMatchingGeometryCount = geometryResult.matching.lines + geometryResult.matching.regions;
+  const hiddenGeometryCount = Math.max(
+    0,
+    totalMatchingGeometryCount - geometryResult.lines.length - geometryResult.regions.length,
+  );
 
   return {
     points,
-    lines: [],
-    regions: regionResult.regions,
+    lines: geometryResult.lines,
+    regions: geometryResult.regions,
     stats: {
       skippedPoints: 0,
       skippedLines: 0,
       skippedRegions: 0,
       skippedPointsByTimeline,
-      skippedLinesByTimeline: 0,
-      skippedRegionsByTimeline: regionResult.skippedByTimeline,
-      skippedByTimeline: skippedPointsByTimeline + regionResult.skippedByTimeline,
+      skippedLinesByTimeline: geometryResult.skippedByTimeline.lines,
+      skippedRegionsByTimeline: geometryResult.skippedByTimeline.regions,
+      skippedByTimeline: skippedPointsByTimeline
+        + geometryResult.skippedByTimeline.lines
+        + geometryResult.skippedByTimeline.regions,
       limitedToRenderBudget: overBudget ? budget : null,
       totalMatchingCount,
       returnedCount,
       hiddenByRenderBudget,
       overBudget,
-      totalMatchingRegionCount: regionResult.totalMatchingCount,
-      returnedRegionCount: regionResult.regions.length,
-      hiddenGeometryCount: Math.max(0, regionResult.totalMatchingCount - regionResult.regions.length),
-      geometryLimit: regionResult.totalMatchingCount > regionResult.regions.length ? budget : null,
-      geometryOverLimit: regionResult.totalMatchingCount > regionResult.regions.length,
+      totalMatchingLineCount: geometryResult.matching.lines,
+      totalMatchingRegionCount: geometryResult.matching.regions,
+      returnedLineCount: geometryResult.lines.length,
+      returnedRegionCount: geometryResult.regions.length,
+      hiddenGeometryCount,
+      geometryLimit: hiddenGeometryCount > 0 ? budget : null,
+      geometryOverLimit: hiddenGeometryCount > 0,
     },
     timelineIndex: {
       entries: [],
     },
+    ...(density ? { density: density.result } : {}),
+  };
+}
+
+/**
+ * Count heatmap points per viewport cell. Each cell reports the mean position
+ * of its points, so sparse data stays where it is rather than on cell corners.
+ */
+function queryPointDensity(db, bounds, filter) {
+  const grid = getGridSpec(bounds, DENSITY_GRID_CELLS);
+  const totalCount = countMatchingFeatures(db, filter);
+  const boundsOnlyCount = filter.usesTimeline ? countMatchingFeatures(db, filter.boundsOnly) : totalCount;
+  const cells = db.prepare(`
+    SELECT
+      AVG(lat) AS lat,
+      AVG(lon) AS lon,
+      COUNT(*) AS count,
+      CAST((lat + 90.0) / @cellHeight AS INTEGER) AS cell_lat,
+      CAST((lon + 180.0) / @cellWidth AS INTEGER) AS cell_lon
+    FROM features
+    ${filter.sql}
+    GROUP BY cell_lat, cell_lon
+    ORDER BY cell_lat, cell_lon
+    LIMIT @limit
+  `).all({
+    ...filter.params,
+    cellHeight: grid.cellHeight,
+    cellWidth: grid.cellWidth,
+    limit: MAX_DENSITY_CELLS,
+  }).map((row) => ({
+    lat: Number(row.lat),
+    lon: Number(row.lon),
+    count: normalizeCount(row.count),
+  }));
+
+  return {
+    result: {
+      cells,
+      cellHeight: grid.cellHeight,
+      cellWidth: grid.cellWidth,
+      maxCount: cells.reduce((max, cell) => Math.max(max, cell.count), 0),
+      totalCount,
+    },
+    skippedByTimeline: Math.max(0, boundsOnlyCount - totalCount),
   };
 }
 
@@ -86,9 +184,13 @@ function countMatchingFeatures(db, filter) {
   return normalizeCount(row?.count);
 }
 
-/** Query compact persistent regions with the same visibility and timeline rules as points. */
-function queryMatchingRegions(db, bounds, timeline, renderBudget) {
+/**
+ * Query compact persistent lines and regions with the same visibility and timeline rules as points.
+ * Both geometry types share one limit, matching the browser geometry query.
+ */
+function queryMatchingGeometries(db, bounds, timeline, attributeFilters, renderBudget, styleColumn) {
   const timelineFilter = buildTimelineFilter(timeline);
+  const attributeFilter = buildAttributeFilterClauses(attributeFilters, "geometry_features");
   const boundsClauses = [
     "dataset_id IN (SELECT id FROM datasets WHERE enabled = 1)",
     "max_lat >= @south",
@@ -96,49 +198,86 @@ function queryMatchingRegions(db, bounds, timeline, renderBudget) {
     bounds.crossesAntimeridian
       ? "(max_lon >= @west OR min_lon <= @east)"
       : "max_lon >= @west AND min_lon <= @east",
+    ...attributeFilter.clauses,
   ];
   const params = {
     north: bounds.north,
     south: bounds.south,
     east: bounds.east,
     west: bounds.west,
+    ...attributeFilter.params,
     ...timelineFilter.params,
   };
   const clauses = [...boundsClauses, ...timelineFilter.clauses];
-  const count = (whereClauses, whereParams) => normalizeCount(db.prepare(`
-    SELECT COUNT(*) AS count FROM geometry_features
-    WHERE ${whereClauses.join(" AND ")}
-  `).get(whereParams)?.count);
-  const totalMatchingCount = count(clauses, params);
-  const boundsOnlyCount = timelineFilter.usesTimeline
-    ? count(boundsClauses, params)
-    : totalMatchingCount;
+  const matching = countMatchingGeometries(db, clauses, params);
+  const boundsOnly = timelineFilter.usesTimeline
+    ? countMatchingGeometries(db, boundsClauses, params)
+    : matching;
   const rows = db.prepare(`
-    SELECT dataset_id, feature_id, part, source_row_index,
-           coordinates_json, style_json
+    SELECT dataset_id, geometry_type, feature_id, part, source_row_index,
+           coordinates_json, style_json, arrow_mode,
+           ${styleColumn.sql} AS style_values_json
     FROM geometry_features
     WHERE ${clauses.join(" AND ")}
-    ORDER BY dataset_id, part_order_index, feature_id, part
+    ORDER BY dataset_id, part_order_index, geometry_type, feature_id, part
     LIMIT @limit
-  `).all({ ...params, limit: renderBudget });
+  `).all({ ...params, ...styleColumn.params, limit: renderBudget });
+  const lines = [];
+  const regions = [];
+  for (const row of rows) {
+    const sourceRef = {
+      datasetId: String(row.dataset_id),
+      rowIndex: normalizeCount(row.source_row_index),
+    };
+    const styleValues = parseStyleValues(row.style_values_json);
+    if (row.geometry_type === "line") {
+      lines.push({
+        id: `${row.dataset_id}:${row.feature_id}`,
+        featureId: String(row.feature_id),
+        coordinates: parseCoordinates(row.coordinates_json),
+        style: parseCompactFields(row.style_json),
+        arrow: LINE_ARROW_MODES.has(row.arrow_mode) ? row.arrow_mode : "none",
+        sourceRef,
+        ...(styleValues ? { styleValues } : {}),
+      });
+    } else {
+      regions.push({
+        id: `${row.dataset_id}:${row.feature_id}:${row.part}`,
+        featureId: String(row.feature_id),
+        part: String(row.part),
+        coordinates: parseCoordinates(row.coordinates_json),
+        style: parseCompactFields(row.style_json),
+        sourceRef,
+        ...(styleValues ? { styleValues } : {}),
+      });
+    }
+  }
   return {
-    totalMatchingCount,
-    skippedByTimeline: Math.max(0, boundsOnlyCount - totalMatchingCount),
-    regions: rows.map((row) => ({
-      id: `${row.dataset_id}:${row.feature_id}:${row.part}`,
-      featureId: String(row.feature_id),
-      part: String(row.part),
-      coordinates: parseCoordinates(row.coordinates_json),
-      style: parseCompactFields(row.style_json),
-      sourceRef: {
-        datasetId: String(row.dataset_id),
-        rowIndex: normalizeCount(row.source_row_index),
-      },
-    })),
+    matching,
+    skippedByTimeline: {
+      lines: Math.max(0, boundsOnly.lines - matching.lines),
+      regions: Math.max(0, boundsOnly.regions - matching.regions),
+    },
+    lines,
+    regions,
   };
 }
 
-function selectMatchingFeatures(db, filter, renderBudget) {
+function countMatchingGeometries(db, clauses, params) {
+  const rows = db.prepare(`
+    SELECT geometry_type, COUNT(*) AS count FROM geometry_features
+    WHERE ${clauses.join(" AND ")}
+    GROUP BY geometry_type
+  `).all(params);
+  const counts = { lines: 0, regions: 0 };
+  for (const row of rows) {
+    if (row.geometry_type === "line") counts.lines = normalizeCount(row.count);
+    else if (row.geometry_type === "region") counts.regions = normalizeCount(row.count);
+  }
+  return counts;
+}
+
+function selectMatchingFeatures(db, filter, renderBudget, styleColumn) {
   return db.prepare(`
     SELECT
       id,
@@ -148,7 +287,8 @@ function selectMatchingFeatures(db, filter, renderBudget) {
       lon,
       timeline_start_year,
       timeline_end_year,
-      compact_json
+      compact_json,
+      ${styleColumn.sql} AS style_values_json
     FROM features
     ${filter.sql}
     -- Keep the query order stable when the render budget hides part of the result set.
@@ -156,6 +296,7 @@ function selectMatchingFeatures(db, filter, renderBudget) {
     LIMIT @limit
   `).all({
     ...filter.params,
+    ...styleColumn.params,
     limit: renderBudget,
   });
 }
@@ -243,12 +384,24 @@ function getGridSpec(bounds, renderBudget) {
   };
 }
 
-function buildWhereClause({ bounds, timeline }) {
+function buildWhereClause({ bounds, timeline, attributeFilters, datasetSelection }) {
   const boundsFilter = buildBoundsFilter(bounds);
+  const attributeFilter = buildAttributeFilterClauses(attributeFilters);
   const timelineFilter = buildTimelineFilter(timeline);
-  const clauses = [...boundsFilter.clauses, ...timelineFilter.clauses];
-  const params = {
+  // Attribute clauses stay in the bounds-only filter so they never count as timeline skips.
+  const boundsOnlyClauses = [
+    ...boundsFilter.clauses,
+    ...datasetSelection.clauses,
+    ...attributeFilter.clauses,
+  ];
+  const boundsOnlyParams = {
     ...boundsFilter.params,
+    ...datasetSelection.params,
+    ...attributeFilter.params,
+  };
+  const clauses = [...boundsOnlyClauses, ...timelineFilter.clauses];
+  const params = {
+    ...boundsOnlyParams,
     ...timelineFilter.params,
   };
 
@@ -259,17 +412,31 @@ function buildWhereClause({ bounds, timeline }) {
     timeline: timelineFilter.timeline,
     // Build the bounds-only filter once so skipped-by-timeline can stay cheap and consistent.
     boundsOnly: {
-      sql: boundsFilter.clauses.length > 0 ? `WHERE ${boundsFilter.clauses.join(" AND ")}` : "",
-      params: boundsFilter.params,
+      sql: boundsOnlyClauses.length > 0 ? `WHERE ${boundsOnlyClauses.join(" AND ")}` : "",
+      params: boundsOnlyParams,
     },
   };
 }
 
+/** Keep only (`included`) or leave out the points of heatmap datasets. */
+function buildDatasetSelection(heatmapDatasetIds, included) {
+  if (heatmapDatasetIds.length === 0) return { clauses: [], params: {} };
+  const params = {};
+  const placeholders = heatmapDatasetIds.map((datasetId, index) => {
+    params[`heatmapDataset${index}`] = datasetId;
+    return `@heatmapDataset${index}`;
+  });
+  return {
+    clauses: [`dataset_id ${included ? "IN" : "NOT IN"} (${placeholders.join(", ")})`],
+    params,
+  };
+}
+
 function buildBoundsFilter(bounds) {
   const clauses = [
     "dataset_id IN (SELECT id FROM datasets WHERE enabled = 1)",
-    // Region vertices now render from geometry_features; retain every other existing point-row behavior.
-    "COALESCE(LOWER(TRIM(json_extract(compact_json, '$.featureType'))), 'point') <> 'region'",
+    // Line and region vertices render from geometry_features; retain every other existing point-row behavior.
+    "COALESCE(LOWER(TRIM(json_extract(compact_json, '$.featureType'))), 'point') NOT IN ('line', 'region')",
     "lat BETWEEN @south AND @north",
   ];
   const params = {
@@ -296,34 +463,38 @@ function buildTimelineFilter(timeline) {
 
   const startYear = normalizeYear(timeline.startYear);
   const endYear = normalizeYear(timeline.endYear);
+  const dayRange = getTimelineQueryDayRange(timeline);
 
-  if (startYear == null || endYear == null) {
+  if (startYear == null || endYear == null || !dayRange) {
     return { clauses: [], params: {}, usesTimeline: false, timeline: null };
   }
 
+  const hasDates = normalizeYear(timeline.startEpochDay) != null && normalizeYear(timeline.endEpochDay) != null;
   return {
-    // Range overlap keeps multi-year rows visible when any part intersects the selected timeline.
+    // Range overlap keeps multi-day rows visible when any part intersects the selected timeline.
     clauses: [
-      "timeline_start_year IS NOT NULL",
-      "timeline_end_year IS NOT NULL",
-      "timeline_start_year <= @timelineEndYear",
-      "timeline_end_year >= @timelineStartYear",
+      "timeline_start_day IS NOT NULL",
+      "timeline_end_day IS NOT NULL",
+      "timeline_start_day <= @timelineEndDay",
+      "timeline_end_day >= @timelineStartDay",
     ],
     params: {
-      timelineStartYear: Math.min(startYear, endYear),
-      timelineEndYear: Math.max(startYear, endYear),
+      timelineStartDay: dayRange.startDay,
+      timelineEndDay: dayRange.endDay,
     },
     usesTimeline: true,
     timeline: {
       timelineEnabled: true,
       startYear: Math.min(startYear, endYear),
       endYear: Math.max(startYear, endYear),
+      ...(hasDates ? { startEpochDay: dayRange.startDay, endEpochDay: dayRange.endDay } : {}),
     },
   };
 }
 
 function rowToPointFeature(row) {
   const compactFields = parseCompactFields(row.compact_json);
+  const styleValues = parseStyleValues(row.style_values_json);
 
   return {
     id: String(row.id),
@@ -346,6 +517,7 @@ function rowToPointFeature(row) {
     latField: getNullableString(compactFields.latField),
     lonField: getNullableString(compactFields.lonField),
     compactFields,
+    ...(styleValues ? { styleValues } : {}),
   };
 }
 
@@ -353,7 +525,7 @@ function rowToPointFeature(row) {
  * Convert one grouped SQL row into compact map render data only.
  * Full rows stay out of render results; groupRef supports separate paged lookup.
  */
-function rowToGroupedPointFeature(row, { bounds, timeline, grid }) {
+function rowToGroupedPointFeature(row, { bounds, timeline, attributeFilters, heatmapDatasetIds, grid }) {
   const compactFields = parseCompactFields(row.compact_json);
   const count = Math.max(1, normalizeCount(row.group_count));
   const groupId = `grid:${row.cell_lat}:${row.cell_lon}`;
@@ -374,6 +546,9 @@ function rowToGroupedPointFeature(row, { bounds, timeline, grid }) {
         east: bounds.east,
         west: bounds.west,
       },
+      ...(attributeFilters.length > 0 ? { attributeFilters } : {}),
+      // Heatmap points are not part of the marker group.
+      ...(heatmapDatasetIds.length > 0 ? { heatmapDatasetIds } : {}),
       timeline,
       grid: {
         cellLat: normalizeCount(row.cell_lat),
@@ -455,6 +630,14 @@ function normalizeImageSizeMeters(value) {
   return Math.min(MAX_IMAGE_SIZE_METERS, Math.max(MIN_IMAGE_SIZE_METERS, number));
 }
 
+function normalizeHeatmapDatasetIds(value) {
+  if (!Array.isArray(value)) return [];
+  const ids = value
+    .map((datasetId) => (typeof datasetId === "string" ? datasetId.trim() : ""))
+    .filter(Boolean);
+  return [...new Set(ids)].sort();
+}
+
 function normalizeRenderBudget(value) {
   const number = Number.parseInt(value, 10);
   if (!Number.isFinite(number) || number <= 0) return DEFAULT_RENDER_BUDGET;
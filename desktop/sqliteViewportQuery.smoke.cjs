@@ -17,6 +17,9 @@ function runSmokeCheck() {
   runOverBudgetGroupingSmoke();
   runTimelineBeforeGroupingSmoke();
   runDatasetVisibilitySmoke();
+  runLineGeometrySmoke();
+  runAttributeFilterSmoke();
+  runHeatmapDensitySmoke();
   console.log("SQLite viewport smoke: compact render results passed.");
 }
 
@@ -103,6 +106,295 @@ function runDatasetVisibilitySmoke() {
   }
 }
 
+/**
+ * Prove line vertices render as ordered compact lines instead of point markers.
+ */
+function runLineGeometrySmoke() {
+  const { closeSqliteStore } = require("./sqliteStore.cjs");
+  const { querySqliteMapView } = require("./sqliteViewportQuery.cjs");
+  const { rebuildSqliteDatasetGeometries } = require("./sqliteZoneService.cjs");
+  const lineFields = (order, extra = {}) => ({
+    featureType: "Line",
+    featureId: "route",
+    order: String(order),
+    ...extra,
+  });
+  // Source order deliberately disagrees with the explicit order column.
+  const db = createSmokeDatabase([
+    {
+      id: "route-2",
+      lat: 2,
+      lon: 2,
+      timelineStartYear: 2001,
+      timelineEndYear: 2001,
+      compactFields: lineFields(2, { color: "red" }),
+    },
+    {
+      id: "route-1",
+      lat: 1,
+      lon: 1,
+      timelineStartYear: 2000,
+      timelineEndYear: 2000,
+      compactFields: lineFields(1, { weight: "40", arrow: "End" }),
+    },
+    {
+      id: "old-route-1",
+      lat: 3,
+      lon: 3,
+      timelineStartYear: 1900,
+      timelineEndYear: 1900,
+      compactFields: { featureType: "line", featureId: "old-route" },
+    },
+    {
+      id: "old-route-2",
+      lat: 4,
+      lon: 4,
+      timelineStartYear: 1900,
+      timelineEndYear: 1900,
+      compactFields: { featureType: "line", featureId: "old-route" },
+    },
+    {
+      id: "lonely-vertex",
+      lat: 5,
+      lon: 5,
+      compactFields: { featureType: "line", featureId: "lonely" },
+    },
+    { id: "plain-point", lat: 6, lon: 6 },
+  ]);
+
+  try {
+    rebuildSqliteDatasetGeometries({ db, datasetId: SMOKE_DATASET_ID });
+    const query = {
+      db,
+      bounds: { north: 10, south: 0, east: 10, west: 0 },
+      renderBudget: 10,
+    };
+    const result = querySqliteMapView(query);
+
+    assertCompactRenderResult(result);
+    assert.deepEqual(result.points.map((point) => point.id), ["plain-point"]);
+    assert.deepEqual(result.lines, [
+      {
+        id: `${SMOKE_DATASET_ID}:route`,
+        featureId: "route",
+        coordinates: [[1, 1], [2, 2]],
+        style: { color: "red", weight: 20 },
+        arrow: "end",
+        sourceRef: { datasetId: SMOKE_DATASET_ID, rowIndex: 1 },
+      },
+      {
+        id: `${SMOKE_DATASET_ID}:old-route`,
+        featureId: "old-route",
+        coordinates: [[3, 3], [4, 4]],
+        style: { color: "#3388ff", weight: 3 },
+        arrow: "none",
+        sourceRef: { datasetId: SMOKE_DATASET_ID, rowIndex: 2 },
+      },
+    ]);
+    assert.equal(result.stats.totalMatchingLineCount, 2);
+    assert.equal(result.stats.returnedLineCount, 2);
+
+    // The line timeline comes from its first ordered vertex, as in the browser backend.
+    const timelineResult = querySqliteMapView({
+      ...query,
+      timeline: { timelineEnabled: true, startYear: 2000, endYear: 2000 },
+    });
+    assert.deepEqual(timelineResult.lines.map((line) => line.featureId), ["route"]);
+    assert.equal(timelineResult.stats.skippedLinesByTimeline, 1);
+
+    const outsideResult = querySqliteMapView({
+      ...query,
+      bounds: { north: 10, south: 2.5, east: 10, west: 2.5 },
+    });
+    assert.deepEqual(outsideResult.lines.map((line) => line.featureId), ["old-route"]);
+
+    const limitedResult = querySqliteMapView({ ...query, renderBudget: 1 });
+    assert.equal(limitedResult.lines.length, 1);
+    assert.equal(limitedResult.stats.hiddenGeometryCount, 1);
+    assert.equal(limitedResult.stats.geometryOverLimit, true);
+
+    console.log("SQLite viewport smoke: line geometries passed.");
+  } finally {
+    closeSqliteStore(db);
+  }
+}
+
+/**
+ * Prove attribute filters run before counting and grouping, per dataset.
+ */
+function runAttributeFilterSmoke() {
+  const { closeSqliteStore } = require("./sqliteStore.cjs");
+  const { querySqliteMapView } = require("./sqliteViewportQuery.cjs");
+  const { rebuildSqliteDatasetGeometries } = require("./sqliteZoneService.cjs");
+  const db = createSmokeDatabase([
+    {
+      id: "castle",
+      lat: 1,
+      lon: 1,
+      timelineStartYear: 1500,
+      timelineEndYear: 1500,
+      rowFields: { kind: "Castle", "size.m": "1,240" },
+    },
+    {
+      id: "church",
+      lat: 1.1,
+      lon: 1.1,
+      timelineStartYear: 1600,
+      timelineEndYear: 1600,
+      rowFields: { kind: "church ", "size.m": "12,5" },
+    },
+    {
+      id: "ruin",
+      lat: 1.2,
+      lon: 1.2,
+      timelineStartYear: 1700,
+      timelineEndYear: 1700,
+      rowFields: { kind: "", "size.m": "n/a" },
+    },
+    {
+      id: "road-1",
+      lat: 2,
+      lon: 2,
+      compactFields: { featureType: "line", featureId: "road" },
+      rowFields: { kind: "Road" },
+    },
+    {
+      id: "road-2",
+      lat: 3,
+      lon: 3,
+      compactFields: { featureType: "line", featureId: "road" },
+      rowFields: { kind: "Road" },
+    },
+    {
+      id: "other",
+      datasetId: SECOND_DATASET_ID,
+      sourceRowIndex: 0,
+      lat: 1,
+      lon: 1,
+      rowFields: { kind: "Castle" },
+    },
+  ]);
+
+  try {
+    rebuildSqliteDatasetGeometries({ db, datasetId: SMOKE_DATASET_ID });
+    const query = {
+      db,
+      bounds: { north: 10, south: 0, east: 10, west: 0 },
+      renderBudget: 10,
+    };
+    const filtered = (attributeFilters, extra = {}) => querySqliteMapView({
+      ...query,
+      ...extra,
+      attributeFilters: attributeFilters.map((filter) => ({
+        datasetId: SMOKE_DATASET_ID,
+        ...filter,
+      })),
+    });
+    const pointIds = (result) => result.points.map((point) => point.id);
+
+    assert.deepEqual(
+      pointIds(filtered([{ field: "kind", operator: "equals", value: " castle" }])),
+      ["castle", "other"],
+    );
+    assert.deepEqual(pointIds(filtered([{ field: "kind", operator: "contains", value: "CH" }])), ["church", "other"]);
+    assert.deepEqual(pointIds(filtered([{ field: "kind", operator: "empty" }])), ["ruin", "other"]);
+    // Dotted column names stay one key, and non-numeric cells never match a range.
+    assert.deepEqual(
+      pointIds(filtered([{ field: "size.m", operator: "range", min: 0, max: 20 }])),
+      ["church", "other"],
+    );
+    assert.deepEqual(pointIds(filtered([{ field: "size.m", operator: "range", min: "30" }])), ["castle", "other"]);
+    // A comma setting off three digits groups thousands instead.
+    assert.deepEqual(
+      pointIds(filtered([{ field: "size.m", operator: "range", min: 1000, max: 1300 }])),
+      ["castle", "other"],
+    );
+    // A decimal comma is part of the number rather than the end of it.
+    assert.deepEqual(
+      pointIds(filtered([{ field: "size.m", operator: "range", min: 12.4, max: 12.6 }])),
+      ["church", "other"],
+    );
+    assert.deepEqual(pointIds(filtered([
+      { field: "kind", operator: "contains", value: "c" },
+      { field: "size.m", operator: "range", max: 2000 },
+    ])), ["castle", "church", "other"]);
+    // Incomplete filters are ignored rather than hiding everything.
+    assert.equal(filtered([{ field: "kind", operator: "equals", value: " " }]).points.length, 4);
+
+    const roadResult = filtered([{ field: "kind", operator: "equals", value: "road" }]);
+    assert.deepEqual(pointIds(roadResult), ["other"]);
+    assert.deepEqual(roadResult.lines.map((line) => line.featureId), ["road"]);
+    assert.deepEqual(filtered([{ field: "kind", operator: "empty" }]).lines, []);
+
+    // Rows hidden by attributes are not reported as hidden by the timeline.
+    const timelineResult = filtered(
+      [{ field: "kind", operator: "contains", value: "c" }],
+      { timeline: { timelineEnabled: true, startYear: 1500, endYear: 1500 } },
+    );
+    assert.deepEqual(pointIds(timelineResult), ["castle"]);
+    assert.equal(timelineResult.stats.skippedPointsByTimeline, 2);
+
+    const groupedResult = filtered(
+      [{ field: "kind", operator: "contains", value: "c" }],
+      { renderBudget: 1 },
+    );
+    assert.equal(groupedResult.stats.totalMatchingCount, 3);
+    assert.equal(groupedResult.stats.overBudget, true);
+    assert.deepEqual(groupedResult.points[0].groupRef.attributeFilters, [
+      { datasetId: SMOKE_DATASET_ID, field: "kind", operator: "contains", value: "c" },
+    ]);
+
+    console.log("SQLite viewport smoke: attribute filters passed.");
+  } finally {
+    closeSqliteStore(db);
+  }
+}
+
+/**
+ * Prove heatmap datasets are counted per cell instead of drawn or grouped as markers.
+ */
+function runHeatmapDensitySmoke() {
+  const { closeSqliteStore } = require("./sqliteStore.cjs");
+  const { querySqliteMapView } = require("./sqliteViewportQuery.cjs");
+  const db = createSmokeDatabase([
+    { id: "marker", lat: 1, lon: 1, timelineStartYear: 2000, timelineEndYear: 2000 },
+    { id: "dense-1", datasetId: SECOND_DATASET_ID, sourceRowIndex: 0, lat: 5, lon: 5, timelineStartYear: 2000, timelineEndYear: 2000 },
+    { id: "dense-2", datasetId: SECOND_DATASET_ID, sourceRowIndex: 1, lat: 5, lon: 5, timelineStartYear: 2001, timelineEndYear: 2001 },
+    { id: "dense-late", datasetId: SECOND_DATASET_ID, sourceRowIndex: 2, lat: 5, lon: 5, timelineStartYear: 1900, timelineEndYear: 1900 },
+  ]);
+  const query = {
+    db,
+    bounds: { north: 10, south: 0, east: 10, west: 0 },
+    timeline: { timelineEnabled: true, startYear: 2000, endYear: 2005 },
+    renderBudget: 10,
+    heatmapDatasetIds: [SECOND_DATASET_ID, " "],
+  };
+
+  try {
+    const result = querySqliteMapView(query);
+    assert.deepEqual(result.points.map((point) => point.id), ["marker"]);
+    assert.equal(result.stats.totalMatchingCount, 1);
+    assert.equal(result.stats.skippedPointsByTimeline, 1);
+    assert.deepEqual(result.density.cells, [{ lat: 5, lon: 5, count: 2 }]);
+    assert.equal(result.density.maxCount, 2);
+    assert.equal(result.density.totalCount, 2);
+    assert.equal("density" in querySqliteMapView({ ...query, heatmapDatasetIds: [] }), false);
+
+    // Group rows must leave out the heatmap points they were not drawn with.
+    const grouped = querySqliteMapView({ ...query, timeline: null, heatmapDatasetIds: [SMOKE_DATASET_ID], renderBudget: 1 });
+    assert.equal(grouped.stats.overBudget, true);
+    assert.equal(grouped.points.reduce((sum, point) => sum + point.count, 0), 3);
+    assert.deepEqual(grouped.points[0].groupRef.heatmapDatasetIds, [SMOKE_DATASET_ID]);
+    assert.equal(grouped.density.totalCount, 1);
+    const { getSqliteGroupRows } = require("./sqliteDetailQuery.cjs");
+    assert.equal(getSqliteGroupRows({ db, groupRef: grouped.points[0].groupRef }).totalRows, 3);
+
+    console.log("SQLite viewport smoke: heatmap density passed.");
+  } finally {
+    closeSqliteStore(db);
+  }
+}
+
 /**
  * Prove small viewport results keep their exact point and source-reference shape.
  */
@@ -489,6 +781,7 @@ function assertCompactRenderResult(result) {
 function createSmokeDatabase(features) {
   const Database = require("better-sqlite3");
   const { closeSqliteStore, initializeSchema } = require("./sqliteStore.cjs");
+  const { getYearEndDay, getYearStartDay } = require("./timelineDays.cjs");
   const db = new Database(":memory:");
 
   try {
@@ -539,6 +832,8 @@ function createSmokeDatabase(features) {
         lon,
         timeline_start_year,
         timeline_end_year,
+        timeline_start_day,
+        timeline_end_day,
         compact_json,
         row_json
       ) VALUES (
@@ -549,6 +844,8 @@ function createSmokeDatabase(features) {
         @lon,
         @timelineStartYear,
         @timelineEndYear,
+        @timelineStartDay,
+        @timelineEndDay,
         @compactJson,
         @rowJson
       )
@@ -563,11 +860,14 @@ function createSmokeDatabase(features) {
           lon: feature.lon,
           timelineStartYear: feature.timelineStartYear ?? null,
           timelineEndYear: feature.timelineEndYear ?? null,
+          timelineStartDay: feature.timelineStartYear == null ? null : getYearStartDay(feature.timelineStartYear),
+          timelineEndDay: feature.timelineEndYear == null ? null : getYearEndDay(feature.timelineEndYear),
           compactJson: JSON.stringify(feature.compactFields ?? {}),
           // This recognizable value makes any row_json leak easy to detect.
           rowJson: JSON.stringify({
             smokeSentinel: ROW_JSON_SENTINEL,
             featureId: feature.id,
+            ...feature.rowFields,
           }),
         });
       });
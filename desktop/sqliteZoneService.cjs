@@ -1,5 +1,14 @@
 "use strict";
 
+const { getCoordinateTransform } = require("./coordinateSystems.cjs");
+const { formatCoordinateText } = require("./coordinateText.cjs");
+const {
+  parseWktGeometry,
+  replaceWktLineString,
+  replaceWktPolygons,
+  resolveWktFeatureParts,
+} = require("./wktGeometry.cjs");
+
 const DEFAULT_REGION_STYLE = Object.freeze({
   color: "#3388ff",
   weight: 2,
@@ -8,60 +17,84 @@ const DEFAULT_REGION_STYLE = Object.freeze({
   fillOpacity: 0.25,
 });
 
-/** Rebuild materialized region parts for one persistent dataset. */
-function rebuildSqliteDatasetRegions({ db, datasetId }) {
+const DEFAULT_LINE_STYLE = Object.freeze({ color: "#3388ff", weight: 3 });
+const ARROW_MODES = new Set(["none", "start", "end", "both"]);
+const GEOMETRY_TYPES = new Set(["line", "region"]);
+/** Newest zone edits returned by one history listing. */
+const ZONE_HISTORY_LIST_LIMIT = 100;
+
+/** Rebuild materialized line and region parts for one persistent dataset. */
+function rebuildSqliteDatasetGeometries({ db, datasetId }) {
   requireOpenDatabase(db);
   const rows = db.prepare(`
     SELECT source_row_index, lat, lon, timeline_start_year, timeline_end_year,
-           compact_json, row_json
+           timeline_start_day, timeline_end_day, compact_json, row_json
     FROM features
     WHERE dataset_id = ?
     ORDER BY source_row_index
   `).all(datasetId);
   const groups = new Map();
 
-  for (const stored of rows) {
-    const compact = parseObject(stored.compact_json);
-    if (String(compact.featureType ?? "").trim().toLowerCase() !== "region") continue;
-    const featureId = normalizeString(compact.featureId);
-    if (!featureId) continue;
-    const part = normalizeString(compact.part) ?? "0";
-    const key = `${featureId}\u0000${part}`;
+  const addVertex = (geometryType, featureId, part, vertex) => {
+    const key = `${geometryType}\u0000${featureId}\u0000${part}`;
     let group = groups.get(key);
     if (!group) {
-      group = { featureId, part, vertices: [] };
+      group = { geometryType, featureId, part, vertices: [] };
       groups.set(key, group);
     }
-    group.vertices.push({
+    group.vertices.push(vertex);
+  };
+
+  for (const stored of rows) {
+    const compact = parseObject(stored.compact_json);
+    const geometryType = String(compact.featureType ?? "").trim().toLowerCase();
+    if (!GEOMETRY_TYPES.has(geometryType)) continue;
+    if (compact.wktField) {
+      addWktVertices(stored, compact, addVertex);
+      continue;
+    }
+    const featureId = normalizeString(compact.featureId);
+    if (!featureId) continue;
+    // Lines are single-part features; the empty part keeps them apart from region parts.
+    const part = geometryType === "region" ? normalizeString(compact.part) ?? "0" : "";
+    addVertex(geometryType, featureId, part, {
       sourceRowIndex: Number(stored.source_row_index),
       order: parseOrder(compact.order),
       lat: Number(stored.lat),
       lon: Number(stored.lon),
       timelineStartYear: stored.timeline_start_year,
       timelineEndYear: stored.timeline_end_year,
-      compact,
+      timelineStartDay: stored.timeline_start_day,
+      timelineEndDay: stored.timeline_end_day,
+      // Imports before arrow became a compact field still carry it in the source row.
+      compact: geometryType === "line" && compact.arrow == null
+        ? { ...compact, arrow: parseObject(stored.row_json).arrow }
+        : compact,
     });
   }
 
   db.prepare("DELETE FROM geometry_features WHERE dataset_id = ?").run(datasetId);
   const insert = db.prepare(`
     INSERT INTO geometry_features (
-      dataset_id, feature_id, part, source_row_index, part_order_index,
-      min_lat, max_lat, min_lon, max_lon, timeline_start_year,
-      timeline_end_year, coordinates_json, style_json
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      dataset_id, geometry_type, feature_id, part, source_row_index,
+      part_order_index, min_lat, max_lat, min_lon, max_lon,
+      timeline_start_year, timeline_end_year, timeline_start_day,
+      timeline_end_day, coordinates_json, style_json, arrow_mode
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   for (const group of groups.values()) {
     group.vertices.sort(compareVertices);
-    if (group.vertices.length < 3) continue;
+    const isLine = group.geometryType === "line";
+    if (group.vertices.length < (isLine ? 2 : 3)) continue;
     const coordinates = group.vertices.map((vertex) => [vertex.lat, vertex.lon]);
-    if (!sameCoordinate(coordinates[0], coordinates.at(-1))) {
+    if (!isLine && !sameCoordinate(coordinates[0], coordinates.at(-1))) {
       coordinates.push([...coordinates[0]]);
     }
     const bounds = getBounds(coordinates);
     const first = group.vertices[0];
     insert.run(
       datasetId,
+      group.geometryType,
       group.featureId,
       group.part,
       first.sourceRowIndex,
@@ -72,116 +105,555 @@ function rebuildSqliteDatasetRegions({ db, datasetId }) {
       bounds.maxLon,
       first.timelineStartYear,
       first.timelineEndYear,
+      first.timelineStartDay,
+      first.timelineEndDay,
       JSON.stringify(coordinates),
-      JSON.stringify(resolveRegionStyle(group.vertices)),
+      JSON.stringify(isLine ? resolveLineStyle(group.vertices) : resolveRegionStyle(group.vertices)),
+      isLine ? resolveArrowMode(group.vertices) : null,
     );
   }
 }
 
-/** Read every materialized part for one dataset-scoped logical region. */
-function getSqliteLogicalZone({ db, datasetId, featureId }) {
+/**
+ * Expand one stored WKT row into ordered vertices. Fractional orders keep the
+ * row's vertices together when several rows share a feature ID and part.
+ */
+function addWktVertices(stored, compact, addVertex) {
+  const sourceRowIndex = Number(stored.source_row_index);
+  const row = parseObject(stored.row_json);
+  const geometry = parseWktGeometry(row[compact.wktField]);
+  if (!geometry || !GEOMETRY_TYPES.has(geometry.featureType)) return;
+  const { featureId, parts } = resolveWktFeatureParts(row, sourceRowIndex, geometry);
+  const styleCompact = geometry.featureType === "line" && compact.arrow == null
+    ? { ...compact, arrow: row.arrow }
+    : compact;
+
+  geometry.parts.forEach((coordinates, partIndex) => {
+    coordinates.forEach(([lat, lon], vertexIndex) => {
+      addVertex(geometry.featureType, featureId, parts[partIndex], {
+        sourceRowIndex,
+        order: sourceRowIndex + vertexIndex / coordinates.length,
+        lat,
+        lon,
+        timelineStartYear: stored.timeline_start_year,
+        timelineEndYear: stored.timeline_end_year,
+        timelineStartDay: stored.timeline_start_day,
+        timelineEndDay: stored.timeline_end_day,
+        compact: styleCompact,
+      });
+    });
+  });
+}
+
+/** Read every materialized part for one dataset-scoped logical region or line. */
+function getSqliteLogicalZone({ db, datasetId, featureId, geometryType }) {
   requireOpenDatabase(db);
   const normalizedDatasetId = requireString(datasetId);
   const normalizedFeatureId = requireString(featureId);
+  const normalizedGeometryType = requireGeometryType(geometryType);
   const rows = db.prepare(`
     SELECT part, coordinates_json, style_json
     FROM geometry_features
-    WHERE dataset_id = ? AND feature_id = ?
+    WHERE dataset_id = ? AND geometry_type = ? AND feature_id = ?
     ORDER BY part_order_index, part
-  `).all(normalizedDatasetId, normalizedFeatureId);
+  `).all(normalizedDatasetId, normalizedGeometryType, normalizedFeatureId);
   if (rows.length === 0) throw new Error("The requested logical zone is unavailable.");
   return {
     datasetId: normalizedDatasetId,
     featureId: normalizedFeatureId,
+    geometryType: normalizedGeometryType,
     parts: rows.map((row) => ({
       part: String(row.part),
-      coordinates: normalizeCoordinates(parseArray(row.coordinates_json)),
+      coordinates: normalizeCoordinates(parseArray(row.coordinates_json), normalizedGeometryType),
       style: parseObject(row.style_json),
     })),
   };
 }
 
-/** Replace a complete logical zone in one better-sqlite3 transaction. */
-function updateSqliteLogicalZone({ db, datasetId, featureId, parts }) {
+/**
+ * Replace a complete logical zone in one better-sqlite3 transaction. Parts may
+ * gain or lose vertices: feature rows are inserted or deleted to match and the
+ * part's `order` values are renumbered. Geometry read from a WKT column has
+ * that cell rewritten instead. The change is recorded in the dataset's zone
+ * edit history and clears its redo stack.
+ */
+function updateSqliteLogicalZone({ db, datasetId, featureId, geometryType, parts }) {
   requireOpenDatabase(db);
-  const storedZone = getSqliteLogicalZone({ db, datasetId, featureId });
-  const submittedParts = normalizeParts(parts);
-  validateParts(storedZone.parts, submittedParts);
-  const verticesByPart = readLogicalZoneVertices(db, storedZone);
-  const updateFeature = db.prepare(`
-    UPDATE features SET lat = ?, lon = ?, row_json = ?
-    WHERE dataset_id = ? AND source_row_index = ?
-  `);
+  const storedZone = getSqliteLogicalZone({ db, datasetId, featureId, geometryType });
+  const submittedParts = normalizeParts(parts, storedZone.geometryType);
+  validateParts(storedZone, submittedParts);
+
+  // better-sqlite3 rolls every source-row, part, and history write back if any statement fails.
+  db.transaction(() => {
+    writeZoneParts(db, storedZone, submittedParts);
+    recordZoneEdit(db, storedZone, "adjust", submittedParts);
+  })();
+  return getSqliteLogicalZone({ db, ...storedZone });
+}
+
+/** Restore the coordinates from before the dataset's latest applied zone edit. */
+function undoSqliteZoneEdit({ db, datasetId }) {
+  requireOpenDatabase(db);
+  const normalizedDatasetId = requireDataset(db, datasetId);
+  const edit = db.prepare(`
+    SELECT edit_index, feature_id, geometry_type, before_json AS parts_json
+    FROM zone_edits
+    WHERE dataset_id = ? AND undone = 0
+    ORDER BY edit_index DESC
+    LIMIT 1
+  `).get(normalizedDatasetId);
+  return applyHistoryEdit(db, normalizedDatasetId, edit, 1);
+}
+
+/** Reapply the earliest undone zone edit for one dataset. */
+function redoSqliteZoneEdit({ db, datasetId }) {
+  requireOpenDatabase(db);
+  const normalizedDatasetId = requireDataset(db, datasetId);
+  const edit = db.prepare(`
+    SELECT edit_index, feature_id, geometry_type, after_json AS parts_json
+    FROM zone_edits
+    WHERE dataset_id = ? AND undone = 1
+    ORDER BY edit_index
+    LIMIT 1
+  `).get(normalizedDatasetId);
+  return applyHistoryEdit(db, normalizedDatasetId, edit, 0);
+}
+
+/**
+ * Return a zone to the coordinates it had before its first recorded edit.
+ * The revert is itself recorded, so it can be undone like any adjustment.
+ */
+function revertSqliteLogicalZone({ db, datasetId, featureId, geometryType }) {
+  requireOpenDatabase(db);
+  const storedZone = getSqliteLogicalZone({ db, datasetId, featureId, geometryType });
+  // Undone edits are discarded by later ones, so the oldest edit always starts from the import.
+  const original = db.prepare(`
+    SELECT before_json
+    FROM zone_edits
+    WHERE dataset_id = ? AND geometry_type = ? AND feature_id = ?
+    ORDER BY edit_index
+    LIMIT 1
+  `).get(storedZone.datasetId, storedZone.geometryType, storedZone.featureId);
+  const originalParts = original
+    ? normalizeParts(parseArray(original.before_json), storedZone.geometryType)
+    : null;
+  if (!originalParts || partsEqual(originalParts, storedZone.parts)) {
+    return createZoneEditResult(db, storedZone.datasetId, false, storedZone);
+  }
+  validateParts(storedZone, originalParts);
+
+  db.transaction(() => {
+    writeZoneParts(db, storedZone, originalParts);
+    recordZoneEdit(db, storedZone, "revert", originalParts);
+  })();
+  return createZoneEditResult(db, storedZone.datasetId, true, getSqliteLogicalZone({ db, ...storedZone }));
+}
+
+/** List the newest zone edits for one dataset with its undo and redo state. */
+function getSqliteZoneEditHistory({ db, datasetId }) {
+  requireOpenDatabase(db);
+  return readZoneEditHistory(db, requireDataset(db, datasetId));
+}
+
+function applyHistoryEdit(db, datasetId, edit, undone) {
+  if (!edit) return createZoneEditResult(db, datasetId, false, null);
+  const storedZone = getSqliteLogicalZone({
+    db,
+    datasetId,
+    featureId: String(edit.feature_id),
+    geometryType: String(edit.geometry_type),
+  });
+  const parts = normalizeParts(parseArray(edit.parts_json), storedZone.geometryType);
+  validateParts(storedZone, parts);
+
+  db.transaction(() => {
+    writeZoneParts(db, storedZone, parts);
+    db.prepare(`
+      UPDATE zone_edits SET undone = ? WHERE dataset_id = ? AND edit_index = ?
+    `).run(undone, datasetId, edit.edit_index);
+  })();
+  return createZoneEditResult(db, datasetId, true, getSqliteLogicalZone({ db, ...storedZone }));
+}
+
+function createZoneEditResult(db, datasetId, changed, zone) {
+  return { changed, zone, history: readZoneEditHistory(db, datasetId) };
+}
+
+function readZoneEditHistory(db, datasetId) {
+  const entries = db.prepare(`
+    SELECT edit_index, feature_id, geometry_type, kind, undone, edited_at
+    FROM zone_edits
+    WHERE dataset_id = ?
+    ORDER BY edit_index DESC
+    LIMIT ?
+  `).all(datasetId, ZONE_HISTORY_LIST_LIMIT).map((entry) => ({
+    editIndex: Number(entry.edit_index),
+    featureId: String(entry.feature_id),
+    geometryType: String(entry.geometry_type),
+    kind: String(entry.kind),
+    undone: Number(entry.undone) === 1,
+    editedAt: String(entry.edited_at),
+  }));
+  const counts = db.prepare(`
+    SELECT
+      COALESCE(SUM(undone = 0), 0) AS applied_count,
+      COALESCE(SUM(undone = 1), 0) AS undone_count
+    FROM zone_edits
+    WHERE dataset_id = ?
+  `).get(datasetId);
+  return {
+    datasetId,
+    canUndo: Number(counts.applied_count) > 0,
+    canRedo: Number(counts.undone_count) > 0,
+    entries,
+  };
+}
+
+/** Append one edit after discarding the redo stack it supersedes. */
+function recordZoneEdit(db, storedZone, kind, afterParts) {
+  db.prepare("DELETE FROM zone_edits WHERE dataset_id = ? AND undone = 1").run(storedZone.datasetId);
+  db.prepare(`
+    INSERT INTO zone_edits (
+      dataset_id, edit_index, feature_id, geometry_type, kind,
+      before_json, after_json, edited_at
+    )
+    SELECT ?, COALESCE(MAX(edit_index) + 1, 0), ?, ?, ?, ?, ?, ?
+    FROM zone_edits
+    WHERE dataset_id = ?
+  `).run(
+    storedZone.datasetId,
+    storedZone.featureId,
+    storedZone.geometryType,
+    kind,
+    JSON.stringify(toHistoryParts(storedZone.parts)),
+    JSON.stringify(toHistoryParts(afterParts)),
+    new Date().toISOString(),
+    storedZone.datasetId,
+  );
+}
+
+/** Write complete part coordinates to source rows and materialized parts. Callers own the transaction. */
+function writeZoneParts(db, storedZone, submittedParts) {
+  const sourceContext = readLogicalZoneVertices(db, storedZone);
+  const statements = {
+    updateFeature: db.prepare(`
+      UPDATE features SET lat = ?, lon = ?, compact_json = ?, row_json = ?
+      WHERE dataset_id = ? AND source_row_index = ?
+    `),
+    insertFeature: db.prepare(`
+      INSERT INTO features (
+        id, dataset_id, source_row_index, lat, lon, timeline_start_year,
+        timeline_end_year, timeline_start_day, timeline_end_day, compact_json,
+        row_json
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+  };
   const updateGeometry = db.prepare(`
     UPDATE geometry_features
     SET coordinates_json = ?, min_lat = ?, max_lat = ?, min_lon = ?, max_lon = ?
-    WHERE dataset_id = ? AND feature_id = ? AND part = ?
+    WHERE dataset_id = ? AND geometry_type = ? AND feature_id = ? AND part = ?
   `);
 
-  // better-sqlite3 rolls every source-row and part update back if any statement fails.
-  const commit = db.transaction(() => {
-    for (const part of submittedParts) {
-      const vertices = verticesByPart.get(part.part);
-      for (let index = 0; index < vertices.length; index += 1) {
-        const vertex = vertices[index];
-        const [lat, lon] = part.coordinates[index];
-        vertex.row[vertex.latField] = coordinateLike(vertex.row[vertex.latField], lat);
-        vertex.row[vertex.lonField] = coordinateLike(vertex.row[vertex.lonField], lon);
-        updateFeature.run(lat, lon, JSON.stringify(vertex.row), storedZone.datasetId, vertex.sourceRowIndex);
-      }
-      const bounds = getBounds(part.coordinates);
-      updateGeometry.run(
-        JSON.stringify(part.coordinates),
-        bounds.minLat,
-        bounds.maxLat,
-        bounds.minLon,
-        bounds.maxLon,
+  const coordinatesByPart = new Map(submittedParts.map((part) => [part.part, part.coordinates]));
+  for (const wktRow of sourceContext.wktRows) {
+    const original = wktRow.row[wktRow.wktField];
+    const [lat, lon] = coordinatesByPart.get(wktRow.parts[0])[0];
+    wktRow.row[wktRow.wktField] = storedZone.geometryType === "line"
+      ? replaceWktLineString(original, coordinatesByPart.get(wktRow.parts[0]))
+      : replaceWktPolygons(original, wktRow.parts.map((part) => coordinatesByPart.get(part)));
+    statements.updateFeature.run(
+      lat,
+      lon,
+      JSON.stringify(wktRow.compact),
+      JSON.stringify(wktRow.row),
+      storedZone.datasetId,
+      wktRow.sourceRowIndex,
+    );
+  }
+
+  const storedCoordinates = new Map(storedZone.parts.map((part) => [part.part, part.coordinates]));
+  let rowCountChange = 0;
+  for (const part of submittedParts) {
+    if (!sourceContext.wktParts.has(part.part)) {
+      rowCountChange += writeVertexRows(db, statements, {
+        storedZone,
+        sourceContext,
+        vertices: sourceContext.verticesByPart.get(part.part),
+        storedCoordinates: storedCoordinates.get(part.part),
+        coordinates: part.coordinates,
+      });
+    }
+    const bounds = getBounds(part.coordinates);
+    updateGeometry.run(
+      JSON.stringify(part.coordinates),
+      bounds.minLat,
+      bounds.maxLat,
+      bounds.minLon,
+      bounds.maxLon,
+      storedZone.datasetId,
+      storedZone.geometryType,
+      storedZone.featureId,
+      part.part,
+    );
+  }
+  if (sourceContext.ordersRewritten) updateDatasetRows(db, storedZone.datasetId, rowCountChange);
+}
+
+/**
+ * Write one part's coordinates to its feature rows and return the row count change.
+ * Existing rows keep every imported value except coordinates, and `order` when
+ * the vertex count changes. New rows copy a neighbouring vertex row.
+ */
+function writeVertexRows(db, statements, {
+  storedZone,
+  sourceContext,
+  vertices,
+  storedCoordinates,
+  coordinates,
+}) {
+  // Regions whose source rows omit the closing vertex keep omitting it.
+  const sourceCoordinates = vertices.length < storedCoordinates.length
+    ? coordinates.slice(0, -1)
+    : coordinates;
+  const { slots, removed } = alignVertexRows(
+    vertices,
+    storedCoordinates.slice(0, vertices.length),
+    sourceCoordinates,
+  );
+  const renumber = removed.length > 0 || slots.some((slot) => slot.template);
+  let nextSourceRowIndex = renumber ? readNextSourceRowIndex(db, storedZone.datasetId) : 0;
+
+  slots.forEach((slot, index) => {
+    const [lat, lon] = slot.coordinate;
+    const vertex = slot.vertex ?? {
+      ...slot.template,
+      sourceRowIndex: nextSourceRowIndex++,
+      row: { ...slot.template.row },
+      compact: { ...slot.template.compact },
+      inserted: true,
+    };
+    // Source rows keep the dataset's own system; the features table stays WGS 84.
+    const [rowLat, rowLon] = getCoordinateTransform(vertex.compact.coordinateSystem)
+      .fromWgs84(lat, lon);
+    if (vertex.coordinateField) {
+      vertex.row[vertex.coordinateField] = formatCoordinateText(
+        vertex.row[vertex.coordinateField],
+        rowLat,
+        rowLon,
+      );
+    } else {
+      vertex.row[vertex.latField] = coordinateLike(vertex.row[vertex.latField], rowLat);
+      vertex.row[vertex.lonField] = coordinateLike(vertex.row[vertex.lonField], rowLon);
+    }
+    if (renumber) {
+      vertex.row.order = coordinateLike(vertex.row.order, index + 1);
+      vertex.compact.order = vertex.row.order;
+    }
+    if (vertex.inserted) {
+      statements.insertFeature.run(
+        `${storedZone.datasetId}:${vertex.sourceRowIndex}`,
+        storedZone.datasetId,
+        vertex.sourceRowIndex,
+        lat,
+        lon,
+        vertex.timelineStartYear,
+        vertex.timelineEndYear,
+        vertex.timelineStartDay,
+        vertex.timelineEndDay,
+        JSON.stringify(vertex.compact),
+        JSON.stringify(vertex.row),
+      );
+    } else {
+      statements.updateFeature.run(
+        lat,
+        lon,
+        JSON.stringify(vertex.compact),
+        JSON.stringify(vertex.row),
+        storedZone.datasetId,
+        vertex.sourceRowIndex,
+      );
+    }
+    slot.vertex = vertex;
+  });
+
+  if (removed.length > 0) {
+    // Materialized parts name their first source row, so repoint them before it is deleted.
+    const firstSourceRowIndex = slots[0].vertex.sourceRowIndex;
+    const repointGeometry = db.prepare(`
+      UPDATE geometry_features SET source_row_index = ?, part_order_index = ?
+      WHERE dataset_id = ? AND source_row_index = ?
+    `);
+    const deleteFeature = db.prepare(
+      "DELETE FROM features WHERE dataset_id = ? AND source_row_index = ?",
+    );
+    for (const vertex of removed) {
+      repointGeometry.run(
+        firstSourceRowIndex,
+        firstSourceRowIndex,
         storedZone.datasetId,
-        storedZone.featureId,
-        part.part,
+        vertex.sourceRowIndex,
       );
+      deleteFeature.run(storedZone.datasetId, vertex.sourceRowIndex);
     }
+  }
+  if (renumber) sourceContext.ordersRewritten = true;
+  return slots.length - vertices.length;
+}
+
+/**
+ * Pair stored vertex rows with submitted coordinates. Unchanged leading and
+ * trailing vertices keep their rows, so inserting or deleting one vertex adds or
+ * removes only the row at that position. Slots without a row name the
+ * neighbouring row a new one is copied from.
+ */
+function alignVertexRows(vertices, currentCoordinates, coordinates) {
+  if (vertices.length === coordinates.length) {
+    return {
+      slots: vertices.map((vertex, index) => ({ vertex, coordinate: coordinates[index] })),
+      removed: [],
+    };
+  }
+  const limit = Math.min(vertices.length, coordinates.length);
+  let prefix = 0;
+  while (prefix < limit && sameCoordinate(currentCoordinates[prefix], coordinates[prefix])) {
+    prefix += 1;
+  }
+  let suffix = 0;
+  while (
+    suffix < limit - prefix
+    && sameCoordinate(currentCoordinates.at(-1 - suffix), coordinates.at(-1 - suffix))
+  ) suffix += 1;
+
+  const changed = vertices.slice(prefix, vertices.length - suffix);
+  const slots = coordinates.map((coordinate, index) => {
+    if (index < prefix) return { vertex: vertices[index], coordinate };
+    if (index >= coordinates.length - suffix) {
+      return { vertex: vertices[vertices.length - (coordinates.length - index)], coordinate };
+    }
+    return { vertex: changed[index - prefix] ?? null, coordinate };
+  });
+  slots.forEach((slot, index) => {
+    if (slot.vertex) return;
+    slot.template = slots[index - 1]?.vertex ?? slots[index - 1]?.template ?? vertices[0];
   });
-  commit();
-  return getSqliteLogicalZone({ db, datasetId, featureId });
+  return { slots, removed: changed.slice(coordinates.length - prefix - suffix) };
+}
+
+function readNextSourceRowIndex(db, datasetId) {
+  const row = db.prepare(`
+    SELECT COALESCE(MAX(source_row_index) + 1, 0) AS next_index
+    FROM features
+    WHERE dataset_id = ?
+  `).get(datasetId);
+  return Number(row.next_index);
+}
+
+/** Keep stored row counts and the exported header in step with inserted or deleted vertices. */
+function updateDatasetRows(db, datasetId, change) {
+  const dataset = db.prepare("SELECT columns_json FROM datasets WHERE id = ?").get(datasetId);
+  const headers = parseArray(dataset?.columns_json);
+  if (!headers.includes("order")) headers.push("order");
+  db.prepare(`
+    UPDATE datasets
+    SET row_count = row_count + ?,
+        imported_feature_count = imported_feature_count + ?,
+        columns_json = ?
+    WHERE id = ?
+  `).run(change, change, JSON.stringify(headers), datasetId);
 }
 
 /** Recover source vertices in exactly the order used by the materialized part. */
 function readLogicalZoneVertices(db, zone) {
   const rows = db.prepare(`
-    SELECT source_row_index, compact_json, row_json
+    SELECT source_row_index, timeline_start_year, timeline_end_year, timeline_start_day,
+           timeline_end_day, compact_json, row_json
     FROM features WHERE dataset_id = ? ORDER BY source_row_index
   `).all(zone.datasetId);
   const verticesByPart = new Map(zone.parts.map((part) => [part.part, []]));
+  const isLine = zone.geometryType === "line";
+  const wktRows = [];
+  const wktParts = new Set();
   for (const stored of rows) {
     const compact = parseObject(stored.compact_json);
+    if (compact.wktField) {
+      const wktRow = readWktZoneRow(stored, compact, zone, verticesByPart);
+      if (wktRow) {
+        wktRow.parts.forEach((part) => wktParts.add(part));
+        wktRows.push(wktRow);
+      }
+      continue;
+    }
     if (
-      String(compact.featureType ?? "").trim().toLowerCase() !== "region"
+      String(compact.featureType ?? "").trim().toLowerCase() !== zone.geometryType
       || normalizeString(compact.featureId) !== zone.featureId
     ) continue;
-    const part = normalizeString(compact.part) ?? "0";
+    const part = isLine ? "" : normalizeString(compact.part) ?? "0";
     if (!verticesByPart.has(part)) continue;
     const row = parseObject(stored.row_json);
     const latField = normalizeString(compact.latField);
     const lonField = normalizeString(compact.lonField);
-    if (!latField || !lonField) throw new Error("Stored coordinate mapping is unavailable.");
+    const coordinateField = normalizeString(compact.coordinateField);
+    if (!coordinateField && (!latField || !lonField)) {
+      throw new Error("Stored coordinate mapping is unavailable.");
+    }
     verticesByPart.get(part).push({
       sourceRowIndex: Number(stored.source_row_index),
       order: parseOrder(compact.order),
+      timelineStartYear: stored.timeline_start_year,
+      timelineEndYear: stored.timeline_end_year,
+      timelineStartDay: stored.timeline_start_day,
+      timelineEndDay: stored.timeline_end_day,
+      compact,
       row,
       latField,
       lonField,
+      coordinateField,
     });
   }
   for (const part of zone.parts) {
+    // WKT-owned parts are rewritten whole, so their vertex count may change freely.
+    if (wktParts.has(part.part)) continue;
     const vertices = verticesByPart.get(part.part);
     vertices.sort(compareVertices);
+    const isClosed = !isLine && sameCoordinate(part.coordinates[0], part.coordinates.at(-1));
     if (
       vertices.length !== part.coordinates.length
-      && vertices.length !== part.coordinates.length - 1
+      && !(isClosed && vertices.length === part.coordinates.length - 1)
     ) throw new Error("Stored zone vertices are inconsistent.");
   }
-  return verticesByPart;
+  return { verticesByPart, wktRows, wktParts, ordersRewritten: false };
+}
+
+/** Match one stored WKT row to the zone when every one of its parts belongs to it. */
+function readWktZoneRow(stored, compact, zone, verticesByPart) {
+  const sourceRowIndex = Number(stored.source_row_index);
+  const row = parseObject(stored.row_json);
+  const geometry = parseWktGeometry(row[compact.wktField]);
+  if (geometry?.featureType !== zone.geometryType) return null;
+  const { featureId, parts } = resolveWktFeatureParts(row, sourceRowIndex, geometry);
+  if (featureId !== zone.featureId || !parts.every((part) => verticesByPart.has(part))) return null;
+  return { sourceRowIndex, compact, row, parts, wktField: compact.wktField };
+}
+
+/** Resolve the first usable line color and weight in vertex order. */
+function resolveLineStyle(vertices) {
+  const values = vertices.map((vertex) => vertex.compact);
+  const weight = Number.parseFloat(String(firstValue(values, "weight") ?? "").trim());
+  return {
+    color: firstString(values, "color") ?? DEFAULT_LINE_STYLE.color,
+    weight: Number.isFinite(weight)
+      ? Math.max(1, Math.min(20, Math.round(weight)))
+      : DEFAULT_LINE_STYLE.weight,
+  };
+}
+
+/** Use the first recognized arrow mode so one stray value cannot disable a line's arrows. */
+function resolveArrowMode(vertices) {
+  for (const vertex of vertices) {
+    const arrow = normalizeString(vertex.compact.arrow)?.toLowerCase();
+    if (arrow && ARROW_MODES.has(arrow)) return arrow;
+  }
+  return "none";
 }
 
 /** Resolve one stable polygon style from the first populated value in source order. */
@@ -203,29 +675,49 @@ function resolveRegionStyle(vertices) {
   };
 }
 
+/** Keep only part identities and coordinates; styles are not part of an edit. */
+function toHistoryParts(parts) {
+  return parts.map((part) => ({ part: part.part, coordinates: part.coordinates }));
+}
+
+function partsEqual(left, right) {
+  return left.length === right.length && left.every((part, index) => (
+    part.part === right[index].part
+    && JSON.stringify(part.coordinates) === JSON.stringify(right[index].coordinates)
+  ));
+}
+
 /** Normalize the client payload while retaining the complete ordered part list. */
-function normalizeParts(parts) {
+function normalizeParts(parts, geometryType) {
   if (!Array.isArray(parts) || parts.length === 0) throw new TypeError("Zone parts are required.");
   return parts.map((part) => ({
-    part: requireString(part?.part),
-    coordinates: normalizeCoordinates(part?.coordinates),
+    part: geometryType === "line" ? String(part?.part ?? "") : requireString(part?.part),
+    coordinates: normalizeCoordinates(part?.coordinates, geometryType),
   }));
 }
 
-/** Prevent adjustment requests from changing multipart identities or ring structure. */
-function validateParts(stored, submitted) {
+/**
+ * Prevent adjustment requests from changing multipart identities. Vertex counts
+ * may change, but region rings must stay closed.
+ */
+function validateParts(storedZone, submitted) {
+  const stored = storedZone.parts;
   if (stored.length !== submitted.length) throw new Error("The complete logical zone is required.");
   for (let index = 0; index < stored.length; index += 1) {
     if (
       stored[index].part !== submitted[index].part
-      || stored[index].coordinates.length !== submitted[index].coordinates.length
-      || !sameCoordinate(submitted[index].coordinates[0], submitted[index].coordinates.at(-1))
+      || storedZone.geometryType === "region"
+        && !sameCoordinate(submitted[index].coordinates[0], submitted[index].coordinates.at(-1))
     ) throw new Error("The logical-zone structure cannot be changed.");
   }
 }
 
-function normalizeCoordinates(value) {
-  if (!Array.isArray(value) || value.length < 4) throw new TypeError("A region ring is required.");
+/** Lines need two vertices; region rings need three distinct vertices plus the closing one. */
+function normalizeCoordinates(value, geometryType = "region") {
+  const isLine = geometryType === "line";
+  if (!Array.isArray(value) || value.length < (isLine ? 2 : 4)) {
+    throw new TypeError(isLine ? "A line path is required." : "A region ring is required.");
+  }
   return value.map((coordinate) => {
     const lat = Number(coordinate?.[0]);
     const lon = Number(coordinate?.[1]);
@@ -305,12 +797,31 @@ function requireString(value) {
   return normalized;
 }
 
+/** Zone requests without a geometry type address regions, as before lines were editable. */
+function requireGeometryType(value) {
+  if (value == null) return "region";
+  if (!GEOMETRY_TYPES.has(value)) throw new TypeError("The logical-zone geometry type is invalid.");
+  return value;
+}
+
+function requireDataset(db, datasetId) {
+  const normalized = requireString(datasetId);
+  if (!db.prepare("SELECT 1 FROM datasets WHERE id = ?").get(normalized)) {
+    throw new Error("The requested dataset is unavailable.");
+  }
+  return normalized;
+}
+
 function requireOpenDatabase(db) {
   if (!db?.open) throw new TypeError("An open SQLite database is required.");
 }
 
 module.exports = {
   getSqliteLogicalZone,
-  rebuildSqliteDatasetRegions,
+  getSqliteZoneEditHistory,
+  rebuildSqliteDatasetGeometries,
+  redoSqliteZoneEdit,
+  revertSqliteLogicalZone,
+  undoSqliteZoneEdit,
   updateSqliteLogicalZone,
 };
@@ -3,12 +3,19 @@
 const assert = require("node:assert/strict");
 const Database = require("better-sqlite3");
 const Papa = require("papaparse");
-const { exportSqliteDatasetCsv } = require("./sqliteDatasetExport.cjs");
+const {
+  exportSqliteDatasetCsv,
+  exportSqliteDatasetGeoJson,
+} = require("./sqliteDatasetExport.cjs");
 const { initializeSchema } = require("./sqliteStore.cjs");
 const { querySqliteMapView } = require("./sqliteViewportQuery.cjs");
 const {
   getSqliteLogicalZone,
-  rebuildSqliteDatasetRegions,
+  getSqliteZoneEditHistory,
+  rebuildSqliteDatasetGeometries,
+  redoSqliteZoneEdit,
+  revertSqliteLogicalZone,
+  undoSqliteZoneEdit,
   updateSqliteLogicalZone,
 } = require("./sqliteZoneService.cjs");
 
@@ -48,7 +55,7 @@ try {
     }),
     JSON.stringify({ name: "Zone", lat: String(lat), lon: String(lon) }),
   ));
-  rebuildSqliteDatasetRegions({ db, datasetId: "dataset-a" });
+  rebuildSqliteDatasetGeometries({ db, datasetId: "dataset-a" });
 
   const zone = getSqliteLogicalZone({ db, datasetId: "dataset-a", featureId: "zone" });
   assert.deepEqual(zone.parts.map((part) => part.part), ["main", "island"]);
@@ -82,6 +89,66 @@ try {
     { header: true, skipEmptyLines: true },
   ).data;
   assert.deepEqual(exportedRows[0], { name: "Zone", lat: "2", lon: "3" });
+  const exportedGeoJson = exportSqliteDatasetGeoJson({ db, datasetId: "dataset-a" });
+  assert.equal(exportedGeoJson.fileName, "zones.geojson");
+  const [zoneFeature] = JSON.parse(exportedGeoJson.geoJsonText).features;
+  assert.equal(zoneFeature.id, "zone");
+  assert.deepEqual(zoneFeature.properties, {
+    name: "Zone",
+    color: "#3388ff",
+    weight: 2,
+    opacity: 1,
+    fillColor: "#3388ff",
+    fillOpacity: 0.25,
+  });
+  assert.deepEqual(zoneFeature.geometry, {
+    type: "MultiPolygon",
+    coordinates: movedParts.map((part) => [part.coordinates.map(([lat, lon]) => [lon, lat])]),
+  });
+
+  const history = getSqliteZoneEditHistory({ db, datasetId: "dataset-a" });
+  assert.equal(history.canUndo, true);
+  assert.equal(history.canRedo, false);
+  assert.deepEqual(
+    history.entries.map(({ editIndex, featureId, kind, undone }) => ({
+      editIndex, featureId, kind, undone,
+    })),
+    [{ editIndex: 0, featureId: "zone", kind: "adjust", undone: false }],
+  );
+
+  const undone = undoSqliteZoneEdit({ db, datasetId: "dataset-a" });
+  assert.equal(undone.changed, true);
+  assert.deepEqual(undone.zone.parts.map((part) => part.coordinates), zone.parts.map((part) => part.coordinates));
+  assert.deepEqual(
+    db.prepare("SELECT lat, lon, row_json FROM features WHERE id = 'dataset-a:0'").get(),
+    { lat: 1, lon: 1, row_json: JSON.stringify({ name: "Zone", lat: "1", lon: "1" }) },
+  );
+  assert.deepEqual([undone.history.canUndo, undone.history.canRedo], [false, true]);
+  assert.equal(undoSqliteZoneEdit({ db, datasetId: "dataset-a" }).changed, false);
+
+  const redone = redoSqliteZoneEdit({ db, datasetId: "dataset-a" });
+  assert.equal(redone.changed, true);
+  assert.deepEqual(redone.zone.parts[0].coordinates, movedParts[0].coordinates);
+  assert.deepEqual([redone.history.canUndo, redone.history.canRedo], [true, false]);
+  assert.equal(redoSqliteZoneEdit({ db, datasetId: "dataset-a" }).changed, false);
+
+  const reverted = revertSqliteLogicalZone({ db, datasetId: "dataset-a", featureId: "zone" });
+  assert.equal(reverted.changed, true);
+  assert.deepEqual(reverted.zone.parts[0].coordinates, zone.parts[0].coordinates);
+  assert.deepEqual(reverted.history.entries.map((entry) => entry.kind), ["revert", "adjust"]);
+  assert.equal(
+    revertSqliteLogicalZone({ db, datasetId: "dataset-a", featureId: "zone" }).changed,
+    false,
+  );
+  // Undoing the revert restores the adjusted coordinates the failed update below must keep.
+  assert.deepEqual(
+    undoSqliteZoneEdit({ db, datasetId: "dataset-a" }).zone.parts[0].coordinates,
+    movedParts[0].coordinates,
+  );
+  assert.throws(
+    () => getSqliteZoneEditHistory({ db, datasetId: "missing" }),
+    /dataset is unavailable/,
+  );
 
   db.exec(`
     CREATE TRIGGER fail_zone_update BEFORE UPDATE ON geometry_features
@@ -100,6 +167,151 @@ try {
     db.prepare("SELECT lat, lon FROM features WHERE id = 'dataset-a:0'").get(),
     { lat: 2, lon: 3 },
   );
+  // The failed edit is not recorded, so its redo stack is untouched.
+  assert.deepEqual(
+    getSqliteZoneEditHistory({ db, datasetId: "dataset-a" }).entries.map((entry) => entry.undone),
+    [true, false],
+  );
+  db.exec("DROP TRIGGER fail_zone_update");
+
+  db.prepare(`
+    INSERT INTO datasets (
+      id, file_name, row_count, imported_feature_count, skipped_row_count,
+      columns_json, imported_at
+    ) VALUES (
+      'dataset-b', 'paths.csv', 7, 7, 0, '["featureType","featureId","lat","lon"]',
+      '2026-08-08T00:00:00.000Z'
+    )
+  `).run();
+  const insertPath = db.prepare(`
+    INSERT INTO features (
+      id, dataset_id, source_row_index, lat, lon, compact_json, row_json
+    ) VALUES (?, 'dataset-b', ?, ?, ?, ?, ?)
+  `);
+  const pathVertices = [
+    ["region", "field", 0, 0], ["region", "field", 0, 4], ["region", "field", 4, 4],
+    ["region", "field", 4, 0], ["line", "route", 1, 1], ["line", "route", 2, 2],
+    ["line", "route", 3, 3],
+  ];
+  pathVertices.forEach(([featureType, featureId, lat, lon], index) => insertPath.run(
+    `dataset-b:${index}`,
+    index,
+    lat,
+    lon,
+    JSON.stringify({ featureType, featureId, latField: "lat", lonField: "lon" }),
+    JSON.stringify({ featureType, featureId, lat: String(lat), lon: String(lon) }),
+  ));
+  rebuildSqliteDatasetGeometries({ db, datasetId: "dataset-b" });
+  const readPathRows = () => db.prepare(`
+    SELECT id, lat, lon, compact_json, row_json FROM features
+    WHERE dataset_id = 'dataset-b' ORDER BY source_row_index
+  `).all().map((row) => ({
+    id: row.id,
+    lat: row.lat,
+    lon: row.lon,
+    order: JSON.parse(row.compact_json).order,
+    row: JSON.parse(row.row_json),
+  }));
+  const readPathDataset = () => db.prepare(`
+    SELECT row_count, imported_feature_count, columns_json FROM datasets WHERE id = 'dataset-b'
+  `).get();
+
+  // Inserting an edge midpoint adds one source row and renumbers the ring's order.
+  const insertedField = updateSqliteLogicalZone({
+    db,
+    datasetId: "dataset-b",
+    featureId: "field",
+    parts: [{ part: "0", coordinates: [[0, 0], [0, 2], [0, 4], [4, 4], [4, 0], [0, 0]] }],
+  });
+  assert.equal(insertedField.geometryType, "region");
+  assert.deepEqual(
+    readPathRows().filter((row) => row.row.featureId === "field").map((row) => [
+      row.id, row.lat, row.lon, row.order, row.row.order,
+    ]),
+    [
+      ["dataset-b:0", 0, 0, "1", "1"],
+      ["dataset-b:1", 0, 4, "3", "3"],
+      ["dataset-b:2", 4, 4, "4", "4"],
+      ["dataset-b:3", 4, 0, "5", "5"],
+      ["dataset-b:7", 0, 2, "2", "2"],
+    ],
+  );
+  assert.deepEqual(readPathDataset(), {
+    row_count: 8,
+    imported_feature_count: 8,
+    columns_json: JSON.stringify(["featureType", "featureId", "lat", "lon", "order"]),
+  });
+  // A full rebuild from the rewritten rows derives the same ring.
+  rebuildSqliteDatasetGeometries({ db, datasetId: "dataset-b" });
+  assert.deepEqual(
+    getSqliteLogicalZone({ db, datasetId: "dataset-b", featureId: "field" }).parts,
+    insertedField.parts,
+  );
+  assert.equal(
+    Papa.parse(exportSqliteDatasetCsv({ db, datasetId: "dataset-b" }).csvText, {
+      header: true,
+      skipEmptyLines: true,
+    }).data.at(-1).order,
+    "2",
+  );
+
+  // Deleting a line vertex removes its source row; lines are addressed by geometry type.
+  const route = getSqliteLogicalZone({
+    db,
+    datasetId: "dataset-b",
+    featureId: "route",
+    geometryType: "line",
+  });
+  assert.deepEqual(route.parts, [{
+    part: "",
+    coordinates: [[1, 1], [2, 2], [3, 3]],
+    style: { color: "#3388ff", weight: 3 },
+  }]);
+  const shortenedRoute = updateSqliteLogicalZone({
+    db,
+    datasetId: "dataset-b",
+    featureId: "route",
+    geometryType: "line",
+    parts: [{ part: "", coordinates: [[1, 1], [3, 3]] }],
+  });
+  assert.deepEqual(shortenedRoute.parts[0].coordinates, [[1, 1], [3, 3]]);
+  assert.deepEqual(
+    readPathRows().filter((row) => row.row.featureId === "route").map((row) => [row.id, row.order]),
+    [["dataset-b:4", "1"], ["dataset-b:6", "2"]],
+  );
+  assert.equal(readPathDataset().row_count, 7);
+  assert.deepEqual(
+    getSqliteZoneEditHistory({ db, datasetId: "dataset-b" }).entries.map((entry) => [
+      entry.featureId, entry.geometryType,
+    ]),
+    [["route", "line"], ["field", "region"]],
+  );
+  assert.throws(() => updateSqliteLogicalZone({
+    db,
+    datasetId: "dataset-b",
+    featureId: "route",
+    geometryType: "line",
+    parts: [{ part: "", coordinates: [[1, 1]] }],
+  }), /line path is required/);
+
+  // Undo restores the deleted vertex as a new row and then removes the inserted one.
+  assert.deepEqual(
+    undoSqliteZoneEdit({ db, datasetId: "dataset-b" }).zone.parts[0].coordinates,
+    route.parts[0].coordinates,
+  );
+  assert.deepEqual(
+    readPathRows().filter((row) => row.row.featureId === "route").map((row) => [row.id, row.lat]),
+    [["dataset-b:4", 1], ["dataset-b:6", 3], ["dataset-b:8", 2]],
+  );
+  undoSqliteZoneEdit({ db, datasetId: "dataset-b" });
+  assert.deepEqual(
+    readPathRows().filter((row) => row.row.featureId === "field").map((row) => row.id),
+    ["dataset-b:0", "dataset-b:1", "dataset-b:2", "dataset-b:3"],
+  );
+  assert.equal(readPathDataset().row_count, 7);
+
+  db.prepare("DELETE FROM datasets WHERE id IN ('dataset-a', 'dataset-b')").run();
+  assert.equal(db.prepare("SELECT COUNT(*) AS count FROM zone_edits").get().count, 0);
 } finally {
   db.close();
 }
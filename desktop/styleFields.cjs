@@ -0,0 +1,88 @@
+"use strict";
+
+const { toJsonPath } = require("./attributeFilters.cjs");
+
+// Mirrors src/components/styleRules.js and the browser style value column so both backends return the same styleValues.
+
+const MAX_STYLE_FIELDS = 50;
+
+/** Keep distinct dataset columns for a map query, in first-seen order. */
+function normalizeStyleFields(value) {
+  if (!Array.isArray(value)) return [];
+  const fields = [];
+  const seen = new Set();
+  for (const entry of value.slice(0, MAX_STYLE_FIELDS)) {
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) continue;
+    const datasetId = normalizeNullableString(entry.datasetId);
+    const field = typeof entry.field === "string" && entry.field.trim() ? entry.field : null;
+    const key = JSON.stringify([datasetId, field]);
+    if (!datasetId || !field || seen.has(key)) continue;
+    seen.add(key);
+    fields.push({ datasetId, field });
+  }
+  return fields;
+}
+
+/**
+ * Build a selected column holding the styled values of each feature's source
+ * row as a JSON object, or NULL for datasets without style rules. `features`
+ * rows read their own row_json; `geometry_features` rows read the features row
+ * that supplies their details.
+ */
+function buildStyleValueColumn(styleFields, tableName = "features") {
+  if (styleFields.length === 0) return { sql: "NULL", params: {} };
+
+  const fieldsByDataset = new Map();
+  for (const { datasetId, field } of styleFields) {
+    fieldsByDataset.set(datasetId, [...(fieldsByDataset.get(datasetId) ?? []), field]);
+  }
+
+  const params = {};
+  const cases = [...fieldsByDataset].map(([datasetId, fields], datasetIndex) => {
+    const key = `style${datasetIndex}`;
+    params[`${key}Dataset`] = datasetId;
+    const pairs = fields.map((field, fieldIndex) => {
+      params[`${key}Field${fieldIndex}`] = field;
+      params[`${key}Path${fieldIndex}`] = toJsonPath(field);
+      return `@${key}Field${fieldIndex}, `
+        + `CAST(json_extract(styled_features.row_json, @${key}Path${fieldIndex}) AS TEXT)`;
+    });
+    return `WHEN @${key}Dataset THEN json_object(${pairs.join(", ")})`;
+  });
+
+  return {
+    sql: `(
+      SELECT CASE styled_features.dataset_id ${cases.join(" ")} END
+      FROM features AS styled_features
+      WHERE styled_features.dataset_id = ${tableName}.dataset_id
+        AND styled_features.source_row_index = ${tableName}.source_row_index
+    )`,
+    params,
+  };
+}
+
+/** Parse the styled values column into a record of trimmed text values. */
+function parseStyleValues(value) {
+  if (value == null) return null;
+  try {
+    const parsed = JSON.parse(String(value));
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return null;
+    return Object.fromEntries(Object.entries(parsed).map(([field, text]) => [
+      field,
+      text == null ? null : String(text).trim(),
+    ]));
+  } catch {
+    return null;
+  }
+}
+
+function normalizeNullableString(value) {
+  if (typeof value !== "string") return null;
+  return value.trim() || null;
+}
+
+module.exports = {
+  buildStyleValueColumn,
+  normalizeStyleFields,
+  parseStyleValues,
+};
@@ -0,0 +1,217 @@
+"use strict";
+
+/*
+ * Timeline values for the desktop importer and SQLite queries.
+ *
+ * Mirrors src/components/timeline.js and timelineDates.js, which the main
+ * process cannot require: extents are epoch days (days since 1970-01-01 in
+ * the proleptic Gregorian calendar), a year value covers the whole year, a
+ * year and month the month, and a full date one day.
+ */
+
+const MS_PER_DAY = 86400000;
+const MIN_UNIX_SECONDS = 1e9;
+
+function toEpochDay(year, month = 1, day = 1) {
+  const monthIndex = month - 1;
+  const shiftedYear = year + Math.floor(monthIndex / 12);
+  const shiftedMonth = (((monthIndex % 12) + 12) % 12) + 1;
+  const marchYear = shiftedYear - (shiftedMonth <= 2 ? 1 : 0);
+  const era = Math.floor(marchYear / 400);
+  const yearOfEra = marchYear - era * 400;
+  const dayOfYear = Math.floor((153 * (shiftedMonth + (shiftedMonth > 2 ? -3 : 9)) + 2) / 5);
+  const dayOfEra = yearOfEra * 365 + Math.floor(yearOfEra / 4) - Math.floor(yearOfEra / 100) + dayOfYear;
+  return era * 146097 + dayOfEra - 719468 + (day - 1);
+}
+
+function getYearStartDay(year) {
+  return toEpochDay(year, 1, 1);
+}
+
+function getYearEndDay(year) {
+  return toEpochDay(year + 1, 1, 1) - 1;
+}
+
+function parseYearValue(value) {
+  if (value == null) return null;
+
+  if (typeof value === "number" && Number.isFinite(value)) {
+    const year = Math.trunc(value);
+    return isReasonableYear(year) ? year : null;
+  }
+
+  const match = String(value).trim().match(/-?\d{1,5}/);
+  if (!match) return null;
+
+  const year = Number.parseInt(match[0], 10);
+  return isReasonableYear(year) ? year : null;
+}
+
+function parseDateValue(value) {
+  if (value == null) return null;
+  if (value instanceof Date && !Number.isNaN(value.getTime())) return value;
+
+  if (typeof value === "number" && Number.isFinite(value)) {
+    const ms = value > 1e12 ? value : value > MIN_UNIX_SECONDS ? value * 1000 : null;
+    if (ms != null) {
+      const date = new Date(ms);
+      return Number.isNaN(date.getTime()) ? null : date;
+    }
+  }
+
+  const raw = String(value).trim();
+  if (!raw) return null;
+
+  if (/^-?\d{1,5}$/.test(raw)) {
+    const year = Number.parseInt(raw, 10);
+    if (!isReasonableYear(year)) return null;
+
+    const date = new Date(Date.UTC(year, 0, 1));
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const date = new Date(raw);
+  if (!Number.isNaN(date.getTime())) return date;
+
+  const match = raw.match(/^(-?\d{1,5})[/-](\d{1,2})[/-](\d{1,2})/);
+  if (!match) return null;
+
+  const year = Number.parseInt(match[1], 10);
+  const month = Number.parseInt(match[2], 10);
+  const day = Number.parseInt(match[3], 10);
+  const parsed = new Date(Date.UTC(year, month - 1, day));
+
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function isReasonableYear(year) {
+  return Number.isFinite(year) && Math.abs(year) <= 10000;
+}
+
+function getYearValueDayExtent(value) {
+  const year = parseYearValue(value);
+  return year == null ? null : { startDay: getYearStartDay(year), endDay: getYearEndDay(year) };
+}
+
+/** The written calendar date is used, so time zones never move an event to another day. */
+function getDateValueDayExtent(value) {
+  if (value == null) return null;
+  if (value instanceof Date) return getUtcDateDayExtent(value);
+  if (typeof value === "number" && value > MIN_UNIX_SECONDS) {
+    return getUtcDateDayExtent(parseDateValue(value));
+  }
+
+  const text = String(value).trim();
+  const match = text.match(/^(-?\d{1,5})(?:[/-](\d{1,2})(?:[/-](\d{1,2}))?)?(?:$|[T\s])/);
+  if (match) {
+    const year = parseYearValue(match[1]);
+    const month = match[2] == null ? null : Number.parseInt(match[2], 10);
+    const day = match[3] == null ? null : Number.parseInt(match[3], 10);
+    if (year == null || (month != null && (month < 1 || month > 12))) return null;
+    if (month == null) return getYearValueDayExtent(year);
+    const monthStart = toEpochDay(year, month, 1);
+    const monthEnd = toEpochDay(year, month + 1, 1) - 1;
+    if (day == null) return { startDay: monthStart, endDay: monthEnd };
+    if (day < 1 || monthStart + day - 1 > monthEnd) return null;
+    return { startDay: monthStart + day - 1, endDay: monthStart + day - 1 };
+  }
+  // Other text is read by Date as local time, so its local calendar date is the written one.
+  return getLocalDateDayExtent(parseDateValue(text));
+}
+
+function getUtcDateDayExtent(date) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return null;
+  const epochDay = Math.floor(date.getTime() / MS_PER_DAY);
+  return { startDay: epochDay, endDay: epochDay };
+}
+
+function getLocalDateDayExtent(date) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return null;
+  const epochDay = toEpochDay(date.getFullYear(), date.getMonth() + 1, date.getDate());
+  return { startDay: epochDay, endDay: epochDay };
+}
+
+/**
+ * Inclusive day and year extent of one row. Explicit from/to fields take
+ * precedence over single-value fields, and a missing side of a range reuses
+ * the available side. A date field that parses wins over a year field.
+ */
+function getRowTimelineExtent(row, fields) {
+  if (!row || typeof row !== "object") return null;
+  const from = getFieldDayExtent(row, fields.yearFromField, fields.dateFromField);
+  const to = getFieldDayExtent(row, fields.yearToField, fields.dateToField);
+
+  let extent = null;
+  if (from || to) {
+    const first = from ?? to;
+    const last = to ?? from;
+    extent = {
+      startDay: Math.min(first.startDay, last.startDay),
+      endDay: Math.max(first.endDay, last.endDay),
+    };
+  } else {
+    extent = getFieldDayExtent(row, fields.yearField, fields.dateField);
+  }
+  if (!extent) return null;
+
+  return {
+    startYear: getYearOfEpochDay(extent.startDay),
+    endYear: getYearOfEpochDay(extent.endDay),
+    startDay: extent.startDay,
+    endDay: extent.endDay,
+  };
+}
+
+/** A date that parses wins over the year beside it, which covers only whole years. */
+function getFieldDayExtent(row, yearField, dateField) {
+  if (dateField) {
+    const extent = getDateValueDayExtent(row[dateField]);
+    if (extent) return extent;
+  }
+  return yearField ? getYearValueDayExtent(row[yearField]) : null;
+}
+
+function getYearOfEpochDay(epochDay) {
+  // Estimate from the mean Gregorian year, then correct by the year's bounds.
+  let year = Math.floor(epochDay / 365.2425) + 1970;
+  while (getYearStartDay(year) > epochDay) year -= 1;
+  while (getYearEndDay(year) < epochDay) year += 1;
+  return year;
+}
+
+/**
+ * Inclusive days selected by a timeline query: explicit epoch days when both
+ * are numbers, otherwise every day of the selected years.
+ */
+function getTimelineQueryDayRange(timeline) {
+  const startDay = toInteger(timeline?.startEpochDay);
+  const endDay = toInteger(timeline?.endEpochDay);
+  if (startDay != null && endDay != null) {
+    return { startDay: Math.min(startDay, endDay), endDay: Math.max(startDay, endDay) };
+  }
+  const startYear = toInteger(timeline?.startYear);
+  const endYear = toInteger(timeline?.endYear);
+  if (startYear == null || endYear == null) return null;
+  return {
+    startDay: getYearStartDay(Math.min(startYear, endYear)),
+    endDay: getYearEndDay(Math.max(startYear, endYear)),
+  };
+}
+
+function toInteger(value) {
+  if (value == null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.trunc(number) : null;
+}
+
+module.exports = {
+  getDateValueDayExtent,
+  getRowTimelineExtent,
+  getTimelineQueryDayRange,
+  getYearEndDay,
+  getYearOfEpochDay,
+  getYearStartDay,
+  parseDateValue,
+  parseYearValue,
+  toEpochDay,
+};
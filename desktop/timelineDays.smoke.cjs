@@ -0,0 +1,100 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { pathToFileURL } = require("node:url");
+const {
+  getDateValueDayExtent,
+  getRowTimelineExtent,
+  getTimelineQueryDayRange,
+  getYearEndDay,
+  getYearOfEpochDay,
+  getYearStartDay,
+  toEpochDay,
+} = require("./timelineDays.cjs");
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
+
+async function main() {
+  // The main process keeps its own copy of the renderer's calendar; both must agree.
+  const renderer = await import(pathToFileURL(path.join(__dirname, "../src/components/timelineDates.js")).href);
+  for (const value of [
+    "1943",
+    "-44",
+    "1943-06",
+    "1943-06-12",
+    "1943/6/12 10:00",
+    "2000-02-29",
+    "1943-02-30",
+    "June 12, 1943",
+    86400 * 20000,
+    "",
+    "undated",
+  ]) {
+    assert.deepEqual(getDateValueDayExtent(value), renderer.getDateValueDayExtent(value), String(value));
+  }
+  for (const epochDay of [-719528, -1, 0, 59, 10956, 2932896]) {
+    assert.equal(getYearOfEpochDay(epochDay), renderer.getYearOfEpochDay(epochDay));
+  }
+  assert.equal(toEpochDay(1943, 6, 12), renderer.toEpochDay(1943, 6, 12));
+
+  // Range fields win over single fields, and a missing side reuses the other.
+  const fields = { yearField: "year", dateFromField: "from", dateToField: "to" };
+  assert.deepEqual(getRowTimelineExtent({ year: "1900", from: "1943-06", to: "" }, fields), {
+    startYear: 1943,
+    endYear: 1943,
+    startDay: toEpochDay(1943, 6, 1),
+    endDay: toEpochDay(1943, 6, 30),
+  });
+  assert.deepEqual(getRowTimelineExtent({ year: "1900" }, fields), {
+    startYear: 1900,
+    endYear: 1900,
+    startDay: getYearStartDay(1900),
+    endDay: getYearEndDay(1900),
+  });
+  assert.equal(getRowTimelineExtent({ year: "" }, fields), null);
+
+  // A date that parses wins over the year beside it; the year is the fallback.
+  const { getBrowserSqliteTimelineExtent } = await import(pathToFileURL(
+    path.join(__dirname, "../src/data/browserSqlite/browserSqliteTimeline.js"),
+  ).href);
+  const singleFields = { yearField: "year", dateField: "date" };
+  for (const row of [
+    { year: "1943", date: "1943-06-12" },
+    { year: "1943", date: "unknown" },
+    { year: "", date: "1943-06" },
+  ]) {
+    assert.deepEqual(
+      getRowTimelineExtent(row, singleFields),
+      getBrowserSqliteTimelineExtent(row, singleFields),
+    );
+  }
+  assert.deepEqual(getRowTimelineExtent({ year: "1943", date: "1943-06-12" }, singleFields), {
+    startYear: 1943,
+    endYear: 1943,
+    startDay: toEpochDay(1943, 6, 12),
+    endDay: toEpochDay(1943, 6, 12),
+  });
+  assert.deepEqual(getRowTimelineExtent({ year: "1943", date: "unknown" }, singleFields), {
+    startYear: 1943,
+    endYear: 1943,
+    startDay: getYearStartDay(1943),
+    endDay: getYearEndDay(1943),
+  });
+
+  // Year-only queries select every day of their years; dates take precedence.
+  assert.deepEqual(getTimelineQueryDayRange({ startYear: 1950, endYear: 1940 }), {
+    startDay: getYearStartDay(1940),
+    endDay: getYearEndDay(1950),
+  });
+  assert.deepEqual(
+    getTimelineQueryDayRange({ startYear: 1940, endYear: 1950, startEpochDay: 9, endEpochDay: 3 }),
+    { startDay: 3, endDay: 9 },
+  );
+  assert.equal(getTimelineQueryDayRange({ startYear: 1940 }), null);
+
+  console.log("Desktop timeline days smoke test passed.");
+}
@@ -0,0 +1,217 @@
+"use strict";
+
+// Mirrors src/components/wktGeometry.js so both backends derive the same geometry.
+
+/** Header names used for one-row-per-feature geometry by PostGIS and QGIS exports. */
+const WKT_HEADER_KEYS = new Set(["wkt", "wktgeom", "geometry", "geom", "thegeom"]);
+const WKT_PATTERN = /^(POINT|LINESTRING|POLYGON|MULTIPOLYGON)\s*(?:ZM|Z|M)?\s*(\(.*\))$/is;
+
+/**
+ * Normalize a CSV header for tolerant matching.
+ * Treats "WKT", "the_geom", "WKT-Geom", etc. as recognised names.
+ */
+function normalizeKey(h) {
+  return String(h ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "")
+    .replace(/[_-]+/g, "");
+}
+
+function detectWktField(headers) {
+  if (!Array.isArray(headers) || headers.length === 0) return null;
+
+  for (const h of headers) {
+    if (WKT_HEADER_KEYS.has(normalizeKey(h))) return h;
+  }
+
+  return null;
+}
+
+/**
+ * Parse one WKT or EWKT value into the feature types used by CSV rows.
+ *
+ * Coordinates are returned as [lat, lon] pairs grouped into parts: one part
+ * for POINT and LINESTRING, the exterior ring of each polygon otherwise.
+ * Rings are returned open because region derivation closes them again.
+ * Interior rings are ignored because regions have no holes. Unsupported or
+ * invalid values return null so callers can fall back to vertex columns.
+ *
+ * @param {unknown} value Raw CSV cell.
+ * @returns {{ featureType: "point"|"line"|"region", parts: Array<Array<[number, number]>> }|null}
+ */
+function parseWktGeometry(value) {
+  const text = String(value ?? "").trim().replace(/^SRID=\d+;\s*/i, "");
+  const match = WKT_PATTERN.exec(text);
+  if (!match) return null;
+
+  const tree = parseCoordinateTree(match[2]);
+  if (!tree) return null;
+
+  switch (match[1].toUpperCase()) {
+    case "POINT":
+      return tree.length === 1 && isPosition(tree[0])
+        ? { featureType: "point", parts: [[toLatLon(tree[0])]] }
+        : null;
+    case "LINESTRING":
+      return isPositionList(tree, 2)
+        ? { featureType: "line", parts: [tree.map(toLatLon)] }
+        : null;
+    case "POLYGON":
+      return isPolygon(tree)
+        ? { featureType: "region", parts: [toOpenRing(tree[0])] }
+        : null;
+    case "MULTIPOLYGON":
+      return tree.length > 0 && tree.every(isPolygon)
+        ? { featureType: "region", parts: tree.map((polygon) => toOpenRing(polygon[0])) }
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Resolve the logical feature id and part ids for one parsed WKT row.
+ * Rows without `featureId` are numbered by source position so each stays its own feature.
+ */
+function resolveWktFeatureParts(row, sourceRowIndex, geometry) {
+  const featureId = normalizeString(row?.featureId) ?? `row-${sourceRowIndex + 1}`;
+  const part = normalizeString(row?.part);
+  const parts = geometry.featureType === "line"
+    ? [""]
+    : geometry.parts.length === 1
+      ? [part ?? "0"]
+      : geometry.parts.map((_, index) => (part ? `${part}-${index}` : String(index)));
+  return { featureId, parts };
+}
+
+/**
+ * Write [lat, lon] vertices back as 2D LINESTRING text, keeping an EWKT
+ * `SRID=...;` prefix on the original value.
+ */
+function replaceWktLineString(original, coordinates) {
+  const srid = /^\s*(SRID=\d+;)/i.exec(String(original ?? ""))?.[1] ?? "";
+  return `${srid}LINESTRING (${coordinates.map(([lat, lon]) => `${lon} ${lat}`).join(", ")})`;
+}
+
+/**
+ * Write [lat, lon] rings back as closed 2D POLYGON or MULTIPOLYGON text.
+ * An EWKT `SRID=...;` prefix on the original value is kept.
+ */
+function replaceWktPolygons(original, rings) {
+  const srid = /^\s*(SRID=\d+;)/i.exec(String(original ?? ""))?.[1] ?? "";
+  const formatted = rings.map((ring) => `((${formatRing(ring)}))`);
+  return formatted.length === 1
+    ? `${srid}POLYGON ${formatted[0]}`
+    : `${srid}MULTIPOLYGON (${formatted.join(", ")})`;
+}
+
+function formatRing(ring) {
+  const closed = sameCoordinate(ring[0], ring.at(-1)) ? ring : [...ring, ring[0]];
+  return closed.map(([lat, lon]) => `${lon} ${lat}`).join(", ");
+}
+
+/** Read nested parenthesised coordinate lists into arrays of position leaves. */
+function parseCoordinateTree(text) {
+  let index = 0;
+
+  function skipWhitespace() {
+    while (index < text.length && /\s/.test(text[index])) index += 1;
+  }
+
+  function parseList() {
+    if (text[index] !== "(") return null;
+    index += 1;
+    const items = [];
+
+    for (;;) {
+      skipWhitespace();
+      let item;
+      if (text[index] === "(") {
+        item = parseList();
+      } else {
+        const end = text.slice(index).search(/[,)]/);
+        if (end < 0) return null;
+        item = parsePosition(text.slice(index, index + end));
+        index += end;
+      }
+      if (!item) return null;
+      items.push(item);
+
+      skipWhitespace();
+      if (text[index] === ",") {
+        index += 1;
+        continue;
+      }
+      if (text[index] === ")") {
+        index += 1;
+        return items;
+      }
+      return null;
+    }
+  }
+
+  const tree = parseList();
+  skipWhitespace();
+  return tree && index === text.length ? tree : null;
+}
+
+/** WKT positions are written "x y", so longitude comes first. */
+function parsePosition(text) {
+  const values = text.trim().split(/\s+/);
+  if (values.length < 2 || values.length > 4) return null;
+  const lon = Number(values[0]);
+  const lat = Number(values[1]);
+  if (!isValidLat(lat) || !isValidLon(lon)) return null;
+  return { lat, lon };
+}
+
+function isPosition(value) {
+  return !Array.isArray(value) && value != null;
+}
+
+function isPositionList(value, minimumLength) {
+  return Array.isArray(value) && value.length >= minimumLength && value.every(isPosition);
+}
+
+function isPolygon(value) {
+  return Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((ring) => isPositionList(ring, 3));
+}
+
+function toLatLon(position) {
+  return [position.lat, position.lon];
+}
+
+function toOpenRing(ring) {
+  const coordinates = ring.map(toLatLon);
+  return sameCoordinate(coordinates[0], coordinates.at(-1))
+    ? coordinates.slice(0, -1)
+    : coordinates;
+}
+
+function sameCoordinate(left, right) {
+  return left[0] === right[0] && left[1] === right[1];
+}
+
+function normalizeString(value) {
+  const text = String(value ?? "").trim();
+  return text || null;
+}
+
+function isValidLat(lat) {
+  return Number.isFinite(lat) && lat >= -90 && lat <= 90;
+}
+
+function isValidLon(lon) {
+  return Number.isFinite(lon) && lon >= -180 && lon <= 180;
+}
+
+module.exports = {
+  detectWktField,
+  parseWktGeometry,
+  replaceWktLineString,
+  replaceWktPolygons,
+  resolveWktFeatureParts,
+};
@@ -1,6 +1,7 @@
 import React, { useCallback, useEffect, useMemo, useState } from "react";
 import "./App.css";
 import GeoMap from "./components/GeoMap";
+import AnimationFrameMap from "./components/AnimationFrameMap";
 import CsvPanel from "./components/CsvPanel";
 import { useTimelineFilterState } from "./components/useTimelineFilterState";
 import { useMapToolsState } from "./components/useMapToolsState";
@@ -8,12 +9,30 @@ import { CsvPanelOverlay } from "./components/CsvPanelOverlay";
 import { useCsvFileDrop } from "./components/useCsvFileDrop";
 import { useExampleCsvFilesFromUrl } from "./components/useExampleCsvFilesFromUrl";
 import { useTimelinePlayback } from "./components/useTimelinePlayback";
+import {
+  isWebmRecordingSupported,
+  useTimelineAnimationExport,
+} from "./components/useTimelineAnimationExport";
+import { useMapImageExport } from "./components/useMapImageExport";
 import { MarkerDetailsPanel } from "./components/MarkerDetailsPanel";
 import { useRuntimeDataSource } from "./components/useRuntimeDataSource";
+import { getAttributeFilterQuery } from "./components/attributeFilters";
+import { getDatasetColors } from "./components/datasetColors";
+import { getTimelineHistogramBucketYears } from "./components/timelineHistogram";
+import { getHeatmapDatasetIds } from "./components/densityHeatmap";
+import { buildViewPermalink, parseViewPermalink } from "./components/viewPermalink";
+import {
+  applyDatasetStyles,
+  buildDatasetStyles,
+  getStyleFieldQuery,
+  getStyleLegend,
+  getStyleSummaryKey,
+} from "./components/styleRules";
 import {
   getFirstImportedDatasetId,
   mergeImportBatchResults,
 } from "./data/importBatchAggregation";
+import { bindProjectView } from "./data/projectFile";
 
 const SQLITE_RENDER_BUDGET = 1000;
 
@@ -22,6 +41,7 @@ export default function App() {
     dataSource,
     initialization,
     capabilities: desktopCapabilities,
+    browserStorage,
   } = useRuntimeDataSource();
   const usesViewportQueries = desktopCapabilities.groupedViewportResults;
 
@@ -86,7 +106,31 @@ export default function App() {
     pendingDatasetId: null,
     error: null,
   });
+  const [geocodingState, setGeocodingState] = useState({
+    pendingDatasetId: null,
+    error: null,
+    result: null,
+  });
+  // Reloads the selected preview after a mutation rewrites its cells in place.
+  const [databasePreviewRevision, setDatabasePreviewRevision] = useState(0);
   const [mapViewport, setMapViewport] = useState(null);
+  const [mapLayers, setMapLayers] = useState(null);
+  // A shared link's view, read once; the map and tile layers start from it.
+  const [viewPermalink] = useState(() => parseViewPermalink(globalThis.location?.search ?? ""));
+  const pendingPermalinkRef = React.useRef(viewPermalink);
+  // Draft filters from the CSV panel; only complete ones reach the map query.
+  const [attributeFilterDrafts, setAttributeFilterDrafts] = useState([]);
+  // Draft style rules and the column summaries that fix their colour and size scales.
+  const [styleRuleDrafts, setStyleRuleDrafts] = useState([]);
+  const [pointDisplayModes, setPointDisplayModes] = useState({});
+  const [styleFieldSummaries, setStyleFieldSummaries] = useState({});
+  const [timelineHistogram, setTimelineHistogram] = useState(null);
+  const [projectSaveState, setProjectSaveState] = useState({
+    status: "idle",
+    error: null,
+  });
+  // Map position and tile layers from an opened project, applied to the mounted map.
+  const [projectViewRequest, setProjectViewRequest] = useState(null);
 
   useEffect(() => {
     if (!databaseImportAvailable || !desktopCapabilities.importProgress) {
@@ -116,6 +160,9 @@ export default function App() {
     result: null,
     error: null,
   });
+  // The Leaflet map, captured for image exports and frame by frame for animations.
+  const mapRef = React.useRef(null);
+  const [webmRecordingSupported] = useState(isWebmRecordingSupported);
 
   /** Hide a completed import message without affecting imported datasets. */
   const dismissImportMessage = useCallback(() => {
@@ -155,6 +202,11 @@ export default function App() {
     setDatabaseMappingState((current) => ({ ...current, error: null }));
   }, []);
 
+  /** Hide the current geocoding error while keeping the last review list. */
+  const dismissGeocodingError = useCallback(() => {
+    setGeocodingState((current) => ({ ...current, error: null }));
+  }, []);
+
   /** Hide the current query error while retaining the last successful map result. */
   const dismissDatasetQueryError = useCallback(() => {
     setDesktopMapViewState((current) => ({
@@ -180,6 +232,7 @@ export default function App() {
     datasetExport: dismissDatasetExportError,
     datasetQuery: dismissDatasetQueryError,
     mapping: dismissDatasetMappingError,
+    geocoding: dismissGeocodingError,
     preview: dismissDatasetPreviewError,
   }), [
     dismissDatasetLoadError,
@@ -189,6 +242,7 @@ export default function App() {
     dismissDatasetPreviewError,
     dismissDatasetQueryError,
     dismissDatasetRemovalError,
+    dismissGeocodingError,
     dismissImportMessage,
   ]);
   const desktopSqliteMapAvailable =
@@ -201,6 +255,8 @@ export default function App() {
     usesViewportQueries && desktopCapabilities.datasetRemoval;
   const datasetCsvExportAvailable =
     usesViewportQueries && desktopCapabilities.datasetCsvExport;
+  const datasetGeoJsonExportAvailable =
+    usesViewportQueries && desktopCapabilities.datasetGeoJsonExport;
 
   useEffect(() => {
     if (
@@ -357,6 +413,7 @@ export default function App() {
     };
   }, [
     dataSource,
+    databasePreviewRevision,
     databaseSelectedId,
     desktopCapabilities.previewPaging,
     initialization,
@@ -535,8 +592,7 @@ export default function App() {
   ]);
 
   /** Save only the requested dataset while treating dialog cancellation as success. */
-  const saveDatasetAsCsv = useCallback(async (datasetId) => {
-    if (!datasetCsvExportAvailable) return;
+  const runDatasetSave = useCallback(async (datasetId, save, failureMessage) => {
     setDatasetExportState((current) => ({
       pendingDatasetIds: current.pendingDatasetIds.includes(datasetId)
         ? current.pendingDatasetIds
@@ -545,9 +601,9 @@ export default function App() {
     }));
 
     try {
-      const result = await dataSource.saveDatasetAsCsv(datasetId);
+      const result = await save(datasetId);
       if (!result.ok && !result.canceled) {
-        throw new Error(result.error?.message ?? "Could not save the CSV dataset.");
+        throw new Error(result.error?.message ?? failureMessage);
       }
       setDatasetExportState((current) => ({
         pendingDatasetIds: current.pendingDatasetIds.filter(
@@ -562,10 +618,28 @@ export default function App() {
         ),
         error: error?.message
           ? String(error.message)
-          : "Could not save the CSV dataset.",
+          : failureMessage,
       }));
     }
-  }, [dataSource, datasetCsvExportAvailable]);
+  }, []);
+
+  const saveDatasetAsCsv = useCallback((datasetId) => {
+    if (!datasetCsvExportAvailable) return;
+    return runDatasetSave(
+      datasetId,
+      (id) => dataSource.saveDatasetAsCsv(id),
+      "Could not save the CSV dataset.",
+    );
+  }, [dataSource, datasetCsvExportAvailable, runDatasetSave]);
+
+  const saveDatasetAsGeoJson = useCallback((datasetId) => {
+    if (!datasetGeoJsonExportAvailable) return;
+    return runDatasetSave(
+      datasetId,
+      (id) => dataSource.saveDatasetAsGeoJson(id),
+      "Could not save the dataset as GeoJSON.",
+    );
+  }, [dataSource, datasetGeoJsonExportAvailable, runDatasetSave]);
 
   /** Rebuild one dataset mapping while retaining its last valid UI state on failure. */
   const updateDatabaseMapping = useCallback(async (datasetId, mapping) => {
@@ -601,6 +675,46 @@ export default function App() {
     usesViewportQueries,
   ]);
 
+  /** Locate rows by place name and keep the review list of the latest run. */
+  const geocodeDatabaseDataset = useCallback(async (datasetId, request) => {
+    if (!usesViewportQueries || !desktopCapabilities.placeGeocoding) return;
+    setGeocodingState((current) => ({ ...current, pendingDatasetId: datasetId, error: null }));
+    try {
+      const result = await dataSource.geocodeDataset({ ...request, datasetId });
+      if (!result?.ok) {
+        throw new Error(result?.error?.message ?? "Could not geocode place names.");
+      }
+      if (result.matchedCount > 0) {
+        setDesktopDatasetState((current) => ({
+          ...current,
+          datasets: current.datasets.map((dataset) => (
+            dataset.id === datasetId ? { ...dataset, ...result.dataset } : dataset
+          )),
+        }));
+        setDesktopDataRevision((revision) => revision + 1);
+        setDatabasePreviewRevision((revision) => revision + 1);
+      }
+      setGeocodingState({ pendingDatasetId: null, error: null, result });
+    } catch (error) {
+      setGeocodingState((current) => ({
+        ...current,
+        pendingDatasetId: null,
+        error: error?.message
+          ? String(error.message)
+          : "Could not geocode place names.",
+      }));
+    }
+  }, [
+    dataSource,
+    desktopCapabilities.placeGeocoding,
+    usesViewportQueries,
+  ]);
+  const placeGeocoding = useMemo(() => ({
+    state: geocodingState,
+    onGeocode: geocodeDatabaseDataset,
+    onDismissError: dismissGeocodingError,
+  }), [dismissGeocodingError, geocodeDatabaseDataset, geocodingState]);
+
   // Native picker, browser picker, drop, and example imports share normalized
   // progress/results while the selected adapter owns its safe file boundary.
   const runDesktopImport = useCallback(async (importOperation) => {
@@ -660,11 +774,15 @@ export default function App() {
     return runDesktopImport(() => dataSource.importFromPicker());
   }, [dataSource, desktopImportAvailable, runDesktopImport]);
 
-  /** Route browser File objects only to the already-selected SQLite backend. */
-  const importBrowserCsvToSqlite = useCallback((browserFiles) => {
+  /**
+   * Route browser File objects only to the already-selected SQLite backend.
+   * `fileOptions` carries per-file choices such as a workbook sheet.
+   */
+  const importBrowserCsvToSqlite = useCallback((browserFiles, fileOptions) => {
     if (!browserSqliteImportAvailable) return undefined;
     return runDesktopImport(() => dataSource.importBrowserFiles({
       files: Array.from(browserFiles ?? []),
+      ...(fileOptions ? { fileOptions } : {}),
     }));
   }, [browserSqliteImportAvailable, dataSource, runDesktopImport]);
 
@@ -675,6 +793,26 @@ export default function App() {
     );
   }, [dataSource, desktopDroppedImportAvailable, runDesktopImport]);
 
+  /**
+   * Import picked CSV files with one set of parsing options. Desktop reads
+   * them by path like dropped files; the browser passes them to the worker.
+   */
+  const importCsvWithOptions = useCallback((pickedFiles, csvOptions) => {
+    if (browserSqliteImportAvailable) {
+      return importBrowserCsvToSqlite(pickedFiles, pickedFiles.map(() => ({ csvOptions })));
+    }
+    if (!desktopDroppedImportAvailable) return undefined;
+    return runDesktopImport(
+      () => dataSource.importDroppedFiles({ files: pickedFiles, csvOptions }),
+    );
+  }, [
+    browserSqliteImportAvailable,
+    dataSource,
+    desktopDroppedImportAvailable,
+    importBrowserCsvToSqlite,
+    runDesktopImport,
+  ]);
+
   const importDatabaseExamples = useCallback((names) => {
     if (!desktopCapabilities.exampleImport) return undefined;
     return runDesktopImport(async () => {
@@ -690,6 +828,92 @@ export default function App() {
     runDesktopImport,
   ]);
 
+  /** Save every dataset with the current map view; a dismissed dialog is not an error. */
+  const saveProject = useCallback(async () => {
+    if (!desktopCapabilities.projectFiles) return;
+    setProjectSaveState({ status: "saving", error: null });
+
+    try {
+      const result = await dataSource.saveProject({
+        view: {
+          map: mapViewport?.center
+            ? { ...mapViewport.center, zoom: mapViewport.zoom }
+            : null,
+          layers: mapLayers,
+          timeline: timelineState,
+          mapTools: mapToolsApi.state,
+          styleRules: styleRuleDrafts,
+          attributeFilters: attributeFilterDrafts,
+          pointDisplayModes,
+        },
+      });
+      if (!result.ok && !result.canceled) {
+        throw new Error(result.error?.message ?? "Could not save the project.");
+      }
+      setProjectSaveState({ status: "idle", error: null });
+    } catch (error) {
+      setProjectSaveState({
+        status: "idle",
+        error: error?.message ? String(error.message) : "Could not save the project.",
+      });
+    }
+  }, [
+    attributeFilterDrafts,
+    dataSource,
+    desktopCapabilities.projectFiles,
+    mapLayers,
+    mapToolsApi.state,
+    mapViewport,
+    pointDisplayModes,
+    styleRuleDrafts,
+    timelineState,
+  ]);
+
+  const dismissProjectSaveError = useCallback(() => {
+    setProjectSaveState((current) => ({ ...current, error: null }));
+  }, []);
+
+  /**
+   * Import a project's datasets beside the loaded ones, then apply its view
+   * settings to the new dataset IDs.
+   */
+  const openProject = useCallback((file) => {
+    if (!desktopCapabilities.projectFiles) return undefined;
+    return runDesktopImport(async () => {
+      const result = await dataSource.openProject({ file });
+      if (!result.ok) {
+        if (!result.canceled && result.results.length === 0) {
+          throw new Error(result.error?.message ?? "The project file could not be opened.");
+        }
+        return result;
+      }
+
+      const view = bindProjectView(
+        result.view,
+        result.results.map((item) => (item.ok ? item.datasetId : null)),
+      );
+      if (view.timeline) patchTimeline(view.timeline);
+      if (view.mapTools) mapToolsApi.patch(view.mapTools);
+      setStyleRuleDrafts((current) => [...current, ...view.styleRules]);
+      setAttributeFilterDrafts((current) => [...current, ...view.attributeFilters]);
+      setPointDisplayModes((current) => ({ ...current, ...view.pointDisplayModes }));
+      if (view.map || view.layers) {
+        setProjectViewRequest((current) => ({
+          revision: (current?.revision ?? 0) + 1,
+          map: view.map,
+          layers: view.layers,
+        }));
+      }
+      return result;
+    });
+  }, [
+    dataSource,
+    desktopCapabilities.projectFiles,
+    mapToolsApi,
+    patchTimeline,
+    runDesktopImport,
+  ]);
+
   useExampleCsvFilesFromUrl({
     importExampleFiles: initialization?.ok === true
       ? importDatabaseExamples
@@ -727,25 +951,45 @@ export default function App() {
       .map((dataset) => dataset.id),
     [desktopDatasetState.datasets],
   );
-  const databaseTimelineQuery = useMemo(() => ({
-    timelineEnabled: !!timelineState.timelineEnabled,
-    startYear: timelineState.startYear ?? null,
-    endYear: timelineState.endYear ?? null,
-    yearMin: timelineState.yearMin ?? null,
-    yearMax: timelineState.yearMax ?? null,
-    dayFilterEnabled: !!timelineState.dayFilterEnabled,
-    startDay: timelineState.startDay ?? null,
-    endDay: timelineState.endDay ?? null,
-  }), [
-    timelineState.dayFilterEnabled,
-    timelineState.endDay,
-    timelineState.endYear,
-    timelineState.startDay,
-    timelineState.startYear,
-    timelineState.timelineEnabled,
-    timelineState.yearMax,
-    timelineState.yearMin,
-  ]);
+  // Hidden datasets are not drawing targets because the new feature would not render.
+  const drawDatasets = useMemo(
+    () => desktopDatasetState.datasets
+      .filter((dataset) => dataset.enabled)
+      .map((dataset) => ({ id: dataset.id, name: dataset.name })),
+    [desktopDatasetState.datasets],
+  );
+  // Compare by content so typing into an incomplete filter does not re-query the map.
+  const attributeFilterQueryKey = JSON.stringify(desktopCapabilities.attributeFilters
+    ? getAttributeFilterQuery(
+      attributeFilterDrafts,
+      desktopDatasetState.datasets.map((dataset) => dataset.id),
+    )
+    : []);
+  const attributeFilterQuery = useMemo(
+    () => JSON.parse(attributeFilterQueryKey),
+    [attributeFilterQueryKey],
+  );
+  const loadedDatasetIds = desktopDatasetState.datasets.map((dataset) => dataset.id);
+  const styleFieldQueryKey = JSON.stringify(desktopCapabilities.styleRules
+    ? getStyleFieldQuery(styleRuleDrafts, loadedDatasetIds)
+    : []);
+  const styleFieldQuery = useMemo(
+    () => JSON.parse(styleFieldQueryKey),
+    [styleFieldQueryKey],
+  );
+  const heatmapQueryKey = JSON.stringify(desktopCapabilities.pointHeatmap
+    ? getHeatmapDatasetIds(pointDisplayModes, loadedDatasetIds)
+    : []);
+  const heatmapDatasetIds = useMemo(
+    () => JSON.parse(heatmapQueryKey),
+    [heatmapQueryKey],
+  );
+  // Playback and panel settings also live in the timeline state; only the filter re-queries.
+  const databaseTimelineQueryKey = JSON.stringify(getDatabaseTimelineQuery(timelineState));
+  const databaseTimelineQuery = useMemo(
+    () => JSON.parse(databaseTimelineQueryKey),
+    [databaseTimelineQueryKey],
+  );
 
   /** Debounce viewport work and allow only the newest query to update the map. */
   useEffect(() => {
@@ -771,6 +1015,9 @@ export default function App() {
         timeline: databaseTimelineQuery,
         renderBudget: SQLITE_RENDER_BUDGET,
         datasetIds: enabledDatabaseIds,
+        attributeFilters: attributeFilterQuery,
+        styleFields: styleFieldQuery,
+        heatmapDatasetIds,
       }).then((result) => {
         if (mapQueryRequestRef.current === requestId) {
           setDesktopMapViewState({ status: "loaded", result, error: null });
@@ -790,13 +1037,81 @@ export default function App() {
       globalThis.clearTimeout(timerId);
     };
   }, [
+    attributeFilterQuery,
     dataSource,
     desktopSqliteMapAvailable,
     desktopDataRevision,
     databaseTimelineQuery,
     enabledDatabaseIds,
+    heatmapDatasetIds,
     initialization,
     mapViewport,
+    styleFieldQuery,
+  ]);
+
+  /** Summarize each styled column across its whole dataset, again after data changes. */
+  useEffect(() => {
+    if (styleFieldQuery.length === 0) return undefined;
+
+    let cancelled = false;
+    Promise.all(styleFieldQuery.map((styleField) => (
+      dataSource.getFieldSummary(styleField).then(
+        (summary) => [getStyleSummaryKey(styleField.datasetId, styleField.field), summary],
+        // A failed summary leaves its rule out of the map styling and legend.
+        () => null,
+      )
+    ))).then((entries) => {
+      if (!cancelled) setStyleFieldSummaries(Object.fromEntries(entries.filter(Boolean)));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [dataSource, desktopDataRevision, styleFieldQuery]);
+
+  // Colours follow import order; the dataset list is newest first.
+  const datasetColors = useMemo(
+    () => getDatasetColors(desktopDatasetState.datasets.map((dataset) => dataset.id).reverse()),
+    [desktopDatasetState.datasets],
+  );
+  const histogramTimelineEnabled = desktopCapabilities.timelineHistogram &&
+    !!timelineState.timelineEnabled;
+  const histogramYearMin = timelineState.yearMin ?? null;
+  const histogramYearMax = timelineState.yearMax ?? null;
+
+  /** Count features per year bucket behind the slider, again when visibility, filters or data change. */
+  useEffect(() => {
+    if (!histogramTimelineEnabled || histogramYearMin == null || histogramYearMax == null) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    dataSource.getTimelineHistogram({
+      startYear: histogramYearMin,
+      endYear: histogramYearMax,
+      bucketYears: getTimelineHistogramBucketYears(histogramYearMin, histogramYearMax),
+      attributeFilters: attributeFilterQuery,
+    }).then(
+      (histogram) => {
+        if (!cancelled) setTimelineHistogram(histogram);
+      },
+      // The slider works without its histogram; a failed count only hides the bars.
+      () => {
+        if (!cancelled) setTimelineHistogram(null);
+      },
+    );
+
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    attributeFilterQuery,
+    dataSource,
+    desktopDataRevision,
+    enabledDatabaseIds,
+    histogramTimelineEnabled,
+    histogramYearMax,
+    histogramYearMin,
   ]);
 
   const desktopMapFeatures = useMemo(
@@ -804,6 +1119,60 @@ export default function App() {
     [desktopMapViewState.result],
   );
   const activeMapFeatures = desktopMapFeatures;
+  const datasetStyles = useMemo(
+    () => buildDatasetStyles(
+      styleRuleDrafts.filter((rule) => styleFieldQuery.some((styleField) => (
+        styleField.datasetId === rule.datasetId && styleField.field === rule.field
+      ))),
+      styleFieldSummaries,
+    ),
+    [styleFieldQuery, styleFieldSummaries, styleRuleDrafts],
+  );
+  const styledMapFeatures = useMemo(() => applyDatasetStyles({
+    points: activeMapFeatures.points.points,
+    lines: activeMapFeatures.lines.lines,
+    regions: activeMapFeatures.regions.polygons,
+  }, datasetStyles), [activeMapFeatures, datasetStyles]);
+  const styleLegend = useMemo(
+    () => getStyleLegend(datasetStyles, drawDatasets),
+    [datasetStyles, drawDatasets],
+  );
+  const mapImageApi = useMapImageExport({ mapRef, styleLegend });
+  /** Query and style one animation frame the way the visible map is, for its own timeline. */
+  const queryAnimationFrame = useCallback(async ({ timeline, bounds, zoom }) => {
+    const result = await dataSource.queryMapView({
+      bounds,
+      zoom,
+      timeline: getDatabaseTimelineQuery(timeline),
+      renderBudget: SQLITE_RENDER_BUDGET,
+      datasetIds: enabledDatabaseIds,
+      attributeFilters: attributeFilterQuery,
+      styleFields: styleFieldQuery,
+      heatmapDatasetIds,
+    });
+    const features = toLegacyMapFeatures(result);
+    return {
+      ...applyDatasetStyles({
+        points: features.points.points,
+        lines: features.lines.lines,
+        regions: features.regions.polygons,
+      }, datasetStyles),
+      density: result?.density ?? null,
+    };
+  }, [
+    attributeFilterQuery,
+    dataSource,
+    datasetStyles,
+    enabledDatabaseIds,
+    heatmapDatasetIds,
+    styleFieldQuery,
+  ]);
+  const timelineAnimationApi = useTimelineAnimationExport({
+    mapRef,
+    timelineState,
+    mapLayers,
+    queryFrame: desktopSqliteMapAvailable ? queryAnimationFrame : null,
+  });
   const viewportQueryStats = desktopMapViewState.result?.stats ?? null;
   // Compact SQLite results load complete source rows only on demand.
   const getDesktopFeatureDetails = useCallback(
@@ -830,6 +1199,16 @@ export default function App() {
     setDesktopDataRevision((revision) => revision + 1);
     return result;
   }, [dataSource]);
+  const undoCompleteZoneEdit = useCallback(async (request) => {
+    const result = await dataSource.undoZoneEdit(request);
+    if (result.changed) setDesktopDataRevision((revision) => revision + 1);
+    return result;
+  }, [dataSource]);
+  const redoCompleteZoneEdit = useCallback(async (request) => {
+    const result = await dataSource.redoZoneEdit(request);
+    if (result.changed) setDesktopDataRevision((revision) => revision + 1);
+    return result;
+  }, [dataSource]);
   const reportZoneEditingError = useCallback((error) => {
     setDesktopMapViewState((current) => ({
       ...current,
@@ -839,6 +1218,103 @@ export default function App() {
         : "Could not update the selected zone.",
     }));
   }, []);
+  const addDrawnMapFeature = useCallback(async (request) => {
+    const result = await dataSource.addDrawnFeature(request);
+    if (!result.ok) {
+      throw new Error(result.error?.message ?? "Could not add the drawn feature.");
+    }
+    // New source rows change the dataset summary as well as the viewport.
+    setDesktopDataRevision((revision) => revision + 1);
+    return result;
+  }, [dataSource]);
+  const updateMapSourceRow = useCallback(async (request) => {
+    const result = await dataSource.updateSourceRow(request);
+    if (!result.ok) {
+      throw new Error(result.error?.message ?? "Could not save the edited values.");
+    }
+    // Edited values can move a feature in time or change its marker and style.
+    setDesktopDataRevision((revision) => revision + 1);
+    return result;
+  }, [dataSource]);
+  const searchMapFeatures = useCallback(
+    (query) => dataSource.searchFeatures(query),
+    [dataSource],
+  );
+
+  /** Copy a link that reopens the examples with the current map view. */
+  const copyViewPermalink = useCallback(async () => {
+    const sourceRef = selectedMarker?.sourceRef;
+    const selectedDataset = sourceRef
+      ? desktopDatasetState.datasets.find((dataset) => dataset.id === sourceRef.datasetId)
+      : null;
+    const link = buildViewPermalink(globalThis.location.href, {
+      center: mapViewport?.center,
+      zoom: mapViewport?.zoom,
+      baseLayerId: mapLayers?.backgroundId,
+      overlayLayerIds: mapLayers?.overlayIds,
+      datasets: desktopDatasetState.datasets,
+      timeline: timelineState,
+      selection: selectedDataset
+        ? {
+          datasetName: selectedDataset.name,
+          rowIndex: sourceRef.rowIndex,
+          lat: selectedMarker.lat,
+          lon: selectedMarker.lon,
+        }
+        : null,
+    });
+    if (!globalThis.navigator?.clipboard?.writeText) {
+      throw new Error("Clipboard writing is unavailable.");
+    }
+    await globalThis.navigator.clipboard.writeText(link);
+  }, [desktopDatasetState.datasets, mapLayers, mapViewport, selectedMarker, timelineState]);
+
+  /**
+   * Apply the rest of a shared link once its examples are in the dataset list:
+   * timeline, hidden datasets, and then the selection, because changing
+   * visibility clears the selected marker.
+   */
+  useEffect(() => {
+    const permalink = pendingPermalinkRef.current;
+    if (!permalink || initialization?.ok !== true) return;
+    const { datasets } = desktopDatasetState;
+    if (permalink.exampleDatasetNames.length > 0) {
+      if (desktopImportState.status === "importing" || desktopImportState.status === "idle") return;
+      const loaded = permalink.exampleDatasetNames.every((name) => (
+        datasets.some((dataset) => dataset.name === name)
+      ));
+      // A failed example still restores the view for the ones that loaded.
+      if (!loaded && desktopImportState.status === "imported") return;
+    }
+    pendingPermalinkRef.current = null;
+
+    const findDataset = (name) => datasets.findLast((dataset) => dataset.name === name);
+    const restore = async () => {
+      patchTimeline(permalink.timeline);
+      await Promise.all(permalink.hiddenDatasetNames.map((name) => {
+        const dataset = findDataset(name);
+        return dataset?.enabled ? updateDesktopDatasetEnabled(dataset.id, false) : null;
+      }));
+      const selection = permalink.selection;
+      const dataset = selection ? findDataset(selection.datasetName) : null;
+      if (!dataset) return;
+      handleMarkerSelect({
+        id: `${dataset.id}:${selection.rowIndex}`,
+        renderType: "exact",
+        lat: selection.lat,
+        lon: selection.lon,
+        sourceRef: { datasetId: dataset.id, rowIndex: selection.rowIndex },
+      });
+    };
+    void restore();
+  }, [
+    desktopDatasetState,
+    desktopImportState.status,
+    handleMarkerSelect,
+    initialization,
+    patchTimeline,
+    updateDesktopDatasetEnabled,
+  ]);
   const setZoneEditingEnabled = useCallback((enabled) => {
     mapToolsApi.patch({ zoneEditingEnabled: enabled === true });
   }, [mapToolsApi]);
@@ -886,11 +1362,14 @@ export default function App() {
       )}
       <div className="rightPane">
         <GeoMap
-          points={activeMapFeatures.points.points}
-          regions={activeMapFeatures.regions.polygons}
-          lines={activeMapFeatures.lines.lines}
+          points={styledMapFeatures.points}
+          regions={styledMapFeatures.regions}
+          lines={styledMapFeatures.lines}
           getSourceRow={activeMapFeatures.getSourceRow}
           getFeatureDetails={activeFeatureDetailsLoader}
+          updateSourceRow={desktopCapabilities.rowEditing
+            ? updateMapSourceRow
+            : undefined}
           clusterMarkersEnabled={!!mapToolsApi.state.clusterMarkersEnabled}
           clusterRadius={mapToolsApi.state.clusterRadius}
           onViewportChange={setMapViewport}
@@ -908,9 +1387,42 @@ export default function App() {
           updateLogicalZone={desktopCapabilities.zoneEditing
             ? updateCompleteLogicalZone
             : undefined}
+          undoZoneEdit={desktopCapabilities.zoneHistory
+            ? undoCompleteZoneEdit
+            : undefined}
+          redoZoneEdit={desktopCapabilities.zoneHistory
+            ? redoCompleteZoneEdit
+            : undefined}
           enabledDatasetIds={enabledDatabaseIds}
           onZoneEditingError={reportZoneEditingError}
+          drawDatasets={drawDatasets}
+          density={desktopMapViewState.result?.density ?? null}
+          initialView={viewPermalink?.map ?? null}
+          initialLayers={viewPermalink
+            ? {
+              backgroundId: viewPermalink.baseLayerId,
+              overlayIds: viewPermalink.overlayLayerIds,
+            }
+            : null}
+          viewRequest={projectViewRequest}
+          mapRef={mapRef}
+          onLayersChange={setMapLayers}
+          addDrawnFeature={desktopCapabilities.featureDrawing
+            ? addDrawnMapFeature
+            : undefined}
+          searchFeatures={desktopCapabilities.featureSearch
+            ? searchMapFeatures
+            : undefined}
+          styleLegend={styleLegend}
         />
+        {timelineAnimationApi.frameMap && (
+          <AnimationFrameMap
+            frameMap={timelineAnimationApi.frameMap}
+            mapRef={timelineAnimationApi.frameMapRef}
+            clusterMarkersEnabled={!!mapToolsApi.state.clusterMarkersEnabled}
+            clusterRadius={mapToolsApi.state.clusterRadius}
+          />
+        )}
 
         <CsvPanelOverlay onVisibleWidthChange={setCsvPanelVisibleWidth}>
           <CsvPanel
@@ -922,6 +1434,9 @@ export default function App() {
             onImportFiles={browserSqliteImportAvailable
               ? importBrowserCsvToSqlite
               : undefined}
+            onImportCsvWithOptions={browserSqliteImportAvailable || desktopDroppedImportAvailable
+              ? importCsvWithOptions
+              : undefined}
             desktopImport={desktopImport}
             datasetListState={desktopDatasetListState}
             viewportQueryStats={viewportQueryStats}
@@ -931,6 +1446,9 @@ export default function App() {
             onSaveAsCsv={datasetCsvExportAvailable
               ? saveDatasetAsCsv
               : undefined}
+            onSaveAsGeoJson={datasetGeoJsonExportAvailable
+              ? saveDatasetAsGeoJson
+              : undefined}
             removeActionLabel="Remove"
             onToggleEnabled={desktopDatasetVisibilityAvailable
               ? updateDesktopDatasetEnabled
@@ -941,22 +1459,69 @@ export default function App() {
             onLoadMorePreview={desktopCapabilities.previewPaging
               ? loadMoreDatabasePreview
               : undefined}
+            attributeFilters={attributeFilterDrafts}
+            onAttributeFiltersChange={desktopCapabilities.attributeFilters
+              ? setAttributeFilterDrafts
+              : undefined}
+            styleRules={styleRuleDrafts}
+            onStyleRulesChange={desktopCapabilities.styleRules
+              ? setStyleRuleDrafts
+              : undefined}
+            pointDisplayModes={pointDisplayModes}
+            onPointDisplayModesChange={desktopCapabilities.pointHeatmap
+              ? setPointDisplayModes
+              : undefined}
             initialization={initialization ?? { ok: false }}
             mappingState={databaseMappingState}
+            placeGeocoding={desktopCapabilities.placeGeocoding
+              ? placeGeocoding
+              : undefined}
             messageDismissal={messageDismissal}
             timelineState={timelineState}
             timelineFields={timelineFields}
             onTimelinePatch={patchTimeline}
             onTimelinePlaybackStart={timelinePlaybackApi.startPlayback}
             onTimelinePlaybackStop={timelinePlaybackApi.stopPlayback}
+            animationExport={{
+              exportState: timelineAnimationApi.exportState,
+              webmSupported: webmRecordingSupported,
+              onStart: timelineAnimationApi.startExport,
+              onCancel: timelineAnimationApi.cancelExport,
+              onDismissMessage: timelineAnimationApi.dismissExportMessage,
+            }}
             timelineStats={{
               skippedByTimeline:
                 (activeMapFeatures.points.skippedByTimeline ?? 0) +
                 (activeMapFeatures.regions.skippedByTimeline ?? 0) +
                 (activeMapFeatures.lines.skippedByTimeline ?? 0),
             }}
+            timelineHistogram={timelineHistogram}
+            datasetColors={datasetColors}
             mapToolsState={mapToolsApi.state}
             onMapToolsPatch={mapToolsApi.patch}
+            browserStorage={browserStorage}
+            onCopyViewLink={desktopCapabilities.exampleImport
+              ? copyViewPermalink
+              : undefined}
+            mapImageExport={{
+              exportState: mapImageApi.exportState,
+              hasLegend: styleLegend.length > 0,
+              usesNativePdf: mapImageApi.usesNativePdf,
+              onExport: mapImageApi.exportImage,
+              onDismissMessage: mapImageApi.dismissExportMessage,
+            }}
+            projectFiles={desktopCapabilities.projectFiles
+              ? {
+                usesNativePicker: desktopCapabilities.nativeFilePickerImport,
+                canSave: desktopDatasetState.datasets.length > 0,
+                isBusy: projectSaveState.status === "saving" ||
+                  desktopImportState.status === "importing",
+                error: projectSaveState.error,
+                onSave: saveProject,
+                onOpen: openProject,
+                onDismissError: dismissProjectSaveError,
+              }
+              : undefined}
           />
         </CsvPanelOverlay>
 
@@ -967,6 +1532,9 @@ export default function App() {
           getSourceRow={activeMapFeatures.getSourceRow}
           getFeatureDetails={activeFeatureDetailsLoader}
           getGroupRows={activeGroupRowsLoader}
+          updateSourceRow={desktopCapabilities.rowEditing
+            ? updateMapSourceRow
+            : undefined}
           isCollapsed={isMarkerPanelCollapsed}
           onToggleCollapse={handleMarkerPanelCollapse}
           onClose={handleMarkerPanelClose}
@@ -976,6 +1544,22 @@ export default function App() {
   );
 }
 
+/** Timeline filter fields sent with map queries. */
+function getDatabaseTimelineQuery(timeline) {
+  return {
+    timelineEnabled: !!timeline.timelineEnabled,
+    startYear: timeline.startYear ?? null,
+    endYear: timeline.endYear ?? null,
+    startEpochDay: timeline.startEpochDay ?? null,
+    endEpochDay: timeline.endEpochDay ?? null,
+    yearMin: timeline.yearMin ?? null,
+    yearMax: timeline.yearMax ?? null,
+    dayFilterEnabled: !!timeline.dayFilterEnabled,
+    startDay: timeline.startDay ?? null,
+    endDay: timeline.endDay ?? null,
+  };
+}
+
 function toLegacyMapFeatures(mapView) {
   return {
     points: {
@@ -0,0 +1,32 @@
+import GeoMap from "./GeoMap";
+
+/**
+ * Map that timeline animation exports draw their frames from. It is laid out
+ * beside the page at the frame size, so Leaflet loads tiles for it as usual,
+ * and shows only the features queried for the frame being exported.
+ */
+export default function AnimationFrameMap({
+  frameMap,
+  mapRef,
+  clusterMarkersEnabled,
+  clusterRadius,
+}) {
+  const { width, height, view, layers, features } = frameMap;
+
+  return (
+    <div className="animationFrameMap" style={{ width, height }} aria-hidden="true">
+      <GeoMap
+        points={features.points}
+        regions={features.regions}
+        lines={features.lines}
+        density={features.density}
+        clusterMarkersEnabled={clusterMarkersEnabled}
+        clusterRadius={clusterRadius}
+        initialView={view}
+        initialLayers={layers}
+        mapRef={mapRef}
+        controls={false}
+      />
+    </div>
+  );
+}
@@ -3,11 +3,19 @@ import DualRangeSlider from "./DualRangeSlider";
 import CsvPreviewTable from "./csv-panel/CsvPreviewTable";
 import SelectedFileMetadata from "./csv-panel/SelectedFileMetadata";
 import CoordinateMapping from "./csv-panel/CoordinateMapping";
+import AttributeFilters from "./csv-panel/AttributeFilters";
+import StyleRules from "./csv-panel/StyleRules";
+import PointDisplayMode from "./csv-panel/PointDisplayMode";
 import CsvParsingWarnings from "./csv-panel/CsvParsingWarnings";
 import CsvFileControls from "./csv-panel/CsvFileControls";
+import ProjectFileControls from "./csv-panel/ProjectFileControls";
+import AnimationExportControls from "./csv-panel/AnimationExportControls";
+import TimelineRangeControls from "./csv-panel/TimelineRangeControls";
 import MapToolsMenu from "./csv-panel/MapToolsMenu";
+import PlaceGeocoding from "./csv-panel/PlaceGeocoding";
 import { DismissibleMessage } from "./csv-panel/DismissibleMessage";
 import { getParsingWarningsMessageKey } from "./messageDismissalState";
+import { getTimelineUnitLabel } from "./timelineDates";
 
 /**
  * CsvPanel
@@ -18,6 +26,11 @@ import { getParsingWarningsMessageKey } from "./messageDismissalState";
  * - Enable or disable CSV files for map display
  * - Unload browser files or remove desktop datasets
  * - Save one loaded dataset's current SQLite state as CSV
+ * - Locate one dataset's rows by place name against a loaded gazetteer
+ * - Filter one dataset's map rows by column values
+ * - Save or open a project file with datasets and view settings
+ * - Export timeline playback as a WebM video or animated GIF
+ * - Export the current map as PNG, SVG or PDF
  * - Preview basic metadata and a few rows in browser mode
  *
  * This component does NOT parse CSV files itself.
@@ -27,7 +40,8 @@ export default function CsvPanel({
   files,            // Array of loaded CSV file objects
   selectedId,       // ID of the currently selected CSV file
   onSelect,         // Callback to change selected CSV
-  onImportFiles,    // Callback to import new CSV files
+  onImportFiles,    // Callback to import new CSV, GeoJSON or workbook files
+  onImportCsvWithOptions, // Callback to import CSV files with parsing options
   desktopImport,
   datasetListState,
   viewportQueryStats,
@@ -37,9 +51,17 @@ export default function CsvPanel({
   onLoadMorePreview,
   onUnloadFile,     // Callback to unload a CSV by ID
   onSaveAsCsv,      // Callback to save the current SQLite rows for one CSV
+  onSaveAsGeoJson,  // Callback to save one dataset as a GeoJSON FeatureCollection
   removeActionLabel,
   onToggleEnabled,  // Callback to toggle file visibility
   onUpdateMapping,  // Callback when user changes latitude/longitude fields
+  placeGeocoding,   // Gazetteer geocoding state and actions; absent when the backend has none
+  attributeFilters, // Draft column filters for every dataset
+  onAttributeFiltersChange,
+  styleRules,       // Draft style rules for every dataset
+  onStyleRulesChange,
+  pointDisplayModes, // Marker or heatmap display by dataset ID
+  onPointDisplayModesChange,
 
   timelineState,
   timelineFields,
@@ -47,8 +69,15 @@ export default function CsvPanel({
   onTimelinePlaybackStart,
   onTimelinePlaybackStop,
   timelineStats,
+  timelineHistogram, // Feature counts per year bucket behind the timeline slider
+  datasetColors,     // Histogram colour by dataset ID
+  animationExport,  // Timeline animation export state and actions
   mapToolsState,
   onMapToolsPatch,
+  onCopyViewLink,   // Copies a link to the current view; browser build only
+  mapImageExport,   // Map image export state and actions
+  projectFiles,     // Project save/open actions; absent when the backend has none
+  browserStorage,   // Browser-only temporary/persistent database preference
 }) {
 
   /**
@@ -59,6 +88,7 @@ export default function CsvPanel({
     () => files.find((f) => f.id === selectedId) || null,
     [files, selectedId]
   );
+  const datasetIds = useMemo(() => files.map((file) => file.id), [files]);
   const [dismissedInitializationError, setDismissedInitializationError] = useState(null);
   const [dismissedParsingWarningKeys, setDismissedParsingWarningKeys] = useState(
     () => new Set(),
@@ -114,6 +144,8 @@ export default function CsvPanel({
       yearMaxDraft: String(hi),
       startYear: nextStart,
       endYear: nextEnd,
+      windowStartEpochDay: null,
+      windowEndEpochDay: null,
     });
   }
 
@@ -131,6 +163,8 @@ export default function CsvPanel({
       yearMaxDraft: String(range.endYear),
       startYear: range.startYear,
       endYear: range.endYear,
+      windowStartEpochDay: null,
+      windowEndEpochDay: null,
     });
   }
 
@@ -172,6 +206,9 @@ export default function CsvPanel({
         onTimelinePatch={onTimelinePatch}
         mapToolsState={mapToolsState}
         onMapToolsPatch={onMapToolsPatch}
+        browserStorage={browserStorage}
+        onCopyViewLink={onCopyViewLink}
+        mapImageExport={mapImageExport}
       />
 
       {/* =========================
@@ -191,17 +228,22 @@ export default function CsvPanel({
             selectedId={selectedId}
             onSelect={onSelect}
             onImportFiles={onImportFiles}
+            onImportCsvWithOptions={onImportCsvWithOptions}
             desktopImport={desktopImport}
             datasetListState={datasetListState}
             viewportQueryStats={viewportQueryStats}
             onUnloadFile={onUnloadFile}
             onSaveAsCsv={onSaveAsCsv}
+            onSaveAsGeoJson={onSaveAsGeoJson}
             removeActionLabel={removeActionLabel}
             onToggleEnabled={onToggleEnabled}
             onUseRecommendedTimelineRange={useRecommendedTimelineRange}
             messageDismissal={messageDismissal}
+            datasetColors={datasetColors}
           />
 
+          {projectFiles && <ProjectFileControls projectFiles={projectFiles} />}
+
           {/* Timeline UI lives inside the panel header (NOT in the dropdown). */}
           {timelineState?.timelineEnabled && (
             <div className="csvTimelineBlock" aria-label="Timeline filter">
@@ -243,52 +285,14 @@ export default function CsvPanel({
                 </button>
               </div>
 
-              <div className="csvTimelineSubLabel">Visible year range</div>
-
-              <DualRangeSlider
-                min={timelineState?.yearMin ?? 0}
-                max={timelineState?.yearMax ?? 0}
-                step={1}
-                start={timelineState?.startYear ?? timelineState?.yearMin ?? 0}
-                end={timelineState?.endYear ?? timelineState?.yearMax ?? 0}
-                disabled={timelineState?.yearMin == null || timelineState?.yearMax == null}
-                onChange={({ start, end }) =>
-                  patchTimelineWithStop({ startYear: start, endYear: end })
-                }
+              <TimelineRangeControls
+                timelineState={timelineState}
+                onTimelinePatch={patchTimelineWithStop}
+                histogram={timelineHistogram}
+                datasetIds={datasetIds}
+                datasetColors={datasetColors}
               />
 
-              <div className="csvTimelineReadoutRow">
-                <label className="csvTimelineField">
-                  <span className="csvTimelineLabel">From</span>
-                  <input
-                    className="csvSelect"
-                    type="number"
-                    value={timelineState?.startYear ?? ""}
-                    min={timelineState?.yearMin ?? undefined}
-                    max={timelineState?.yearMax ?? undefined}
-                    onChange={(e) => {
-                      const v = toIntOrNull(e.target.value);
-                      patchTimelineWithStop({ startYear: v });
-                    }}
-                  />
-                </label>
-
-                <label className="csvTimelineField">
-                  <span className="csvTimelineLabel">To</span>
-                  <input
-                    className="csvSelect"
-                    type="number"
-                    value={timelineState?.endYear ?? ""}
-                    min={timelineState?.yearMin ?? undefined}
-                    max={timelineState?.yearMax ?? undefined}
-                    onChange={(e) => {
-                      const v = toIntOrNull(e.target.value);
-                      patchTimelineWithStop({ endYear: v });
-                    }}
-                  />
-                </label>
-              </div>
-
               <button
                 type="button"
                 className="csvTimelineExpander"
@@ -311,7 +315,9 @@ export default function CsvPanel({
                 <div className="csvTimelinePlayback">
                   <div className="csvTimelineReadoutRow">
                     <label className="csvTimelineField">
-                      <span className="csvTimelineLabel">Step (years)</span>
+                      <span className="csvTimelineLabel">
+                        Step ({getTimelineUnitLabel(timelineState?.timelineUnit).toLowerCase()})
+                      </span>
                       <input
                         className="csvSelect"
                         type="number"
@@ -371,6 +377,7 @@ export default function CsvPanel({
                     type="button"
                     className="csvBtnPrimary"
                     style={{ marginTop: 8, width: 160 }}
+                    disabled={animationExport?.exportState.status === "exporting"}
                     onClick={() => {
                       if (playbackState.isPlaying) {
                         onTimelinePlaybackStop?.();
@@ -382,6 +389,14 @@ export default function CsvPanel({
                   >
                     {playbackState.isPlaying ? "Stop" : "Play timeline"}
                   </button>
+
+                  {animationExport && (
+                    <AnimationExportControls
+                      playback={playbackState}
+                      timelineUnit={timelineState?.timelineUnit}
+                      animationExport={animationExport}
+                    />
+                  )}
                 </div>
               )}
 
@@ -545,16 +560,21 @@ export default function CsvPanel({
                 Coordinate mapping
                 =========================
                 This section lets the user choose which CSV columns
-                should be used as latitude and longitude.
+                should be used as latitude and longitude, or one
+                column holding both, and which coordinate system
+                those columns are written in.
 
                 The choices are saved per file and used later
                 to create map points.
             */}
             <CoordinateMapping
+              key={selected.id}
               fileId={selected.id}
               headers={selected.headers}
               latField={selected.latField}
               lonField={selected.lonField}
+              coordinateField={selected.coordinateField}
+              coordinateSystem={selected.coordinateSystem}
               onUpdateMapping={onUpdateMapping}
               disabled={mappingState?.pendingDatasetId === selected.id}
             />
@@ -569,6 +589,48 @@ export default function CsvPanel({
               </DismissibleMessage>
             )}
 
+            {/* Rows located by place name from another loaded dataset */}
+            {placeGeocoding && (
+              <PlaceGeocoding
+                key={selected.id}
+                datasetId={selected.id}
+                headers={selected.headers}
+                datasets={files}
+                state={placeGeocoding.state}
+                onGeocode={placeGeocoding.onGeocode}
+                onDismissError={placeGeocoding.onDismissError}
+              />
+            )}
+
+            {/* Column filters applied by the map query */}
+            {typeof onAttributeFiltersChange === "function" && (
+              <AttributeFilters
+                datasetId={selected.id}
+                headers={selected.headers}
+                filters={attributeFilters ?? []}
+                onChange={onAttributeFiltersChange}
+              />
+            )}
+
+            {/* Markers or a density heatmap for this dataset's points */}
+            {typeof onPointDisplayModesChange === "function" && (
+              <PointDisplayMode
+                datasetId={selected.id}
+                modes={pointDisplayModes ?? {}}
+                onChange={onPointDisplayModesChange}
+              />
+            )}
+
+            {/* Colour and size rules applied to this dataset's features */}
+            {typeof onStyleRulesChange === "function" && (
+              <StyleRules
+                datasetId={selected.id}
+                headers={selected.headers}
+                rules={styleRules ?? []}
+                onChange={onStyleRulesChange}
+              />
+            )}
+
             {/* CSV parsing warnings (non-fatal) */}
             {!parsingWarningsDismissed && (
               <CsvParsingWarnings
@@ -0,0 +1,159 @@
+import { useEffect, useRef } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+
+import {
+  HEATMAP_GRADIENT,
+  getDensityCellRadius,
+  getDensityCellWeight,
+} from "./densityHeatmap";
+
+const HEATMAP_OPACITY = 0.75;
+
+/**
+ * Canvas layer covering the visible map. Each density cell is stamped as a
+ * soft greyscale blob, and the summed alpha is then mapped onto the colour
+ * gradient. The canvas is hidden while Leaflet animates a zoom and redrawn
+ * once the map settles, so it never shows stale cell positions.
+ */
+const DensityCanvasLayer = L.Layer.extend({
+  initialize(density) {
+    this._density = density;
+  },
+
+  onAdd(map) {
+    this._canvas = L.DomUtil.create("canvas", "leaflet-zoom-hide mapDensityHeatmap");
+    this._canvas.setAttribute("aria-hidden", "true");
+    map.getPanes().overlayPane.appendChild(this._canvas);
+    map.on("moveend", this._redraw, this);
+    this._redraw();
+  },
+
+  onRemove(map) {
+    map.off("moveend", this._redraw, this);
+    L.DomUtil.remove(this._canvas);
+    this._canvas = null;
+  },
+
+  setDensity(density) {
+    this._density = density;
+    if (this._map) this._redraw();
+  },
+
+  _redraw() {
+    const map = this._map;
+    const canvas = this._canvas;
+    const size = map.getSize();
+    L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+    canvas.width = size.x;
+    canvas.height = size.y;
+
+    const context = canvas.getContext("2d", { willReadFrequently: true });
+    const cells = this._density?.cells ?? [];
+    if (!context || cells.length === 0 || size.x === 0 || size.y === 0) return;
+
+    const radius = getViewportCellRadius(map, this._density);
+    const blob = getBlobCanvas(radius);
+    for (const cell of cells) {
+      const weight = getDensityCellWeight(cell.count, this._density.maxCount);
+      if (weight === 0) continue;
+      const point = map.latLngToContainerPoint([cell.lat, cell.lon]);
+      context.globalAlpha = weight;
+      context.drawImage(blob, point.x - radius, point.y - radius);
+    }
+    colorize(context, size.x, size.y);
+  },
+});
+
+/**
+ * Heatmap of the map query's density cells. Draws nothing without cells.
+ */
+export default function DensityHeatmapLayer({ density }) {
+  const map = useMap();
+  const layerRef = useRef(null);
+
+  useEffect(() => {
+    const layer = new DensityCanvasLayer(null);
+    layerRef.current = layer;
+    layer.addTo(map);
+
+    return () => {
+      layerRef.current = null;
+      map.removeLayer(layer);
+    };
+  }, [map]);
+
+  useEffect(() => {
+    layerRef.current?.setDensity(density);
+  }, [density]);
+
+  return null;
+}
+
+/** One blob size per draw, measured from a cell at the viewport centre. */
+function getViewportCellRadius(map, density) {
+  const center = map.getCenter();
+  const origin = map.latLngToContainerPoint(center);
+  const corner = map.latLngToContainerPoint([
+    center.lat + (density.cellHeight ?? 0),
+    center.lng + (density.cellWidth ?? 0),
+  ]);
+  return getDensityCellRadius(
+    Math.abs(corner.x - origin.x),
+    Math.abs(corner.y - origin.y),
+  );
+}
+
+const blobCache = new Map();
+
+function getBlobCanvas(radius) {
+  if (blobCache.has(radius)) return blobCache.get(radius);
+
+  const blob = document.createElement("canvas");
+  blob.width = radius * 2;
+  blob.height = radius * 2;
+  const context = blob.getContext("2d");
+  const gradient = context.createRadialGradient(radius, radius, 0, radius, radius, radius);
+  gradient.addColorStop(0, "rgba(0, 0, 0, 1)");
+  gradient.addColorStop(1, "rgba(0, 0, 0, 0)");
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, radius * 2, radius * 2);
+  blobCache.set(radius, blob);
+  return blob;
+}
+
+let palette = null;
+
+/** 256 RGBA entries sampled from HEATMAP_GRADIENT, indexed by blob alpha. */
+function getPalette() {
+  if (palette) return palette;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = 256;
+  canvas.height = 1;
+  const context = canvas.getContext("2d");
+  const gradient = context.createLinearGradient(0, 0, 256, 0);
+  for (const [stop, color] of HEATMAP_GRADIENT) {
+    gradient.addColorStop(stop, color);
+  }
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, 256, 1);
+  palette = context.getImageData(0, 0, 256, 1).data;
+  return palette;
+}
+
+function colorize(context, width, height) {
+  const colors = getPalette();
+  const image = context.getImageData(0, 0, width, height);
+  const pixels = image.data;
+  for (let index = 0; index < pixels.length; index += 4) {
+    const alpha = pixels[index + 3];
+    if (alpha === 0) continue;
+    const offset = alpha * 4;
+    pixels[index] = colors[offset];
+    pixels[index + 1] = colors[offset + 1];
+    pixels[index + 2] = colors[offset + 2];
+    pixels[index + 3] = Math.round(alpha * HEATMAP_OPACITY);
+  }
+  context.putImageData(image, 0, 0);
+}
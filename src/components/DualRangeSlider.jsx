@@ -14,6 +14,7 @@ export default function DualRangeSlider({
   onChange,
   disabled = false,
   formatValue,
+  background = null, // Drawn behind the track; ignores pointer input
 }) {
   const sliderRef = useRef(null);
   const dragRef = useRef({
@@ -149,6 +150,7 @@ export default function DualRangeSlider({
       onPointerUp={finishPointerDrag}
       onPointerCancel={finishPointerDrag}
     >
+      {background ? <div className="dualRangeBackground">{background}</div> : null}
       <div className="dualRangeTrack" />
       <div
         className="dualRangeSelection"
@@ -7,6 +7,7 @@ import {
   Marker,
   ImageOverlay,
   CircleMarker,
+  LayerGroup,
   Polygon,
   Polyline,
   Popup,
@@ -20,9 +21,13 @@ import MarkerClusterGroup from "react-leaflet-cluster";
 import L from "leaflet";
 import "leaflet-polylinedecorator";
 
-import { getClusterMarkerIcon, getMarkerIcon } from "./markerIcons";
+import { getClusterMarkerIcon, getMarkerIcon, getStyledPointIcon } from "./markerIcons";
 import { buildMarkerDetailFields } from "./markerDetailFields";
+import { MarkerDetailRowEditor } from "./MarkerDetails";
+import DensityHeatmapLayer from "./DensityHeatmapLayer";
 import MapCoordinateControls from "./MapCoordinateControls";
+import MapFeatureSearch from "./MapFeatureSearch";
+import MapStyleLegend from "./MapStyleLegend";
 import MapTileLayers from "./MapTileLayers";
 import {
   findMarkersNearClickedMarker,
@@ -30,12 +35,33 @@ import {
 } from "./markerProximitySelection";
 import {
   calculateZoneTransformCenter,
+  deleteZoneVertex,
   getZoneDragOperation,
+  getZoneHistoryShortcut,
+  getZoneMidpointHandles,
+  getZoneVertexHandles,
+  insertZoneVertex,
   isEditableInteractionTarget,
+  moveZoneVertex,
   shouldApplyZoneCommit,
   transformZoneParts,
+  ZONE_VERTEX_HANDLE_CLASS,
 } from "./zoneTransform";
 
+const ZONE_VERTEX_HANDLE_STYLE = {
+  className: ZONE_VERTEX_HANDLE_CLASS,
+  color: "#1f2937",
+  weight: 2,
+  fillColor: "#facc15",
+  fillOpacity: 1,
+};
+const ZONE_MIDPOINT_HANDLE_STYLE = {
+  color: "#1f2937",
+  weight: 1,
+  fillColor: "#ffffff",
+  fillOpacity: 0.8,
+};
+
 function getFeaturePopupRow(feature, getSourceRow) {
   return feature?.row ?? getSourceRow?.(feature?.sourceFileId, feature?.sourceRowIndex) ?? null;
 }
@@ -85,7 +111,13 @@ function setClusterIconVisibility(cluster, isVisible) {
   }
 }
 
-function FeaturePopup({ feature, fallbackTitle, getSourceRow, getFeatureDetails }) {
+function FeaturePopup({
+  feature,
+  fallbackTitle,
+  getSourceRow,
+  getFeatureDetails,
+  updateSourceRow,
+}) {
   const requestRef = useRef(0);
   const [isOpen, setIsOpen] = useState(false);
   const [detailState, setDetailState] = useState({
@@ -151,12 +183,25 @@ function FeaturePopup({ feature, fallbackTitle, getSourceRow, getFeatureDetails
         {loadsFromBackend && detailState.status === "error" && (
           <div>Could not load details.</div>
         )}
-        {(!loadsFromBackend || detailState.status === "loaded") &&
-          buildMarkerDetailFields(row, latField, lonField).map(([key, value]) => (
-            <div key={key} style={{ marginBottom: 4 }}>
-              <b>{key}:</b> {String(value ?? "")}
-            </div>
-          ))}
+        {(!loadsFromBackend || detailState.status === "loaded") && (
+          <MarkerDetailRowEditor
+            row={row}
+            latField={latField}
+            lonField={lonField}
+            sourceRef={loadsFromBackend ? feature.sourceRef : null}
+            updateSourceRow={updateSourceRow}
+            onRowUpdated={(updatedRow) => setDetailState((current) => ({
+              ...current,
+              details: { ...current.details, row: updatedRow },
+            }))}
+          >
+            {buildMarkerDetailFields(row, latField, lonField).map(([key, value]) => (
+              <div key={key} style={{ marginBottom: 4 }}>
+                <b>{key}:</b> {String(value ?? "")}
+              </div>
+            ))}
+          </MarkerDetailRowEditor>
+        )}
       </div>
     </Popup>
   );
@@ -236,6 +281,18 @@ function LineArrowDecorator({ line }) {
 
   return null;
 }
+/** Move the map whenever the app asks for a saved view, such as an opened project's. */
+function MapViewRequest({ request }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!request?.map) return;
+    map.setView([request.map.lat, request.map.lon], request.map.zoom);
+  }, [map, request]);
+
+  return null;
+}
+
 function ViewportChangeReporter({ onViewportChange }) {
   const map = useMap();
 
@@ -244,6 +301,7 @@ function ViewportChangeReporter({ onViewportChange }) {
 
     const reportViewport = () => {
       const bounds = map.getBounds();
+      const center = map.getCenter();
 
       onViewportChange({
         bounds: {
@@ -252,6 +310,7 @@ function ViewportChangeReporter({ onViewportChange }) {
           east: bounds.getEast(),
           west: bounds.getWest(),
         },
+        center: { lat: center.lat, lon: center.lng },
         zoom: map.getZoom(),
       });
     };
@@ -268,16 +327,29 @@ function ViewportChangeReporter({ onViewportChange }) {
   return null;
 }
 
-/** Own logical-zone selection, live preview, and one commit per completed drag. */
-function EditableRegions({
+/** Identify one logical line or region; line and region feature IDs may coincide. */
+function getZoneKey(datasetId, geometryType, featureId) {
+  return `${datasetId}\u0000${geometryType}\u0000${featureId}`;
+}
+
+/**
+ * Own logical-zone selection, live preview, and one commit per completed drag.
+ * Selected lines and regions also get vertex handles: drag one to move it, drag
+ * or click an edge midpoint to insert one, and right-click one to delete it.
+ */
+function EditableZones({
   regions,
+  lines,
   enabled,
   enabledDatasetIds,
   getLogicalZone,
   updateLogicalZone,
+  undoZoneEdit,
+  redoZoneEdit,
   onError,
   getSourceRow,
   getFeatureDetails,
+  updateSourceRow,
 }) {
   const map = useMap();
   const [selectedZone, setSelectedZone] = useState(null);
@@ -289,6 +361,7 @@ function EditableRegions({
   const keyStateRef = useRef({ zHeld: false, xHeld: false });
   const selectionRequestRef = useRef(0);
   const zoneInteractionRef = useRef(0);
+  const lastEditedDatasetIdRef = useRef(null);
 
   // Keep asynchronous commit checks synchronized with the latest rendered edit-mode prop.
   enabledRef.current = enabled;
@@ -334,6 +407,44 @@ function EditableRegions({
 
   useEffect(() => () => endDragInteraction(), [endDragInteraction]);
 
+  useEffect(() => {
+    if (!enabled) return undefined;
+    /** Step the selected zone's dataset history, or the last edited one without a selection. */
+    async function handleHistoryKey(event) {
+      const shortcut = getZoneHistoryShortcut(event);
+      const step = shortcut === "redo" ? redoZoneEdit : undoZoneEdit;
+      const datasetId = selectedZoneRef.current?.datasetId ?? lastEditedDatasetIdRef.current;
+      if (!shortcut || typeof step !== "function" || !datasetId) return;
+      event.preventDefault();
+      if (dragRef.current) return;
+      const interactionId = zoneInteractionRef.current + 1;
+      zoneInteractionRef.current = interactionId;
+      try {
+        const result = await step({ datasetId });
+        const selected = selectedZoneRef.current;
+        if (
+          result?.changed
+          && result.zone?.parts?.length
+          && shouldApplyZoneCommit({
+            enabled: enabledRef.current,
+            interactionId,
+            latestInteractionId: zoneInteractionRef.current,
+            selectedZone: selected,
+            datasetId: result.zone.datasetId,
+            featureId: result.zone.featureId,
+            geometryType: result.zone.geometryType,
+          })
+        ) {
+          storeSelectedZone(result.zone);
+        }
+      } catch (error) {
+        onError?.(error);
+      }
+    }
+    document.addEventListener("keydown", handleHistoryKey);
+    return () => document.removeEventListener("keydown", handleHistoryKey);
+  }, [enabled, onError, redoZoneEdit, undoZoneEdit]);
+
   useEffect(() => {
     const datasetAvailable = selectedZone?.datasetId
       && enabledDatasetIds?.includes(selectedZone.datasetId);
@@ -345,21 +456,25 @@ function EditableRegions({
     storeSelectedZone(null);
   }, [enabled, enabledDatasetIds, endDragInteraction, selectedZone]);
 
+  function isSelectedZone(feature, geometryType) {
+    const zone = selectedZoneRef.current;
+    return !!zone
+      && zone.datasetId === feature.sourceRef?.datasetId
+      && zone.geometryType === geometryType
+      && zone.featureId === feature.featureId;
+  }
+
   /** Select the full logical feature, scoped by the clicked part's dataset. */
-  async function selectRegion(region, event) {
+  async function selectZone(feature, geometryType, event) {
     if (!enabled || typeof getLogicalZone !== "function") return;
     L.DomEvent.stopPropagation(event.originalEvent);
-    const datasetId = region.sourceRef?.datasetId;
-    const featureId = region.featureId;
-    if (!datasetId || !featureId) return;
-    if (
-      selectedZoneRef.current?.datasetId === datasetId
-      && selectedZoneRef.current?.featureId === featureId
-    ) return;
+    const datasetId = feature.sourceRef?.datasetId;
+    const featureId = feature.featureId;
+    if (!datasetId || !featureId || isSelectedZone(feature, geometryType)) return;
     const requestId = selectionRequestRef.current + 1;
     selectionRequestRef.current = requestId;
     try {
-      const zone = await getLogicalZone({ datasetId, featureId });
+      const zone = await getLogicalZone({ datasetId, featureId, geometryType });
       // Ignore a slower lookup after the user has already requested another zone.
       if (selectionRequestRef.current !== requestId || !enabledRef.current) return;
       // A completed selection invalidates any save response belonging to the old zone.
@@ -371,24 +486,46 @@ function EditableRegions({
     }
   }
 
-  /** Lock one operation at primary-button down and preview only in memory. */
-  function beginRegionDrag(region, event) {
-    if (!enabled || event.originalEvent?.button !== 0 || dragRef.current) return;
+  /**
+   * Send one complete part list for the selected zone and keep the response only
+   * while that interaction is still the latest one.
+   */
+  async function commitZoneParts(zone, interactionId, parts) {
+    if (typeof updateLogicalZone !== "function") return;
+    try {
+      const committed = await updateLogicalZone({
+        datasetId: zone.datasetId,
+        featureId: zone.featureId,
+        geometryType: zone.geometryType,
+        parts: parts.map((part) => ({
+          part: part.part,
+          coordinates: part.coordinates,
+        })),
+      });
+      lastEditedDatasetIdRef.current = zone.datasetId;
+      if (shouldApplyZoneCommit({
+        enabled: enabledRef.current,
+        interactionId,
+        latestInteractionId: zoneInteractionRef.current,
+        selectedZone: selectedZoneRef.current,
+        datasetId: zone.datasetId,
+        featureId: zone.featureId,
+        geometryType: zone.geometryType,
+      })) {
+        storeSelectedZone(committed?.parts?.length ? committed : selectedZoneRef.current);
+      }
+    } catch (error) {
+      onError?.(error);
+    }
+  }
+
+  /**
+   * Preview a primary-button drag in memory and commit it on mouse-up. `preview`
+   * maps the pointer position to the complete part list, or null for no change.
+   */
+  function beginDrag(event, preview, initialParts = null) {
     const zone = selectedZoneRef.current;
-    if (
-      !zone
-      || zone.datasetId !== region.sourceRef?.datasetId
-      || zone.featureId !== region.featureId
-    ) return;
-    const operation = getZoneDragOperation(
-      isEditableInteractionTarget(document.activeElement)
-        ? {}
-        : keyStateRef.current,
-    );
-    if (!operation) return;
-    const center = calculateZoneTransformCenter(zone.parts);
-    const startLatLng = map.mouseEventToLatLng(event.originalEvent);
-    if (!center || !startLatLng) return;
+    if (!enabled || !zone || event.originalEvent?.button !== 0 || dragRef.current) return;
     const interactionId = zoneInteractionRef.current + 1;
     zoneInteractionRef.current = interactionId;
 
@@ -398,90 +535,121 @@ function EditableRegions({
     if (mapDraggingWasEnabled) map.dragging.disable();
 
     const handleMove = (mouseEvent) => {
-      const drag = dragRef.current;
-      if (!drag) return;
-      const current = map.mouseEventToLatLng(mouseEvent);
-      const parts = transformZoneParts(drag.baseParts, {
-        operation: drag.operation,
-        center: drag.center,
-        start: drag.start,
-        current,
-      });
-      storePreviewParts(parts);
+      if (!dragRef.current) return;
+      storePreviewParts(preview(map.mouseEventToLatLng(mouseEvent)));
     };
     const handleUp = async () => {
       const drag = endDragInteraction();
       const parts = previewPartsRef.current;
-      if (!drag || !parts || typeof updateLogicalZone !== "function") {
+      if (!drag || !parts) {
         storePreviewParts(null);
         return;
       }
       try {
         // SQLite receives one complete multipart payload only after previewing ends,
         // making mouse movement an in-memory operation and mouse-up the commit boundary.
-        const committed = await updateLogicalZone({
-          datasetId: drag.datasetId,
-          featureId: drag.featureId,
-          parts: parts.map((part) => ({
-            part: part.part,
-            coordinates: part.coordinates,
-          })),
-        });
-        if (shouldApplyZoneCommit({
-          enabled: enabledRef.current,
-          interactionId: drag.interactionId,
-          latestInteractionId: zoneInteractionRef.current,
-          selectedZone: selectedZoneRef.current,
-          datasetId: drag.datasetId,
-          featureId: drag.featureId,
-        })) {
-          storeSelectedZone(committed?.parts?.length ? committed : selectedZoneRef.current);
-        }
-      } catch (error) {
-        onError?.(error);
+        await commitZoneParts(zone, interactionId, parts);
       } finally {
         // An obsolete response must not clear a newer interaction's live preview.
-        if (zoneInteractionRef.current === drag.interactionId) storePreviewParts(null);
+        if (zoneInteractionRef.current === interactionId) storePreviewParts(null);
       }
     };
-    dragRef.current = {
-      interactionId,
-      datasetId: zone.datasetId,
-      featureId: zone.featureId,
-      baseParts: zone.parts,
-      operation,
-      center,
-      start: { lat: startLatLng.lat, lng: startLatLng.lng },
-      mapDraggingWasEnabled,
-      handleMove,
-      handleUp,
-    };
+    dragRef.current = { mapDraggingWasEnabled, handleMove, handleUp };
+    storePreviewParts(initialParts);
     document.addEventListener("mousemove", handleMove, true);
     document.addEventListener("mouseup", handleUp, true);
   }
 
+  /** Lock one whole-zone operation at primary-button down. */
+  function beginZoneDrag(feature, geometryType, event) {
+    if (!enabled || !isSelectedZone(feature, geometryType)) return;
+    const zone = selectedZoneRef.current;
+    const operation = getZoneDragOperation(
+      isEditableInteractionTarget(document.activeElement)
+        ? {}
+        : keyStateRef.current,
+    );
+    if (!operation) return;
+    const center = calculateZoneTransformCenter(zone.parts);
+    const startLatLng = map.mouseEventToLatLng(event.originalEvent);
+    if (!center || !startLatLng) return;
+    const start = { lat: startLatLng.lat, lng: startLatLng.lng };
+    beginDrag(event, (current) => transformZoneParts(zone.parts, {
+      operation,
+      center,
+      start,
+      current,
+    }));
+  }
+
+  /** Drag one existing vertex, or insert one at an edge midpoint and drag it from there. */
+  function beginVertexDrag(handle, event, insert) {
+    const zone = selectedZoneRef.current;
+    if (!zone) return;
+    const { partIndex, vertexIndex } = handle;
+    const geometryType = zone.geometryType;
+    const edit = insert ? insertZoneVertex : moveZoneVertex;
+    const preview = (current) => edit(zone.parts, {
+      partIndex,
+      vertexIndex,
+      coordinate: [current.lat, current.lng],
+    }, geometryType);
+    // A midpoint click without movement still inserts the vertex where the handle sits.
+    const initialParts = insert
+      ? insertZoneVertex(zone.parts, handle, geometryType)
+      : null;
+    beginDrag(event, preview, initialParts);
+  }
+
+  /** Delete one vertex on right-click unless the part would become too small. */
+  function deleteVertex(handle, event) {
+    L.DomEvent.preventDefault(event.originalEvent);
+    L.DomEvent.stopPropagation(event.originalEvent);
+    const zone = selectedZoneRef.current;
+    if (!enabled || !zone || dragRef.current) return;
+    const parts = deleteZoneVertex(zone.parts, handle, zone.geometryType);
+    if (!parts) return;
+    const interactionId = zoneInteractionRef.current + 1;
+    zoneInteractionRef.current = interactionId;
+    storePreviewParts(parts);
+    commitZoneParts(zone, interactionId, parts).then(() => {
+      if (zoneInteractionRef.current === interactionId) storePreviewParts(null);
+    });
+  }
+
   const selectedKey = selectedZone
-    ? `${selectedZone.datasetId}\u0000${selectedZone.featureId}`
+    ? getZoneKey(selectedZone.datasetId, selectedZone.geometryType, selectedZone.featureId)
     : null;
-  const visibleRegions = selectedKey
-    ? regions.filter((region) => (
-      `${region.sourceRef?.datasetId}\u0000${region.featureId}` !== selectedKey
-    ))
-    : regions;
+  const isVisible = (feature, geometryType) => (
+    getZoneKey(feature.sourceRef?.datasetId, geometryType, feature.featureId) !== selectedKey
+  );
   const selectedParts = previewParts ?? selectedZone?.parts ?? [];
+  const selectedGeometryType = selectedZone?.geometryType ?? "region";
+  const selectedLine = selectedGeometryType === "line"
+    ? lines.find((line) => !isVisible(line, "line"))
+    : null;
+  const selectedFeature = (part) => ({
+    id: `${selectedKey}:${part.part}`,
+    featureId: selectedZone.featureId,
+    part: part.part,
+    coordinates: part.coordinates,
+    style: part.style,
+    sourceRef: { datasetId: selectedZone.datasetId, rowIndex: 0 },
+  });
+  const zoneEventHandlers = (feature, geometryType) => ({
+    click: (event) => selectZone(feature, geometryType, event),
+    mousedown: (event) => beginZoneDrag(feature, geometryType, event),
+  });
 
   return (
     <>
-      {visibleRegions.map((region) => (
+      {regions.filter((region) => isVisible(region, "region")).map((region) => (
         <Polygon
           key={region.id}
           positions={region.coordinates}
           pathOptions={region.style}
           bubblingMouseEvents={!enabled}
-          eventHandlers={{
-            click: (event) => selectRegion(region, event),
-            mousedown: (event) => beginRegionDrag(region, event),
-          }}
+          eventHandlers={zoneEventHandlers(region, "region")}
         >
           {!enabled && (
             <FeaturePopup
@@ -489,32 +657,81 @@ function EditableRegions({
               fallbackTitle="Region"
               getSourceRow={getSourceRow}
               getFeatureDetails={getFeatureDetails}
+              updateSourceRow={updateSourceRow}
             />
           )}
         </Polygon>
       ))}
-      {selectedZone && selectedParts.map((part) => {
-        const region = {
-          id: `${selectedZone.datasetId}:${selectedZone.featureId}:${part.part}`,
-          featureId: selectedZone.featureId,
-          part: part.part,
-          coordinates: part.coordinates,
-          style: part.style,
-          sourceRef: { datasetId: selectedZone.datasetId, rowIndex: 0 },
-        };
+      {selectedZone?.geometryType === "region" && selectedParts.map((part) => {
+        const region = selectedFeature(part);
         return (
           <Polygon
             key={`editing:${region.id}`}
             positions={region.coordinates}
             pathOptions={{ ...region.style, color: "#facc15", weight: 4 }}
             bubblingMouseEvents={false}
-            eventHandlers={{
-              click: (event) => selectRegion(region, event),
-              mousedown: (event) => beginRegionDrag(region, event),
-            }}
+            eventHandlers={zoneEventHandlers(region, "region")}
           />
         );
       })}
+      {lines.filter((line) => isVisible(line, "line")).map((line) => (
+        <LayerGroup key={line.id}>
+          <Polyline
+            positions={line.coordinates}
+            pathOptions={line.style}
+            bubblingMouseEvents={!enabled}
+            eventHandlers={zoneEventHandlers(line, "line")}
+          >
+            {!enabled && (
+              <FeaturePopup
+                feature={line}
+                fallbackTitle="Line"
+                getSourceRow={getSourceRow}
+                getFeatureDetails={getFeatureDetails}
+                updateSourceRow={updateSourceRow}
+              />
+            )}
+          </Polyline>
+          <LineArrowDecorator line={line} />
+        </LayerGroup>
+      ))}
+      {selectedZone?.geometryType === "line" && selectedParts.map((part) => {
+        const line = { ...selectedLine, ...selectedFeature(part) };
+        return (
+          <LayerGroup key={`editing:${line.id}`}>
+            <Polyline
+              positions={line.coordinates}
+              pathOptions={{ ...line.style, color: "#facc15", weight: 4 }}
+              bubblingMouseEvents={false}
+              eventHandlers={zoneEventHandlers(line, "line")}
+            />
+            <LineArrowDecorator line={line} />
+          </LayerGroup>
+        );
+      })}
+      {selectedZone && getZoneMidpointHandles(selectedParts, selectedGeometryType).map((handle) => (
+        <CircleMarker
+          key={`midpoint:${handle.partIndex}:${handle.vertexIndex}`}
+          center={handle.coordinate}
+          radius={4}
+          pathOptions={ZONE_MIDPOINT_HANDLE_STYLE}
+          bubblingMouseEvents={false}
+          eventHandlers={{ mousedown: (event) => beginVertexDrag(handle, event, true) }}
+        />
+      ))}
+      {selectedZone && getZoneVertexHandles(selectedParts, selectedGeometryType).map((handle) => (
+        <CircleMarker
+          key={`vertex:${handle.partIndex}:${handle.vertexIndex}`}
+          center={handle.coordinate}
+          radius={6}
+          pathOptions={ZONE_VERTEX_HANDLE_STYLE}
+          bubblingMouseEvents={false}
+          eventHandlers={{
+            mousedown: (event) => beginVertexDrag(handle, event, false),
+            contextmenu: (event) => deleteVertex(handle, event),
+          }}
+        />
+      ))}
     </>
   );
 }
@@ -559,7 +776,7 @@ function ExactPointMarkers({
         maxClusterRadius={clusterRadius}
       >
         {points.map((point) => {
-          const icon = getMarkerIcon(point.marker);
+          const icon = getExactPointIcon(point);
 
           return (
             <Marker
@@ -580,7 +797,7 @@ function ExactPointMarkers({
   }
 
   return points.map((point) => {
-    const icon = getMarkerIcon(point.marker);
+    const icon = getExactPointIcon(point);
 
     return (
       <Marker
@@ -592,6 +809,11 @@ function ExactPointMarkers({
     );
   });
 }
+/** Style rules replace a point's marker value with a coloured, sized circle. */
+function getExactPointIcon(point) {
+  return point.symbol ? getStyledPointIcon(point.symbol) : getMarkerIcon(point.marker);
+}
+
 export default function GeoMap({
   points = [],
   regions = [],
@@ -602,6 +824,7 @@ export default function GeoMap({
   // When false, markers are rendered normally (current behavior).
   getSourceRow,
   getFeatureDetails,
+  updateSourceRow,
   clusterMarkersEnabled = false,
   clusterRadius = 80,   // default strength
   onViewportChange,
@@ -611,9 +834,23 @@ export default function GeoMap({
   onZoneEditingToggle,
   getLogicalZone,
   updateLogicalZone,
+  undoZoneEdit,
+  redoZoneEdit,
   enabledDatasetIds = [],
   onZoneEditingError,
+  drawDatasets = [],
+  addDrawnFeature,
+  searchFeatures,
+  styleLegend = [],
+  density = null,     // Point counts of datasets shown as a heatmap
+  initialView = null, // { lat, lon, zoom } from a shared link
+  initialLayers = null, // { backgroundId, overlayIds } from a shared link
+  onLayersChange,
+  viewRequest = null, // { revision, map, layers } restored after the map mounted
+  mapRef,             // Receives the Leaflet map, e.g. for capturing animation frames
+  controls = true,    // False leaves out tools, search, legend and zoom, e.g. offscreen
 }) {
+  const requestedLayers = viewRequest?.layers ?? initialLayers;
   const markerClusterGroupRef = useRef(null);
   const markerPoints = points.filter((p) => !p.image);
   // Data-source groups are already summarized, so keep them out of client clustering.
@@ -647,13 +884,14 @@ export default function GeoMap({
     // MapContainer must have a fixed height and width.
     // If not, the map will not render correctly.
     <MapContainer
+      ref={mapRef}
       // Initial center of the map.
-      // This is Stockholm (latitude, longitude).
-      center={[59.3293, 18.0686]}
+      // This is Stockholm (latitude, longitude) unless a shared link says otherwise.
+      center={initialView ? [initialView.lat, initialView.lon] : [59.3293, 18.0686]}
 
       // Initial zoom level.
       // Lower value = more zoomed out.
-      zoom={5}
+      zoom={initialView?.zoom ?? 5}
       style={{
         height: "100%",
         width: "100%",
@@ -662,16 +900,38 @@ export default function GeoMap({
       zoomControl={false}
     >
       <ViewportChangeReporter onViewportChange={onViewportChange} />
-      <MapCoordinateControls
-        zoneEditingEnabled={zoneEditingEnabled}
-        onZoneEditingToggle={onZoneEditingToggle}
-      />
+      {controls && (
+        <MapCoordinateControls
+          zoneEditingEnabled={zoneEditingEnabled}
+          onZoneEditingToggle={onZoneEditingToggle}
+          drawDatasets={drawDatasets}
+          onFeatureDrawn={addDrawnFeature}
+        />
+      )}
+      {controls && typeof searchFeatures === "function" && (
+        <MapFeatureSearch searchFeatures={searchFeatures} onSelect={onMarkerSelect} />
+      )}
+      {controls && styleLegend.length > 0 && <MapStyleLegend sections={styleLegend} />}
 
       {/* Zoom controls moved away from the CSV overlay */}
-      <ZoomControl position="bottomright" />
+      {controls && <ZoomControl position="bottomright" />}
 
       {/* Built-in and user-configured raster layers share the Leaflet layer control. */}
-      <MapTileLayers />
+      <MapViewRequest request={viewRequest} />
+      {/* A layer request remounts the tile controls with the requested layers. */}
+      <MapTileLayers
+        key={viewRequest?.layers ? `request-${viewRequest.revision}` : "initial"}
+        {...(requestedLayers
+          ? {
+            initialBackgroundId: requestedLayers.backgroundId,
+            initialOverlayIds: requestedLayers.overlayIds,
+          }
+          : {})}
+        onLayersChange={onLayersChange}
+      />
+
+      {/* Heatmap datasets sit below every marker, line, and region. */}
+      {density && <DensityHeatmapLayer density={density} />}
 
       {/* A map-native ring highlights selection without modifying marker icons. */}
       {selectedMarker && (
@@ -728,30 +988,20 @@ export default function GeoMap({
         />
       ))}
 
-      <EditableRegions
+      <EditableZones
         regions={regions}
+        lines={lines}
         enabled={zoneEditingEnabled}
         enabledDatasetIds={enabledDatasetIds}
         getLogicalZone={getLogicalZone}
         updateLogicalZone={updateLogicalZone}
+        undoZoneEdit={undoZoneEdit}
+        redoZoneEdit={redoZoneEdit}
         onError={onZoneEditingError}
         getSourceRow={getSourceRow}
         getFeatureDetails={getFeatureDetails}
+        updateSourceRow={updateSourceRow}
       />
-
-      {lines.map((line) => (
-        <LayerGroup key={line.id}>
-          <Polyline positions={line.coordinates} pathOptions={line.style}>
-            <FeaturePopup
-              feature={line}
-              fallbackTitle="Line"
-              getSourceRow={getSourceRow}
-              getFeatureDetails={getFeatureDetails}
-            />
-          </Polyline>
-          <LineArrowDecorator line={line} />
-        </LayerGroup>
-      ))}
     </MapContainer>
   );
 }
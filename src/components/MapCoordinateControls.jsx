@@ -1,23 +1,50 @@
-import { useEffect, useRef, useState } from "react";
+import { Fragment, useCallback, useEffect, useRef, useState } from "react";
 import { createPortal } from "react-dom";
 import L from "leaflet";
-import { Marker, Polyline, useMap } from "react-leaflet";
+import { CircleMarker, Marker, Polygon, Polyline, Tooltip, useMap } from "react-leaflet";
 import {
   formatCoordinatePair,
   parseCoordinatePaste,
   validateCoordinateInputs,
 } from "./coordinateNavigation";
 import {
-  cancelIncompleteDistanceMeasurement,
-  clearDistanceMeasurement,
-  completeDistanceMeasurement,
+  MEASUREMENT_TYPES,
+  addMeasurementVertex,
+  cancelActiveMeasurement,
+  clearMeasurements,
+  finishMeasurement,
+  formatBearing,
+  formatMeasurementCoordinates,
+  formatMetricArea,
   formatMetricDistance,
-  moveDistanceEndpoint,
-  startDistanceMeasurement,
+  getActiveMeasurement,
+  getMeasurementFeatureRequest,
+  getMeasurementSummary,
+  moveMeasurementVertex,
+  removeLastMeasurementVertex,
+  removeMeasurement,
+  startMeasurement as startMeasurementAt,
 } from "./distanceMeasurement";
+import {
+  FEATURE_DRAWING_TYPES,
+  addFeatureDrawingVertex,
+  getFeatureDrawingRequest,
+  removeLastFeatureDrawingVertex,
+  setFeatureDrawingDataset,
+  startFeatureDrawing,
+} from "./featureDrawing";
+import { ZONE_VERTEX_HANDLE_CLASS } from "./zoneTransform";
 
 const CONTEXT_MENU_WIDTH = 240;
-const CONTEXT_MENU_HEIGHT = 154;
+const CONTEXT_MENU_HEIGHT = 300;
+const DRAWING_PATH_STYLE = { color: "#16a34a", weight: 3, opacity: 0.95, fillOpacity: 0.2 };
+const DRAWING_VERTEX_STYLE = {
+  color: "#ffffff",
+  weight: 2,
+  fillColor: "#16a34a",
+  fillOpacity: 1,
+};
+const MEASUREMENT_PATH_STYLE = { color: "#0284c7", weight: 4, opacity: 0.95, fillOpacity: 0.15 };
 const DISTANCE_ENDPOINT_ICON = L.divIcon({
   className: "mapDistanceEndpointIcon",
   iconAnchor: [7, 7],
@@ -34,24 +61,171 @@ function getContextMenuPosition(clientX, clientY) {
   };
 }
 
-/** Keep measurement instructions and cleanup available inside the visible map. */
-function DistanceMeasurementInfo({ children, onClear }) {
+/** Describe one measurement: live totals while placing vertices, then its result. */
+function getMeasurementText(measurement) {
+  const summary = getMeasurementSummary(measurement);
+  const vertexCount = measurement.vertices.length;
+  if (!measurement.complete) {
+    const totals = measurement.kind === "area"
+      ? (summary.area != null ? `${formatMetricArea(summary.area)}. ` : "")
+      : (vertexCount > 1 ? `${formatMetricDistance(summary.length)}. ` : "");
+    return `${totals}Click to add points, Backspace to undo, double-click or Enter to finish.`;
+  }
+  if (measurement.kind === "area") {
+    return `Area: ${formatMetricArea(summary.area)}, perimeter ${formatMetricDistance(summary.perimeter)}`;
+  }
+  const bearings = vertexCount > 2 || Math.abs(summary.initialBearing - summary.finalBearing) >= 0.05
+    ? `, bearing ${formatBearing(summary.initialBearing)} → ${formatBearing(summary.finalBearing)}`
+    : `, bearing ${formatBearing(summary.initialBearing)}`;
+  return `Total distance: ${formatMetricDistance(summary.length)}${bearings}`;
+}
+
+/**
+ * List every measurement with its result, copy and save actions, and a way
+ * to remove it. Saving is offered when `datasets` can receive a drawn feature.
+ */
+function MeasurementInfo({
+  measurements,
+  datasets,
+  datasetId,
+  saveStates,
+  onDatasetChange,
+  onCopy,
+  onSave,
+  onRemove,
+  onClear,
+}) {
+  const infoRef = useRef(null);
+
+  useEffect(() => {
+    if (!infoRef.current) return;
+    // Prevent information-box actions from placing a vertex or moving the map.
+    L.DomEvent.disableClickPropagation(infoRef.current);
+    L.DomEvent.disableScrollPropagation(infoRef.current);
+  }, []);
+
+  const canSave = datasets.length > 0 && measurements.some((measurement) => measurement.complete);
+
+  return (
+    <div ref={infoRef} className="mapDistanceInfo mapMeasurementInfo" role="status">
+      {measurements.map((measurement) => {
+        const saveState = saveStates[measurement.id];
+        return (
+          <div key={measurement.id} className="mapMeasurementRow">
+            <span>
+              {getMeasurementText(measurement)}
+              {saveState?.status === "saving" && " Saving…"}
+              {saveState?.status === "saved" && " Saved."}
+              {saveState?.status === "error" && ` ${saveState.error}`}
+            </span>
+            {measurement.complete && (
+              <button
+                type="button"
+                className="mapMeasurementActionButton"
+                onClick={() => onCopy(measurement)}
+              >
+                Copy
+              </button>
+            )}
+            {measurement.complete && canSave && (
+              <button
+                type="button"
+                className="mapMeasurementActionButton"
+                disabled={
+                  saveState?.status === "saving"
+                  || !getMeasurementFeatureRequest(measurement, datasetId)
+                }
+                onClick={() => onSave(measurement)}
+              >
+                {measurement.kind === "area" ? "Save region" : "Save line"}
+              </button>
+            )}
+            <button
+              type="button"
+              aria-label={measurement.complete ? "Remove measurement" : "Cancel measurement"}
+              onClick={() => onRemove(measurement.id)}
+            >
+              ×
+            </button>
+          </div>
+        );
+      })}
+      {(canSave || measurements.length > 1) && (
+        <div className="mapMeasurementRow mapMeasurementFooter">
+          {canSave && (
+            <select
+              aria-label="Dataset for saved measurements"
+              value={datasetId ?? ""}
+              onChange={(event) => onDatasetChange(event.target.value)}
+            >
+              {!datasetId && <option value="">Choose dataset</option>}
+              {datasets.map((dataset) => (
+                <option key={dataset.id} value={dataset.id}>{dataset.name}</option>
+              ))}
+            </select>
+          )}
+          {measurements.length > 1 && (
+            <button
+              type="button"
+              className="mapMeasurementActionButton"
+              onClick={onClear}
+            >
+              Clear all
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** Show the sketch instructions, target dataset, and finish action while drawing. */
+function FeatureDrawingInfo({ drawing, datasets, onDatasetChange, onFinish, onCancel }) {
   const infoRef = useRef(null);
 
   useEffect(() => {
     if (!infoRef.current) return;
-    // Prevent information-box actions from placing an endpoint or moving the map.
+    // Choosing a dataset or finishing must not also place a vertex.
     L.DomEvent.disableClickPropagation(infoRef.current);
     L.DomEvent.disableScrollPropagation(infoRef.current);
   }, []);
 
+  const vertexCount = drawing.vertices.length;
+  const instructions = drawing.error
+    ?? (drawing.saving
+      ? "Saving…"
+      : drawing.geometryType === "point"
+        ? "Click the map to move the point."
+        : `${vertexCount} ${vertexCount === 1 ? "vertex" : "vertices"}. `
+          + "Click to add, Backspace to undo, double-click or Enter to finish.");
+
   return (
-    <div ref={infoRef} className="mapDistanceInfo" role="status">
-      <span>{children}</span>
+    <div ref={infoRef} className="mapDistanceInfo mapDrawingInfo" role="status">
+      <span>{instructions}</span>
+      <select
+        aria-label="Dataset for the drawn feature"
+        value={drawing.datasetId ?? ""}
+        disabled={drawing.saving}
+        onChange={(event) => onDatasetChange(event.target.value)}
+      >
+        {!drawing.datasetId && <option value="">Choose dataset</option>}
+        {datasets.map((dataset) => (
+          <option key={dataset.id} value={dataset.id}>{dataset.name}</option>
+        ))}
+      </select>
+      <button
+        type="button"
+        className="mapDrawingFinishButton"
+        disabled={drawing.saving || !getFeatureDrawingRequest(drawing)}
+        onClick={onFinish}
+      >
+        Finish
+      </button>
       <button
         type="button"
-        aria-label="Clear distance measurement"
-        onClick={onClear}
+        aria-label="Cancel drawing"
+        disabled={drawing.saving}
+        onClick={onCancel}
       >
         ×
       </button>
@@ -59,10 +233,17 @@ function DistanceMeasurementInfo({ children, onClear }) {
   );
 }
 
-/** Add coordinate, distance, and optional zone-editing actions to the Leaflet map. */
+/**
+ * Add coordinate, measurement, drawing, and optional zone-editing actions to
+ * the Leaflet map. Drawing, and saving a measurement as a line or region, is
+ * offered when `onFeatureDrawn` can store a feature in one of `drawDatasets`;
+ * it resolves once the feature is saved.
+ */
 export default function MapCoordinateControls({
   zoneEditingEnabled = false,
   onZoneEditingToggle,
+  drawDatasets = [],
+  onFeatureDrawn,
 }) {
   const map = useMap();
   const contextMenuRef = useRef(null);
@@ -72,7 +253,15 @@ export default function MapCoordinateControls({
   const [latitude, setLatitude] = useState("");
   const [longitude, setLongitude] = useState("");
   const [errors, setErrors] = useState({ latitude: null, longitude: null });
-  const [measurement, setMeasurement] = useState(null);
+  const [measurements, setMeasurements] = useState(clearMeasurements);
+  const [measurementSaves, setMeasurementSaves] = useState({});
+  const [drawing, setDrawing] = useState(null);
+  const [lastDrawDatasetId, setLastDrawDatasetId] = useState(null);
+  const drawingAvailable = typeof onFeatureDrawn === "function" && drawDatasets.length > 0;
+  const measuring = !!getActiveMeasurement(measurements);
+  const drawDatasetId = drawDatasets.some((dataset) => dataset.id === lastDrawDatasetId)
+    ? lastDrawDatasetId
+    : drawDatasets[0]?.id ?? null;
 
   useEffect(() => {
     const mapContainer = map.getContainer();
@@ -80,6 +269,8 @@ export default function MapCoordinateControls({
     /** Replace the browser menu and retain both the geographic and screen positions. */
     function handleContextMenu(event) {
       event.preventDefault();
+      // Right-clicking a zone vertex handle deletes that vertex instead.
+      if (event.target?.closest?.(`.${ZONE_VERTEX_HANDLE_CLASS}`)) return;
       const latLng = map.mouseEventToLatLng(event);
       setContextMenu({
         text: formatCoordinatePair(latLng.lat, latLng.lng),
@@ -115,33 +306,114 @@ export default function MapCoordinateControls({
   }, [contextMenu]);
 
   useEffect(() => {
-    if (!measurement || measurement.end) return undefined;
+    if (!measuring) return undefined;
 
-    /** Complete the active measurement with exactly one ordinary map click. */
-    function handleMapClick(event) {
-      setMeasurement((current) => completeDistanceMeasurement(
+    /** Place measurement vertices with ordinary clicks and finish on double-click. */
+    function handleMeasurementClick(event) {
+      setMeasurements((current) => addMeasurementVertex(
         current,
         { lat: event.latlng.lat, lng: event.latlng.lng },
       ));
     }
 
-    map.on("click", handleMapClick);
-    return () => map.off("click", handleMapClick);
-  }, [map, measurement]);
-
-  useEffect(() => {
-    if (!measurement || measurement.end) return undefined;
+    function handleMeasurementDoubleClick() {
+      setMeasurements(finishMeasurement);
+    }
 
-    /** Let Escape cancel only a measurement that is waiting for its endpoint. */
+    /** Escape cancels, Backspace removes a vertex, and Enter finishes the measurement. */
     function handleMeasurementKeyDown(event) {
       if (event.key === "Escape") {
-        setMeasurement(cancelIncompleteDistanceMeasurement);
+        setMeasurements(cancelActiveMeasurement);
+        return;
+      }
+      // Form controls in the measurement panel keep their own keyboard behaviour.
+      if (event.target?.closest?.("input, select, textarea, button")) return;
+      if (event.key === "Backspace") {
+        event.preventDefault();
+        setMeasurements(removeLastMeasurementVertex);
+      } else if (event.key === "Enter") {
+        event.preventDefault();
+        setMeasurements(finishMeasurement);
       }
     }
 
+    // A finishing double-click would otherwise also zoom the map.
+    const doubleClickZoomEnabled = map.doubleClickZoom.enabled();
+    map.doubleClickZoom.disable();
+    map.on("click", handleMeasurementClick);
+    map.on("dblclick", handleMeasurementDoubleClick);
     document.addEventListener("keydown", handleMeasurementKeyDown);
-    return () => document.removeEventListener("keydown", handleMeasurementKeyDown);
-  }, [measurement]);
+    return () => {
+      map.off("click", handleMeasurementClick);
+      map.off("dblclick", handleMeasurementDoubleClick);
+      document.removeEventListener("keydown", handleMeasurementKeyDown);
+      if (doubleClickZoomEnabled) map.doubleClickZoom.enable();
+    };
+  }, [map, measuring]);
+
+  /** Store a complete sketch; failures stay on screen so the sketch is not lost. */
+  const finishDrawing = useCallback(async () => {
+    const request = getFeatureDrawingRequest(drawing);
+    if (!request || drawing.saving) return;
+    setDrawing((current) => ({ ...current, saving: true, error: null }));
+    try {
+      await onFeatureDrawn(request);
+      setLastDrawDatasetId(request.datasetId);
+      setDrawing(null);
+    } catch (error) {
+      setDrawing((current) => current && {
+        ...current,
+        saving: false,
+        error: error?.message ? String(error.message) : "Could not add the drawn feature.",
+      });
+    }
+  }, [drawing, onFeatureDrawn]);
+
+  useEffect(() => {
+    if (!drawing || drawing.saving) return undefined;
+
+    /** Place sketch vertices with ordinary clicks and finish on double-click. */
+    function handleDrawingClick(event) {
+      setDrawing((current) => addFeatureDrawingVertex(
+        current,
+        { lat: event.latlng.lat, lng: event.latlng.lng },
+      ));
+    }
+
+    function handleDrawingDoubleClick() {
+      finishDrawing();
+    }
+
+    /** Escape cancels, Backspace removes a vertex, and Enter finishes the sketch. */
+    function handleDrawingKeyDown(event) {
+      if (event.key === "Escape") {
+        setDrawing(null);
+        return;
+      }
+      // Form controls in the drawing panel keep their own keyboard behaviour.
+      if (event.target?.closest?.("input, select, textarea, button")) return;
+      if (event.key === "Backspace") {
+        event.preventDefault();
+        setDrawing(removeLastFeatureDrawingVertex);
+      } else if (event.key === "Enter") {
+        event.preventDefault();
+        finishDrawing();
+      }
+    }
+
+    // A finishing double-click would otherwise also zoom the map.
+    const doubleClickZoomEnabled = map.doubleClickZoom.enabled();
+    map.doubleClickZoom.disable();
+    map.on("click", handleDrawingClick);
+    map.on("dblclick", handleDrawingDoubleClick);
+    document.addEventListener("keydown", handleDrawingKeyDown);
+    return () => {
+      map.off("click", handleDrawingClick);
+      map.off("dblclick", handleDrawingDoubleClick);
+      document.removeEventListener("keydown", handleDrawingKeyDown);
+      if (doubleClickZoomEnabled) map.doubleClickZoom.enable();
+    };
+  }, [map, drawing, finishDrawing]);
 
   useEffect(() => {
     if (!dialogOpen) return undefined;
@@ -172,11 +444,27 @@ export default function MapCoordinateControls({
     }
   }
 
-  /** Replace any previous measurement with the context-menu position. */
-  function startMeasurement() {
+  /** Start a measurement at the context-menu position beside any finished ones. */
+  function startMeasurement(kind) {
+    const start = contextMenu?.latLng;
+    setContextMenu(null);
+    if (!start) return;
+    setDrawing(null);
+    setMeasurements((current) => startMeasurementAt(current, kind, start));
+  }
+
+  /** Begin a sketch at the context-menu position in the last chosen dataset. */
+  function startDrawing(geometryType) {
     const start = contextMenu?.latLng;
     setContextMenu(null);
-    if (start) setMeasurement(startDistanceMeasurement(start));
+    if (!start) return;
+    setMeasurements(cancelActiveMeasurement);
+    setDrawing(startFeatureDrawing(geometryType, start, drawDatasetId));
+  }
+
+  function changeDrawingDataset(datasetId) {
+    setLastDrawDatasetId(datasetId || null);
+    setDrawing((current) => setFeatureDrawingDataset(current, datasetId));
   }
 
   /** Toggle the intentionally temporary edit mode from the existing map menu. */
@@ -185,17 +473,67 @@ export default function MapCoordinateControls({
     onZoneEditingToggle?.(!zoneEditingEnabled);
   }
 
-  /** Update one geographic endpoint continuously during a marker drag. */
-  function handleEndpointDrag(endpoint, event) {
+  /** Update one geographic vertex continuously during a marker drag. */
+  function handleVertexDrag(id, vertexIndex, event) {
     const latLng = event.target.getLatLng();
     // Geographic state keeps the measurement stable through map pans and zooms.
-    setMeasurement((current) => moveDistanceEndpoint(current, endpoint, latLng));
+    setMeasurements((current) => moveMeasurementVertex(current, id, vertexIndex, latLng));
+    forgetMeasurementSave(id);
+  }
+
+  /** Drop a save result once its measurement changes or goes away. */
+  function forgetMeasurementSave(id) {
+    setMeasurementSaves((current) => {
+      if (!(id in current)) return current;
+      const next = { ...current };
+      delete next[id];
+      return next;
+    });
+  }
+
+  /** Remove one measurement, or cancel the one still taking vertices. */
+  function removeMeasurementById(id) {
+    setMeasurements((current) => removeMeasurement(current, id));
+    forgetMeasurementSave(id);
+  }
+
+  /** Remove every temporary measurement without touching map or dataset state. */
+  function clearAllMeasurements() {
+    // Every measurement layer derives from this state and unmounts together.
+    setMeasurements(clearMeasurements());
+    setMeasurementSaves({});
+  }
+
+  /** Copy the measurement's vertices, one coordinate pair per line. */
+  async function copyMeasurement(measurement) {
+    try {
+      if (!globalThis.navigator?.clipboard?.writeText) {
+        throw new Error("Clipboard writing is unavailable.");
+      }
+      await globalThis.navigator.clipboard.writeText(formatMeasurementCoordinates(measurement));
+    } catch (error) {
+      console.error("Could not copy measurement coordinates.", error);
+    }
   }
 
-  /** Remove the complete temporary measurement without touching map or dataset state. */
-  function clearMeasurement() {
-    // Every measurement layer derives from this one state object and unmounts together.
-    setMeasurement(clearDistanceMeasurement());
+  /** Store a finished measurement as a line or region in the chosen dataset. */
+  async function saveMeasurement(measurement) {
+    const request = getMeasurementFeatureRequest(measurement, drawDatasetId);
+    if (!request) return;
+    const setSaveState = (state) => setMeasurementSaves((current) => ({
+      ...current,
+      [measurement.id]: state,
+    }));
+    setSaveState({ status: "saving" });
+    try {
+      await onFeatureDrawn(request);
+      setSaveState({ status: "saved" });
+    } catch (error) {
+      setSaveState({
+        status: "error",
+        error: error?.message ? String(error.message) : "Could not save the measurement.",
+      });
+    }
   }
 
   /** Open a fresh coordinate dialog and discard values from any earlier visit. */
@@ -240,46 +578,104 @@ export default function MapCoordinateControls({
 
   if (typeof document === "undefined") return null;
 
-  const distanceText = measurement?.end
-    // Leaflet calculates geographic distance from latitude and longitude.
-    ? `Total distance: ${formatMetricDistance(map.distance(measurement.start, measurement.end))}`
-    : "Click the map to place the second point.";
+  const drawingPositions = drawing?.vertices.map((vertex) => [vertex.lat, vertex.lng]) ?? [];
 
   return (
     <>
-      {measurement && (
-        <>
-          <Marker
-            position={measurement.start}
-            icon={DISTANCE_ENDPOINT_ICON}
-            draggable={!!measurement.end}
-            bubblingMouseEvents={false}
-            eventHandlers={{
-              drag: (event) => handleEndpointDrag("start", event),
-            }}
-          />
-          {measurement.end && (
-            <>
+      {measurements.map((measurement) => {
+        const positions = measurement.vertices.map((vertex) => [vertex.lat, vertex.lng]);
+        const { cumulativeDistances } = getMeasurementSummary(measurement);
+        return (
+          <Fragment key={measurement.id}>
+            {measurement.kind === "area" && positions.length >= 3 ? (
+              <Polygon
+                positions={positions}
+                pathOptions={MEASUREMENT_PATH_STYLE}
+                interactive={false}
+              />
+            ) : positions.length >= 2 && (
               <Polyline
-                positions={[measurement.start, measurement.end]}
-                pathOptions={{ color: "#0284c7", weight: 4, opacity: 0.95 }}
+                positions={positions}
+                pathOptions={MEASUREMENT_PATH_STYLE}
                 interactive={false}
               />
+            )}
+            {measurement.vertices.map((vertex, vertexIndex) => (
               <Marker
-                position={measurement.end}
+                key={vertexIndex}
+                position={vertex}
                 icon={DISTANCE_ENDPOINT_ICON}
-                draggable
+                draggable={measurement.complete}
                 bubblingMouseEvents={false}
                 eventHandlers={{
-                  drag: (event) => handleEndpointDrag("end", event),
+                  drag: (event) => handleVertexDrag(measurement.id, vertexIndex, event),
                 }}
-              />
-            </>
+              >
+                {/* Paths label each later vertex with the distance walked so far. */}
+                {measurement.kind === "path" && vertexIndex > 0 && (
+                  <Tooltip
+                    permanent
+                    direction="right"
+                    offset={[8, 0]}
+                    className="mapMeasurementTooltip"
+                  >
+                    {formatMetricDistance(cumulativeDistances[vertexIndex])}
+                  </Tooltip>
+                )}
+              </Marker>
+            ))}
+          </Fragment>
+        );
+      })}
+      {measurements.length > 0 && createPortal(
+        <MeasurementInfo
+          measurements={measurements}
+          datasets={drawingAvailable ? drawDatasets : []}
+          datasetId={drawDatasetId}
+          saveStates={measurementSaves}
+          onDatasetChange={(datasetId) => setLastDrawDatasetId(datasetId || null)}
+          onCopy={copyMeasurement}
+          onSave={saveMeasurement}
+          onRemove={removeMeasurementById}
+          onClear={clearAllMeasurements}
+        />,
+        map.getContainer(),
+      )}
+
+      {drawing && (
+        <>
+          {drawing.geometryType === "region" && drawingPositions.length >= 3 && (
+            <Polygon
+              positions={drawingPositions}
+              pathOptions={DRAWING_PATH_STYLE}
+              interactive={false}
+            />
+          )}
+          {drawing.geometryType !== "point" && drawingPositions.length >= 2
+            && !(drawing.geometryType === "region" && drawingPositions.length >= 3) && (
+            <Polyline
+              positions={drawingPositions}
+              pathOptions={DRAWING_PATH_STYLE}
+              interactive={false}
+            />
           )}
+          {drawingPositions.map((position, index) => (
+            <CircleMarker
+              key={index}
+              center={position}
+              radius={5}
+              pathOptions={DRAWING_VERTEX_STYLE}
+              interactive={false}
+            />
+          ))}
           {createPortal(
-            <DistanceMeasurementInfo onClear={clearMeasurement}>
-              {distanceText}
-            </DistanceMeasurementInfo>,
+            <FeatureDrawingInfo
+              drawing={drawing}
+              datasets={drawDatasets}
+              onDatasetChange={changeDrawingDataset}
+              onFinish={finishDrawing}
+              onCancel={() => setDrawing(null)}
+            />,
             map.getContainer(),
           )}
         </>
@@ -301,9 +697,26 @@ export default function MapCoordinateControls({
           <button type="button" role="menuitem" onClick={openDialog}>
             Go to coordinates…
           </button>
-          <button type="button" role="menuitem" onClick={startMeasurement}>
-            Measure distance
-          </button>
+          {MEASUREMENT_TYPES.map(({ kind, label }) => (
+            <button
+              key={kind}
+              type="button"
+              role="menuitem"
+              onClick={() => startMeasurement(kind)}
+            >
+              {label}
+            </button>
+          ))}
+          {drawingAvailable && FEATURE_DRAWING_TYPES.map(({ geometryType, label }) => (
+            <button
+              key={geometryType}
+              type="button"
+              role="menuitem"
+              onClick={() => startDrawing(geometryType)}
+            >
+              {label}
+            </button>
+          ))}
           {typeof onZoneEditingToggle === "function" && (
             <button type="button" role="menuitem" onClick={toggleZoneEditing}>
               {zoneEditingEnabled ? "Disable zone editing" : "Enable zone editing"}
@@ -0,0 +1,148 @@
+import { useEffect, useRef, useState } from "react";
+import L from "leaflet";
+import { useMap } from "react-leaflet";
+import {
+  MAX_FEATURE_SEARCH_TEXT_LENGTH,
+  buildFeatureSearchMatch,
+  formatFeatureSearchYears,
+} from "./featureSearch";
+
+const SEARCH_DEBOUNCE_MS = 250;
+const RESULT_MAX_ZOOM = 16;
+const POINT_RESULT_MIN_ZOOM = 14;
+const GEOMETRY_LABELS = { point: "Point", line: "Line", region: "Region" };
+
+/**
+ * Search every enabled dataset from a box on the map. Choosing a result moves
+ * the map to it and selects it through `onSelect`, so the details panel loads
+ * its source row the same way as a marker click.
+ */
+export default function MapFeatureSearch({ searchFeatures, onSelect }) {
+  const map = useMap();
+  const containerRef = useRef(null);
+  const [text, setText] = useState("");
+  const [search, setSearch] = useState({
+    text: "",
+    status: "idle",
+    results: [],
+    hasMore: false,
+  });
+  const searchable = buildFeatureSearchMatch(text) !== null;
+
+  useEffect(() => {
+    if (!containerRef.current) return;
+    // Typing, scrolling results, and choosing one must not pan or zoom the map.
+    L.DomEvent.disableClickPropagation(containerRef.current);
+    L.DomEvent.disableScrollPropagation(containerRef.current);
+  }, []);
+
+  useEffect(() => {
+    if (!searchable) return undefined;
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      setSearch((current) => ({ ...current, text, status: "loading" }));
+      Promise.resolve(searchFeatures({ text })).then((result) => {
+        if (cancelled) return;
+        setSearch({
+          text,
+          status: "loaded",
+          results: result?.results ?? [],
+          hasMore: result?.hasMore === true,
+        });
+      }).catch(() => {
+        if (cancelled) return;
+        setSearch({ text, status: "error", results: [], hasMore: false });
+      });
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchFeatures, searchable, text]);
+
+  /** Frame the chosen feature and open its details. */
+  function chooseResult(result) {
+    if (result.bounds) {
+      map.fitBounds(
+        [
+          [result.bounds.south, result.bounds.west],
+          [result.bounds.north, result.bounds.east],
+        ],
+        { maxZoom: RESULT_MAX_ZOOM },
+      );
+    } else {
+      map.setView(
+        [result.lat, result.lon],
+        Math.max(map.getZoom(), POINT_RESULT_MIN_ZOOM),
+      );
+    }
+    onSelect?.({
+      id: result.featureId
+        ?? `${result.sourceRef.datasetId}:${result.sourceRef.rowIndex}`,
+      renderType: "exact",
+      geometryType: result.geometryType,
+      lat: result.lat,
+      lon: result.lon,
+      sourceRef: result.sourceRef,
+    });
+  }
+
+  function handleKeyDown(event) {
+    if (event.key === "Escape") setText("");
+  }
+
+  // Results for earlier text stay hidden until the current text is searched.
+  const current = searchable && search.text === text;
+  const showResults = current && search.status !== "loading";
+
+  return (
+    <div ref={containerRef} className="mapFeatureSearch">
+      <input
+        type="search"
+        placeholder="Search features…"
+        aria-label="Search features in enabled datasets"
+        autoComplete="off"
+        maxLength={MAX_FEATURE_SEARCH_TEXT_LENGTH}
+        value={text}
+        onChange={(event) => setText(event.target.value)}
+        onKeyDown={handleKeyDown}
+      />
+      {searchable && !showResults && (
+        <div className="mapFeatureSearchStatus" role="status">Searching…</div>
+      )}
+      {showResults && search.status === "error" && (
+        <div className="mapFeatureSearchStatus" role="status">Search failed.</div>
+      )}
+      {showResults && search.status === "loaded" && search.results.length === 0 && (
+        <div className="mapFeatureSearchStatus" role="status">No matching features.</div>
+      )}
+      {showResults && search.results.length > 0 && (
+        <ul className="mapFeatureSearchResults" aria-label="Search results">
+          {search.results.map((result) => {
+            const years = formatFeatureSearchYears(result.startYear, result.endYear);
+            return (
+              <li
+                key={`${result.sourceRef.datasetId}:${result.sourceRef.rowIndex}:${result.featureId ?? ""}`}
+              >
+                <button type="button" onClick={() => chooseResult(result)}>
+                  <span className="mapFeatureSearchName">{result.name}</span>
+                  <span className="mapFeatureSearchMeta">
+                    {GEOMETRY_LABELS[result.geometryType]} · {result.datasetName}
+                    {years && ` · ${years}`}
+                  </span>
+                </button>
+              </li>
+            );
+          })}
+          {search.hasMore && (
+            <li className="mapFeatureSearchStatus">
+              More matches; add words to narrow the search.
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import { useEffect, useRef } from "react";
+import L from "leaflet";
+
+const KIND_LABELS = {
+  category: "Colour",
+  graduated: "Colour",
+  size: "Size",
+};
+
+/**
+ * Map legend generated from the active style rules, one section per rule.
+ * Entries come from each rule's dataset-wide column summary, so the legend
+ * stays the same while the map pans.
+ */
+export default function MapStyleLegend({ sections }) {
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!containerRef.current) return;
+    // Scrolling a long legend must not zoom the map.
+    L.DomEvent.disableClickPropagation(containerRef.current);
+    L.DomEvent.disableScrollPropagation(containerRef.current);
+  }, []);
+
+  return (
+    <div ref={containerRef} className="mapStyleLegend" aria-label="Map legend">
+      {sections.map((section) => (
+        <section key={section.key} className="mapStyleLegendSection">
+          <div className="mapStyleLegendTitle">
+            {section.field}
+            <span className="mapStyleLegendMeta">
+              {KIND_LABELS[section.kind]} · {section.datasetName}
+            </span>
+          </div>
+          {section.entries.length === 0 && (
+            <div className="mapStyleLegendMeta">No values to style.</div>
+          )}
+          <ul className="mapStyleLegendEntries">
+            {section.entries.map((entry, index) => (
+              // A category may itself be named "Other", so labels are not unique.
+              <li key={`${index}:${entry.label}`}>
+                <span className="mapStyleLegendSymbol" aria-hidden="true">
+                  <span
+                    className="mapStyleLegendSwatch"
+                    style={entry.radius == null
+                      ? { background: entry.color }
+                      : { width: entry.radius * 2, height: entry.radius * 2 }}
+                  />
+                </span>
+                <span className="mapStyleLegendLabel">{entry.label}</span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+}
@@ -43,6 +43,9 @@ const BUILT_IN_BACKGROUND_IDS = Object.freeze({
   osm: "builtin:osm",
   satellite: "builtin:satellite",
 });
+const BUILT_IN_OVERLAY_IDS = Object.freeze({
+  labelsBoundaries: "builtin:labelsBoundaries",
+});
 const DEFAULT_FORM = Object.freeze({
   name: "",
   url: "",
@@ -51,14 +54,29 @@ const DEFAULT_FORM = Object.freeze({
   type: "background",
 });
 
-/** Own built-in and custom raster layer registration without changing CSV map layers. */
-export default function MapTileLayers() {
+/**
+ * Own built-in and custom raster layer registration without changing CSV map layers.
+ * The initial layers come from a shared link; custom ones that do not exist
+ * once saved layers have loaded fall back to the defaults.
+ */
+export default function MapTileLayers({
+  initialBackgroundId = BUILT_IN_BACKGROUND_IDS.osm,
+  initialOverlayIds = [],
+  onLayersChange,      // Receives { backgroundId, overlayIds } after each change
+}) {
   const { BaseLayer, Overlay } = LayersControl;
   const addButtonRef = useRef(null);
   const desktopBridge = getDesktopCustomTileBridge();
   const [customLayers, setCustomLayers] = useState([]);
-  const [activeBackgroundId, setActiveBackgroundId] = useState(BUILT_IN_BACKGROUND_IDS.osm);
-  const [enabledOverlayIds, setEnabledOverlayIds] = useState([]);
+  const [activeBackgroundId, setActiveBackgroundId] = useState(() => (
+    // Without the desktop bridge no custom layers will ever load.
+    isBuiltInLayerId(initialBackgroundId) || desktopBridge
+      ? initialBackgroundId
+      : BUILT_IN_BACKGROUND_IDS.osm
+  ));
+  const [enabledOverlayIds, setEnabledOverlayIds] = useState(() => (
+    initialOverlayIds.filter((id) => isBuiltInLayerId(id) || desktopBridge)
+  ));
   const [tileWarnings, setTileWarnings] = useState({});
   const [persistenceWarning, setPersistenceWarning] = useState(null);
   const [dialogOpen, setDialogOpen] = useState(false);
@@ -71,9 +89,19 @@ export default function MapTileLayers() {
     let active = true;
     bridge.loadCustomTileLayers().then((result) => {
       if (!active) return;
-      if (result?.ok) {
+      const layers = result?.ok
         // Revalidate across the IPC boundary before registering any saved URL.
-        setCustomLayers(normalizePersistedCustomTileLayers(result.layers));
+        ? normalizePersistedCustomTileLayers(result.layers)
+        : [];
+      const layerIds = new Set(layers.map((layer) => layer.id));
+      setActiveBackgroundId((current) => (
+        isBuiltInLayerId(current) || layerIds.has(current) ? current : BUILT_IN_BACKGROUND_IDS.osm
+      ));
+      setEnabledOverlayIds((current) => current.filter((id) => (
+        isBuiltInLayerId(id) || layerIds.has(id)
+      )));
+      if (result?.ok) {
+        setCustomLayers(layers);
       } else {
         setPersistenceWarning(
           "Saved custom tile layers could not be loaded. Custom tile-layer changes may not survive an application restart. Built-in map layers remain available.",
@@ -179,6 +207,13 @@ export default function MapTileLayers() {
     };
   }
 
+  useEffect(() => {
+    onLayersChange?.({
+      backgroundId: activeBackgroundId,
+      overlayIds: enabledOverlayIds,
+    });
+  }, [activeBackgroundId, enabledOverlayIds, onLayersChange]);
+
   const customBackgrounds = customLayers.filter((layer) => layer.type === "background");
   const customOverlays = customLayers.filter((layer) => layer.type === "overlay");
 
@@ -239,12 +274,25 @@ export default function MapTileLayers() {
           </BaseLayer>
         ))}
 
-        <Overlay name={BUILT_IN_TILESETS.labelsBoundaries.name} checked={false}>
+        <Overlay
+          name={BUILT_IN_TILESETS.labelsBoundaries.name}
+          checked={enabledOverlayIds.includes(BUILT_IN_OVERLAY_IDS.labelsBoundaries)}
+        >
           <TileLayer
             attribution={BUILT_IN_TILESETS.labelsBoundaries.attribution}
             url={BUILT_IN_TILESETS.labelsBoundaries.url}
             maxZoom={BUILT_IN_TILESETS.labelsBoundaries.maxZoom}
             opacity={1}
+            eventHandlers={{
+              add: () => setEnabledOverlayIds((current) => (
+                current.includes(BUILT_IN_OVERLAY_IDS.labelsBoundaries)
+                  ? current
+                  : [...current, BUILT_IN_OVERLAY_IDS.labelsBoundaries]
+              )),
+              remove: () => setEnabledOverlayIds((current) => (
+                current.filter((id) => id !== BUILT_IN_OVERLAY_IDS.labelsBoundaries)
+              )),
+            }}
           />
         </Overlay>
 
@@ -292,6 +340,11 @@ export default function MapTileLayers() {
   );
 }
 
+function isBuiltInLayerId(id) {
+  return Object.values(BUILT_IN_BACKGROUND_IDS).includes(id)
+    || Object.values(BUILT_IN_OVERLAY_IDS).includes(id);
+}
+
 /** Place the custom-layer action first inside Leaflet's generated layer picker. */
 function AddCustomTileLayerControl({ buttonRef, disabled, onOpen }) {
   const map = useMap();
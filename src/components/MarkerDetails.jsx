@@ -2,18 +2,26 @@ import { useCallback, useEffect, useRef, useState } from 'react';
 
 import { DEFAULT_GROUP_ROWS_LIMIT } from '../data/dataSource';
 import { MarkerDetailInlineContent } from './MarkerDetailInlineRenderer';
-import { buildMarkerDetailFields } from './markerDetailFields';
+import {
+  buildEditableMarkerDetailFields,
+  buildMarkerDetailFields,
+  getChangedMarkerDetailValues,
+} from './markerDetailFields';
 import {
   createInlineImageBudget,
   prepareMarkerDetailInlineContent,
 } from './markerDetailInlineContent';
 
+// Search results for lines and regions open through the same detail view.
+const POINT_DETAIL_HEADINGS = { line: 'Line', region: 'Region' };
+
 export function PointMarkerDetails({
   point,
   latField,
   lonField,
   getSourceRow,
   getFeatureDetails,
+  updateSourceRow,
   isActive = true,
 }) {
   const requestVersionRef = useRef(0);
@@ -76,7 +84,9 @@ export function PointMarkerDetails({
 
   return (
     <div style={{ minWidth: 220 }}>
-      <div style={{ fontWeight: 700, marginBottom: 6 }}>Point</div>
+      <div style={{ fontWeight: 700, marginBottom: 6 }}>
+        {POINT_DETAIL_HEADINGS[point.geometryType] ?? 'Point'}
+      </div>
 
       <div>
         <b>lat:</b> {point.lat}
@@ -101,11 +111,23 @@ export function PointMarkerDetails({
 
       {isActive &&
         (!shouldLoadDetails || detailState.status === 'loaded') && (
-          <MarkerDetailFieldRows
+          <MarkerDetailRowEditor
             row={row}
             latField={resolvedLatField}
             lonField={resolvedLonField}
-          />
+            sourceRef={shouldLoadDetails ? point.sourceRef : null}
+            updateSourceRow={updateSourceRow}
+            onRowUpdated={(updatedRow) => setDetailState((current) => ({
+              ...current,
+              details: { ...current.details, row: updatedRow },
+            }))}
+          >
+            <MarkerDetailFieldRows
+              row={row}
+              latField={resolvedLatField}
+              lonField={resolvedLonField}
+            />
+          </MarkerDetailRowEditor>
         )}
     </div>
   );
@@ -119,6 +141,7 @@ export function NearbyMarkerDetails({
   points,
   getSourceRow,
   getFeatureDetails,
+  updateSourceRow,
 }) {
   return (
     <div style={{ minWidth: 280 }}>
@@ -133,6 +156,7 @@ export function NearbyMarkerDetails({
           index={index}
           getSourceRow={getSourceRow}
           getFeatureDetails={getFeatureDetails}
+          updateSourceRow={updateSourceRow}
         />
       ))}
     </div>
@@ -145,6 +169,7 @@ function NearbyMarkerDetailsItem({
   index,
   getSourceRow,
   getFeatureDetails,
+  updateSourceRow,
 }) {
   const [isOpen, setIsOpen] = useState(index === 0);
 
@@ -164,6 +189,7 @@ function NearbyMarkerDetailsItem({
           lonField={point.lonField}
           getSourceRow={getSourceRow}
           getFeatureDetails={getFeatureDetails}
+          updateSourceRow={updateSourceRow}
           isActive={isOpen}
         />
       </div>
@@ -362,6 +388,108 @@ function GroupedMarkerRow({ row, index }) {
   );
 }
 
+/**
+ * Show a row's read-only fields with an Edit values action for stored rows.
+ * Saving sends only changed values; the parent receives the stored row back.
+ */
+export function MarkerDetailRowEditor({
+  row,
+  latField,
+  lonField,
+  sourceRef,
+  updateSourceRow,
+  onRowUpdated,
+  children,
+}) {
+  const [editState, setEditState] = useState(null);
+  const canEdit = typeof updateSourceRow === 'function' && !!sourceRef && !!row;
+
+  if (!canEdit || !editState) {
+    return (
+      <>
+        {children}
+        {canEdit && (
+          <button
+            type='button'
+            className='markerDetailEditButton'
+            onClick={() => setEditState({
+              values: Object.fromEntries(
+                buildEditableMarkerDetailFields(row, latField, lonField),
+              ),
+              saving: false,
+              error: null,
+            })}
+          >
+            Edit values
+          </button>
+        )}
+      </>
+    );
+  }
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    const values = getChangedMarkerDetailValues(row, editState.values);
+    if (!values) {
+      setEditState(null);
+      return;
+    }
+    setEditState((current) => ({ ...current, saving: true, error: null }));
+    try {
+      const result = await updateSourceRow({ sourceRef, values });
+      onRowUpdated?.(result.row);
+      setEditState(null);
+    } catch (error) {
+      setEditState((current) => current && {
+        ...current,
+        saving: false,
+        error: error?.message
+          ? String(error.message)
+          : 'Could not save the edited values.',
+      });
+    }
+  }
+
+  return (
+    <form className='markerDetailEditForm' onSubmit={handleSubmit}>
+      {Object.entries(editState.values).map(([key, value]) => (
+        <label key={key} className='markerDetailEditField'>
+          <b>{key}</b>
+          <input
+            type='text'
+            value={value}
+            disabled={editState.saving}
+            onChange={(event) => {
+              const nextValue = event.target.value;
+              setEditState((current) => ({
+                ...current,
+                values: { ...current.values, [key]: nextValue },
+              }));
+            }}
+          />
+        </label>
+      ))}
+      {editState.error && (
+        <div className='markerDetailEditError' role='alert'>
+          {editState.error}
+        </div>
+      )}
+      <div className='markerDetailEditActions'>
+        <button type='submit' disabled={editState.saving}>
+          {editState.saving ? 'Saving...' : 'Save'}
+        </button>
+        <button
+          type='button'
+          disabled={editState.saving}
+          onClick={() => setEditState(null)}
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
 /**
  * Prepare every field with one shared budget so at most ten images mount per row.
  * Preparing in the parent keeps the budget deterministic across React renders.
@@ -17,6 +17,7 @@ export function MarkerDetailsPanel({
   getSourceRow,
   getFeatureDetails,
   getGroupRows,
+  updateSourceRow,
   isCollapsed,
   onToggleCollapse,
   onClose,
@@ -134,6 +135,7 @@ export function MarkerDetailsPanel({
             points={markers}
             getSourceRow={getSourceRow}
             getFeatureDetails={getFeatureDetails}
+            updateSourceRow={updateSourceRow}
           />
         ) : grouped ? (
           <GroupedMarkerDetails
@@ -150,6 +152,7 @@ export function MarkerDetailsPanel({
             lonField={marker.lonField}
             getSourceRow={getSourceRow}
             getFeatureDetails={getFeatureDetails}
+            updateSourceRow={updateSourceRow}
             isActive
           />
         )}
@@ -0,0 +1,106 @@
+/** Column comparisons offered by the attribute filter builder, in menu order. */
+export const ATTRIBUTE_FILTER_OPERATORS = Object.freeze([
+  { operator: "equals", label: "equals" },
+  { operator: "contains", label: "contains" },
+  { operator: "range", label: "is between" },
+  { operator: "empty", label: "is empty" },
+]);
+
+/** Upper bound on filters sent with one map query. */
+export const MAX_ATTRIBUTE_FILTERS = 50;
+
+const OPERATOR_NAMES = new Set(
+  ATTRIBUTE_FILTER_OPERATORS.map(({ operator }) => operator),
+);
+
+let nextDraftId = 1;
+
+/** Start an `equals` filter on one dataset column, ready for a value. */
+export function createAttributeFilterDraft(datasetId, field) {
+  const id = `attribute-filter-${nextDraftId}`;
+  nextDraftId += 1;
+  return {
+    id,
+    datasetId,
+    field: field ?? "",
+    operator: "equals",
+    value: "",
+    min: "",
+    max: "",
+  };
+}
+
+/**
+ * Keep complete attribute filters in a stable order. Incomplete entries, such
+ * as a text comparison without a value or a range without either bound, are
+ * dropped instead of matching everything or nothing. Text values are trimmed;
+ * range bounds are parsed as numbers and swapped when given in reverse.
+ *
+ * @param {unknown} value Draft or query filters.
+ * @returns {Array<{
+ *   datasetId: string,
+ *   field: string,
+ *   operator: "equals"|"contains"|"range"|"empty",
+ *   value?: string,
+ *   min?: number|null,
+ *   max?: number|null,
+ * }>}
+ */
+export function normalizeAttributeFilters(value) {
+  if (!Array.isArray(value)) return [];
+  const filters = [];
+  for (const entry of value.slice(0, MAX_ATTRIBUTE_FILTERS)) {
+    const filter = normalizeAttributeFilter(entry);
+    if (filter) filters.push(filter);
+  }
+  return filters;
+}
+
+/**
+ * Build the map-query filter list from panel drafts, keeping only complete
+ * filters on datasets that are still loaded.
+ */
+export function getAttributeFilterQuery(drafts, datasetIds) {
+  const loaded = new Set(datasetIds ?? []);
+  return normalizeAttributeFilters(
+    (drafts ?? []).filter((draft) => loaded.has(draft?.datasetId)),
+  );
+}
+
+function normalizeAttributeFilter(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return null;
+  const datasetId = normalizeNullableString(value.datasetId);
+  const field = typeof value.field === "string" && value.field.trim()
+    ? value.field
+    : null;
+  const operator = OPERATOR_NAMES.has(value.operator) ? value.operator : null;
+  if (!datasetId || !field || !operator) return null;
+
+  if (operator === "empty") return { datasetId, field, operator };
+  if (operator === "range") {
+    const min = normalizeNullableNumber(value.min);
+    const max = normalizeNullableNumber(value.max);
+    if (min == null && max == null) return null;
+    return {
+      datasetId,
+      field,
+      operator,
+      min: min != null && max != null ? Math.min(min, max) : min,
+      max: min != null && max != null ? Math.max(min, max) : max,
+    };
+  }
+  const text = normalizeNullableString(value.value);
+  return text ? { datasetId, field, operator, value: text } : null;
+}
+
+function normalizeNullableNumber(value) {
+  if (value == null) return null;
+  if (typeof value === "string" && !value.trim()) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function normalizeNullableString(value) {
+  if (typeof value !== "string") return null;
+  return value.trim() || null;
+}
@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import {
+  ATTRIBUTE_FILTER_OPERATORS,
+  MAX_ATTRIBUTE_FILTERS,
+  createAttributeFilterDraft,
+  getAttributeFilterQuery,
+  normalizeAttributeFilters,
+} from './attributeFilters.js';
+
+assert.deepEqual(
+  ATTRIBUTE_FILTER_OPERATORS.map(({ operator }) => operator),
+  ['equals', 'contains', 'range', 'empty'],
+);
+
+const first = createAttributeFilterDraft('dataset-1', 'kind');
+const second = createAttributeFilterDraft('dataset-1', 'kind');
+assert.notEqual(first.id, second.id);
+assert.deepEqual({ ...first, id: null }, {
+  id: null,
+  datasetId: 'dataset-1',
+  field: 'kind',
+  operator: 'equals',
+  value: '',
+  min: '',
+  max: '',
+});
+
+// Blank drafts and unknown operators do not filter.
+assert.deepEqual(normalizeAttributeFilters([
+  first,
+  { ...first, operator: 'range' },
+  { ...first, operator: 'like', value: 'x' },
+  { ...first, field: ' ', value: 'x' },
+  null,
+]), []);
+assert.deepEqual(normalizeAttributeFilters([
+  { ...first, value: ' Castle ' },
+  { ...first, operator: 'contains', value: 'ast' },
+  { ...first, operator: 'empty', value: 'ignored' },
+  { ...first, operator: 'range', min: '10', max: '-2.5' },
+  { ...first, operator: 'range', min: 'abc', max: '7' },
+]), [
+  { datasetId: 'dataset-1', field: 'kind', operator: 'equals', value: 'Castle' },
+  { datasetId: 'dataset-1', field: 'kind', operator: 'contains', value: 'ast' },
+  { datasetId: 'dataset-1', field: 'kind', operator: 'empty' },
+  { datasetId: 'dataset-1', field: 'kind', operator: 'range', min: -2.5, max: 10 },
+  { datasetId: 'dataset-1', field: 'kind', operator: 'range', min: null, max: 7 },
+]);
+assert.equal(
+  normalizeAttributeFilters(
+    Array.from({ length: MAX_ATTRIBUTE_FILTERS + 5 }, () => ({ ...first, value: 'x' })),
+  ).length,
+  MAX_ATTRIBUTE_FILTERS,
+);
+
+// Filters on removed datasets are left out of the map query.
+assert.deepEqual(getAttributeFilterQuery([
+  { ...first, value: 'a' },
+  { ...createAttributeFilterDraft('dataset-2', 'name'), value: 'b' },
+], ['dataset-2']), [
+  { datasetId: 'dataset-2', field: 'name', operator: 'equals', value: 'b' },
+]);
+
+console.log('Attribute filter smoke checks passed.');
@@ -0,0 +1,32 @@
+// Browser-only choice between a temporary and a persistent SQLite database.
+// Stored in localStorage because it must outlive the tab, unlike UI tool state.
+const STORAGE_KEY = "csv-map-layer-visualizer.browserStorage.v1";
+
+/** Read the saved browser database mode, defaulting to temporary. */
+export function readBrowserStoragePreference(storage = globalThis.localStorage) {
+  try {
+    return storage?.getItem(STORAGE_KEY) === "persistent" ? "persistent" : "temporary";
+  } catch {
+    return "temporary";
+  }
+}
+
+/**
+ * Save the browser database mode for the next page load.
+ * Returns false when storage is blocked so the UI can leave the toggle unchanged.
+ */
+export function writeBrowserStoragePreference(
+  persistence,
+  storage = globalThis.localStorage,
+) {
+  try {
+    if (persistence === "persistent") {
+      storage.setItem(STORAGE_KEY, "persistent");
+    } else {
+      storage.removeItem(STORAGE_KEY);
+    }
+    return true;
+  } catch {
+    return false;
+  }
+}
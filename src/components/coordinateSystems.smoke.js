@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import {
+  COORDINATE_SYSTEMS,
+  WGS84,
+  detectCoordinateSystem,
+  getCoordinateTransform,
+  normalizeCoordinateSystem,
+} from './coordinateSystems.js';
+
+const SWEREF = '+proj=utm +zone=33 +ellps=GRS80 +units=m +no_defs';
+
+// WGS 84 is the absent system; codes are canonical and custom strings must parse.
+assert.equal(normalizeCoordinateSystem(null), null);
+assert.equal(normalizeCoordinateSystem(' epsg:4326 '), null);
+assert.equal(normalizeCoordinateSystem('epsg:3006'), 'EPSG:3006');
+assert.equal(normalizeCoordinateSystem(`  ${SWEREF} `), SWEREF);
+assert.equal(normalizeCoordinateSystem('EPSG:9999'), undefined);
+assert.equal(normalizeCoordinateSystem('+proj=nonsense'), undefined);
+assert.equal(normalizeCoordinateSystem(3006), undefined);
+assert.equal(COORDINATE_SYSTEMS[0].code, WGS84);
+
+// Stockholm city hall in SWEREF 99 TM, RT90, and a custom UTM string.
+for (const [system, northing, easting] of [
+  ['EPSG:3006', 6580822, 674032],
+  ['EPSG:3021', 6580822, 1628293],
+  [SWEREF, 6580822, 674032],
+]) {
+  const transform = getCoordinateTransform(system);
+  const [lat, lon] = transform.toWgs84(northing, easting);
+  assert.equal(lat.toFixed(2), '59.33', system);
+  assert.equal(lon.toFixed(2), '18.06', system);
+  // Writing back lands within a centimetre; datum shifts do not invert exactly.
+  const [backNorthing, backEasting] = transform.fromWgs84(lat, lon);
+  assert.ok(Math.abs(backNorthing - northing) < 0.01, system);
+  assert.ok(Math.abs(backEasting - easting) < 0.01, system);
+}
+
+const [londonLat, londonLon] = getCoordinateTransform('EPSG:27700').toWgs84(180000, 530000);
+assert.equal(londonLat.toFixed(1), '51.5');
+assert.equal(londonLon.toFixed(1), '-0.1');
+
+// Degrees pass through unchanged; unusable input becomes invalid coordinates.
+assert.deepEqual(getCoordinateTransform(null).toWgs84(59.3, 18.1), [59.3, 18.1]);
+assert.deepEqual(getCoordinateTransform('EPSG:3006').toWgs84(NaN, 674032), [NaN, NaN]);
+assert.deepEqual(getCoordinateTransform('EPSG:9999').toWgs84(6580822, 674032), [NaN, NaN]);
+
+// Detection keeps degrees, and otherwise picks the first system nearly every sample fits.
+assert.equal(detectCoordinateSystem([[59.3, 18.1], [57.7, 11.9]]), null);
+assert.equal(detectCoordinateSystem([[6580822, 674032], [6400000, 320000]]), 'EPSG:3006');
+assert.equal(detectCoordinateSystem([[6580822, 1628293], [6400000, 1270000]]), 'EPSG:3021');
+assert.equal(detectCoordinateSystem([[180000, 530000], [665000, 325000]]), 'EPSG:27700');
+assert.equal(detectCoordinateSystem([[1, 2], [5e7, 5e7]]), null);
+assert.equal(detectCoordinateSystem([[10, 10], [0, 179], [999, 10]]), null);
+assert.equal(detectCoordinateSystem([[NaN, NaN]]), null);
+assert.equal(detectCoordinateSystem(null), null);
+
+console.log('Coordinate systems smoke test passed.');
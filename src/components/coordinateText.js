@@ -0,0 +1,163 @@
+/*
+ * Positions written into one CSV column.
+ *
+ * A dataset's coordinate mapping may name a single column holding both
+ * values instead of separate latitude and longitude columns. Cells may hold
+ * the decimal and DMS pairs the go-to box accepts, a WKT point, or a Google
+ * Maps link. Both SQLite backends read the column through this module when
+ * they derive map features, and write map edits back in the cell's own form.
+ */
+import { parseCoordinatePaste } from "./coordinateNavigation.js";
+import { parseFlexibleFloat } from "./geoColumns.js";
+import { parseWktGeometry } from "./wktGeometry.js";
+
+/** Normalized header names that usually hold a whole position. */
+const COORDINATE_HEADER_KEYS = new Set([
+  "coordinates",
+  "coordinate",
+  "coords",
+  "coord",
+  "latlon",
+  "latlng",
+  "latlong",
+  "position",
+  "location",
+  "geolocation",
+  "gps",
+  "point",
+  "koordinater",
+  "googlemaps",
+  "mapslink",
+  "mapsurl",
+]);
+const DETECTION_SHARE = 0.9;
+const GOOGLE_MAPS_PLACE_PATTERN = /!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/;
+const GOOGLE_MAPS_VIEW_PATTERN = /@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/;
+const GOOGLE_MAPS_QUERY_PARAMS = ["q", "query", "ll", "center", "destination"];
+const GOOGLE_MAPS_QUERY_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+/**
+ * Read one cell as [latitude-value, longitude-value] numbers, or null when it
+ * holds no recognized position. Decimal pairs are not range checked, so
+ * projected northing/easting pairs pass through to the coordinate system.
+ *
+ * @param {unknown} value Raw CSV cell.
+ * @returns {[number, number]|null}
+ */
+export function parseCoordinateText(value) {
+  if (typeof value === "number" || value == null) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+
+  const pair = parseCoordinatePaste(text);
+  if (pair) return [Number(pair.latitude), Number(pair.longitude)];
+
+  const wkt = parseWktGeometry(text);
+  if (wkt) return wkt.featureType === "point" ? wkt.parts[0][0] : null;
+
+  return parseGoogleMapsUrl(text);
+}
+
+/**
+ * Write a position into a coordinate cell. WKT cells stay WKT points; every
+ * other form, including DMS text and links, becomes a decimal pair.
+ *
+ * @param {unknown} original Cell value being replaced.
+ * @param {number} latValue Latitude or northing.
+ * @param {number} lonValue Longitude or easting.
+ */
+export function formatCoordinateText(original, latValue, lonValue) {
+  if (parseWktGeometry(original)?.featureType === "point") {
+    return `POINT (${lonValue} ${latValue})`;
+  }
+  return `${latValue}, ${lonValue}`;
+}
+
+/**
+ * Read the mapped position of one source row, from the single coordinate
+ * column when the mapping names one and otherwise from the latitude and
+ * longitude columns. Unusable values come back as NaN.
+ *
+ * @param {Record<string, unknown>} row Source row.
+ * @param {{ latField?: string|null, lonField?: string|null, coordinateField?: string|null }} mapping
+ * @returns {[number, number]}
+ */
+export function readMappedCoordinates(row, { latField, lonField, coordinateField }) {
+  if (coordinateField) return parseCoordinateText(row?.[coordinateField]) ?? [NaN, NaN];
+  return [parseFlexibleFloat(row?.[latField]), parseFlexibleFloat(row?.[lonField])];
+}
+
+/** Whether a mapping names enough columns to locate rows. */
+export function hasMappedCoordinates(mapping) {
+  return !!(mapping?.coordinateField || (mapping?.latField && mapping?.lonField));
+}
+
+/**
+ * Pick a single coordinate column for a file whose latitude and longitude
+ * columns do not hold numbers. Only headers with a coordinate-like name are
+ * considered, and only when nearly every non-empty sampled cell parses.
+ *
+ * @param {string[]} headers
+ * @param {object[]} sampleRows Leading parsed rows.
+ * @param {{ latField?: string|null, lonField?: string|null }} [detected]
+ *   Separate columns found by header name.
+ * @returns {string|null}
+ */
+export function detectCoordinateField(headers, sampleRows, detected = {}) {
+  const rows = Array.isArray(sampleRows) ? sampleRows : [];
+  const { latField = null, lonField = null } = detected;
+  if (latField && lonField && latField !== lonField) {
+    const filled = rows.filter((row) => hasText(row?.[latField]) || hasText(row?.[lonField]));
+    const numeric = filled.filter((row) => (
+      Number.isFinite(parseFlexibleFloat(row[latField]))
+      && Number.isFinite(parseFlexibleFloat(row[lonField]))
+    ));
+    if (filled.length === 0 || numeric.length >= filled.length * DETECTION_SHARE) return null;
+  }
+
+  for (const header of Array.isArray(headers) ? headers : []) {
+    if (!COORDINATE_HEADER_KEYS.has(normalizeKey(header))) continue;
+    const values = rows.map((row) => row?.[header]).filter(hasText);
+    const parsed = values.filter((value) => parseCoordinateText(value));
+    if (values.length > 0 && parsed.length >= values.length * DETECTION_SHARE) return header;
+  }
+  return null;
+}
+
+/** Coordinates from a Google Maps place, view, or search link. */
+function parseGoogleMapsUrl(text) {
+  let url;
+  try {
+    url = new URL(text);
+  } catch {
+    return null;
+  }
+  const host = url.hostname.toLowerCase();
+  const isGoogleMaps = /^https?:$/.test(url.protocol)
+    && /(^|\.)google\.[a-z.]+$/.test(host)
+    && (host.startsWith("maps.") || url.pathname.startsWith("/maps"));
+  if (!isGoogleMaps) return null;
+
+  // A place's own position comes before the map view centred around it.
+  const match = GOOGLE_MAPS_PLACE_PATTERN.exec(url.href)
+    ?? GOOGLE_MAPS_VIEW_PATTERN.exec(url.pathname)
+    ?? GOOGLE_MAPS_QUERY_PARAMS
+      .map((param) => GOOGLE_MAPS_QUERY_PATTERN.exec(url.searchParams.get(param) ?? ""))
+      .find(Boolean);
+  if (!match) return null;
+
+  const lat = Number(match[1]);
+  const lon = Number(match[2]);
+  return lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180 ? [lat, lon] : null;
+}
+
+function normalizeKey(header) {
+  return String(header ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_-]+/g, "");
+}
+
+function hasText(value) {
+  return value != null && String(value).trim() !== "";
+}
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import {
+  detectCoordinateField,
+  formatCoordinateText,
+  hasMappedCoordinates,
+  parseCoordinateText,
+  readMappedCoordinates,
+} from './coordinateText.js';
+
+// Decimal pairs keep their values, including projected ones; DMS follows the go-to box.
+assert.deepEqual(parseCoordinateText('59.33, 18.06'), [59.33, 18.06]);
+assert.deepEqual(parseCoordinateText(' -33.87;151.21 '), [-33.87, 151.21]);
+assert.deepEqual(parseCoordinateText('6580822, 674032'), [6580822, 674032]);
+assert.deepEqual(parseCoordinateText('59°19\'48" N 18°3\'36" E'), [59.33, 18.06]);
+assert.equal(parseCoordinateText('59°70\'0" N 18°0\'0" E'), null);
+
+// WKT points are longitude first; other geometries are not positions.
+assert.deepEqual(parseCoordinateText('POINT (18.06 59.33)'), [59.33, 18.06]);
+assert.deepEqual(parseCoordinateText('SRID=4326;POINT(18 59)'), [59, 18]);
+assert.equal(parseCoordinateText('LINESTRING (1 2, 3 4)'), null);
+
+// Google Maps places win over the view around them; searches read their query.
+assert.deepEqual(
+  parseCoordinateText('https://www.google.com/maps/place/City+Hall/@59.3,18.0,15z/data=!3d59.3275!4d18.0543'),
+  [59.3275, 18.0543],
+);
+assert.deepEqual(parseCoordinateText('https://www.google.se/maps/@57.7,11.97,12z'), [57.7, 11.97]);
+assert.deepEqual(
+  parseCoordinateText('https://www.google.com/maps/search/?api=1&query=55.6%2C13.0'),
+  [55.6, 13],
+);
+assert.deepEqual(parseCoordinateText('https://maps.google.com/?q=63.8,20.26'), [63.8, 20.26]);
+assert.equal(parseCoordinateText('https://example.com/maps/@57.7,11.97,12z'), null);
+assert.equal(parseCoordinateText('https://www.google.com/maps/@95,11.97,12z'), null);
+assert.equal(parseCoordinateText('Stockholm'), null);
+assert.equal(parseCoordinateText(''), null);
+assert.equal(parseCoordinateText(null), null);
+
+// Written cells keep WKT form and otherwise become decimal pairs.
+assert.equal(formatCoordinateText('POINT (1 2)', 59.5, 18.25), 'POINT (18.25 59.5)');
+assert.equal(formatCoordinateText('59°19\'48" N 18°3\'36" E', 59.5, 18.25), '59.5, 18.25');
+assert.equal(formatCoordinateText(undefined, 59.5, 18.25), '59.5, 18.25');
+
+// A mapped single column wins over separate columns.
+const row = { lat: '59,5', lon: '18', position: '1, 2', empty: '' };
+assert.deepEqual(readMappedCoordinates(row, { latField: 'lat', lonField: 'lon' }), [59.5, 18]);
+assert.deepEqual(readMappedCoordinates(row, { latField: 'lat', lonField: 'lon', coordinateField: 'position' }), [1, 2]);
+assert.deepEqual(readMappedCoordinates(row, { coordinateField: 'empty' }), [NaN, NaN]);
+assert.equal(hasMappedCoordinates({ coordinateField: 'position' }), true);
+assert.equal(hasMappedCoordinates({ latField: 'lat', lonField: null }), false);
+
+// Detection needs a coordinate-like header whose values nearly all parse, and
+// leaves separate columns alone while they hold numbers.
+const rows = [
+  { name: 'A', city: 'Lund', Location: '55.7, 13.19', lat: '55.7', lon: '13.19' },
+  { name: 'B', city: 'Umeå', Location: 'POINT (20.26 63.83)', lat: '63.83', lon: '20.26' },
+  { name: 'C', city: 'Kiruna', Location: '', lat: '', lon: '' },
+];
+const headers = ['name', 'city', 'Location', 'lat', 'lon'];
+assert.equal(detectCoordinateField(headers, rows), 'Location');
+assert.equal(detectCoordinateField(headers, rows, { latField: 'lat', lonField: 'lon' }), null);
+assert.equal(detectCoordinateField(headers, rows, { latField: 'city', lonField: 'name' }), 'Location');
+assert.equal(detectCoordinateField(['name', 'notes'], [{ name: 'A', notes: '1, 2' }]), null);
+assert.equal(detectCoordinateField(['gps'], [{ gps: 'unknown' }, { gps: '1, 2' }]), null);
+assert.equal(detectCoordinateField(['gps'], []), null);
+
+console.log('Coordinate text smoke test passed.');
@@ -0,0 +1,195 @@
+import { useState } from "react";
+import { DismissibleMessage } from "./DismissibleMessage";
+import {
+  ANIMATION_EXPORT_FORMATS,
+  MAX_ANIMATION_HEIGHT,
+  MAX_ANIMATION_WIDTH,
+  MIN_ANIMATION_HEIGHT,
+  MIN_ANIMATION_WIDTH,
+  getInitialAnimationExportOptions,
+} from "../timelineAnimationExport";
+import { getTimelineUnitLabel } from "../timelineDates";
+
+/**
+ * Settings and progress for exporting timeline playback as WebM or GIF.
+ * Fields are kept as typed and clamped only when the export starts.
+ */
+export default function AnimationExportControls({
+  playback,         // Playback settings used as the starting values
+  timelineUnit,     // Unit the step counts: "year", "month" or "day"
+  animationExport,  // { exportState, webmSupported, onStart, onCancel, onDismissMessage }
+}) {
+  const [draft, setDraft] = useState(() => {
+    const initial = getInitialAnimationExportOptions(playback);
+    return {
+      ...initial,
+      format: animationExport.webmSupported ? initial.format : "gif",
+      intervalSec: initial.intervalMs / 1000,
+    };
+  });
+  const [open, setOpen] = useState(false);
+  const { exportState } = animationExport;
+  const exporting = exportState.status === "exporting";
+  const hasMessage = Boolean(exportState.error || exportState.warning);
+  // Progress and results stay visible until dismissed.
+  const expanded = open || exporting || hasMessage;
+
+  function patchDraft(partial) {
+    setDraft((current) => ({ ...current, ...partial }));
+  }
+
+  function handleExport() {
+    const intervalSec = Number.parseFloat(String(draft.intervalSec ?? ""));
+    animationExport.onStart({
+      ...draft,
+      intervalMs: Number.isFinite(intervalSec) ? intervalSec * 1000 : null,
+    });
+  }
+
+  return (
+    <>
+      <button
+        type="button"
+        className="csvTimelineExpander"
+        aria-expanded={expanded}
+        disabled={exporting}
+        onClick={() => setOpen((current) => !current)}
+      >
+        <span className="csvTimelineExpanderLeft">
+          <span className="csvTimelineExpanderChevron" aria-hidden="true">
+            {expanded ? "▾" : "▸"}
+          </span>
+          <span>Export animation</span>
+        </span>
+      </button>
+
+      {expanded && (
+        <div className="csvAnimationExport" aria-label="Export animation">
+          <div className="csvTimelineReadoutRow">
+            <label className="csvTimelineField">
+              <span className="csvTimelineLabel">Format</span>
+              <select
+                className="csvSelect"
+                value={draft.format}
+                disabled={exporting}
+                onChange={(e) => patchDraft({ format: e.target.value })}
+              >
+                {ANIMATION_EXPORT_FORMATS.map(({ format, label }) => (
+                  <option
+                    key={format}
+                    value={format}
+                    disabled={format === "webm" && !animationExport.webmSupported}
+                  >
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <label className="csvTimelineField">
+              <span className="csvTimelineLabel">
+                Step ({getTimelineUnitLabel(timelineUnit).toLowerCase()})
+              </span>
+              <input
+                className="csvSelect"
+                type="number"
+                min={1}
+                step={1}
+                value={draft.stepYears}
+                disabled={exporting}
+                onChange={(e) => patchDraft({ stepYears: e.target.value })}
+              />
+            </label>
+
+            <label className="csvTimelineField">
+              <span className="csvTimelineLabel">Interval (sec)</span>
+              <input
+                className="csvSelect"
+                type="number"
+                min={0.05}
+                step={0.1}
+                value={draft.intervalSec}
+                disabled={exporting}
+                onChange={(e) => patchDraft({ intervalSec: e.target.value })}
+              />
+            </label>
+          </div>
+
+          <div className="csvTimelineReadoutRow">
+            <label className="csvTimelineField">
+              <span className="csvTimelineLabel">Width (px)</span>
+              <input
+                className="csvSelect"
+                type="number"
+                min={MIN_ANIMATION_WIDTH}
+                max={MAX_ANIMATION_WIDTH}
+                step={2}
+                value={draft.width}
+                disabled={exporting}
+                onChange={(e) => patchDraft({ width: e.target.value })}
+              />
+            </label>
+
+            <label className="csvTimelineField">
+              <span className="csvTimelineLabel">Height (px)</span>
+              <input
+                className="csvSelect"
+                type="number"
+                min={MIN_ANIMATION_HEIGHT}
+                max={MAX_ANIMATION_HEIGHT}
+                step={2}
+                value={draft.height}
+                disabled={exporting}
+                onChange={(e) => patchDraft({ height: e.target.value })}
+              />
+            </label>
+          </div>
+
+          <label className="csvToolToggle" style={{ marginTop: 6 }}>
+            <input
+              type="checkbox"
+              checked={draft.caption}
+              disabled={exporting}
+              onChange={(e) => patchDraft({ caption: e.target.checked })}
+            />
+            <span>{timelineUnit === "month" || timelineUnit === "day" ? "Show dates on frames" : "Show years on frames"}</span>
+          </label>
+
+          {exporting ? (
+            <div className="csvAnimationExportProgress" role="status">
+              <span>
+                Rendering frame {Math.min(exportState.frame + 1, exportState.frameCount)} of{" "}
+                {exportState.frameCount}…
+              </span>
+              <button type="button" className="csvBtnTiny" onClick={animationExport.onCancel}>
+                Cancel
+              </button>
+            </div>
+          ) : (
+            <button
+              type="button"
+              className="csvBtnPrimary"
+              style={{ marginTop: 8, width: 160 }}
+              onClick={handleExport}
+            >
+              Export animation
+            </button>
+          )}
+
+          {hasMessage && (
+            <DismissibleMessage
+              className={exportState.error
+                ? "csvDesktopImportStatus csvDesktopImportStatusError"
+                : "csvDesktopImportStatus"}
+              dismissLabel="Dismiss animation export message"
+              onDismiss={animationExport.onDismissMessage}
+              role={exportState.error ? "alert" : "status"}
+            >
+              {exportState.error ?? exportState.warning}
+            </DismissibleMessage>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,127 @@
+import {
+  ATTRIBUTE_FILTER_OPERATORS,
+  MAX_ATTRIBUTE_FILTERS,
+  createAttributeFilterDraft,
+  normalizeAttributeFilters,
+} from "../attributeFilters";
+
+/**
+ * Column filters for one dataset. Rows that fail any filter are hidden from
+ * the map; other datasets keep their own filters. Incomplete filters, such as
+ * an `equals` without a value, stay in the list but do not filter yet.
+ */
+export default function AttributeFilters({
+  datasetId,
+  headers,
+  filters,            // Every dataset's draft filters
+  onChange,           // Receives the complete next draft list
+}) {
+  const datasetFilters = filters.filter((filter) => filter.datasetId === datasetId);
+  const activeCount = normalizeAttributeFilters(datasetFilters).length;
+
+  function updateFilter(id, patch) {
+    onChange(filters.map((filter) => (
+      filter.id === id ? { ...filter, ...patch } : filter
+    )));
+  }
+
+  function removeFilter(id) {
+    onChange(filters.filter((filter) => filter.id !== id));
+  }
+
+  return (
+    <div className="csvMeta">
+      <div className="csvAttributeFiltersHeader">
+        <span className="csvMetaLabel">
+          Filters{activeCount > 0 ? ` (${activeCount} active)` : ""}
+        </span>
+        <button
+          type="button"
+          className="csvBtnTiny"
+          disabled={headers.length === 0 || filters.length >= MAX_ATTRIBUTE_FILTERS}
+          onClick={() => onChange([
+            ...filters,
+            createAttributeFilterDraft(datasetId, headers[0]),
+          ])}
+        >
+          Add filter
+        </button>
+      </div>
+
+      {datasetFilters.map((filter) => (
+        <div key={filter.id} className="csvAttributeFilter">
+          <select
+            className="csvSelect"
+            value={filter.field}
+            onChange={(e) => updateFilter(filter.id, { field: e.target.value })}
+            aria-label="Filter column"
+          >
+            {/* Keep a column that was renamed or removed visible until changed */}
+            {!headers.includes(filter.field) && (
+              <option value={filter.field}>{filter.field || "(not set)"}</option>
+            )}
+            {headers.map((h) => (
+              <option key={h} value={h}>
+                {h}
+              </option>
+            ))}
+          </select>
+
+          <select
+            className="csvSelect"
+            value={filter.operator}
+            onChange={(e) => updateFilter(filter.id, { operator: e.target.value })}
+            aria-label="Filter condition"
+          >
+            {ATTRIBUTE_FILTER_OPERATORS.map(({ operator, label }) => (
+              <option key={operator} value={operator}>
+                {label}
+              </option>
+            ))}
+          </select>
+
+          {(filter.operator === "equals" || filter.operator === "contains") && (
+            <input
+              className="csvSelect"
+              type="text"
+              value={filter.value}
+              placeholder="Value"
+              onChange={(e) => updateFilter(filter.id, { value: e.target.value })}
+              aria-label="Filter value"
+            />
+          )}
+
+          {filter.operator === "range" && (
+            <div className="csvAttributeFilterRange">
+              <input
+                className="csvSelect"
+                type="number"
+                value={filter.min}
+                placeholder="Min"
+                onChange={(e) => updateFilter(filter.id, { min: e.target.value })}
+                aria-label="Filter minimum"
+              />
+              <input
+                className="csvSelect"
+                type="number"
+                value={filter.max}
+                placeholder="Max"
+                onChange={(e) => updateFilter(filter.id, { max: e.target.value })}
+                aria-label="Filter maximum"
+              />
+            </div>
+          )}
+
+          <button
+            type="button"
+            className="csvBtnTiny"
+            onClick={() => removeFilter(filter.id)}
+            aria-label={`Remove ${filter.field || "column"} filter`}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
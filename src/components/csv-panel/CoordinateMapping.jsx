@@ -1,69 +1,217 @@
+import { useState } from "react";
+import {
+  COORDINATE_SYSTEMS,
+  WGS84,
+  normalizeCoordinateSystem,
+} from "../coordinateSystems.js";
+
+const CUSTOM_SYSTEM = "custom";
+const SEPARATE_COLUMNS = "separate";
+const SINGLE_COLUMN = "single";
+
 export default function CoordinateMapping({
   fileId,
   headers,
   latField,
   lonField,
+  coordinateField = null,
+  coordinateSystem = null,
   onUpdateMapping,
   disabled = false,
 }) {
+  // Single-column mode stays chosen while its column is not picked yet.
+  const [singleColumnChosen, setSingleColumnChosen] = useState(false);
+  const singleColumn = !!coordinateField || singleColumnChosen;
+  // Text of the custom proj4 string being edited, or null while a built-in system is chosen.
+  const [customDraft, setCustomDraft] = useState(null);
+  const [customError, setCustomError] = useState(null);
+  const storedCustom = !!coordinateSystem
+    && !COORDINATE_SYSTEMS.some((system) => system.code === coordinateSystem);
+  const editingCustom = customDraft != null || storedCustom;
+  const mappingDisabled = disabled || typeof onUpdateMapping !== "function";
+
+  const selectMode = (value) => {
+    setSingleColumnChosen(value === SINGLE_COLUMN);
+    if (value === SEPARATE_COLUMNS && coordinateField) {
+      onUpdateMapping?.(fileId, { coordinateField: null });
+    }
+  };
+
+  const selectSystem = (value) => {
+    setCustomError(null);
+    if (value === CUSTOM_SYSTEM) {
+      setCustomDraft(storedCustom ? coordinateSystem : "");
+      return;
+    }
+    setCustomDraft(null);
+    onUpdateMapping?.(fileId, { coordinateSystem: value === WGS84 ? null : value });
+  };
+
+  const applyCustomSystem = () => {
+    const normalized = normalizeCoordinateSystem(customDraft ?? coordinateSystem ?? "");
+    if (!normalized) {
+      setCustomError("Enter a proj4 string such as +proj=utm +zone=33 +ellps=GRS80 +units=m.");
+      return;
+    }
+    setCustomError(null);
+    onUpdateMapping?.(fileId, { coordinateSystem: normalized });
+  };
+
   return (
     <div className="csvMeta" style={{ marginTop: 10 }}>
-      {/* Latitude column selector */}
+      {/* Whether positions come from two columns or one combined column */}
       <div>
-        <span className="csvMetaLabel">Latitude field:</span>
+        <span className="csvMetaLabel">Coordinates:</span>
 
-        {/* Dropdown with all CSV headers */}
         <select
           className="csvSelect"
-          // Current selected latitude column (or empty)
-          value={latField || ""}
-          disabled={disabled || typeof onUpdateMapping !== "function"}
-          // Update the selected file when user changes the value
-          onChange={(e) =>
-            onUpdateMapping?.(fileId, { latField: e.target.value || null })
-          }
-          aria-label="Select latitude field"
+          value={singleColumn ? SINGLE_COLUMN : SEPARATE_COLUMNS}
+          disabled={mappingDisabled}
+          onChange={(e) => selectMode(e.target.value)}
+          aria-label="Select coordinate mapping mode"
           style={{ marginTop: 6 }}
         >
-          {/* No column selected */}
-          <option value="">(not set)</option>
-
-          {/* One option for each CSV header */}
-          {headers.map((h) => (
-            <option key={h} value={h}>
-              {h}
-            </option>
-          ))}
+          <option value={SEPARATE_COLUMNS}>Separate latitude and longitude columns</option>
+          <option value={SINGLE_COLUMN}>Single coordinate column</option>
         </select>
       </div>
 
-      {/* Longitude column selector */}
+      {singleColumn ? (
+        /* Column holding "lat, lon", DMS, WKT points or Google Maps links */
+        <div>
+          <span className="csvMetaLabel">Coordinate field:</span>
+
+          <select
+            className="csvSelect"
+            value={coordinateField || ""}
+            disabled={mappingDisabled}
+            onChange={(e) =>
+              onUpdateMapping?.(fileId, { coordinateField: e.target.value || null })
+            }
+            aria-label="Select coordinate field"
+            style={{ marginTop: 6 }}
+          >
+            <option value="">(not set)</option>
+            {headers.map((h) => (
+              <option key={h} value={h}>
+                {h}
+              </option>
+            ))}
+          </select>
+          <div className="csvToolMenuHint" style={{ marginTop: 6 }}>
+            Reads "59.33, 18.06", DMS text, WKT points and Google Maps links.
+          </div>
+        </div>
+      ) : (
+        <>
+          {/* Latitude column selector */}
+          <div>
+            <span className="csvMetaLabel">Latitude field:</span>
+
+            {/* Dropdown with all CSV headers */}
+            <select
+              className="csvSelect"
+              // Current selected latitude column (or empty)
+              value={latField || ""}
+              disabled={disabled || typeof onUpdateMapping !== "function"}
+              // Update the selected file when user changes the value
+              onChange={(e) =>
+                onUpdateMapping?.(fileId, { latField: e.target.value || null })
+              }
+              aria-label="Select latitude field"
+              style={{ marginTop: 6 }}
+            >
+              {/* No column selected */}
+              <option value="">(not set)</option>
+
+              {/* One option for each CSV header */}
+              {headers.map((h) => (
+                <option key={h} value={h}>
+                  {h}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Longitude column selector */}
+          <div>
+            <span className="csvMetaLabel">Longitude field:</span>
+
+            {/* Dropdown with all CSV headers */}
+            <select
+              className="csvSelect"
+              // Current selected longitude column (or empty)
+              value={lonField || ""}
+              disabled={disabled || typeof onUpdateMapping !== "function"}
+              // Update the selected file when user changes the value
+              onChange={(e) =>
+                onUpdateMapping?.(fileId, { lonField: e.target.value || null })
+              }
+              aria-label="Select longitude field"
+              style={{ marginTop: 6 }}
+            >
+              {/* No column selected */}
+              <option value="">(not set)</option>
+
+              {/* One option for each CSV header */}
+              {headers.map((h) => (
+                <option key={h} value={h}>
+                  {h}
+                </option>
+              ))}
+            </select>
+          </div>
+        </>
+      )}
+
+      {/* Coordinate system the coordinate columns are written in */}
       <div>
-        <span className="csvMetaLabel">Longitude field:</span>
+        <span className="csvMetaLabel">Coordinate system:</span>
 
-        {/* Dropdown with all CSV headers */}
         <select
           className="csvSelect"
-          // Current selected longitude column (or empty)
-          value={lonField || ""}
-          disabled={disabled || typeof onUpdateMapping !== "function"}
-          // Update the selected file when user changes the value
-          onChange={(e) =>
-            onUpdateMapping?.(fileId, { lonField: e.target.value || null })
-          }
-          aria-label="Select longitude field"
+          value={editingCustom ? CUSTOM_SYSTEM : coordinateSystem ?? WGS84}
+          disabled={mappingDisabled}
+          onChange={(e) => selectSystem(e.target.value)}
+          aria-label="Select coordinate system"
           style={{ marginTop: 6 }}
         >
-          {/* No column selected */}
-          <option value="">(not set)</option>
-
-          {/* One option for each CSV header */}
-          {headers.map((h) => (
-            <option key={h} value={h}>
-              {h}
+          {COORDINATE_SYSTEMS.map((system) => (
+            <option key={system.code} value={system.code}>
+              {system.code === WGS84 ? system.label : `${system.label} – ${system.code}`}
             </option>
           ))}
+          <option value={CUSTOM_SYSTEM}>Custom proj4…</option>
         </select>
+
+        {editingCustom && (
+          <form
+            className="csvCoordinateSystemCustom"
+            onSubmit={(e) => {
+              e.preventDefault();
+              applyCustomSystem();
+            }}
+          >
+            <input
+              className="csvSelect"
+              type="text"
+              value={customDraft ?? coordinateSystem ?? ""}
+              disabled={mappingDisabled}
+              onChange={(e) => setCustomDraft(e.target.value)}
+              placeholder="+proj=utm +zone=33 +ellps=GRS80 +units=m"
+              aria-label="Custom proj4 string"
+              spellCheck={false}
+            />
+            <button className="csvBtnPrimary" type="submit" disabled={mappingDisabled}>
+              Apply
+            </button>
+          </form>
+        )}
+        {customError && (
+          <div className="csvToolMenuHint" role="alert" style={{ marginTop: 6 }}>
+            {customError}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,5 +1,9 @@
 import { useEffect, useReducer, useRef, useState } from "react";
+import { DEFAULT_CSV_IMPORT_OPTIONS } from "../../data/csvImportOptions.js";
+import { isSpreadsheetFile, listSpreadsheetSheets } from "../../data/spreadsheetRows.js";
+import CsvImportOptionsDialog from "./CsvImportOptionsDialog";
 import { DismissButton, DismissibleMessage } from "./DismissibleMessage";
+import ImportSheetDialog from "./ImportSheetDialog";
 import {
   INITIAL_CONDITION_DISMISSAL,
   reduceConditionDismissal,
@@ -11,26 +15,35 @@ export default function CsvFileControls({
   selectedId,
   onSelect,
   onImportFiles,
+  onImportCsvWithOptions, // Imports picked CSV files with delimiter, encoding and header choices
   desktopImport,
   datasetListState,
   viewportQueryStats,
   onUnloadFile,
   onSaveAsCsv,
+  onSaveAsGeoJson,
   removeActionLabel = "Unload",
   onToggleEnabled,
   onUseRecommendedTimelineRange,
   messageDismissal,
+  datasetColors,    // Histogram colour by dataset ID
 }) {
   /**
    * Hidden file input reference.
    * We trigger this programmatically when user clicks "Import..."
    */
   const fileInputRef = useRef(null);
+  const optionsFileInputRef = useRef(null);
   const contextMenuRef = useRef(null);
   const hoverTimerRef = useRef(null);
   const pendingHoverRef = useRef(null);
   const [hoverMessage, setHoverMessage] = useState(null);
   const [contextMenu, setContextMenu] = useState(null);
+  // Files waiting for a sheet choice: { files, workbooks }.
+  const [sheetChoice, setSheetChoice] = useState(null);
+  // CSV files waiting in the import options dialog, and the options last used.
+  const [optionsFiles, setOptionsFiles] = useState(null);
+  const [lastCsvOptions, setLastCsvOptions] = useState(DEFAULT_CSV_IMPORT_OPTIONS);
   const isDesktopImporting = desktopImport?.status === "importing";
   const desktopSummary = desktopImport?.summary ?? null;
   const desktopProgress = desktopImport?.progress ?? null;
@@ -43,10 +56,12 @@ export default function CsvFileControls({
     INITIAL_CONDITION_DISMISSAL,
   );
   const browserImportAvailable = typeof onImportFiles === "function";
+  const optionsImportAvailable = typeof onImportCsvWithOptions === "function";
   const canSelect = typeof onSelect === "function";
   const canToggleEnabled = typeof onToggleEnabled === "function";
   const canRemove = typeof onUnloadFile === "function";
   const canSaveAsCsv = typeof onSaveAsCsv === "function";
+  const canSaveAsGeoJson = typeof onSaveAsGeoJson === "function";
   const hasTerminalImportMessage = !isDesktopImporting && (
     desktopImportResults.length > 0 ||
     desktopImport?.status === "canceled" ||
@@ -121,14 +136,15 @@ export default function CsvFileControls({
   /** Open the existing dataset menu with actions scoped to the right-clicked row. */
   function handleRowContextMenu(event, file) {
     const range = file.recommendedTimelineRange;
-    if (!range && !canSaveAsCsv) return;
+    const itemCount = [range, canSaveAsCsv, canSaveAsGeoJson].filter(Boolean).length;
+    if (itemCount === 0) return;
 
     event.preventDefault();
     clearHoverMessage();
     setContextMenu({
       datasetId: file.id,
       range,
-      ...getFloatingPosition(event.clientX, event.clientY, 360, range ? 80 : 44),
+      ...getFloatingPosition(event.clientX, event.clientY, 360, 8 + itemCount * 36),
     });
   }
 
@@ -143,17 +159,58 @@ export default function CsvFileControls({
   /**
    * Handle files selected by the user.
    * - Convert FileList to a normal array
+   * - Ask for a sheet when a workbook has several
    * - Pass files to the parent logic
    * - Reset input so the same file can be selected again later
    */
-  function handleFileChange(event) {
+  async function handleFileChange(event) {
     const list = event.target.files;
     if (!list || list.length === 0) return;
 
-    onImportFiles(Array.from(list));
-
+    const selectedFiles = Array.from(list);
     // Reset input value so same file can be imported again
     event.target.value = "";
+
+    const workbooks = await findWorkbookSheetChoices(selectedFiles);
+    if (workbooks.length > 0) {
+      setSheetChoice({ files: selectedFiles, workbooks });
+      return;
+    }
+    onImportFiles(selectedFiles);
+  }
+
+  /** Open the options dialog for CSV files picked through the second input. */
+  function handleOptionsFileChange(event) {
+    const selectedFiles = Array.from(event.target.files ?? []);
+    event.target.value = "";
+    if (selectedFiles.length > 0) setOptionsFiles(selectedFiles);
+  }
+
+  function importWithCsvOptions(csvOptions) {
+    const waitingFiles = optionsFiles;
+    setOptionsFiles(null);
+    setLastCsvOptions(csvOptions);
+    onImportCsvWithOptions(waitingFiles, csvOptions);
+  }
+
+  const importWithOptionsButton = optionsImportAvailable && (
+    <button
+      type="button"
+      className="csvBtnTiny csvImportOptionsButton"
+      onClick={() => optionsFileInputRef.current?.click()}
+      disabled={isDesktopImporting}
+    >
+      Import CSV with options...
+    </button>
+  );
+
+  /** Import the waiting files with the sheet chosen for each workbook. */
+  function importChosenSheets(sheetNames) {
+    const { files: waitingFiles } = sheetChoice;
+    setSheetChoice(null);
+    onImportFiles(waitingFiles, waitingFiles.map((_, index) => (
+      sheetNames.has(index) ? { sheetName: sheetNames.get(index) } : null
+    )));
   }
 
   return (
@@ -167,6 +224,7 @@ export default function CsvFileControls({
           Import...
         </button>
       )}
+      {browserImportAvailable && importWithOptionsButton}
 
       {/* Desktop uses the native picker; browser mode uses the hidden input above. */}
       {desktopImport?.isAvailable && (
@@ -182,6 +240,7 @@ export default function CsvFileControls({
               {isDesktopImporting ? "Importing..." : "Import..."}
             </button>
           )}
+          {!browserImportAvailable && importWithOptionsButton}
 
           {isDesktopImporting && desktopProgress && (
             <div className="csvDesktopImportStatus" role="status">
@@ -256,12 +315,37 @@ export default function CsvFileControls({
         <input
           ref={fileInputRef}
           type="file"
-          accept=".csv,text/csv"
+          accept=".csv,text/csv,.geojson,.json,application/geo+json,.xlsx,.ods"
           multiple
           onChange={handleFileChange}
           style={{ display: "none" }}
         />
       )}
+      {optionsImportAvailable && (
+        <input
+          ref={optionsFileInputRef}
+          type="file"
+          accept=".csv,text/csv"
+          multiple
+          onChange={handleOptionsFileChange}
+          style={{ display: "none" }}
+        />
+      )}
+      {optionsFiles && (
+        <CsvImportOptionsDialog
+          files={optionsFiles}
+          initialOptions={lastCsvOptions}
+          onImport={importWithCsvOptions}
+          onCancel={() => setOptionsFiles(null)}
+        />
+      )}
+      {sheetChoice && (
+        <ImportSheetDialog
+          workbooks={sheetChoice.workbooks}
+          onImport={importChosenSheets}
+          onCancel={() => setSheetChoice(null)}
+        />
+      )}
 
       <div className="csvFilesList" role="list">
         <div className="csvFilesHeaderRow">
@@ -304,7 +388,7 @@ export default function CsvFileControls({
         {datasetListState?.exportError && (
           <DismissibleMessage
             className="csvDesktopImportStatus csvDesktopImportStatusError"
-            dismissLabel="Dismiss CSV save error"
+            dismissLabel="Dismiss dataset save error"
             onDismiss={messageDismissal?.datasetExport}
             role="alert"
           >
@@ -358,6 +442,13 @@ export default function CsvFileControls({
                 aria-disabled={!canSelect}
                 onClick={() => onSelect?.(file.id)}
               >
+                {datasetColors?.[file.id] ? (
+                  <span
+                    className="csvDatasetSwatch"
+                    style={{ background: datasetColors[file.id] }}
+                    aria-hidden="true"
+                  />
+                ) : null}
                 {file.name}
               </button>
               <div className="csvFileRows">{getDisplayedRowCount(file)}</div>
@@ -429,6 +520,21 @@ export default function CsvFileControls({
               Save as CSV…
             </button>
           )}
+          {canSaveAsGeoJson && (
+            <button
+              type="button"
+              role="menuitem"
+              disabled={datasetListState?.pendingExportDatasetIds?.includes(
+                contextMenu.datasetId,
+              )}
+              onClick={() => {
+                onSaveAsGeoJson(contextMenu.datasetId);
+                setContextMenu(null);
+              }}
+            >
+              Save as GeoJSON…
+            </button>
+          )}
         </div>
       )}
     </>
@@ -492,3 +598,29 @@ function getDisplayedRowCount(file) {
 
   return normalizeCount(file?.rows?.length ?? file?.rowCount);
 }
+
+/**
+ * Workbooks among the chosen files that have more than one sheet, with the
+ * first visible sheet preselected.
+ */
+async function findWorkbookSheetChoices(files) {
+  const workbooks = [];
+  for (const [index, file] of files.entries()) {
+    if (!isSpreadsheetFile(file)) continue;
+    let sheets;
+    try {
+      sheets = await listSpreadsheetSheets(await file.arrayBuffer());
+    } catch {
+      // The importer reports unreadable workbooks like any other failed file.
+      continue;
+    }
+    if (sheets.length < 2) continue;
+    workbooks.push({
+      index,
+      fileName: file.name,
+      sheets,
+      sheetName: (sheets.find((sheet) => !sheet.hidden) ?? sheets[0]).name,
+    });
+  }
+  return workbooks;
+}
@@ -0,0 +1,257 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import {
+  CSV_IMPORT_DELIMITERS,
+  CSV_IMPORT_ENCODINGS,
+  CSV_IMPORT_QUOTE_CHARS,
+  MAX_CSV_HEADER_ROW_INDEX,
+  MAX_CSV_SKIPPED_LINES,
+  normalizeCsvImportOptions,
+} from "../../data/csvImportOptions.js";
+import { readCsvImportPreview } from "../csvImportPreview.js";
+
+/**
+ * Choose how the picked CSV files are decoded and split into rows, with a
+ * live preview of the result. The same options apply to every picked file.
+ */
+export default function CsvImportOptionsDialog({
+  files,            // Picked CSV File objects
+  initialOptions,   // Normalized options the form starts from
+  onImport,         // Receives the normalized options
+  onCancel,
+}) {
+  const dialogRef = useRef(null);
+  const [form, setForm] = useState(() => ({
+    ...initialOptions,
+    skipRows: String(initialOptions.skipRows),
+    headerRow: String(initialOptions.headerRowIndex + 1),
+  }));
+  const [previewIndex, setPreviewIndex] = useState(0);
+  // The preview that belongs to `csvOptions`; a stale one shows as loading.
+  const [preview, setPreview] = useState(null);
+  const previewFile = files[previewIndex] ?? files[0];
+
+  const csvOptions = useMemo(() => normalizeCsvImportOptions({
+    delimiter: form.delimiter,
+    quoteChar: form.quoteChar,
+    encoding: form.encoding,
+    skipRows: parseWholeNumber(form.skipRows),
+    headerRowIndex: parseWholeNumber(form.headerRow) - 1,
+    commentPrefix: form.commentPrefix,
+  }), [form]);
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    if (dialog && !dialog.open) dialog.showModal();
+    return () => {
+      if (dialog?.open) dialog.close();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!csvOptions || !previewFile) return undefined;
+    let active = true;
+    readCsvImportPreview(previewFile, csvOptions).then(
+      (result) => {
+        if (active) setPreview({ file: previewFile, csvOptions, ...result });
+      },
+      () => {
+        if (active) setPreview({ file: previewFile, csvOptions, error: true });
+      },
+    );
+    return () => {
+      active = false;
+    };
+  }, [csvOptions, previewFile]);
+
+  const currentPreview = preview?.file === previewFile && preview?.csvOptions === csvOptions
+    ? preview
+    : null;
+
+  function updateForm(key, value) {
+    setForm((current) => ({ ...current, [key]: value }));
+  }
+
+  function submit(event) {
+    event.preventDefault();
+    if (csvOptions) onImport(csvOptions);
+  }
+
+  return createPortal(
+    <dialog
+      ref={dialogRef}
+      className="importOptionsDialog"
+      aria-labelledby="importOptionsDialogTitle"
+      onCancel={(event) => {
+        event.preventDefault();
+        onCancel();
+      }}
+    >
+      <h2 id="importOptionsDialogTitle">CSV import options</h2>
+      <form onSubmit={submit}>
+        <div className="importOptionsDialogFields">
+          <label>
+            Delimiter
+            <select
+              className="csvSelect"
+              value={form.delimiter}
+              onChange={(event) => updateForm("delimiter", event.target.value)}
+            >
+              {CSV_IMPORT_DELIMITERS.map((option) => (
+                <option key={option.label} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Quote character
+            <select
+              className="csvSelect"
+              value={form.quoteChar}
+              onChange={(event) => updateForm("quoteChar", event.target.value)}
+            >
+              {CSV_IMPORT_QUOTE_CHARS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Text encoding
+            <select
+              className="csvSelect"
+              value={form.encoding}
+              onChange={(event) => updateForm("encoding", event.target.value)}
+            >
+              {CSV_IMPORT_ENCODINGS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Comment prefix
+            <input
+              type="text"
+              value={form.commentPrefix}
+              maxLength={8}
+              placeholder="None"
+              onChange={(event) => updateForm("commentPrefix", event.target.value)}
+            />
+          </label>
+          <label>
+            Lines to skip at the start
+            <input
+              type="number"
+              min={0}
+              max={MAX_CSV_SKIPPED_LINES}
+              value={form.skipRows}
+              onChange={(event) => updateForm("skipRows", event.target.value)}
+            />
+          </label>
+          <label>
+            Header row
+            <input
+              type="number"
+              min={1}
+              max={MAX_CSV_HEADER_ROW_INDEX + 1}
+              value={form.headerRow}
+              onChange={(event) => updateForm("headerRow", event.target.value)}
+            />
+          </label>
+        </div>
+        <p className="importSheetDialogHelp">
+          Skipped lines are removed before the delimiter is detected. The header
+          row counts non-empty rows after them; rows above it are not imported.
+        </p>
+
+        {files.length > 1 && (
+          <label>
+            Preview file
+            <select
+              className="csvSelect"
+              value={previewIndex}
+              onChange={(event) => setPreviewIndex(Number(event.target.value))}
+            >
+              {files.map((file, index) => (
+                <option key={index} value={index}>{file.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <CsvImportOptionsPreview csvOptions={csvOptions} preview={currentPreview} />
+
+        <div className="importSheetDialogActions">
+          <button type="button" onClick={onCancel}>Cancel</button>
+          <button
+            type="submit"
+            className="importSheetDialogImportButton"
+            disabled={!csvOptions}
+          >
+            Import
+          </button>
+        </div>
+      </form>
+    </dialog>,
+    document.body,
+  );
+}
+
+function CsvImportOptionsPreview({ csvOptions, preview }) {
+  if (!csvOptions) {
+    return (
+      <div className="csvEmptyPreview" role="alert">
+        These options cannot be used together. Check the numbers and the comment prefix.
+      </div>
+    );
+  }
+  if (!preview) return <div className="csvEmptyPreview">Loading preview...</div>;
+  if (preview.error) {
+    return <div className="csvEmptyPreview" role="alert">The file could not be read.</div>;
+  }
+  if (preview.headers.length === 0) {
+    return <div className="csvEmptyPreview">No header row found with these options.</div>;
+  }
+
+  return (
+    <>
+      <div className="csvPreviewTitle">
+        Preview
+        {csvOptions.delimiter === "" && ` (detected delimiter: ${formatDelimiter(preview.delimiter)})`}
+      </div>
+      <div className="csvTableWrap">
+        <table className="csvTable">
+          <thead>
+            <tr>
+              {preview.headers.map((header) => <th key={header} title={header}>{header}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {preview.rows.map((row, rowIndex) => (
+              <tr key={rowIndex}>
+                {row.map((value, columnIndex) => (
+                  <td key={preview.headers[columnIndex]} title={value}>{value}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {preview.rows.length === 0 && (
+        <div className="csvEmptyPreview">No data rows below the header.</div>
+      )}
+      {preview.parseErrorCount > 0 && (
+        <div className="csvEmptyPreview">
+          {preview.parseErrorCount} parsing warning(s) in the previewed rows.
+        </div>
+      )}
+    </>
+  );
+}
+
+function formatDelimiter(delimiter) {
+  return CSV_IMPORT_DELIMITERS.find((option) => option.value === delimiter)?.label ??
+    JSON.stringify(delimiter);
+}
+
+// Empty or fractional input stays invalid instead of silently becoming a default.
+function parseWholeNumber(value) {
+  return /^\d+$/.test(String(value).trim()) ? Number(value) : Number.NaN;
+}
@@ -0,0 +1,74 @@
+import { useEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+
+/**
+ * Ask which sheet to import from each chosen workbook that has several.
+ * Workbooks with one sheet never reach this dialog.
+ */
+export default function ImportSheetDialog({
+  workbooks,        // [{ index, fileName, sheets: [{ name, hidden }], sheetName }]
+  onImport,         // Receives the chosen sheet name by file index
+  onCancel,
+}) {
+  const dialogRef = useRef(null);
+  const [sheetNames, setSheetNames] = useState(
+    () => new Map(workbooks.map((workbook) => [workbook.index, workbook.sheetName])),
+  );
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    if (dialog && !dialog.open) dialog.showModal();
+    return () => {
+      if (dialog?.open) dialog.close();
+    };
+  }, []);
+
+  function submit(event) {
+    event.preventDefault();
+    onImport(sheetNames);
+  }
+
+  return createPortal(
+    <dialog
+      ref={dialogRef}
+      className="importSheetDialog"
+      aria-labelledby="importSheetDialogTitle"
+      onCancel={(event) => {
+        event.preventDefault();
+        onCancel();
+      }}
+    >
+      <h2 id="importSheetDialogTitle">Choose sheets to import</h2>
+      <form onSubmit={submit}>
+        {workbooks.map((workbook) => (
+          <label key={workbook.index}>
+            {workbook.fileName}
+            <select
+              className="csvSelect"
+              value={sheetNames.get(workbook.index)}
+              onChange={(event) => {
+                const { value } = event.target;
+                setSheetNames((current) => new Map(current).set(workbook.index, value));
+              }}
+            >
+              {workbook.sheets.map((sheet) => (
+                <option key={sheet.name} value={sheet.name}>
+                  {sheet.hidden ? `${sheet.name} (hidden)` : sheet.name}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+        <p className="importSheetDialogHelp">
+          The first non-empty row of the sheet is read as the header row.
+        </p>
+
+        <div className="importSheetDialogActions">
+          <button type="button" onClick={onCancel}>Cancel</button>
+          <button type="submit" className="importSheetDialogImportButton">Import</button>
+        </div>
+      </form>
+    </dialog>,
+    document.body,
+  );
+}
@@ -0,0 +1,96 @@
+import { useState } from "react";
+import { DismissibleMessage } from "./DismissibleMessage";
+import { MAP_IMAGE_FORMATS, MAX_MAP_TITLE_LENGTH } from "../mapImageExport";
+
+/**
+ * Title, legend and scale bar options plus one button per format for
+ * exporting the current map view.
+ */
+export default function MapImageExportControls({
+  mapImageExport,   // { exportState, hasLegend, usesNativePdf, onExport, onDismissMessage }
+}) {
+  const [title, setTitle] = useState("");
+  const [showLegend, setShowLegend] = useState(true);
+  const [showScaleBar, setShowScaleBar] = useState(true);
+  const { exportState, hasLegend } = mapImageExport;
+  const exporting = exportState.status === "exporting";
+  const message = exportState.error ?? exportState.warning ?? exportState.message;
+
+  function handleExport(format) {
+    mapImageExport.onExport({
+      format,
+      title,
+      legend: hasLegend && showLegend,
+      scaleBar: showScaleBar,
+    });
+  }
+
+  return (
+    <div className="csvMapImageExport" aria-label="Export map image">
+      <div className="csvLabel">Export map</div>
+      <input
+        className="csvSelect"
+        type="text"
+        placeholder="Title (optional)"
+        aria-label="Map title"
+        maxLength={MAX_MAP_TITLE_LENGTH}
+        value={title}
+        disabled={exporting}
+        onChange={(e) => setTitle(e.target.value)}
+      />
+
+      <label className="csvToolToggle">
+        <input
+          type="checkbox"
+          checked={hasLegend && showLegend}
+          disabled={exporting || !hasLegend}
+          onChange={(e) => setShowLegend(e.target.checked)}
+        />
+        <span>Legend</span>
+      </label>
+      <label className="csvToolToggle">
+        <input
+          type="checkbox"
+          checked={showScaleBar}
+          disabled={exporting}
+          onChange={(e) => setShowScaleBar(e.target.checked)}
+        />
+        <span>Scale bar</span>
+      </label>
+
+      <div className="csvMapImageExportButtons">
+        {MAP_IMAGE_FORMATS.map(({ format, label }) => (
+          <button
+            key={format}
+            type="button"
+            className="csvBtnTiny"
+            role="menuitem"
+            disabled={exporting}
+            title={format === "pdf" && !mapImageExport.usesNativePdf
+              ? "Opens the print dialog, where the map can be saved as PDF"
+              : undefined}
+            onClick={() => handleExport(format)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {exporting && (
+        <div className="csvToolMenuHint" role="status">Exporting the map…</div>
+      )}
+      {message && (
+        <DismissibleMessage
+          className={exportState.error
+            ? "csvDesktopImportStatus csvDesktopImportStatusError"
+            : "csvDesktopImportStatus"}
+          dismissLabel="Dismiss map export message"
+          onDismiss={mapImageExport.onDismissMessage}
+          role={exportState.error ? "alert" : "status"}
+        >
+          {message}
+        </DismissibleMessage>
+      )}
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-import { useCallback, useEffect, useRef } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import { useSessionStorageState } from "../useSessionStorageState";
 import {
   DEFAULT_CLUSTER_RADIUS,
@@ -6,6 +6,7 @@ import {
   MIN_CLUSTER_RADIUS,
   normalizeClusterRadius,
 } from "../useMapToolsState";
+import MapImageExportControls from "./MapImageExportControls";
 
 // Persisted UI tool state for the CSV panel.
 // - open: whether the dropdown is expanded
@@ -27,11 +28,26 @@ export default function MapToolsMenu({
   onTimelinePatch,
   mapToolsState,
   onMapToolsPatch,
+  browserStorage,
+  onCopyViewLink,
+  mapImageExport,
 }) {
   const [tools, setTools] = useSessionStorageState(
     TOOLS_KEY,
     DEFAULT_TOOLS_STATE,
   );
+  // "copied" or "failed" after the last Copy link press.
+  const [linkStatus, setLinkStatus] = useState(null);
+
+  async function copyViewLink() {
+    try {
+      await onCopyViewLink();
+      setLinkStatus("copied");
+    } catch (error) {
+      console.error("Could not copy the view link.", error);
+      setLinkStatus("failed");
+    }
+  }
 
   /**
    * Ref for the tool menus container.
@@ -193,6 +209,60 @@ export default function MapToolsMenu({
                 />
               </div>
             )}
+
+            {/* PNG, SVG and PDF of the current view */}
+            {mapImageExport && (
+              <MapImageExportControls mapImageExport={mapImageExport} />
+            )}
+
+            {/* Browser only: share the current view of the example datasets */}
+            {typeof onCopyViewLink === "function" && (
+              <>
+                <button
+                  type="button"
+                  className="csvBtnTiny csvToolMenuAction"
+                  role="menuitem"
+                  onClick={copyViewLink}
+                >
+                  Copy link to this view
+                </button>
+                {linkStatus && (
+                  <div className="csvToolMenuHint" role="status">
+                    {linkStatus === "copied"
+                      ? "Link copied. It reopens the example datasets; local files are not included."
+                      : "The link could not be copied."}
+                  </div>
+                )}
+              </>
+            )}
+
+            {/* Browser only: keep the SQLite database in OPFS between page loads */}
+            {browserStorage && (
+              <>
+                <label
+                  className="csvToolToggle"
+                  role="menuitemcheckbox"
+                  aria-checked={browserStorage.saved === "persistent"}
+                >
+                  <input
+                    type="checkbox"
+                    checked={browserStorage.saved === "persistent"}
+                    onChange={(e) =>
+                      browserStorage.onSave(e.target.checked ? "persistent" : "temporary")
+                    }
+                  />
+                  <span>Keep data after reload</span>
+                </label>
+
+                {browserStorage.saved !== browserStorage.active && (
+                  <div className="csvToolMenuHint">
+                    {browserStorage.saved === "persistent"
+                      ? "Imported data will be kept in this browser from the next page load."
+                      : "Saved data will be cleared on the next page load."}
+                  </div>
+                )}
+              </>
+            )}
           </div>
         )}
       </section>
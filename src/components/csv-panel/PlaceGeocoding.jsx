@@ -0,0 +1,161 @@
+import { useState } from "react";
+import {
+  detectCountryField,
+  detectGazetteerFields,
+  detectPlaceField,
+} from "../placeGeocoding";
+import { DismissibleMessage } from "./DismissibleMessage";
+
+/**
+ * Locate one dataset's rows from a place-name column and a gazetteer dataset
+ * loaded earlier. Rows the coordinate mapping already locates are left alone.
+ * Ambiguous and unmatched names are listed for review, and picking one of an
+ * ambiguous row's candidates writes that place into the row.
+ */
+export default function PlaceGeocoding({
+  datasetId,
+  headers,
+  datasets,           // Every loaded dataset; those with a name column can be gazetteers
+  state,              // { pendingDatasetId, error, result } of the latest run
+  onGeocode,          // Receives the dataset ID and the geocoding request
+  onDismissError,
+}) {
+  const gazetteers = datasets.filter((dataset) => (
+    dataset.id !== datasetId && detectGazetteerFields(dataset.headers).nameField
+  ));
+  const [placeField, setPlaceField] = useState(() => detectPlaceField(headers) ?? "");
+  const [countryField, setCountryField] = useState(() => detectCountryField(headers) ?? "");
+  const [gazetteerChoice, setGazetteerChoice] = useState("");
+  const gazetteerId = gazetteers.some((dataset) => dataset.id === gazetteerChoice)
+    ? gazetteerChoice
+    : gazetteers[0]?.id ?? "";
+  const pending = state?.pendingDatasetId === datasetId;
+  const result = state?.result?.datasetId === datasetId ? state.result : null;
+  const reviewTotal = result ? result.ambiguousCount + result.unmatchedCount : 0;
+
+  const geocode = (choices) => onGeocode(datasetId, {
+    placeField,
+    gazetteerDatasetId: gazetteerId,
+    countryField: countryField || null,
+    ...(choices ? { choices } : {}),
+  });
+
+  return (
+    <div className="csvMeta">
+      <span className="csvMetaLabel">Geocode place names:</span>
+
+      {gazetteers.length === 0 ? (
+        <div className="csvToolMenuHint" style={{ marginTop: 6 }}>
+          Load a gazetteer CSV with name, lat and lon columns, and optionally
+          alternative names and country, to locate rows by place name.
+        </div>
+      ) : (
+        <div className="csvPlaceGeocoding">
+          <select
+            className="csvSelect"
+            value={placeField}
+            disabled={pending}
+            onChange={(e) => setPlaceField(e.target.value)}
+            aria-label="Place-name column"
+          >
+            <option value="">(place column)</option>
+            {headers.map((h) => (
+              <option key={h} value={h}>
+                {h}
+              </option>
+            ))}
+          </select>
+
+          <select
+            className="csvSelect"
+            value={gazetteerId}
+            disabled={pending}
+            onChange={(e) => setGazetteerChoice(e.target.value)}
+            aria-label="Gazetteer dataset"
+          >
+            {gazetteers.map((dataset) => (
+              <option key={dataset.id} value={dataset.id}>
+                {dataset.name}
+              </option>
+            ))}
+          </select>
+
+          <select
+            className="csvSelect"
+            value={countryField}
+            disabled={pending}
+            onChange={(e) => setCountryField(e.target.value)}
+            aria-label="Country column"
+          >
+            <option value="">(any country)</option>
+            {headers.map((h) => (
+              <option key={h} value={h}>
+                {h}
+              </option>
+            ))}
+          </select>
+
+          <button
+            type="button"
+            className="csvBtnPrimary"
+            disabled={pending || !placeField}
+            onClick={() => geocode()}
+          >
+            {pending ? "Geocoding…" : "Geocode"}
+          </button>
+        </div>
+      )}
+
+      {result && (
+        <div className="csvToolMenuHint" role="status" style={{ marginTop: 6 }}>
+          Located {result.matchedCount} row{result.matchedCount === 1 ? "" : "s"}
+          {result.fuzzyCount > 0 ? `, ${result.fuzzyCount} by a similar name` : ""}.
+          {reviewTotal > 0 && ` ${reviewTotal} need${reviewTotal === 1 ? "s" : ""} review.`}
+        </div>
+      )}
+
+      {result && result.review.length > 0 && (
+        <ul className="csvGeocodingReview" aria-label="Rows to review">
+          {result.review.map((row) => (
+            <li key={row.rowIndex}>
+              <span>
+                Row {row.rowIndex + 1}: “{row.value}”
+                {row.status === "unmatched" ? " – no match" : " – pick a place:"}
+              </span>
+              {row.candidates.map((candidate) => (
+                <button
+                  key={candidate.gazetteerRowIndex}
+                  type="button"
+                  className="csvBtnTiny"
+                  disabled={pending}
+                  onClick={() => geocode([{
+                    rowIndex: row.rowIndex,
+                    gazetteerRowIndex: candidate.gazetteerRowIndex,
+                  }])}
+                  title={`${candidate.lat}, ${candidate.lon}`}
+                >
+                  {candidate.name}
+                  {candidate.country ? ` (${candidate.country})` : ""}
+                </button>
+              ))}
+            </li>
+          ))}
+          {result.review.length < reviewTotal && (
+            <li>Showing the first {result.review.length} of {reviewTotal} rows.</li>
+          )}
+        </ul>
+      )}
+
+      {state?.error && (
+        <DismissibleMessage
+          className="csvDesktopImportStatus csvDesktopImportStatusError"
+          dismissLabel="Dismiss geocoding error"
+          onDismiss={onDismissError}
+          role="alert"
+        >
+          {state.error}
+        </DismissibleMessage>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import { POINT_DISPLAY_MODES } from "../densityHeatmap";
+
+/**
+ * How one dataset's points are drawn. Heatmap mode replaces the dataset's
+ * point markers with a density layer; its lines and regions still draw.
+ */
+export default function PointDisplayMode({
+  datasetId,
+  modes,              // Display mode by dataset ID; missing means markers
+  onChange,           // Receives the complete next mode map
+}) {
+  const mode = modes?.[datasetId] ?? "markers";
+
+  return (
+    <div className="csvMeta">
+      <span className="csvMetaLabel">Show points as:</span>
+      <select
+        className="csvSelect"
+        value={mode}
+        onChange={(e) => onChange({ ...modes, [datasetId]: e.target.value })}
+        aria-label="Point display mode"
+        style={{ marginTop: 6 }}
+      >
+        {POINT_DISPLAY_MODES.map(({ mode: value, label }) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import { useRef } from "react";
+import { DismissibleMessage } from "./DismissibleMessage";
+
+/**
+ * Save and open project files. Opening reports through the import messages,
+ * so only save failures are shown here.
+ */
+export default function ProjectFileControls({
+  projectFiles, // { usesNativePicker, canSave, isBusy, error, onSave, onOpen, onDismissError }
+}) {
+  const fileInputRef = useRef(null);
+
+  function handleClickOpen() {
+    if (projectFiles.usesNativePicker) {
+      projectFiles.onOpen();
+      return;
+    }
+    fileInputRef.current?.click();
+  }
+
+  function handleFileChange(event) {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    projectFiles.onOpen(file);
+
+    // Reset input value so the same project can be opened again
+    event.target.value = "";
+  }
+
+  return (
+    <>
+      <div className="csvProjectButtons">
+        <button
+          type="button"
+          className="csvBtnTiny"
+          onClick={projectFiles.onSave}
+          disabled={!projectFiles.canSave || projectFiles.isBusy}
+        >
+          Save project…
+        </button>
+        <button
+          type="button"
+          className="csvBtnTiny"
+          onClick={handleClickOpen}
+          disabled={projectFiles.isBusy}
+        >
+          Open project…
+        </button>
+      </div>
+
+      {projectFiles.error && (
+        <DismissibleMessage
+          className="csvDesktopImportStatus csvDesktopImportStatusError"
+          dismissLabel="Dismiss project save error"
+          onDismiss={projectFiles.onDismissError}
+          role="alert"
+        >
+          {projectFiles.error}
+        </DismissibleMessage>
+      )}
+
+      {!projectFiles.usesNativePicker && (
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleFileChange}
+          style={{ display: "none" }}
+        />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,119 @@
+import {
+  MAX_STYLE_RULES,
+  STYLE_COLOR_RAMPS,
+  STYLE_RULE_KINDS,
+  createStyleRuleDraft,
+  normalizeStyleRules,
+} from "../styleRules";
+
+/**
+ * Data-driven style rules for one dataset. A dataset takes one colour rule
+ * (by category or colour ramp) and one size rule; further rules for the same
+ * role stay in the list, marked inactive, until the active one is removed.
+ */
+export default function StyleRules({
+  datasetId,
+  headers,
+  rules,              // Every dataset's draft rules
+  onChange,           // Receives the complete next draft list
+}) {
+  const datasetRules = rules.filter((rule) => rule.datasetId === datasetId);
+  const activeIds = new Set(normalizeStyleRules(datasetRules).map((rule) => rule.id));
+
+  function updateRule(id, patch) {
+    onChange(rules.map((rule) => (
+      rule.id === id ? { ...rule, ...patch } : rule
+    )));
+  }
+
+  function removeRule(id) {
+    onChange(rules.filter((rule) => rule.id !== id));
+  }
+
+  return (
+    <div className="csvMeta">
+      <div className="csvAttributeFiltersHeader">
+        <span className="csvMetaLabel">
+          Style{activeIds.size > 0 ? ` (${activeIds.size} active)` : ""}
+        </span>
+        <button
+          type="button"
+          className="csvBtnTiny"
+          disabled={headers.length === 0 || rules.length >= MAX_STYLE_RULES}
+          onClick={() => onChange([
+            ...rules,
+            createStyleRuleDraft(datasetId, headers[0]),
+          ])}
+        >
+          Add rule
+        </button>
+      </div>
+
+      {datasetRules.map((rule) => (
+        <div key={rule.id} className="csvStyleRule">
+          <select
+            className="csvSelect"
+            value={rule.kind}
+            onChange={(e) => updateRule(rule.id, { kind: e.target.value })}
+            aria-label="Style rule type"
+          >
+            {STYLE_RULE_KINDS.map(({ kind, label }) => (
+              <option key={kind} value={kind}>
+                {label}
+              </option>
+            ))}
+          </select>
+
+          <select
+            className="csvSelect"
+            value={rule.field}
+            onChange={(e) => updateRule(rule.id, { field: e.target.value })}
+            aria-label="Style column"
+          >
+            {/* Keep a column that was renamed or removed visible until changed */}
+            {!headers.includes(rule.field) && (
+              <option value={rule.field}>{rule.field || "(not set)"}</option>
+            )}
+            {headers.map((h) => (
+              <option key={h} value={h}>
+                {h}
+              </option>
+            ))}
+          </select>
+
+          {rule.kind === "graduated" && (
+            <select
+              className="csvSelect csvStyleRuleRamp"
+              value={rule.ramp}
+              onChange={(e) => updateRule(rule.id, { ramp: e.target.value })}
+              aria-label="Colour ramp"
+            >
+              {STYLE_COLOR_RAMPS.map(({ ramp, label }) => (
+                <option key={ramp} value={ramp}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          )}
+
+          {!activeIds.has(rule.id) && (
+            <span className="csvStyleRuleInactive">
+              {rule.kind === "size"
+                ? "Inactive: this dataset already has a size rule."
+                : "Inactive: this dataset already has a colour rule."}
+            </span>
+          )}
+
+          <button
+            type="button"
+            className="csvBtnTiny"
+            onClick={() => removeRule(rule.id)}
+            aria-label={`Remove ${rule.field || "column"} style rule`}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
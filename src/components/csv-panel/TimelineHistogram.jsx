@@ -0,0 +1,44 @@
+import { getTimelineHistogramBars } from "../timelineHistogram";
+
+/**
+ * Stacked feature-count bars for the slider background, one colour per
+ * dataset. Renders nothing until a histogram with counts in view arrives.
+ * The slider draws it behind the track, so it takes no pointer input.
+ */
+export default function TimelineHistogram({
+  histogram,
+  unit,
+  minPeriod,
+  maxPeriod,
+  datasetIds,
+  datasetColors,
+}) {
+  const bars = getTimelineHistogramBars(histogram, {
+    unit,
+    minPeriod,
+    maxPeriod,
+    datasetIds,
+    datasetColors,
+  });
+  if (bars.length === 0) return null;
+
+  return (
+    <div className="csvTimelineHistogram" aria-hidden="true">
+      {bars.map((bar) => (
+        <div
+          key={bar.key}
+          className="csvTimelineHistogramBar"
+          style={{ left: `${bar.left}%`, width: `${bar.width}%` }}
+        >
+          {bar.segments.map((segment) => (
+            <div
+              key={segment.datasetId}
+              className="csvTimelineHistogramSegment"
+              style={{ height: `${segment.height}%`, background: segment.color }}
+            />
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
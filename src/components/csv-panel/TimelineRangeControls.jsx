@@ -0,0 +1,234 @@
+import DualRangeSlider from "../DualRangeSlider";
+import TimelineHistogram from "./TimelineHistogram";
+import {
+  TIMELINE_UNITS,
+  formatTimelineDay,
+  formatTimelineRange,
+  getTimelineDayRange,
+  getTimelinePeriod,
+  getTimelinePeriodExtent,
+  getTimelineSelectionPatch,
+  getTimelineWindow,
+  normalizeTimelineUnit,
+  parseTimelineDate,
+} from "../timelineDates";
+
+/**
+ * Slider resolution plus the selected range: years over the timeline range,
+ * or months and days over a window that can be zoomed to the selection.
+ */
+export default function TimelineRangeControls({
+  timelineState,
+  onTimelinePatch,   // Stops playback before patching
+  histogram,         // Feature counts per year bucket; null hides the bars
+  datasetIds,
+  datasetColors,
+}) {
+  const unit = normalizeTimelineUnit(timelineState?.timelineUnit);
+  const range = getTimelineDayRange(timelineState);
+  const sliderWindow = getTimelineWindow(timelineState);
+  const zoomed = timelineState?.windowStartEpochDay != null && timelineState?.windowEndEpochDay != null;
+
+  function changeUnit(nextUnit) {
+    if (!range || nextUnit === unit) {
+      onTimelinePatch({ timelineUnit: nextUnit });
+      return;
+    }
+    // Widen the selection to whole periods of the new unit.
+    onTimelinePatch({
+      timelineUnit: nextUnit,
+      ...getTimelineSelectionPatch(
+        getTimelinePeriod(range.startDay, nextUnit),
+        getTimelinePeriod(range.endDay, nextUnit),
+        nextUnit,
+      ),
+    });
+  }
+
+  function selectPeriods(startPeriod, endPeriod) {
+    onTimelinePatch(getTimelineSelectionPatch(startPeriod, endPeriod, unit));
+  }
+
+  /** Move one end of the selection to the period of a date or month input. */
+  function selectInputValue(value, side) {
+    const epochDay = parseTimelineDate(unit === "month" ? `${value}-01` : value);
+    if (epochDay == null || !range) return;
+    const period = getTimelinePeriod(epochDay, unit);
+    if (side === "start") {
+      selectPeriods(period, Math.max(period, getTimelinePeriod(range.endDay, unit)));
+    } else {
+      selectPeriods(Math.min(period, getTimelinePeriod(range.startDay, unit)), period);
+    }
+  }
+
+  const unitSelect = (
+    <label className="csvTimelineField csvTimelineUnitField">
+      <span className="csvTimelineLabel">Precision</span>
+      <select
+        className="csvSelect"
+        value={unit}
+        onChange={(e) => changeUnit(e.target.value)}
+      >
+        {TIMELINE_UNITS.map((entry) => (
+          <option key={entry.unit} value={entry.unit}>{entry.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  if (unit === "year") {
+    return (
+      <>
+        {unitSelect}
+        <div className="csvTimelineSubLabel">Visible year range</div>
+
+        <DualRangeSlider
+          min={timelineState?.yearMin ?? 0}
+          max={timelineState?.yearMax ?? 0}
+          step={1}
+          start={timelineState?.startYear ?? timelineState?.yearMin ?? 0}
+          end={timelineState?.endYear ?? timelineState?.yearMax ?? 0}
+          disabled={timelineState?.yearMin == null || timelineState?.yearMax == null}
+          background={(
+            <TimelineHistogram
+              histogram={histogram}
+              unit={unit}
+              minPeriod={timelineState?.yearMin}
+              maxPeriod={timelineState?.yearMax}
+              datasetIds={datasetIds}
+              datasetColors={datasetColors}
+            />
+          )}
+          onChange={({ start, end }) =>
+            onTimelinePatch({ startYear: start, endYear: end })
+          }
+        />
+
+        <div className="csvTimelineReadoutRow">
+          <label className="csvTimelineField">
+            <span className="csvTimelineLabel">From</span>
+            <input
+              className="csvSelect"
+              type="number"
+              value={timelineState?.startYear ?? ""}
+              min={timelineState?.yearMin ?? undefined}
+              max={timelineState?.yearMax ?? undefined}
+              onChange={(e) => {
+                onTimelinePatch({ startYear: toIntOrNull(e.target.value) });
+              }}
+            />
+          </label>
+
+          <label className="csvTimelineField">
+            <span className="csvTimelineLabel">To</span>
+            <input
+              className="csvSelect"
+              type="number"
+              value={timelineState?.endYear ?? ""}
+              min={timelineState?.yearMin ?? undefined}
+              max={timelineState?.yearMax ?? undefined}
+              onChange={(e) => {
+                onTimelinePatch({ endYear: toIntOrNull(e.target.value) });
+              }}
+            />
+          </label>
+        </div>
+      </>
+    );
+  }
+
+  const minPeriod = sliderWindow ? getTimelinePeriod(sliderWindow.startDay, unit) : 0;
+  const maxPeriod = sliderWindow ? getTimelinePeriod(sliderWindow.endDay, unit) : 0;
+  const startPeriod = range ? clampInt(getTimelinePeriod(range.startDay, unit), minPeriod, maxPeriod) : minPeriod;
+  const endPeriod = range ? clampInt(getTimelinePeriod(range.endDay, unit), minPeriod, maxPeriod) : maxPeriod;
+  const inputType = unit === "month" ? "month" : "date";
+  const formatPeriod = (period) => formatTimelineDay(getTimelinePeriodExtent(period, unit).startDay, unit);
+
+  return (
+    <>
+      {unitSelect}
+      <div className="csvTimelineSubLabel">
+        {unit === "month" ? "Visible months" : "Visible days"}
+        {range ? `: ${formatTimelineRange(range, unit)}` : ""}
+      </div>
+
+      <DualRangeSlider
+        min={minPeriod}
+        max={maxPeriod}
+        step={1}
+        start={startPeriod}
+        end={endPeriod}
+        disabled={!sliderWindow}
+        formatValue={formatPeriod}
+        background={(
+          <TimelineHistogram
+            histogram={histogram}
+            unit={unit}
+            minPeriod={minPeriod}
+            maxPeriod={maxPeriod}
+            datasetIds={datasetIds}
+            datasetColors={datasetColors}
+          />
+        )}
+        onChange={({ start, end }) => selectPeriods(start, end)}
+      />
+
+      <div className="csvTimelineReadoutRow">
+        <label className="csvTimelineField">
+          <span className="csvTimelineLabel">From</span>
+          <input
+            className="csvSelect"
+            type={inputType}
+            value={range ? formatTimelineDay(range.startDay, unit) : ""}
+            onChange={(e) => selectInputValue(e.target.value, "start")}
+          />
+        </label>
+
+        <label className="csvTimelineField">
+          <span className="csvTimelineLabel">To</span>
+          <input
+            className="csvSelect"
+            type={inputType}
+            value={range ? formatTimelineDay(range.endDay, unit) : ""}
+            onChange={(e) => selectInputValue(e.target.value, "end")}
+          />
+        </label>
+      </div>
+
+      <div className="csvTimelineZoomRow">
+        <button
+          type="button"
+          className="csvBtnTiny"
+          disabled={!range || range.startDay === range.endDay}
+          title="Spread the selected dates across the whole slider"
+          onClick={() => onTimelinePatch({
+            windowStartEpochDay: range.startDay,
+            windowEndEpochDay: range.endDay,
+          })}
+        >
+          Zoom to selection
+        </button>
+        <button
+          type="button"
+          className="csvBtnTiny"
+          disabled={!zoomed}
+          title="Show the whole timeline range on the slider"
+          onClick={() => onTimelinePatch({ windowStartEpochDay: null, windowEndEpochDay: null })}
+        >
+          Zoom out
+        </button>
+      </div>
+    </>
+  );
+}
+
+function toIntOrNull(v) {
+  const s = String(v ?? "").trim();
+  if (!s) return null;
+  const n = Number.parseInt(s, 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+function clampInt(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
@@ -0,0 +1,64 @@
+/*
+ * Live preview for the CSV import options dialog.
+ *
+ * The start of the chosen file is decoded and parsed with the same PapaParse
+ * settings and header rules both importers use, so the table shows the
+ * columns and first rows an import with the current options would produce.
+ */
+import Papa from "papaparse";
+import { decodeCsvBytes, getCsvParseConfig } from "../data/csvImportOptions.js";
+import {
+  csvRowToObject,
+  isCsvRowEmpty,
+  normalizeCsvHeaders,
+} from "../data/csvParsingCompatibility.js";
+
+/** Bytes read from the start of the file for the preview. */
+export const CSV_IMPORT_PREVIEW_BYTES = 64 * 1024;
+/** Data rows shown below the header row. */
+export const CSV_IMPORT_PREVIEW_ROWS = 8;
+
+/**
+ * Read and parse the start of a browser file with normalized import options.
+ *
+ * @param {Blob} file Chosen CSV file.
+ * @param {object} csvOptions Options from `normalizeCsvImportOptions`.
+ */
+export async function readCsvImportPreview(file, csvOptions) {
+  const head = file.slice(0, CSV_IMPORT_PREVIEW_BYTES);
+  const bytes = new Uint8Array(await head.arrayBuffer());
+  return previewCsvText(decodeCsvBytes(bytes, csvOptions.encoding), csvOptions, {
+    truncated: file.size > bytes.length,
+  });
+}
+
+/**
+ * Parse CSV text the way an import would and keep the header and first rows.
+ *
+ * @param {string} text Decoded CSV text, possibly only the start of a file.
+ * @param {object} csvOptions Options from `normalizeCsvImportOptions`.
+ * @param {{ truncated?: boolean }} [source] Whether the text stops mid-file.
+ * @returns {{ delimiter: string, headers: string[], rows: string[][], parseErrorCount: number }}
+ *   The delimiter used (detected or chosen), normalized headers, and data rows
+ *   cut to the header width; `headers` is empty when no header row was found.
+ */
+export function previewCsvText(text, csvOptions, { truncated = false } = {}) {
+  // A cut-off last line would show as a partial row, so it is left out.
+  const completeText = truncated ? text.slice(0, text.lastIndexOf("\n") + 1) : text;
+  const result = Papa.parse(completeText, getCsvParseConfig(csvOptions));
+  const rows = result.data.filter((row) => Array.isArray(row) && !isCsvRowEmpty(row));
+  const headers = normalizeCsvHeaders(rows[csvOptions.headerRowIndex] ?? []);
+  const firstDataRow = csvOptions.headerRowIndex + 1;
+
+  return {
+    delimiter: result.meta.delimiter,
+    headers,
+    rows: headers.length === 0
+      ? []
+      : rows.slice(firstDataRow, firstDataRow + CSV_IMPORT_PREVIEW_ROWS).map((row) => {
+        const values = csvRowToObject(row, headers);
+        return headers.map((header) => values[header]);
+      }),
+    parseErrorCount: result.errors.length,
+  };
+}
@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import { normalizeCsvImportOptions } from '../data/csvImportOptions.js';
+import {
+  CSV_IMPORT_PREVIEW_BYTES,
+  CSV_IMPORT_PREVIEW_ROWS,
+  previewCsvText,
+  readCsvImportPreview,
+} from './csvImportPreview.js';
+
+const defaults = normalizeCsvImportOptions(null);
+
+// Without skipping, the title line becomes the header; skipped lines never reach it.
+const titled = 'Export, 2024-05-01\nname;lat;lon\nUppsala;59,86;17,64\n';
+assert.deepEqual(previewCsvText(titled, defaults).headers, ['Export, 2024-05-01']);
+assert.deepEqual(previewCsvText(titled, normalizeCsvImportOptions({ skipRows: 1 })), {
+  delimiter: ';',
+  headers: ['name', 'lat', 'lon'],
+  rows: [['Uppsala', '59,86', '17,64']],
+  parseErrorCount: 0,
+});
+
+// A header lower down drops the rows above it; rows are cut to the header width.
+const options = normalizeCsvImportOptions({
+  delimiter: '\t',
+  quoteChar: "'",
+  headerRowIndex: 1,
+  commentPrefix: '//',
+});
+assert.deepEqual(
+  previewCsvText("Finds\t\n// checked\nname\tyear\tname\n'Coin\t1'\t1650\tx\textra\n", options),
+  {
+    delimiter: '\t',
+    headers: ['name', 'year', 'name_2'],
+    rows: [['Coin\t1', '1650', 'x']],
+    parseErrorCount: 0,
+  },
+);
+assert.deepEqual(
+  previewCsvText('name\n', normalizeCsvImportOptions({ headerRowIndex: 3 })).headers,
+  [],
+);
+
+// Only complete lines of a long file are shown, decoded with the chosen encoding.
+const latin1Line = Uint8Array.from('Kärna;58,1\n', (character) => character.charCodeAt(0));
+const lineCount = Math.ceil(CSV_IMPORT_PREVIEW_BYTES / latin1Line.length) + 1;
+const file = new Blob([
+  'namn;lat\n',
+  ...Array.from({ length: lineCount }, () => latin1Line),
+]);
+const preview = await readCsvImportPreview(
+  file,
+  normalizeCsvImportOptions({ encoding: 'windows-1252' }),
+);
+assert.deepEqual(preview.headers, ['namn', 'lat']);
+assert.equal(preview.rows.length, CSV_IMPORT_PREVIEW_ROWS);
+assert.deepEqual(preview.rows[0], ['Kärna', '58,1']);
+
+// A byte order mark decides the encoding.
+const bom = await readCsvImportPreview(
+  new Blob([new Uint8Array([0xef, 0xbb, 0xbf]), 'namn\nKärna\n']),
+  normalizeCsvImportOptions({ encoding: 'windows-1252' }),
+);
+assert.deepEqual([bom.headers, bom.rows], [['namn'], [['Kärna']]]);
+
+console.log('CSV import preview smoke test passed.');
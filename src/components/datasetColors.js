@@ -0,0 +1,31 @@
+/**
+ * Colours that tell loaded datasets apart in the dataset list and the
+ * timeline histogram. They repeat after the last one.
+ */
+export const DATASET_COLORS = Object.freeze([
+  "#38bdf8",
+  "#fb923c",
+  "#a3e635",
+  "#f472b6",
+  "#facc15",
+  "#818cf8",
+  "#2dd4bf",
+  "#f87171",
+  "#c084fc",
+  "#34d399",
+]);
+
+/**
+ * Colour of each dataset by import order, so importing another dataset never
+ * recolours the ones already loaded.
+ *
+ * @param {string[]} datasetIds Loaded datasets, oldest import first.
+ * @returns {Record<string, string>}
+ */
+export function getDatasetColors(datasetIds) {
+  const colors = {};
+  (Array.isArray(datasetIds) ? datasetIds : []).forEach((datasetId, index) => {
+    colors[datasetId] = DATASET_COLORS[index % DATASET_COLORS.length];
+  });
+  return colors;
+}
@@ -0,0 +1,67 @@
+/** Ways a dataset's points can be drawn, in menu order. */
+export const POINT_DISPLAY_MODES = Object.freeze([
+  { mode: "markers", label: "Markers" },
+  { mode: "heatmap", label: "Heatmap" },
+]);
+
+/**
+ * Viewport cells that heatmap datasets are counted into. Finer than the
+ * grouped-marker grid, so density keeps its shape at every zoom level.
+ */
+export const DENSITY_GRID_CELLS = 4096;
+/** Edge cells can exceed the target slightly; results are capped here. */
+export const MAX_DENSITY_CELLS = DENSITY_GRID_CELLS * 2;
+
+/** Colour stops from sparse to dense, blended on a canvas. */
+export const HEATMAP_GRADIENT = Object.freeze([
+  [0.2, "#2563eb"],
+  [0.45, "#06b6d4"],
+  [0.65, "#84cc16"],
+  [0.85, "#facc15"],
+  [1, "#dc2626"],
+]);
+
+const MIN_CELL_WEIGHT = 0.08;
+const MIN_CELL_RADIUS_PIXELS = 10;
+const MAX_CELL_RADIUS_PIXELS = 60;
+
+/**
+ * Keep distinct, non-blank dataset IDs in first-seen order.
+ *
+ * @param {unknown} value Requested heatmap datasets.
+ * @returns {string[]}
+ */
+export function normalizeHeatmapDatasetIds(value) {
+  if (!Array.isArray(value)) return [];
+  const ids = [];
+  for (const entry of value) {
+    const id = typeof entry === "string" ? entry.trim() : "";
+    if (id && !ids.includes(id)) ids.push(id);
+  }
+  return ids;
+}
+
+/** Loaded datasets whose points the map query should aggregate into a heatmap. */
+export function getHeatmapDatasetIds(pointDisplayModes, datasetIds) {
+  return normalizeHeatmapDatasetIds(datasetIds)
+    .filter((datasetId) => pointDisplayModes?.[datasetId] === "heatmap")
+    .sort();
+}
+
+/**
+ * Opacity of one density cell. The square root keeps sparse cells visible
+ * next to a few very dense ones.
+ */
+export function getDensityCellWeight(count, maxCount) {
+  if (!(count > 0) || !(maxCount > 0)) return 0;
+  return Math.max(MIN_CELL_WEIGHT, Math.min(1, Math.sqrt(count / maxCount)));
+}
+
+/** Blur radius covering neighbouring cells so the grid does not show. */
+export function getDensityCellRadius(cellWidthPixels, cellHeightPixels) {
+  const cellSize = Math.max(Number(cellWidthPixels) || 0, Number(cellHeightPixels) || 0);
+  return Math.max(
+    MIN_CELL_RADIUS_PIXELS,
+    Math.min(MAX_CELL_RADIUS_PIXELS, Math.round(cellSize * 1.5)),
+  );
+}
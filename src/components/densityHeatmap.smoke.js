@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import {
+  POINT_DISPLAY_MODES,
+  getDensityCellRadius,
+  getDensityCellWeight,
+  getHeatmapDatasetIds,
+  normalizeHeatmapDatasetIds,
+} from './densityHeatmap.js';
+
+assert.deepEqual(POINT_DISPLAY_MODES.map(({ mode }) => mode), ['markers', 'heatmap']);
+
+assert.deepEqual(normalizeHeatmapDatasetIds([' b ', 'a', 'b', '', 3]), ['b', 'a']);
+assert.deepEqual(normalizeHeatmapDatasetIds('a'), []);
+
+// Only loaded datasets in heatmap mode are queried, in a stable order.
+assert.deepEqual(
+  getHeatmapDatasetIds({ b: 'heatmap', a: 'heatmap', c: 'markers', removed: 'heatmap' }, ['c', 'b', 'a']),
+  ['a', 'b'],
+);
+assert.deepEqual(getHeatmapDatasetIds(null, ['a']), []);
+
+assert.equal(getDensityCellWeight(4, 4), 1);
+assert.equal(getDensityCellWeight(1, 4), 0.5);
+// Single points stay visible next to very dense cells.
+assert.equal(getDensityCellWeight(1, 1_000_000), 0.08);
+assert.equal(getDensityCellWeight(0, 4), 0);
+assert.equal(getDensityCellWeight(2, 0), 0);
+
+assert.equal(getDensityCellRadius(8, 12), 18);
+assert.equal(getDensityCellRadius(0, 0), 10);
+assert.equal(getDensityCellRadius(200, 'wide'), 60);
+
+console.log('Density heatmap smoke test passed.');
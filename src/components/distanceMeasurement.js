@@ -1,3 +1,18 @@
+import { formatCoordinatePair } from "./coordinateNavigation.js";
+import { normalizeDrawnCoordinates } from "./drawnFeatures.js";
+
+/** Mean earth radius Leaflet also measures with, so distances match the map. */
+const EARTH_RADIUS_METERS = 6371000;
+
+/** Map-menu measurement modes in the order they are offered. */
+export const MEASUREMENT_TYPES = Object.freeze([
+  { kind: "path", label: "Measure distance" },
+  { kind: "area", label: "Measure area" },
+]);
+
+const MINIMUM_VERTICES = { path: 2, area: 3 };
+const SAVED_GEOMETRY_TYPES = { path: "line", area: "region" };
+
 /** Format a geographic distance with compact metric units. */
 export function formatMetricDistance(distanceMeters) {
   if (distanceMeters < 1000) {
@@ -7,32 +22,201 @@ export function formatMetricDistance(distanceMeters) {
   return `${(distanceMeters / 1000).toFixed(2)} km`;
 }
 
-/** Start a fresh two-point measurement at one geographic endpoint. */
-export function startDistanceMeasurement(start) {
-  return { start: { ...start }, end: null };
+/** Format an area in square metres, hectares, or square kilometres. */
+export function formatMetricArea(areaSquareMeters) {
+  if (areaSquareMeters < 10000) {
+    return `${Math.round(areaSquareMeters)} m²`;
+  }
+  if (areaSquareMeters < 1000000) {
+    return `${(areaSquareMeters / 10000).toFixed(2)} ha`;
+  }
+
+  return `${(areaSquareMeters / 1000000).toFixed(2)} km²`;
+}
+
+/** Format a compass bearing in degrees clockwise from north. */
+export function formatBearing(bearingDegrees) {
+  return `${bearingDegrees.toFixed(1)}°`;
+}
+
+/** Great-circle distance between two positions, in metres. */
+export function getDistanceMeters(from, to) {
+  const lat1 = toRadians(from.lat);
+  const lat2 = toRadians(to.lat);
+  const sinHalfLat = Math.sin((lat2 - lat1) / 2);
+  const sinHalfLng = Math.sin(toRadians(to.lng - from.lng) / 2);
+  const a = sinHalfLat * sinHalfLat + Math.cos(lat1) * Math.cos(lat2) * sinHalfLng * sinHalfLng;
+  return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
 }
 
-/** Place the second endpoint once and ignore later map clicks. */
-export function completeDistanceMeasurement(measurement, end) {
-  if (!measurement || measurement.end) return measurement;
-  return { ...measurement, end: { ...end } };
+/** Great-circle bearing when leaving `from` towards `to`, from 0 up to 360. */
+export function getInitialBearing(from, to) {
+  const lat1 = toRadians(from.lat);
+  const lat2 = toRadians(to.lat);
+  const deltaLng = toRadians(to.lng - from.lng);
+  const y = Math.sin(deltaLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(deltaLng);
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
 }
 
-/** Move one endpoint of a completed measurement while preserving the other. */
-export function moveDistanceEndpoint(measurement, endpoint, position) {
-  if (!measurement?.end || (endpoint !== "start" && endpoint !== "end")) {
-    return measurement;
+/** Great-circle bearing when arriving at `to`; it differs on long legs. */
+export function getFinalBearing(from, to) {
+  return (getInitialBearing(to, from) + 180) % 360;
+}
+
+/**
+ * Approximate area of a polygon on the sphere, in square metres, using the
+ * same spherical approximation as common Leaflet and OpenLayers measuring
+ * tools. It is close for anything drawn by hand on a web map.
+ */
+export function getPolygonAreaSquareMeters(vertices) {
+  if (!Array.isArray(vertices) || vertices.length < 3) return 0;
+  let total = 0;
+  for (let index = 0; index < vertices.length; index += 1) {
+    const current = vertices[index];
+    const next = vertices[(index + 1) % vertices.length];
+    total += toRadians(next.lng - current.lng)
+      * (2 + Math.sin(toRadians(current.lat)) + Math.sin(toRadians(next.lat)));
+  }
+  return Math.abs((total * EARTH_RADIUS_METERS * EARTH_RADIUS_METERS) / 2);
+}
+
+/**
+ * Lengths, bearings and area for one measurement. Paths report the distance
+ * walked up to every vertex; areas report the area and the closed perimeter.
+ * Bearings describe the first leg leaving the start and the last leg arriving.
+ */
+export function getMeasurementSummary(measurement) {
+  const vertices = measurement?.vertices ?? [];
+  const cumulativeDistances = [0];
+  for (let index = 1; index < vertices.length; index += 1) {
+    cumulativeDistances.push(
+      cumulativeDistances[index - 1] + getDistanceMeters(vertices[index - 1], vertices[index]),
+    );
   }
+  const hasLeg = vertices.length >= 2;
+  const area = measurement?.kind === "area" && vertices.length >= 3;
+
+  return {
+    cumulativeDistances,
+    length: cumulativeDistances.at(-1),
+    perimeter: area ? cumulativeDistances.at(-1) + getDistanceMeters(vertices.at(-1), vertices[0]) : null,
+    area: area ? getPolygonAreaSquareMeters(vertices) : null,
+    initialBearing: hasLeg ? getInitialBearing(vertices[0], vertices[1]) : null,
+    finalBearing: hasLeg ? getFinalBearing(vertices.at(-2), vertices.at(-1)) : null,
+  };
+}
+
+/**
+ * Start a measurement at one position. A previous unfinished measurement is
+ * dropped; finished ones stay on the map.
+ */
+export function startMeasurement(measurements, kind, start) {
+  const kept = cancelActiveMeasurement(measurements);
+  const id = kept.reduce((highest, measurement) => Math.max(highest, measurement.id), 0) + 1;
+  return [
+    ...kept,
+    { id, kind, vertices: [{ lat: start.lat, lng: start.lng }], complete: false },
+  ];
+}
+
+/** The measurement still taking vertices, or null. */
+export function getActiveMeasurement(measurements) {
+  return measurements?.find((measurement) => !measurement.complete) ?? null;
+}
+
+/** Add a vertex to the active measurement, ignoring a repeated click position. */
+export function addMeasurementVertex(measurements, position) {
+  return updateActive(measurements, (measurement) => {
+    const last = measurement.vertices.at(-1);
+    if (last && last.lat === position.lat && last.lng === position.lng) return measurement;
+    return {
+      ...measurement,
+      vertices: [...measurement.vertices, { lat: position.lat, lng: position.lng }],
+    };
+  });
+}
+
+/** Undo the latest vertex of the active measurement, keeping its start. */
+export function removeLastMeasurementVertex(measurements) {
+  return updateActive(measurements, (measurement) => (
+    measurement.vertices.length <= 1
+      ? measurement
+      : { ...measurement, vertices: measurement.vertices.slice(0, -1) }
+  ));
+}
+
+/** Keep the active measurement once it has enough vertices, or drop it. */
+export function finishMeasurement(measurements) {
+  const active = getActiveMeasurement(measurements);
+  if (!active) return measurements;
+  if (active.vertices.length < MINIMUM_VERTICES[active.kind]) {
+    return cancelActiveMeasurement(measurements);
+  }
+  return measurements.map((measurement) => (
+    measurement === active ? { ...measurement, complete: true } : measurement
+  ));
+}
+
+/** Drop only the measurement that is still taking vertices. */
+export function cancelActiveMeasurement(measurements) {
+  return (measurements ?? []).filter((measurement) => measurement.complete);
+}
+
+/** Move one vertex of a finished measurement while preserving the others. */
+export function moveMeasurementVertex(measurements, id, vertexIndex, position) {
+  return measurements.map((measurement) => {
+    if (measurement.id !== id || !measurement.complete || !measurement.vertices[vertexIndex]) {
+      return measurement;
+    }
+    const vertices = [...measurement.vertices];
+    vertices[vertexIndex] = { lat: position.lat, lng: position.lng };
+    return { ...measurement, vertices };
+  });
+}
+
+/** Remove one measurement and everything drawn for it. */
+export function removeMeasurement(measurements, id) {
+  return measurements.filter((measurement) => measurement.id !== id);
+}
+
+/** Clear every temporary measurement and all UI derived from them. */
+export function clearMeasurements() {
+  return [];
+}
+
+/** One `latitude, longitude` line per vertex, in the map's six-decimal format. */
+export function formatMeasurementCoordinates(measurement) {
+  return (measurement?.vertices ?? [])
+    .map((vertex) => formatCoordinatePair(vertex.lat, vertex.lng))
+    .join("\n");
+}
+
+/**
+ * Backend request that stores a finished measurement as a drawn feature:
+ * paths become lines and areas become regions. Returns null while the
+ * measurement is unfinished or a vertex lies outside valid coordinates.
+ */
+export function getMeasurementFeatureRequest(measurement, datasetId) {
+  if (!measurement?.complete || !datasetId) return null;
+  const geometryType = SAVED_GEOMETRY_TYPES[measurement.kind];
+  const coordinates = normalizeDrawnCoordinates(
+    geometryType,
+    measurement.vertices.map((vertex) => [vertex.lat, vertex.lng]),
+  );
+  return coordinates ? { datasetId, geometryType, coordinates } : null;
+}
 
-  return { ...measurement, [endpoint]: { ...position } };
+function updateActive(measurements, update) {
+  return (measurements ?? []).map((measurement) => (
+    measurement.complete ? measurement : update(measurement)
+  ));
 }
 
-/** Cancel only a measurement that is still waiting for its second endpoint. */
-export function cancelIncompleteDistanceMeasurement(measurement) {
-  return measurement && !measurement.end ? null : measurement;
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
 }
 
-/** Clear the sole temporary measurement and all UI derived from it. */
-export function clearDistanceMeasurement() {
-  return null;
+function toDegrees(radians) {
+  return (radians * 180) / Math.PI;
 }
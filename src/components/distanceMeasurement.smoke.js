@@ -1,11 +1,25 @@
 import assert from "node:assert/strict";
 import {
-  cancelIncompleteDistanceMeasurement,
-  clearDistanceMeasurement,
-  completeDistanceMeasurement,
+  MEASUREMENT_TYPES,
+  addMeasurementVertex,
+  cancelActiveMeasurement,
+  clearMeasurements,
+  finishMeasurement,
+  formatBearing,
+  formatMeasurementCoordinates,
+  formatMetricArea,
   formatMetricDistance,
-  moveDistanceEndpoint,
-  startDistanceMeasurement,
+  getActiveMeasurement,
+  getDistanceMeters,
+  getFinalBearing,
+  getInitialBearing,
+  getMeasurementFeatureRequest,
+  getMeasurementSummary,
+  getPolygonAreaSquareMeters,
+  moveMeasurementVertex,
+  removeLastMeasurementVertex,
+  removeMeasurement,
+  startMeasurement,
 } from "./distanceMeasurement.js";
 
 assert.equal(formatMetricDistance(0), "0 m");
@@ -14,34 +28,104 @@ assert.equal(formatMetricDistance(999.4), "999 m");
 assert.equal(formatMetricDistance(1000), "1.00 km");
 assert.equal(formatMetricDistance(23750), "23.75 km");
 assert.equal(formatMetricDistance(2252290), "2252.29 km");
+assert.equal(formatMetricArea(9999.4), "9999 m²");
+assert.equal(formatMetricArea(25000), "2.50 ha");
+assert.equal(formatMetricArea(12345678), "12.35 km²");
+assert.equal(formatBearing(45.04), "45.0°");
+assert.deepEqual(MEASUREMENT_TYPES.map(({ kind }) => kind), ["path", "area"]);
 
-const firstStart = { lat: 59.3293, lng: 18.0686 };
-const replacementStart = { lat: 57.7089, lng: 11.9746 };
-const end = { lat: 55.605, lng: 13.0038 };
+// Distances and bearings follow great circles on the same sphere as Leaflet.
+const equator = { lat: 0, lng: 0 };
+assert.equal(Math.round(getDistanceMeters(equator, { lat: 0, lng: 1 })), 111195);
+assert.equal(getInitialBearing(equator, { lat: 1, lng: 0 }), 0);
+assert.equal(getInitialBearing(equator, { lat: 0, lng: 1 }), 90);
+assert.equal(Math.round(getInitialBearing(equator, { lat: 0, lng: -1 })), 270);
+const stockholm = { lat: 59.3293, lng: 18.0686 };
+const newYork = { lat: 40.7128, lng: -74.006 };
+// Long legs leave and arrive on different headings.
+assert.equal(Math.round(getInitialBearing(stockholm, newYork)), 295);
+assert.equal(Math.round(getFinalBearing(stockholm, newYork)), 218);
 
-const unfinished = startDistanceMeasurement(firstStart);
-assert.deepEqual(unfinished, { start: firstStart, end: null });
-assert.notEqual(unfinished.start, firstStart);
+// A one-degree square at the equator covers about 111 km by 111 km.
+const square = [
+  { lat: 0, lng: 0 },
+  { lat: 0, lng: 1 },
+  { lat: 1, lng: 1 },
+  { lat: 1, lng: 0 },
+];
+const squareArea = getPolygonAreaSquareMeters(square);
+assert.ok(Math.abs(squareArea / 1e6 - 12364) < 10, `unexpected area ${squareArea}`);
+assert.equal(getPolygonAreaSquareMeters([...square].reverse()), squareArea);
+assert.equal(getPolygonAreaSquareMeters(square.slice(0, 2)), 0);
 
-const replacement = startDistanceMeasurement(replacementStart);
-assert.deepEqual(replacement, { start: replacementStart, end: null });
+// Paths collect vertices until finished; an earlier unfinished one is dropped.
+let measurements = startMeasurement([], "path", equator);
+measurements = startMeasurement(measurements, "path", { lat: 0, lng: 0 });
+assert.equal(measurements.length, 1);
+assert.equal(measurements[0].id, 1);
+measurements = addMeasurementVertex(measurements, { lat: 0, lng: 1 });
+measurements = addMeasurementVertex(measurements, { lat: 0, lng: 1 });
+measurements = addMeasurementVertex(measurements, { lat: 1, lng: 1 });
+measurements = addMeasurementVertex(measurements, { lat: 5, lng: 5 });
+measurements = removeLastMeasurementVertex(measurements);
+assert.equal(getActiveMeasurement(measurements).vertices.length, 3);
+measurements = finishMeasurement(measurements);
+assert.equal(getActiveMeasurement(measurements), null);
 
-const completed = completeDistanceMeasurement(replacement, end);
-assert.deepEqual(completed, { start: replacementStart, end });
-assert.strictEqual(
-  completeDistanceMeasurement(completed, firstStart),
-  completed,
-);
+const path = measurements[0];
+const pathSummary = getMeasurementSummary(path);
+assert.deepEqual(pathSummary.cumulativeDistances.map(Math.round), [0, 111195, 222390]);
+assert.equal(Math.round(pathSummary.length), 222390);
+assert.equal(pathSummary.initialBearing, 90);
+assert.equal(pathSummary.finalBearing, 0);
+assert.equal(pathSummary.area, null);
+
+// Several measurements stay on the map; areas need three vertices.
+measurements = startMeasurement(measurements, "area", square[0]);
+for (const vertex of square.slice(1)) measurements = addMeasurementVertex(measurements, vertex);
+measurements = finishMeasurement(measurements);
+assert.deepEqual(measurements.map(({ id, kind, complete }) => [id, kind, complete]), [
+  [1, "path", true],
+  [2, "area", true],
+]);
+const areaSummary = getMeasurementSummary(measurements[1]);
+assert.equal(areaSummary.area, squareArea);
+assert.equal(Math.round(areaSummary.perimeter), Math.round(
+  getDistanceMeters(square[0], square[1]) + getDistanceMeters(square[1], square[2])
+  + getDistanceMeters(square[2], square[3]) + getDistanceMeters(square[3], square[0]),
+));
+
+measurements = startMeasurement(measurements, "area", equator);
+measurements = addMeasurementVertex(measurements, { lat: 1, lng: 1 });
+assert.equal(finishMeasurement(measurements).length, 2);
+assert.equal(cancelActiveMeasurement(measurements).length, 2);
+measurements = cancelActiveMeasurement(measurements);
 
-const movedStart = moveDistanceEndpoint(completed, "start", firstStart);
-assert.deepEqual(movedStart, { start: firstStart, end });
-assert.deepEqual(moveDistanceEndpoint(movedStart, "end", replacementStart), {
-  start: firstStart,
-  end: replacementStart,
+// Only finished measurements move their vertices.
+const moved = moveMeasurementVertex(measurements, 1, 2, { lat: 2, lng: 1 });
+assert.deepEqual(moved[0].vertices[2], { lat: 2, lng: 1 });
+assert.strictEqual(moved[1], measurements[1]);
+assert.strictEqual(moveMeasurementVertex(measurements, 1, 9, equator)[0], measurements[0]);
+
+// Finished measurements copy as coordinates and save as lines or regions.
+assert.equal(
+  formatMeasurementCoordinates(path),
+  "0.000000, 0.000000\n0.000000, 1.000000\n1.000000, 1.000000",
+);
+assert.deepEqual(getMeasurementFeatureRequest(path, "dataset-1"), {
+  datasetId: "dataset-1",
+  geometryType: "line",
+  coordinates: [[0, 0], [0, 1], [1, 1]],
 });
+assert.equal(getMeasurementFeatureRequest(measurements[1], "dataset-1").geometryType, "region");
+assert.equal(getMeasurementFeatureRequest(path, null), null);
+assert.equal(getMeasurementFeatureRequest({ ...path, complete: false }, "dataset-1"), null);
+assert.equal(getMeasurementFeatureRequest({
+  ...path,
+  vertices: [equator, { lat: 0, lng: 190 }],
+}, "dataset-1"), null);
 
-assert.equal(cancelIncompleteDistanceMeasurement(unfinished), null);
-assert.strictEqual(cancelIncompleteDistanceMeasurement(completed), completed);
-assert.equal(clearDistanceMeasurement(), null);
+assert.deepEqual(removeMeasurement(measurements, 1).map(({ id }) => id), [2]);
+assert.deepEqual(clearMeasurements(), []);
 
 console.log("Distance measurement smoke checks passed.");
@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import {
+  buildDrawnFeatureRows,
+  createDrawnFeatureId,
+  normalizeDrawnCoordinates,
+} from './drawnFeatures.js';
+
+assert.deepEqual(normalizeDrawnCoordinates('point', [['59.3', 18]]), [[59.3, 18]]);
+assert.equal(normalizeDrawnCoordinates('point', [[1, 1], [2, 2]]), null);
+assert.equal(normalizeDrawnCoordinates('line', [[1, 1]]), null);
+assert.equal(normalizeDrawnCoordinates('line', [[91, 1], [2, 2]]), null);
+assert.deepEqual(
+  normalizeDrawnCoordinates('region', [[1, 1], [1, 2], [2, 2], [1, 1]]),
+  [[1, 1], [1, 2], [2, 2]],
+);
+assert.equal(normalizeDrawnCoordinates('region', [[1, 1], [1, 2], [1, 1]]), null);
+assert.equal(normalizeDrawnCoordinates('circle', [[1, 1]]), null);
+
+assert.equal(createDrawnFeatureId([]), 'drawn-1');
+assert.equal(createDrawnFeatureId(['drawn-1', 'drawn-3', 'road']), 'drawn-2');
+
+assert.deepEqual(buildDrawnFeatureRows({
+  headers: ['name', 'lat', 'lon'],
+  latField: 'lat',
+  lonField: 'lon',
+  wktField: null,
+  featureTypeField: null,
+  geometryType: 'point',
+  coordinates: [[59.3, 18.1]],
+  featureId: null,
+}), {
+  headers: ['name', 'lat', 'lon'],
+  rows: [{ name: '', lat: '59.3', lon: '18.1' }],
+});
+
+assert.deepEqual(buildDrawnFeatureRows({
+  headers: ['Feature Type', 'lat', 'lon', 'order'],
+  latField: 'lat',
+  lonField: 'lon',
+  wktField: null,
+  featureTypeField: 'Feature Type',
+  geometryType: 'line',
+  coordinates: [[1, 2], [3, 4]],
+  featureId: 'drawn-1',
+}), {
+  headers: ['Feature Type', 'lat', 'lon', 'order', 'featureId'],
+  rows: [
+    { 'Feature Type': 'line', lat: '1', lon: '2', order: '1', featureId: 'drawn-1' },
+    { 'Feature Type': 'line', lat: '3', lon: '4', order: '2', featureId: 'drawn-1' },
+  ],
+});
+
+assert.deepEqual(buildDrawnFeatureRows({
+  headers: ['name', 'wkt'],
+  latField: null,
+  lonField: null,
+  wktField: 'wkt',
+  featureTypeField: null,
+  geometryType: 'region',
+  coordinates: [[1, 1], [1, 2], [2, 2]],
+  featureId: 'drawn-2',
+}), {
+  headers: ['name', 'wkt', 'featureId'],
+  rows: [{ name: '', wkt: 'POLYGON ((1 1, 2 1, 2 2, 1 1))', featureId: 'drawn-2' }],
+});
+assert.deepEqual(buildDrawnFeatureRows({
+  headers: ['wkt'],
+  latField: null,
+  lonField: null,
+  wktField: 'wkt',
+  featureTypeField: null,
+  geometryType: 'point',
+  coordinates: [[59.3, 18.1]],
+  featureId: null,
+}).rows, [{ wkt: 'POINT (18.1 59.3)' }]);
+
+assert.equal(buildDrawnFeatureRows({
+  headers: ['name'],
+  latField: null,
+  lonField: null,
+  wktField: null,
+  featureTypeField: null,
+  geometryType: 'point',
+  coordinates: [[1, 1]],
+  featureId: null,
+}), null);
+
+console.log('Drawn feature smoke checks passed.');
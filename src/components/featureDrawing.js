@@ -0,0 +1,61 @@
+import { normalizeDrawnCoordinates } from "./drawnFeatures.js";
+
+/** Map-menu draw modes in the order they are offered. */
+export const FEATURE_DRAWING_TYPES = Object.freeze([
+  { geometryType: "point", label: "Draw point" },
+  { geometryType: "line", label: "Draw line" },
+  { geometryType: "region", label: "Draw region" },
+]);
+
+/** Start a sketch at the context-menu position, targeting one dataset. */
+export function startFeatureDrawing(geometryType, start, datasetId) {
+  return {
+    geometryType,
+    vertices: [{ lat: start.lat, lng: start.lng }],
+    datasetId: datasetId ?? null,
+    saving: false,
+    error: null,
+  };
+}
+
+/**
+ * Place the next vertex. A point sketch moves its only vertex instead, and a
+ * click repeating the last vertex, as a double-click does, is ignored.
+ */
+export function addFeatureDrawingVertex(drawing, position) {
+  if (!drawing || drawing.saving) return drawing;
+  const vertex = { lat: position.lat, lng: position.lng };
+  if (drawing.geometryType === "point") {
+    return { ...drawing, vertices: [vertex], error: null };
+  }
+  const last = drawing.vertices.at(-1);
+  if (last && last.lat === vertex.lat && last.lng === vertex.lng) return drawing;
+  return { ...drawing, vertices: [...drawing.vertices, vertex], error: null };
+}
+
+/** Undo the latest vertex while keeping the sketch's starting vertex. */
+export function removeLastFeatureDrawingVertex(drawing) {
+  if (!drawing || drawing.saving || drawing.vertices.length <= 1) return drawing;
+  return { ...drawing, vertices: drawing.vertices.slice(0, -1), error: null };
+}
+
+/** Choose the dataset that receives the finished feature. */
+export function setFeatureDrawingDataset(drawing, datasetId) {
+  if (!drawing || drawing.saving) return drawing;
+  return { ...drawing, datasetId: datasetId || null, error: null };
+}
+
+/**
+ * Return the backend request for a complete sketch, or null while the sketch
+ * still lacks a dataset or enough distinct vertices.
+ */
+export function getFeatureDrawingRequest(drawing) {
+  if (!drawing?.datasetId) return null;
+  const coordinates = normalizeDrawnCoordinates(
+    drawing.geometryType,
+    drawing.vertices.map((vertex) => [vertex.lat, vertex.lng]),
+  );
+  return coordinates
+    ? { datasetId: drawing.datasetId, geometryType: drawing.geometryType, coordinates }
+    : null;
+}
@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import {
+  FEATURE_DRAWING_TYPES,
+  addFeatureDrawingVertex,
+  getFeatureDrawingRequest,
+  removeLastFeatureDrawingVertex,
+  setFeatureDrawingDataset,
+  startFeatureDrawing,
+} from './featureDrawing.js';
+
+assert.deepEqual(
+  FEATURE_DRAWING_TYPES.map(({ geometryType }) => geometryType),
+  ['point', 'line', 'region'],
+);
+
+const point = startFeatureDrawing('point', { lat: 1, lng: 2, alt: 9 }, 'dataset-1');
+assert.deepEqual(point.vertices, [{ lat: 1, lng: 2 }]);
+assert.deepEqual(getFeatureDrawingRequest(point), {
+  datasetId: 'dataset-1',
+  geometryType: 'point',
+  coordinates: [[1, 2]],
+});
+assert.deepEqual(
+  addFeatureDrawingVertex(point, { lat: 3, lng: 4 }).vertices,
+  [{ lat: 3, lng: 4 }],
+);
+
+let line = startFeatureDrawing('line', { lat: 1, lng: 1 }, null);
+assert.equal(getFeatureDrawingRequest(line), null);
+line = addFeatureDrawingVertex(line, { lat: 2, lng: 2 });
+// The second click of a double-click lands on the vertex just placed.
+assert.equal(addFeatureDrawingVertex(line, { lat: 2, lng: 2 }), line);
+assert.equal(getFeatureDrawingRequest(line), null);
+line = setFeatureDrawingDataset(line, 'dataset-2');
+assert.deepEqual(getFeatureDrawingRequest(line).coordinates, [[1, 1], [2, 2]]);
+line = removeLastFeatureDrawingVertex(line);
+assert.deepEqual(line.vertices, [{ lat: 1, lng: 1 }]);
+assert.equal(removeLastFeatureDrawingVertex(line), line);
+
+let region = startFeatureDrawing('region', { lat: 1, lng: 1 }, 'dataset-1');
+region = addFeatureDrawingVertex(region, { lat: 1, lng: 2 });
+assert.equal(getFeatureDrawingRequest(region), null);
+region = addFeatureDrawingVertex(region, { lat: 2, lng: 2 });
+assert.deepEqual(getFeatureDrawingRequest(region).coordinates, [[1, 1], [1, 2], [2, 2]]);
+
+const saving = { ...region, saving: true };
+assert.equal(addFeatureDrawingVertex(saving, { lat: 3, lng: 3 }), saving);
+assert.equal(setFeatureDrawingDataset(saving, 'dataset-2'), saving);
+
+console.log('Feature drawing smoke checks passed.');
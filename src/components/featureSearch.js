@@ -0,0 +1,52 @@
+/** Longest search text sent to a backend; longer input is cut, not rejected. */
+export const MAX_FEATURE_SEARCH_TEXT_LENGTH = 200;
+/** Default number of search results per request. */
+export const DEFAULT_FEATURE_SEARCH_LIMIT = 20;
+/** Upper bound on search results per request. */
+export const MAX_FEATURE_SEARCH_LIMIT = 100;
+
+const MAX_FEATURE_SEARCH_TERMS = 8;
+const NAME_FIELDS = ["name", "title", "label"];
+
+/**
+ * Turn typed text into an FTS4 MATCH expression in which every word must start
+ * a word of the row. Words are runs of letters and digits, as in SQLite's
+ * `unicode61` tokenizer, so quotes, `*`, `-`, and parentheses never reach the
+ * query parser. Lowercasing keeps typed `OR`, `AND`, and `NOT` plain words.
+ *
+ * @param {unknown} text Search box text.
+ * @returns {string|null} MATCH expression, or null when nothing is searchable.
+ */
+export function buildFeatureSearchMatch(text) {
+  if (typeof text !== "string") return null;
+  const terms = text
+    .slice(0, MAX_FEATURE_SEARCH_TEXT_LENGTH)
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu)
+    ?.slice(0, MAX_FEATURE_SEARCH_TERMS) ?? [];
+  return terms.length > 0 ? terms.map((term) => `${term}*`).join(" ") : null;
+}
+
+/**
+ * Pick the label shown for a search result: the first non-blank `name`,
+ * `title`, or `label` column (in that order, ignoring case), then the line or
+ * region ID, then the 1-based source row number.
+ */
+export function getFeatureSearchName(row, featureId, rowIndex) {
+  const entries = row && typeof row === "object" ? Object.entries(row) : [];
+  for (const field of NAME_FIELDS) {
+    const entry = entries.find(([key, value]) => (
+      key.trim().toLowerCase() === field && String(value ?? "").trim()
+    ));
+    if (entry) return String(entry[1]).trim();
+  }
+  return featureId || `Row ${rowIndex + 1}`;
+}
+
+/** Format a result's timeline extent as `1850` or `1850–1900`. */
+export function formatFeatureSearchYears(startYear, endYear) {
+  if (startYear == null) return "";
+  return endYear == null || endYear === startYear
+    ? String(startYear)
+    : `${startYear}–${endYear}`;
+}
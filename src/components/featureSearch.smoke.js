@@ -0,0 +1,29 @@
+import assert from 'node:assert/strict';
+import {
+  buildFeatureSearchMatch,
+  formatFeatureSearchYears,
+  getFeatureSearchName,
+} from './featureSearch.js';
+
+assert.equal(buildFeatureSearchMatch('Göteborg  Harbour'), 'göteborg* harbour*');
+assert.equal(buildFeatureSearchMatch('1850-1900'), '1850* 1900*');
+// Query syntax is reduced to plain words.
+assert.equal(buildFeatureSearchMatch('"port" OR -town* (NEAR)'), 'port* or* town* near*');
+assert.equal(buildFeatureSearchMatch(' *()"- '), null);
+assert.equal(buildFeatureSearchMatch(''), null);
+assert.equal(buildFeatureSearchMatch(null), null);
+assert.equal(buildFeatureSearchMatch('a b c d e f g h i j').split(' ').length, 8);
+assert.equal(buildFeatureSearchMatch(`${'x'.repeat(250)} tail`), `${'x'.repeat(200)}*`);
+
+assert.equal(getFeatureSearchName({ Title: 'Old mill', name: ' ' }, null, 0), 'Old mill');
+assert.equal(getFeatureSearchName({ label: 'B', NAME: ' A ' }, 'zone', 0), 'A');
+assert.equal(getFeatureSearchName({ kind: 'lake' }, 'lake-1', 4), 'lake-1');
+assert.equal(getFeatureSearchName({}, null, 4), 'Row 5');
+assert.equal(getFeatureSearchName(null, null, 0), 'Row 1');
+
+assert.equal(formatFeatureSearchYears(1850, 1850), '1850');
+assert.equal(formatFeatureSearchYears(1850, null), '1850');
+assert.equal(formatFeatureSearchYears(1850, 1900), '1850–1900');
+assert.equal(formatFeatureSearchYears(null, 1900), '');
+
+console.log('Feature search helper smoke checks passed.');
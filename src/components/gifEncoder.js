@@ -0,0 +1,321 @@
+/** Colours in one frame's palette; GIF allows at most 256. */
+export const GIF_PALETTE_SIZE = 256;
+/** Browsers slow down frames shorter than two hundredths of a second. */
+export const MIN_GIF_FRAME_DELAY_MS = 20;
+
+const MIN_CODE_SIZE = 8;
+const CLEAR_CODE = 1 << MIN_CODE_SIZE;
+const END_CODE = CLEAR_CODE + 1;
+const MAX_CODE = 4096;
+const MAX_SUB_BLOCK = 255;
+// Colours are counted in 5-bit-per-channel buckets before the palette is cut.
+const BUCKET_BITS = 5;
+const BUCKET_COUNT = 1 << (BUCKET_BITS * 3);
+
+/**
+ * Build an animated GIF from opaque RGBA frames of one size. Each frame gets
+ * its own palette, so tile imagery keeps its colours as the features change.
+ *
+ * @param {{ width: number, height: number, loop?: number }} options
+ *   `loop` is the repeat count; zero repeats forever.
+ */
+export function createGifEncoder({ width, height, loop = 0 }) {
+  if (!isGifDimension(width) || !isGifDimension(height)) {
+    throw new RangeError("GIF frames need a whole-number size from 1 to 65535 pixels.");
+  }
+  const chunks = [];
+  let finished = false;
+
+  const header = new ByteWriter();
+  header.writeText("GIF89a");
+  header.writeUint16(width);
+  header.writeUint16(height);
+  // No global colour table; every frame carries a local one.
+  header.writeBytes([0x00, 0x00, 0x00]);
+  // NETSCAPE2.0 application extension for the repeat count.
+  header.writeBytes([0x21, 0xff, 0x0b]);
+  header.writeText("NETSCAPE2.0");
+  header.writeBytes([0x03, 0x01]);
+  header.writeUint16(Math.max(0, Math.min(65535, Math.trunc(loop) || 0)));
+  header.writeByte(0x00);
+  chunks.push(header.toBytes());
+
+  return {
+    /**
+     * @param {Uint8Array|Uint8ClampedArray} rgba Pixels as from `ImageData.data`.
+     * @param {number} delayMs How long the frame stays on screen.
+     */
+    addFrame(rgba, delayMs) {
+      if (finished) throw new Error("The GIF has already been finished.");
+      if (!rgba || rgba.length !== width * height * 4) {
+        throw new RangeError("A GIF frame must match the animation size.");
+      }
+      const { palette, indexes } = quantizeFrame(rgba);
+      const frame = new ByteWriter();
+
+      // Graphic control extension: keep the previous frame, no transparency.
+      frame.writeBytes([0x21, 0xf9, 0x04, 0x04]);
+      frame.writeUint16(getGifDelay(delayMs));
+      frame.writeBytes([0x00, 0x00]);
+
+      // Image descriptor with a 256-entry local colour table.
+      frame.writeByte(0x2c);
+      frame.writeUint16(0);
+      frame.writeUint16(0);
+      frame.writeUint16(width);
+      frame.writeUint16(height);
+      frame.writeByte(0x80 | (MIN_CODE_SIZE - 1));
+      frame.writeBytes(palette);
+
+      frame.writeByte(MIN_CODE_SIZE);
+      const compressed = encodeLzw(indexes);
+      for (let offset = 0; offset < compressed.length; offset += MAX_SUB_BLOCK) {
+        const block = compressed.subarray(offset, offset + MAX_SUB_BLOCK);
+        frame.writeByte(block.length);
+        frame.writeBytes(block);
+      }
+      frame.writeByte(0x00);
+      chunks.push(frame.toBytes());
+    },
+
+    /** @returns {Uint8Array} The complete GIF file. */
+    finish() {
+      if (!finished) {
+        finished = true;
+        chunks.push(Uint8Array.of(0x3b));
+      }
+      return concatBytes(chunks);
+    },
+  };
+}
+
+/** Convert milliseconds to the hundredths of a second stored in a GIF. */
+export function getGifDelay(delayMs) {
+  const delay = Number.isFinite(delayMs) ? delayMs : MIN_GIF_FRAME_DELAY_MS;
+  return Math.min(65535, Math.round(Math.max(MIN_GIF_FRAME_DELAY_MS, delay) / 10));
+}
+
+/**
+ * Reduce RGBA pixels to a median-cut palette and one palette index per pixel.
+ * Alpha is ignored; export frames are drawn on an opaque background.
+ */
+export function quantizeFrame(rgba) {
+  const pixelCount = Math.floor(rgba.length / 4);
+  const counts = new Uint32Array(BUCKET_COUNT);
+  const sums = new Float64Array(BUCKET_COUNT * 3);
+  const pixelBuckets = new Uint16Array(pixelCount);
+
+  for (let pixel = 0, offset = 0; pixel < pixelCount; pixel += 1, offset += 4) {
+    const r = rgba[offset];
+    const g = rgba[offset + 1];
+    const b = rgba[offset + 2];
+    const bucket = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    pixelBuckets[pixel] = bucket;
+    counts[bucket] += 1;
+    sums[bucket * 3] += r;
+    sums[bucket * 3 + 1] += g;
+    sums[bucket * 3 + 2] += b;
+  }
+
+  const buckets = [];
+  for (let bucket = 0; bucket < BUCKET_COUNT; bucket += 1) {
+    const count = counts[bucket];
+    if (count === 0) continue;
+    buckets.push({
+      bucket,
+      count,
+      color: [
+        sums[bucket * 3] / count,
+        sums[bucket * 3 + 1] / count,
+        sums[bucket * 3 + 2] / count,
+      ],
+    });
+  }
+
+  const boxes = cutBoxes(buckets, GIF_PALETTE_SIZE);
+  const palette = new Uint8Array(GIF_PALETTE_SIZE * 3);
+  const bucketIndexes = new Uint8Array(BUCKET_COUNT);
+  boxes.forEach((box, index) => {
+    let total = 0;
+    const color = [0, 0, 0];
+    for (const entry of box) {
+      total += entry.count;
+      for (let channel = 0; channel < 3; channel += 1) {
+        color[channel] += entry.color[channel] * entry.count;
+      }
+      bucketIndexes[entry.bucket] = index;
+    }
+    for (let channel = 0; channel < 3; channel += 1) {
+      palette[index * 3 + channel] = Math.round(color[channel] / total);
+    }
+  });
+
+  const indexes = new Uint8Array(pixelCount);
+  for (let pixel = 0; pixel < pixelCount; pixel += 1) {
+    indexes[pixel] = bucketIndexes[pixelBuckets[pixel]];
+  }
+  return { palette, indexes };
+}
+
+/** Split colour buckets at the weighted median of their widest channel. */
+function cutBoxes(buckets, maxBoxes) {
+  const boxes = buckets.length > 0 ? [buckets] : [[{ bucket: 0, count: 1, color: [0, 0, 0] }]];
+
+  while (boxes.length < maxBoxes) {
+    let target = -1;
+    let targetScore = 0;
+    boxes.forEach((box, index) => {
+      if (box.length < 2) return;
+      const { range } = getWidestChannel(box);
+      const score = range * box.reduce((total, entry) => total + entry.count, 0);
+      if (score > targetScore) {
+        target = index;
+        targetScore = score;
+      }
+    });
+    if (target < 0) break;
+
+    const box = boxes[target];
+    const { channel } = getWidestChannel(box);
+    box.sort((a, b) => a.color[channel] - b.color[channel]);
+    const half = box.reduce((total, entry) => total + entry.count, 0) / 2;
+    let split = 1;
+    for (let seen = box[0].count; split < box.length - 1 && seen < half; split += 1) {
+      seen += box[split].count;
+    }
+    boxes.splice(target, 1, box.slice(0, split), box.slice(split));
+  }
+  return boxes;
+}
+
+function getWidestChannel(box) {
+  let channel = 0;
+  let range = -1;
+  for (let candidate = 0; candidate < 3; candidate += 1) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const entry of box) {
+      min = Math.min(min, entry.color[candidate]);
+      max = Math.max(max, entry.color[candidate]);
+    }
+    if (max - min > range) {
+      channel = candidate;
+      range = max - min;
+    }
+  }
+  return { channel, range };
+}
+
+/** Variable-width LZW as GIF image data expects, before sub-block framing. */
+export function encodeLzw(indexes) {
+  const output = new ByteWriter();
+  let codeSize = MIN_CODE_SIZE + 1;
+  let nextCode = END_CODE + 1;
+  let table = new Map();
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      output.writeByte(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(CLEAR_CODE);
+  if (indexes.length === 0) {
+    emit(END_CODE);
+  } else {
+    let prefix = indexes[0];
+    for (let index = 1; index < indexes.length; index += 1) {
+      const value = indexes[index];
+      const key = (prefix << 8) | value;
+      const code = table.get(key);
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+
+      emit(prefix);
+      if (nextCode === MAX_CODE) {
+        emit(CLEAR_CODE);
+        codeSize = MIN_CODE_SIZE + 1;
+        nextCode = END_CODE + 1;
+        table = new Map();
+      } else {
+        // The decoder widens codes one entry later, so widen before this insert.
+        if (nextCode >= 1 << codeSize) codeSize += 1;
+        table.set(key, nextCode);
+        nextCode += 1;
+      }
+      prefix = value;
+    }
+    emit(prefix);
+    emit(END_CODE);
+  }
+
+  if (bitCount > 0) output.writeByte(bitBuffer & 0xff);
+  return output.toBytes();
+}
+
+function isGifDimension(value) {
+  return Number.isInteger(value) && value > 0 && value <= 65535;
+}
+
+function concatBytes(chunks) {
+  const length = chunks.reduce((total, chunk) => total + chunk.length, 0);
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+/** Growable byte buffer; GIF numbers are little-endian. */
+class ByteWriter {
+  constructor() {
+    this.bytes = new Uint8Array(1024);
+    this.length = 0;
+  }
+
+  reserve(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+    let size = this.bytes.length * 2;
+    while (size < this.length + extra) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(this.bytes.subarray(0, this.length));
+    this.bytes = next;
+  }
+
+  writeByte(value) {
+    this.reserve(1);
+    this.bytes[this.length] = value;
+    this.length += 1;
+  }
+
+  writeBytes(values) {
+    this.reserve(values.length);
+    this.bytes.set(values, this.length);
+    this.length += values.length;
+  }
+
+  writeUint16(value) {
+    this.writeByte(value & 0xff);
+    this.writeByte((value >> 8) & 0xff);
+  }
+
+  writeText(text) {
+    for (let index = 0; index < text.length; index += 1) {
+      this.writeByte(text.charCodeAt(index));
+    }
+  }
+
+  toBytes() {
+    return this.bytes.slice(0, this.length);
+  }
+}
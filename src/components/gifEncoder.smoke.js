@@ -0,0 +1,141 @@
+import assert from 'node:assert/strict';
+import {
+  createGifEncoder,
+  encodeLzw,
+  getGifDelay,
+  quantizeFrame,
+} from './gifEncoder.js';
+
+/** Minimal GIF LZW decoder, enough to check what the encoder wrote. */
+function decodeLzw(bytes, minCodeSize = 8) {
+  const clear = 1 << minCodeSize;
+  const end = clear + 1;
+  let codeSize = minCodeSize + 1;
+  let table = [];
+  const reset = () => {
+    table = Array.from({ length: clear + 2 }, (_, code) => [code]);
+    codeSize = minCodeSize + 1;
+  };
+  reset();
+  const output = [];
+  let previous = null;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let offset = 0;
+
+  for (;;) {
+    while (bitCount < codeSize) {
+      assert.ok(offset < bytes.length, 'LZW data ended before the end code');
+      bitBuffer |= bytes[offset] << bitCount;
+      offset += 1;
+      bitCount += 8;
+    }
+    const code = bitBuffer & ((1 << codeSize) - 1);
+    bitBuffer >>>= codeSize;
+    bitCount -= codeSize;
+
+    if (code === clear) {
+      reset();
+      previous = null;
+      continue;
+    }
+    if (code === end) break;
+
+    let entry;
+    if (code < table.length) {
+      entry = table[code];
+      if (previous) table.push([...previous, entry[0]]);
+    } else {
+      assert.equal(code, table.length);
+      entry = [...previous, previous[0]];
+      table.push(entry);
+    }
+    output.push(...entry);
+    previous = entry;
+    if (table.length === 1 << codeSize && codeSize < 12) codeSize += 1;
+  }
+  return output;
+}
+
+function readSubBlocks(bytes, offset) {
+  const parts = [];
+  while (bytes[offset] !== 0) {
+    parts.push(...bytes.subarray(offset + 1, offset + 1 + bytes[offset]));
+    offset += bytes[offset] + 1;
+  }
+  return { data: Uint8Array.from(parts), next: offset + 1 };
+}
+
+// Long, repetitive input fills the 4096-entry table and forces clear codes.
+let seed = 7;
+const noisy = Uint8Array.from({ length: 40000 }, (_, index) => {
+  seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+  return index % 3 === 0 ? seed % 256 : index % 11;
+});
+for (const input of [noisy, new Uint8Array(5000), Uint8Array.of(9), new Uint8Array(0)]) {
+  assert.deepEqual(decodeLzw(encodeLzw(input)), [...input]);
+}
+
+// Few colours are kept exactly; many colours are cut down to 256.
+const twoColours = Uint8Array.from({ length: 4 * 4 }, (_, index) => (
+  index % 4 === 3 ? 255 : index < 8 ? 200 : 16
+));
+const small = quantizeFrame(twoColours);
+assert.equal(small.indexes[0], small.indexes[1]);
+assert.equal(small.indexes[2], small.indexes[3]);
+assert.notEqual(small.indexes[0], small.indexes[2]);
+assert.deepEqual(
+  [...small.palette.subarray(small.indexes[0] * 3, small.indexes[0] * 3 + 3)],
+  [200, 200, 200],
+);
+const gradient = new Uint8Array(256 * 256 * 4);
+for (let pixel = 0; pixel < 256 * 256; pixel += 1) {
+  gradient.set([pixel % 256, pixel >> 8, (pixel * 7) % 256, 255], pixel * 4);
+}
+const cut = quantizeFrame(gradient);
+assert.equal(cut.palette.length, 256 * 3);
+assert.equal(new Set(cut.indexes).size, 256);
+let error = 0;
+for (let pixel = 0; pixel < 256 * 256; pixel += 1) {
+  for (let channel = 0; channel < 3; channel += 1) {
+    error += Math.abs(cut.palette[cut.indexes[pixel] * 3 + channel] - gradient[pixel * 4 + channel]);
+  }
+}
+assert.ok(error / (256 * 256 * 3) < 24, `mean palette error ${error / (256 * 256 * 3)}`);
+
+assert.equal(getGifDelay(500), 50);
+assert.equal(getGifDelay(1), 2);
+assert.equal(getGifDelay(Number.NaN), 2);
+
+// File layout: header, loop extension, then one control block and image per frame.
+const encoder = createGifEncoder({ width: 2, height: 2 });
+encoder.addFrame(twoColours, 250);
+encoder.addFrame(twoColours.slice().reverse(), 1000);
+const gif = encoder.finish();
+assert.equal(new TextDecoder().decode(gif.subarray(0, 6)), 'GIF89a');
+assert.deepEqual([...gif.subarray(6, 10)], [2, 0, 2, 0]);
+assert.equal(new TextDecoder().decode(gif.subarray(16, 27)), 'NETSCAPE2.0');
+let offset = 32;
+const delays = [];
+while (gif[offset] === 0x21) {
+  assert.equal(gif[offset + 1], 0xf9);
+  delays.push(gif[offset + 4] | (gif[offset + 5] << 8));
+  offset += 8;
+  assert.equal(gif[offset], 0x2c);
+  assert.equal(gif[offset + 9], 0x87);
+  offset += 10 + 256 * 3;
+  assert.equal(gif[offset], 8);
+  const { data, next } = readSubBlocks(gif, offset + 1);
+  assert.equal(decodeLzw(data).length, 4);
+  offset = next;
+}
+assert.deepEqual(delays, [25, 100]);
+assert.equal(gif[offset], 0x3b);
+assert.equal(offset, gif.length - 1);
+assert.deepEqual(encoder.finish(), gif);
+
+assert.throws(() => encoder.addFrame(twoColours, 100), /already been finished/);
+assert.throws(() => createGifEncoder({ width: 0, height: 2 }), RangeError);
+assert.throws(() => createGifEncoder({ width: 2, height: 2 }).addFrame(new Uint8Array(4), 100), RangeError);
+
+console.log('GIF encoder smoke test passed.');
@@ -0,0 +1,348 @@
+/*
+ * Draw what a Leaflet map currently shows onto an offscreen canvas.
+ *
+ * Tiles, image markers and image overlays are reloaded with CORS so the
+ * canvas stays readable; a server that refuses that leaves its image out of
+ * the frame and is counted instead. Vector layers are copied from Leaflet's
+ * SVG, canvas layers are copied directly, and HTML markers are redrawn from
+ * their computed box and text. Controls, popups and tooltips are left out.
+ */
+
+const DRAWN_PANES = [
+  ".leaflet-tile-pane",
+  ".leaflet-overlay-pane",
+  ".leaflet-shadow-pane",
+  ".leaflet-marker-pane",
+].join(", ");
+const MAP_BACKGROUND = "#ffffff";
+const CAPTION_BACKGROUND = "rgba(15, 23, 42, 0.78)";
+const ATTRIBUTION_BACKGROUND = "rgba(255, 255, 255, 0.8)";
+
+/**
+ * Create a renderer for one export. Reloaded images are cached until
+ * `dispose`, so tiles shared by consecutive frames load once.
+ *
+ * @param {import("leaflet").Map} map
+ */
+export function createMapFrameRenderer(map) {
+  const images = new Map();
+
+  function loadImage(src) {
+    if (!images.has(src)) images.set(src, loadCorsImage(src));
+    return images.get(src);
+  }
+
+  /**
+   * Copy the visible map as layers in paint order. Raster content is merged
+   * into transparent canvases the size of the map; Leaflet's vector layers
+   * stay SVG markup so image exports can keep them as vectors.
+   *
+   * @returns {Promise<MapCapture>}
+   */
+  async function captureLayers() {
+    const container = map.getContainer();
+    const width = Math.max(1, container.clientWidth);
+    const height = Math.max(1, container.clientHeight);
+    const layers = [];
+    let rasterContext = null;
+    const target = {
+      raster() {
+        if (!rasterContext) {
+          const canvas = document.createElement("canvas");
+          canvas.width = width;
+          canvas.height = height;
+          rasterContext = canvas.getContext("2d");
+          layers.push({ kind: "raster", canvas });
+        }
+        return rasterContext;
+      },
+      addSvg(layer) {
+        layers.push({ kind: "svg", ...layer });
+        rasterContext = null;
+      },
+    };
+
+    const origin = container.getBoundingClientRect();
+    let missingImageCount = 0;
+    for (const pane of container.querySelectorAll(DRAWN_PANES)) {
+      missingImageCount += await drawElement(target, pane, origin, 1, loadImage);
+    }
+    return {
+      width,
+      height,
+      layers,
+      missingImageCount,
+      attribution: getAttribution(container),
+    };
+  }
+
+  return {
+    captureLayers,
+
+    /**
+     * @param {{ width: number, height: number, caption?: string }} frame
+     * @returns {Promise<{ canvas: HTMLCanvasElement, missingImageCount: number }>}
+     */
+    async renderFrame({ width, height, caption = "" }) {
+      const capture = await captureLayers();
+      const snapshot = await composeMapLayers(capture);
+
+      const canvas = document.createElement("canvas");
+      canvas.width = width;
+      canvas.height = height;
+      const context = canvas.getContext("2d");
+      context.fillStyle = MAP_BACKGROUND;
+      context.fillRect(0, 0, width, height);
+      // Cover the frame and crop evenly, keeping the map centre in the middle.
+      const scale = Math.max(width / snapshot.width, height / snapshot.height);
+      const drawnWidth = snapshot.width * scale;
+      const drawnHeight = snapshot.height * scale;
+      context.drawImage(
+        snapshot,
+        (width - drawnWidth) / 2,
+        (height - drawnHeight) / 2,
+        drawnWidth,
+        drawnHeight,
+      );
+
+      drawAttribution(context, capture.attribution, width, height);
+      if (caption) drawCaption(context, caption, height);
+      return { canvas, missingImageCount: capture.missingImageCount };
+    },
+
+    dispose() {
+      images.clear();
+    },
+  };
+}
+
+/**
+ * @typedef {object} MapCapture
+ * @property {number} width Map width in CSS pixels.
+ * @property {number} height Map height in CSS pixels.
+ * @property {Array<{ kind: "raster", canvas: HTMLCanvasElement }
+ *   | { kind: "svg", markup: string, x: number, y: number, width: number, height: number, opacity: number }>} layers
+ * @property {number} missingImageCount Images left out because they could not be copied.
+ * @property {string} attribution Tile and data credits shown on the map.
+ */
+
+/** Flatten captured layers onto one opaque canvas of the map's size. */
+export async function composeMapLayers(capture) {
+  const canvas = document.createElement("canvas");
+  canvas.width = capture.width;
+  canvas.height = capture.height;
+  const context = canvas.getContext("2d");
+  context.fillStyle = MAP_BACKGROUND;
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  for (const layer of capture.layers) {
+    if (layer.kind === "raster") {
+      context.drawImage(layer.canvas, 0, 0);
+      continue;
+    }
+    const image = await loadSvgMarkupImage(layer.markup);
+    if (!image) continue;
+    context.globalAlpha = layer.opacity;
+    context.drawImage(image, layer.x, layer.y, layer.width, layer.height);
+    context.globalAlpha = 1;
+  }
+  return canvas;
+}
+
+/** Load standalone SVG markup as an image that can be drawn on a canvas. */
+export async function loadSvgMarkupImage(markup) {
+  const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml" }));
+  try {
+    return await loadCorsImage(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/** True while any tile layer on the map is still waiting for tiles. */
+export function isMapLoadingTiles(map) {
+  let loading = false;
+  map.eachLayer((layer) => {
+    if (typeof layer.isLoading === "function" && layer.isLoading()) loading = true;
+  });
+  return loading;
+}
+
+/** Draw one element and its visible descendants; returns images left out. */
+async function drawElement(target, element, origin, parentOpacity, loadImage) {
+  const style = getComputedStyle(element);
+  if (style.display === "none" || style.visibility === "hidden") return 0;
+  const opacity = parentOpacity * (Number.parseFloat(style.opacity) || 0);
+  if (opacity <= 0) return 0;
+
+  const rect = element.getBoundingClientRect();
+  const x = rect.left - origin.left;
+  const y = rect.top - origin.top;
+  const tagName = element.tagName.toLowerCase();
+
+  if (tagName === "img") {
+    if (rect.width === 0 || rect.height === 0) return 0;
+    const image = await loadImage(element.currentSrc || element.src);
+    if (!image) return 1;
+    const context = target.raster();
+    context.globalAlpha = opacity;
+    context.drawImage(image, x, y, rect.width, rect.height);
+    return 0;
+  }
+  if (tagName === "canvas") {
+    if (element.width > 0 && element.height > 0) {
+      const context = target.raster();
+      context.globalAlpha = opacity;
+      context.drawImage(element, x, y, rect.width, rect.height);
+    }
+    return 0;
+  }
+  if (tagName === "svg") {
+    if (rect.width > 0 && rect.height > 0) {
+      target.addSvg({
+        markup: serializeSvg(element, rect),
+        x,
+        y,
+        width: rect.width,
+        height: rect.height,
+        opacity,
+      });
+    }
+    return 0;
+  }
+
+  // Plain containers paint nothing, so no raster layer is started for them.
+  drawBox(target, opacity, style, x, y, rect.width, rect.height);
+  let missing = 0;
+  for (const child of element.childNodes) {
+    if (child.nodeType === Node.TEXT_NODE) {
+      drawText(target, opacity, child, style, origin);
+    } else if (child.nodeType === Node.ELEMENT_NODE) {
+      missing += await drawElement(target, child, origin, opacity, loadImage);
+    }
+  }
+  return missing;
+}
+
+/** Background and border of an HTML marker, with its corner radius. */
+function drawBox(target, opacity, style, x, y, width, height) {
+  if (width === 0 || height === 0) return;
+  const radius = getCornerRadius(style.borderTopLeftRadius, width, height);
+  const background = style.backgroundColor;
+  const borderWidth = Number.parseFloat(style.borderTopWidth) || 0;
+  const hasBorder =
+    borderWidth > 0 && style.borderTopStyle !== "none" && isVisibleColor(style.borderTopColor);
+  if (!isVisibleColor(background) && !hasBorder) return;
+
+  const context = target.raster();
+  context.globalAlpha = opacity;
+  if (isVisibleColor(background)) {
+    context.fillStyle = background;
+    traceBox(context, x, y, width, height, radius);
+    context.fill();
+  }
+  if (hasBorder) {
+    context.strokeStyle = style.borderTopColor;
+    context.lineWidth = borderWidth;
+    const inset = borderWidth / 2;
+    traceBox(context, x + inset, y + inset, width - borderWidth, height - borderWidth, radius);
+    context.stroke();
+  }
+}
+
+function traceBox(context, x, y, width, height, radius) {
+  context.beginPath();
+  if (radius > 0 && typeof context.roundRect === "function") {
+    context.roundRect(x, y, width, height, radius);
+  } else {
+    context.rect(x, y, width, height);
+  }
+}
+
+function getCornerRadius(value, width, height) {
+  const radius = Number.parseFloat(value) || 0;
+  const size = Math.min(width, height);
+  return Math.min(String(value).endsWith("%") ? (size * radius) / 100 : radius, size / 2);
+}
+
+function drawText(target, opacity, node, style, origin) {
+  const text = node.textContent.replace(/\s+/g, " ").trim();
+  if (!text) return;
+  const range = document.createRange();
+  range.selectNodeContents(node);
+  const rect = range.getBoundingClientRect();
+  range.detach();
+  if (rect.width === 0 || rect.height === 0) return;
+
+  const context = target.raster();
+  context.globalAlpha = opacity;
+  context.font = `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+  context.fillStyle = style.color;
+  context.textBaseline = "middle";
+  context.textAlign = "left";
+  context.fillText(text, rect.left - origin.left, rect.top - origin.top + rect.height / 2);
+}
+
+function isVisibleColor(color) {
+  return Boolean(color) && color !== "transparent" && !/^rgba\(.*,\s*0\)$/.test(color);
+}
+
+function loadCorsImage(src) {
+  if (!src) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const image = new Image();
+    if (!src.startsWith("data:") && !src.startsWith("blob:")) {
+      image.crossOrigin = "anonymous";
+    }
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = src;
+  });
+}
+
+/** Leaflet sets colours as attributes, so a serialized copy renders the same. */
+function serializeSvg(element, rect) {
+  const copy = element.cloneNode(true);
+  copy.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  copy.setAttribute("width", String(rect.width));
+  copy.setAttribute("height", String(rect.height));
+  copy.removeAttribute("class");
+  copy.removeAttribute("style");
+  return new XMLSerializer().serializeToString(copy);
+}
+
+function getAttribution(container) {
+  return container.querySelector(".leaflet-control-attribution")
+    ?.textContent.replace(/\s+/g, " ").trim() ?? "";
+}
+
+/** Tile providers require their credit, so it goes into the corner of every frame. */
+function drawAttribution(context, text, width, height) {
+  if (!text) return;
+  const fontSize = Math.max(10, Math.round(height / 54));
+  context.globalAlpha = 1;
+  context.font = `${fontSize}px sans-serif`;
+  context.textBaseline = "middle";
+  context.textAlign = "right";
+  const padding = Math.round(fontSize / 2);
+  const textWidth = Math.min(context.measureText(text).width, width - padding * 2);
+  context.fillStyle = ATTRIBUTION_BACKGROUND;
+  context.fillRect(width - textWidth - padding * 2, height - fontSize - padding, textWidth + padding * 2, fontSize + padding);
+  context.fillStyle = "#1f2937";
+  context.fillText(text, width - padding, height - (fontSize + padding) / 2, width - padding * 2);
+}
+
+function drawCaption(context, caption, height) {
+  const fontSize = Math.max(14, Math.min(64, Math.round(height / 12)));
+  const padding = Math.round(fontSize / 2);
+  const margin = padding;
+  context.globalAlpha = 1;
+  context.font = `600 ${fontSize}px sans-serif`;
+  context.textBaseline = "middle";
+  context.textAlign = "left";
+  const textWidth = context.measureText(caption).width;
+  context.fillStyle = CAPTION_BACKGROUND;
+  traceBox(context, margin, margin, textWidth + padding * 2, fontSize + padding * 2, padding / 2);
+  context.fill();
+  context.fillStyle = "#ffffff";
+  context.fillText(caption, margin + padding, margin + padding + fontSize / 2);
+}
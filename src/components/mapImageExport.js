@@ -0,0 +1,247 @@
+/*
+ * Static map exports for reports.
+ *
+ * The captured map becomes one SVG document: raster layers (tiles, markers,
+ * heatmaps) as embedded PNG images, Leaflet's vector layers (lines with their
+ * arrows, regions) as SVG, and the title, legend, scale bar and attribution as
+ * SVG text and shapes. PNG and PDF exports are rendered from that document.
+ */
+
+/** Export formats in menu order. */
+export const MAP_IMAGE_FORMATS = Object.freeze([
+  { format: "png", label: "PNG", extension: "png", mimeType: "image/png" },
+  { format: "svg", label: "SVG", extension: "svg", mimeType: "image/svg+xml" },
+  { format: "pdf", label: "PDF", extension: "pdf", mimeType: "application/pdf" },
+]);
+
+export const MAX_MAP_TITLE_LENGTH = 120;
+/** Longest scale bar, in pixels, before it steps down to a rounder distance. */
+export const MAX_SCALE_BAR_WIDTH = 120;
+/** Fallback colour of size-only legend symbols; matches the legend control. */
+export const LEGEND_SYMBOL_COLOR = "#3388ff";
+
+const FONT_FAMILY = "system-ui, -apple-system, 'Segoe UI', Roboto, Arial, sans-serif";
+const TITLE_FONT_SIZE = 20;
+const TITLE_BAND_HEIGHT = 44;
+const LEGEND_FONT_SIZE = 12;
+const LEGEND_LINE_HEIGHT = 18;
+const LEGEND_PADDING = 10;
+const LEGEND_MIN_WIDTH = 140;
+const LEGEND_MAX_WIDTH = 260;
+const LEGEND_MAX_ENTRIES = 12;
+const LEGEND_MAX_SYMBOL_RADIUS = 8;
+const ATTRIBUTION_FONT_SIZE = 10;
+// Text is measured without a canvas, so widths are estimated per character.
+const AVERAGE_CHAR_WIDTH = 0.58;
+const MARGIN = 10;
+
+/**
+ * Pick a round distance for a scale bar no wider than `maxWidth` pixels.
+ *
+ * @param {number} metersPerPixel Ground distance of one pixel at the map centre.
+ * @returns {{ width: number, label: string } | null}
+ */
+export function getScaleBar(metersPerPixel, maxWidth = MAX_SCALE_BAR_WIDTH) {
+  if (!Number.isFinite(metersPerPixel) || metersPerPixel <= 0) return null;
+  const maxMeters = metersPerPixel * maxWidth;
+  const magnitude = 10 ** Math.floor(Math.log10(maxMeters));
+  const meters = [5, 2, 1]
+    .map((factor) => factor * magnitude)
+    .find((distance) => distance <= maxMeters);
+  return {
+    width: meters / metersPerPixel,
+    label: meters >= 1000 ? `${formatDistance(meters / 1000)} km` : `${formatDistance(meters)} m`,
+  };
+}
+
+/** Trim a title to one line of a safe length. */
+export function normalizeMapTitle(value) {
+  return typeof value === "string"
+    ? value.replace(/\s+/g, " ").trim().slice(0, MAX_MAP_TITLE_LENGTH)
+    : "";
+}
+
+/** File name from the title, or a generic one. */
+export function getMapImageFileName(format, title) {
+  const extension = MAP_IMAGE_FORMATS.find((entry) => entry.format === format)?.extension ?? "png";
+  const slug = normalizeMapTitle(title)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  return `${slug || "map"}.${extension}`;
+}
+
+/**
+ * Build the standalone SVG document of an export.
+ *
+ * @param {object} options
+ * @param {number} options.width Map width in pixels.
+ * @param {number} options.height Map height in pixels; a title adds a band above it.
+ * @param {Array<{ kind: "image", href: string }
+ *   | { kind: "svg", markup: string, x: number, y: number, width: number, height: number, opacity?: number }>} options.layers
+ *   Map layers in paint order; images cover the whole map.
+ * @param {string} [options.title]
+ * @param {Array<{ field: string, datasetName: string, entries: { label: string, color?: string, radius?: number }[] }>} [options.legend]
+ * @param {{ width: number, label: string } | null} [options.scaleBar]
+ * @param {string} [options.attribution]
+ * @returns {{ svg: string, width: number, height: number }}
+ */
+export function buildMapSvgDocument({
+  width,
+  height,
+  layers = [],
+  title = "",
+  legend = [],
+  scaleBar = null,
+  attribution = "",
+}) {
+  const heading = normalizeMapTitle(title);
+  const top = heading ? TITLE_BAND_HEIGHT : 0;
+  const totalHeight = height + top;
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${totalHeight}" viewBox="0 0 ${width} ${totalHeight}" font-family="${escapeXml(FONT_FAMILY)}">`,
+    `<defs><clipPath id="map-area"><rect width="${width}" height="${height}"/></clipPath></defs>`,
+    `<rect width="${width}" height="${totalHeight}" fill="#ffffff"/>`,
+  ];
+
+  if (heading) {
+    parts.push(
+      `<text x="${MARGIN + 2}" y="${TITLE_BAND_HEIGHT / 2}" dominant-baseline="central" font-size="${TITLE_FONT_SIZE}" font-weight="600" fill="#0f172a">${escapeXml(heading)}</text>`,
+    );
+  }
+
+  parts.push(`<g transform="translate(0 ${top})">`, `<g clip-path="url(#map-area)">`);
+  for (const layer of layers) {
+    if (layer.kind === "image") {
+      parts.push(
+        `<image x="0" y="0" width="${width}" height="${height}" href="${escapeXml(layer.href)}" xlink:href="${escapeXml(layer.href)}"/>`,
+      );
+    } else if (layer.kind === "svg") {
+      const opacity = Number.isFinite(layer.opacity) && layer.opacity < 1
+        ? ` opacity="${round(layer.opacity)}"`
+        : "";
+      parts.push(
+        `<g transform="translate(${round(layer.x)} ${round(layer.y)})"${opacity}>${layer.markup}</g>`,
+      );
+    }
+  }
+  parts.push("</g>");
+
+  if (legend.length > 0) parts.push(buildLegend(legend, width));
+  if (scaleBar) parts.push(buildScaleBar(scaleBar, height));
+  if (attribution) parts.push(buildAttribution(attribution, width, height));
+  parts.push("</g>", "</svg>");
+
+  return { svg: parts.join(""), width, height: totalHeight };
+}
+
+function buildLegend(sections, mapWidth) {
+  const rows = [];
+  for (const section of sections) {
+    rows.push({ kind: "title", text: section.field });
+    rows.push({ kind: "meta", text: section.datasetName });
+    const entries = section.entries ?? [];
+    for (const entry of entries.slice(0, LEGEND_MAX_ENTRIES)) {
+      rows.push({ kind: "entry", entry });
+    }
+    if (entries.length > LEGEND_MAX_ENTRIES) {
+      rows.push({ kind: "meta", text: `${entries.length - LEGEND_MAX_ENTRIES} more…` });
+    }
+  }
+
+  const longest = Math.max(...rows.map((row) => (
+    (row.kind === "entry" ? row.entry.label : row.text)?.length ?? 0
+  )));
+  const boxWidth = Math.min(
+    LEGEND_MAX_WIDTH,
+    Math.max(LEGEND_MIN_WIDTH, estimateTextWidth(longest, LEGEND_FONT_SIZE) + 44),
+    mapWidth - MARGIN * 2,
+  );
+  const boxHeight = rows.length * LEGEND_LINE_HEIGHT + LEGEND_PADDING * 2;
+  const x = mapWidth - boxWidth - MARGIN;
+  const parts = [
+    `<g transform="translate(${round(x)} ${MARGIN})" font-size="${LEGEND_FONT_SIZE}">`,
+    `<rect width="${round(boxWidth)}" height="${boxHeight}" rx="6" fill="#ffffff" fill-opacity="0.92" stroke="#cbd5e1"/>`,
+  ];
+  rows.forEach((row, index) => {
+    const y = LEGEND_PADDING + index * LEGEND_LINE_HEIGHT + LEGEND_LINE_HEIGHT / 2;
+    if (row.kind === "entry") {
+      const radius = Number.isFinite(row.entry.radius)
+        ? Math.max(2, Math.min(LEGEND_MAX_SYMBOL_RADIUS, row.entry.radius))
+        : 6;
+      parts.push(
+        `<circle cx="${LEGEND_PADDING + LEGEND_MAX_SYMBOL_RADIUS}" cy="${y}" r="${round(radius)}" fill="${escapeXml(row.entry.color ?? LEGEND_SYMBOL_COLOR)}" stroke="#ffffff"/>`,
+        `<text x="${LEGEND_PADDING + LEGEND_MAX_SYMBOL_RADIUS * 2 + 8}" y="${y}" dominant-baseline="central" fill="#0f172a">${escapeXml(row.entry.label)}</text>`,
+      );
+      return;
+    }
+    parts.push(
+      `<text x="${LEGEND_PADDING}" y="${y}" dominant-baseline="central" fill="${row.kind === "title" ? "#0f172a" : "#64748b"}"${row.kind === "title" ? ' font-weight="600"' : ""}>${escapeXml(row.text)}</text>`,
+    );
+  });
+  parts.push("</g>");
+  return parts.join("");
+}
+
+function buildScaleBar({ width, label }, mapHeight) {
+  const barWidth = round(width);
+  const y = mapHeight - MARGIN - 6;
+  return [
+    `<g transform="translate(${MARGIN} ${y})" font-size="11">`,
+    `<rect x="-4" y="-20" width="${round(width + 8)}" height="26" fill="#ffffff" fill-opacity="0.8"/>`,
+    `<path d="M0 -6 V0 H${barWidth} V-6" fill="none" stroke="#0f172a" stroke-width="2"/>`,
+    `<text x="${round(width / 2)}" y="-10" text-anchor="middle" fill="#0f172a">${escapeXml(label)}</text>`,
+    "</g>",
+  ].join("");
+}
+
+function buildAttribution(text, mapWidth, mapHeight) {
+  const estimatedWidth = estimateTextWidth(text.length, ATTRIBUTION_FONT_SIZE);
+  const textWidth = Math.min(estimatedWidth, mapWidth - MARGIN * 2);
+  // Long credits are squeezed to fit the map instead of running off its edge.
+  const fit = estimatedWidth > textWidth
+    ? ` textLength="${round(textWidth)}" lengthAdjust="spacingAndGlyphs"`
+    : "";
+  const boxHeight = ATTRIBUTION_FONT_SIZE + 6;
+  return [
+    `<rect x="${round(mapWidth - textWidth - 8)}" y="${mapHeight - boxHeight}" width="${round(textWidth + 8)}" height="${boxHeight}" fill="#ffffff" fill-opacity="0.8"/>`,
+    `<text x="${mapWidth - 4}" y="${mapHeight - boxHeight / 2}" text-anchor="end" dominant-baseline="central" font-size="${ATTRIBUTION_FONT_SIZE}" fill="#1f2937"${fit}>${escapeXml(text)}</text>`,
+  ].join("");
+}
+
+function estimateTextWidth(characters, fontSize) {
+  return characters * fontSize * AVERAGE_CHAR_WIDTH;
+}
+
+function formatDistance(value) {
+  return value >= 1 ? String(value) : String(Number(value.toPrecision(1)));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * HTML page that prints the document on one page of exactly its size; used
+ * for the browser print dialog and the desktop PDF renderer.
+ */
+export function buildMapPrintHtml({ svg, width, height }) {
+  return [
+    "<!doctype html>",
+    '<html><head><meta charset="utf-8">',
+    `<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data:; style-src 'unsafe-inline'">`,
+    `<style>@page { size: ${width}px ${height}px; margin: 0; } html, body { margin: 0; padding: 0; } svg { display: block; }</style>`,
+    `</head><body>${svg}</body></html>`,
+  ].join("");
+}
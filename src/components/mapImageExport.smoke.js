@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import {
+  MAP_IMAGE_FORMATS,
+  MAX_MAP_TITLE_LENGTH,
+  buildMapPrintHtml,
+  buildMapSvgDocument,
+  getMapImageFileName,
+  getScaleBar,
+  normalizeMapTitle,
+} from './mapImageExport.js';
+
+assert.deepEqual(MAP_IMAGE_FORMATS.map(({ format }) => format), ['png', 'svg', 'pdf']);
+
+// Scale bars use 1, 2 or 5 times a power of ten and fit the maximum width.
+assert.deepEqual(getScaleBar(10, 120), { width: 100, label: '1 km' });
+assert.deepEqual(getScaleBar(3, 120), { width: 200 / 3, label: '200 m' });
+assert.equal(getScaleBar(0.004, 120).label, '0.2 m');
+assert.equal(getScaleBar(50000, 120).label, '5000 km');
+for (const metersPerPixel of [0.01, 0.7, 12, 431, 90000]) {
+  assert.ok(getScaleBar(metersPerPixel).width <= 120);
+  assert.ok(getScaleBar(metersPerPixel).width > 120 / 5 - 1e-9);
+}
+assert.equal(getScaleBar(0), null);
+assert.equal(getScaleBar(Number.NaN), null);
+
+assert.equal(normalizeMapTitle('  Swedish\n towns  '), 'Swedish towns');
+assert.equal(normalizeMapTitle('x'.repeat(200)).length, MAX_MAP_TITLE_LENGTH);
+assert.equal(normalizeMapTitle(null), '');
+assert.equal(getMapImageFileName('pdf', 'Städer i Sverige, 1400–1600'), 'stader-i-sverige-1400-1600.pdf');
+assert.equal(getMapImageFileName('svg', '   '), 'map.svg');
+
+// Layers keep their order; text is escaped; a title adds a band above the map.
+const { svg, width, height } = buildMapSvgDocument({
+  width: 400,
+  height: 300,
+  title: 'Towns & <roads>',
+  layers: [
+    { kind: 'image', href: 'data:image/png;base64,AAAA' },
+    { kind: 'svg', markup: '<svg xmlns="http://www.w3.org/2000/svg"><path d="M0 0L9 9"/></svg>', x: -40, y: -30.123, width: 480, height: 360, opacity: 0.5 },
+    { kind: 'image', href: 'data:image/png;base64,BBBB' },
+  ],
+  legend: [{
+    field: 'kind',
+    datasetName: 'towns.csv',
+    entries: [
+      { label: 'Port', color: '#ff0000' },
+      { label: 'Big "city"', radius: 20 },
+    ],
+  }],
+  scaleBar: { width: 100, label: '1 km' },
+  attribution: '© OpenStreetMap contributors',
+});
+assert.equal(width, 400);
+assert.equal(height, 344);
+assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"[^>]* width="400" height="344"/);
+assert.ok(svg.indexOf('AAAA') < svg.indexOf('M0 0L9 9'));
+assert.ok(svg.indexOf('M0 0L9 9') < svg.indexOf('BBBB'));
+assert.match(svg, /<g transform="translate\(-40 -30.12\)" opacity="0.5"><svg/);
+assert.match(svg, /Towns &amp; &lt;roads&gt;/);
+assert.match(svg, /<g transform="translate\(0 44\)">/);
+assert.match(svg, /fill="#ff0000"/);
+// Size entries without a colour use the legend's symbol colour and a capped radius.
+assert.match(svg, /r="8" fill="#3388ff"/);
+assert.match(svg, /Big &quot;city&quot;/);
+assert.match(svg, />1 km</);
+assert.match(svg, />© OpenStreetMap contributors</);
+assert.doesNotMatch(svg, /textLength/);
+assert.equal((svg.match(/<svg/g) ?? []).length, 2);
+assert.equal((svg.match(/<\/svg>/g) ?? []).length, 2);
+
+// Without extras the document is just the clipped map.
+const plain = buildMapSvgDocument({ width: 200, height: 100 });
+assert.equal(plain.height, 100);
+assert.doesNotMatch(plain.svg, /<text/);
+
+// Credits longer than the map are squeezed to fit.
+assert.match(buildMapSvgDocument({ width: 120, height: 80, attribution: 'x'.repeat(200) }).svg, /textLength="100"/);
+
+// The print page is exactly one page of the document's size and loads nothing else.
+const page = buildMapPrintHtml({ svg: plain.svg, width: 200, height: 100 });
+assert.match(page, /@page \{ size: 200px 100px; margin: 0; \}/);
+assert.match(page, /default-src 'none'; img-src data:/);
+assert.ok(page.includes(plain.svg));
+
+console.log('Map image export smoke test passed.');
@@ -1,3 +1,5 @@
+import { detectWktField } from './wktGeometry.js';
+
 export function buildMarkerDetailFields(
   row,
   latField,
@@ -13,3 +15,23 @@ export function buildMarkerDetailFields(
 
   return keys.slice(0, limit).map((key) => [key, row[key]]);
 }
+
+/**
+ * Return the displayed fields that can be edited in place. A WKT geometry
+ * column holds the feature's location, which is adjusted on the map instead.
+ */
+export function buildEditableMarkerDetailFields(row, latField, lonField) {
+  const fields = buildMarkerDetailFields(row, latField, lonField);
+  const wktField = detectWktField(fields.map(([key]) => key));
+  return fields
+    .filter(([key]) => key !== wktField)
+    .map(([key, value]) => [key, value == null ? '' : String(value)]);
+}
+
+/** Return the draft values that differ from the row, or null when none do. */
+export function getChangedMarkerDetailValues(row, draft) {
+  const changed = Object.entries(draft ?? {}).filter(
+    ([key, value]) => String(row?.[key] ?? '') !== value,
+  );
+  return changed.length > 0 ? Object.fromEntries(changed) : null;
+}
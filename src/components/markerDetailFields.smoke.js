@@ -0,0 +1,29 @@
+import assert from 'node:assert/strict';
+import {
+  buildEditableMarkerDetailFields,
+  getChangedMarkerDetailValues,
+} from './markerDetailFields.js';
+
+const row = { name: 'Harbour', lat: '59.3', lon: '18.1', year: 1900, note: null };
+assert.deepEqual(buildEditableMarkerDetailFields(row, 'lat', 'lon'), [
+  ['name', 'Harbour'],
+  ['year', '1900'],
+  ['note', ''],
+]);
+// The WKT column locates the feature, so it is not offered for editing.
+assert.deepEqual(
+  buildEditableMarkerDetailFields({ name: 'Zone', WKT: 'POINT (1 2)' }, null, null),
+  [['name', 'Zone']],
+);
+assert.deepEqual(buildEditableMarkerDetailFields(null, 'lat', 'lon'), []);
+
+assert.equal(
+  getChangedMarkerDetailValues(row, { name: 'Harbour', year: '1900', note: '' }),
+  null,
+);
+assert.deepEqual(
+  getChangedMarkerDetailValues(row, { name: 'Port', year: '1900', note: 'New' }),
+  { name: 'Port', note: 'New' },
+);
+
+console.log('Marker detail field smoke checks passed.');
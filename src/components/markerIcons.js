@@ -8,6 +8,8 @@ const DEFAULT_GROUPED_ANCHOR = [16, 16];
 
 const iconCache = new Map();
 const clusterIconCache = new Map();
+const styledIconCache = new Map();
+const HEX_COLOR_RE = /^#[0-9a-f]{6}$/i;
 const DEFAULT_LEAFLET_ICON = new L.Icon.Default();
 
 function isImageMarkerValue(value) {
@@ -176,3 +178,32 @@ export function getClusterMarkerIcon(markerValue, count) {
     return null;
   }
 }
+
+/**
+ * Circle icon for points coloured or sized by style rules. The anchor sits at
+ * the circle centre, and icons are cached by colour and whole-pixel radius.
+ */
+export function getStyledPointIcon(symbol) {
+  try {
+    const color = HEX_COLOR_RE.test(symbol?.color ?? "") ? symbol.color : "#3388ff";
+    const radius = Math.max(1, Math.round(Number(symbol?.radius) || 7));
+    const cacheKey = `${color}:${radius}`;
+
+    if (styledIconCache.has(cacheKey)) {
+      return styledIconCache.get(cacheKey);
+    }
+
+    const size = radius * 2;
+    const icon = L.divIcon({
+      className: "csv-marker-styled-icon",
+      html: `<span class="csv-marker-styled" style="background: ${color}"></span>`,
+      iconSize: [size, size],
+      iconAnchor: [radius, radius],
+      popupAnchor: [0, -radius],
+    });
+    styledIconCache.set(cacheKey, icon);
+    return icon;
+  } catch {
+    return null;
+  }
+}
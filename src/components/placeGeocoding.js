@@ -0,0 +1,226 @@
+/*
+ * Place names matched against a gazetteer dataset.
+ *
+ * Historical lists often name a parish or town instead of giving coordinates.
+ * A gazetteer is an ordinary imported dataset with a name column, optional
+ * alternative names and country, and mapped coordinates. Names match exactly
+ * first, then ignoring case, accents and punctuation, then within a small
+ * edit distance. Several distinct places at the best level make a name
+ * ambiguous, and both backends list those rows for review.
+ */
+
+/** Normalized header names of place-name columns in the dataset being located. */
+const PLACE_HEADER_KEYS = new Set([
+  "plats",
+  "platsnamn",
+  "socken",
+  "ort",
+  "stad",
+  "kommun",
+  "place",
+  "placename",
+  "parish",
+  "city",
+  "town",
+  "village",
+  "locality",
+  "municipality",
+]);
+const GAZETTEER_NAME_KEYS = ["name", "namn", "placename", "platsnamn", "place", "plats"];
+const GAZETTEER_ALT_NAME_KEYS = new Set([
+  "altnames",
+  "alternatenames",
+  "alternativenames",
+  "alternatives",
+  "aliases",
+  "variants",
+  "othernames",
+  "altnamn",
+]);
+const COUNTRY_KEYS = new Set(["country", "countrycode", "land"]);
+const ALT_NAME_SEPARATOR = /[,;|]/;
+// Candidates closer than about ten metres are the same place listed twice.
+const SAME_PLACE_DECIMALS = 4;
+
+/** First column that looks like it holds place names. */
+export function detectPlaceField(headers) {
+  return (headers ?? []).find((header) => PLACE_HEADER_KEYS.has(normalizeKey(header))) ?? null;
+}
+
+/** First column that looks like it holds country names or codes. */
+export function detectCountryField(headers) {
+  return (headers ?? []).find((header) => COUNTRY_KEYS.has(normalizeKey(header))) ?? null;
+}
+
+/**
+ * Columns of a gazetteer dataset. The name column is required; alternative
+ * names hold several names separated by commas, semicolons or bars.
+ *
+ * @param {string[]} headers
+ * @returns {{ nameField: string|null, altNamesField: string|null, countryField: string|null }}
+ */
+export function detectGazetteerFields(headers) {
+  const list = headers ?? [];
+  const keys = list.map(normalizeKey);
+  const nameKey = GAZETTEER_NAME_KEYS.find((key) => keys.includes(key));
+  return {
+    nameField: nameKey ? list[keys.indexOf(nameKey)] : null,
+    altNamesField: list.find((header) => GAZETTEER_ALT_NAME_KEYS.has(normalizeKey(header))) ?? null,
+    countryField: detectCountryField(list),
+  };
+}
+
+/**
+ * Index gazetteer places for matching.
+ *
+ * @param {Array<{ rowIndex: number, name: string, altNames?: string, country?: string, lat: number, lon: number }>} places
+ *   One located gazetteer row each.
+ */
+export function createGazetteer(places) {
+  const exact = new Map();
+  const folded = new Map();
+  const byLength = new Map();
+  const entries = [];
+
+  for (const place of places ?? []) {
+    const name = String(place?.name ?? "").trim();
+    if (!name || !Number.isFinite(place.lat) || !Number.isFinite(place.lon)) continue;
+    const entry = {
+      rowIndex: place.rowIndex,
+      name,
+      country: String(place.country ?? "").trim() || null,
+      lat: place.lat,
+      lon: place.lon,
+    };
+    entries.push(entry);
+    const names = [name, ...String(place.altNames ?? "").split(ALT_NAME_SEPARATOR)];
+    for (const value of names) {
+      const exactKey = toExactKey(value);
+      if (!exactKey) continue;
+      addToIndex(exact, exactKey, entry);
+      const foldedKey = toFoldedKey(value);
+      if (!foldedKey) continue;
+      if (!folded.has(foldedKey)) {
+        if (!byLength.has(foldedKey.length)) byLength.set(foldedKey.length, []);
+        byLength.get(foldedKey.length).push(foldedKey);
+      }
+      addToIndex(folded, foldedKey, entry);
+    }
+  }
+
+  return { exact, folded, byLength, entries };
+}
+
+/**
+ * Look up one place name.
+ *
+ * A country narrows the candidates to gazetteer places in that country or
+ * without one. `fuzzy` tells whether the name only matched after folding
+ * case and accents or allowing typos.
+ *
+ * @param {ReturnType<typeof createGazetteer>} gazetteer
+ * @param {unknown} value Place-name cell.
+ * @param {unknown} [country] Country cell of the same row.
+ * @returns {{ status: "matched"|"ambiguous"|"unmatched", fuzzy: boolean, candidates: object[] }|null}
+ *   Null for an empty name.
+ */
+export function matchPlaceName(gazetteer, value, country = null) {
+  const exactKey = toExactKey(value);
+  if (!exactKey) return null;
+  const foldedKey = toFoldedKey(value);
+  const countryKey = toFoldedKey(country);
+  const fits = (entry) => !countryKey || !entry.country || toFoldedKey(entry.country) === countryKey;
+  const tiers = [
+    () => gazetteer.exact.get(exactKey),
+    () => gazetteer.folded.get(foldedKey),
+    () => findNearestNames(gazetteer, foldedKey, fits).flatMap((key) => gazetteer.folded.get(key)),
+  ];
+
+  for (const [tier, lookup] of tiers.entries()) {
+    const candidates = distinctPlaces((lookup() ?? []).filter(fits));
+    if (candidates.length === 0) continue;
+    return {
+      status: candidates.length === 1 ? "matched" : "ambiguous",
+      fuzzy: tier > 0,
+      candidates,
+    };
+  }
+  return { status: "unmatched", fuzzy: false, candidates: [] };
+}
+
+function findNearestNames(gazetteer, foldedKey, fits) {
+  if (!foldedKey) return [];
+  const allowed = foldedKey.length >= 9 ? 2 : foldedKey.length >= 4 ? 1 : 0;
+  let best = allowed + 1;
+  let nearest = [];
+  for (let length = foldedKey.length - allowed; length <= foldedKey.length + allowed; length += 1) {
+    for (const key of gazetteer.byLength.get(length) ?? []) {
+      if (!gazetteer.folded.get(key).some(fits)) continue;
+      const distance = editDistance(foldedKey, key, Math.min(best, allowed));
+      if (distance < best) {
+        best = distance;
+        nearest = [key];
+      } else if (distance === best) {
+        nearest.push(key);
+      }
+    }
+  }
+  return best <= allowed ? nearest : [];
+}
+
+/** Levenshtein distance, or `limit + 1` once it is known to exceed `limit`. */
+function editDistance(a, b, limit) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      rowMinimum = Math.min(rowMinimum, current[j]);
+    }
+    if (rowMinimum > limit) return limit + 1;
+    previous = current;
+  }
+  return Math.min(previous[b.length], limit + 1);
+}
+
+function distinctPlaces(entries) {
+  const byPosition = new Map();
+  for (const entry of [...entries].sort((a, b) => a.rowIndex - b.rowIndex)) {
+    const key = `${entry.lat.toFixed(SAME_PLACE_DECIMALS)},${entry.lon.toFixed(SAME_PLACE_DECIMALS)}`;
+    if (!byPosition.has(key)) byPosition.set(key, entry);
+  }
+  return [...byPosition.values()];
+}
+
+function addToIndex(index, key, entry) {
+  const list = index.get(key);
+  if (!list) index.set(key, [entry]);
+  else if (!list.includes(entry)) list.push(entry);
+}
+
+function toExactKey(value) {
+  if (value == null) return "";
+  return String(value).trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+function toFoldedKey(value) {
+  if (value == null) return "";
+  return String(value)
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function normalizeKey(header) {
+  return String(header ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_-]+/g, "");
+}
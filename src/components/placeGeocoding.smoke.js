@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import {
+  createGazetteer,
+  detectCountryField,
+  detectGazetteerFields,
+  detectPlaceField,
+  matchPlaceName,
+} from './placeGeocoding.js';
+
+// Place and gazetteer columns are found by name.
+assert.equal(detectPlaceField(['id', 'Socken', 'year']), 'Socken');
+assert.equal(detectPlaceField(['id', 'Plats']), 'Plats');
+assert.equal(detectPlaceField(['id', 'name']), null);
+assert.equal(detectCountryField(['name', 'Land']), 'Land');
+assert.deepEqual(detectGazetteerFields(['lat', 'lon', 'alt_names', 'Name', 'country']), {
+  nameField: 'Name',
+  altNamesField: 'alt_names',
+  countryField: 'country',
+});
+assert.deepEqual(detectGazetteerFields(['lat', 'lon']), {
+  nameField: null,
+  altNamesField: null,
+  countryField: null,
+});
+
+const gazetteer = createGazetteer([
+  { rowIndex: 0, name: 'Uppsala', altNames: 'Upsala; Upsalia', country: 'SE', lat: 59.86, lon: 17.64 },
+  { rowIndex: 1, name: 'Växjö', country: 'SE', lat: 56.88, lon: 14.81 },
+  { rowIndex: 2, name: 'Stockholm', country: 'SE', lat: 59.33, lon: 18.07 },
+  { rowIndex: 3, name: 'Stockholm', altNames: 'Stockholm city', country: 'SE', lat: 59.33, lon: 18.07 },
+  { rowIndex: 4, name: 'Kristianstad', country: 'SE', lat: 56.03, lon: 14.16 },
+  { rowIndex: 5, name: 'Kristiansand', country: 'NO', lat: 58.15, lon: 8.0 },
+  { rowIndex: 6, name: 'Bergen', country: 'NO', lat: 60.39, lon: 5.32 },
+  { rowIndex: 7, name: 'Bergen', country: 'NL', lat: 52.67, lon: 4.7 },
+  { rowIndex: 8, name: 'Nowhere', lat: NaN, lon: 1 },
+]);
+assert.equal(gazetteer.entries.length, 8);
+
+// Exact names, alternative names, and duplicate listings of one place.
+const uppsala = matchPlaceName(gazetteer, ' uppsala ');
+assert.equal(uppsala.status, 'matched');
+assert.equal(uppsala.fuzzy, false);
+assert.deepEqual(uppsala.candidates.map((place) => place.rowIndex), [0]);
+assert.equal(matchPlaceName(gazetteer, 'Upsalia').candidates[0].name, 'Uppsala');
+assert.equal(matchPlaceName(gazetteer, 'Stockholm').status, 'matched');
+
+// Folded accents and small typos match fuzzily.
+const vaxjo = matchPlaceName(gazetteer, 'Vaxjo');
+assert.deepEqual([vaxjo.status, vaxjo.fuzzy, vaxjo.candidates[0].rowIndex], ['matched', true, 1]);
+assert.equal(matchPlaceName(gazetteer, 'Stokholm').candidates[0].rowIndex, 2);
+assert.equal(matchPlaceName(gazetteer, 'Kristianstadt').candidates[0].rowIndex, 4);
+
+// Several places at the best level are ambiguous unless a country picks one.
+const bergen = matchPlaceName(gazetteer, 'Bergen');
+assert.equal(bergen.status, 'ambiguous');
+assert.deepEqual(bergen.candidates.map((place) => place.country), ['NO', 'NL']);
+assert.equal(matchPlaceName(gazetteer, 'Bergen', 'nl').candidates[0].rowIndex, 7);
+assert.equal(matchPlaceName(gazetteer, 'Kristiansand', 'SE').candidates[0].rowIndex, 4);
+
+// Short names never match fuzzily, and empty names are not looked up.
+assert.equal(matchPlaceName(gazetteer, 'Ber').status, 'unmatched');
+assert.equal(matchPlaceName(gazetteer, 'Gothenburg').status, 'unmatched');
+assert.equal(matchPlaceName(gazetteer, '  '), null);
+assert.equal(matchPlaceName(gazetteer, null), null);
+
+console.log('Place geocoding smoke test passed.');
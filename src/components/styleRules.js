@@ -0,0 +1,336 @@
+/** Rule types offered by the style builder, in menu order. */
+export const STYLE_RULE_KINDS = Object.freeze([
+  { kind: "category", label: "Colour by category" },
+  { kind: "graduated", label: "Colour ramp" },
+  { kind: "size", label: "Size by value" },
+]);
+
+/** Five-class ramps for graduated colour rules, light to dark or end to end. */
+export const STYLE_COLOR_RAMPS = Object.freeze([
+  { ramp: "blues", label: "Blues", colors: ["#eff3ff", "#bdd7e7", "#6baed6", "#3182bd", "#08519c"] },
+  { ramp: "reds", label: "Reds", colors: ["#fee5d9", "#fcae91", "#fb6a4a", "#de2d26", "#a50f15"] },
+  { ramp: "greens", label: "Greens", colors: ["#edf8e9", "#bae4b3", "#74c476", "#31a354", "#006d2c"] },
+  { ramp: "viridis", label: "Viridis", colors: ["#440154", "#3b528b", "#21918c", "#5ec962", "#fde725"] },
+  { ramp: "red-blue", label: "Red to blue", colors: ["#ca0020", "#f4a582", "#f7f7f7", "#92c5de", "#0571b0"] },
+]);
+
+/** Distinct colours for the most common category values. */
+export const STYLE_CATEGORY_COLORS = Object.freeze([
+  "#4e79a7", "#f28e2b", "#e15759", "#76b7b2", "#59a14f",
+  "#edc948", "#b07aa1", "#ff9da7", "#9c755f", "#bab0ac",
+]);
+
+/** Category values beyond the palette share one colour. */
+export const MAX_STYLE_CATEGORIES = STYLE_CATEGORY_COLORS.length;
+/** Upper bound on rules, and on styled columns sent with one map query. */
+export const MAX_STYLE_RULES = 50;
+
+export const STYLE_OTHER_COLOR = "#6b7280";
+export const STYLE_MISSING_COLOR = "#d1d5db";
+export const STYLED_POINT_COLOR = "#3388ff";
+export const STYLED_POINT_RADIUS = 7;
+export const MIN_STYLED_POINT_RADIUS = 4;
+export const MAX_STYLED_POINT_RADIUS = 20;
+
+const RULE_KINDS = new Set(STYLE_RULE_KINDS.map(({ kind }) => kind));
+const RAMPS = new Map(STYLE_COLOR_RAMPS.map((ramp) => [ramp.ramp, ramp]));
+const LEGEND_NUMBER_FORMAT = new Intl.NumberFormat(undefined, { maximumSignificantDigits: 4 });
+
+let nextDraftId = 1;
+
+/** Start a category colour rule on one dataset column. */
+export function createStyleRuleDraft(datasetId, field) {
+  const id = `style-rule-${nextDraftId}`;
+  nextDraftId += 1;
+  return {
+    id,
+    datasetId,
+    field: field ?? "",
+    kind: "category",
+    ramp: STYLE_COLOR_RAMPS[0].ramp,
+  };
+}
+
+/** Whether a rule sets colour (category and ramp) rather than point size. */
+export function isColorStyleRule(rule) {
+  return rule?.kind === "category" || rule?.kind === "graduated";
+}
+
+/**
+ * Keep complete style rules in their listed order. A dataset takes at most one
+ * colour rule and one size rule; later rules for the same role are ignored, so
+ * the panel can show them as inactive instead of silently mixing colours.
+ *
+ * @param {unknown} value Draft rules.
+ * @returns {Array<{
+ *   id: string,
+ *   datasetId: string,
+ *   field: string,
+ *   kind: "category"|"graduated"|"size",
+ *   ramp: string,
+ * }>}
+ */
+export function normalizeStyleRules(value) {
+  if (!Array.isArray(value)) return [];
+  const rules = [];
+  const usedRoles = new Set();
+  for (const entry of value.slice(0, MAX_STYLE_RULES)) {
+    const rule = normalizeStyleRule(entry);
+    if (!rule) continue;
+    const role = `${rule.datasetId}\n${isColorStyleRule(rule) ? "color" : "size"}`;
+    if (usedRoles.has(role)) continue;
+    usedRoles.add(role);
+    rules.push(rule);
+  }
+  return rules;
+}
+
+/**
+ * Keep distinct dataset columns for a map query, in first-seen order.
+ *
+ * @param {unknown} value Requested style columns.
+ * @returns {Array<{ datasetId: string, field: string }>}
+ */
+export function normalizeStyleFields(value) {
+  if (!Array.isArray(value)) return [];
+  const fields = [];
+  const seen = new Set();
+  for (const entry of value.slice(0, MAX_STYLE_RULES)) {
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) continue;
+    const datasetId = normalizeNullableString(entry.datasetId);
+    const field = normalizeField(entry.field);
+    const key = getStyleSummaryKey(datasetId, field);
+    if (!datasetId || !field || seen.has(key)) continue;
+    seen.add(key);
+    fields.push({ datasetId, field });
+  }
+  return fields;
+}
+
+/** Columns whose values the map query must return for active rules on loaded datasets. */
+export function getStyleFieldQuery(drafts, datasetIds) {
+  const loaded = new Set(datasetIds ?? []);
+  return normalizeStyleFields(
+    normalizeStyleRules(drafts).filter((rule) => loaded.has(rule.datasetId)),
+  );
+}
+
+/** Stable key for one dataset column's value summary. */
+export function getStyleSummaryKey(datasetId, field) {
+  return JSON.stringify([datasetId ?? null, field ?? null]);
+}
+
+/**
+ * Combine active rules with their column summaries into per-dataset colour and
+ * size scales. Rules whose summary has not loaded yet are left out, so features
+ * keep their own styling until the scale is known.
+ *
+ * @param {object[]} rules Normalized style rules.
+ * @param {Record<string, object>} summaries Column summaries by summary key.
+ * @returns {Map<string, { color: object|null, size: object|null }>}
+ */
+export function buildDatasetStyles(rules, summaries) {
+  const styles = new Map();
+  for (const rule of normalizeStyleRules(rules)) {
+    const summary = summaries?.[getStyleSummaryKey(rule.datasetId, rule.field)];
+    if (!summary) continue;
+    const scale = rule.kind === "category"
+      ? createCategoryScale(rule, summary)
+      : rule.kind === "graduated"
+        ? createGraduatedScale(rule, summary)
+        : createSizeScale(rule, summary);
+    const datasetStyle = styles.get(rule.datasetId) ?? { color: null, size: null };
+    datasetStyle[rule.kind === "size" ? "size" : "color"] = scale;
+    styles.set(rule.datasetId, datasetStyle);
+  }
+  return styles;
+}
+
+/**
+ * Apply dataset scales to compact map features. Exact points become circle
+ * symbols; lines take the colour as their stroke and regions as their fill.
+ * Grouped count markers summarize several rows and keep their own look.
+ */
+export function applyDatasetStyles({ points, lines, regions }, datasetStyles) {
+  if (!datasetStyles || datasetStyles.size === 0) return { points, lines, regions };
+
+  return {
+    points: points.map((point) => {
+      const datasetStyle = point.sourceRef && datasetStyles.get(point.sourceRef.datasetId);
+      if (!datasetStyle || point.renderType !== "exact" || point.image) return point;
+      return {
+        ...point,
+        symbol: {
+          color: datasetStyle.color?.valueFor(point.styleValues) ?? STYLED_POINT_COLOR,
+          radius: datasetStyle.size?.valueFor(point.styleValues) ?? STYLED_POINT_RADIUS,
+        },
+      };
+    }),
+    lines: lines.map((line) => {
+      const color = getFeatureColor(line, datasetStyles);
+      return color ? { ...line, style: { ...line.style, color } } : line;
+    }),
+    regions: regions.map((region) => {
+      const color = getFeatureColor(region, datasetStyles);
+      return color ? { ...region, style: { ...region.style, fillColor: color } } : region;
+    }),
+  };
+}
+
+/**
+ * Describe every active scale for the map legend, one section per rule.
+ *
+ * @param {Map<string, object>} datasetStyles Result of `buildDatasetStyles`.
+ * @param {Array<{ id: string, name: string }>} datasets Loaded datasets, for names and order.
+ */
+export function getStyleLegend(datasetStyles, datasets) {
+  const sections = [];
+  for (const dataset of datasets ?? []) {
+    const datasetStyle = datasetStyles?.get(dataset.id);
+    if (!datasetStyle) continue;
+    for (const scale of [datasetStyle.color, datasetStyle.size]) {
+      if (!scale) continue;
+      sections.push({
+        key: scale.rule.id,
+        datasetName: dataset.name,
+        field: scale.rule.field,
+        kind: scale.rule.kind,
+        entries: scale.legend,
+      });
+    }
+  }
+  return sections;
+}
+
+/**
+ * Read a style value as a number using the same rule as numeric filters: the
+ * text needs a digit and may only hold digits, `.`, `e`, `+`, and `-`.
+ */
+export function parseStyleNumber(value) {
+  const text = typeof value === "string" ? value.trim() : "";
+  if (!/\d/.test(text) || /[^0-9.eE+-]/.test(text)) return null;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+/** Format a legend bound compactly. */
+export function formatStyleNumber(value) {
+  return LEGEND_NUMBER_FORMAT.format(value);
+}
+
+function createCategoryScale(rule, summary) {
+  const colors = new Map(summary.categories.slice(0, MAX_STYLE_CATEGORIES).map(
+    ({ value }, index) => [value, STYLE_CATEGORY_COLORS[index]],
+  ));
+  const hasOther = summary.categoryCount > colors.size;
+  return {
+    rule,
+    valueFor(styleValues) {
+      const text = readStyleText(styleValues, rule.field);
+      if (!text) return STYLE_MISSING_COLOR;
+      return colors.get(text) ?? STYLE_OTHER_COLOR;
+    },
+    legend: [
+      ...[...colors].map(([value, color]) => ({ label: value, color })),
+      ...(hasOther ? [{ label: "Other", color: STYLE_OTHER_COLOR }] : []),
+      ...missingLegendEntry(summary.rowCount > summary.valueCount),
+    ],
+  };
+}
+
+function createGraduatedScale(rule, summary) {
+  const colors = RAMPS.get(rule.ramp)?.colors ?? STYLE_COLOR_RAMPS[0].colors;
+  const { min, max } = summary;
+  const numeric = min != null && max != null;
+  const step = numeric ? (max - min) / colors.length : 0;
+  return {
+    rule,
+    valueFor(styleValues) {
+      const value = parseStyleNumber(readStyleText(styleValues, rule.field));
+      if (value == null || !numeric) return STYLE_MISSING_COLOR;
+      // A single-valued column uses the middle of the ramp.
+      if (step === 0) return colors[Math.floor(colors.length / 2)];
+      const index = Math.floor((value - min) / step);
+      return colors[Math.max(0, Math.min(colors.length - 1, index))];
+    },
+    legend: [
+      ...(!numeric
+        ? []
+        : step === 0
+          ? [{ label: formatStyleNumber(min), color: colors[Math.floor(colors.length / 2)] }]
+          : colors.map((color, index) => ({
+            label: `${formatStyleNumber(min + step * index)} – ${
+              formatStyleNumber(index === colors.length - 1 ? max : min + step * (index + 1))
+            }`,
+            color,
+          }))),
+      ...missingLegendEntry(summary.rowCount > summary.numericCount),
+    ],
+  };
+}
+
+/** Scale circle area, not radius, with the value so large values do not dominate. */
+function createSizeScale(rule, summary) {
+  const { min, max } = summary;
+  const numeric = min != null && max != null;
+  const radiusFor = (value) => (max === min
+    ? (MIN_STYLED_POINT_RADIUS + MAX_STYLED_POINT_RADIUS) / 2
+    : MIN_STYLED_POINT_RADIUS
+      + (MAX_STYLED_POINT_RADIUS - MIN_STYLED_POINT_RADIUS)
+      * Math.sqrt((Math.min(max, Math.max(min, value)) - min) / (max - min)));
+  const legendValues = !numeric
+    ? []
+    : max === min
+      ? [min]
+      : [min, (min + max) / 2, max];
+  return {
+    rule,
+    valueFor(styleValues) {
+      const value = parseStyleNumber(readStyleText(styleValues, rule.field));
+      return value == null || !numeric ? MIN_STYLED_POINT_RADIUS : radiusFor(value);
+    },
+    legend: legendValues.map((value) => ({
+      label: formatStyleNumber(value),
+      radius: radiusFor(value),
+    })),
+  };
+}
+
+function missingLegendEntry(hasMissing) {
+  return hasMissing ? [{ label: "No value", color: STYLE_MISSING_COLOR }] : [];
+}
+
+function getFeatureColor(feature, datasetStyles) {
+  const scale = feature.sourceRef && datasetStyles.get(feature.sourceRef.datasetId)?.color;
+  return scale ? scale.valueFor(feature.styleValues) : null;
+}
+
+function readStyleText(styleValues, field) {
+  const value = styleValues?.[field];
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function normalizeStyleRule(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return null;
+  const datasetId = normalizeNullableString(value.datasetId);
+  const field = normalizeField(value.field);
+  const kind = RULE_KINDS.has(value.kind) ? value.kind : null;
+  if (!datasetId || !field || !kind) return null;
+  return {
+    id: normalizeNullableString(value.id) ?? getStyleSummaryKey(datasetId, field),
+    datasetId,
+    field,
+    kind,
+    ramp: RAMPS.has(value.ramp) ? value.ramp : STYLE_COLOR_RAMPS[0].ramp,
+  };
+}
+
+/** Column names keep their spacing; only blank names are rejected. */
+function normalizeField(value) {
+  return typeof value === "string" && value.trim() ? value : null;
+}
+
+function normalizeNullableString(value) {
+  if (typeof value !== "string") return null;
+  return value.trim() || null;
+}
@@ -0,0 +1,163 @@
+import assert from 'node:assert/strict';
+import {
+  MAX_STYLED_POINT_RADIUS,
+  MIN_STYLED_POINT_RADIUS,
+  STYLED_POINT_COLOR,
+  STYLE_CATEGORY_COLORS,
+  STYLE_COLOR_RAMPS,
+  STYLE_MISSING_COLOR,
+  STYLE_OTHER_COLOR,
+  applyDatasetStyles,
+  buildDatasetStyles,
+  createStyleRuleDraft,
+  getStyleFieldQuery,
+  getStyleLegend,
+  getStyleSummaryKey,
+  normalizeStyleRules,
+  parseStyleNumber,
+} from './styleRules.js';
+
+const draft = createStyleRuleDraft('dataset-1', 'kind');
+assert.notEqual(draft.id, createStyleRuleDraft('dataset-1', 'kind').id);
+assert.deepEqual({ ...draft, id: null }, {
+  id: null,
+  datasetId: 'dataset-1',
+  field: 'kind',
+  kind: 'category',
+  ramp: 'blues',
+});
+
+// One colour rule and one size rule per dataset; the first of each role wins.
+const colour = { ...draft };
+const ramp = { id: 'ramp', datasetId: 'dataset-1', field: 'population', kind: 'graduated', ramp: 'reds' };
+const size = { id: 'size', datasetId: 'dataset-1', field: 'population', kind: 'size', ramp: 'nope' };
+const other = { id: 'other', datasetId: 'dataset-2', field: 'kind', kind: 'graduated', ramp: 'viridis' };
+assert.deepEqual(
+  normalizeStyleRules([colour, ramp, size, other, { id: 'blank', datasetId: 'dataset-1', field: ' ', kind: 'size' }])
+    .map(({ id, ramp: rampName }) => [id, rampName]),
+  [[colour.id, 'blues'], ['size', 'blues'], ['other', 'viridis']],
+);
+assert.deepEqual(getStyleFieldQuery([colour, ramp, size, other], ['dataset-1']), [
+  { datasetId: 'dataset-1', field: 'kind' },
+  { datasetId: 'dataset-1', field: 'population' },
+]);
+
+assert.equal(parseStyleNumber(' 4.5e3 '), 4500);
+assert.equal(parseStyleNumber('1,200'), null);
+assert.equal(parseStyleNumber('-'), null);
+
+const summaries = {
+  [getStyleSummaryKey('dataset-1', 'kind')]: summary({
+    rowCount: 4,
+    valueCount: 3,
+    categories: [{ value: 'port', count: 2 }, { value: 'town', count: 1 }],
+    categoryCount: 2,
+  }),
+  [getStyleSummaryKey('dataset-1', 'population')]: summary({
+    rowCount: 4,
+    valueCount: 4,
+    numericCount: 3,
+    min: 0,
+    max: 100,
+  }),
+  [getStyleSummaryKey('dataset-2', 'kind')]: summary({ rowCount: 2, valueCount: 2 }),
+};
+
+// Rules wait for their summary before styling anything.
+assert.equal(buildDatasetStyles([colour], {}).size, 0);
+
+const styles = buildDatasetStyles([colour, size], summaries);
+const styled = applyDatasetStyles({
+  points: [
+    point('a', { kind: 'port', population: '100' }),
+    point('b', { kind: 'harbour', population: '25' }),
+    point('c', { kind: '', population: 'unknown' }),
+    { ...point('d', {}), renderType: 'grouped' },
+    { ...point('e', {}), image: '/map.png' },
+  ],
+  lines: [{ id: 'line', sourceRef: { datasetId: 'dataset-1', rowIndex: 9 }, style: { weight: 3 }, styleValues: { kind: 'town' } }],
+  regions: [{ id: 'region', sourceRef: { datasetId: 'dataset-2', rowIndex: 0 }, style: null }],
+}, styles);
+assert.deepEqual(styled.points.map(({ symbol }) => symbol), [
+  { color: STYLE_CATEGORY_COLORS[0], radius: MAX_STYLED_POINT_RADIUS },
+  { color: STYLE_OTHER_COLOR, radius: MIN_STYLED_POINT_RADIUS + (MAX_STYLED_POINT_RADIUS - MIN_STYLED_POINT_RADIUS) / 2 },
+  { color: STYLE_MISSING_COLOR, radius: MIN_STYLED_POINT_RADIUS },
+  undefined,
+  undefined,
+]);
+assert.deepEqual(styled.lines[0].style, { weight: 3, color: STYLE_CATEGORY_COLORS[1] });
+// Datasets without rules keep their own styling.
+assert.equal(styled.regions[0].style, null);
+
+// Graduated colours use five equal classes over the summarized range.
+const graduated = applyDatasetStyles({
+  points: [],
+  lines: [],
+  regions: ['0', '19.9', '50', '100', '150', 'n/a'].map((population, index) => ({
+    id: `region-${index}`,
+    sourceRef: { datasetId: 'dataset-1', rowIndex: index },
+    style: {},
+    styleValues: { population },
+  })),
+}, buildDatasetStyles([ramp], summaries));
+const reds = STYLE_COLOR_RAMPS.find(({ ramp: name }) => name === 'reds').colors;
+assert.deepEqual(
+  graduated.regions.map(({ style }) => style.fillColor),
+  [reds[0], reds[0], reds[2], reds[4], reds[4], STYLE_MISSING_COLOR],
+);
+
+// Exact points without a colour rule still switch to circles for size rules.
+const sizedOnly = applyDatasetStyles(
+  { points: [point('f', { population: '0' })], lines: [], regions: [] },
+  buildDatasetStyles([size], summaries),
+);
+assert.deepEqual(sizedOnly.points[0].symbol, {
+  color: STYLED_POINT_COLOR,
+  radius: MIN_STYLED_POINT_RADIUS,
+});
+
+const legend = getStyleLegend(buildDatasetStyles([colour, ramp, size], summaries), [
+  { id: 'dataset-1', name: 'places.csv' },
+]);
+assert.deepEqual(legend.map(({ key, datasetName, field, kind }) => [key, datasetName, field, kind]), [
+  [colour.id, 'places.csv', 'kind', 'category'],
+  ['size', 'places.csv', 'population', 'size'],
+]);
+assert.deepEqual(legend[0].entries, [
+  { label: 'port', color: STYLE_CATEGORY_COLORS[0] },
+  { label: 'town', color: STYLE_CATEGORY_COLORS[1] },
+  { label: 'No value', color: STYLE_MISSING_COLOR },
+]);
+assert.deepEqual(legend[1].entries.map(({ label }) => label), ['0', '50', '100']);
+assert.deepEqual(
+  getStyleLegend(buildDatasetStyles([ramp], summaries), [{ id: 'dataset-1', name: 'places.csv' }])[0]
+    .entries.map(({ label }) => label),
+  ['0 – 20', '20 – 40', '40 – 60', '60 – 80', '80 – 100', 'No value'],
+);
+
+console.log('Style rules smoke test passed.');
+
+function summary(values) {
+  return {
+    datasetId: null,
+    field: null,
+    rowCount: 0,
+    valueCount: 0,
+    numericCount: 0,
+    min: null,
+    max: null,
+    categories: [],
+    categoryCount: 0,
+    ...values,
+  };
+}
+
+function point(id, styleValues) {
+  return {
+    id,
+    renderType: 'exact',
+    sourceRef: { datasetId: 'dataset-1', rowIndex: 0 },
+    image: null,
+    styleValues,
+  };
+}
@@ -0,0 +1,195 @@
+/*
+ * Settings and frame plan for exporting timeline playback as an animation.
+ *
+ * An export walks the timeline the same way playback does: the first frame is
+ * the current selection, then its end moves by the step, in the slider's
+ * years, months, or days, until it reaches the end of the slider, optionally
+ * taking the start along.
+ */
+import {
+  formatTimelineDay,
+  formatTimelineRange,
+  getTimelineDayRange,
+  getTimelinePeriod,
+  getTimelinePeriodsLeft,
+  getTimelineSelectionPatch,
+  normalizeTimelineUnit,
+  stepTimelineSelection,
+} from "./timelineDates.js";
+
+/** Output formats in menu order. */
+export const ANIMATION_EXPORT_FORMATS = Object.freeze([
+  { format: "webm", label: "WebM video", extension: "webm", mimeType: "video/webm" },
+  { format: "gif", label: "Animated GIF", extension: "gif", mimeType: "image/gif" },
+]);
+
+/** Every frame is rendered and encoded in the page, so long runs are refused. */
+export const MAX_ANIMATION_FRAMES = 500;
+
+export const MIN_ANIMATION_INTERVAL_MS = 50;
+export const MAX_ANIMATION_INTERVAL_MS = 10000;
+export const MIN_ANIMATION_WIDTH = 160;
+export const MAX_ANIMATION_WIDTH = 1920;
+export const MIN_ANIMATION_HEIGHT = 120;
+export const MAX_ANIMATION_HEIGHT = 1080;
+
+const DEFAULT_OPTIONS = Object.freeze({
+  format: "webm",
+  stepYears: 1,
+  intervalMs: 1000,
+  width: 960,
+  height: 540,
+  caption: true,
+});
+
+/**
+ * Start the export settings from the playback settings, so the animation
+ * matches what "Play timeline" shows.
+ *
+ * @param {{ stepYears?: unknown, intervalMs?: unknown }} [playback]
+ */
+export function getInitialAnimationExportOptions(playback) {
+  return normalizeAnimationExportOptions({
+    ...DEFAULT_OPTIONS,
+    stepYears: playback?.stepYears,
+    intervalMs: playback?.intervalMs,
+  });
+}
+
+/**
+ * Clamp edited settings to values the encoders accept. Unusable values fall
+ * back to the defaults instead of failing the export.
+ */
+export function normalizeAnimationExportOptions(value) {
+  const source = value && typeof value === "object" ? value : {};
+  const format = ANIMATION_EXPORT_FORMATS.some((entry) => entry.format === source.format)
+    ? source.format
+    : DEFAULT_OPTIONS.format;
+  const stepYears = toPositiveInteger(source.stepYears) ?? DEFAULT_OPTIONS.stepYears;
+
+  return {
+    format,
+    stepYears,
+    intervalMs: clampNumber(
+      source.intervalMs,
+      MIN_ANIMATION_INTERVAL_MS,
+      MAX_ANIMATION_INTERVAL_MS,
+      DEFAULT_OPTIONS.intervalMs,
+    ),
+    // Video encoders expect even frame sizes.
+    width: toEven(clampNumber(
+      source.width,
+      MIN_ANIMATION_WIDTH,
+      MAX_ANIMATION_WIDTH,
+      DEFAULT_OPTIONS.width,
+    )),
+    height: toEven(clampNumber(
+      source.height,
+      MIN_ANIMATION_HEIGHT,
+      MAX_ANIMATION_HEIGHT,
+      DEFAULT_OPTIONS.height,
+    )),
+    caption: source.caption !== false,
+  };
+}
+
+/**
+ * Plan the selection of every frame. Year steps carry only years; month and
+ * day steps also carry their dates as epoch days.
+ *
+ * @param {object} timelineState Current timeline state.
+ * @param {{ stepYears: number }} options Normalized export settings; the step
+ *   counts periods of the slider's unit.
+ * @returns {{ ok: true, steps: object[] } | { ok: false, error: string }}
+ */
+export function getAnimationExportSteps(timelineState, options) {
+  if (!timelineState?.timelineEnabled) {
+    return { ok: false, error: "Turn on the timeline to export an animation." };
+  }
+  const unit = normalizeTimelineUnit(timelineState.timelineUnit);
+  const periodsLeft = getTimelinePeriodsLeft(timelineState);
+  if (periodsLeft == null) {
+    return { ok: false, error: "Set the timeline range to export an animation." };
+  }
+  if (periodsLeft <= 0) {
+    return {
+      ok: false,
+      error: `Move the end ${unit} before the end of the range to export an animation.`,
+    };
+  }
+
+  const stepYears = toPositiveInteger(options?.stepYears) ?? DEFAULT_OPTIONS.stepYears;
+  const frameCount = 1 + Math.ceil(periodsLeft / stepYears);
+  if (frameCount > MAX_ANIMATION_FRAMES) {
+    return {
+      ok: false,
+      error: `The animation would have ${frameCount} frames; use a larger step or a shorter range (at most ${MAX_ANIMATION_FRAMES}).`,
+    };
+  }
+
+  const moveStart = timelineState.playback?.moveStartWithEnd === true;
+  // Month and day frames start from the whole periods around the selection.
+  let current = unit === "year"
+    ? timelineState
+    : { ...timelineState, ...getWholePeriodSelection(timelineState, unit) };
+  const steps = [toAnimationStep(current, unit)];
+  let next = stepTimelineSelection(current, stepYears, moveStart);
+  while (next) {
+    current = { ...current, ...next.patch };
+    steps.push(toAnimationStep(current, unit));
+    next = stepTimelineSelection(current, stepYears, moveStart);
+  }
+  return { ok: true, steps };
+}
+
+/** Caption drawn on a frame: one period, or the selected range. */
+export function formatAnimationCaption(step, unit = "year") {
+  const { startYear, endYear, startEpochDay, endEpochDay } = step;
+  if (unit !== "year" && startEpochDay != null && endEpochDay != null) {
+    return formatTimelineRange({ startDay: startEpochDay, endDay: endEpochDay }, unit);
+  }
+  return startYear === endYear ? String(endYear) : `${startYear} – ${endYear}`;
+}
+
+/** Download name covering the exported years, or dates for month and day steps. */
+export function getAnimationFileName(format, steps, unit = "year") {
+  const extension = ANIMATION_EXPORT_FORMATS.find((entry) => entry.format === format)?.extension
+    ?? DEFAULT_OPTIONS.format;
+  const first = steps?.[0];
+  const last = steps?.[steps.length - 1];
+  if (!first || !last) return `timeline.${extension}`;
+  if (unit !== "year" && first.startEpochDay != null && last.endEpochDay != null) {
+    return `timeline-${formatTimelineDay(first.startEpochDay, unit)}-${formatTimelineDay(last.endEpochDay, unit)}.${extension}`;
+  }
+  return `timeline-${first.startYear}-${last.endYear}.${extension}`;
+}
+
+function getWholePeriodSelection(timelineState, unit) {
+  const range = getTimelineDayRange(timelineState);
+  return getTimelineSelectionPatch(
+    getTimelinePeriod(range.startDay, unit),
+    getTimelinePeriod(range.endDay, unit),
+    unit,
+  );
+}
+
+function toAnimationStep({ startYear, endYear, startEpochDay, endEpochDay }, unit) {
+  return unit === "year"
+    ? { startYear, endYear }
+    : { startYear, endYear, startEpochDay, endEpochDay };
+}
+
+function toPositiveInteger(value) {
+  const number = Number.parseInt(String(value ?? ""), 10);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+function clampNumber(value, min, max, fallback) {
+  const number = Number(value);
+  if (value === "" || value == null || !Number.isFinite(number)) return fallback;
+  return Math.max(min, Math.min(max, Math.round(number)));
+}
+
+function toEven(value) {
+  return value - (value % 2);
+}
@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import {
+  ANIMATION_EXPORT_FORMATS,
+  MAX_ANIMATION_FRAMES,
+  formatAnimationCaption,
+  getAnimationExportSteps,
+  getAnimationFileName,
+  getInitialAnimationExportOptions,
+  normalizeAnimationExportOptions,
+} from './timelineAnimationExport.js';
+import { toEpochDay } from './timelineDates.js';
+
+assert.deepEqual(ANIMATION_EXPORT_FORMATS.map(({ format }) => format), ['webm', 'gif']);
+
+// Export settings start from playback and are clamped for the encoders.
+assert.deepEqual(getInitialAnimationExportOptions({ stepYears: 5, intervalMs: 250 }), {
+  format: 'webm',
+  stepYears: 5,
+  intervalMs: 250,
+  width: 960,
+  height: 540,
+  caption: true,
+});
+assert.deepEqual(getInitialAnimationExportOptions({ stepYears: 0, intervalMs: 0 }).stepYears, 1);
+assert.deepEqual(normalizeAnimationExportOptions({
+  format: 'mp4',
+  stepYears: '2.5',
+  intervalMs: 1,
+  width: 5000,
+  height: '401',
+  caption: false,
+}), {
+  format: 'webm',
+  stepYears: 2,
+  intervalMs: 50,
+  width: 1920,
+  height: 400,
+  caption: false,
+});
+assert.deepEqual(normalizeAnimationExportOptions({ format: 'gif', width: '', height: 'x' }), {
+  format: 'gif',
+  stepYears: 1,
+  intervalMs: 1000,
+  width: 960,
+  height: 540,
+  caption: true,
+});
+
+// Frames follow playback: the end moves by the step and stops at the range end.
+const timeline = {
+  timelineEnabled: true,
+  yearMin: 1900,
+  yearMax: 1910,
+  startYear: 1900,
+  endYear: 1902,
+  playback: { moveStartWithEnd: false },
+};
+assert.deepEqual(getAnimationExportSteps(timeline, { stepYears: 3 }), {
+  ok: true,
+  steps: [
+    { startYear: 1900, endYear: 1902 },
+    { startYear: 1900, endYear: 1905 },
+    { startYear: 1900, endYear: 1908 },
+    { startYear: 1900, endYear: 1910 },
+  ],
+});
+assert.deepEqual(
+  getAnimationExportSteps({ ...timeline, playback: { moveStartWithEnd: true } }, { stepYears: 4 }).steps,
+  [
+    { startYear: 1900, endYear: 1902 },
+    { startYear: 1904, endYear: 1906 },
+    { startYear: 1908, endYear: 1910 },
+  ],
+);
+
+assert.match(getAnimationExportSteps({ ...timeline, timelineEnabled: false }, { stepYears: 1 }).error, /Turn on/);
+assert.match(getAnimationExportSteps({ ...timeline, endYear: 1910 }, { stepYears: 1 }).error, /end year/);
+assert.match(getAnimationExportSteps({ ...timeline, endYear: null }, { stepYears: 1 }).error, /Set the timeline/);
+const long = getAnimationExportSteps({ ...timeline, yearMin: 0, startYear: 0, endYear: 0, yearMax: 2000 }, { stepYears: 1 });
+assert.equal(long.ok, false);
+assert.match(long.error, new RegExp(`2001 frames.*at most ${MAX_ANIMATION_FRAMES}`));
+
+// Month frames step by months from the whole months around the selection.
+const monthly = {
+  ...timeline,
+  timelineUnit: 'month',
+  yearMin: 1943,
+  yearMax: 1943,
+  startYear: 1943,
+  endYear: 1943,
+  startEpochDay: toEpochDay(1943, 10, 12),
+  endEpochDay: toEpochDay(1943, 10, 20),
+  playback: { moveStartWithEnd: true },
+};
+const monthSteps = getAnimationExportSteps(monthly, { stepYears: 1 }).steps;
+assert.deepEqual(monthSteps, [10, 11, 12].map((month) => ({
+  startYear: 1943,
+  endYear: 1943,
+  startEpochDay: toEpochDay(1943, month, 1),
+  endEpochDay: toEpochDay(1943, month + 1, 1) - 1,
+})));
+assert.match(
+  getAnimationExportSteps({ ...monthly, endEpochDay: toEpochDay(1943, 12, 31) }, { stepYears: 1 }).error,
+  /end month/,
+);
+assert.equal(formatAnimationCaption(monthSteps[1], 'month'), '1943-11');
+assert.equal(formatAnimationCaption(monthSteps[1], 'day'), '1943-11-01 – 1943-11-30');
+assert.equal(getAnimationFileName('gif', monthSteps, 'month'), 'timeline-1943-10-1943-12.gif');
+
+assert.equal(formatAnimationCaption({ startYear: 1900, endYear: 1900 }), '1900');
+assert.equal(formatAnimationCaption({ startYear: -50, endYear: 20 }), '-50 – 20');
+assert.equal(
+  getAnimationFileName('gif', [{ startYear: 1900, endYear: 1902 }, { startYear: 1900, endYear: 1910 }]),
+  'timeline-1900-1910.gif',
+);
+assert.equal(getAnimationFileName('webm', []), 'timeline.webm');
+
+console.log('Timeline animation export smoke test passed.');
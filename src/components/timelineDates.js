@@ -0,0 +1,267 @@
+/*
+ * Calendar arithmetic for date-precise timelines.
+ *
+ * Timeline extents are stored and compared as epoch days: whole days since
+ * 1970-01-01 in the proleptic Gregorian calendar, with year 0 as 1 BCE like
+ * ISO 8601. The conversions are plain arithmetic because `Date.UTC` maps
+ * years 0–99 to the 1900s. A value that names a year covers that whole year,
+ * a year and month covers the month, and a full date covers one day.
+ */
+import { parseDateValue, parseYearValue } from "./timeline.js";
+
+/** Slider resolutions, coarsest first. */
+export const TIMELINE_UNITS = Object.freeze([
+  { unit: "year", label: "Years" },
+  { unit: "month", label: "Months" },
+  { unit: "day", label: "Days" },
+]);
+
+const MS_PER_DAY = 86400000;
+// Numbers this large in a date column are Unix timestamps, as in `parseDateValue`.
+const MIN_UNIX_SECONDS = 1e9;
+
+/** Epoch day of a calendar date; month and day may overflow like `Date.UTC`. */
+export function toEpochDay(year, month = 1, day = 1) {
+  const monthIndex = month - 1;
+  const shiftedYear = year + Math.floor(monthIndex / 12);
+  const shiftedMonth = (((monthIndex % 12) + 12) % 12) + 1;
+  // Count from March so the leap day is the last day of the counted year.
+  const marchYear = shiftedYear - (shiftedMonth <= 2 ? 1 : 0);
+  const era = Math.floor(marchYear / 400);
+  const yearOfEra = marchYear - era * 400;
+  const dayOfYear = Math.floor((153 * (shiftedMonth + (shiftedMonth > 2 ? -3 : 9)) + 2) / 5);
+  const dayOfEra = yearOfEra * 365 + Math.floor(yearOfEra / 4) - Math.floor(yearOfEra / 100) + dayOfYear;
+  return era * 146097 + dayOfEra - 719468 + (day - 1);
+}
+
+/** Calendar date of an epoch day. */
+export function fromEpochDay(epochDay) {
+  const shifted = epochDay + 719468;
+  const era = Math.floor(shifted / 146097);
+  const dayOfEra = shifted - era * 146097;
+  const yearOfEra = Math.floor((
+    dayOfEra -
+    Math.floor(dayOfEra / 1460) +
+    Math.floor(dayOfEra / 36524) -
+    Math.floor(dayOfEra / 146096)
+  ) / 365);
+  const dayOfYear = dayOfEra - (yearOfEra * 365 + Math.floor(yearOfEra / 4) - Math.floor(yearOfEra / 100));
+  const marchMonth = Math.floor((5 * dayOfYear + 2) / 153);
+  const month = marchMonth < 10 ? marchMonth + 3 : marchMonth - 9;
+  return {
+    year: yearOfEra + era * 400 + (month <= 2 ? 1 : 0),
+    month,
+    day: dayOfYear - Math.floor((153 * marchMonth + 2) / 5) + 1,
+  };
+}
+
+/** Plural name of a unit for labels such as "Step (months)". */
+export function getTimelineUnitLabel(unit) {
+  return TIMELINE_UNITS.find((entry) => entry.unit === normalizeTimelineUnit(unit)).label;
+}
+
+export function getDaysInMonth(year, month) {
+  return toEpochDay(year, month + 1, 1) - toEpochDay(year, month, 1);
+}
+
+/** Unknown units read as years, the resolution saved state always had. */
+export function normalizeTimelineUnit(value) {
+  return TIMELINE_UNITS.some((entry) => entry.unit === value) ? value : "year";
+}
+
+/**
+ * Number of the year, month, or day containing an epoch day, so consecutive
+ * periods have consecutive numbers: the year itself, `year * 12 + month - 1`,
+ * or the epoch day.
+ */
+export function getTimelinePeriod(epochDay, unit) {
+  if (unit === "day") return epochDay;
+  const { year, month } = fromEpochDay(epochDay);
+  return unit === "month" ? year * 12 + month - 1 : year;
+}
+
+/** First and last epoch day of a period numbered by `getTimelinePeriod`. */
+export function getTimelinePeriodExtent(period, unit) {
+  if (unit === "day") return { startDay: period, endDay: period };
+  if (unit === "month") {
+    const year = Math.floor(period / 12);
+    const month = period - year * 12 + 1;
+    return { startDay: toEpochDay(year, month, 1), endDay: toEpochDay(year, month + 1, 1) - 1 };
+  }
+  return { startDay: toEpochDay(period, 1, 1), endDay: toEpochDay(period + 1, 1, 1) - 1 };
+}
+
+export function getYearOfEpochDay(epochDay) {
+  return fromEpochDay(epochDay).year;
+}
+
+/**
+ * Days covered by one date-column value: a year, a year and month, or a
+ * date with an optional time. The written calendar date is used, so time
+ * zones never move an event to a neighbouring day.
+ *
+ * @returns {{ startDay: number, endDay: number } | null}
+ */
+export function getDateValueDayExtent(value) {
+  if (value == null) return null;
+  if (value instanceof Date) return getUtcDateDayExtent(value);
+  if (typeof value === "number" && value > MIN_UNIX_SECONDS) {
+    return getUtcDateDayExtent(parseDateValue(value));
+  }
+
+  const text = String(value).trim();
+  const match = text.match(/^(-?\d{1,5})(?:[/-](\d{1,2})(?:[/-](\d{1,2}))?)?(?:$|[T\s])/);
+  if (match) {
+    const year = parseYearValue(match[1]);
+    const month = match[2] == null ? null : Number.parseInt(match[2], 10);
+    const day = match[3] == null ? null : Number.parseInt(match[3], 10);
+    if (year == null || (month != null && (month < 1 || month > 12))) return null;
+    if (month == null) return getTimelinePeriodExtent(year, "year");
+    if (day == null) return getTimelinePeriodExtent(year * 12 + month - 1, "month");
+    if (day < 1 || day > getDaysInMonth(year, month)) return null;
+    const epochDay = toEpochDay(year, month, day);
+    return { startDay: epochDay, endDay: epochDay };
+  }
+  // Other text is read by Date as local time, so its local calendar date is the written one.
+  return getLocalDateDayExtent(parseDateValue(text));
+}
+
+/** Days covered by one year-column value. */
+export function getYearValueDayExtent(value) {
+  const year = parseYearValue(value);
+  return year == null ? null : getTimelinePeriodExtent(year, "year");
+}
+
+function getUtcDateDayExtent(date) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return null;
+  const epochDay = Math.floor(date.getTime() / MS_PER_DAY);
+  return { startDay: epochDay, endDay: epochDay };
+}
+
+function getLocalDateDayExtent(date) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return null;
+  const epochDay = toEpochDay(date.getFullYear(), date.getMonth() + 1, date.getDate());
+  return { startDay: epochDay, endDay: epochDay };
+}
+
+/**
+ * Inclusive days selected on the timeline: the explicit dates of a month or
+ * day selection, otherwise every day of the selected years.
+ *
+ * @param {{ startYear?: unknown, endYear?: unknown, startEpochDay?: unknown, endEpochDay?: unknown }} timeline
+ * @returns {{ startDay: number, endDay: number } | null}
+ */
+export function getTimelineDayRange(timeline) {
+  const startDay = toInteger(timeline?.startEpochDay);
+  const endDay = toInteger(timeline?.endEpochDay);
+  if (startDay != null && endDay != null) {
+    return { startDay: Math.min(startDay, endDay), endDay: Math.max(startDay, endDay) };
+  }
+  const startYear = toInteger(timeline?.startYear);
+  const endYear = toInteger(timeline?.endYear);
+  if (startYear == null || endYear == null) return null;
+  return {
+    startDay: getTimelinePeriodExtent(Math.min(startYear, endYear), "year").startDay,
+    endDay: getTimelinePeriodExtent(Math.max(startYear, endYear), "year").endDay,
+  };
+}
+
+/**
+ * Days the month or day slider spans: its zoom window, otherwise the whole
+ * year range.
+ */
+export function getTimelineWindow(timeline) {
+  const startDay = toInteger(timeline?.windowStartEpochDay);
+  const endDay = toInteger(timeline?.windowEndEpochDay);
+  if (startDay != null && endDay != null && startDay < endDay) return { startDay, endDay };
+  return getTimelineDayRange({ startYear: timeline?.yearMin, endYear: timeline?.yearMax });
+}
+
+/**
+ * Timeline patch selecting whole periods. Years stay the selection's years so
+ * year-based views keep working; year selections carry no dates.
+ */
+export function getTimelineSelectionPatch(startPeriod, endPeriod, unit) {
+  const first = getTimelinePeriodExtent(Math.min(startPeriod, endPeriod), unit);
+  const last = getTimelinePeriodExtent(Math.max(startPeriod, endPeriod), unit);
+  const startYear = getYearOfEpochDay(first.startDay);
+  const endYear = getYearOfEpochDay(last.endDay);
+  return unit === "year"
+    ? { startYear, endYear, startEpochDay: null, endEpochDay: null }
+    : { startYear, endYear, startEpochDay: first.startDay, endEpochDay: last.endDay };
+}
+
+/**
+ * Whole periods of the timeline's unit between the selection's end and the
+ * end of the slider: the last year of the range, or the zoom window's end.
+ *
+ * @returns {number | null} Null when the selection or range is not set.
+ */
+export function getTimelinePeriodsLeft(timeline) {
+  const unit = normalizeTimelineUnit(timeline?.timelineUnit);
+  const range = getTimelineDayRange(timeline);
+  const limitDay = unit === "year"
+    ? getTimelineDayRange({ startYear: timeline?.yearMax, endYear: timeline?.yearMax })?.endDay
+    : getTimelineWindow(timeline)?.endDay;
+  if (!range || limitDay == null) return null;
+  return getTimelinePeriod(limitDay, unit) - getTimelinePeriod(range.endDay, unit);
+}
+
+/**
+ * Move the selection's end forward by `count` periods of the timeline's unit,
+ * stopping at the end of the slider, like one playback tick.
+ *
+ * @returns {{ patch: object, done: boolean } | null} Null when the end is reached.
+ */
+export function stepTimelineSelection(timeline, count, moveStartWithEnd = false) {
+  const periodsLeft = getTimelinePeriodsLeft(timeline);
+  if (periodsLeft == null || !Number.isInteger(count) || count <= 0) return null;
+  const delta = Math.min(count, periodsLeft);
+  if (delta <= 0) return null;
+
+  const unit = normalizeTimelineUnit(timeline.timelineUnit);
+  const range = getTimelineDayRange(timeline);
+  const startPeriod = getTimelinePeriod(range.startDay, unit);
+  const endPeriod = getTimelinePeriod(range.endDay, unit);
+  return {
+    patch: getTimelineSelectionPatch(
+      moveStartWithEnd ? startPeriod + delta : startPeriod,
+      endPeriod + delta,
+      unit,
+    ),
+    done: delta === periodsLeft,
+  };
+}
+
+/** `1943`, `1943-06` or `1943-06-12`; dates before year 0 keep ISO's sign. */
+export function formatTimelineDay(epochDay, unit = "day") {
+  const { year, month, day } = fromEpochDay(epochDay);
+  if (unit === "year") return String(year);
+  const yearText = `${year < 0 ? "-" : ""}${String(Math.abs(year)).padStart(4, "0")}`;
+  const monthText = `${yearText}-${String(month).padStart(2, "0")}`;
+  return unit === "month" ? monthText : `${monthText}-${String(day).padStart(2, "0")}`;
+}
+
+/** A selection as one period or a `first – last` range in the unit's precision. */
+export function formatTimelineRange({ startDay, endDay }, unit = "day") {
+  const first = formatTimelineDay(startDay, unit);
+  const last = formatTimelineDay(endDay, unit);
+  return first === last ? first : `${first} – ${last}`;
+}
+
+/** Epoch day of a `YYYY-MM-DD` value from a date input, or null. */
+export function parseTimelineDate(value) {
+  const match = String(value ?? "").trim().match(/^(-?\d{1,6})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const year = Number.parseInt(match[1], 10);
+  const month = Number.parseInt(match[2], 10);
+  const day = Number.parseInt(match[3], 10);
+  if (month < 1 || month > 12 || day < 1 || day > getDaysInMonth(year, month)) return null;
+  return toEpochDay(year, month, day);
+}
+
+function toInteger(value) {
+  if (value == null || value === "") return null;
+  const number = Number(value);
+  return Number.isSafeInteger(number) ? number : null;
+}
@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import {
+  formatTimelineDay,
+  formatTimelineRange,
+  fromEpochDay,
+  getDateValueDayExtent,
+  getTimelineDayRange,
+  getTimelinePeriod,
+  getTimelinePeriodExtent,
+  getTimelinePeriodsLeft,
+  getTimelineSelectionPatch,
+  getTimelineUnitLabel,
+  getTimelineWindow,
+  getYearOfEpochDay,
+  normalizeTimelineUnit,
+  parseTimelineDate,
+  stepTimelineSelection,
+  toEpochDay,
+} from './timelineDates.js';
+
+// Epoch days match JavaScript dates where those are exact, and round-trip far outside them.
+for (const [year, month, day] of [[1970, 1, 1], [2000, 2, 29], [1900, 3, 1], [2026, 12, 31]]) {
+  assert.equal(toEpochDay(year, month, day), Date.UTC(year, month - 1, day) / 86400000);
+}
+for (const date of [{ year: -500, month: 3, day: 1 }, { year: 0, month: 2, day: 29 }, { year: 9999, month: 12, day: 31 }]) {
+  assert.deepEqual(fromEpochDay(toEpochDay(date.year, date.month, date.day)), date);
+}
+// Months and days overflow into the next year like Date.UTC.
+assert.equal(toEpochDay(1999, 13, 1), toEpochDay(2000, 1, 1));
+assert.equal(getYearOfEpochDay(-1), 1969);
+
+// Date values cover the period they name; a time never moves the calendar date.
+assert.deepEqual(getDateValueDayExtent('1943'), getTimelinePeriodExtent(1943, 'year'));
+assert.deepEqual(getDateValueDayExtent('1943-06'), {
+  startDay: toEpochDay(1943, 6, 1),
+  endDay: toEpochDay(1943, 6, 30),
+});
+assert.deepEqual(getDateValueDayExtent('1943/06/12T23:30:00-05:00'), {
+  startDay: toEpochDay(1943, 6, 12),
+  endDay: toEpochDay(1943, 6, 12),
+});
+assert.equal(getDateValueDayExtent('1943-02-30'), null);
+assert.equal(getDateValueDayExtent('1943-13'), null);
+assert.deepEqual(getDateValueDayExtent(86400 * 20000), { startDay: 20000, endDay: 20000 });
+assert.deepEqual(getDateValueDayExtent('June 12, 1943'), {
+  startDay: toEpochDay(1943, 6, 12),
+  endDay: toEpochDay(1943, 6, 12),
+});
+
+// Periods are numbered consecutively in every unit.
+assert.equal(getTimelinePeriod(toEpochDay(1943, 12, 31), 'month') + 1, getTimelinePeriod(toEpochDay(1944, 1, 1), 'month'));
+assert.equal(getTimelinePeriod(toEpochDay(-1, 12, 31), 'year'), -1);
+assert.deepEqual(getTimelinePeriodExtent(1944 * 12 + 1, 'month'), {
+  startDay: toEpochDay(1944, 2, 1),
+  endDay: toEpochDay(1944, 2, 29),
+});
+
+// Year selections carry no dates; month and day selections keep both.
+assert.deepEqual(getTimelineSelectionPatch(1944, 1940, 'year'), {
+  startYear: 1940,
+  endYear: 1944,
+  startEpochDay: null,
+  endEpochDay: null,
+});
+assert.deepEqual(getTimelineSelectionPatch(1943 * 12 + 11, 1944 * 12, 'month'), {
+  startYear: 1943,
+  endYear: 1944,
+  startEpochDay: toEpochDay(1943, 12, 1),
+  endEpochDay: toEpochDay(1944, 1, 31),
+});
+
+// Dates take precedence over years, and either order selects the same days.
+assert.deepEqual(getTimelineDayRange({ startYear: 1943, endYear: 1943 }), getTimelinePeriodExtent(1943, 'year'));
+assert.deepEqual(
+  getTimelineDayRange({ startYear: 1900, endYear: 2000, startEpochDay: 12, endEpochDay: 10 }),
+  { startDay: 10, endDay: 12 },
+);
+assert.equal(getTimelineDayRange({ startYear: 1943, endYear: null }), null);
+assert.deepEqual(getTimelineWindow({ yearMin: 1940, yearMax: 1945 }), {
+  startDay: toEpochDay(1940, 1, 1),
+  endDay: toEpochDay(1945, 12, 31),
+});
+assert.deepEqual(
+  getTimelineWindow({ yearMin: 1940, yearMax: 1945, windowStartEpochDay: 5, windowEndEpochDay: 9 }),
+  { startDay: 5, endDay: 9 },
+);
+
+// Playback steps in the slider's unit and stops at the end of the range or window.
+const monthly = {
+  timelineUnit: 'month',
+  yearMin: 1943,
+  yearMax: 1943,
+  ...getTimelineSelectionPatch(1943 * 12, 1943 * 12 + 1, 'month'),
+};
+assert.equal(getTimelinePeriodsLeft(monthly), 10);
+assert.deepEqual(stepTimelineSelection(monthly, 3, true), {
+  patch: getTimelineSelectionPatch(1943 * 12 + 3, 1943 * 12 + 4, 'month'),
+  done: false,
+});
+assert.deepEqual(stepTimelineSelection(monthly, 12).done, true);
+assert.equal(stepTimelineSelection({ ...monthly, ...getTimelineSelectionPatch(1943 * 12, 1943 * 12 + 11, 'month') }, 1), null);
+const daily = {
+  timelineUnit: 'day',
+  yearMin: 1900,
+  yearMax: 2000,
+  windowStartEpochDay: 100,
+  windowEndEpochDay: 110,
+  startEpochDay: 100,
+  endEpochDay: 108,
+  startYear: 1970,
+  endYear: 1970,
+};
+assert.deepEqual(stepTimelineSelection(daily, 5).patch, getTimelineSelectionPatch(100, 110, 'day'));
+assert.deepEqual(
+  stepTimelineSelection({ timelineUnit: 'year', yearMax: 1910, startYear: 1900, endYear: 1908 }, 5),
+  { patch: getTimelineSelectionPatch(1900, 1910, 'year'), done: true },
+);
+assert.equal(stepTimelineSelection(daily, 0), null);
+
+assert.equal(formatTimelineDay(toEpochDay(1943, 6, 12)), '1943-06-12');
+assert.equal(formatTimelineDay(toEpochDay(-44, 3, 15), 'month'), '-0044-03');
+assert.equal(formatTimelineDay(toEpochDay(-44, 3, 15), 'year'), '-44');
+assert.equal(formatTimelineRange(getTimelinePeriodExtent(1943 * 12 + 5, 'month'), 'month'), '1943-06');
+assert.equal(formatTimelineRange({ startDay: 0, endDay: 31 }), '1970-01-01 – 1970-02-01');
+
+assert.equal(parseTimelineDate('1943-06-12'), toEpochDay(1943, 6, 12));
+assert.equal(parseTimelineDate('-0044-03-15'), toEpochDay(-44, 3, 15));
+assert.equal(parseTimelineDate('1943-02-29'), null);
+assert.equal(parseTimelineDate('1943-6-1'), null);
+
+assert.equal(normalizeTimelineUnit('week'), 'year');
+assert.equal(getTimelineUnitLabel('month'), 'Months');
+
+console.log('Timeline dates smoke test passed.');
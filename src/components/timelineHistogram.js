@@ -0,0 +1,118 @@
+/*
+ * Feature counts per year bucket, drawn behind the timeline range slider.
+ *
+ * Both SQLite backends count each enabled dataset's points, lines and regions
+ * into buckets of whole years; a feature whose time range spans several
+ * buckets counts in each of them. The helpers here size the buckets and lay
+ * them out over the slider in whichever unit it currently steps by.
+ */
+import { getTimelinePeriod, getTimelinePeriodExtent } from "./timelineDates.js";
+
+/** Buckets a backend returns at most; larger requests get wider buckets. */
+export const MAX_TIMELINE_HISTOGRAM_BUCKETS = 200;
+/** Buckets the slider asks for, about as many as fit its width. */
+export const TIMELINE_HISTOGRAM_BUCKETS = 60;
+
+const FALLBACK_COLOR = "#94a3b8";
+
+/**
+ * Whole years per bucket so the range fits in `bucketCount` buckets.
+ *
+ * @returns {number} At least one year.
+ */
+export function getTimelineHistogramBucketYears(
+  startYear,
+  endYear,
+  bucketCount = TIMELINE_HISTOGRAM_BUCKETS,
+) {
+  if (!Number.isSafeInteger(startYear) || !Number.isSafeInteger(endYear)) return 1;
+  const years = Math.abs(endYear - startYear) + 1;
+  return Math.max(1, Math.ceil(years / Math.max(1, bucketCount)));
+}
+
+/**
+ * Ordered year range and bucket size a backend counts with, or null without a
+ * complete range. The bucket size grows when the range would otherwise need
+ * more than `MAX_TIMELINE_HISTOGRAM_BUCKETS` buckets.
+ *
+ * @param {{ startYear?: unknown, endYear?: unknown, bucketYears?: unknown }} query
+ * @returns {{ startYear: number, endYear: number, bucketYears: number, bucketCount: number } | null}
+ */
+export function normalizeTimelineHistogramQuery(query) {
+  const first = toInteger(query?.startYear);
+  const last = toInteger(query?.endYear);
+  if (first == null || last == null) return null;
+  const startYear = Math.min(first, last);
+  const endYear = Math.max(first, last);
+  const bucketYears = Math.max(
+    toInteger(query?.bucketYears) ?? 1,
+    getTimelineHistogramBucketYears(startYear, endYear, MAX_TIMELINE_HISTOGRAM_BUCKETS),
+  );
+  return {
+    startYear,
+    endYear,
+    bucketYears,
+    bucketCount: Math.floor((endYear - startYear) / bucketYears) + 1,
+  };
+}
+
+/**
+ * Stacked bars for the slider, positioned in percent of its width. A bucket
+ * covers its periods of the slider's unit from half a step before the first
+ * to half a step after the last, so bars centre on the values they count.
+ * Heights are relative to the tallest bar on the slider; dataset segments
+ * follow the dataset list and use each dataset's colour.
+ *
+ * @param {object|null} histogram Normalized timeline histogram.
+ * @param {{ unit?: string, minPeriod: number, maxPeriod: number, datasetIds?: string[], datasetColors?: Record<string, string> }} slider
+ * @returns {Array<{ key: string, startYear: number, endYear: number, total: number, left: number, width: number, segments: Array<{ datasetId: string, color: string, count: number, height: number }> }>}
+ */
+export function getTimelineHistogramBars(histogram, slider) {
+  const unit = slider?.unit ?? "year";
+  const minPeriod = slider?.minPeriod;
+  const maxPeriod = slider?.maxPeriod;
+  if (!Array.isArray(histogram?.buckets) || !(maxPeriod > minPeriod)) return [];
+
+  const span = maxPeriod - minPeriod;
+  const order = new Map((slider.datasetIds ?? []).map((datasetId, index) => [datasetId, index]));
+  const bars = [];
+  for (const bucket of histogram.buckets) {
+    const firstPeriod = getTimelinePeriod(getTimelinePeriodExtent(bucket.startYear, "year").startDay, unit);
+    const lastPeriod = getTimelinePeriod(getTimelinePeriodExtent(bucket.endYear, "year").endDay, unit);
+    const left = Math.max(0, (firstPeriod - 0.5 - minPeriod) / span);
+    const right = Math.min(1, (lastPeriod + 0.5 - minPeriod) / span);
+    const counts = bucket.counts.filter(({ count }) => count > 0);
+    if (right <= left || counts.length === 0) continue;
+
+    bars.push({
+      key: `${bucket.startYear}:${bucket.endYear}`,
+      startYear: bucket.startYear,
+      endYear: bucket.endYear,
+      total: counts.reduce((sum, { count }) => sum + count, 0),
+      left: left * 100,
+      width: (right - left) * 100,
+      segments: [...counts]
+        .sort((a, b) => (
+          (order.get(a.datasetId) ?? order.size) - (order.get(b.datasetId) ?? order.size)
+        ))
+        .map(({ datasetId, count }) => ({
+          datasetId,
+          color: slider.datasetColors?.[datasetId] ?? FALLBACK_COLOR,
+          count,
+          height: 0,
+        })),
+    });
+  }
+
+  const maxTotal = Math.max(0, ...bars.map((bar) => bar.total));
+  for (const bar of bars) {
+    for (const segment of bar.segments) segment.height = (segment.count / maxTotal) * 100;
+  }
+  return bars;
+}
+
+function toInteger(value) {
+  if (value == null || value === "") return null;
+  const number = Number(value);
+  return Number.isSafeInteger(number) ? number : null;
+}
@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { DATASET_COLORS, getDatasetColors } from './datasetColors.js';
+import { getTimelinePeriod } from './timelineDates.js';
+import {
+  MAX_TIMELINE_HISTOGRAM_BUCKETS,
+  getTimelineHistogramBars,
+  getTimelineHistogramBucketYears,
+  normalizeTimelineHistogramQuery,
+} from './timelineHistogram.js';
+
+// Buckets are whole years sized to the slider, and never more than a backend returns.
+assert.equal(getTimelineHistogramBucketYears(1900, 1909), 1);
+assert.equal(getTimelineHistogramBucketYears(2000, 1000), 17);
+assert.equal(getTimelineHistogramBucketYears(1900, null), 1);
+assert.deepEqual(normalizeTimelineHistogramQuery({ startYear: 1950, endYear: 1900, bucketYears: 10 }), {
+  startYear: 1900,
+  endYear: 1950,
+  bucketYears: 10,
+  bucketCount: 6,
+});
+assert.deepEqual(normalizeTimelineHistogramQuery({ startYear: -5000, endYear: 4999, bucketYears: 0 }), {
+  startYear: -5000,
+  endYear: 4999,
+  bucketYears: 50,
+  bucketCount: MAX_TIMELINE_HISTOGRAM_BUCKETS,
+});
+assert.equal(normalizeTimelineHistogramQuery({ startYear: 1900 }), null);
+
+// Colours follow import order and repeat after the palette.
+const colors = getDatasetColors(Array.from({ length: DATASET_COLORS.length + 1 }, (_, index) => `d${index}`));
+assert.equal(colors.d0, DATASET_COLORS[0]);
+assert.equal(colors[`d${DATASET_COLORS.length}`], DATASET_COLORS[0]);
+assert.deepEqual(getDatasetColors(null), {});
+
+const histogram = {
+  startYear: 1900,
+  endYear: 1910,
+  bucketYears: 5,
+  buckets: [
+    { startYear: 1900, endYear: 1904, counts: [{ datasetId: 'b', count: 1 }, { datasetId: 'a', count: 3 }] },
+    { startYear: 1910, endYear: 1910, counts: [{ datasetId: 'gone', count: 2 }] },
+  ],
+};
+
+// Year bars centre on the years they count, stack in list order and share one scale.
+const yearBars = getTimelineHistogramBars(histogram, {
+  minPeriod: 1900,
+  maxPeriod: 1910,
+  datasetIds: ['a', 'b'],
+  datasetColors: { a: '#111111', b: '#222222' },
+});
+assert.deepEqual(yearBars.map(({ key, left, width, total }) => [key, round(left), round(width), total]), [
+  ['1900:1904', 0, 45, 4],
+  ['1910:1910', 95, 5, 2],
+]);
+assert.deepEqual(yearBars[0].segments, [
+  { datasetId: 'a', color: '#111111', count: 3, height: 75 },
+  { datasetId: 'b', color: '#222222', count: 1, height: 25 },
+]);
+assert.equal(yearBars[1].segments[0].color, '#94a3b8');
+
+// Month sliders spread a year bucket over its months and clip it to a zoomed window.
+const firstMonth = getTimelinePeriod(Date.UTC(1904, 6, 1) / 86400000, 'month');
+const monthBars = getTimelineHistogramBars(histogram, {
+  unit: 'month',
+  minPeriod: firstMonth,
+  maxPeriod: firstMonth + 10,
+});
+assert.deepEqual(monthBars.map(({ left, width }) => [round(left), round(width)]), [[0, 55]]);
+
+assert.deepEqual(getTimelineHistogramBars(null, { minPeriod: 0, maxPeriod: 1 }), []);
+assert.deepEqual(getTimelineHistogramBars(histogram, { minPeriod: 1900, maxPeriod: 1900 }), []);
+
+console.log('Timeline histogram smoke test passed.');
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
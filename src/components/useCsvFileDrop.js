@@ -1,7 +1,9 @@
 import { useRef, useState } from "react";
+import { isGeoJsonFile } from "../data/geoJsonRows.js";
+import { isSpreadsheetFile } from "../data/spreadsheetRows.js";
 
 export function useCsvFileDrop({ onImportFiles }) {
-  /** True when CSV files are being dragged over the app */
+  /** True when files are being dragged over the app */
   const [isDraggingFiles, setIsDraggingFiles] = useState(false);
 
   /**
@@ -63,7 +65,10 @@ export function useCsvFileDrop({ onImportFiles }) {
 
     const csvFiles = files.filter((file) => {
       const name = String(file?.name ?? "").toLowerCase();
-      return name.endsWith(".csv") || file?.type === "text/csv";
+      return name.endsWith(".csv") ||
+        file?.type === "text/csv" ||
+        isGeoJsonFile(file) ||
+        isSpreadsheetFile(file);
     });
 
     if (csvFiles.length === 0) return;
@@ -0,0 +1,193 @@
+import { useCallback, useRef, useState } from "react";
+import { createMapFrameRenderer, loadSvgMarkupImage } from "./mapFrameRenderer";
+import {
+  MAP_IMAGE_FORMATS,
+  buildMapPrintHtml,
+  buildMapSvgDocument,
+  getMapImageFileName,
+  getScaleBar,
+  normalizeMapTitle,
+} from "./mapImageExport";
+
+// PNG exports are rendered at twice the screen size so text and lines stay sharp in print.
+const PNG_SCALE = 2;
+// Ground distance is measured across this many pixels at the map centre.
+const SCALE_SAMPLE_PX = 100;
+
+const IDLE_STATE = { status: "idle", error: null, warning: null, message: null };
+
+/**
+ * useMapImageExport
+ * Captures the current viewport and downloads it as PNG or SVG. PDF goes
+ * through the desktop main process when available and the print dialog in
+ * the browser.
+ */
+export function useMapImageExport({ mapRef, styleLegend }) {
+  const [exportState, setExportState] = useState(IDLE_STATE);
+  const runningRef = useRef(false);
+
+  const exportImage = useCallback(async ({ format, title, legend, scaleBar }) => {
+    const map = mapRef.current;
+    if (runningRef.current || !map) return;
+    runningRef.current = true;
+    setExportState({ ...IDLE_STATE, status: "exporting" });
+
+    const renderer = createMapFrameRenderer(map);
+    try {
+      const capture = await renderer.captureLayers();
+      const mapTitle = normalizeMapTitle(title);
+      const mapDocument = buildMapSvgDocument({
+        width: capture.width,
+        height: capture.height,
+        title: mapTitle,
+        layers: capture.layers.map((layer) => (
+          layer.kind === "raster"
+            ? { kind: "image", href: layer.canvas.toDataURL("image/png") }
+            : layer
+        )),
+        legend: legend ? styleLegend : [],
+        scaleBar: scaleBar ? getScaleBar(getMetersPerPixel(map)) : null,
+        attribution: capture.attribution,
+      });
+      const fileName = getMapImageFileName(format, mapTitle);
+
+      let message = null;
+      if (format === "svg") {
+        downloadBlob(new Blob([mapDocument.svg], { type: getFormatMimeType("svg") }), fileName);
+      } else if (format === "png") {
+        downloadBlob(await renderPng(mapDocument), fileName);
+      } else {
+        const saved = await exportPdf(mapDocument, fileName);
+        if (saved.canceled) {
+          setExportState(IDLE_STATE);
+          return;
+        }
+        message = saved.fileName ? `Saved ${saved.fileName}.` : null;
+      }
+
+      setExportState({
+        ...IDLE_STATE,
+        message,
+        warning: capture.missingImageCount > 0
+          ? `${capture.missingImageCount} map image${capture.missingImageCount === 1 ? " was" : "s were"} left out because the server does not allow copying.`
+          : null,
+      });
+    } catch (error) {
+      setExportState({
+        ...IDLE_STATE,
+        error: error?.name === "SecurityError"
+          ? "The map could not be captured because an image on it does not allow copying."
+          : error?.message
+            ? String(error.message)
+            : "Could not export the map.",
+      });
+    } finally {
+      renderer.dispose();
+      runningRef.current = false;
+    }
+  }, [mapRef, styleLegend]);
+
+  const dismissExportMessage = useCallback(() => {
+    setExportState((current) => (
+      current.status === "exporting" ? current : IDLE_STATE
+    ));
+  }, []);
+
+  return {
+    exportState,
+    exportImage,
+    dismissExportMessage,
+    usesNativePdf: getDesktopMapPdfBridge() != null,
+  };
+}
+
+/** Ground metres per screen pixel across the middle of the viewport. */
+function getMetersPerPixel(map) {
+  const size = map.getSize();
+  const y = size.y / 2;
+  const left = map.containerPointToLatLng([size.x / 2 - SCALE_SAMPLE_PX / 2, y]);
+  const right = map.containerPointToLatLng([size.x / 2 + SCALE_SAMPLE_PX / 2, y]);
+  return map.distance(left, right) / SCALE_SAMPLE_PX;
+}
+
+async function renderPng({ svg, width, height }) {
+  const image = await loadSvgMarkupImage(svg);
+  if (!image) throw new Error("Could not render the map image.");
+  const canvas = document.createElement("canvas");
+  canvas.width = width * PNG_SCALE;
+  canvas.height = height * PNG_SCALE;
+  canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error("Could not render the map image."));
+    }, getFormatMimeType("png"));
+  });
+}
+
+/**
+ * The desktop app prints to a PDF file chosen in a native dialog; the browser
+ * opens its print dialog, where the page can be saved as PDF.
+ */
+async function exportPdf({ svg, width, height }, fileName) {
+  const bridge = getDesktopMapPdfBridge();
+  if (bridge) {
+    const result = await bridge.saveMapPdf({ svg, width, height, fileName });
+    if (result?.ok) return { canceled: false, fileName: result.fileName };
+    if (result?.canceled) return { canceled: true };
+    throw new Error("Could not save the map as PDF.");
+  }
+  await printInFrame(buildMapPrintHtml({ svg, width, height }));
+  return { canceled: false };
+}
+
+function printInFrame(html) {
+  return new Promise((resolve, reject) => {
+    const frame = document.createElement("iframe");
+    // Some browsers skip layout, and so printing, for frames that are not displayed.
+    frame.style.cssText = "position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;";
+    frame.title = "Map print preview";
+    frame.onload = () => {
+      try {
+        frame.contentWindow.focus();
+        // print() blocks until the dialog closes in most browsers.
+        frame.contentWindow.print();
+        resolve();
+      } catch (error) {
+        reject(error);
+      } finally {
+        globalThis.setTimeout(() => frame.remove(), 0);
+      }
+    };
+    frame.srcdoc = html;
+    document.body.append(frame);
+  });
+}
+
+function getDesktopMapPdfBridge() {
+  const bridge = globalThis.csvMapDesktop;
+  if (bridge?.isDesktop === true && typeof bridge.saveMapPdf === "function") {
+    return bridge;
+  }
+  return null;
+}
+
+function getFormatMimeType(format) {
+  return MAP_IMAGE_FORMATS.find((entry) => entry.format === format).mimeType;
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  try {
+    link.href = url;
+    link.download = fileName;
+    link.hidden = true;
+    document.body.append(link);
+    link.click();
+  } finally {
+    link.remove();
+    // Revocation is deferred so the browser can begin consuming the object URL.
+    globalThis.setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+}
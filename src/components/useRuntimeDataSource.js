@@ -1,15 +1,34 @@
-import { useEffect, useMemo, useRef, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { selectRuntimeDataSource } from '../data/runtimeDataSource.js';
+import { isBrowserSqlitePersistenceSupported } from '../data/browserSqlite/browserSqlitePersistence.js';
+import {
+  readBrowserStoragePreference,
+  writeBrowserStoragePreference,
+} from './browserStoragePreference.js';
 
-/** Own the one selected backend for the lifetime of the current page session. */
+/**
+ * Own the one selected backend for the lifetime of the current page session.
+ *
+ * The browser storage preference is read once because the backend cannot
+ * change mid-session; saving a new preference takes effect on the next load.
+ */
 export function useRuntimeDataSource() {
   const desktopApi = useMemo(() => globalThis.csvMapDesktop ?? null, []);
   const disposeTimerRef = useRef(null);
+  const [browserPersistence] = useState(readBrowserStoragePreference);
+  const [savedBrowserPersistence, setSavedBrowserPersistence] = useState(browserPersistence);
   const selection = useMemo(() => selectRuntimeDataSource({
     desktopApi,
-  }), [desktopApi]);
+    browserPersistence,
+  }), [desktopApi, browserPersistence]);
   const [initialization, setInitialization] = useState(null);
 
+  const saveBrowserPersistence = useCallback((persistence) => {
+    if (writeBrowserStoragePreference(persistence)) {
+      setSavedBrowserPersistence(persistence);
+    }
+  }, []);
+
   useEffect(() => {
     const pendingDisposal = disposeTimerRef.current;
     if (pendingDisposal?.dataSource === selection.dataSource) {
@@ -51,5 +70,13 @@ export function useRuntimeDataSource() {
   return {
     ...selection,
     initialization,
+    browserStorage: selection.isDesktop || !isBrowserSqlitePersistenceSupported()
+      ? null
+      : {
+          // Only the initialized worker knows whether OPFS is really in use.
+          active: initialization?.capabilities?.persistence ?? selection.capabilities.persistence,
+          saved: savedBrowserPersistence,
+          onSave: saveBrowserPersistence,
+        },
   };
 }
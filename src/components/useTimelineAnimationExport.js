@@ -0,0 +1,313 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { createGifEncoder } from "./gifEncoder";
+import { createMapFrameRenderer, isMapLoadingTiles } from "./mapFrameRenderer";
+import {
+  ANIMATION_EXPORT_FORMATS,
+  formatAnimationCaption,
+  getAnimationExportSteps,
+  getAnimationFileName,
+  normalizeAnimationExportOptions,
+} from "./timelineAnimationExport";
+import { normalizeTimelineUnit } from "./timelineDates";
+
+// Gives the frame's features time to render and its tile requests time to start.
+const MIN_SETTLE_MS = 250;
+const MAX_SETTLE_MS = 15000;
+const SETTLE_POLL_MS = 50;
+const WEBM_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+const EMPTY_FRAME_FEATURES = { points: [], lines: [], regions: [], density: null };
+
+const IDLE_STATE = {
+  status: "idle",
+  frame: 0,
+  frameCount: 0,
+  error: null,
+  warning: null,
+};
+
+/** True when this browser can record a canvas to WebM. */
+export function isWebmRecordingSupported() {
+  return getWebmMimeType() != null;
+}
+
+/**
+ * useTimelineAnimationExport
+ * Steps through the timeline like playback, and downloads the encoded
+ * animation. Frames are drawn from `frameMap`, an offscreen map of the frame
+ * size that starts at the visible view and layers; `queryFrame` loads the
+ * features of each step for it. The visible map and timeline do not change.
+ */
+export function useTimelineAnimationExport({
+  mapRef,
+  timelineState,
+  mapLayers,
+  queryFrame,
+}) {
+  const [exportState, setExportState] = useState(IDLE_STATE);
+  const [frameMap, setFrameMap] = useState(null);
+  const frameMapRef = useRef(null);
+  const stateRef = useRef(timelineState);
+  const layersRef = useRef(mapLayers);
+  const canceledRef = useRef(false);
+  const runningRef = useRef(false);
+
+  useEffect(() => {
+    stateRef.current = timelineState;
+    layersRef.current = mapLayers;
+  }, [mapLayers, timelineState]);
+
+  const startExport = useCallback(async (rawOptions) => {
+    const visibleMap = mapRef.current;
+    if (runningRef.current || !visibleMap || typeof queryFrame !== "function") return;
+    const options = normalizeAnimationExportOptions(rawOptions);
+    const initial = stateRef.current;
+    const plan = getAnimationExportSteps(initial, options);
+    const unit = normalizeTimelineUnit(initial?.timelineUnit);
+    if (!plan.ok) {
+      setExportState({ ...IDLE_STATE, error: plan.error });
+      return;
+    }
+
+    runningRef.current = true;
+    canceledRef.current = false;
+    setExportState({ ...IDLE_STATE, status: "exporting", frameCount: plan.steps.length });
+    const center = visibleMap.getCenter();
+    setFrameMap({
+      width: options.width,
+      height: options.height,
+      view: { lat: center.lat, lon: center.lng, zoom: visibleMap.getZoom() },
+      layers: layersRef.current,
+      features: EMPTY_FRAME_FEATURES,
+    });
+
+    let renderer = null;
+    let encoder = null;
+    let missingImageCount = 0;
+    try {
+      const map = await waitForFrameMap(frameMapRef);
+      renderer = createMapFrameRenderer(map);
+      encoder = options.format === "gif"
+        ? createGifFrameEncoder(options)
+        : createWebmFrameEncoder(options);
+
+      for (const [index, step] of plan.steps.entries()) {
+        if (canceledRef.current) break;
+        const features = await queryFrame({
+          // A year step selects whole years, as patching the timeline would.
+          timeline: { ...initial, startEpochDay: null, endEpochDay: null, ...step },
+          bounds: getMapBounds(map),
+          zoom: map.getZoom(),
+        });
+        if (canceledRef.current) break;
+        setFrameMap((current) => current && { ...current, features });
+        await waitForMapToSettle(map);
+        if (canceledRef.current) break;
+
+        const frame = await renderer.renderFrame({
+          width: options.width,
+          height: options.height,
+          caption: options.caption ? formatAnimationCaption(step, unit) : "",
+        });
+        missingImageCount = Math.max(missingImageCount, frame.missingImageCount);
+        await encoder.addFrame(frame.canvas, options.intervalMs);
+        setExportState((current) => ({ ...current, frame: index + 1 }));
+      }
+
+      if (canceledRef.current) {
+        encoder.cancel();
+        setExportState(IDLE_STATE);
+        return;
+      }
+      const blob = await encoder.finish();
+      downloadBlob(blob, getAnimationFileName(options.format, plan.steps, unit));
+      setExportState({
+        ...IDLE_STATE,
+        warning: missingImageCount > 0
+          ? `${missingImageCount} map image${missingImageCount === 1 ? " was" : "s were"} left out because the server does not allow copying.`
+          : null,
+      });
+    } catch (error) {
+      encoder?.cancel();
+      setExportState({
+        ...IDLE_STATE,
+        error: error?.name === "SecurityError"
+          ? "The map could not be captured because an image on it does not allow copying."
+          : error?.message
+            ? String(error.message)
+            : "Could not export the animation.",
+      });
+    } finally {
+      renderer?.dispose();
+      setFrameMap(null);
+      runningRef.current = false;
+    }
+  }, [mapRef, queryFrame]);
+
+  const cancelExport = useCallback(() => {
+    canceledRef.current = true;
+  }, []);
+
+  const dismissExportMessage = useCallback(() => {
+    setExportState((current) => (
+      current.status === "exporting" ? current : IDLE_STATE
+    ));
+  }, []);
+
+  return {
+    exportState,
+    frameMap,
+    frameMapRef,
+    startExport,
+    cancelExport,
+    dismissExportMessage,
+  };
+}
+
+/** Wait until the offscreen map has mounted and handed over its Leaflet map. */
+async function waitForFrameMap(frameMapRef) {
+  const deadline = Date.now() + MAX_SETTLE_MS;
+  while (!frameMapRef.current) {
+    if (Date.now() >= deadline) throw new Error("The animation map could not be created.");
+    await nextAnimationFrame();
+  }
+  return frameMapRef.current;
+}
+
+/** Wait for the new step's features to render and for its tiles. */
+async function waitForMapToSettle(map) {
+  await delay(MIN_SETTLE_MS);
+  const deadline = Date.now() + MAX_SETTLE_MS;
+  while (Date.now() < deadline && isMapLoadingTiles(map)) {
+    await delay(SETTLE_POLL_MS);
+  }
+  await nextAnimationFrame();
+  await nextAnimationFrame();
+}
+
+/** The map's bounds in the shape map view queries take. */
+function getMapBounds(map) {
+  const bounds = map.getBounds();
+  return {
+    north: bounds.getNorth(),
+    south: bounds.getSouth(),
+    east: bounds.getEast(),
+    west: bounds.getWest(),
+  };
+}
+
+function createGifFrameEncoder({ width, height }) {
+  const gif = createGifEncoder({ width, height });
+  return {
+    async addFrame(canvas, durationMs) {
+      const pixels = canvas.getContext("2d").getImageData(0, 0, width, height).data;
+      gif.addFrame(pixels, durationMs);
+    },
+    async finish() {
+      return new Blob([gif.finish()], { type: getFormatMimeType("gif") });
+    },
+    cancel() {},
+  };
+}
+
+/**
+ * Record frames in real time, pausing the recorder between them so the time
+ * spent waiting for the map does not show in the video.
+ */
+function createWebmFrameEncoder({ width, height }) {
+  const mimeType = getWebmMimeType();
+  if (!mimeType) {
+    throw new Error("This browser cannot record WebM video; export an animated GIF instead.");
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext("2d");
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  let started = false;
+
+  const stopTracks = () => {
+    for (const streamTrack of stream.getTracks()) streamTrack.stop();
+  };
+
+  return {
+    async addFrame(frame, durationMs) {
+      if (started) {
+        recorder.resume();
+      } else {
+        recorder.start();
+        started = true;
+      }
+      context.drawImage(frame, 0, 0);
+      track.requestFrame();
+      await delay(durationMs);
+      recorder.pause();
+    },
+    finish() {
+      return new Promise((resolve, reject) => {
+        if (!started) {
+          reject(new Error("Could not export the animation."));
+          return;
+        }
+        recorder.onstop = () => {
+          stopTracks();
+          resolve(new Blob(chunks, { type: getFormatMimeType("webm") }));
+        };
+        recorder.onerror = () => {
+          stopTracks();
+          reject(new Error("The video recording failed."));
+        };
+        recorder.stop();
+      });
+    },
+    cancel() {
+      if (recorder.state !== "inactive") recorder.stop();
+      stopTracks();
+    },
+  };
+}
+
+function getWebmMimeType() {
+  const Recorder = globalThis.MediaRecorder;
+  if (typeof Recorder !== "function" || typeof HTMLCanvasElement === "undefined") return null;
+  if (typeof HTMLCanvasElement.prototype.captureStream !== "function") return null;
+  return WEBM_TYPES.find((type) => Recorder.isTypeSupported?.(type)) ?? null;
+}
+
+function getFormatMimeType(format) {
+  return ANIMATION_EXPORT_FORMATS.find((entry) => entry.format === format).mimeType;
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  try {
+    link.href = url;
+    link.download = fileName;
+    link.hidden = true;
+    document.body.append(link);
+    link.click();
+  } finally {
+    link.remove();
+    // Revocation is deferred so the browser can begin consuming the object URL.
+    globalThis.setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+}
+
+function delay(ms) {
+  return new Promise((resolve) => {
+    globalThis.setTimeout(resolve, ms);
+  });
+}
+
+function nextAnimationFrame() {
+  return new Promise((resolve) => {
+    globalThis.requestAnimationFrame(() => resolve());
+  });
+}
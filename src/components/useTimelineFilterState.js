@@ -19,6 +19,16 @@ const DEFAULT_STATE = {
   startYear: -2100,
   endYear: 2026,
 
+  // Slider resolution; month and day selections also keep their exact dates
+  // as epoch days, which take precedence over the years when both are set.
+  timelineUnit: "year",
+  startEpochDay: null,
+  endEpochDay: null,
+
+  // Days the month and day slider spans; null spans the whole year range.
+  windowStartEpochDay: null,
+  windowEndEpochDay: null,
+
   // Optional day filter
   dayFilterEnabled: false,
   startDay: 1,
@@ -65,7 +75,7 @@ export function useTimelineFilterState() {
   }, [state?.playback, setState]);
 
   const patch = useCallback((partial) => {
-    setState((prev) => ({ ...prev, ...partial }));
+    setState((prev) => ({ ...prev, ...withoutStaleDates(partial) }));
   }, [setState]);
 
   /*
@@ -87,6 +97,8 @@ export function useTimelineFilterState() {
       ...prev,
       startYear: startYear ?? null,
       endYear: endYear ?? null,
+      startEpochDay: null,
+      endEpochDay: null,
     }));
   }, [setState]);
 
@@ -107,6 +119,18 @@ export function useTimelineFilterState() {
   };
 }
 
+/**
+ * A patch that moves the selected years without naming dates selects whole
+ * years, so dates from an earlier month or day selection must not outlive it.
+ */
+function withoutStaleDates(partial) {
+  const movesYears = partial && ("startYear" in partial || "endYear" in partial);
+  const setsDates = partial && ("startEpochDay" in partial || "endEpochDay" in partial);
+  return movesYears && !setsDates
+    ? { ...partial, startEpochDay: null, endEpochDay: null }
+    : partial;
+}
+
 function clampInt(n, min, max) {
   const x = Number.parseInt(n, 10);
   if (!Number.isFinite(x)) return min;
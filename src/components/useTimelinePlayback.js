@@ -1,4 +1,5 @@
 import { useCallback, useEffect, useRef } from "react";
+import { stepTimelineSelection } from "./timelineDates";
 
 /**
  * useTimelinePlayback
@@ -53,46 +54,25 @@ export function useTimelinePlayback({ timelineState, onTimelinePatch }) {
       return;
     }
 
-    const yearMax = current?.yearMax;
-    const endYear = current?.endYear;
-
-    if (!Number.isFinite(yearMax) || !Number.isFinite(endYear)) {
-      stopPlayback();
-      return;
-    }
-
-    const stepYears = Number.parseInt(String(current.playback.stepYears), 10);
-
-    let delta = stepYears;
-    if (endYear + delta > yearMax) {
-      delta = yearMax - endYear;
-    }
+    // Steps count periods of the slider's unit: years, months, or days.
+    const stepCount = Number.parseInt(String(current.playback.stepYears), 10);
+    const step = stepTimelineSelection(current, stepCount, current.playback.moveStartWithEnd);
 
     // Stop when there is no distance left.
-    if (delta <= 0) {
+    if (!step) {
       stopPlayback();
       return;
     }
 
-    const nextEnd = endYear + delta;
-    const patch = {
-      endYear: nextEnd,
+    onTimelinePatch?.({
+      ...step.patch,
       playback: {
         ...current.playback,
-        isPlaying: nextEnd !== yearMax,
+        isPlaying: !step.done,
       },
-    };
-
-    if (current.playback.moveStartWithEnd) {
-      const startYear = Number(current?.startYear);
-      if (Number.isFinite(startYear)) {
-        patch.startYear = startYear + delta;
-      }
-    }
-
-    onTimelinePatch?.(patch);
+    });
 
-    if (nextEnd === yearMax) {
+    if (step.done) {
       if (timerRef.current != null) {
         clearInterval(timerRef.current);
         timerRef.current = null;
@@ -108,11 +88,7 @@ export function useTimelinePlayback({ timelineState, onTimelinePatch }) {
     if (!current?.timelineEnabled) return;
     if (!isPlaybackConfigValid(current)) return;
 
-    const yearMax = current?.yearMax;
-    const endYear = current?.endYear;
-
-    if (!Number.isFinite(yearMax) || !Number.isFinite(endYear)) return;
-    if (endYear >= yearMax) return;
+    if (!stepTimelineSelection(current, 1)) return;
 
     onTimelinePatch?.({
       playback: {
@@ -0,0 +1,228 @@
+import { formatTimelineDay, normalizeTimelineUnit, parseTimelineDate } from "./timelineDates.js";
+import { getExampleNamesFromSearch } from "./useExampleCsvFilesFromUrl.js";
+
+/*
+ * Shareable view links.
+ *
+ * A permalink keeps the existing `?example=` parameters and adds the view on
+ * top of them:
+ *   view=59.32930,18.06860,7        map centre and zoom
+ *   base=builtin:satellite          active background layer
+ *   overlay=builtin:labelsBoundaries (repeated) enabled overlay layers
+ *   hide=books.csv                  (repeated) loaded but hidden datasets
+ *   timeline=1900..1950             selected years; omitted when the timeline is off
+ *   yearRange=-2100..2026           slider range that goes with `timeline`
+ *   days=32..59                     day-of-year filter, when enabled
+ *   unit=month                      month or day slider; omitted for years
+ *   dates=1943-06-01..1943-09-30    selected dates of a month or day selection
+ *   window=1940-01-01..1945-12-31   span of a zoomed month or day slider
+ *   select=12:59.1,18.2:books.csv   selected feature: row index, position, dataset
+ *
+ * Datasets are named by their example file, so only example datasets can be
+ * hidden or selected through a link; local files are left out.
+ */
+
+export const DEFAULT_BASE_LAYER_ID = "builtin:osm";
+
+const COORDINATE_DECIMALS = 5;
+const MAX_LINK_ZOOM = 24;
+// Custom layer IDs are derived from user-chosen names, so they may hold spaces.
+const LAYER_ID_PATTERN = /^(?:builtin|custom):\S(?:.{0,198}\S)?$/;
+const RANGE_PATTERN = /^(-?\d+)\.\.(-?\d+)$/;
+const DATE_RANGE_PATTERN = /^(-?\d{4,6}-\d{2}-\d{2})\.\.(-?\d{4,6}-\d{2}-\d{2})$/;
+
+/**
+ * Build a link to the current view from the page address.
+ *
+ * @param {string} href Current page address; its path is kept.
+ * @param {object} view Current view state.
+ * @returns {string}
+ */
+export function buildViewPermalink(href, view) {
+  const url = new URL(href);
+  const examples = getExampleNamesFromSearch(url.search);
+  const exampleDatasetNames = new Set(examples.map(getExampleDatasetName));
+  const params = new URLSearchParams();
+  for (const name of examples) params.append("example", name);
+
+  const center = view?.center;
+  const zoom = Number(view?.zoom);
+  if (Number.isFinite(center?.lat) && Number.isFinite(center?.lon) && Number.isFinite(zoom)) {
+    params.set("view", [
+      center.lat.toFixed(COORDINATE_DECIMALS),
+      center.lon.toFixed(COORDINATE_DECIMALS),
+      String(Math.round(zoom)),
+    ].join(","));
+  }
+
+  const baseLayerId = normalizeLayerId(view?.baseLayerId);
+  if (baseLayerId && baseLayerId !== DEFAULT_BASE_LAYER_ID) params.set("base", baseLayerId);
+  for (const layerId of normalizeLayerIds(view?.overlayLayerIds)) {
+    params.append("overlay", layerId);
+  }
+
+  for (const dataset of view?.datasets ?? []) {
+    if (!dataset.enabled && exampleDatasetNames.has(dataset.name)) {
+      params.append("hide", dataset.name);
+    }
+  }
+
+  const timeline = view?.timeline;
+  if (timeline?.timelineEnabled) {
+    appendRange(params, "timeline", timeline.startYear, timeline.endYear);
+    appendRange(params, "yearRange", timeline.yearMin, timeline.yearMax);
+    if (timeline.dayFilterEnabled) {
+      appendRange(params, "days", timeline.startDay, timeline.endDay);
+    }
+    const unit = normalizeTimelineUnit(timeline.timelineUnit);
+    if (unit !== "year") {
+      params.set("unit", unit);
+      appendDateRange(params, "dates", timeline.startEpochDay, timeline.endEpochDay);
+      appendDateRange(params, "window", timeline.windowStartEpochDay, timeline.windowEndEpochDay);
+    }
+  }
+
+  const selection = view?.selection;
+  if (
+    selection &&
+    exampleDatasetNames.has(selection.datasetName) &&
+    Number.isSafeInteger(selection.rowIndex) &&
+    Number.isFinite(selection.lat) &&
+    Number.isFinite(selection.lon)
+  ) {
+    params.set("select", [
+      selection.rowIndex,
+      `${selection.lat.toFixed(COORDINATE_DECIMALS)},${selection.lon.toFixed(COORDINATE_DECIMALS)}`,
+      selection.datasetName,
+    ].join(":"));
+  }
+
+  url.search = params.toString();
+  url.hash = "";
+  return url.toString();
+}
+
+/**
+ * Read the view state from a page's query string. Links without a `view`
+ * parameter are plain example links and restore nothing beyond the examples.
+ *
+ * @param {string} search `window.location.search`
+ * @returns {object|null}
+ */
+export function parseViewPermalink(search) {
+  const params = new URLSearchParams(search);
+  const map = parseMapView(params.get("view"));
+  if (!map) return null;
+
+  const timelineRange = parseRange(params.get("timeline"));
+  const yearRange = parseRange(params.get("yearRange"));
+  const dayRange = parseRange(params.get("days"));
+  const unit = normalizeTimelineUnit(params.get("unit"));
+  // Year links select whole years, whatever dates the tab selected before.
+  const dates = unit === "year"
+    ? { unit, selection: null, window: null }
+    : { unit, selection: parseDateRange(params.get("dates")), window: parseDateRange(params.get("window")) };
+
+  return {
+    map,
+    baseLayerId: normalizeLayerId(params.get("base")) ?? DEFAULT_BASE_LAYER_ID,
+    overlayLayerIds: normalizeLayerIds(params.getAll("overlay")),
+    hiddenDatasetNames: [...new Set(params.getAll("hide").map((name) => name.trim()).filter(Boolean))],
+    exampleDatasetNames: getExampleNamesFromSearch(search).map(getExampleDatasetName),
+    timeline: getTimelinePatch(timelineRange, yearRange, dayRange, dates),
+    selection: parseSelection(params.get("select")),
+  };
+}
+
+/** Dataset name an example import produces: the file name without folders. */
+export function getExampleDatasetName(exampleName) {
+  return String(exampleName).split("/").pop();
+}
+
+function getTimelinePatch(timelineRange, yearRange, dayRange, dates) {
+  if (!timelineRange) return { timelineEnabled: false };
+
+  const yearMin = Math.min(yearRange?.[0] ?? timelineRange[0], timelineRange[0]);
+  const yearMax = Math.max(yearRange?.[1] ?? timelineRange[1], timelineRange[1]);
+  const days = dayRange
+    ? dayRange.map((day) => Math.max(1, Math.min(365, day)))
+    : null;
+  return {
+    timelineEnabled: true,
+    yearMin,
+    yearMax,
+    yearMinDraft: String(yearMin),
+    yearMaxDraft: String(yearMax),
+    startYear: timelineRange[0],
+    endYear: timelineRange[1],
+    dayFilterEnabled: days !== null,
+    ...(days ? { startDay: days[0], endDay: days[1] } : {}),
+    timelineUnit: dates.unit,
+    startEpochDay: dates.selection?.[0] ?? null,
+    endEpochDay: dates.selection?.[1] ?? null,
+    windowStartEpochDay: dates.window?.[0] ?? null,
+    windowEndEpochDay: dates.window?.[1] ?? null,
+  };
+}
+
+function parseMapView(value) {
+  const parts = String(value ?? "").split(",");
+  if (parts.length !== 3) return null;
+  const [lat, lon, zoom] = parts.map(Number);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) return null;
+  if (!Number.isFinite(lon) || lon < -180 || lon > 180) return null;
+  if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_LINK_ZOOM) return null;
+  return { lat, lon, zoom };
+}
+
+function parseSelection(value) {
+  const match = /^(\d+):(-?[\d.]+),(-?[\d.]+):(.+)$/.exec(String(value ?? ""));
+  if (!match) return null;
+  const rowIndex = Number(match[1]);
+  const lat = Number(match[2]);
+  const lon = Number(match[3]);
+  const datasetName = match[4].trim();
+  if (!Number.isSafeInteger(rowIndex) || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+    return null;
+  }
+  return datasetName ? { datasetName, rowIndex, lat, lon } : null;
+}
+
+function parseRange(value) {
+  const match = RANGE_PATTERN.exec(String(value ?? ""));
+  if (!match) return null;
+  const start = Number(match[1]);
+  const end = Number(match[2]);
+  return start <= end ? [start, end] : [end, start];
+}
+
+function parseDateRange(value) {
+  const match = DATE_RANGE_PATTERN.exec(String(value ?? ""));
+  if (!match) return null;
+  const start = parseTimelineDate(match[1]);
+  const end = parseTimelineDate(match[2]);
+  if (start == null || end == null) return null;
+  return start <= end ? [start, end] : [end, start];
+}
+
+function appendDateRange(params, name, startDay, endDay) {
+  if (Number.isInteger(startDay) && Number.isInteger(endDay)) {
+    params.set(name, `${formatTimelineDay(startDay)}..${formatTimelineDay(endDay)}`);
+  }
+}
+
+function appendRange(params, name, start, end) {
+  if (Number.isInteger(start) && Number.isInteger(end)) {
+    params.set(name, `${start}..${end}`);
+  }
+}
+
+function normalizeLayerId(value) {
+  const id = typeof value === "string" ? value.trim() : "";
+  return LAYER_ID_PATTERN.test(id) ? id : null;
+}
+
+function normalizeLayerIds(value) {
+  if (!Array.isArray(value)) return [];
+  return [...new Set(value.map(normalizeLayerId).filter(Boolean))];
+}
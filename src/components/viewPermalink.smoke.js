@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_BASE_LAYER_ID,
+  buildViewPermalink,
+  getExampleDatasetName,
+  parseViewPermalink,
+} from './viewPermalink.js';
+
+const pageUrl = 'https://example.github.io/csv-map-layer-visualizer/?example=books.csv&example=history/events.csv&other=1#top';
+const view = {
+  center: { lat: 59.329312, lon: 18.068581 },
+  zoom: 7.4,
+  baseLayerId: 'builtin:satellite',
+  overlayLayerIds: ['builtin:labelsBoundaries', 'custom:old maps', 'builtin:labelsBoundaries', 'nope'],
+  datasets: [
+    { name: 'books.csv', enabled: true },
+    { name: 'events.csv', enabled: false },
+    { name: 'local.csv', enabled: false },
+  ],
+  timeline: {
+    timelineEnabled: true,
+    yearMin: -2100,
+    yearMax: 2026,
+    startYear: -500,
+    endYear: 1950,
+    dayFilterEnabled: true,
+    startDay: 32,
+    endDay: 59,
+  },
+  selection: { datasetName: 'books.csv', rowIndex: 12, lat: 59.1, lon: 18.25 },
+};
+
+const link = buildViewPermalink(pageUrl, view);
+const url = new URL(link);
+// The page path and examples stay; unrelated parameters and the hash do not.
+assert.equal(url.pathname, '/csv-map-layer-visualizer/');
+assert.equal(url.hash, '');
+assert.deepEqual(url.searchParams.getAll('example'), ['books.csv', 'history/events.csv']);
+assert.equal(url.searchParams.has('other'), false);
+assert.equal(url.searchParams.get('view'), '59.32931,18.06858,7');
+assert.deepEqual(url.searchParams.getAll('overlay'), ['builtin:labelsBoundaries', 'custom:old maps']);
+// Local files cannot be restored from a link, so they are not named in it.
+assert.deepEqual(url.searchParams.getAll('hide'), ['events.csv']);
+assert.equal(url.searchParams.get('timeline'), '-500..1950');
+assert.equal(url.searchParams.get('select'), '12:59.10000,18.25000:books.csv');
+
+assert.deepEqual(parseViewPermalink(url.search), {
+  map: { lat: 59.32931, lon: 18.06858, zoom: 7 },
+  baseLayerId: 'builtin:satellite',
+  overlayLayerIds: ['builtin:labelsBoundaries', 'custom:old maps'],
+  hiddenDatasetNames: ['events.csv'],
+  exampleDatasetNames: ['books.csv', 'events.csv'],
+  timeline: {
+    timelineEnabled: true,
+    yearMin: -2100,
+    yearMax: 2026,
+    yearMinDraft: '-2100',
+    yearMaxDraft: '2026',
+    startYear: -500,
+    endYear: 1950,
+    dayFilterEnabled: true,
+    startDay: 32,
+    endDay: 59,
+    timelineUnit: 'year',
+    startEpochDay: null,
+    endEpochDay: null,
+    windowStartEpochDay: null,
+    windowEndEpochDay: null,
+  },
+  selection: { datasetName: 'books.csv', rowIndex: 12, lat: 59.1, lon: 18.25 },
+});
+
+// Month and day selections keep their dates and the zoomed slider span.
+const dated = new URL(buildViewPermalink(pageUrl, {
+  ...view,
+  timeline: {
+    ...view.timeline,
+    startYear: 1943,
+    endYear: 1943,
+    dayFilterEnabled: false,
+    timelineUnit: 'month',
+    startEpochDay: -9711,
+    endEpochDay: -9620,
+    windowStartEpochDay: -10958,
+    windowEndEpochDay: -8767,
+  },
+}));
+assert.equal(dated.searchParams.get('unit'), 'month');
+assert.equal(dated.searchParams.get('dates'), '1943-06-01..1943-08-31');
+assert.equal(dated.searchParams.get('window'), '1940-01-01..1945-12-31');
+const datedTimeline = parseViewPermalink(dated.search).timeline;
+assert.deepEqual(
+  [datedTimeline.timelineUnit, datedTimeline.startEpochDay, datedTimeline.endEpochDay, datedTimeline.windowEndEpochDay],
+  ['month', -9711, -9620, -8767],
+);
+// Dates without a month or day unit, and impossible dates, are ignored.
+assert.equal(parseViewPermalink('?view=1,2,3&timeline=1943..1943&dates=1943-06-01..1943-08-31').timeline.startEpochDay, null);
+assert.equal(parseViewPermalink('?view=1,2,3&timeline=1943..1943&unit=day&dates=1943-02-30..1943-08-31').timeline.startEpochDay, null);
+
+// A view without timeline, selection, or a non-default background stays short.
+const plain = new URL(buildViewPermalink('https://example.test/app/', {
+  center: { lat: 1, lon: 2 },
+  zoom: 3,
+  baseLayerId: DEFAULT_BASE_LAYER_ID,
+  overlayLayerIds: [],
+  datasets: [],
+  timeline: { timelineEnabled: false, startYear: 1, endYear: 2 },
+  selection: { datasetName: 'local.csv', rowIndex: 0, lat: 1, lon: 2 },
+}));
+assert.equal(plain.search, '?view=1.00000%2C2.00000%2C3');
+const parsedPlain = parseViewPermalink(plain.search);
+assert.equal(parsedPlain.baseLayerId, DEFAULT_BASE_LAYER_ID);
+assert.deepEqual(parsedPlain.timeline, { timelineEnabled: false });
+assert.equal(parsedPlain.selection, null);
+
+// Plain example links and malformed views restore nothing beyond the examples.
+assert.equal(parseViewPermalink('?example=books.csv'), null);
+assert.equal(parseViewPermalink('?view=91,0,3'), null);
+assert.equal(parseViewPermalink('?view=1,2,3.5'), null);
+const loose = parseViewPermalink('?view=1,2,3&timeline=2000..1990&yearRange=1995..1996&days=0..400&select=x:1,2:a.csv');
+assert.deepEqual(
+  [loose.timeline.startYear, loose.timeline.endYear, loose.timeline.yearMin, loose.timeline.yearMax],
+  [1990, 2000, 1990, 2000],
+);
+assert.deepEqual([loose.timeline.startDay, loose.timeline.endDay], [1, 365]);
+assert.equal(loose.selection, null);
+
+assert.equal(getExampleDatasetName('history/events.csv'), 'events.csv');
+
+console.log('View permalink smoke test passed.');
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import {
+  detectWktField,
+  parseWktGeometry,
+  replaceWktLineString,
+  replaceWktPolygons,
+  resolveWktFeatureParts,
+} from './wktGeometry.js';
+
+assert.equal(detectWktField(['name', 'WKT']), 'WKT');
+assert.equal(detectWktField(['id', 'the_geom']), 'the_geom');
+assert.equal(detectWktField(['Geometry', 'lat', 'lon']), 'Geometry');
+assert.equal(detectWktField(['name', 'geometryType']), null);
+assert.equal(detectWktField(null), null);
+
+assert.deepEqual(parseWktGeometry('POINT (18.07 59.33)'), {
+  featureType: 'point',
+  parts: [[[59.33, 18.07]]],
+});
+assert.deepEqual(parseWktGeometry('SRID=4326;POINT Z (18 59 12)'), {
+  featureType: 'point',
+  parts: [[[59, 18]]],
+});
+assert.deepEqual(parseWktGeometry('linestring(0 0, 1 1, 2 1)'), {
+  featureType: 'line',
+  parts: [[[0, 0], [1, 1], [1, 2]]],
+});
+// Exterior rings are returned open and interior rings are dropped.
+assert.deepEqual(
+  parseWktGeometry('POLYGON ((0 0, 4 0, 4 4, 0 0), (1 1, 2 1, 2 2, 1 1))'),
+  { featureType: 'region', parts: [[[0, 0], [0, 4], [4, 4]]] },
+);
+assert.deepEqual(
+  parseWktGeometry('MULTIPOLYGON (((0 0, 1 0, 1 1, 0 0)), ((5 5, 6 5, 6 6)))'),
+  {
+    featureType: 'region',
+    parts: [
+      [[0, 0], [0, 1], [1, 1]],
+      [[5, 5], [5, 6], [6, 6]],
+    ],
+  },
+);
+
+for (const invalid of [
+  '',
+  'POINT EMPTY',
+  'POINT (1)',
+  'POINT (200 0)',
+  'LINESTRING (0 0)',
+  'POLYGON ((0 0, 1 1))',
+  'MULTILINESTRING ((0 0, 1 1))',
+  'POLYGON ((0 0, 1 0, 1 1, 0 0)',
+  'POINT (0 0) trailing',
+]) {
+  assert.equal(parseWktGeometry(invalid), null, invalid);
+}
+
+const multipolygon = parseWktGeometry('MULTIPOLYGON (((0 0, 1 0, 1 1)), ((5 5, 6 5, 6 6)))');
+assert.deepEqual(resolveWktFeatureParts({}, 4, multipolygon), {
+  featureId: 'row-5',
+  parts: ['0', '1'],
+});
+assert.deepEqual(resolveWktFeatureParts({ featureId: 'lake', part: 'north' }, 0, multipolygon), {
+  featureId: 'lake',
+  parts: ['north-0', 'north-1'],
+});
+assert.deepEqual(
+  resolveWktFeatureParts({ part: 'north' }, 0, parseWktGeometry('POLYGON ((0 0, 1 0, 1 1))')),
+  { featureId: 'row-1', parts: ['north'] },
+);
+assert.deepEqual(
+  resolveWktFeatureParts({ part: 'ignored' }, 2, parseWktGeometry('LINESTRING (0 0, 1 1)')),
+  { featureId: 'row-3', parts: [''] },
+);
+
+assert.equal(
+  replaceWktPolygons('SRID=4326;POLYGON ((0 0, 1 0, 1 1, 0 0))', [[[0, 0], [0, 2], [2, 2], [0, 0]]]),
+  'SRID=4326;POLYGON ((0 0, 2 0, 2 2, 0 0))',
+);
+assert.equal(
+  replaceWktPolygons('MULTIPOLYGON Z (((0 0 1, 1 0 1, 1 1 1)))', [
+    [[0, 0], [0, 1], [1, 1]],
+    [[5, 5], [5, 6], [6, 6], [5, 5]],
+  ]),
+  'MULTIPOLYGON (((0 0, 1 0, 1 1, 0 0)), ((5 5, 6 5, 6 6, 5 5)))',
+);
+assert.equal(
+  replaceWktLineString('SRID=4326;LINESTRING Z (1 1 0, 2 2 0)', [[1, 1], [3, 2], [2, 2]]),
+  'SRID=4326;LINESTRING (1 1, 2 3, 2 2)',
+);
+
+console.log('WKT geometry smoke checks passed.');
@@ -1,6 +1,11 @@
 const EARTH_RADIUS_METERS = 6371008.8;
 const MIN_TRANSFORM_RADIUS_METERS = 0.5;
 const MIN_SCALE_FACTOR = 0.000001;
+const MIN_LINE_VERTICES = 2;
+const MIN_REGION_VERTICES = 3;
+
+/** Class on vertex handles, whose right-click deletes the vertex instead of opening the map menu. */
+export const ZONE_VERTEX_HANDLE_CLASS = 'zone-vertex-handle';
 
 /** Calculate one local-projection centre from every non-duplicated zone vertex. */
 export function calculateZoneTransformCenter(parts) {
@@ -106,6 +111,14 @@ export function isEditableInteractionTarget(target) {
     || typeof target.closest === 'function' && !!target.closest('[contenteditable="true"]');
 }
 
+/** Map Ctrl/Cmd+Z to undo and Ctrl/Cmd+Shift+Z to redo, ignoring editable controls. */
+export function getZoneHistoryShortcut(event) {
+  if (!event || String(event.key ?? '').toLowerCase() !== 'z') return null;
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) return null;
+  if (isEditableInteractionTarget(event.target)) return null;
+  return event.shiftKey ? 'redo' : 'undo';
+}
+
 /** Accept a save response only while its drag still owns the same active selection. */
 export function shouldApplyZoneCommit({
   enabled,
@@ -114,11 +127,103 @@ export function shouldApplyZoneCommit({
   selectedZone,
   datasetId,
   featureId,
+  geometryType = 'region',
 } = {}) {
   return enabled === true
     && interactionId === latestInteractionId
     && selectedZone?.datasetId === datasetId
-    && selectedZone?.featureId === featureId;
+    && selectedZone?.featureId === featureId
+    && (selectedZone?.geometryType ?? 'region') === geometryType;
+}
+
+/** List one draggable handle per distinct vertex; a region's closing vertex is not repeated. */
+export function getZoneVertexHandles(parts, geometryType = 'region') {
+  const handles = [];
+  (Array.isArray(parts) ? parts : []).forEach((part, partIndex) => {
+    const coordinates = getEditableVertices(part, geometryType);
+    coordinates.forEach((coordinate, vertexIndex) => {
+      handles.push({ partIndex, vertexIndex, coordinate });
+    });
+  });
+  return handles;
+}
+
+/**
+ * List one insert handle per edge midpoint, including a region's closing edge.
+ * `vertexIndex` is the position the inserted vertex will take.
+ */
+export function getZoneMidpointHandles(parts, geometryType = 'region') {
+  const handles = [];
+  (Array.isArray(parts) ? parts : []).forEach((part, partIndex) => {
+    const coordinates = getEditableVertices(part, geometryType);
+    const edgeCount = geometryType === 'line' ? coordinates.length - 1 : coordinates.length;
+    for (let index = 0; index < edgeCount; index += 1) {
+      const start = coordinates[index];
+      const end = coordinates[(index + 1) % coordinates.length];
+      handles.push({
+        partIndex,
+        vertexIndex: index + 1,
+        coordinate: [(start[0] + end[0]) / 2, (start[1] + end[1]) / 2],
+      });
+    }
+  });
+  return handles;
+}
+
+/** Move one vertex, keeping a region ring closed on its first vertex. */
+export function moveZoneVertex(parts, { partIndex, vertexIndex, coordinate } = {}, geometryType = 'region') {
+  const vertex = normalizeCoordinate(coordinate);
+  if (!vertex) return null;
+  return editZoneVertices(parts, partIndex, geometryType, (vertices) => {
+    if (!Number.isInteger(vertexIndex) || vertexIndex < 0 || vertexIndex >= vertices.length) {
+      return null;
+    }
+    return vertices.map((current, index) => (index === vertexIndex ? vertex : current));
+  });
+}
+
+/** Insert one vertex before `vertexIndex`; an index past the last vertex appends to the part. */
+export function insertZoneVertex(parts, { partIndex, vertexIndex, coordinate } = {}, geometryType = 'region') {
+  const vertex = normalizeCoordinate(coordinate);
+  if (!vertex) return null;
+  return editZoneVertices(parts, partIndex, geometryType, (vertices) => {
+    if (!Number.isInteger(vertexIndex) || vertexIndex < 0 || vertexIndex > vertices.length) {
+      return null;
+    }
+    return [...vertices.slice(0, vertexIndex), vertex, ...vertices.slice(vertexIndex)];
+  });
+}
+
+/** Delete one vertex unless the line or ring would fall below its minimum vertex count. */
+export function deleteZoneVertex(parts, { partIndex, vertexIndex } = {}, geometryType = 'region') {
+  return editZoneVertices(parts, partIndex, geometryType, (vertices) => {
+    const minimum = geometryType === 'line' ? MIN_LINE_VERTICES : MIN_REGION_VERTICES;
+    if (
+      vertices.length <= minimum
+      || !Number.isInteger(vertexIndex)
+      || vertexIndex < 0
+      || vertexIndex >= vertices.length
+    ) return null;
+    return vertices.filter((_, index) => index !== vertexIndex);
+  });
+}
+
+/** Apply one distinct-vertex edit to a copied part list and close the edited ring again. */
+function editZoneVertices(parts, partIndex, geometryType, edit) {
+  if (!Array.isArray(parts) || !Number.isInteger(partIndex) || !parts[partIndex]) return null;
+  const vertices = edit(getEditableVertices(parts[partIndex], geometryType));
+  if (!vertices) return null;
+  const coordinates = geometryType === 'line' ? vertices : [...vertices, [...vertices[0]]];
+  return parts.map((part, index) => (index === partIndex ? { ...part, coordinates } : part));
+}
+
+function getEditableVertices(part, geometryType) {
+  const coordinates = (Array.isArray(part?.coordinates) ? part.coordinates : [])
+    .map(normalizeCoordinate)
+    .filter(Boolean);
+  return geometryType !== 'line' && isClosedRing(coordinates)
+    ? coordinates.slice(0, -1)
+    : coordinates;
 }
 
 /** Adapt a stored latitude/longitude tuple to the local projection input shape. */
@@ -1,8 +1,14 @@
 import assert from 'node:assert/strict';
 import {
   calculateZoneTransformCenter,
+  deleteZoneVertex,
   getZoneDragOperation,
+  getZoneHistoryShortcut,
+  getZoneMidpointHandles,
+  getZoneVertexHandles,
+  insertZoneVertex,
   isEditableInteractionTarget,
+  moveZoneVertex,
   shouldApplyZoneCommit,
   transformZoneParts,
 } from './zoneTransform.js';
@@ -19,6 +25,15 @@ assert.equal(getZoneDragOperation({ xHeld: true }), 'scale');
 assert.equal(getZoneDragOperation({ zHeld: true, xHeld: true }), null);
 assert.equal(isEditableInteractionTarget({ tagName: 'INPUT' }), true);
 assert.equal(isEditableInteractionTarget({ tagName: 'DIV' }), false);
+assert.equal(getZoneHistoryShortcut({ key: 'z', ctrlKey: true }), 'undo');
+assert.equal(getZoneHistoryShortcut({ key: 'Z', metaKey: true, shiftKey: true }), 'redo');
+assert.equal(getZoneHistoryShortcut({ key: 'z' }), null);
+assert.equal(getZoneHistoryShortcut({ key: 'z', ctrlKey: true, altKey: true }), null);
+assert.equal(getZoneHistoryShortcut({ key: 'y', ctrlKey: true }), null);
+assert.equal(
+  getZoneHistoryShortcut({ key: 'z', ctrlKey: true, target: { tagName: 'TEXTAREA' } }),
+  null,
+);
 
 const currentCommit = {
   enabled: true,
@@ -69,4 +84,52 @@ assert.equal(transformZoneParts(parts, {
   current: center,
 }), null);
 
+assert.deepEqual(
+  getZoneVertexHandles(parts).filter((handle) => handle.partIndex === 0)
+    .map((handle) => handle.coordinate),
+  [[0, 0], [0, 2], [2, 2]],
+);
+assert.deepEqual(
+  getZoneMidpointHandles(parts).filter((handle) => handle.partIndex === 0),
+  [
+    { partIndex: 0, vertexIndex: 1, coordinate: [0, 1] },
+    { partIndex: 0, vertexIndex: 2, coordinate: [1, 2] },
+    { partIndex: 0, vertexIndex: 3, coordinate: [1, 1] },
+  ],
+);
+// Moving the first vertex of a ring moves its closing vertex with it.
+assert.deepEqual(
+  moveZoneVertex(parts, { partIndex: 0, vertexIndex: 0, coordinate: [-1, -1] })[0].coordinates,
+  [[-1, -1], [0, 2], [2, 2], [-1, -1]],
+);
+const insertedRing = insertZoneVertex(parts, { partIndex: 0, vertexIndex: 3, coordinate: [1, 1] });
+assert.deepEqual(insertedRing[0].coordinates, [[0, 0], [0, 2], [2, 2], [1, 1], [0, 0]]);
+assert.equal(insertedRing[1], parts[1]);
+assert.deepEqual(
+  deleteZoneVertex(insertedRing, { partIndex: 0, vertexIndex: 0 })[0].coordinates,
+  [[0, 2], [2, 2], [1, 1], [0, 2]],
+);
+assert.equal(deleteZoneVertex(parts, { partIndex: 0, vertexIndex: 0 }), null);
+assert.equal(moveZoneVertex(parts, { partIndex: 2, vertexIndex: 0, coordinate: [0, 0] }), null);
+
+// Lines are open paths, so a line that returns to its start keeps both end vertices.
+const line = [{ part: '', coordinates: [[0, 0], [1, 1], [0, 0]] }];
+assert.equal(getZoneVertexHandles(line, 'line').length, 3);
+assert.deepEqual(
+  getZoneMidpointHandles(line, 'line').map((handle) => handle.coordinate),
+  [[0.5, 0.5], [0.5, 0.5]],
+);
+assert.deepEqual(
+  deleteZoneVertex(line, { partIndex: 0, vertexIndex: 2 }, 'line')[0].coordinates,
+  [[0, 0], [1, 1]],
+);
+assert.equal(deleteZoneVertex([{ part: '', coordinates: [[0, 0], [1, 1]] }], {
+  partIndex: 0,
+  vertexIndex: 0,
+}, 'line'), null);
+assert.equal(shouldApplyZoneCommit({
+  ...currentCommit,
+  geometryType: 'line',
+}), false);
+
 console.log('Zone adjustment smoke checks passed.');
@@ -0,0 +1,80 @@
+/**
+ * Build one WHERE clause per filter for rows of `tableName`, which must carry
+ * `dataset_id` and `source_row_index`. Each clause only constrains its own
+ * dataset and reads the stored source row through its primary key, so the
+ * filter runs in SQLite before counting, grouping, or the render budget.
+ *
+ * @param {object[]} filters Normalized attribute filters.
+ * @param {string} tableName Derived feature table being filtered.
+ * @returns {{ clauses: string[], params: Record<string, unknown> }}
+ */
+export function buildAttributeFilterClauses(filters, tableName) {
+  const clauses = [];
+  const params = {};
+  filters.forEach((filter, index) => {
+    const key = `$attribute${index}`;
+    const text = `TRIM(COALESCE(CAST(json_extract(source_rows.row_json, ${key}Path) AS TEXT), ''))`;
+    params[`${key}Dataset`] = filter.datasetId;
+    params[`${key}Path`] = toJsonPath(filter.field);
+    const conditions = [];
+    if (filter.operator === 'empty') {
+      conditions.push(`${text} = ''`);
+    } else if (filter.operator === 'equals') {
+      conditions.push(`LOWER(${text}) = LOWER(${key}Value)`);
+      params[`${key}Value`] = filter.value;
+    } else if (filter.operator === 'contains') {
+      conditions.push(`INSTR(LOWER(${text}), LOWER(${key}Value)) > 0`);
+      params[`${key}Value`] = filter.value;
+    } else {
+      const number = toNumericText(text);
+      // Non-numeric text would otherwise CAST to 0 and fall inside many ranges.
+      conditions.push(
+        `${number} GLOB '*[0-9]*'`,
+        `${number} NOT GLOB '*[^0-9.eE+-]*'`,
+      );
+      if (filter.min != null) {
+        conditions.push(`CAST(${number} AS REAL) >= ${key}Min`);
+        params[`${key}Min`] = filter.min;
+      }
+      if (filter.max != null) {
+        conditions.push(`CAST(${number} AS REAL) <= ${key}Max`);
+        params[`${key}Max`] = filter.max;
+      }
+    }
+    clauses.push(`(
+      ${tableName}.dataset_id <> ${key}Dataset
+      OR EXISTS (
+        SELECT 1
+        FROM source_rows
+        WHERE source_rows.dataset_id = ${tableName}.dataset_id
+          AND source_rows.source_row_index = ${tableName}.source_row_index
+          AND ${conditions.join(' AND ')}
+      )
+    )`);
+  });
+  return { clauses, params };
+}
+
+/**
+ * Rewrite a trimmed value as SQLite numeric text. A lone comma with no dot is
+ * a decimal comma, so "12,5" reads as 12.5, unless it sets off one group of
+ * three digits as in "12,500". Dots before a single comma group thousands as
+ * in "1.234,5"; any other comma groups thousands and is dropped.
+ */
+function toNumericText(text) {
+  const compact = `REPLACE(${text}, ' ', '')`;
+  return `(SELECT CASE
+    WHEN INSTR(value, ',') = 0 THEN value
+    WHEN LENGTH(value) - LENGTH(REPLACE(value, ',', '')) > 1
+      OR INSTR(SUBSTR(value, INSTR(value, ',')), '.') > 0 THEN REPLACE(value, ',', '')
+    WHEN INSTR(value, '.') > 0 THEN REPLACE(REPLACE(value, '.', ''), ',', '.')
+    WHEN value GLOB '*[0-9],[0-9][0-9][0-9]' AND LTRIM(value, '+-') NOT GLOB '0*'
+      THEN REPLACE(value, ',', '')
+    ELSE REPLACE(value, ',', '.')
+  END FROM (SELECT ${compact} AS value))`;
+}
+
+/** Quote the column name so dots, brackets, and quotes stay part of the key. */
+export function toJsonPath(field) {
+  return `$."${field.replaceAll('\\', '\\\\').replaceAll('"', '\\"')}"`;
+}
@@ -6,8 +6,13 @@ import {
   normalizeBackendCapabilities,
   normalizeBackendFailure,
   normalizeDatasetCsvSaveResult,
+  normalizeDatasetGeoJsonSaveResult,
   normalizeDatasetMutationResult,
   normalizeDatasetSummary,
+  normalizeDrawnFeatureResult,
+  normalizeFeatureSearchResult,
+  normalizeFieldSummaryResult,
+  normalizeGeocodingResult,
   normalizeImportBatchResult,
   normalizeImportCancellationResult,
   normalizeImportProgress,
@@ -18,7 +23,17 @@ import {
   normalizeLogicalZoneResult,
   normalizeMappingMutationResult,
   normalizePreviewPageResult,
+  normalizeProjectOpenResult,
+  normalizeProjectSaveResult,
+  normalizeSourceRowUpdateResult,
+  normalizeTimelineHistogramResult,
+  normalizeZoneEditHistory,
+  normalizeZoneEditResult,
 } from '../dataSourceNormalization.js';
+import { MAX_FEATURE_SEARCH_TEXT_LENGTH } from '../../components/featureSearch.js';
+import {
+  isBrowserSqlitePersistenceSupported,
+} from './browserSqlitePersistence.js';
 import {
   createBrowserSqliteWorkerClient,
 } from './browserSqliteWorkerClient.js';
@@ -26,9 +41,13 @@ import {
   fetchExampleBlob,
   normalizeExampleName,
 } from '../browserExampleImport.js';
+import {
+  PROJECT_FILE_NAME,
+  parseProjectFile,
+  serializeProjectFile,
+} from '../projectFile.js';
 
-const CAPABILITIES = normalizeBackendCapabilities({
-  persistence: 'temporary',
+const CAPABILITIES = Object.freeze({
   browserFileImport: true,
   nativeFilePickerImport: false,
   droppedFileImport: true,
@@ -40,6 +59,7 @@ const CAPABILITIES = normalizeBackendCapabilities({
   datasetVisibility: true,
   datasetRemoval: true,
   datasetCsvExport: true,
+  datasetGeoJsonExport: true,
   datasetMapping: true,
   previewPaging: true,
   points: true,
@@ -47,13 +67,38 @@ const CAPABILITIES = normalizeBackendCapabilities({
   regions: true,
   groupedViewportResults: true,
   zoneEditing: true,
+  zoneHistory: true,
+  featureDrawing: true,
+  rowEditing: true,
+  placeGeocoding: true,
+  attributeFilters: true,
+  featureSearch: true,
+  styleRules: true,
+  pointHeatmap: true,
+  projectFiles: true,
+  timelineHistogram: true,
 });
 
-/** Create the unselected browser SQLite data-source adapter. */
+/**
+ * Create the unselected browser SQLite data-source adapter.
+ *
+ * `options.persistence: 'persistent'` keeps the worker database in the Origin
+ * Private File System between page loads. Browsers without OPFS fall back to
+ * a temporary database. The capabilities report `temporary` until the worker
+ * confirms after initialization that its database is stored in OPFS.
+ */
 export function createBrowserSqliteDataSource(options = {}) {
+  const persistenceSupported = options.persistenceSupported
+    ?? isBrowserSqlitePersistenceSupported();
+  const persistence = options.persistence === 'persistent' && persistenceSupported
+    ? 'persistent'
+    : 'temporary';
+  let capabilities = createCapabilities(null);
   const fetchImpl = options.fetchImpl ?? globalThis.fetch;
   const baseUrl = options.baseUrl ?? import.meta.env?.BASE_URL ?? '/';
   const downloadCsv = options.downloadCsv ?? downloadBrowserCsv;
+  const downloadGeoJson = options.downloadGeoJson ?? downloadBrowserGeoJson;
+  const downloadProject = options.downloadProject ?? downloadBrowserProject;
   let workerClient = options.client ?? null;
   let clientCreationFailed = false;
   if (!workerClient) {
@@ -74,10 +119,13 @@ export function createBrowserSqliteDataSource(options = {}) {
         return normalizeInitializationResult(null);
       }
       try {
-        const result = await workerClient.initialize();
+        const result = await workerClient.initialize({ persistence });
+        // The worker may still fall back to memory, for example when OPFS
+        // cannot be opened, so only its answer decides the capability.
+        capabilities = createCapabilities(result?.databaseStorage);
         return normalizeInitializationResult({
           ok: result?.initialized === true,
-          capabilities: CAPABILITIES,
+          capabilities,
         });
       } catch {
         return normalizeInitializationResult(null);
@@ -85,7 +133,7 @@ export function createBrowserSqliteDataSource(options = {}) {
     },
 
     getCapabilities() {
-      return CAPABILITIES;
+      return capabilities;
     },
 
     importBrowserFiles(request = {}) {
@@ -268,6 +316,23 @@ export function createBrowserSqliteDataSource(options = {}) {
       }
     },
 
+    async saveDatasetAsGeoJson(datasetId) {
+      assertActive(DATA_SOURCE_METHODS.saveDatasetAsGeoJson);
+      const normalizedId = normalizeId(datasetId);
+      if (!normalizedId) return normalizeDatasetGeoJsonSaveResult(null, normalizedId);
+      try {
+        const exported = await workerClient.exportDatasetGeoJson(normalizedId);
+        downloadGeoJson(exported.geoJsonText, exported.fileName);
+        return normalizeDatasetGeoJsonSaveResult({
+          ok: true,
+          datasetId: exported.datasetId,
+          fileName: exported.fileName,
+        }, normalizedId);
+      } catch (error) {
+        return failedDatasetGeoJsonSave(normalizedId, error);
+      }
+    },
+
     async updateDatasetMapping(datasetId, mapping = {}) {
       assertActive(DATA_SOURCE_METHODS.updateDatasetMapping);
       const normalizedId = normalizeId(datasetId) ?? '';
@@ -347,6 +412,53 @@ export function createBrowserSqliteDataSource(options = {}) {
       }
     },
 
+    async searchFeatures(query = {}) {
+      assertActive(DATA_SOURCE_METHODS.searchFeatures);
+      try {
+        return normalizeFeatureSearchResult(await workerClient.searchFeatures({
+          text: typeof query.text === 'string'
+            ? query.text.slice(0, MAX_FEATURE_SEARCH_TEXT_LENGTH)
+            : '',
+          limit: query.limit,
+        }));
+      } catch (error) {
+        throw workerFailure(DATA_SOURCE_METHODS.searchFeatures, error);
+      }
+    },
+
+    async getFieldSummary(query = {}) {
+      assertActive(DATA_SOURCE_METHODS.getFieldSummary);
+      try {
+        return normalizeFieldSummaryResult(
+          await workerClient.getFieldSummary({
+            datasetId: query.datasetId,
+            field: query.field,
+          }),
+          query,
+        );
+      } catch (error) {
+        throw workerFailure(DATA_SOURCE_METHODS.getFieldSummary, error, {
+          datasetId: query.datasetId,
+        });
+      }
+    },
+
+    async getTimelineHistogram(query = {}) {
+      assertActive(DATA_SOURCE_METHODS.getTimelineHistogram);
+      try {
+        return normalizeTimelineHistogramResult(
+          await workerClient.getTimelineHistogram({
+            startYear: query.startYear,
+            endYear: query.endYear,
+            bucketYears: query.bucketYears,
+            attributeFilters: query.attributeFilters,
+          }),
+        );
+      } catch (error) {
+        throw workerFailure(DATA_SOURCE_METHODS.getTimelineHistogram, error);
+      }
+    },
+
     async getLogicalZone(query = {}) {
       assertActive(DATA_SOURCE_METHODS.getLogicalZone);
       try {
@@ -369,6 +481,218 @@ export function createBrowserSqliteDataSource(options = {}) {
       }
     },
 
+    undoZoneEdit(request = {}) {
+      return runZoneEdit(DATA_SOURCE_METHODS.undoZoneEdit, request, () => (
+        workerClient.undoZoneEdit({ datasetId: request.datasetId })
+      ));
+    },
+
+    redoZoneEdit(request = {}) {
+      return runZoneEdit(DATA_SOURCE_METHODS.redoZoneEdit, request, () => (
+        workerClient.redoZoneEdit({ datasetId: request.datasetId })
+      ));
+    },
+
+    async getZoneEditHistory(query = {}) {
+      assertActive(DATA_SOURCE_METHODS.getZoneEditHistory);
+      try {
+        return normalizeZoneEditHistory(
+          await workerClient.getZoneEditHistory({ datasetId: query.datasetId }),
+        );
+      } catch (error) {
+        throw workerFailure(DATA_SOURCE_METHODS.getZoneEditHistory, error, {
+          datasetId: query.datasetId,
+        });
+      }
+    },
+
+    revertLogicalZone(request = {}) {
+      return runZoneEdit(DATA_SOURCE_METHODS.revertLogicalZone, request, () => (
+        workerClient.revertLogicalZone({
+          datasetId: request.datasetId,
+          featureId: request.featureId,
+          geometryType: request.geometryType,
+        })
+      ));
+    },
+
+    async addDrawnFeature(request = {}) {
+      assertActive(DATA_SOURCE_METHODS.addDrawnFeature);
+      const normalizedId = normalizeId(request?.datasetId) ?? '';
+      if (!normalizedId) return normalizeDrawnFeatureResult(null, normalizedId);
+      try {
+        return normalizeDrawnFeatureResult(
+          await workerClient.addDrawnFeature({
+            datasetId: normalizedId,
+            geometryType: request.geometryType,
+            coordinates: request.coordinates,
+          }),
+          normalizedId,
+        );
+      } catch (error) {
+        return {
+          ok: false,
+          datasetId: normalizedId,
+          geometryType: null,
+          featureId: null,
+          dataset: null,
+          error: workerFailure(
+            DATA_SOURCE_METHODS.addDrawnFeature,
+            error,
+            { datasetId: normalizedId },
+          ),
+        };
+      }
+    },
+
+    async updateSourceRow(request = {}) {
+      assertActive(DATA_SOURCE_METHODS.updateSourceRow);
+      const normalizedId = normalizeId(request?.sourceRef?.datasetId) ?? '';
+      if (!normalizedId) return normalizeSourceRowUpdateResult(null, normalizedId);
+      try {
+        return normalizeSourceRowUpdateResult(
+          await workerClient.updateSourceRow({
+            sourceRef: {
+              datasetId: normalizedId,
+              rowIndex: request.sourceRef.rowIndex,
+            },
+            values: request.values,
+          }),
+          normalizedId,
+        );
+      } catch (error) {
+        return {
+          ok: false,
+          datasetId: normalizedId,
+          rowIndex: null,
+          row: null,
+          dataset: null,
+          error: workerFailure(
+            DATA_SOURCE_METHODS.updateSourceRow,
+            error,
+            { datasetId: normalizedId },
+          ),
+        };
+      }
+    },
+
+    async geocodeDataset(request = {}) {
+      assertActive(DATA_SOURCE_METHODS.geocodeDataset);
+      const normalizedId = normalizeId(request?.datasetId) ?? '';
+      if (!normalizedId) return normalizeGeocodingResult(null, normalizedId);
+      try {
+        return normalizeGeocodingResult(
+          await workerClient.geocodeDataset({
+            datasetId: normalizedId,
+            gazetteerDatasetId: request.gazetteerDatasetId,
+            placeField: request.placeField,
+            countryField: request.countryField ?? null,
+            choices: request.choices ?? [],
+          }),
+          normalizedId,
+        );
+      } catch (error) {
+        return {
+          ...normalizeGeocodingResult(null, normalizedId),
+          error: workerFailure(
+            DATA_SOURCE_METHODS.geocodeDataset,
+            error,
+            { datasetId: normalizedId },
+          ),
+        };
+      }
+    },
+
+    /** Export every dataset in the worker and download them with the view as one file. */
+    async saveProject(request = {}) {
+      assertActive(DATA_SOURCE_METHODS.saveProject);
+      try {
+        const summary = normalizeDatasetSummary(await workerClient.getDatasetSummary());
+        const datasets = [];
+        for (const dataset of summary.datasets) {
+          const exported = await workerClient.exportDatasetCsv(dataset.id);
+          datasets.push({
+            id: dataset.id,
+            name: exported.fileName,
+            enabled: dataset.enabled,
+            latField: dataset.latField,
+            lonField: dataset.lonField,
+            coordinateField: dataset.coordinateField,
+            coordinateSystem: dataset.coordinateSystem,
+            csvText: exported.csvText,
+          });
+        }
+        downloadProject(
+          serializeProjectFile({ datasets, view: request.view }),
+          PROJECT_FILE_NAME,
+        );
+        return normalizeProjectSaveResult({ ok: true, fileName: PROJECT_FILE_NAME });
+      } catch {
+        return normalizeProjectSaveResult(null);
+      }
+    },
+
+    /**
+     * Import a project file's datasets as one batch, then restore each
+     * dataset's saved coordinate mapping and visibility.
+     */
+    async openProject(request = {}) {
+      assertActive(DATA_SOURCE_METHODS.openProject);
+      let project;
+      try {
+        project = parseProjectFile(await request.file.text());
+      } catch {
+        return normalizeProjectOpenResult(null);
+      }
+
+      // Dataset lists show the newest import first, so the last dataset goes in first.
+      const imported = await runImport({
+        files: project.datasets
+          .map((dataset) => createExampleFile(
+            new Blob([dataset.csvText], { type: 'text/csv' }),
+            dataset.name,
+          ))
+          .reverse(),
+      }, DATA_SOURCE_METHODS.openProject);
+      const results = [...imported.results].reverse();
+
+      for (const [index, result] of results.entries()) {
+        const dataset = project.datasets[index];
+        if (!result.ok || !result.datasetId || !dataset) continue;
+        const detectedCoordinateField = result.detectedFields?.coordinateField ?? null;
+        const mapped = dataset.coordinateField
+          ? detectedCoordinateField === dataset.coordinateField
+          : !detectedCoordinateField &&
+            (!dataset.latField ||
+              !dataset.lonField ||
+              (result.detectedFields?.latField === dataset.latField &&
+                result.detectedFields?.lonField === dataset.lonField));
+        // Saved projected systems are reapplied over import detection; older
+        // projects without the keys keep whatever the import detected.
+        if (!mapped || dataset.coordinateSystem) {
+          await dataSource.updateDatasetMapping(result.datasetId, {
+            latField: dataset.latField,
+            lonField: dataset.lonField,
+            ...(Object.hasOwn(dataset, 'coordinateField')
+              ? { coordinateField: dataset.coordinateField }
+              : {}),
+            ...(Object.hasOwn(dataset, 'coordinateSystem')
+              ? { coordinateSystem: dataset.coordinateSystem }
+              : {}),
+          });
+        }
+        if (!dataset.enabled) {
+          await dataSource.setDatasetEnabled(result.datasetId, false);
+        }
+      }
+
+      return normalizeProjectOpenResult({
+        ...imported,
+        results,
+        view: project.view,
+      });
+    },
+
     dispose() {
       if (disposed) return;
       disposed = true;
@@ -379,12 +703,22 @@ export function createBrowserSqliteDataSource(options = {}) {
     },
   };
 
+  async function runZoneEdit(operation, request, invoke) {
+    assertActive(operation);
+    try {
+      return normalizeZoneEditResult(await invoke());
+    } catch (error) {
+      throw workerFailure(operation, error, { datasetId: request.datasetId });
+    }
+  }
+
   async function runImport(request, operation) {
     assertActive(operation);
     let importId = null;
     try {
       const task = workerClient.startImport(Array.from(request.files ?? []), {
         onProgress: reportProgress,
+        ...(Array.isArray(request.fileOptions) ? { fileOptions: request.fileOptions } : {}),
       });
       importId = task.importId;
       const result = await task.result;
@@ -431,6 +765,14 @@ export function createBrowserSqliteDataSource(options = {}) {
   return dataSource;
 }
 
+/** `databaseStorage` is the worker's INITIALIZE answer: `opfs` or `memory`. */
+function createCapabilities(databaseStorage) {
+  return normalizeBackendCapabilities({
+    ...CAPABILITIES,
+    persistence: databaseStorage === 'opfs' ? 'persistent' : 'temporary',
+  });
+}
+
 function createExampleFile(blob, name) {
   if (typeof File === 'function') {
     return new File([blob], name, {
@@ -467,12 +809,32 @@ function failedDatasetCsvSave(datasetId, error) {
   };
 }
 
+function failedDatasetGeoJsonSave(datasetId, error) {
+  const result = normalizeDatasetGeoJsonSaveResult(null, datasetId);
+  return {
+    ...result,
+    error: workerFailure(DATA_SOURCE_METHODS.saveDatasetAsGeoJson, error, { datasetId }),
+  };
+}
+
 /** Download a completed UTF-8 CSV using APIs available on GitHub Pages. */
 function downloadBrowserCsv(csvText, fileName) {
-  if (typeof csvText !== 'string' || typeof fileName !== 'string' || !fileName) {
-    throw new TypeError('A serialized CSV and filename are required.');
+  downloadBrowserText(csvText, fileName, 'text/csv;charset=utf-8');
+}
+
+function downloadBrowserProject(projectText, fileName) {
+  downloadBrowserText(projectText, fileName, 'application/json;charset=utf-8');
+}
+
+function downloadBrowserGeoJson(geoJsonText, fileName) {
+  downloadBrowserText(geoJsonText, fileName, 'application/geo+json;charset=utf-8');
+}
+
+function downloadBrowserText(text, fileName, type) {
+  if (typeof text !== 'string' || typeof fileName !== 'string' || !fileName) {
+    throw new TypeError('A serialized file and filename are required.');
   }
-  const url = URL.createObjectURL(new Blob([csvText], { type: 'text/csv;charset=utf-8' }));
+  const url = URL.createObjectURL(new Blob([text], { type }));
   const link = document.createElement('a');
   try {
     link.href = url;
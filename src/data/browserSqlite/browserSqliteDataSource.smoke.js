@@ -5,6 +5,7 @@ import {
 import {
   createBrowserSqliteDataSource,
 } from './browserSqliteDataSource.js';
+import { serializeProjectFile } from '../projectFile.js';
 
 class FakeWorkerClient {
   constructor() {
@@ -16,16 +17,17 @@ class FakeWorkerClient {
     this.importSequence = 0;
     this.disposeCount = 0;
     this.failure = null;
+    this.initializeResult = null;
   }
 
-  initialize() {
-    this.calls.push(['initialize']);
-    return this.result({ initialized: true });
+  initialize(options) {
+    this.calls.push(['initialize', options]);
+    return this.result(this.initializeResult ?? { initialized: true });
   }
 
   startImport(files, options) {
     const importId = `adapter-import-${this.importSequence += 1}`;
-    this.calls.push(['startImport', files, importId]);
+    this.calls.push(['startImport', files, importId, options.fileOptions]);
     options.onProgress({
       importId,
       state: 'unknown',
@@ -124,6 +126,15 @@ class FakeWorkerClient {
     });
   }
 
+  exportDatasetGeoJson(datasetId) {
+    this.calls.push(['exportDatasetGeoJson', datasetId]);
+    return this.result({
+      datasetId,
+      fileName: 'first.geojson',
+      geoJsonText: '{"type":"FeatureCollection","features":[]}',
+    });
+  }
+
   updateDatasetMapping(datasetId, mapping) {
     this.calls.push(['updateDatasetMapping', datasetId, mapping]);
     if (this.failure) return Promise.reject(this.failure);
@@ -207,6 +218,121 @@ class FakeWorkerClient {
     return this.result(request);
   }
 
+  undoZoneEdit(request) {
+    this.calls.push(['undoZoneEdit', request]);
+    return this.result({ changed: false, zone: null, history: null });
+  }
+
+  redoZoneEdit(request) {
+    this.calls.push(['redoZoneEdit', request]);
+    return this.result({ changed: false, zone: null, history: null });
+  }
+
+  getZoneEditHistory(query) {
+    this.calls.push(['getZoneEditHistory', query]);
+    return this.result({ ...query, canUndo: true, canRedo: false, entries: [] });
+  }
+
+  revertLogicalZone(request) {
+    this.calls.push(['revertLogicalZone', request]);
+    return this.getLogicalZone(request).then((zone) => ({
+      changed: true,
+      zone,
+      history: { datasetId: request.datasetId, canUndo: true, canRedo: false, entries: [] },
+    }));
+  }
+
+  addDrawnFeature(request) {
+    this.calls.push(['addDrawnFeature', request]);
+    return this.result({
+      ok: true,
+      datasetId: request.datasetId,
+      geometryType: request.geometryType,
+      featureId: 'drawn-1',
+      dataset: null,
+    });
+  }
+
+  updateSourceRow(request) {
+    this.calls.push(['updateSourceRow', request]);
+    return this.result({
+      ok: true,
+      datasetId: request.sourceRef.datasetId,
+      rowIndex: request.sourceRef.rowIndex,
+      row: { name: 'Edited', lat: '1', lon: '2' },
+      dataset: null,
+    });
+  }
+
+  geocodeDataset(request) {
+    this.calls.push(['geocodeDataset', request]);
+    return this.result({
+      ok: true,
+      datasetId: request.datasetId,
+      matchedCount: 2,
+      fuzzyCount: 1,
+      ambiguousCount: 1,
+      unmatchedCount: 0,
+      review: [
+        {
+          rowIndex: 4,
+          value: 'Bergen',
+          status: 'ambiguous',
+          candidates: [
+            { gazetteerRowIndex: 6, name: 'Bergen', country: 'NO', lat: 60.39, lon: 5.32 },
+            { gazetteerRowIndex: 7, name: 'Bergen', country: null, lat: 'bad', lon: 4.7 },
+          ],
+        },
+        { rowIndex: -1, value: 'Nowhere', status: 'unmatched', candidates: [] },
+      ],
+      dataset: null,
+    });
+  }
+
+  searchFeatures(query) {
+    this.calls.push(['searchFeatures', query]);
+    return this.result({
+      results: [{
+        datasetId: 'dataset-1',
+        datasetName: 'places.csv',
+        sourceRef: { datasetId: 'dataset-1', rowIndex: 3 },
+        geometryType: 'line',
+        featureId: 'canal',
+        name: 'Canal',
+        startYear: 1832,
+        endYear: 1832,
+        lat: 58.25,
+        lon: 13.5,
+        bounds: { north: 58.5, south: 58, east: 15, west: 12 },
+      }, { geometryType: 'point', lat: 1, lon: 2 }],
+      hasMore: false,
+    });
+  }
+
+  getTimelineHistogram(query) {
+    this.calls.push(['getTimelineHistogram', query]);
+    return this.result({
+      startYear: query.startYear,
+      endYear: query.endYear,
+      bucketYears: query.bucketYears,
+      buckets: [{ startYear: 1900, endYear: 1909, counts: [{ datasetId: 'dataset-1', count: 4 }] }],
+    });
+  }
+
+  getFieldSummary(query) {
+    this.calls.push(['getFieldSummary', query]);
+    return this.result({
+      ...query,
+      rowCount: 2,
+      valueCount: 2,
+      numericCount: 2,
+      min: 1,
+      max: 5,
+      categories: [{ value: '1', count: 1 }, { value: '5', count: 1 }],
+      categoryCount: 2,
+    });
+  }
+
   dispose() {
     this.disposeCount += 1;
   }
@@ -221,6 +347,7 @@ const downloads = [];
 const dataSource = createBrowserSqliteDataSource({
   client,
   downloadCsv: (csvText, fileName) => downloads.push({ csvText, fileName }),
+  downloadGeoJson: (geoJsonText, fileName) => downloads.push({ geoJsonText, fileName }),
   baseUrl: '/',
   fetchImpl: async (url) => ({
     ok: url === '/examples/present-day/books.csv',
@@ -246,7 +373,15 @@ assert.equal(initialized.capabilities.lines, true);
 assert.equal(initialized.capabilities.regions, true);
 assert.equal(initialized.capabilities.groupedViewportResults, true);
 assert.equal(initialized.capabilities.zoneEditing, true);
+assert.equal(initialized.capabilities.zoneHistory, true);
+assert.equal(initialized.capabilities.featureDrawing, true);
+assert.equal(initialized.capabilities.rowEditing, true);
+assert.equal(initialized.capabilities.placeGeocoding, true);
+assert.equal(initialized.capabilities.attributeFilters, true);
 assert.equal(initialized.capabilities.datasetCsvExport, true);
+assert.equal(initialized.capabilities.featureSearch, true);
+assert.equal(initialized.capabilities.styleRules, true);
+assert.equal(initialized.capabilities.pointHeatmap, true);
 assert.deepEqual(dataSource.getCapabilities(), initialized.capabilities);
 
 const observedProgress = [];
@@ -272,6 +407,14 @@ const dropped = await dataSource.importDroppedFiles({
 });
 assert.equal(dropped.ok, true);
 assert.equal(client.calls.at(-1)[0], 'startImport');
+assert.equal(client.calls.at(-1)[3], undefined);
+
+// A chosen workbook sheet travels with its file.
+await dataSource.importBrowserFiles({
+  files: [{ name: 'places.xlsx' }],
+  fileOptions: [{ sheetName: 'Places' }],
+});
+assert.deepEqual(client.calls.at(-1)[3], [{ sheetName: 'Places' }]);
 const picker = dataSource.importFromPicker();
 assert.equal(picker.ok, false);
 assert.equal(picker.error.category, 'backend-unavailable');
@@ -311,12 +454,21 @@ assert.equal(saved.ok, true);
 assert.equal(saved.fileName, 'first.csv');
 assert.deepEqual(downloads, [{ csvText: 'name\nFirst', fileName: 'first.csv' }]);
 assert.deepEqual(client.calls.at(-1), ['exportDatasetCsv', 'dataset-1']);
+assert.equal(initialized.capabilities.datasetGeoJsonExport, true);
+const savedGeoJson = await dataSource.saveDatasetAsGeoJson(' dataset-1 ');
+assert.equal(savedGeoJson.ok, true);
+assert.equal(savedGeoJson.fileName, 'first.geojson');
+assert.deepEqual(downloads.at(-1), {
+  geoJsonText: '{"type":"FeatureCollection","features":[]}',
+  fileName: 'first.geojson',
+});
+assert.deepEqual(client.calls.at(-1), ['exportDatasetGeoJson', 'dataset-1']);
 const mapped = await dataSource.updateDatasetMapping('dataset-2', {
   latField: 'lat',
   lonField: 'lon',
 });
 assert.equal(mapped.ok, true);
-assert.deepEqual(mapped.mapping, { latField: 'lat', lonField: 'lon' });
+assert.deepEqual(mapped.mapping, { latField: 'lat', lonField: 'lon', coordinateField: null, coordinateSystem: null });
 
 const preview = await dataSource.getPreviewPage({
   datasetId: 'dataset-2',
@@ -358,7 +510,113 @@ const logicalZone = await dataSource.getLogicalZone({
 });
 assert.equal(logicalZone.parts.length, 1);
 assert.deepEqual(await dataSource.updateLogicalZone(logicalZone), logicalZone);
+assert.equal((await dataSource.undoZoneEdit({ datasetId: 'dataset-1' })).changed, false);
+assert.equal((await dataSource.redoZoneEdit({ datasetId: 'dataset-1' })).zone, null);
+assert.equal((await dataSource.getZoneEditHistory({ datasetId: 'dataset-1' })).canUndo, true);
+const revertedZone = await dataSource.revertLogicalZone({
+  datasetId: 'dataset-1',
+  featureId: 'zone',
+  geometryType: 'region',
+  ignored: true,
+});
+assert.deepEqual(revertedZone.zone, logicalZone);
+assert.deepEqual(client.calls.find(([name]) => name === 'revertLogicalZone'), [
+  'revertLogicalZone',
+  { datasetId: 'dataset-1', featureId: 'zone', geometryType: 'region' },
+]);
 assert.deepEqual(groupRows.rows, [{ name: 'One', count: '2' }]);
+const drawnFeature = await dataSource.addDrawnFeature({
+  datasetId: ' dataset-1 ',
+  geometryType: 'line',
+  coordinates: [[1, 1], [2, 2]],
+  featureId: 'ignored',
+});
+assert.deepEqual(
+  [drawnFeature.ok, drawnFeature.datasetId, drawnFeature.featureId],
+  [true, 'dataset-1', 'drawn-1'],
+);
+assert.deepEqual(client.calls.find(([name]) => name === 'addDrawnFeature'), [
+  'addDrawnFeature',
+  { datasetId: 'dataset-1', geometryType: 'line', coordinates: [[1, 1], [2, 2]] },
+]);
+
+const editedRow = await dataSource.updateSourceRow({
+  sourceRef: { datasetId: ' dataset-1 ', rowIndex: 3, extra: true },
+  values: { name: 'Edited' },
+});
+assert.deepEqual(
+  [editedRow.ok, editedRow.datasetId, editedRow.rowIndex, editedRow.row],
+  [true, 'dataset-1', 3, { name: 'Edited', lat: '1', lon: '2' }],
+);
+assert.deepEqual(client.calls.find(([name]) => name === 'updateSourceRow'), [
+  'updateSourceRow',
+  { sourceRef: { datasetId: 'dataset-1', rowIndex: 3 }, values: { name: 'Edited' } },
+]);
+const unidentifiedRow = await dataSource.updateSourceRow({ values: { name: 'x' } });
+assert.equal(unidentifiedRow.ok, false);
+assert.equal(unidentifiedRow.error.operation, 'updateSourceRow');
+
+const geocoded = await dataSource.geocodeDataset({
+  datasetId: ' dataset-1 ',
+  gazetteerDatasetId: 'places',
+  placeField: 'Socken',
+});
+assert.deepEqual(
+  [geocoded.ok, geocoded.datasetId, geocoded.matchedCount, geocoded.fuzzyCount, geocoded.ambiguousCount],
+  [true, 'dataset-1', 2, 1, 1],
+);
+// Review rows and candidates without usable indices or positions are dropped.
+assert.deepEqual(geocoded.review, [{
+  rowIndex: 4,
+  value: 'Bergen',
+  status: 'ambiguous',
+  candidates: [{ gazetteerRowIndex: 6, name: 'Bergen', country: 'NO', lat: 60.39, lon: 5.32 }],
+}]);
+assert.deepEqual(client.calls.find(([name]) => name === 'geocodeDataset'), [
+  'geocodeDataset',
+  {
+    datasetId: 'dataset-1',
+    gazetteerDatasetId: 'places',
+    placeField: 'Socken',
+    countryField: null,
+    choices: [],
+  },
+]);
+const unidentifiedGeocoding = await dataSource.geocodeDataset({ placeField: 'Socken' });
+assert.equal(unidentifiedGeocoding.ok, false);
+assert.equal(unidentifiedGeocoding.error.operation, 'geocodeDataset');
+
+const search = await dataSource.searchFeatures({ text: 'canal', limit: 5 });
+assert.deepEqual(client.calls.find(([name]) => name === 'searchFeatures'), [
+  'searchFeatures',
+  { text: 'canal', limit: 5 },
+]);
+assert.deepEqual(search.results.map(({ featureId, bounds }) => [featureId, bounds.north]), [
+  ['canal', 58.5],
+]);
+const fieldSummary = await dataSource.getFieldSummary({
+  datasetId: 'dataset-1',
+  field: 'population',
+  sql: 'ignored',
+});
+assert.deepEqual(client.calls.find(([name]) => name === 'getFieldSummary'), [
+  'getFieldSummary',
+  { datasetId: 'dataset-1', field: 'population' },
+]);
+assert.deepEqual([fieldSummary.min, fieldSummary.max, fieldSummary.categoryCount], [1, 5, 2]);
+const histogram = await dataSource.getTimelineHistogram({
+  startYear: 1900,
+  endYear: 1919,
+  bucketYears: 10,
+  sql: 'ignored',
+});
+assert.deepEqual(client.calls.find(([name]) => name === 'getTimelineHistogram'), [
+  'getTimelineHistogram',
+  { startYear: 1900, endYear: 1919, bucketYears: 10, attributeFilters: undefined },
+]);
+assert.deepEqual(histogram.buckets, [
+  { startYear: 1900, endYear: 1909, counts: [{ datasetId: 'dataset-1', count: 4 }] },
+]);
 
 client.failure = { code: 'invalid-mapping', message: 'private detail' };
 const invalidMapping = await dataSource.updateDatasetMapping('dataset-1', {
@@ -368,6 +626,14 @@ const invalidMapping = await dataSource.updateDatasetMapping('dataset-1', {
 assert.equal(invalidMapping.ok, false);
 assert.equal(invalidMapping.error.category, 'invalid-mapping');
 assert.equal(JSON.stringify(invalidMapping).includes('private detail'), false);
+const unmappedDrawing = await dataSource.addDrawnFeature({
+  datasetId: 'dataset-1',
+  geometryType: 'point',
+  coordinates: [[1, 1]],
+});
+assert.equal(unmappedDrawing.ok, false);
+assert.equal(unmappedDrawing.error.category, 'invalid-mapping');
+assert.equal(unmappedDrawing.error.operation, 'addDrawnFeature');
 
 client.failure = { code: 'worker-unavailable', message: 'worker stack' };
 const unavailableImport = await dataSource.importBrowserFiles({
@@ -482,6 +748,115 @@ selectionSummary = await selectionDataSource.getDatasetSummary();
 assert.equal(selectionSummary.selectedDatasetId, 'mixed-success');
 selectionDataSource.dispose();
 
+// Persistence is reported only after the worker says its database is in OPFS.
+const persistentClient = new FakeWorkerClient();
+persistentClient.initializeResult = { initialized: true, databaseStorage: 'opfs', restored: true };
+const persistentDataSource = createBrowserSqliteDataSource({
+  client: persistentClient,
+  persistence: 'persistent',
+  persistenceSupported: true,
+});
+assert.equal(persistentDataSource.getCapabilities().persistence, 'temporary');
+assert.equal((await persistentDataSource.initialize()).capabilities.persistence, 'persistent');
+assert.equal(persistentDataSource.getCapabilities().persistence, 'persistent');
+assert.deepEqual(persistentClient.calls[0], ['initialize', { persistence: 'persistent' }]);
+persistentDataSource.dispose();
+
+// A worker that falls back to memory keeps the capability temporary.
+const memoryClient = new FakeWorkerClient();
+memoryClient.initializeResult = { initialized: true, databaseStorage: 'memory', restored: false };
+const memoryDataSource = createBrowserSqliteDataSource({
+  client: memoryClient,
+  persistence: 'persistent',
+  persistenceSupported: true,
+});
+assert.equal((await memoryDataSource.initialize()).capabilities.persistence, 'temporary');
+assert.equal(memoryDataSource.getCapabilities().persistence, 'temporary');
+assert.deepEqual(memoryClient.calls[0], ['initialize', { persistence: 'persistent' }]);
+memoryDataSource.dispose();
+
+// Without OPFS the opt-in falls back to a temporary database.
+const unsupportedClient = new FakeWorkerClient();
+const unsupportedDataSource = createBrowserSqliteDataSource({
+  client: unsupportedClient,
+  persistence: 'persistent',
+  persistenceSupported: false,
+});
+assert.equal(unsupportedDataSource.getCapabilities().persistence, 'temporary');
+await unsupportedDataSource.initialize();
+assert.deepEqual(unsupportedClient.calls[0], ['initialize', { persistence: 'temporary' }]);
+unsupportedDataSource.dispose();
+
+// Projects bundle every dataset's export and reopen with mapping and visibility.
+const projectClient = new FakeWorkerClient();
+projectClient.datasets[1].enabled = false;
+const projectDownloads = [];
+const projectDataSource = createBrowserSqliteDataSource({
+  client: projectClient,
+  downloadProject: (text, fileName) => projectDownloads.push({ text, fileName }),
+});
+assert.equal(projectDataSource.getCapabilities().projectFiles, true);
+const savedProject = await projectDataSource.saveProject({
+  view: { pointDisplayModes: { 'dataset-2': 'heatmap' } },
+});
+assert.deepEqual(savedProject, {
+  ok: true,
+  canceled: false,
+  fileName: 'map-project.json',
+  error: null,
+});
+const projectJson = JSON.parse(projectDownloads[0].text);
+assert.deepEqual(
+  projectJson.datasets.map(({ enabled, latField, csv }) => [enabled, latField, csv]),
+  [[true, 'lat', 'name\nFirst'], [false, 'lat', 'name\nFirst']],
+);
+assert.deepEqual(projectJson.view.pointDisplayModes, [{ dataset: 1, mode: 'heatmap' }]);
+
+const projectText = serializeProjectFile({
+  datasets: [{
+    id: 'saved',
+    name: 'places.csv',
+    csvText: 'name,north,east\nHome,59,18',
+    enabled: false,
+    latField: 'north',
+    lonField: 'east',
+  }],
+  view: { styleRules: [{ datasetId: 'saved', field: 'name', kind: 'category', ramp: 'blues' }] },
+});
+const openedProject = await projectDataSource.openProject({
+  file: { text: async () => projectText },
+});
+assert.equal(openedProject.ok, true);
+assert.equal(openedProject.results[0].datasetId, 'imported-dataset');
+assert.deepEqual(openedProject.view.styleRules, [
+  { dataset: 0, field: 'name', kind: 'category', ramp: 'blues' },
+]);
+const projectImport = projectClient.calls.find(([name]) => name === 'startImport');
+assert.equal(projectImport[1][0].name, 'places.csv');
+assert.equal(await projectImport[1][0].text(), 'name,north,east\nHome,59,18');
+assert.deepEqual(
+  projectClient.calls.filter(([name]) => (
+    name === 'updateDatasetMapping' || name === 'setDatasetEnabled'
+  )),
+  [
+    ['updateDatasetMapping', 'imported-dataset', {
+      latField: 'north',
+      lonField: 'east',
+      coordinateField: null,
+      coordinateSystem: null,
+    }],
+    ['setDatasetEnabled', 'imported-dataset', false],
+  ],
+);
+
+const rejectedProject = await projectDataSource.openProject({
+  file: { text: async () => '{"format":"other"}' },
+});
+assert.equal(rejectedProject.ok, false);
+assert.equal(rejectedProject.view, null);
+assert.equal(rejectedProject.error.operation, 'openProject');
+projectDataSource.dispose();
+
 console.log('Browser SQLite data-source adapter contract smoke test passed.');
 
 function dataset(id, name) {
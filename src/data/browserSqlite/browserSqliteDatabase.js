@@ -1,10 +1,193 @@
+import { getTimelinePeriodExtent } from '../../components/timelineDates.js';
+
 /**
- * Schema version for the temporary browser SQLite database.
+ * Schema version for the browser SQLite database.
  *
- * The version describes databases created during the current page session. It
- * does not imply that database bytes are persisted or migrated across sessions.
+ * Fresh databases are created at this version. Persisted snapshots restored
+ * from an older version are upgraded through `SCHEMA_MIGRATIONS` first.
+ */
+export const BROWSER_SQLITE_SCHEMA_VERSION = 7;
+
+/**
+ * Per-dataset zone edit history. `before_json` and `after_json` hold complete
+ * `{ part, coordinates }` lists so undo and redo never re-derive geometry, and
+ * `undone` marks the redo stack above the current position.
+ */
+const ZONE_EDITS_SCHEMA = `
+  CREATE TABLE zone_edits (
+    dataset_id TEXT NOT NULL,
+    edit_index INTEGER NOT NULL
+      CHECK (edit_index >= 0),
+    feature_id TEXT NOT NULL
+      CHECK (length(trim(feature_id)) > 0),
+    kind TEXT NOT NULL
+      CHECK (kind IN ('adjust', 'revert')),
+    before_json TEXT NOT NULL
+      CHECK (json_valid(before_json)),
+    after_json TEXT NOT NULL
+      CHECK (json_valid(after_json)),
+    undone INTEGER NOT NULL DEFAULT 0
+      CHECK (undone IN (0, 1)),
+    edited_at TEXT NOT NULL,
+    PRIMARY KEY (dataset_id, edit_index),
+    FOREIGN KEY (dataset_id)
+      REFERENCES datasets(id)
+      ON DELETE CASCADE
+  ) WITHOUT ROWID;
+`;
+
+/** Version 5 lets zone edits target lines as well as regions. */
+const ZONE_EDITS_GEOMETRY_TYPE_COLUMN = `
+  ALTER TABLE zone_edits
+  ADD COLUMN geometry_type TEXT NOT NULL DEFAULT 'region'
+    CHECK (geometry_type IN ('line', 'region'));
+`;
+
+/** A row's values as one search document; unreadable stored JSON indexes as empty. */
+function rowSearchContent(rowJson) {
+  return `(SELECT group_concat(value, ' ') FROM json_each(
+    CASE WHEN json_valid(${rowJson}) THEN ${rowJson} ELSE '{}' END
+  ))`;
+}
+
+/**
+ * Full-text search over source row values. FTS4 needs integer document IDs,
+ * which `WITHOUT ROWID` source rows lack, so `search_rows` assigns one per row
+ * in insertion order. Triggers keep the index in step with imports, edits,
+ * drawn features, and removals; `unicode61` folds case and diacritics.
+ */
+const FEATURE_SEARCH_SCHEMA = `
+  CREATE TABLE search_rows (
+    search_id INTEGER PRIMARY KEY,
+    dataset_id TEXT NOT NULL,
+    source_row_index INTEGER NOT NULL,
+    UNIQUE (dataset_id, source_row_index)
+  );
+
+  CREATE VIRTUAL TABLE search_text USING fts4(content, tokenize=unicode61);
+
+  CREATE TRIGGER source_rows_search_insert
+  AFTER INSERT ON source_rows
+  BEGIN
+    INSERT INTO search_rows (dataset_id, source_row_index)
+    VALUES (NEW.dataset_id, NEW.source_row_index);
+    INSERT INTO search_text (docid, content)
+    VALUES (
+      last_insert_rowid(),
+      ${rowSearchContent('NEW.row_json')}
+    );
+  END;
+
+  CREATE TRIGGER source_rows_search_update
+  AFTER UPDATE OF row_json ON source_rows
+  BEGIN
+    UPDATE search_text
+    SET content = ${rowSearchContent('NEW.row_json')}
+    WHERE docid = (
+      SELECT search_id
+      FROM search_rows
+      WHERE dataset_id = NEW.dataset_id
+        AND source_row_index = NEW.source_row_index
+    );
+  END;
+
+  CREATE TRIGGER source_rows_search_delete
+  AFTER DELETE ON source_rows
+  BEGIN
+    DELETE FROM search_text
+    WHERE docid = (
+      SELECT search_id
+      FROM search_rows
+      WHERE dataset_id = OLD.dataset_id
+        AND source_row_index = OLD.source_row_index
+    );
+    DELETE FROM search_rows
+    WHERE dataset_id = OLD.dataset_id
+      AND source_row_index = OLD.source_row_index;
+  END;
+`;
+
+/** Version 6 indexes rows that were stored before search existed. */
+const FEATURE_SEARCH_BACKFILL = `
+  INSERT INTO search_rows (dataset_id, source_row_index)
+  SELECT dataset_id, source_row_index
+  FROM source_rows
+  ORDER BY dataset_id, source_row_index;
+
+  INSERT INTO search_text (docid, content)
+  SELECT
+    search_rows.search_id,
+    ${rowSearchContent('source_rows.row_json')}
+  FROM search_rows
+  INNER JOIN source_rows
+    ON source_rows.dataset_id = search_rows.dataset_id
+    AND source_rows.source_row_index = search_rows.source_row_index;
+`;
+
+/**
+ * Version 7 stores timeline extents as epoch days so the timeline can filter
+ * by month and day; the year columns stay for year summaries. Day columns
+ * replace the year columns in the timeline indexes.
+ */
+const TIMELINE_DAY_COLUMNS = `
+  ALTER TABLE point_features ADD COLUMN timeline_start_day INTEGER;
+  ALTER TABLE point_features ADD COLUMN timeline_end_day INTEGER;
+  ALTER TABLE geometry_features ADD COLUMN timeline_start_day INTEGER;
+  ALTER TABLE geometry_features ADD COLUMN timeline_end_day INTEGER;
+
+  DROP INDEX IF EXISTS idx_point_features_dataset_timeline;
+  DROP INDEX IF EXISTS idx_geometry_features_dataset_timeline;
+
+  CREATE INDEX idx_point_features_dataset_timeline_days
+    ON point_features(
+      dataset_id,
+      timeline_start_day,
+      timeline_end_day
+    );
+
+  CREATE INDEX idx_geometry_features_dataset_timeline_days
+    ON geometry_features(
+      dataset_id,
+      timeline_start_day,
+      timeline_end_day
+    );
+`;
+
+/**
+ * Rows stored before version 7 only know their years, so they cover every
+ * day of them until the dataset is imported again.
  */
-export const BROWSER_SQLITE_SCHEMA_VERSION = 3;
+const TIMELINE_DAY_BACKFILL = ['point_features', 'geometry_features'].map((table) => `
+  UPDATE ${table}
+  SET timeline_start_day = timeline_year_start_day(timeline_start_year),
+    timeline_end_day = timeline_year_end_day(timeline_end_year)
+  WHERE timeline_start_year IS NOT NULL AND timeline_end_year IS NOT NULL;
+`).join('');
+
+function migrateTimelineDays(database) {
+  requireDatabaseMethod(database, 'create_function');
+  database.create_function(
+    'timeline_year_start_day',
+    (year) => getTimelinePeriodExtent(year, 'year').startDay,
+  );
+  database.create_function(
+    'timeline_year_end_day',
+    (year) => getTimelinePeriodExtent(year, 'year').endDay,
+  );
+  database.run(`${TIMELINE_DAY_COLUMNS}${TIMELINE_DAY_BACKFILL}`);
+}
+
+/**
+ * Upgrades keyed by the stored version they start from. Each migration runs
+ * inside the restore transaction and must leave the database at `key + 1`.
+ * Version 3 is the first persisted schema.
+ */
+const SCHEMA_MIGRATIONS = Object.freeze({
+  3: (database) => database.run(ZONE_EDITS_SCHEMA),
+  4: (database) => database.run(ZONE_EDITS_GEOMETRY_TYPE_COLUMN),
+  5: (database) => database.run(`${FEATURE_SEARCH_SCHEMA}${FEATURE_SEARCH_BACKFILL}`),
+  6: migrateTimelineDays,
+});
 
 const closedDatabases = new WeakSet();
 
@@ -33,6 +216,96 @@ export function createBrowserSqliteDatabase(SQL) {
   }
 }
 
+/**
+ * Open a persisted database snapshot and bring it to the current schema.
+ *
+ * Imports interrupted before their snapshot was written are discarded, as a
+ * fresh session could never resume them. Snapshots from a newer build, or from
+ * a version without a migration path, are rejected so the caller can start a
+ * fresh database instead of guessing.
+ *
+ * @param {{ Database: new (bytes?: Uint8Array) => object }} SQL Initialized sql.js module.
+ * @param {Uint8Array} bytes Serialized SQLite database.
+ * @returns {object} Restored in-memory sql.js database.
+ */
+export function openBrowserSqliteDatabase(SQL, bytes) {
+  if (!SQL || typeof SQL.Database !== 'function') {
+    throw new TypeError('An initialized sql.js module is required.');
+  }
+  if (!(bytes instanceof Uint8Array) || bytes.length === 0) {
+    throw new TypeError('Serialized database bytes are required.');
+  }
+
+  const database = new SQL.Database(bytes);
+
+  try {
+    database.run('PRAGMA foreign_keys = ON');
+    migrateBrowserSqliteSchema(database);
+    database.run("DELETE FROM datasets WHERE import_state = 'importing'");
+    return database;
+  } catch (error) {
+    database.close();
+    throw error;
+  }
+}
+
+/**
+ * Upgrade a restored database to `BROWSER_SQLITE_SCHEMA_VERSION` in one transaction.
+ *
+ * @param {{ run: Function, exec: Function }} database Restored sql.js database.
+ * @returns {number} Stored version before migration.
+ */
+export function migrateBrowserSqliteSchema(database) {
+  const storedVersion = getBrowserSqliteSchemaVersion(database);
+  if (storedVersion === BROWSER_SQLITE_SCHEMA_VERSION) return storedVersion;
+  if (storedVersion < 1 || storedVersion > BROWSER_SQLITE_SCHEMA_VERSION) {
+    throw new BrowserSqliteDatabaseError(
+      'unsupported-schema-version',
+      'The stored database version is not supported.',
+    );
+  }
+
+  database.run('BEGIN TRANSACTION');
+  try {
+    for (let version = storedVersion; version < BROWSER_SQLITE_SCHEMA_VERSION; version += 1) {
+      const migrate = SCHEMA_MIGRATIONS[version];
+      if (typeof migrate !== 'function') {
+        throw new BrowserSqliteDatabaseError(
+          'unsupported-schema-version',
+          'The stored database version is not supported.',
+        );
+      }
+      migrate(database);
+      database.run(`PRAGMA user_version = ${version + 1}`);
+    }
+    database.run('COMMIT');
+  } catch (error) {
+    try {
+      database.run('ROLLBACK');
+    } catch {
+      // Preserve the migration failure if SQLite already rolled back.
+    }
+    throw error;
+  }
+  return storedVersion;
+}
+
+/**
+ * Serialize a database for persistence without losing its connection settings.
+ *
+ * sql.js reopens the connection while exporting, which resets per-connection
+ * pragmas, so foreign keys are enabled again before the bytes are returned.
+ *
+ * @param {{ export: () => Uint8Array, run: Function }} database sql.js database.
+ * @returns {Uint8Array} Serialized SQLite database.
+ */
+export function exportBrowserSqliteDatabase(database) {
+  requireDatabaseMethod(database, 'export');
+  const bytes = database.export();
+  database.run('PRAGMA foreign_keys = ON');
+  return bytes;
+}
+
 /**
  * Initialize the current browser schema on a fresh in-memory database.
  *
@@ -212,13 +485,6 @@ export function initializeBrowserSqliteSchema(database) {
       CREATE INDEX idx_point_features_dataset_lat_lon
         ON point_features(dataset_id, lat, lon);
 
-      CREATE INDEX idx_point_features_dataset_timeline
-        ON point_features(
-          dataset_id,
-          timeline_start_year,
-          timeline_end_year
-        );
-
       CREATE INDEX idx_geometry_features_dataset_bounds
         ON geometry_features(
           dataset_id,
@@ -229,14 +495,12 @@ export function initializeBrowserSqliteSchema(database) {
           max_lon
         );
 
-      CREATE INDEX idx_geometry_features_dataset_timeline
-        ON geometry_features(
-          dataset_id,
-          timeline_start_year,
-          timeline_end_year
-        );
+      ${ZONE_EDITS_SCHEMA}
+      ${ZONE_EDITS_GEOMETRY_TYPE_COLUMN}
+      ${FEATURE_SEARCH_SCHEMA}
+      ${TIMELINE_DAY_COLUMNS}
 
-      PRAGMA user_version = 3;
+      PRAGMA user_version = ${BROWSER_SQLITE_SCHEMA_VERSION};
     `);
     database.run('COMMIT');
   } catch (error) {
@@ -264,7 +528,7 @@ export function getBrowserSqliteSchemaVersion(database) {
 }
 
 /**
- * Close a temporary browser database once.
+ * Close a browser database once.
  *
  * Repeated calls are harmless, which keeps worker disposal idempotent.
  *
@@ -284,3 +548,11 @@ function requireDatabaseMethod(database, method) {
     throw new TypeError(`A sql.js database with ${method}() is required.`);
   }
 }
+
+export class BrowserSqliteDatabaseError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'BrowserSqliteDatabaseError';
+    this.code = code;
+  }
+}
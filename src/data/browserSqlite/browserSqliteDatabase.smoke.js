@@ -4,7 +4,9 @@ import {
   BROWSER_SQLITE_SCHEMA_VERSION,
   closeBrowserSqliteDatabase,
   createBrowserSqliteDatabase,
+  exportBrowserSqliteDatabase,
   getBrowserSqliteSchemaVersion,
+  openBrowserSqliteDatabase,
 } from './browserSqliteDatabase.js';
 
 const SQL = await initSqlJs();
@@ -26,7 +28,20 @@ try {
     FROM sqlite_schema
     WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
     ORDER BY name
-  `), ['datasets', 'geometry_features', 'point_features', 'source_rows']);
+  `), [
+    'datasets',
+    'geometry_features',
+    'point_features',
+    'search_rows',
+    'search_text',
+    'search_text_content',
+    'search_text_docsize',
+    'search_text_segdir',
+    'search_text_segments',
+    'search_text_stat',
+    'source_rows',
+    'zone_edits',
+  ]);
   assert.deepEqual(
     readColumn(database, 'PRAGMA table_info(datasets)', 'name'),
     [
@@ -69,6 +84,8 @@ try {
       'timeline_start_year',
       'timeline_end_year',
       'compact_json',
+      'timeline_start_day',
+      'timeline_end_day',
     ],
   );
   assert.deepEqual(
@@ -90,6 +107,8 @@ try {
       'coordinates_json',
       'style_json',
       'arrow_mode',
+      'timeline_start_day',
+      'timeline_end_day',
     ],
   );
   assert.deepEqual(
@@ -111,11 +130,206 @@ try {
     0,
   );
   closeBrowserSqliteDatabase(restartedDatabase);
+
+  const snapshotSource = createBrowserSqliteDatabase(SQL);
+  snapshotSource.run(`
+    INSERT INTO datasets (id, file_name, import_state, imported_at)
+    VALUES ('kept', 'kept.csv', 'complete', '2026-07-26T16:00:00.000Z'),
+      ('interrupted', 'interrupted.csv', 'importing', NULL)
+  `);
+  snapshotSource.run(`
+    INSERT INTO source_rows (dataset_id, source_row_index, row_json)
+    VALUES ('interrupted', 0, '{}')
+  `);
+  const snapshot = exportBrowserSqliteDatabase(snapshotSource);
+  assert.equal(
+    readScalar(snapshotSource, 'PRAGMA foreign_keys'),
+    1,
+    'Exporting must not disable foreign keys on the live connection.',
+  );
+  closeBrowserSqliteDatabase(snapshotSource);
+
+  const restoredDatabase = openBrowserSqliteDatabase(SQL, snapshot);
+  assert.equal(readScalar(restoredDatabase, 'PRAGMA foreign_keys'), 1);
+  assert.deepEqual(readColumn(restoredDatabase, 'SELECT id FROM datasets'), ['kept']);
+  assert.equal(readScalar(restoredDatabase, 'SELECT COUNT(*) FROM source_rows'), 0);
+  assert.equal(readScalar(restoredDatabase, 'SELECT COUNT(*) FROM search_rows'), 0);
+  closeBrowserSqliteDatabase(restoredDatabase);
+
+  // Search triggers follow source rows through inserts, edits, and cascades.
+  const searchable = createBrowserSqliteDatabase(SQL);
+  searchable.run(`
+    INSERT INTO datasets (id, file_name, import_state, imported_at)
+    VALUES ('search', 'search.csv', 'complete', '2026-01-01T00:00:00.000Z');
+    INSERT INTO source_rows (dataset_id, source_row_index, row_json)
+    VALUES ('search', 0, '{"name":"Göteborg harbour","kind":"port"}'),
+      ('search', 1, '{"name":"Uppsala","kind":"town"}');
+  `);
+  assert.deepEqual(readSearchMatches(searchable, 'gote*'), [0]);
+  assert.deepEqual(readSearchMatches(searchable, 'port* harb*'), [0]);
+  searchable.run(`
+    UPDATE source_rows SET row_json = '{"name":"Uppsala","kind":"port"}'
+    WHERE dataset_id = 'search' AND source_row_index = 1
+  `);
+  assert.deepEqual(readSearchMatches(searchable, 'port*'), [0, 1]);
+  assert.deepEqual(readSearchMatches(searchable, 'town*'), []);
+  searchable.run("DELETE FROM datasets WHERE id = 'search'");
+  assert.equal(readScalar(searchable, 'SELECT COUNT(*) FROM search_rows'), 0);
+  assert.deepEqual(readSearchMatches(searchable, 'port*'), []);
+  closeBrowserSqliteDatabase(searchable);
+
+  // Version 3 snapshots predate zone edit history and gain its table on restore.
+  const versionThree = createBrowserSqliteDatabase(SQL);
+  dropTimelineDaySchema(versionThree);
+  dropFeatureSearchSchema(versionThree);
+  versionThree.run('DROP TABLE zone_edits; PRAGMA user_version = 3;');
+  const versionThreeSnapshot = versionThree.export();
+  versionThree.close();
+  const migratedDatabase = openBrowserSqliteDatabase(SQL, versionThreeSnapshot);
+  assert.equal(
+    getBrowserSqliteSchemaVersion(migratedDatabase),
+    BROWSER_SQLITE_SCHEMA_VERSION,
+  );
+  assert.equal(readScalar(migratedDatabase, 'SELECT COUNT(*) FROM zone_edits'), 0);
+  closeBrowserSqliteDatabase(migratedDatabase);
+
+  // Version 4 zone edits all targeted regions, which the new column defaults to.
+  const versionFour = createBrowserSqliteDatabase(SQL);
+  dropTimelineDaySchema(versionFour);
+  dropFeatureSearchSchema(versionFour);
+  versionFour.run(`
+    ALTER TABLE zone_edits DROP COLUMN geometry_type;
+    INSERT INTO datasets (id, file_name, import_state, imported_at)
+    VALUES ('edited', 'edited.csv', 'complete', '2026-01-01T00:00:00.000Z');
+    INSERT INTO zone_edits (
+      dataset_id, edit_index, feature_id, kind, before_json, after_json, edited_at
+    ) VALUES ('edited', 0, 'zone', 'adjust', '[]', '[]', '2026-01-01T00:00:00.000Z');
+    PRAGMA user_version = 4;
+  `);
+  const versionFourSnapshot = versionFour.export();
+  versionFour.close();
+  const versionFourMigrated = openBrowserSqliteDatabase(SQL, versionFourSnapshot);
+  assert.equal(readScalar(versionFourMigrated, 'SELECT geometry_type FROM zone_edits'), 'region');
+  closeBrowserSqliteDatabase(versionFourMigrated);
+
+  // Version 5 snapshots have rows but no search index; migration builds it.
+  const versionFive = createBrowserSqliteDatabase(SQL);
+  dropTimelineDaySchema(versionFive);
+  dropFeatureSearchSchema(versionFive);
+  versionFive.run(`
+    INSERT INTO datasets (id, file_name, import_state, imported_at)
+    VALUES ('stored', 'stored.csv', 'complete', '2026-01-01T00:00:00.000Z');
+    INSERT INTO source_rows (dataset_id, source_row_index, row_json)
+    VALUES ('stored', 0, '{"name":"Old mill"}'), ('stored', 1, '{"name":"New mill"}');
+    PRAGMA user_version = 5;
+  `);
+  const versionFiveSnapshot = versionFive.export();
+  versionFive.close();
+  const versionFiveMigrated = openBrowserSqliteDatabase(SQL, versionFiveSnapshot);
+  assert.deepEqual(readSearchMatches(versionFiveMigrated, 'mill*'), [0, 1]);
+  versionFiveMigrated.run(`
+    INSERT INTO source_rows (dataset_id, source_row_index, row_json)
+    VALUES ('stored', 2, '{"name":"Drawn mill"}')
+  `);
+  assert.deepEqual(readSearchMatches(versionFiveMigrated, 'mill*'), [0, 1, 2]);
+  closeBrowserSqliteDatabase(versionFiveMigrated);
+
+  // Version 6 rows only have years, which migration spreads over every day of them.
+  const versionSix = createBrowserSqliteDatabase(SQL);
+  dropTimelineDaySchema(versionSix);
+  versionSix.run(`
+    INSERT INTO datasets (id, file_name, import_state, imported_at)
+    VALUES ('dated', 'dated.csv', 'complete', '2026-01-01T00:00:00.000Z');
+    INSERT INTO source_rows (dataset_id, source_row_index, row_json)
+    VALUES ('dated', 0, '{}'), ('dated', 1, '{}');
+    INSERT INTO point_features (
+      dataset_id, source_row_index, lat, lon, timeline_start_year, timeline_end_year
+    ) VALUES ('dated', 0, 1, 2, 1969, 1970), ('dated', 1, 1, 2, NULL, NULL);
+    PRAGMA user_version = 6;
+  `);
+  const versionSixSnapshot = versionSix.export();
+  versionSix.close();
+  const versionSixMigrated = openBrowserSqliteDatabase(SQL, versionSixSnapshot);
+  assert.deepEqual(
+    readColumn(versionSixMigrated, `
+      SELECT timeline_start_day || '..' || timeline_end_day AS days
+      FROM point_features
+      ORDER BY source_row_index
+    `, 'days'),
+    ['-365..364', null],
+  );
+  assert.deepEqual(
+    readColumn(versionSixMigrated, 'PRAGMA index_list(point_features)', 'name')
+      .filter((name) => name.includes('timeline')),
+    ['idx_point_features_dataset_timeline_days'],
+  );
+  closeBrowserSqliteDatabase(versionSixMigrated);
+
+  for (const version of [0, 2, BROWSER_SQLITE_SCHEMA_VERSION + 1]) {
+    const versioned = createBrowserSqliteDatabase(SQL);
+    versioned.run(`PRAGMA user_version = ${version}`);
+    const versionedSnapshot = versioned.export();
+    versioned.close();
+    assert.throws(
+      () => openBrowserSqliteDatabase(SQL, versionedSnapshot),
+      { name: 'BrowserSqliteDatabaseError', code: 'unsupported-schema-version' },
+    );
+  }
+  assert.throws(
+    () => openBrowserSqliteDatabase(SQL, new Uint8Array()),
+    TypeError,
+  );
+  assert.equal(persistenceAccessCount, 0);
 } finally {
   restorePersistenceGuards();
 }
 
-console.log('Browser SQLite schema initialization smoke test passed.');
+console.log('Browser SQLite schema initialization and snapshot smoke test passed.');
+
+/** Reduce a fresh database to the year-only timeline schema of older snapshots. */
+function dropTimelineDaySchema(database) {
+  database.run(`
+    DROP INDEX idx_point_features_dataset_timeline_days;
+    DROP INDEX idx_geometry_features_dataset_timeline_days;
+    ALTER TABLE point_features DROP COLUMN timeline_start_day;
+    ALTER TABLE point_features DROP COLUMN timeline_end_day;
+    ALTER TABLE geometry_features DROP COLUMN timeline_start_day;
+    ALTER TABLE geometry_features DROP COLUMN timeline_end_day;
+    CREATE INDEX idx_point_features_dataset_timeline
+      ON point_features(dataset_id, timeline_start_year, timeline_end_year);
+    CREATE INDEX idx_geometry_features_dataset_timeline
+      ON geometry_features(dataset_id, timeline_start_year, timeline_end_year);
+  `);
+}
+
+/** Reduce a fresh database to the pre-search schema of older snapshots. */
+function dropFeatureSearchSchema(database) {
+  database.run(`
+    DROP TRIGGER source_rows_search_insert;
+    DROP TRIGGER source_rows_search_update;
+    DROP TRIGGER source_rows_search_delete;
+    DROP TABLE search_text;
+    DROP TABLE search_rows;
+  `);
+}
+
+function readSearchMatches(database, match) {
+  const statement = database.prepare(`
+    SELECT search_rows.source_row_index
+    FROM search_text
+    INNER JOIN search_rows ON search_rows.search_id = search_text.docid
+    WHERE search_text MATCH ?
+    ORDER BY search_rows.source_row_index
+  `);
+  try {
+    statement.bind([match]);
+    const indexes = [];
+    while (statement.step()) indexes.push(statement.get()[0]);
+    return indexes;
+  } finally {
+    statement.free();
+  }
+}
 
 function readScalar(database, sql) {
   return database.exec(sql)?.[0]?.values?.[0]?.[0] ?? null;
@@ -1,4 +1,7 @@
 import Papa from 'papaparse';
+import { detectWktField } from '../../components/wktGeometry.js';
+
+const GEOJSON_LAYOUT_HEADERS = ['featureType', 'featureId', 'part', 'order'];
 
 /** Reconstruct one complete browser dataset from committed source rows. */
 export function exportBrowserSqliteDatasetCsv(database, datasetId) {
@@ -34,6 +37,125 @@ export function exportBrowserSqliteDatasetCsv(database, datasetId) {
   };
 }
 
+/**
+ * Build a GeoJSON FeatureCollection from one dataset's derived SQLite features.
+ *
+ * Points come from `point_features`; lines and regions come from
+ * `geometry_features`, whose coordinates already include committed zone
+ * adjustments. Properties are copied from each feature's detail row without the
+ * vertex-layout and coordinate columns, and features keep source-row order.
+ */
+export function exportBrowserSqliteDatasetGeoJson(database, datasetId) {
+  requireDatabase(database);
+  const normalizedId = normalizeRequiredString(datasetId);
+  const dataset = readOne(database, `
+    SELECT file_name, columns_json, coordinate_mapping_json
+    FROM datasets
+    WHERE id = ? AND import_state = 'complete'
+  `, [normalizedId]);
+
+  if (!dataset) throw datasetExportError('dataset-not-found');
+
+  const headers = parseHeaders(dataset.columns_json);
+  const propertyHeaders = getGeoJsonPropertyHeaders(
+    headers,
+    parseCoordinateMapping(dataset.coordinate_mapping_json),
+  );
+  const entries = [];
+
+  for (const stored of readAll(database, `
+    SELECT point.source_row_index, point.lat, point.lon, source.row_json
+    FROM point_features AS point
+    JOIN source_rows AS source
+      ON source.dataset_id = point.dataset_id
+      AND source.source_row_index = point.source_row_index
+    WHERE point.dataset_id = ?
+    ORDER BY point.source_row_index
+  `, [normalizedId])) {
+    const row = parseStoredRow(stored.row_json);
+    entries.push({
+      sourceRowIndex: Number(stored.source_row_index),
+      feature: createGeoJsonFeature(
+        normalizeFeatureId(row.featureId),
+        { type: 'Point', coordinates: [Number(stored.lon), Number(stored.lat)] },
+        pickProperties(row, propertyHeaders),
+      ),
+    });
+  }
+
+  const regions = new Map();
+  for (const stored of readAll(database, `
+    SELECT
+      geometry.geometry_type,
+      geometry.feature_id,
+      geometry.source_row_index,
+      geometry.coordinates_json,
+      geometry.style_json,
+      geometry.arrow_mode,
+      source.row_json
+    FROM geometry_features AS geometry
+    JOIN source_rows AS source
+      ON source.dataset_id = geometry.dataset_id
+      AND source.source_row_index = geometry.source_row_index
+    WHERE geometry.dataset_id = ?
+    ORDER BY geometry.feature_order_index, geometry.part_order_index, geometry.part
+  `, [normalizedId])) {
+    const sourceRowIndex = Number(stored.source_row_index);
+    const coordinates = parseStoredCoordinates(stored.coordinates_json);
+    if (stored.geometry_type === 'line') {
+      entries.push({
+        sourceRowIndex,
+        feature: createGeoJsonFeature(
+          stored.feature_id,
+          { type: 'LineString', coordinates },
+          {
+            ...pickProperties(parseStoredRow(stored.row_json), propertyHeaders),
+            ...parseStoredStyle(stored.style_json),
+            arrow: stored.arrow_mode ?? 'none',
+          },
+        ),
+      });
+      continue;
+    }
+
+    // Every part of one logical region becomes one (Multi)Polygon feature so
+    // zone adjustments, which always move complete zones, stay together.
+    const region = regions.get(stored.feature_id);
+    if (region) {
+      region.polygons.push([coordinates]);
+      region.sourceRowIndex = Math.min(region.sourceRowIndex, sourceRowIndex);
+      continue;
+    }
+    const entry = {
+      sourceRowIndex,
+      polygons: [[coordinates]],
+      featureId: stored.feature_id,
+      properties: {
+        ...pickProperties(parseStoredRow(stored.row_json), propertyHeaders),
+        ...parseStoredStyle(stored.style_json),
+      },
+    };
+    regions.set(stored.feature_id, entry);
+    entries.push(entry);
+  }
+
+  const features = entries
+    .sort((left, right) => left.sourceRowIndex - right.sourceRowIndex)
+    .map((entry) => entry.feature ?? createGeoJsonFeature(
+      entry.featureId,
+      entry.polygons.length === 1
+        ? { type: 'Polygon', coordinates: entry.polygons[0] }
+        : { type: 'MultiPolygon', coordinates: entry.polygons },
+      entry.properties,
+    ));
+
+  return {
+    datasetId: normalizedId,
+    fileName: ensureGeoJsonExtension(dataset.file_name),
+    geoJsonText: JSON.stringify({ type: 'FeatureCollection', features }),
+  };
+}
+
 /** Read one metadata row without exposing a live statement. */
 function readOne(database, sql, parameters) {
   return readAll(database, sql, parameters, 1)[0] ?? null;
@@ -80,10 +202,84 @@ function parseStoredRow(value) {
   throw datasetExportError('operation-failed');
 }
 
+/** Source headers exported as properties rather than encoded in geometry. */
+function getGeoJsonPropertyHeaders(headers, mapping) {
+  const excluded = new Set([
+    ...GEOJSON_LAYOUT_HEADERS,
+    mapping.latField,
+    mapping.lonField,
+    mapping.coordinateField,
+    detectWktField(headers),
+  ]);
+  return headers.filter((header) => !excluded.has(header));
+}
+
+/** Parse the active coordinate mapping so remapped columns are excluded. */
+function parseCoordinateMapping(value) {
+  try {
+    const parsed = JSON.parse(String(value ?? ''));
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+  } catch {
+    // A missing mapping only means no coordinate columns are excluded.
+  }
+  return {};
+}
+
+function pickProperties(row, propertyHeaders) {
+  const properties = {};
+  for (const header of propertyHeaders) properties[header] = row[header] ?? '';
+  return properties;
+}
+
+/** Convert stored [lat, lon] pairs to GeoJSON [lon, lat] positions. */
+function parseStoredCoordinates(value) {
+  try {
+    const parsed = JSON.parse(String(value ?? ''));
+    if (Array.isArray(parsed)) {
+      return parsed.map(([lat, lon]) => [Number(lon), Number(lat)]);
+    }
+  } catch {
+    // Invalid stored geometry is reported as one safe export failure below.
+  }
+  throw datasetExportError('operation-failed');
+}
+
+function parseStoredStyle(value) {
+  try {
+    const parsed = JSON.parse(String(value ?? ''));
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+  } catch {
+    // Styles are optional; derived defaults are re-applied on import.
+  }
+  return {};
+}
+
+function createGeoJsonFeature(featureId, geometry, properties) {
+  return {
+    type: 'Feature',
+    ...(featureId ? { id: featureId } : {}),
+    geometry,
+    properties,
+  };
+}
+
+function normalizeFeatureId(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/** Keep the imported display name while ensuring a usable GeoJSON download name. */
+function ensureGeoJsonExtension(value) {
+  const fileName = normalizeRequiredString(value);
+  if (/\.geojson$/i.test(fileName)) return fileName;
+  return `${fileName.replace(/\.(csv|json)$/i, '')}.geojson`;
+}
+
 /** Keep the imported display name while ensuring a usable CSV download name. */
 function ensureCsvExtension(value) {
   const fileName = normalizeRequiredString(value);
-  return /\.csv$/i.test(fileName) ? fileName : `${fileName}.csv`;
+  if (/\.csv$/i.test(fileName)) return fileName;
+  // GeoJSON and workbook imports export as CSV rows, so replace rather than append.
+  return `${fileName.replace(/\.(geojson|json|xlsx|ods)$/i, '')}.csv`;
 }
 
 /** Normalize dataset metadata and reject empty identifiers or filenames. */
@@ -101,5 +297,5 @@ function requireDatabase(database) {
 
 /** Create a worker-safe error code without attaching SQLite details. */
 function datasetExportError(code) {
-  return Object.assign(new Error('The selected CSV dataset could not be exported.'), { code });
+  return Object.assign(new Error('The selected dataset could not be exported.'), { code });
 }
@@ -5,7 +5,10 @@ import {
   closeBrowserSqliteDatabase,
   createBrowserSqliteDatabase,
 } from './browserSqliteDatabase.js';
-import { exportBrowserSqliteDatasetCsv } from './browserSqliteDatasetExport.js';
+import {
+  exportBrowserSqliteDatasetCsv,
+  exportBrowserSqliteDatasetGeoJson,
+} from './browserSqliteDatasetExport.js';
 
 const SQL = await initSqlJs();
 const database = createBrowserSqliteDatabase(SQL);
@@ -60,6 +63,10 @@ try {
     () => exportBrowserSqliteDatasetCsv(database, 'missing'),
     (error) => error?.code === 'dataset-not-found',
   );
+  assert.throws(
+    () => exportBrowserSqliteDatasetGeoJson(database, 'missing'),
+    (error) => error?.code === 'dataset-not-found',
+  );
 } finally {
   closeBrowserSqliteDatabase(database);
 }
@@ -1,3 +1,25 @@
+import {
+  getCoordinateTransform,
+  normalizeCoordinateSystem,
+} from '../../components/coordinateSystems.js';
+import {
+  formatCoordinateText,
+  hasMappedCoordinates,
+  readMappedCoordinates,
+} from '../../components/coordinateText.js';
+import {
+  buildDrawnFeatureRows,
+  createDrawnFeatureId,
+  normalizeDrawnCoordinates,
+} from '../../components/drawnFeatures.js';
+import { detectFeatureTypeField } from '../../components/featureTypes.js';
+import { isValidLat, isValidLon } from '../../components/geoColumns.js';
+import {
+  createGazetteer,
+  detectGazetteerFields,
+  matchPlaceName,
+} from '../../components/placeGeocoding.js';
+import { detectWktField, parseWktGeometry } from '../../components/wktGeometry.js';
 import {
   getBrowserSqliteDatasetSummary,
 } from './browserSqliteDatasetQueries.js';
@@ -8,6 +30,9 @@ import {
   rebuildBrowserSqliteGeometryFeatures,
 } from './browserSqliteGeometryDerivation.js';
 
+const GEOCODING_REVIEW_LIMIT = 200;
+const GEOCODING_CANDIDATE_LIMIT = 5;
+
 /**
  * Enable or disable one completely imported dataset.
  *
@@ -55,16 +80,19 @@ export function setBrowserSqliteDatasetEnabled(
 /**
  * Store the current latitude and longitude mapping for one dataset.
  *
- * Omitted fields retain their current value. Explicit null or blank values
- * clear one side of the mapping. Non-null fields must match normalized stored
+ * Omitted fields and an omitted coordinate system retain their current value. Explicit null or blank values
+ * clear one side of the mapping. A single coordinate column, when set, locates
+ * rows instead of the latitude and longitude columns. Non-null fields must match normalized stored
  * headers. Points, lines, and regions rebuild inside the same transaction as
  * the metadata update, so callers never observe mixed mappings. Any failure
  * rolls the affected dataset back to its previous working mapping and features;
- * detected coordinate and timeline metadata remains unchanged.
+ * detected coordinate and timeline metadata remains unchanged. A successful
+ * change clears the dataset's zone edit history.
  *
  * @param {{ prepare: (sql: string) => object, run: Function }} database sql.js database.
  * @param {string} datasetId Stable dataset identifier.
- * @param {{ latField?: string|null, lonField?: string|null }} mapping Mapping update.
+ * @param {{ latField?: string|null, lonField?: string|null, coordinateField?: string|null, coordinateSystem?: string|null }} mapping
+ *   Mapping update.
  * @returns {object} Backend-neutral mapping mutation input.
  */
 export function updateBrowserSqliteDatasetMapping(
@@ -89,9 +117,16 @@ export function updateBrowserSqliteDatasetMapping(
   const lonField = Object.hasOwn(mapping, 'lonField')
     ? normalizeMappingField(mapping.lonField, 'longitude')
     : normalizeStoredMappingField(current.lonField);
+  const coordinateField = Object.hasOwn(mapping, 'coordinateField')
+    ? normalizeMappingField(mapping.coordinateField, 'coordinate')
+    : normalizeStoredMappingField(current.coordinateField);
+  const coordinateSystem = Object.hasOwn(mapping, 'coordinateSystem')
+    ? normalizeMappingCoordinateSystem(mapping.coordinateSystem)
+    : normalizeCoordinateSystem(current.coordinateSystem) ?? null;
 
   requireKnownHeader(headers, latField, 'latitude');
   requireKnownHeader(headers, lonField, 'longitude');
+  requireKnownHeader(headers, coordinateField, 'coordinate');
 
   database.run('BEGIN TRANSACTION');
   try {
@@ -99,9 +134,11 @@ export function updateBrowserSqliteDatasetMapping(
       UPDATE datasets
       SET coordinate_mapping_json = ?
       WHERE id = ? AND import_state = 'complete'
-    `, [JSON.stringify({ latField, lonField }), normalizedId]);
+    `, [JSON.stringify({ latField, lonField, coordinateField, coordinateSystem }), normalizedId]);
     rebuildBrowserSqlitePointFeatures(database, normalizedId);
     rebuildBrowserSqliteGeometryFeatures(database, normalizedId);
+    // Recorded zone coordinates belong to the previous mapping's fields.
+    database.run('DELETE FROM zone_edits WHERE dataset_id = ?', [normalizedId]);
     database.run('COMMIT');
   } catch (error) {
     safeRollback(database);
@@ -116,13 +153,471 @@ export function updateBrowserSqliteDatasetMapping(
   return {
     ok: true,
     datasetId: normalizedId,
-    mapping: { latField, lonField },
+    mapping: { latField, lonField, coordinateField, coordinateSystem },
     detectedFields: dataset.detectedFields,
     dataset,
     error: null,
   };
 }
 
+/**
+ * Append one feature drawn on the map to a dataset as new source rows.
+ *
+ * Rows follow the dataset's own columns: one row per vertex tagged with
+ * `featureType`, `featureId` and `order` when coordinate columns are
+ * mapped, otherwise one WKT row. Missing tag columns are appended to the
+ * header. Points, lines, and regions rebuild in the same transaction, so the
+ * new feature filters and exports like imported rows.
+ *
+ * @param {{ prepare: (sql: string) => object, run: Function }} database sql.js database.
+ * @param {string} datasetId Stable dataset identifier.
+ * @param {{ geometryType: string, coordinates: Array<[number, number]> }} feature
+ *   Drawn geometry as [lat, lon] vertices.
+ * @returns {object} Backend-neutral drawn-feature mutation input.
+ */
+export function addBrowserSqliteDrawnFeature(database, datasetId, feature) {
+  const normalizedId = normalizeRequiredDatasetId(datasetId);
+  const geometryType = isRecord(feature) ? feature.geometryType : null;
+  const coordinates = normalizeDrawnCoordinates(geometryType, feature?.coordinates);
+  if (!coordinates) {
+    throw new BrowserSqliteMutationError(
+      'invalid-dataset-mutation',
+      'A drawn feature needs a geometry type and enough valid vertices.',
+    );
+  }
+
+  const stored = requireCompleteDataset(database, normalizedId);
+  const headers = parseJsonStringList(stored.columns_json);
+  const mapping = parseJsonObject(stored.coordinate_mapping_json);
+  const featureId = geometryType === 'point'
+    ? null
+    : createDrawnFeatureId(readGeometryFeatureIds(database, normalizedId));
+  const drawn = buildDrawnFeatureRows({
+    headers,
+    latField: normalizeStoredMappingField(mapping.latField),
+    lonField: normalizeStoredMappingField(mapping.lonField),
+    coordinateField: normalizeStoredMappingField(mapping.coordinateField),
+    coordinateSystem: mapping.coordinateSystem,
+    wktField: detectWktField(headers),
+    featureTypeField: detectFeatureTypeField(headers),
+    geometryType,
+    coordinates,
+    featureId,
+  });
+  if (!drawn) {
+    throw new BrowserSqliteMutationError(
+      'invalid-mapping',
+      'Map latitude and longitude columns before drawing into this dataset.',
+    );
+  }
+
+  database.run('BEGIN TRANSACTION');
+  try {
+    const firstIndex = Number(readOne(database, `
+      SELECT COALESCE(MAX(source_row_index) + 1, 0) AS next_index
+      FROM source_rows
+      WHERE dataset_id = ?
+    `, [normalizedId]).next_index);
+    drawn.rows.forEach((row, index) => {
+      database.run(`
+        INSERT INTO source_rows (dataset_id, source_row_index, row_json)
+        VALUES (?, ?, ?)
+      `, [normalizedId, firstIndex + index, JSON.stringify(row)]);
+    });
+    database.run(`
+      UPDATE datasets
+      SET stored_row_count = stored_row_count + ?,
+          total_parsed_row_count = total_parsed_row_count + ?,
+          columns_json = ?
+      WHERE id = ? AND import_state = 'complete'
+    `, [drawn.rows.length, drawn.rows.length, JSON.stringify(drawn.headers), normalizedId]);
+    rebuildBrowserSqlitePointFeatures(database, normalizedId);
+    rebuildBrowserSqliteGeometryFeatures(database, normalizedId);
+    database.run('COMMIT');
+  } catch (error) {
+    safeRollback(database);
+    if (error instanceof BrowserSqliteMutationError) throw error;
+    throw new BrowserSqliteMutationError(
+      'operation-failed',
+      'The drawn feature could not be stored.',
+    );
+  }
+
+  return {
+    ok: true,
+    datasetId: normalizedId,
+    geometryType,
+    featureId,
+    dataset: getSummaryItem(database, normalizedId),
+    error: null,
+  };
+}
+
+/**
+ * Replace attribute values in one stored source row.
+ *
+ * Only existing columns may change. Mapped coordinate columns and the WKT
+ * column are rejected because locations are adjusted on the map. Points,
+ * lines, and regions rebuild in the same transaction, so timeline extents,
+ * markers, and styles follow the edited values.
+ *
+ * @param {{ prepare: (sql: string) => object, run: Function }} database sql.js database.
+ * @param {{ datasetId: string, rowIndex: number }} sourceRef Stored row identity.
+ * @param {Record<string, string>} values Replacement values keyed by column.
+ * @returns {object} Backend-neutral source-row mutation input.
+ */
+export function updateBrowserSqliteSourceRow(database, sourceRef, values) {
+  const normalizedId = normalizeRequiredDatasetId(sourceRef?.datasetId);
+  const rowIndex = Number(sourceRef?.rowIndex);
+  if (!Number.isSafeInteger(rowIndex) || rowIndex < 0) {
+    throw new BrowserSqliteMutationError(
+      'invalid-dataset-mutation',
+      'A source-row index is required.',
+    );
+  }
+  if (!isRecord(values) || Object.keys(values).length === 0) {
+    throw new BrowserSqliteMutationError(
+      'invalid-dataset-mutation',
+      'At least one edited value is required.',
+    );
+  }
+
+  const stored = requireCompleteDataset(database, normalizedId);
+  const headers = new Set(parseJsonStringList(stored.columns_json));
+  const mapping = parseJsonObject(stored.coordinate_mapping_json);
+  const coordinateFields = new Set([
+    normalizeStoredMappingField(mapping.latField),
+    normalizeStoredMappingField(mapping.lonField),
+    normalizeStoredMappingField(mapping.coordinateField),
+    detectWktField([...headers]),
+  ].filter(Boolean));
+  for (const [field, value] of Object.entries(values)) {
+    if (!headers.has(field) || typeof value !== 'string') {
+      throw new BrowserSqliteMutationError(
+        'invalid-dataset-mutation',
+        'Edited values must be strings for existing dataset columns.',
+      );
+    }
+    if (coordinateFields.has(field)) {
+      throw new BrowserSqliteMutationError(
+        'invalid-dataset-mutation',
+        'Coordinate columns are adjusted on the map instead.',
+      );
+    }
+  }
+
+  const storedRow = readOne(database, `
+    SELECT row_json
+    FROM source_rows
+    WHERE dataset_id = ? AND source_row_index = ?
+  `, [normalizedId, rowIndex]);
+  if (!storedRow) {
+    throw new BrowserSqliteMutationError(
+      'dataset-not-found',
+      'The requested source row is unavailable.',
+    );
+  }
+  const row = { ...parseJsonObject(storedRow.row_json), ...values };
+
+  database.run('BEGIN TRANSACTION');
+  try {
+    database.run(`
+      UPDATE source_rows
+      SET row_json = ?
+      WHERE dataset_id = ? AND source_row_index = ?
+    `, [JSON.stringify(row), normalizedId, rowIndex]);
+    rebuildBrowserSqlitePointFeatures(database, normalizedId);
+    rebuildBrowserSqliteGeometryFeatures(database, normalizedId);
+    database.run('COMMIT');
+  } catch (error) {
+    safeRollback(database);
+    if (error instanceof BrowserSqliteMutationError) throw error;
+    throw new BrowserSqliteMutationError(
+      'operation-failed',
+      'The edited row could not be stored.',
+    );
+  }
+
+  return {
+    ok: true,
+    datasetId: normalizedId,
+    rowIndex,
+    row,
+    dataset: getSummaryItem(database, normalizedId),
+    error: null,
+  };
+}
+
+/**
+ * Fill missing coordinates of one dataset from a place-name column and a
+ * gazetteer dataset.
+ *
+ * Only rows that neither the coordinate mapping nor a WKT value locates are
+ * looked up. Matched places are written into the mapped coordinate columns in
+ * the dataset's own coordinate system; a dataset without them gets new `lat`
+ * and `lon` columns that become its mapping. Ambiguous and unmatched names
+ * come back as a bounded review list instead, and `choices` settle reviewed
+ * rows with one gazetteer row each on a later run. Points, lines, and regions
+ * rebuild in the same transaction, and any change clears the dataset's zone
+ * edit history.
+ *
+ * @param {{ prepare: (sql: string) => object, run: Function }} database sql.js database.
+ * @param {string} datasetId Dataset to locate.
+ * @param {{ placeField: string, gazetteerDatasetId: string, countryField?: string|null, choices?: Array<{ rowIndex: number, gazetteerRowIndex: number }> }} request
+ *   Geocoding request.
+ * @returns {object} Backend-neutral geocoding mutation input.
+ */
+export function geocodeBrowserSqliteDataset(database, datasetId, request) {
+  const normalizedId = normalizeRequiredDatasetId(datasetId);
+  if (!isRecord(request)) {
+    throw new BrowserSqliteMutationError(
+      'invalid-dataset-mutation',
+      'A geocoding request is required.',
+    );
+  }
+  const gazetteerId = normalizeRequiredDatasetId(request.gazetteerDatasetId);
+  if (gazetteerId === normalizedId) {
+    throw new BrowserSqliteMutationError(
+      'invalid-dataset-mutation',
+      'A dataset cannot be its own gazetteer.',
+    );
+  }
+
+  const stored = requireCompleteDataset(database, normalizedId);
+  const headerList = parseJsonStringList(stored.columns_json);
+  const headers = new Set(headerList);
+  const placeField = normalizeMappingField(request.placeField, 'place-name');
+  const countryField = normalizeMappingField(request.countryField, 'country');
+  if (!placeField) {
+    throw new BrowserSqliteMutationError(
+      'invalid-mapping',
+      'A place-name column is required.',
+    );
+  }
+  requireKnownHeader(headers, placeField, 'place-name');
+  requireKnownHeader(headers, countryField, 'country');
+
+  const mapping = parseJsonObject(stored.coordinate_mapping_json);
+  const columns = {
+    latField: normalizeStoredMappingField(mapping.latField),
+    lonField: normalizeStoredMappingField(mapping.lonField),
+    coordinateField: normalizeStoredMappingField(mapping.coordinateField),
+  };
+  const coordinateSystem = normalizeMappingCoordinateSystem(mapping.coordinateSystem);
+  const addsColumns = !hasMappedCoordinates(columns);
+  const target = addsColumns
+    ? {
+        latField: createUniqueHeader(headerList, 'lat'),
+        lonField: createUniqueHeader(headerList, 'lon'),
+        coordinateField: null,
+      }
+    : columns;
+  // New columns hold WGS 84 degrees whatever an unused mapping named.
+  const transform = getCoordinateTransform(addsColumns ? null : coordinateSystem);
+  const wktField = detectWktField(headerList);
+  const gazetteer = readGazetteer(database, gazetteerId);
+  const choices = normalizeGeocodingChoices(request.choices, gazetteer);
+
+  const matches = new Map();
+  const updates = [];
+  const review = [];
+  const counts = { matchedCount: 0, fuzzyCount: 0, ambiguousCount: 0, unmatchedCount: 0 };
+  for (const { rowIndex, row } of readSourceRows(database, normalizedId)) {
+    const wktGeometry = wktField ? parseWktGeometry(row[wktField]) : null;
+    const [mappedLat, mappedLon] = transform.toWgs84(...readMappedCoordinates(row, columns));
+    if (wktGeometry || (isValidLat(mappedLat) && isValidLon(mappedLon))) continue;
+
+    let place = choices.get(rowIndex);
+    let fuzzy = false;
+    if (!place) {
+      const value = row[placeField];
+      const country = countryField ? row[countryField] : null;
+      const key = JSON.stringify([value ?? null, country ?? null]);
+      if (!matches.has(key)) matches.set(key, matchPlaceName(gazetteer, value, country));
+      const match = matches.get(key);
+      if (!match) continue;
+      if (match.status !== 'matched') {
+        counts[match.status === 'ambiguous' ? 'ambiguousCount' : 'unmatchedCount'] += 1;
+        if (review.length < GEOCODING_REVIEW_LIMIT) {
+          review.push({
+            rowIndex,
+            value: String(value).trim(),
+            status: match.status,
+            candidates: match.candidates.slice(0, GEOCODING_CANDIDATE_LIMIT).map((candidate) => ({
+              gazetteerRowIndex: candidate.rowIndex,
+              name: candidate.name,
+              country: candidate.country,
+              lat: candidate.lat,
+              lon: candidate.lon,
+            })),
+          });
+        }
+        continue;
+      }
+      [place] = match.candidates;
+      fuzzy = match.fuzzy;
+    }
+
+    const [latValue, lonValue] = transform.fromWgs84(place.lat, place.lon);
+    if (target.coordinateField) {
+      row[target.coordinateField] = formatCoordinateText(row[target.coordinateField], latValue, lonValue);
+    } else {
+      row[target.latField] = String(latValue);
+      row[target.lonField] = String(lonValue);
+    }
+    updates.push({ rowIndex, row });
+    counts.matchedCount += 1;
+    if (fuzzy) counts.fuzzyCount += 1;
+  }
+
+  if (updates.length > 0) {
+    database.run('BEGIN TRANSACTION');
+    try {
+      for (const { rowIndex, row } of updates) {
+        database.run(`
+          UPDATE source_rows
+          SET row_json = ?
+          WHERE dataset_id = ? AND source_row_index = ?
+        `, [JSON.stringify(row), normalizedId, rowIndex]);
+      }
+      if (addsColumns) {
+        database.run(`
+          UPDATE datasets
+          SET columns_json = ?,
+              coordinate_mapping_json = ?
+          WHERE id = ? AND import_state = 'complete'
+        `, [
+          JSON.stringify([...headerList, target.latField, target.lonField]),
+          JSON.stringify({ ...target, coordinateSystem: null }),
+          normalizedId,
+        ]);
+      }
+      rebuildBrowserSqlitePointFeatures(database, normalizedId);
+      rebuildBrowserSqliteGeometryFeatures(database, normalizedId);
+      // Newly located vertex rows change zones that recorded edits describe.
+      database.run('DELETE FROM zone_edits WHERE dataset_id = ?', [normalizedId]);
+      database.run('COMMIT');
+    } catch (error) {
+      safeRollback(database);
+      if (error instanceof BrowserSqliteMutationError) throw error;
+      throw new BrowserSqliteMutationError(
+        'operation-failed',
+        'The geocoded coordinates could not be stored.',
+      );
+    }
+  }
+
+  return {
+    ok: true,
+    datasetId: normalizedId,
+    ...counts,
+    review,
+    dataset: getSummaryItem(database, normalizedId),
+    error: null,
+  };
+}
+
+function readGazetteer(database, gazetteerId) {
+  const stored = requireCompleteDataset(database, gazetteerId);
+  const { nameField, altNamesField, countryField } = detectGazetteerFields(
+    parseJsonStringList(stored.columns_json),
+  );
+  if (!nameField) {
+    throw new BrowserSqliteMutationError(
+      'invalid-mapping',
+      'The gazetteer needs a name column.',
+    );
+  }
+
+  const statement = database.prepare(`
+    SELECT point_features.source_row_index, point_features.lat, point_features.lon,
+      source_rows.row_json
+    FROM point_features
+    JOIN source_rows
+      ON source_rows.dataset_id = point_features.dataset_id
+      AND source_rows.source_row_index = point_features.source_row_index
+    WHERE point_features.dataset_id = ?
+    ORDER BY point_features.source_row_index
+  `);
+  const places = [];
+  try {
+    statement.bind([gazetteerId]);
+    while (statement.step()) {
+      const record = statement.getAsObject();
+      const row = parseJsonObject(record.row_json);
+      places.push({
+        rowIndex: Number(record.source_row_index),
+        name: row[nameField],
+        altNames: altNamesField ? row[altNamesField] : null,
+        country: countryField ? row[countryField] : null,
+        lat: Number(record.lat),
+        lon: Number(record.lon),
+      });
+    }
+  } finally {
+    statement.free();
+  }
+  return createGazetteer(places);
+}
+
+function normalizeGeocodingChoices(value, gazetteer) {
+  const choices = new Map();
+  for (const choice of Array.isArray(value) ? value : []) {
+    const place = gazetteer.entries.find((entry) => entry.rowIndex === choice?.gazetteerRowIndex);
+    if (!Number.isSafeInteger(choice?.rowIndex) || !place) {
+      throw new BrowserSqliteMutationError(
+        'invalid-dataset-mutation',
+        'A reviewed row must name one of the gazetteer places.',
+      );
+    }
+    choices.set(choice.rowIndex, place);
+  }
+  return choices;
+}
+
+function readSourceRows(database, datasetId) {
+  const statement = database.prepare(`
+    SELECT source_row_index, row_json
+    FROM source_rows
+    WHERE dataset_id = ?
+    ORDER BY source_row_index
+  `);
+  const rows = [];
+  try {
+    statement.bind([datasetId]);
+    while (statement.step()) {
+      const record = statement.getAsObject();
+      rows.push({
+        rowIndex: Number(record.source_row_index),
+        row: parseJsonObject(record.row_json),
+      });
+    }
+  } finally {
+    statement.free();
+  }
+  return rows;
+}
+
+function createUniqueHeader(headers, base) {
+  let name = base;
+  for (let index = 2; headers.includes(name); index += 1) name = `${base}_${index}`;
+  return name;
+}
+
+function readGeometryFeatureIds(database, datasetId) {
+  const statement = database.prepare(`
+    SELECT DISTINCT feature_id FROM geometry_features WHERE dataset_id = ?
+  `);
+  const featureIds = [];
+  try {
+    statement.bind([datasetId]);
+    while (statement.step()) featureIds.push(String(statement.getAsObject().feature_id));
+  } finally {
+    statement.free();
+  }
+  return featureIds;
+}
+
 function safeRollback(database) {
   try {
     database.run('ROLLBACK');
@@ -187,6 +682,15 @@ function normalizeMappingField(value, label) {
   return value.trim() || null;
 }
 
+function normalizeMappingCoordinateSystem(value) {
+  const coordinateSystem = normalizeCoordinateSystem(value);
+  if (coordinateSystem !== undefined) return coordinateSystem;
+  throw new BrowserSqliteMutationError(
+    'invalid-mapping',
+    'The coordinate system must be a supported EPSG code or a proj4 string.',
+  );
+}
+
 function normalizeStoredMappingField(value) {
   return typeof value === 'string' ? value.trim() || null : null;
 }
@@ -9,8 +9,11 @@ import {
 } from './browserSqliteDatasetQueries.js';
 import {
   BrowserSqliteMutationError,
+  addBrowserSqliteDrawnFeature,
+  geocodeBrowserSqliteDataset,
   setBrowserSqliteDatasetEnabled,
   updateBrowserSqliteDatasetMapping,
+  updateBrowserSqliteSourceRow,
 } from './browserSqliteDatasetMutations.js';
 
 const SQL = await initSqlJs();
@@ -42,6 +45,13 @@ try {
     },
     mapping: { latField: 'latitude', lonField: 'longitude' },
   });
+  insertDataset(database, {
+    id: 'dataset-wkt',
+    fileName: 'wkt.csv',
+    headers: ['name', 'WKT'],
+    detectedFields: { latField: null, lonField: null },
+    mapping: { latField: null, lonField: null },
+  });
   insertDataset(database, {
     id: 'dataset-importing',
     fileName: 'importing.csv',
@@ -94,6 +104,8 @@ try {
   assert.deepEqual(remapped.mapping, {
     latField: 'lat',
     lonField: 'lng',
+    coordinateField: null,
+    coordinateSystem: null,
   });
   assert.equal(remapped.dataset.latField, 'lat');
   assert.equal(remapped.dataset.lonField, 'lng');
@@ -112,10 +124,14 @@ try {
   assert.deepEqual(cleared.mapping, {
     latField: null,
     lonField: 'lng',
+    coordinateField: null,
+    coordinateSystem: null,
   });
   assert.deepEqual(readMapping(database, 'dataset-a'), {
     latField: null,
     lonField: 'lng',
+    coordinateField: null,
+    coordinateSystem: null,
   });
 
   const clearedWithBlank = updateBrowserSqliteDatasetMapping(
@@ -126,6 +142,8 @@ try {
   assert.deepEqual(clearedWithBlank.mapping, {
     latField: null,
     lonField: null,
+    coordinateField: null,
+    coordinateSystem: null,
   });
 
   const mappingBeforeFailures = readMapping(database, 'dataset-a');
@@ -155,6 +173,319 @@ try {
   );
   assert.deepEqual(readMapping(database, 'dataset-a'), mappingBeforeFailures);
 
+  const drawnPoint = addBrowserSqliteDrawnFeature(database, 'dataset-b', {
+    geometryType: 'point',
+    coordinates: [[59.3, 18.1]],
+  });
+  assert.equal(drawnPoint.ok, true);
+  assert.equal(drawnPoint.featureId, null);
+  assert.deepEqual(drawnPoint.dataset.headers, ['name', 'latitude', 'longitude']);
+  assert.equal(drawnPoint.dataset.importedFeatureCount, 1);
+
+  const drawnLine = addBrowserSqliteDrawnFeature(database, 'dataset-b', {
+    geometryType: 'line',
+    coordinates: [[59.3, 18.1], [59.4, 18.2]],
+  });
+  assert.equal(drawnLine.featureId, 'drawn-1');
+  assert.deepEqual(
+    drawnLine.dataset.headers,
+    ['name', 'latitude', 'longitude', 'featureType', 'featureId', 'order'],
+  );
+  const drawnRegion = addBrowserSqliteDrawnFeature(database, 'dataset-b', {
+    geometryType: 'region',
+    coordinates: [[59, 18], [59, 19], [60, 19], [59, 18]],
+  });
+  assert.equal(drawnRegion.featureId, 'drawn-2');
+  assert.equal(drawnRegion.dataset.importedFeatureCount, 3);
+  assert.equal(readValue(
+    database,
+    'SELECT region_feature_count FROM datasets WHERE id = ?',
+    'dataset-b',
+  ), 1);
+  assert.equal(drawnRegion.dataset.totalRows, 6);
+  // The repeated closing vertex is not stored as its own row.
+  assert.deepEqual(readRows(database, 'dataset-b').slice(3), [
+    { latitude: '59', longitude: '18', featureType: 'region', featureId: 'drawn-2', order: '1', name: '' },
+    { latitude: '59', longitude: '19', featureType: 'region', featureId: 'drawn-2', order: '2', name: '' },
+    { latitude: '60', longitude: '19', featureType: 'region', featureId: 'drawn-2', order: '3', name: '' },
+  ]);
+
+  const drawnWkt = addBrowserSqliteDrawnFeature(database, 'dataset-wkt', {
+    geometryType: 'line',
+    coordinates: [[1, 2], [3, 4]],
+  });
+  assert.equal(drawnWkt.dataset.importedFeatureCount, 1);
+  assert.deepEqual(readRows(database, 'dataset-wkt'), [
+    { name: '', WKT: 'LINESTRING (2 1, 4 3)', featureId: 'drawn-1' },
+  ]);
+
+  assertMutationError(
+    () => addBrowserSqliteDrawnFeature(database, 'dataset-b', {
+      geometryType: 'region',
+      coordinates: [[59, 18], [59, 19], [59, 18]],
+    }),
+    'invalid-dataset-mutation',
+  );
+  assertMutationError(
+    () => addBrowserSqliteDrawnFeature(database, 'dataset-a', {
+      geometryType: 'point',
+      coordinates: [[59, 18]],
+    }),
+    'invalid-mapping',
+  );
+  assert.equal(readRows(database, 'dataset-b').length, 6);
+
+  const edited = updateBrowserSqliteSourceRow(
+    database,
+    { datasetId: 'dataset-b', rowIndex: 0 },
+    { name: 'Harbour' },
+  );
+  assert.equal(edited.ok, true);
+  assert.equal(edited.rowIndex, 0);
+  assert.deepEqual(edited.row, { name: 'Harbour', latitude: '59.3', longitude: '18.1' });
+  assert.deepEqual(readRows(database, 'dataset-b')[0], edited.row);
+  // Derived point data is rebuilt from the edited row.
+  assert.equal(JSON.parse(readValue(
+    database,
+    'SELECT compact_json FROM point_features WHERE dataset_id = ? AND source_row_index = 0',
+    'dataset-b',
+  )).name, 'Harbour');
+
+  assertMutationError(
+    () => updateBrowserSqliteSourceRow(
+      database,
+      { datasetId: 'dataset-b', rowIndex: 0 },
+      { latitude: '10' },
+    ),
+    'invalid-dataset-mutation',
+  );
+  assertMutationError(
+    () => updateBrowserSqliteSourceRow(
+      database,
+      { datasetId: 'dataset-wkt', rowIndex: 0 },
+      { WKT: 'POINT (1 2)' },
+    ),
+    'invalid-dataset-mutation',
+  );
+  assertMutationError(
+    () => updateBrowserSqliteSourceRow(
+      database,
+      { datasetId: 'dataset-b', rowIndex: 0 },
+      { missing: 'x' },
+    ),
+    'invalid-dataset-mutation',
+  );
+  assertMutationError(
+    () => updateBrowserSqliteSourceRow(
+      database,
+      { datasetId: 'dataset-b', rowIndex: 99 },
+      { name: 'x' },
+    ),
+    'dataset-not-found',
+  );
+  assert.equal(readRows(database, 'dataset-b')[0].name, 'Harbour');
+
+  // Projected columns are reprojected for the map and drawn features are
+  // written back in the dataset's own system.
+  insertDataset(database, {
+    id: 'dataset-sweref',
+    fileName: 'sweref.csv',
+    headers: ['name', 'N', 'E'],
+    detectedFields: { latField: null, lonField: null },
+    mapping: { latField: 'N', lonField: 'E' },
+  });
+  database.run(`
+    INSERT INTO source_rows (dataset_id, source_row_index, row_json) VALUES (?, 0, ?)
+  `, ['dataset-sweref', JSON.stringify({ name: 'City hall', N: '6580822', E: '674032' })]);
+  const projected = updateBrowserSqliteDatasetMapping(
+    database,
+    'dataset-sweref',
+    { coordinateSystem: 'epsg:3006' },
+  );
+  assert.deepEqual(projected.mapping, {
+    latField: 'N',
+    lonField: 'E',
+    coordinateField: null,
+    coordinateSystem: 'EPSG:3006',
+  });
+  assert.equal(projected.dataset.coordinateSystem, 'EPSG:3006');
+  assert.equal(projected.dataset.importedFeatureCount, 1);
+  assert.equal(readValue(
+    database,
+    'SELECT ROUND(lat, 2) || \',\' || ROUND(lon, 2) FROM point_features WHERE dataset_id = ?',
+    'dataset-sweref',
+  ), '59.33,18.06');
+  addBrowserSqliteDrawnFeature(database, 'dataset-sweref', {
+    geometryType: 'point',
+    coordinates: [[59.330231226921924, 18.059189736354764]],
+  });
+  assert.deepEqual(readRows(database, 'dataset-sweref')[1], {
+    name: '',
+    N: '6580822',
+    E: '674032',
+  });
+  assertMutationError(
+    () => updateBrowserSqliteDatasetMapping(
+      database,
+      'dataset-sweref',
+      { coordinateSystem: '+proj=unknown' },
+    ),
+    'invalid-mapping',
+  );
+  // An omitted system keeps the stored one.
+  assert.equal(updateBrowserSqliteDatasetMapping(
+    database,
+    'dataset-sweref',
+    { latField: 'N' },
+  ).mapping.coordinateSystem, 'EPSG:3006');
+
+  // A single coordinate column locates rows in any supported form, and drawn
+  // features write it as a decimal pair.
+  insertDataset(database, {
+    id: 'dataset-combined',
+    fileName: 'combined.csv',
+    headers: ['name', 'position'],
+    detectedFields: { latField: null, lonField: null },
+    mapping: { latField: null, lonField: null },
+  });
+  [
+    { name: 'Decimal', position: '59.33, 18.06' },
+    { name: 'DMS', position: '57°42\'0" N 11°58\'12" E' },
+    { name: 'WKT', position: 'POINT (13 55.6)' },
+    { name: 'Link', position: 'https://www.google.com/maps/@63.83,20.26,12z' },
+    { name: 'Unknown', position: 'harbour' },
+  ].forEach((row, index) => database.run(`
+    INSERT INTO source_rows (dataset_id, source_row_index, row_json) VALUES (?, ?, ?)
+  `, ['dataset-combined', index, JSON.stringify(row)]));
+  const combined = updateBrowserSqliteDatasetMapping(
+    database,
+    'dataset-combined',
+    { coordinateField: 'position' },
+  );
+  assert.deepEqual(combined.mapping, {
+    latField: null,
+    lonField: null,
+    coordinateField: 'position',
+    coordinateSystem: null,
+  });
+  assert.equal(combined.dataset.coordinateField, 'position');
+  assert.equal(combined.dataset.importedFeatureCount, 4);
+  assert.equal(readValue(
+    database,
+    `SELECT group_concat(position, ' ') FROM (
+      SELECT ROUND(lat, 1) || ',' || ROUND(lon, 2) AS position
+      FROM point_features WHERE dataset_id = ? ORDER BY source_row_index
+    )`,
+    'dataset-combined',
+  ), '59.3,18.06 57.7,11.97 55.6,13.0 63.8,20.26');
+  addBrowserSqliteDrawnFeature(database, 'dataset-combined', {
+    geometryType: 'point',
+    coordinates: [[1.5, 2.5]],
+  });
+  assert.deepEqual(readRows(database, 'dataset-combined')[5], { name: '', position: '1.5, 2.5' });
+  assertMutationError(
+    () => updateBrowserSqliteSourceRow(
+      database,
+      { datasetId: 'dataset-combined', rowIndex: 0 },
+      { position: '1, 2' },
+    ),
+    'invalid-dataset-mutation',
+  );
+  assertMutationError(
+    () => updateBrowserSqliteDatasetMapping(
+      database,
+      'dataset-combined',
+      { coordinateField: 'missing' },
+    ),
+    'invalid-mapping',
+  );
+
+  // Place names locate rows through a gazetteer dataset's points; a dataset
+  // without coordinate columns gains lat and lon columns as its mapping.
+  insertDataset(database, {
+    id: 'dataset-gazetteer',
+    fileName: 'places.csv',
+    headers: ['name', 'altNames', 'country', 'lat', 'lon'],
+    detectedFields: { latField: 'lat', lonField: 'lon' },
+    mapping: { latField: 'lat', lonField: 'lon' },
+  });
+  [
+    { name: 'Uppsala', altNames: 'Upsala', country: 'SE', lat: '59.86', lon: '17.64' },
+    { name: 'Växjö', altNames: '', country: 'SE', lat: '56.88', lon: '14.81' },
+    { name: 'Bergen', altNames: '', country: 'NO', lat: '60.39', lon: '5.32' },
+    { name: 'Bergen', altNames: '', country: 'NL', lat: '52.67', lon: '4.7' },
+  ].forEach((row, index) => database.run(`
+    INSERT INTO source_rows (dataset_id, source_row_index, row_json) VALUES (?, ?, ?)
+  `, ['dataset-gazetteer', index, JSON.stringify(row)]));
+  updateBrowserSqliteDatasetMapping(database, 'dataset-gazetteer', {});
+  insertDataset(database, {
+    id: 'dataset-parishes',
+    fileName: 'parishes.csv',
+    headers: ['id', 'lat', 'Socken'],
+    detectedFields: { latField: 'lat', lonField: null },
+    mapping: { latField: 'lat', lonField: null },
+  });
+  ['Upsala', 'Vaxjo', 'Bergen', 'Atlantis', ''].forEach((socken, index) => database.run(`
+    INSERT INTO source_rows (dataset_id, source_row_index, row_json) VALUES (?, ?, ?)
+  `, ['dataset-parishes', index, JSON.stringify({ id: String(index), lat: '', Socken: socken })]));
+
+  const geocoded = geocodeBrowserSqliteDataset(database, 'dataset-parishes', {
+    placeField: 'Socken',
+    gazetteerDatasetId: 'dataset-gazetteer',
+  });
+  assert.deepEqual(
+    [geocoded.matchedCount, geocoded.fuzzyCount, geocoded.ambiguousCount, geocoded.unmatchedCount],
+    [2, 1, 1, 1],
+  );
+  assert.deepEqual(geocoded.review.map(({ rowIndex, value, status, candidates }) => (
+    [rowIndex, value, status, candidates.map((candidate) => candidate.gazetteerRowIndex)]
+  )), [
+    [2, 'Bergen', 'ambiguous', [2, 3]],
+    [3, 'Atlantis', 'unmatched', []],
+  ]);
+  assert.deepEqual(readMapping(database, 'dataset-parishes'), {
+    latField: 'lat_2',
+    lonField: 'lon',
+    coordinateField: null,
+    coordinateSystem: null,
+  });
+  assert.deepEqual(geocoded.dataset.headers, ['id', 'lat', 'Socken', 'lat_2', 'lon']);
+  assert.equal(geocoded.dataset.importedFeatureCount, 2);
+  assert.deepEqual(readRows(database, 'dataset-parishes')[1], {
+    id: '1',
+    lat: '',
+    Socken: 'Vaxjo',
+    lat_2: '56.88',
+    lon: '14.81',
+  });
+
+  // A reviewed choice settles an ambiguous row; located rows are not looked up again.
+  const reviewed = geocodeBrowserSqliteDataset(database, 'dataset-parishes', {
+    placeField: 'Socken',
+    gazetteerDatasetId: 'dataset-gazetteer',
+    choices: [{ rowIndex: 2, gazetteerRowIndex: 3 }],
+  });
+  assert.deepEqual([reviewed.matchedCount, reviewed.unmatchedCount], [1, 1]);
+  assert.deepEqual(reviewed.review.map(({ rowIndex }) => rowIndex), [3]);
+  assert.equal(reviewed.dataset.importedFeatureCount, 3);
+  assert.equal(readRows(database, 'dataset-parishes')[2].lat_2, '52.67');
+  for (const request of [
+    { placeField: 'Socken', gazetteerDatasetId: 'dataset-parishes' },
+    { placeField: 'Socken', gazetteerDatasetId: 'dataset-gazetteer', choices: [{ rowIndex: 3, gazetteerRowIndex: 9 }] },
+  ]) {
+    assertMutationError(
+      () => geocodeBrowserSqliteDataset(database, 'dataset-parishes', request),
+      'invalid-dataset-mutation',
+    );
+  }
+  assertMutationError(
+    () => geocodeBrowserSqliteDataset(database, 'dataset-parishes', {
+      placeField: 'missing',
+      gazetteerDatasetId: 'dataset-gazetteer',
+    }),
+    'invalid-mapping',
+  );
+
   const summary = getBrowserSqliteDatasetSummary(database);
   const datasetA = summary.datasets.find((dataset) => dataset.id === 'dataset-a');
   const datasetB = summary.datasets.find((dataset) => dataset.id === 'dataset-b');
@@ -218,6 +549,14 @@ function readMapping(targetDatabase, datasetId) {
   return JSON.parse(value);
 }
 
+function readRows(targetDatabase, datasetId) {
+  const [result] = targetDatabase.exec(
+    'SELECT row_json FROM source_rows WHERE dataset_id = ? ORDER BY source_row_index',
+    [datasetId],
+  );
+  return result ? result.values.map(([value]) => JSON.parse(value)) : [];
+}
+
 function readValue(targetDatabase, sql, parameter) {
   const statement = targetDatabase.prepare(sql);
   try {
@@ -1,3 +1,4 @@
+import { normalizeCoordinateSystem } from '../../components/coordinateSystems.js';
 import { DEFAULT_PREVIEW_ROWS_LIMIT } from '../dataSource.js';
 
 /** Worker-side ceiling that keeps every source-row preview response bounded. */
@@ -80,6 +81,8 @@ export function getBrowserSqliteDatasetSummary(database) {
         importedAt: normalizeNullableString(row.imported_at),
         latField: normalizeNullableString(mapping.latField),
         lonField: normalizeNullableString(mapping.lonField),
+        coordinateField: normalizeNullableString(mapping.coordinateField),
+        coordinateSystem: normalizeCoordinateSystem(mapping.coordinateSystem) ?? null,
         detectedFields: parseJsonObject(row.detected_fields_json),
         recommendedTimelineRange: normalizeRecommendedTimelineRange(
           row.recommended_timeline_start_year,
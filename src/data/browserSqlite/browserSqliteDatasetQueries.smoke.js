@@ -38,6 +38,8 @@ try {
     importedAt: '2026-07-26T12:00:00.000Z',
     latField: 'lat',
     lonField: 'lon',
+    coordinateField: null,
+    coordinateSystem: null,
     detectedFields: {
       latField: 'lat',
       lonField: 'lon',
@@ -0,0 +1,172 @@
+import {
+  DEFAULT_FEATURE_SEARCH_LIMIT,
+  MAX_FEATURE_SEARCH_LIMIT,
+  buildFeatureSearchMatch,
+  getFeatureSearchName,
+} from '../../components/featureSearch.js';
+
+/**
+ * Find map features whose source row contains every searched word.
+ *
+ * Only rows that currently derive a point, or supply the details of a line or
+ * region, are returned, so each result opens through `getFeatureDetails`.
+ * Results follow the search index's insertion order, which is import order,
+ * and cover enabled datasets only. Complete rows are read only for the
+ * returned page to pick a display name.
+ *
+ * @param {{ prepare: Function }} database sql.js database.
+ * @param {{ text?: string, limit?: number }} [query] Search request.
+ * @returns {{ results: object[], hasMore: boolean }} One bounded result page.
+ */
+export function searchBrowserSqliteFeatures(database, query = {}) {
+  requireDatabase(database);
+  const match = buildFeatureSearchMatch(query.text);
+  if (!match) return { results: [], hasMore: false };
+  const limit = normalizeLimit(query.limit);
+
+  const rows = readAll(database, `
+    SELECT
+      search_rows.dataset_id,
+      search_rows.source_row_index,
+      datasets.file_name,
+      source_rows.row_json,
+      point_features.lat,
+      point_features.lon,
+      point_features.timeline_start_year,
+      point_features.timeline_end_year
+    FROM search_text
+    INNER JOIN search_rows ON search_rows.search_id = search_text.docid
+    INNER JOIN datasets ON datasets.id = search_rows.dataset_id
+    INNER JOIN source_rows
+      ON source_rows.dataset_id = search_rows.dataset_id
+      AND source_rows.source_row_index = search_rows.source_row_index
+    LEFT JOIN point_features
+      ON point_features.dataset_id = search_rows.dataset_id
+      AND point_features.source_row_index = search_rows.source_row_index
+    WHERE search_text MATCH $match
+      AND datasets.enabled = 1
+      AND datasets.import_state = 'complete'
+      AND (
+        point_features.dataset_id IS NOT NULL
+        OR EXISTS (
+          SELECT 1
+          FROM geometry_features
+          WHERE geometry_features.dataset_id = search_rows.dataset_id
+            AND geometry_features.source_row_index = search_rows.source_row_index
+        )
+      )
+    ORDER BY search_text.docid
+    LIMIT $limit
+  `, { $match: match, $limit: limit + 1 });
+
+  return {
+    results: rows.slice(0, limit).flatMap((row) => toSearchResults(database, row)),
+    hasMore: rows.length > limit,
+  };
+}
+
+function toSearchResults(database, row) {
+  const datasetId = String(row.dataset_id);
+  const rowIndex = Number(row.source_row_index);
+  const sourceRow = parseJsonObject(row.row_json);
+  const base = {
+    datasetId,
+    datasetName: String(row.file_name ?? ''),
+    sourceRef: { datasetId, rowIndex },
+  };
+
+  if (row.lat != null) {
+    return [{
+      ...base,
+      geometryType: 'point',
+      featureId: null,
+      name: getFeatureSearchName(sourceRow, null, rowIndex),
+      startYear: normalizeNullableInteger(row.timeline_start_year),
+      endYear: normalizeNullableInteger(row.timeline_end_year),
+      lat: Number(row.lat),
+      lon: Number(row.lon),
+      bounds: null,
+    }];
+  }
+
+  // Every part of a multipart region carries the same detail row.
+  return readAll(database, `
+    SELECT
+      geometry_type,
+      feature_id,
+      MIN(min_lat) AS south,
+      MAX(max_lat) AS north,
+      MIN(min_lon) AS west,
+      MAX(max_lon) AS east,
+      MIN(timeline_start_year) AS timeline_start_year,
+      MAX(timeline_end_year) AS timeline_end_year
+    FROM geometry_features
+    WHERE dataset_id = ? AND source_row_index = ?
+    GROUP BY geometry_type, feature_id
+    ORDER BY MIN(feature_order_index), feature_id
+  `, [datasetId, rowIndex]).map((geometry) => {
+    const bounds = {
+      north: Number(geometry.north),
+      south: Number(geometry.south),
+      east: Number(geometry.east),
+      west: Number(geometry.west),
+    };
+    const featureId = String(geometry.feature_id);
+    return {
+      ...base,
+      geometryType: geometry.geometry_type === 'line' ? 'line' : 'region',
+      featureId,
+      name: getFeatureSearchName(sourceRow, featureId, rowIndex),
+      startYear: normalizeNullableInteger(geometry.timeline_start_year),
+      endYear: normalizeNullableInteger(geometry.timeline_end_year),
+      lat: (bounds.north + bounds.south) / 2,
+      lon: (bounds.east + bounds.west) / 2,
+      bounds,
+    };
+  });
+}
+
+function normalizeLimit(value) {
+  const number = Number(value);
+  if (!Number.isSafeInteger(number) || number <= 0) {
+    return DEFAULT_FEATURE_SEARCH_LIMIT;
+  }
+  return Math.min(number, MAX_FEATURE_SEARCH_LIMIT);
+}
+
+function normalizeNullableInteger(value) {
+  if (value == null) return null;
+  const number = Number(value);
+  return Number.isSafeInteger(number) ? number : null;
+}
+
+function parseJsonObject(value) {
+  try {
+    const parsed = JSON.parse(String(value ?? ''));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+      ? parsed
+      : {};
+  } catch {
+    return {};
+  }
+}
+
+function readAll(database, sql, parameters = []) {
+  const statement = database.prepare(sql);
+  const rows = [];
+  try {
+    statement.bind(parameters);
+    while (statement.step()) {
+      rows.push(statement.getAsObject());
+    }
+    return rows;
+  } finally {
+    statement.free();
+  }
+}
+
+function requireDatabase(database) {
+  if (!database || typeof database.prepare !== 'function') {
+    throw new TypeError('A sql.js database with prepare() is required.');
+  }
+}
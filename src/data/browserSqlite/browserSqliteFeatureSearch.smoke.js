@@ -0,0 +1,168 @@
+import assert from 'node:assert/strict';
+import initSqlJs from 'sql.js';
+import {
+  closeBrowserSqliteDatabase,
+  createBrowserSqliteDatabase,
+} from './browserSqliteDatabase.js';
+import {
+  beginBrowserSqliteFileImport,
+  completeBrowserSqliteFileImport,
+  insertBrowserSqliteImportRowBatch,
+} from './browserSqliteImportTransaction.js';
+import {
+  setBrowserSqliteDatasetEnabled,
+  updateBrowserSqliteSourceRow,
+} from './browserSqliteDatasetMutations.js';
+import { removeBrowserSqliteDataset } from './browserSqliteDatasetRemoval.js';
+import { searchBrowserSqliteFeatures } from './browserSqliteFeatureSearch.js';
+import { getBrowserSqliteFeatureDetails } from './browserSqlitePointDetails.js';
+
+const HEADERS = ['name', 'featureType', 'featureId', 'part', 'order', 'lat', 'lon', 'year', 'kind'];
+
+const SQL = await initSqlJs();
+const database = createBrowserSqliteDatabase(SQL);
+
+try {
+  importDataset(database, 'dataset-a', [
+    row({ name: 'Göteborg harbour', lat: '57.7', lon: '11.9', year: '1850', kind: 'port' }),
+    row({ name: 'Uppsala', lat: '59.8', lon: '17.6', year: '1900', kind: 'town' }),
+    row({ name: 'Broken', lat: '999', lon: '0', kind: 'port' }),
+    row({
+      name: 'Canal route', featureType: 'line', featureId: 'canal', order: '1',
+      lat: '58', lon: '12', year: '1832',
+    }),
+    row({
+      name: 'Canal route', featureType: 'line', featureId: 'canal', order: '2',
+      lat: '58.5', lon: '15', year: '1832',
+    }),
+    row({ featureType: 'region', featureId: 'lake', part: 'a', order: '1', lat: '58', lon: '14', kind: 'lake' }),
+    row({ featureType: 'region', featureId: 'lake', part: 'a', order: '2', lat: '59', lon: '14' }),
+    row({ featureType: 'region', featureId: 'lake', part: 'a', order: '3', lat: '59', lon: '15' }),
+  ]);
+  importDataset(database, 'dataset-b', [
+    row({ name: 'Harbour master', lat: '60', lon: '20', year: '1901', kind: 'port' }),
+  ]);
+
+  // Words match the start of any value word, ignoring case and diacritics.
+  const harbour = searchBrowserSqliteFeatures(database, { text: 'GOTE harb' });
+  assert.deepEqual(harbour, {
+    results: [{
+      datasetId: 'dataset-a',
+      datasetName: 'dataset-a.csv',
+      sourceRef: { datasetId: 'dataset-a', rowIndex: 0 },
+      geometryType: 'point',
+      featureId: null,
+      name: 'Göteborg harbour',
+      startYear: 1850,
+      endYear: 1850,
+      lat: 57.7,
+      lon: 11.9,
+      bounds: null,
+    }],
+    hasMore: false,
+  });
+
+  // Results span datasets in import order; rows without a map feature are left out.
+  assert.deepEqual(
+    searchBrowserSqliteFeatures(database, { text: 'port' }).results
+      .map(({ sourceRef }) => sourceRef),
+    [
+      { datasetId: 'dataset-a', rowIndex: 0 },
+      { datasetId: 'dataset-b', rowIndex: 0 },
+    ],
+  );
+
+  // A line is found once, through the row that supplies its details.
+  const canal = searchBrowserSqliteFeatures(database, { text: 'canal' });
+  assert.equal(canal.results.length, 1);
+  assert.equal(canal.results[0].geometryType, 'line');
+  assert.equal(canal.results[0].featureId, 'canal');
+  assert.equal(canal.results[0].name, 'Canal route');
+  assert.equal(canal.results[0].startYear, 1832);
+  assert.deepEqual(canal.results[0].bounds, { north: 58.5, south: 58, east: 15, west: 12 });
+  assert.deepEqual(
+    getBrowserSqliteFeatureDetails(database, { sourceRef: canal.results[0].sourceRef }).row.name,
+    'Canal route',
+  );
+
+  // Unnamed regions fall back to their feature ID.
+  const lake = searchBrowserSqliteFeatures(database, { text: 'lake' }).results;
+  assert.equal(lake.length, 1);
+  assert.equal(lake[0].geometryType, 'region');
+  assert.equal(lake[0].name, 'lake');
+  assert.equal(lake[0].startYear, null);
+  assert.equal(lake[0].lat, 58.5);
+  assert.equal(lake[0].lon, 14.5);
+
+  // Query syntax typed by the user is searched as plain words.
+  assert.deepEqual(searchBrowserSqliteFeatures(database, { text: '"port" OR -town*' }).results, []);
+  assert.deepEqual(searchBrowserSqliteFeatures(database, { text: ' *()" ' }), {
+    results: [],
+    hasMore: false,
+  });
+  assert.deepEqual(searchBrowserSqliteFeatures(database, {}), { results: [], hasMore: false });
+
+  const limited = searchBrowserSqliteFeatures(database, { text: 'port', limit: 1 });
+  assert.equal(limited.results.length, 1);
+  assert.equal(limited.hasMore, true);
+
+  // Edits, hidden datasets, and removal are reflected immediately.
+  updateBrowserSqliteSourceRow(
+    database,
+    { datasetId: 'dataset-a', rowIndex: 1 },
+    { kind: 'port' },
+  );
+  assert.deepEqual(
+    searchBrowserSqliteFeatures(database, { text: 'port' }).results.map(({ name }) => name),
+    ['Göteborg harbour', 'Uppsala', 'Harbour master'],
+  );
+  assert.deepEqual(searchBrowserSqliteFeatures(database, { text: 'town' }).results, []);
+  setBrowserSqliteDatasetEnabled(database, 'dataset-b', false);
+  assert.equal(searchBrowserSqliteFeatures(database, { text: 'master' }).results.length, 0);
+  setBrowserSqliteDatasetEnabled(database, 'dataset-b', true);
+  assert.equal(searchBrowserSqliteFeatures(database, { text: 'master' }).results.length, 1);
+  removeBrowserSqliteDataset(database, 'dataset-b');
+  assert.equal(searchBrowserSqliteFeatures(database, { text: 'master' }).results.length, 0);
+
+  assert.throws(() => searchBrowserSqliteFeatures(null), TypeError);
+} finally {
+  closeBrowserSqliteDatabase(database);
+}
+
+console.log('Browser SQLite feature search smoke test passed.');
+
+function row(values) {
+  return Object.fromEntries(HEADERS.map((header) => [
+    header,
+    values[header] ?? (header === 'featureType' ? 'point' : ''),
+  ]));
+}
+
+function importDataset(targetDatabase, datasetId, rows) {
+  const activeImport = beginBrowserSqliteFileImport(targetDatabase, {
+    datasetId,
+    fileName: `${datasetId}.csv`,
+  });
+  insertBrowserSqliteImportRowBatch(activeImport, rows);
+  return completeBrowserSqliteFileImport(activeImport, {
+    headers: HEADERS,
+    totalParsedRowCount: rows.length,
+    skippedRowCount: 0,
+    detectedFields: {
+      latField: 'lat',
+      lonField: 'lon',
+      yearField: 'year',
+      dateField: null,
+      dayOfYearField: null,
+      yearFromField: null,
+      yearToField: null,
+      dateFromField: null,
+      dateToField: null,
+    },
+    coordinateMapping: { latField: 'lat', lonField: 'lon' },
+    warnings: [],
+    importedAt: datasetId === 'dataset-a'
+      ? '2026-07-26T18:00:00.000Z'
+      : '2026-07-26T18:00:01.000Z',
+  });
+}
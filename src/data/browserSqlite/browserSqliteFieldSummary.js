@@ -0,0 +1,136 @@
+import { MAX_STYLE_CATEGORIES } from '../../components/styleRules.js';
+import { toJsonPath } from './browserSqliteAttributeFilters.js';
+
+// Values of one column across rows that currently draw a map feature: points,
+// and the rows that supply line and region details.
+const FEATURE_VALUES = `
+  WITH feature_values AS (
+    SELECT TRIM(COALESCE(CAST(json_extract(source_rows.row_json, $path) AS TEXT), '')) AS value
+    FROM source_rows
+    INNER JOIN datasets ON datasets.id = source_rows.dataset_id
+    WHERE source_rows.dataset_id = $datasetId
+      AND datasets.import_state = 'complete'
+      AND (
+        EXISTS (
+          SELECT 1
+          FROM point_features
+          WHERE point_features.dataset_id = source_rows.dataset_id
+            AND point_features.source_row_index = source_rows.source_row_index
+        )
+        OR EXISTS (
+          SELECT 1
+          FROM geometry_features
+          WHERE geometry_features.dataset_id = source_rows.dataset_id
+            AND geometry_features.source_row_index = source_rows.source_row_index
+        )
+      )
+  )
+`;
+
+/**
+ * Summarize one dataset column for style rules: how many feature rows have a
+ * value, the numeric range, and the most common values. Numbers follow the
+ * numeric attribute filter rule, so non-numeric text never widens the range.
+ *
+ * @param {{ prepare: Function }} database sql.js database.
+ * @param {{ datasetId?: string, field?: string }} [query] Column to summarize.
+ * @returns {object} Column summary; unknown datasets and columns summarize no values.
+ */
+export function getBrowserSqliteFieldSummary(database, query = {}) {
+  requireDatabase(database);
+  const datasetId = normalizeNullableString(query.datasetId);
+  const field = typeof query.field === 'string' && query.field.trim() ? query.field : null;
+  if (!datasetId || !field) return createEmptyFieldSummary(datasetId, field);
+
+  const params = { $datasetId: datasetId, $path: toJsonPath(field) };
+  const totals = readAll(database, `
+    ${FEATURE_VALUES}
+    SELECT
+      COUNT(*) AS row_count,
+      COUNT(NULLIF(value, '')) AS value_count,
+      COALESCE(SUM(is_numeric), 0) AS numeric_count,
+      MIN(CASE WHEN is_numeric THEN CAST(value AS REAL) END) AS min_value,
+      MAX(CASE WHEN is_numeric THEN CAST(value AS REAL) END) AS max_value,
+      COUNT(DISTINCT NULLIF(value, '')) AS category_count
+    FROM (
+      SELECT
+        value,
+        value GLOB '*[0-9]*' AND value NOT GLOB '*[^0-9.eE+-]*' AS is_numeric
+      FROM feature_values
+    )
+  `, params)[0] ?? {};
+  const categories = readAll(database, `
+    ${FEATURE_VALUES}
+    SELECT value, COUNT(*) AS count
+    FROM feature_values
+    WHERE value <> ''
+    GROUP BY value
+    ORDER BY count DESC, value
+    LIMIT $limit
+  `, { ...params, $limit: MAX_STYLE_CATEGORIES });
+
+  return {
+    datasetId,
+    field,
+    rowCount: normalizeCount(totals.row_count),
+    valueCount: normalizeCount(totals.value_count),
+    numericCount: normalizeCount(totals.numeric_count),
+    min: normalizeNullableNumber(totals.min_value),
+    max: normalizeNullableNumber(totals.max_value),
+    categories: categories.map((row) => ({
+      value: String(row.value),
+      count: normalizeCount(row.count),
+    })),
+    categoryCount: normalizeCount(totals.category_count),
+  };
+}
+
+function createEmptyFieldSummary(datasetId, field) {
+  return {
+    datasetId,
+    field,
+    rowCount: 0,
+    valueCount: 0,
+    numericCount: 0,
+    min: null,
+    max: null,
+    categories: [],
+    categoryCount: 0,
+  };
+}
+
+function normalizeCount(value) {
+  const number = Number(value);
+  return Number.isSafeInteger(number) && number > 0 ? number : 0;
+}
+
+function normalizeNullableNumber(value) {
+  if (value == null) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function normalizeNullableString(value) {
+  if (typeof value !== 'string') return null;
+  return value.trim() || null;
+}
+
+function readAll(database, sql, parameters = {}) {
+  const statement = database.prepare(sql);
+  const rows = [];
+  try {
+    statement.bind(parameters);
+    while (statement.step()) {
+      rows.push(statement.getAsObject());
+    }
+    return rows;
+  } finally {
+    statement.free();
+  }
+}
+
+function requireDatabase(database) {
+  if (!database || typeof database.prepare !== 'function') {
+    throw new TypeError('A sql.js database with prepare() is required.');
+  }
+}
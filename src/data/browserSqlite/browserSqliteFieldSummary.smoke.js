@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict';
+import initSqlJs from 'sql.js';
+import {
+  closeBrowserSqliteDatabase,
+  createBrowserSqliteDatabase,
+} from './browserSqliteDatabase.js';
+import {
+  beginBrowserSqliteFileImport,
+  completeBrowserSqliteFileImport,
+  insertBrowserSqliteImportRowBatch,
+} from './browserSqliteImportTransaction.js';
+import { getBrowserSqliteFieldSummary } from './browserSqliteFieldSummary.js';
+import { queryBrowserSqliteMapView } from './browserSqlitePointQueries.js';
+
+const HEADERS = ['name', 'featureType', 'featureId', 'order', 'lat', 'lon', 'kind', 'population'];
+const WORLD = { north: 90, south: -90, east: 180, west: -180 };
+
+const SQL = await initSqlJs();
+const database = createBrowserSqliteDatabase(SQL);
+
+try {
+  importDataset(database, 'dataset-a', [
+    row({ name: 'A', lat: '57', lon: '11', kind: 'port', population: '1200' }),
+    row({ name: 'B', lat: '58', lon: '12', kind: 'town', population: '300' }),
+    row({ name: 'C', lat: '59', lon: '13', kind: 'port', population: ' 4.5e3 ' }),
+    row({ name: 'D', lat: '60', lon: '14', kind: '', population: 'unknown' }),
+    // Rows that do not draw a feature are left out of the summary.
+    row({ name: 'Broken', lat: '999', lon: '0', kind: 'village', population: '999999' }),
+    row({ featureType: 'line', featureId: 'road', order: '1', lat: '58', lon: '11', kind: 'road', population: '10' }),
+    row({ featureType: 'line', featureId: 'road', order: '2', lat: '59', lon: '12' }),
+  ]);
+
+  assert.deepEqual(getBrowserSqliteFieldSummary(database, {
+    datasetId: 'dataset-a',
+    field: 'population',
+  }), {
+    datasetId: 'dataset-a',
+    field: 'population',
+    rowCount: 5,
+    valueCount: 5,
+    numericCount: 4,
+    min: 10,
+    max: 4500,
+    categories: [
+      { value: '10', count: 1 },
+      { value: '1200', count: 1 },
+      { value: '300', count: 1 },
+      { value: '4.5e3', count: 1 },
+      { value: 'unknown', count: 1 },
+    ],
+    categoryCount: 5,
+  });
+  const kinds = getBrowserSqliteFieldSummary(database, { datasetId: 'dataset-a', field: 'kind' });
+  assert.deepEqual(kinds.categories, [
+    { value: 'port', count: 2 },
+    { value: 'road', count: 1 },
+    { value: 'town', count: 1 },
+  ]);
+  assert.deepEqual([kinds.rowCount, kinds.valueCount, kinds.min], [5, 4, null]);
+  assert.equal(
+    getBrowserSqliteFieldSummary(database, { datasetId: 'missing', field: 'kind' }).rowCount,
+    0,
+  );
+  assert.deepEqual(getBrowserSqliteFieldSummary(database, { datasetId: 'dataset-a' }).categories, []);
+
+  // Map results carry only the requested columns, for their own dataset.
+  const styled = queryBrowserSqliteMapView(database, {
+    bounds: WORLD,
+    datasetIds: ['dataset-a'],
+    styleFields: [
+      { datasetId: 'dataset-a', field: 'kind' },
+      { datasetId: 'dataset-a', field: 'population' },
+      { datasetId: 'dataset-b', field: 'kind' },
+    ],
+  });
+  assert.deepEqual(styled.points.map(({ styleValues }) => styleValues), [
+    { kind: 'port', population: '1200' },
+    { kind: 'town', population: '300' },
+    { kind: 'port', population: '4.5e3' },
+    { kind: '', population: 'unknown' },
+  ]);
+  assert.deepEqual(styled.lines[0].styleValues, { kind: 'road', population: '10' });
+  const unstyled = queryBrowserSqliteMapView(database, { bounds: WORLD, datasetIds: ['dataset-a'] });
+  assert.equal('styleValues' in unstyled.points[0], false);
+  assert.equal('styleValues' in unstyled.lines[0], false);
+
+  assert.throws(() => getBrowserSqliteFieldSummary(null), TypeError);
+} finally {
+  closeBrowserSqliteDatabase(database);
+}
+
+console.log('Browser SQLite field summary smoke test passed.');
+
+function row(values) {
+  return Object.fromEntries(HEADERS.map((header) => [
+    header,
+    values[header] ?? (header === 'featureType' ? 'point' : ''),
+  ]));
+}
+
+function importDataset(targetDatabase, datasetId, rows) {
+  const activeImport = beginBrowserSqliteFileImport(targetDatabase, {
+    datasetId,
+    fileName: `${datasetId}.csv`,
+  });
+  insertBrowserSqliteImportRowBatch(activeImport, rows);
+  return completeBrowserSqliteFileImport(activeImport, {
+    headers: HEADERS,
+    totalParsedRowCount: rows.length,
+    skippedRowCount: 0,
+    detectedFields: {
+      latField: 'lat',
+      lonField: 'lon',
+      yearField: null,
+      dateField: null,
+      dayOfYearField: null,
+      yearFromField: null,
+      yearToField: null,
+      dateFromField: null,
+      dateToField: null,
+    },
+    coordinateMapping: { latField: 'lat', lonField: 'lon' },
+    warnings: [],
+    importedAt: '2026-07-26T18:00:00.000Z',
+  });
+}
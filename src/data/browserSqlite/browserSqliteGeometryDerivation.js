@@ -1,12 +1,18 @@
+import { getCoordinateTransform } from '../../components/coordinateSystems.js';
 import {
-  isValidLat,
-  isValidLon,
-  parseFlexibleFloat,
-} from '../../components/geoColumns.js';
+  hasMappedCoordinates,
+  readMappedCoordinates,
+} from '../../components/coordinateText.js';
+import { isValidLat, isValidLon } from '../../components/geoColumns.js';
 import {
   detectFeatureTypeField,
   getRowFeatureType,
 } from '../../components/featureTypes.js';
+import {
+  detectWktField,
+  parseWktGeometry,
+  resolveWktFeatureParts,
+} from '../../components/wktGeometry.js';
 import {
   getBrowserSqliteTimelineExtent,
 } from './browserSqliteTimeline.js';
@@ -51,8 +57,12 @@ export function rebuildBrowserSqliteGeometryFeatures(database, datasetId) {
   const mapping = parseJsonObject(metadata.coordinate_mapping_json);
   const detectedFields = parseJsonObject(metadata.detected_fields_json);
   const featureTypeField = detectFeatureTypeField(headers);
-  const latField = normalizeNullableString(mapping.latField);
-  const lonField = normalizeNullableString(mapping.lonField);
+  const wktField = detectWktField(headers);
+  const columns = {
+    latField: normalizeNullableString(mapping.latField),
+    lonField: normalizeNullableString(mapping.lonField),
+    coordinateField: normalizeNullableString(mapping.coordinateField),
+  };
   const counts = {
     lineFeatureCount: 0,
     skippedLineCount: 0,
@@ -68,12 +78,13 @@ export function rebuildBrowserSqliteGeometryFeatures(database, datasetId) {
 
   try {
     createStagingTable(database);
-    if (latField && lonField && featureTypeField) {
+    if ((hasMappedCoordinates(columns) && featureTypeField) || wktField) {
       stageGeometryVertices(database, {
         datasetId: normalizedId,
         featureTypeField,
-        latField,
-        lonField,
+        wktField,
+        columns,
+        transform: getCoordinateTransform(mapping.coordinateSystem),
         counts,
       });
       writeGeometryFeatures(database, {
@@ -108,13 +119,15 @@ export function rebuildBrowserSqliteGeometryFeatures(database, datasetId) {
  *
  * Invalid geometry never removes or changes the corresponding source row.
  * Missing identifiers and invalid coordinates increment the same skipped
- * counters as the current raw-browser derivation helpers.
+ * counters as the current raw-browser derivation helpers. A parseable WKT
+ * value takes precedence over vertex columns for its row.
  */
 function stageGeometryVertices(database, {
   datasetId,
   featureTypeField,
-  latField,
-  lonField,
+  wktField,
+  columns,
+  transform,
   counts,
 }) {
   const sourceRows = database.prepare(`
@@ -149,12 +162,20 @@ function stageGeometryVertices(database, {
       const stored = sourceRows.getAsObject();
       const sourceRowIndex = normalizeSourceRowIndex(stored.source_row_index);
       const row = parseJsonObject(stored.row_json);
+      const wktGeometry = wktField ? parseWktGeometry(row[wktField]) : null;
+      if (wktGeometry) {
+        if (wktGeometry.featureType !== 'point') {
+          stageWktGeometry(insertVertex, row, sourceRowIndex, wktGeometry);
+        }
+        continue;
+      }
+
+      if (!featureTypeField || !hasMappedCoordinates(columns)) continue;
       const geometryType = getRowFeatureType(row, featureTypeField);
       if (geometryType !== 'line' && geometryType !== 'region') continue;
 
       const featureId = normalizeNullableString(row.featureId);
-      const lat = parseFlexibleFloat(row[latField]);
-      const lon = parseFlexibleFloat(row[lonField]);
+      const [lat, lon] = transform.toWgs84(...readMappedCoordinates(row, columns));
       if (!featureId || !isValidLat(lat) || !isValidLon(lon)) {
         incrementSkipped(counts, geometryType);
         continue;
@@ -185,12 +206,41 @@ function stageGeometryVertices(database, {
   }
 }
 
+/**
+ * Stage every vertex of one WKT row. Fractional sort keys keep the row's
+ * vertices contiguous when several rows share a feature ID and part.
+ */
+function stageWktGeometry(insertVertex, row, sourceRowIndex, geometry) {
+  const { featureId, parts } = resolveWktFeatureParts(row, sourceRowIndex, geometry);
+
+  geometry.parts.forEach((coordinates, partIndex) => {
+    coordinates.forEach(([lat, lon], vertexIndex) => {
+      insertVertex.run([
+        geometry.featureType,
+        featureId,
+        parts[partIndex],
+        sourceRowIndex,
+        sourceRowIndex + vertexIndex / coordinates.length,
+        lat,
+        lon,
+        compactString(row.color),
+        compactString(row.weight),
+        compactString(row.opacity),
+        compactString(row.fillColor),
+        compactString(row.fillOpacity),
+        compactString(row.arrow),
+      ]);
+    });
+  });
+}
+
 /**
  * Resolve ordered staged vertices and insert one compact indexed geometry.
  *
- * Feature and part order use their first valid source rows. Vertex order uses
- * explicit numeric order when present and source order otherwise. Equal keys
- * fall back to source order, matching stable JavaScript sorting.
+ * Feature and part order use their first valid source rows; parts of one WKT
+ * row share that row and stay apart by part ID. Vertex order uses explicit
+ * numeric order when present and source order otherwise. Equal keys fall back
+ * to source order, matching stable JavaScript sorting.
  */
 function writeGeometryFeatures(database, context) {
   const vertices = database.prepare(`
@@ -211,6 +261,7 @@ function writeGeometryFeatures(database, context) {
       geometry_type,
       feature_order_index,
       part_order_index,
+      part,
       sort_order,
       source_row_index
   `);
@@ -234,10 +285,12 @@ function writeGeometryFeatures(database, context) {
       max_lon,
       timeline_start_year,
       timeline_end_year,
+      timeline_start_day,
+      timeline_end_day,
       coordinates_json,
       style_json,
       arrow_mode
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   let group = null;
 
@@ -338,6 +391,8 @@ function writeGeometryGroup(group, context, sourceRow, insertGeometry) {
     bounds.maxLon,
     timeline?.startYear ?? null,
     timeline?.endYear ?? null,
+    timeline?.startDay ?? null,
+    timeline?.endDay ?? null,
     JSON.stringify(coordinates),
     JSON.stringify(style),
     arrow,
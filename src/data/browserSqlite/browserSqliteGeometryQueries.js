@@ -1,10 +1,21 @@
+import { normalizeAttributeFilters } from '../../components/attributeFilters.js';
+import { normalizeStyleFields } from '../../components/styleRules.js';
+import { getTimelineDayRange } from '../../components/timelineDates.js';
+import { buildAttributeFilterClauses } from './browserSqliteAttributeFilters.js';
+import {
+  buildStyleValueColumn,
+  parseStyleValues,
+} from './browserSqliteStyleValues.js';
+
 export const DEFAULT_BROWSER_SQLITE_GEOMETRY_LIMIT = 1_000;
 export const MAX_BROWSER_SQLITE_GEOMETRY_LIMIT = 10_000;
 
 /**
  * Query compact line and region records whose bounding boxes may intersect a
- * viewport. Dataset, spatial, and inclusive timeline filters execute entirely
- * in SQLite; complete source-row JSON is never selected.
+ * viewport. Dataset, spatial, attribute, and inclusive timeline filters
+ * execute entirely in SQLite; complete source-row JSON is never selected.
+ * Attribute filters and style columns read the derivation-selected row that
+ * also supplies the feature's details.
  *
  * Bounding-box false positives are intentionally retained. This conservative
  * first pass cannot miss a crossing geometry merely because every individual
@@ -28,13 +39,19 @@ export function queryBrowserSqliteGeometries(database, query = {}) {
   const filter = buildGeometryFilter({
     bounds,
     datasetIds,
+    attributeFilters: normalizeAttributeFilters(query.attributeFilters),
     timeline: query.timeline,
   });
   const matching = countMatchingGeometries(database, filter);
   const boundsOnly = filter.usesTimeline
     ? countMatchingGeometries(database, filter.boundsOnly)
     : matching;
-  const rows = selectGeometries(database, filter, geometryLimit);
+  const rows = selectGeometries(
+    database,
+    filter,
+    geometryLimit,
+    buildStyleValueColumn(normalizeStyleFields(query.styleFields), 'geometry_features'),
+  );
   const features = rows.map(storedRowToGeometry).filter(Boolean);
   const lines = features
     .filter((feature) => feature.geometryType === 'line')
@@ -74,7 +91,7 @@ export function queryBrowserSqliteGeometries(database, query = {}) {
 }
 
 /** Select complete compact coordinate sequences in deterministic source order. */
-function selectGeometries(database, filter, geometryLimit) {
+function selectGeometries(database, filter, geometryLimit, styleColumn) {
   return readAll(database, `
     SELECT
       geometry_features.dataset_id,
@@ -85,7 +102,8 @@ function selectGeometries(database, filter, geometryLimit) {
       geometry_features.coordinates_json,
       geometry_features.style_json,
       geometry_features.arrow_mode,
-      datasets.coordinate_mapping_json
+      datasets.coordinate_mapping_json,
+      ${styleColumn.sql} AS style_values_json
     FROM geometry_features
     INNER JOIN datasets ON datasets.id = geometry_features.dataset_id
     ${filter.sql}
@@ -97,7 +115,7 @@ function selectGeometries(database, filter, geometryLimit) {
       geometry_features.feature_id,
       geometry_features.part
     LIMIT $geometryLimit
-  `, { ...filter.params, $geometryLimit: geometryLimit });
+  `, { ...filter.params, ...styleColumn.params, $geometryLimit: geometryLimit });
 }
 
 function storedRowToGeometry(row) {
@@ -117,6 +135,7 @@ function storedRowToGeometry(row) {
   }
 
   const mapping = parseJsonObject(row.coordinate_mapping_json);
+  const styleValues = parseStyleValues(row.style_values_json);
   const part = geometryType === 'region'
     ? normalizeNullableString(row.part) ?? '0'
     : null;
@@ -135,6 +154,7 @@ function storedRowToGeometry(row) {
     sourceRef: { datasetId, rowIndex: sourceRowIndex },
     latField: normalizeNullableString(mapping.latField),
     lonField: normalizeNullableString(mapping.lonField),
+    ...(styleValues ? { styleValues } : {}),
   };
 }
 
@@ -143,9 +163,13 @@ function removeGeometryType(feature) {
   return normalized;
 }
 
-/** Build conservative viewport and timeline overlap clauses. */
-function buildGeometryFilter({ bounds, datasetIds, timeline }) {
+/** Build conservative viewport, attribute, and timeline overlap clauses. */
+function buildGeometryFilter({ bounds, datasetIds, attributeFilters, timeline }) {
   const datasetFilter = createDatasetFilter(datasetIds);
+  const attributeFilter = buildAttributeFilterClauses(
+    attributeFilters,
+    'geometry_features',
+  );
   const boundsClauses = [
     datasetFilter.sql,
     'geometry_features.max_lat >= $south',
@@ -157,9 +181,11 @@ function buildGeometryFilter({ bounds, datasetIds, timeline }) {
         + ')'
       : 'geometry_features.max_lon >= $west '
         + 'AND geometry_features.min_lon <= $east',
+    ...attributeFilter.clauses,
   ];
   const boundsParams = {
     ...datasetFilter.params,
+    ...attributeFilter.params,
     $south: bounds.south,
     $north: bounds.north,
     $west: bounds.west,
@@ -171,13 +197,14 @@ function buildGeometryFilter({ bounds, datasetIds, timeline }) {
 
   if (normalizedTimeline) {
     clauses.push(
-      'geometry_features.timeline_start_year IS NOT NULL',
-      'geometry_features.timeline_end_year IS NOT NULL',
-      'geometry_features.timeline_start_year <= $timelineEndYear',
-      'geometry_features.timeline_end_year >= $timelineStartYear',
+      'geometry_features.timeline_start_day IS NOT NULL',
+      'geometry_features.timeline_end_day IS NOT NULL',
+      'geometry_features.timeline_start_day <= $timelineEndDay',
+      'geometry_features.timeline_end_day >= $timelineStartDay',
     );
-    params.$timelineStartYear = normalizedTimeline.startYear;
-    params.$timelineEndYear = normalizedTimeline.endYear;
+    const dayRange = getTimelineDayRange(normalizedTimeline);
+    params.$timelineStartDay = dayRange.startDay;
+    params.$timelineEndDay = dayRange.endDay;
   }
 
   return {
@@ -280,9 +307,14 @@ function normalizeTimeline(value) {
   const startYear = normalizeOptionalInteger(value.startYear ?? value.yearMin);
   const endYear = normalizeOptionalInteger(value.endYear ?? value.yearMax);
   if (startYear == null || endYear == null) return null;
+  const startEpochDay = normalizeOptionalInteger(value.startEpochDay);
+  const endEpochDay = normalizeOptionalInteger(value.endEpochDay);
   return {
     startYear: Math.min(startYear, endYear),
     endYear: Math.max(startYear, endYear),
+    ...(startEpochDay != null && endEpochDay != null
+      ? { startEpochDay: Math.min(startEpochDay, endEpochDay), endEpochDay: Math.max(startEpochDay, endEpochDay) }
+      : {}),
   };
 }
 
@@ -20,7 +20,10 @@ import {
 import {
   getBrowserSqliteDatasetSummary,
 } from './browserSqliteDatasetQueries.js';
-import { exportBrowserSqliteDatasetCsv } from './browserSqliteDatasetExport.js';
+import {
+  exportBrowserSqliteDatasetCsv,
+  exportBrowserSqliteDatasetGeoJson,
+} from './browserSqliteDatasetExport.js';
 import {
   getBrowserSqliteFeatureDetails,
 } from './browserSqlitePointDetails.js';
@@ -29,6 +32,10 @@ import {
 } from './browserSqlitePointQueries.js';
 import {
   getBrowserSqliteLogicalZone,
+  getBrowserSqliteZoneEditHistory,
+  redoBrowserSqliteZoneEdit,
+  revertBrowserSqliteLogicalZone,
+  undoBrowserSqliteZoneEdit,
   updateBrowserSqliteLogicalZone,
 } from './browserSqliteZoneAdjustments.js';
 
@@ -199,6 +206,29 @@ try {
   assert.equal(timeline.stats.skippedLinesByTimeline, 7);
   assert.equal(timeline.stats.skippedRegionsByTimeline, 1);
 
+  // Geometry attribute filters test the row that supplies the feature details.
+  const areaOnly = queryBrowserSqliteMapView(database, {
+    bounds: { north: 90, south: -90, east: 180, west: -180 },
+    attributeFilters: [
+      { datasetId: 'dataset-a', field: 'name', operator: 'contains', value: 'area' },
+    ],
+    renderBudget: 100,
+  });
+  assert.deepEqual(areaOnly.lines.map((line) => line.id), ['dataset-b:route']);
+  assert.deepEqual(
+    areaOnly.regions.map((region) => `${region.featureId}:${region.part}`),
+    ['area:south', 'area:north'],
+  );
+  assert.equal(areaOnly.points.length, 0);
+  assert.equal(areaOnly.stats.totalMatchingRegionCount, 2);
+  assert.deepEqual(queryBrowserSqliteMapView(database, {
+    bounds: { north: 90, south: -90, east: 180, west: -180 },
+    attributeFilters: [
+      { datasetId: 'dataset-a', field: 'name', operator: 'equals', value: 'route detail' },
+    ],
+    renderBudget: 100,
+  }).lines.map((line) => line.id), ['dataset-a:route', 'dataset-b:route']);
+
   const details = getBrowserSqliteFeatureDetails(database, {
     featureId: north.id,
     sourceRef: north.sourceRef,
@@ -467,6 +497,259 @@ try {
   assert.equal(exportedZoneRows[0].lat, '2');
   assert.equal(exportedZoneRows[0].lon, '3');
 
+  const zoneEditTarget = { datasetId: 'dataset-zone-edit' };
+  const zoneHistory = getBrowserSqliteZoneEditHistory(database, zoneEditTarget);
+  assert.deepEqual([zoneHistory.canUndo, zoneHistory.canRedo], [true, false]);
+  assert.deepEqual(
+    zoneHistory.entries.map(({ editIndex, featureId, kind, undone }) => ({
+      editIndex, featureId, kind, undone,
+    })),
+    [{ editIndex: 0, featureId: 'editable', kind: 'adjust', undone: false }],
+  );
+  const undoneZone = undoBrowserSqliteZoneEdit(database, zoneEditTarget);
+  assert.equal(undoneZone.changed, true);
+  assert.deepEqual(
+    undoneZone.zone.parts.map((part) => part.coordinates),
+    editableZone.parts.map((part) => part.coordinates),
+  );
+  assert.equal(JSON.parse(readScalar(database, `
+    SELECT row_json FROM source_rows
+    WHERE dataset_id = 'dataset-zone-edit' AND source_row_index = 0
+  `)).lat, '1');
+  assert.deepEqual([undoneZone.history.canUndo, undoneZone.history.canRedo], [false, true]);
+  assert.equal(undoBrowserSqliteZoneEdit(database, zoneEditTarget).changed, false);
+  const redoneZone = redoBrowserSqliteZoneEdit(database, zoneEditTarget);
+  assert.deepEqual(redoneZone.zone.parts[0].coordinates, movedParts[0].coordinates);
+  assert.equal(redoBrowserSqliteZoneEdit(database, zoneEditTarget).changed, false);
+  const revertedZone = revertBrowserSqliteLogicalZone(database, {
+    ...zoneEditTarget,
+    featureId: 'editable',
+  });
+  assert.deepEqual(revertedZone.zone.parts[0].coordinates, editableZone.parts[0].coordinates);
+  assert.deepEqual(revertedZone.history.entries.map((entry) => entry.kind), ['revert', 'adjust']);
+  assert.equal(revertBrowserSqliteLogicalZone(database, {
+    ...zoneEditTarget,
+    featureId: 'editable',
+  }).changed, false);
+  // Undoing the revert leaves the moved coordinates that the exports below expect.
+  assert.deepEqual(
+    undoBrowserSqliteZoneEdit(database, zoneEditTarget).zone.parts[0].coordinates,
+    movedParts[0].coordinates,
+  );
+  assert.throws(
+    () => getBrowserSqliteZoneEditHistory(database, { datasetId: 'missing' }),
+    { code: 'dataset-not-found' },
+  );
+
+  importDataset(database, 'dataset-geojson-export', [
+    geometry('Harbour', 'point', '', 10, 20, { year: '1700' }),
+    geometry('Road', 'line', 'road', 1, 1, { order: '1', color: '#ff0000', arrow: 'end' }),
+    geometry('Road two', 'line', 'road', 2, 2, { order: '2' }),
+  ]);
+  const exportedGeoJson = exportBrowserSqliteDatasetGeoJson(database, 'dataset-geojson-export');
+  assert.equal(exportedGeoJson.fileName, 'dataset-geojson-export.geojson');
+  const collection = JSON.parse(exportedGeoJson.geoJsonText);
+  assert.equal(collection.type, 'FeatureCollection');
+  assert.deepEqual(collection.features.map((feature) => feature.geometry), [
+    { type: 'Point', coordinates: [20, 10] },
+    { type: 'LineString', coordinates: [[1, 1], [2, 2]] },
+  ]);
+  assert.equal(Object.hasOwn(collection.features[0], 'id'), false);
+  assert.equal(collection.features[0].properties.name, 'Harbour');
+  assert.equal(collection.features[0].properties.year, '1700');
+  assert.equal(Object.hasOwn(collection.features[0].properties, 'lat'), false);
+  assert.equal(Object.hasOwn(collection.features[0].properties, 'featureType'), false);
+  assert.equal(collection.features[0].properties.altLat, '40');
+  assert.equal(collection.features[1].id, 'road');
+  assert.equal(collection.features[1].properties.color, '#ff0000');
+  assert.equal(collection.features[1].properties.weight, 3);
+  assert.equal(collection.features[1].properties.arrow, 'end');
+
+  const zoneCollection = JSON.parse(
+    exportBrowserSqliteDatasetGeoJson(database, 'dataset-zone-edit').geoJsonText,
+  );
+  assert.equal(zoneCollection.features.length, 1);
+  assert.equal(zoneCollection.features[0].id, 'editable');
+  assert.equal(zoneCollection.features[0].geometry.type, 'MultiPolygon');
+  // Committed zone moves are exported as [lon, lat] rings closed on the first vertex.
+  assert.deepEqual(zoneCollection.features[0].geometry.coordinates, movedParts.map((part) => [
+    part.coordinates.map(([lat, lon]) => [lon, lat]),
+  ]));
+  assert.equal(zoneCollection.features[0].properties.name, 'Main one');
+  // Remapping rebuilds every geometry, so older zone edits no longer apply.
+  assert.equal(updateBrowserSqliteDatasetMapping(database, 'dataset-zone-edit', {
+    latField: 'lat',
+    lonField: 'lon',
+  }).ok, true);
+  assert.deepEqual(
+    getBrowserSqliteZoneEditHistory(database, { datasetId: 'dataset-zone-edit' }),
+    { datasetId: 'dataset-zone-edit', canUndo: false, canRedo: false, entries: [] },
+  );
+
+  importWktDataset(database, 'dataset-wkt', [
+    { name: 'Harbour', WKT: 'POINT (20 10)', featureId: '', color: '' },
+    { name: 'Road', WKT: 'LINESTRING (1 1, 2 2, 3 2)', featureId: 'road', color: '#ff0000' },
+    {
+      name: 'Islands',
+      WKT: 'SRID=4326;MULTIPOLYGON (((0 0, 1 0, 1 1, 0 0)), ((5 5, 6 5, 6 6, 5 5)))',
+      featureId: '',
+      color: '',
+    },
+    { name: 'Broken', WKT: 'POLYGON ((0 0, 1 1))', featureId: '', color: '' },
+  ]);
+  assert.equal(readCount(database, 'point_features', 'dataset-wkt'), 1);
+  assert.deepEqual(
+    JSON.parse(readScalar(database, `
+      SELECT json_array(lat, lon) FROM point_features WHERE dataset_id = 'dataset-wkt'
+    `)),
+    [10, 20],
+  );
+  assert.deepEqual(JSON.parse(readScalar(database, `
+    SELECT json_array(
+      point_feature_count,
+      skipped_point_count,
+      line_feature_count,
+      region_feature_count
+    )
+    FROM datasets WHERE id = 'dataset-wkt'
+  `)), [1, 1, 1, 2]);
+  assert.deepEqual(JSON.parse(readScalar(database, `
+    SELECT coordinates_json FROM geometry_features
+    WHERE dataset_id = 'dataset-wkt' AND geometry_type = 'line'
+  `)), [[1, 1], [2, 2], [2, 3]]);
+  assert.equal(JSON.parse(readScalar(database, `
+    SELECT style_json FROM geometry_features
+    WHERE dataset_id = 'dataset-wkt' AND geometry_type = 'line'
+  `)).color, '#ff0000');
+
+  const wktZone = getBrowserSqliteLogicalZone(database, {
+    datasetId: 'dataset-wkt',
+    featureId: 'row-3',
+  });
+  assert.deepEqual(wktZone.parts.map((part) => part.part), ['0', '1']);
+  assert.deepEqual(wktZone.parts[0].coordinates, [[0, 0], [0, 1], [1, 1], [0, 0]]);
+  updateBrowserSqliteLogicalZone(database, {
+    datasetId: 'dataset-wkt',
+    featureId: 'row-3',
+    parts: wktZone.parts.map((part) => ({
+      part: part.part,
+      coordinates: part.coordinates.map(([lat, lon]) => [lat + 1, lon]),
+    })),
+  });
+  assert.equal(
+    JSON.parse(readScalar(database, `
+      SELECT row_json FROM source_rows
+      WHERE dataset_id = 'dataset-wkt' AND source_row_index = 2
+    `)).WKT,
+    'SRID=4326;MULTIPOLYGON (((0 1, 1 1, 1 2, 0 1)), ((5 6, 6 6, 6 7, 5 6)))',
+  );
+  const wktCollection = JSON.parse(
+    exportBrowserSqliteDatasetGeoJson(database, 'dataset-wkt').geoJsonText,
+  );
+  assert.deepEqual(wktCollection.features.map((feature) => feature.geometry.type), [
+    'Point',
+    'LineString',
+    'MultiPolygon',
+  ]);
+  assert.equal(Object.hasOwn(wktCollection.features[0].properties, 'WKT'), false);
+  const wktRoad = updateBrowserSqliteLogicalZone(database, {
+    datasetId: 'dataset-wkt',
+    featureId: 'road',
+    geometryType: 'line',
+    parts: [{ part: '', coordinates: [[1, 1], [1.5, 1.5], [2, 2], [2, 3]] }],
+  });
+  assert.equal(wktRoad.geometryType, 'line');
+  assert.equal(
+    JSON.parse(readScalar(database, `
+      SELECT row_json FROM source_rows
+      WHERE dataset_id = 'dataset-wkt' AND source_row_index = 1
+    `)).WKT,
+    'LINESTRING (1 1, 1.5 1.5, 2 2, 3 2)',
+  );
+
+  importDataset(database, 'dataset-vertex-edit', [
+    geometry('Field one', 'region', 'field', 0, 0),
+    geometry('Field two', 'region', 'field', 0, 4),
+    geometry('Field three', 'region', 'field', 4, 4),
+    geometry('Field four', 'region', 'field', 4, 0),
+    geometry('Route one', 'line', 'route', 1, 1, { order: '1' }),
+    geometry('Route two', 'line', 'route', 2, 2, { order: '2' }),
+    geometry('Route three', 'line', 'route', 3, 3, { order: '3' }),
+  ]);
+  const vertexTarget = { datasetId: 'dataset-vertex-edit' };
+  const readVertexRows = (featureId) => database.exec(`
+    SELECT source_row_index, row_json FROM source_rows
+    WHERE dataset_id = 'dataset-vertex-edit'
+    ORDER BY source_row_index
+  `)[0].values.map(([sourceRowIndex, rowJson]) => ({ sourceRowIndex, ...JSON.parse(rowJson) }))
+    .filter((row) => row.featureId === featureId)
+    .map((row) => [row.sourceRowIndex, row.name, row.lat, row.lon, row.order]);
+  // Inserting an edge midpoint copies its neighbour's row and renumbers the ring's order.
+  const insertedField = updateBrowserSqliteLogicalZone(database, {
+    ...vertexTarget,
+    featureId: 'field',
+    parts: [{ part: '0', coordinates: [[0, 0], [0, 2], [0, 4], [4, 4], [4, 0], [0, 0]] }],
+  });
+  assert.deepEqual(readVertexRows('field'), [
+    [0, 'Field one', '0', '0', '1'],
+    [1, 'Field two', '0', '4', '3'],
+    [2, 'Field three', '4', '4', '4'],
+    [3, 'Field four', '4', '0', '5'],
+    [7, 'Field one', '0', '2', '2'],
+  ]);
+  assert.deepEqual(JSON.parse(readScalar(database, `
+    SELECT json_array(stored_row_count, total_parsed_row_count)
+    FROM datasets WHERE id = 'dataset-vertex-edit'
+  `)), [8, 8]);
+  // Remapping rebuilds every geometry from source rows and derives the same ring.
+  updateBrowserSqliteDatasetMapping(database, 'dataset-vertex-edit', {
+    latField: 'lat',
+    lonField: 'lon',
+  });
+  assert.deepEqual(getBrowserSqliteLogicalZone(database, {
+    ...vertexTarget,
+    featureId: 'field',
+  }), insertedField);
+
+  const editableRoute = getBrowserSqliteLogicalZone(database, {
+    ...vertexTarget,
+    featureId: 'route',
+    geometryType: 'line',
+  });
+  assert.deepEqual(editableRoute.parts[0].coordinates, [[1, 1], [2, 2], [3, 3]]);
+  // Deleting the first vertex also repoints the part away from its deleted source row.
+  updateBrowserSqliteLogicalZone(database, {
+    ...vertexTarget,
+    featureId: 'route',
+    geometryType: 'line',
+    parts: [{ part: '', coordinates: [[2, 2], [3, 3]] }],
+  });
+  assert.deepEqual(readVertexRows('route'), [
+    [5, 'Route two', '2', '2', '1'],
+    [6, 'Route three', '3', '3', '2'],
+  ]);
+  assert.equal(readScalar(database, 'PRAGMA foreign_key_check'), null);
+  assert.deepEqual(
+    getBrowserSqliteZoneEditHistory(database, vertexTarget).entries
+      .map((entry) => entry.geometryType),
+    ['line'],
+  );
+  assert.deepEqual(
+    undoBrowserSqliteZoneEdit(database, vertexTarget).zone.parts[0].coordinates,
+    editableRoute.parts[0].coordinates,
+  );
+  assert.deepEqual(readVertexRows('route'), [
+    [5, 'Route two', '2', '2', '2'],
+    [6, 'Route three', '3', '3', '3'],
+    [8, 'Route two', '1', '1', '1'],
+  ]);
+  assert.throws(() => updateBrowserSqliteLogicalZone(database, {
+    ...vertexTarget,
+    featureId: 'route',
+    geometryType: 'line',
+    parts: [{ part: '', coordinates: [[1, 1]] }],
+  }), { code: 'operation-failed' });
+
   const committedZone = structuredClone(updatedZone);
   database.run(`
     CREATE TRIGGER fail_zone_update BEFORE UPDATE ON geometry_features
@@ -547,6 +830,33 @@ function importDataset(targetDatabase, datasetId, rows, fieldOverrides = {}) {
   });
 }
 
+function importWktDataset(targetDatabase, datasetId, rows) {
+  const activeImport = beginBrowserSqliteFileImport(targetDatabase, {
+    datasetId,
+    fileName: `${datasetId}.csv`,
+  });
+  insertBrowserSqliteImportRowBatch(activeImport, rows);
+  return completeBrowserSqliteFileImport(activeImport, {
+    headers: ['name', 'WKT', 'featureId', 'color'],
+    totalParsedRowCount: rows.length,
+    skippedRowCount: 0,
+    detectedFields: {
+      latField: null,
+      lonField: null,
+      yearField: null,
+      dateField: null,
+      dayOfYearField: null,
+      yearFromField: null,
+      yearToField: null,
+      dateFromField: null,
+      dateToField: null,
+    },
+    coordinateMapping: { latField: null, lonField: null },
+    warnings: [],
+    importedAt: '2026-07-26T18:00:02.000Z',
+  });
+}
+
 function readCount(targetDatabase, table, datasetId) {
   return readScalar(
     targetDatabase,
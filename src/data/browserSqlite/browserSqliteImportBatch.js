@@ -1,6 +1,6 @@
 import {
   BrowserSqliteImporterError,
-  importBrowserSqliteCsvFile,
+  importBrowserSqliteFile,
 } from './browserSqliteImporter.js';
 import { MAX_BROWSER_SQLITE_IMPORT_FILES } from './browserSqliteProtocol.js';
 
@@ -10,16 +10,19 @@ export { MAX_BROWSER_SQLITE_IMPORT_FILES };
 export const BROWSER_SQLITE_IMPORT_PROGRESS_INTERVAL_MS = 100;
 
 /**
- * Import a bounded browser CSV file list sequentially into one worker database.
+ * Import a bounded browser CSV, GeoJSON or workbook file list sequentially into one
+ * worker database.
  *
- * Every file delegates to the single-file importer and therefore owns one
+ * Every file delegates to the single-file importer for its format and therefore owns one
  * transaction. File failures are recorded without discarding earlier commits.
  * Cancellation stops the active file cooperatively and leaves later files
  * unopened. Progress never contains source rows.
  *
  * @param {object} database Initialized temporary sql.js database.
  * @param {File[]} files Browser CSV files, processed in supplied order.
- * @param {object} [options] Internal worker orchestration options.
+ * @param {object} [options] Internal worker orchestration options;
+ *   `fileOptions[i].sheetName` picks the sheet read from workbook `files[i]`
+ *   and `fileOptions[i].csvOptions` overrides how CSV `files[i]` is parsed.
  * @returns {Promise<object>} Small batch result with per-file metadata.
  */
 export async function importBrowserSqliteCsvBatch(
@@ -27,7 +30,7 @@ export async function importBrowserSqliteCsvBatch(
   files,
   options = {},
 ) {
-  const normalizedFiles = normalizeFiles(files);
+  const normalizedFiles = normalizeFiles(files, options?.fileOptions);
   const settings = normalizeBatchOptions(options);
   const reportProgress = createProgressReporter(settings);
   const results = [];
@@ -64,11 +67,13 @@ export async function importBrowserSqliteCsvBatch(
         index + 1,
         settings.importId,
       );
-      const imported = await importBrowserSqliteCsvFile(
+      const imported = await importBrowserSqliteFile(
         database,
         fileEntry.file,
         {
           datasetId,
+          sheetName: fileEntry.sheetName,
+          csvOptions: fileEntry.csvOptions,
           chunkSizeBytes: settings.chunkSizeBytes,
           batchSize: settings.batchSize,
           now: settings.now,
@@ -140,7 +145,7 @@ export async function importBrowserSqliteCsvBatch(
   };
 }
 
-function normalizeFiles(files) {
+function normalizeFiles(files, fileOptions) {
   if (
     !Array.isArray(files) ||
     files.length === 0 ||
@@ -155,6 +160,8 @@ function normalizeFiles(files) {
   return files.map((file, index) => ({
     file,
     fileName: getSafeFileName(file, index + 1),
+    sheetName: Array.isArray(fileOptions) ? fileOptions[index]?.sheetName ?? null : null,
+    csvOptions: Array.isArray(fileOptions) ? fileOptions[index]?.csvOptions ?? null : null,
   }));
 }
 
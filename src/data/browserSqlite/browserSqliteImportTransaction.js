@@ -1,3 +1,11 @@
+import {
+  detectCoordinateSystem,
+  normalizeCoordinateSystem,
+} from '../../components/coordinateSystems.js';
+import {
+  hasMappedCoordinates,
+  readMappedCoordinates,
+} from '../../components/coordinateText.js';
 import { MAX_CSV_PARSE_WARNINGS } from '../csvParsingCompatibility.js';
 import {
   rebuildBrowserSqlitePointFeatures,
@@ -10,9 +18,13 @@ import { getBrowserSqliteTimelineExtent } from './browserSqliteTimeline.js';
 /** Maximum already-normalized rows accepted by one storage call. */
 export const MAX_BROWSER_SQLITE_IMPORT_BATCH_ROWS = 1_000;
 
+/** Leading source rows sampled to recognize projected coordinate columns. */
+const COORDINATE_SYSTEM_SAMPLE_ROWS = 1_000;
+
 const DETECTED_FIELD_KEYS = Object.freeze([
   'latField',
   'lonField',
+  'coordinateField',
   'yearField',
   'dateField',
   'dayOfYearField',
@@ -162,6 +174,18 @@ export function completeBrowserSqliteFileImport(activeImport, metadata) {
       state.datasetId,
       normalized.detectedFields,
     );
+    // Without an explicit system, projected columns are recognized from the
+    // values themselves, so a SWEREF 99 or RT90 file maps without any setup.
+    const coordinateMapping = normalized.coordinateMapping.coordinateSystem === undefined
+      ? {
+        ...normalized.coordinateMapping,
+        coordinateSystem: detectStoredCoordinateSystem(
+          state.database,
+          state.datasetId,
+          normalized.coordinateMapping,
+        ),
+      }
+      : normalized.coordinateMapping;
     freeActiveStatement(state);
     state.database.run(`
       UPDATE datasets
@@ -183,7 +207,7 @@ export function completeBrowserSqliteFileImport(activeImport, metadata) {
       state.nextSourceRowIndex,
       normalized.skippedRowCount,
       JSON.stringify(normalized.detectedFields),
-      JSON.stringify(normalized.coordinateMapping),
+      JSON.stringify(coordinateMapping),
       recommendedTimelineRange?.startYear ?? null,
       recommendedTimelineRange?.endYear ?? null,
       JSON.stringify(normalized.warnings),
@@ -264,6 +288,30 @@ function calculateRecommendedTimelineRange(database, datasetId, detectedFields)
   return startYear == null || endYear == null ? null : { startYear, endYear };
 }
 
+function detectStoredCoordinateSystem(database, datasetId, coordinateMapping) {
+  if (!hasMappedCoordinates(coordinateMapping)) return null;
+  const rows = database.prepare(`
+    SELECT row_json
+    FROM source_rows
+    WHERE dataset_id = ?
+    ORDER BY source_row_index
+    LIMIT ?
+  `);
+  const samples = [];
+
+  try {
+    rows.bind([datasetId, COORDINATE_SYSTEM_SAMPLE_ROWS]);
+    while (rows.step()) {
+      const row = parseStoredRow(rows.getAsObject().row_json);
+      samples.push(readMappedCoordinates(row, coordinateMapping));
+    }
+  } finally {
+    rows.free();
+  }
+
+  return detectCoordinateSystem(samples);
+}
+
 function parseStoredRow(value) {
   try {
     const parsed = JSON.parse(String(value ?? ''));
@@ -400,10 +448,20 @@ function normalizeCoordinateMapping(value, headers) {
     throwInvalidFinalization('Coordinate mapping must be an object.');
   }
 
-  return {
+  const coordinateMapping = {
     latField: normalizeHeaderReference(value.latField, headers, 'latField'),
     lonField: normalizeHeaderReference(value.lonField, headers, 'lonField'),
+    coordinateField: normalizeHeaderReference(value.coordinateField, headers, 'coordinateField'),
   };
+  if (!Object.hasOwn(value, 'coordinateSystem')) return coordinateMapping;
+
+  const coordinateSystem = normalizeCoordinateSystem(value.coordinateSystem);
+  if (coordinateSystem === undefined) {
+    throwInvalidFinalization(
+      'The coordinate system must be null, a supported EPSG code, or a proj4 string.',
+    );
+  }
+  return { ...coordinateMapping, coordinateSystem };
 }
 
 function normalizeHeaderReference(value, headers, label) {
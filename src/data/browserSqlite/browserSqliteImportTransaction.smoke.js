@@ -227,11 +227,41 @@ try {
     importedAt: '2026-07-26T14:10:00.000Z',
   });
 
+  // Projected columns are recognized when the mapping names no system.
+  const projectedImport = beginBrowserSqliteFileImport(database, {
+    datasetId: 'dataset-sweref',
+    fileName: 'sweref.csv',
+  });
+  insertBrowserSqliteImportRowBatch(projectedImport, [
+    { name: 'Stockholm', northing: '6580822', easting: '674032' },
+    { name: 'Gothenburg', northing: '6399848', easting: '319401' },
+  ]);
+  const projected = completeBrowserSqliteFileImport(projectedImport, {
+    headers: ['name', 'northing', 'easting'],
+    totalParsedRowCount: 2,
+    skippedRowCount: 0,
+    detectedFields: detectedFields({ latField: 'northing', lonField: 'easting' }),
+    coordinateMapping: { latField: 'northing', lonField: 'easting' },
+    warnings: [],
+    importedAt: '2026-07-26T14:15:00.000Z',
+  });
+  assert.equal(projected.pointFeatureCount, 2);
+  assert.equal(
+    getBrowserSqliteDatasetSummary(database).datasets
+      .find((dataset) => dataset.id === 'dataset-sweref').coordinateSystem,
+    'EPSG:3006',
+  );
+  assert.equal(readScalar(
+    database,
+    'SELECT ROUND(lat, 1) FROM point_features WHERE dataset_id = ? AND source_row_index = 1',
+    ['dataset-sweref'],
+  ), 57.7);
+
   assert.equal(countDatasets(database, 'dataset-first'), 1);
   assert.equal(countDatasets(database, 'dataset-reuse'), 1);
   assert.equal(countSourceRows(database, 'dataset-reuse'), 1);
   assert.equal(readScalar(database, 'PRAGMA foreign_key_check'), null);
-  assert.equal(freedInsertStatementCount, 7);
+  assert.equal(freedInsertStatementCount, 8);
   assert.equal(persistenceAccessCount, 0);
 } finally {
   restoreStatementTracking();
@@ -245,6 +275,7 @@ function detectedFields(overrides = {}) {
   return {
     latField: null,
     lonField: null,
+    coordinateField: null,
     yearField: null,
     dateField: null,
     dayOfYearField: null,
@@ -1,4 +1,5 @@
 import Papa from 'papaparse';
+import { detectCoordinateField } from '../../components/coordinateText.js';
 import { autoDetectLatLon } from '../../components/geoColumns.js';
 import {
   autoDetectRangeFields,
@@ -12,6 +13,17 @@ import {
   pushCsvWarning,
   warnForExtraCsvCells,
 } from '../csvParsingCompatibility.js';
+import {
+  getCsvParseConfig,
+  getCsvTextEncoding,
+  normalizeCsvImportOptions,
+} from '../csvImportOptions.js';
+import { GeoJsonRowsError, convertGeoJsonToRows, isGeoJsonFile } from '../geoJsonRows.js';
+import {
+  SpreadsheetRowsError,
+  isSpreadsheetFile,
+  readSpreadsheetRows,
+} from '../spreadsheetRows.js';
 import {
   BrowserSqliteImportTransactionError,
   MAX_BROWSER_SQLITE_IMPORT_BATCH_ROWS,
@@ -29,12 +41,17 @@ export const BROWSER_SQLITE_CSV_ROW_BATCH_SIZE = 500;
 
 const MAX_BROWSER_SQLITE_CSV_CHUNK_SIZE_BYTES = 16 * 1024 * 1024;
 
+/** Leading rows kept to recognize a single coordinate column. */
+const COORDINATE_FIELD_SAMPLE_ROWS = 100;
+
 /**
  * Incrementally import one browser CSV File into the temporary SQLite database.
  *
  * PapaParse reads bounded File slices with no nested parser worker. Normalized
  * rows are retained only until one bounded storage batch is inserted. The file
  * transaction commits only after parsing and metadata finalization succeed.
+ * `options.csvOptions` overrides the delimiter, quoting, encoding and header
+ * row as described in csvImportOptions.js.
  *
  * @param {object} database Initialized temporary sql.js database.
  * @param {File|Blob} file Browser file with safe metadata and slice support.
@@ -56,6 +73,7 @@ export function importBrowserSqliteCsvFile(database, file, options = {}) {
     input.fileName,
     settings,
   );
+  state.headerRowIndex = settings.csvOptions.headerRowIndex;
 
   return new Promise((resolve, reject) => {
     const fail = (error, fallbackCode = 'csv-import-failed') => {
@@ -70,12 +88,11 @@ export function importBrowserSqliteCsvFile(database, file, options = {}) {
       reject(normalizeImporterError(error, fallbackCode));
     };
 
-    try {
+    const parseFile = (encoding) => {
+      if (state.settled) return;
       Papa.parse(file, {
-        delimiter: '',
-        skipEmptyLines: true,
-        quoteChar: '"',
-        escapeChar: '"',
+        ...getCsvParseConfig(settings.csvOptions),
+        encoding,
         worker: false,
         chunkSize: settings.chunkSizeBytes,
         chunk: (result, parser) => {
@@ -102,10 +119,201 @@ export function importBrowserSqliteCsvFile(database, file, options = {}) {
           fail(error, 'csv-read-failed');
         },
       });
-    } catch (error) {
-      fail(error);
+    };
+
+    readCsvFileEncoding(file, settings.csvOptions.encoding).then(
+      (encoding) => {
+        try {
+          parseFile(encoding);
+        } catch (error) {
+          fail(error);
+        }
+      },
+      (error) => fail(error, 'csv-read-failed'),
+    );
+  });
+}
+
+// A byte order mark decides the encoding before PapaParse reads text slices.
+async function readCsvFileEncoding(file, encoding) {
+  const bytes = new Uint8Array(await file.slice(0, 3).arrayBuffer());
+  return getCsvTextEncoding(bytes, encoding);
+}
+
+/**
+ * Import one browser file with the importer that matches its format.
+ *
+ * @param {object} database Initialized temporary sql.js database.
+ * @param {File|Blob} file Browser CSV, GeoJSON, or spreadsheet file.
+ * @param {object} [options] Internal worker orchestration and test options.
+ * @returns {Promise<object>} Small per-file result without source-row arrays.
+ */
+export function importBrowserSqliteFile(database, file, options = {}) {
+  if (isSpreadsheetFile(file)) return importBrowserSqliteSpreadsheetFile(database, file, options);
+  return isGeoJsonFile(file)
+    ? importBrowserSqliteGeoJsonFile(database, file, options)
+    : importBrowserSqliteCsvFile(database, file, options);
+}
+
+/**
+ * Import one browser GeoJSON File into the temporary SQLite database.
+ *
+ * JSON cannot be parsed in bounded slices, so the document is read and
+ * expanded into vertex rows before the file transaction begins. Those rows
+ * then follow the CSV storage path in bounded batches, which keeps
+ * cancellation, progress, derivation, and rollback behavior identical.
+ *
+ * @param {object} database Initialized temporary sql.js database.
+ * @param {File|Blob} file Browser file with safe metadata and text support.
+ * @param {object} [options] Internal worker orchestration and test options.
+ * @returns {Promise<object>} Small per-file result without source-row arrays.
+ */
+export async function importBrowserSqliteGeoJsonFile(database, file, options = {}) {
+  const input = normalizeFileInput(file);
+  const settings = normalizeImportOptions(options);
+  const converted = await readGeoJsonRows(file);
+  if (converted.featureCount === 0) {
+    throw new BrowserSqliteImporterError(
+      'geojson-empty',
+      'The GeoJSON file did not contain any features.',
+    );
+  }
+
+  const activeImport = beginBrowserSqliteFileImport(database, {
+    datasetId: settings.datasetId,
+    fileName: input.fileName,
+    sizeBytes: input.sizeBytes,
+    mimeType: input.mimeType,
+    lastModifiedMs: input.lastModifiedMs,
+  });
+  const state = createParserState(activeImport, input.fileName, settings);
+  state.headers = converted.headers;
+  state.coordinateFields = {
+    latField: converted.latField,
+    lonField: converted.lonField,
+  };
+  state.sawParsedRows = true;
+  state.skippedRowCount = converted.skippedFeatureCount;
+  state.totalParsedRowCount = converted.skippedFeatureCount;
+  for (const warning of converted.warnings) pushCsvWarning(state.warnings, warning);
+
+  try {
+    for (const row of converted.rows) {
+      state.totalParsedRowCount += 1;
+      state.pendingRows.push(row);
+      if (state.pendingRows.length < state.batchSize) continue;
+      flushPendingRows(state);
+      await state.yieldControl();
+      throwIfCanceled(state);
     }
+    const result = finalizeParsedFile(state);
+    state.settled = true;
+    return result;
+  } catch (error) {
+    state.pendingRows.length = 0;
+    try {
+      rollbackBrowserSqliteFileImport(activeImport);
+    } catch {
+      // Preserve the safe importer failure if SQLite already rolled back.
+    }
+    throw normalizeImporterError(error, 'csv-import-failed');
+  }
+}
+
+async function readGeoJsonRows(file) {
+  let text;
+  try {
+    text = await file.text();
+  } catch {
+    throw new BrowserSqliteImporterError(
+      'csv-read-failed',
+      'The GeoJSON file could not be read.',
+    );
+  }
+
+  try {
+    return convertGeoJsonToRows(JSON.parse(text));
+  } catch (error) {
+    // Rejections that name what the JSON is, such as a project file, are kept.
+    throw new BrowserSqliteImporterError(
+      'geojson-invalid',
+      error instanceof GeoJsonRowsError ? error.message : 'The file is not valid GeoJSON.',
+    );
+  }
+}
+
+/**
+ * Import one sheet of a browser .xlsx or .ods workbook.
+ *
+ * The workbook is a ZIP archive, so the chosen sheet is read whole before the
+ * file transaction begins. Its rows then take the CSV row path: the first
+ * non-empty row is the header, and the rest are stored in bounded batches.
+ *
+ * @param {object} database Initialized temporary sql.js database.
+ * @param {File|Blob} file Browser workbook file.
+ * @param {object} [options] Internal worker orchestration and test options;
+ *   `sheetName` picks the sheet, otherwise the first visible one is read.
+ * @returns {Promise<object>} Small per-file result without source-row arrays.
+ */
+export async function importBrowserSqliteSpreadsheetFile(database, file, options = {}) {
+  const input = normalizeFileInput(file);
+  const settings = normalizeImportOptions(options);
+  const sheet = await readSpreadsheetSheet(file, settings.sheetName);
+
+  const activeImport = beginBrowserSqliteFileImport(database, {
+    datasetId: settings.datasetId,
+    fileName: input.fileName,
+    sizeBytes: input.sizeBytes,
+    mimeType: input.mimeType,
+    lastModifiedMs: input.lastModifiedMs,
   });
+  const state = createParserState(activeImport, input.fileName, settings);
+
+  try {
+    for (const row of sheet.rows) {
+      state.sawParsedRows = true;
+      state.parsedLineNumber += 1;
+      processParsedRow(state, row);
+      if (state.parsedLineNumber % state.batchSize !== 0) continue;
+      emitImporterProgress(state, 'parsing');
+      await state.yieldControl();
+      throwIfCanceled(state);
+    }
+    const result = finalizeParsedFile(state);
+    state.settled = true;
+    return result;
+  } catch (error) {
+    state.pendingRows.length = 0;
+    try {
+      rollbackBrowserSqliteFileImport(activeImport);
+    } catch {
+      // Preserve the safe importer failure if SQLite already rolled back.
+    }
+    throw normalizeImporterError(error, 'csv-import-failed');
+  }
+}
+
+async function readSpreadsheetSheet(file, sheetName) {
+  let data;
+  try {
+    data = await file.arrayBuffer();
+  } catch {
+    throw new BrowserSqliteImporterError(
+      'csv-read-failed',
+      'The spreadsheet file could not be read.',
+    );
+  }
+
+  try {
+    return await readSpreadsheetRows(data, sheetName);
+  } catch (error) {
+    throw new BrowserSqliteImporterError(
+      'spreadsheet-invalid',
+      error instanceof SpreadsheetRowsError
+        ? error.message
+        : 'The file is not a readable .xlsx or .ods workbook.',
+    );
+  }
 }
 
 function createParserState(activeImport, fileName, settings) {
@@ -113,10 +321,14 @@ function createParserState(activeImport, fileName, settings) {
     activeImport,
     batchCount: 0,
     batchSize: settings.batchSize,
+    coordinateFields: null,
     fileName,
+    headerRowIndex: 0,
     headers: null,
     parsedLineNumber: 0,
     pendingRows: [],
+    rowsBeforeHeader: 0,
+    sampleRows: [],
     sawParsedRows: false,
     settled: false,
     skippedRowCount: 0,
@@ -171,6 +383,11 @@ function processParsedRow(state, row) {
   if (isCsvRowEmpty(row)) return;
 
   if (!state.headers) {
+    // Rows above a chosen header row are passed over without being counted.
+    if (state.rowsBeforeHeader < state.headerRowIndex) {
+      state.rowsBeforeHeader += 1;
+      return;
+    }
     const headers = normalizeCsvHeaders(row);
     if (headers.length === 0) {
       pushCsvWarning(state.warnings, 'Header row is empty.');
@@ -193,6 +410,8 @@ function processParsedRow(state, row) {
 
 function flushPendingRows(state) {
   if (state.pendingRows.length === 0) return;
+  const sampleSpace = COORDINATE_FIELD_SAMPLE_ROWS - state.sampleRows.length;
+  if (sampleSpace > 0) state.sampleRows.push(...state.pendingRows.slice(0, sampleSpace));
   const stored = insertBrowserSqliteImportRowBatch(
     state.activeImport,
     state.pendingRows,
@@ -223,7 +442,20 @@ function finalizeParsedFile(state) {
     pushCsvWarning(state.warnings, 'No usable data rows were parsed.');
   }
 
-  const detectedFields = detectImportFields(state.headers);
+  // Generated GeoJSON coordinate columns take precedence over header detection.
+  const detected = {
+    ...detectImportFields(state.headers),
+    ...state.coordinateFields,
+  };
+  // Positions written as one "59.33, 18.06", WKT, DMS, or link column replace
+  // separate columns whose values are not numbers.
+  const coordinateField = state.coordinateFields
+    ? null
+    : detectCoordinateField(state.headers, state.sampleRows, detected);
+  const detectedFields = coordinateField
+    ? { ...detected, latField: null, lonField: null, coordinateField }
+    : { ...detected, coordinateField: null };
+  state.sampleRows.length = 0;
   const importedAt = state.now();
   const committed = completeBrowserSqliteFileImport(state.activeImport, {
     headers: state.headers,
@@ -233,6 +465,7 @@ function finalizeParsedFile(state) {
     coordinateMapping: {
       latField: detectedFields.latField,
       lonField: detectedFields.lonField,
+      coordinateField,
     },
     warnings: state.warnings,
     importedAt,
@@ -316,6 +549,8 @@ function normalizeImportOptions(options) {
       MAX_BROWSER_SQLITE_IMPORT_BATCH_ROWS,
       'CSV row batch size',
     ),
+    sheetName: normalizeSheetName(options.sheetName),
+    csvOptions: normalizeCsvOptions(options.csvOptions),
     now: normalizeClock(options.now),
     onProgress: normalizeOptionalCallback(options.onProgress, 'progress callback'),
     shouldCancel: normalizeCancellationCheck(options.shouldCancel),
@@ -342,6 +577,24 @@ function normalizeDatasetId(value) {
   );
 }
 
+function normalizeSheetName(value) {
+  if (value == null) return null;
+  if (typeof value === 'string' && value) return value;
+  throw new BrowserSqliteImporterError(
+    'invalid-import-options',
+    'The sheet name must be a non-empty string.',
+  );
+}
+
+function normalizeCsvOptions(value) {
+  const csvOptions = normalizeCsvImportOptions(value);
+  if (csvOptions) return csvOptions;
+  throw new BrowserSqliteImporterError(
+    'invalid-import-options',
+    'The CSV import options are invalid.',
+  );
+}
+
 function normalizeClock(value) {
   if (value == null) return () => new Date().toISOString();
   if (typeof value === 'function') return value;
@@ -11,7 +11,9 @@ import {
 import {
   BrowserSqliteImporterError,
   importBrowserSqliteCsvFile,
+  importBrowserSqliteFile,
 } from './browserSqliteImporter.js';
+import { queryBrowserSqliteMapView } from './browserSqlitePointQueries.js';
 
 class TestBrowserFile {
   constructor(content, options = {}) {
@@ -21,6 +23,7 @@ class TestBrowserFile {
     this.lastModified = options.lastModified ?? 1_750_000_000_000;
     this.size = this.blob.size;
     this.failAtSliceStart = options.failAtSliceStart ?? null;
+    this.allowText = options.allowText ?? false;
     this.maximumSliceSize = 0;
     this.sliceCount = 0;
     this.textCallCount = 0;
@@ -35,8 +38,15 @@ class TestBrowserFile {
     return this.blob.slice(start, end);
   }
 
+  arrayBuffer() {
+    // Workbooks are ZIP archives and are read whole, like GeoJSON.
+    return this.blob.arrayBuffer();
+  }
+
   text() {
     this.textCallCount += 1;
+    // GeoJSON is one JSON document; only CSV imports must stay slice-based.
+    if (this.allowText) return this.blob.text();
     throw new Error('The importer must not call File.text().');
   }
 }
@@ -76,6 +86,7 @@ try {
   assert.deepEqual(result.detectedFields, {
     latField: 'latitude',
     lonField: 'longitude',
+    coordinateField: null,
     yearField: 'year',
     dateField: 'dateFrom',
     dayOfYearField: 'dayOfYear',
@@ -195,6 +206,28 @@ try {
     .find((dataset) => dataset.id === 'dataset-header-only');
   assert.equal(headerOnlySummary.recommendedTimelineRange, null);
 
+  // One combined position column is recognized when no numeric pair exists.
+  const combinedResult = await importBrowserSqliteCsvFile(
+    database,
+    new TestBrowserFile([
+      'name,city,Location',
+      'Hall,Stockholm,"59.33, 18.06"',
+      'Port,Gothenburg,POINT (11.97 57.71)',
+      'Shop,Lund,',
+    ].join('\n'), { name: 'combined.csv' }),
+    {
+      datasetId: 'dataset-combined',
+      batchSize: 1,
+      now: () => '2026-07-26T15:03:00.000Z',
+    },
+  );
+  assert.equal(combinedResult.importedFeatureCount, 2);
+  assert.equal(combinedResult.detectedFields.coordinateField, 'Location');
+  assert.equal(combinedResult.detectedFields.latField, null);
+  const combinedSummary = getBrowserSqliteDatasetSummary(database).datasets
+    .find((dataset) => dataset.id === 'dataset-combined');
+  assert.equal(combinedSummary.coordinateField, 'Location');
+
   const readFailureFile = new TestBrowserFile(
     'name,lat,lon\nFirst,1,2\nSecond,3,4\nThird,5,6',
     { name: 'read-failure.csv', failAtSliceStart: 18 },
@@ -256,6 +289,274 @@ try {
   );
   assert.equal(countDatasets(database, 'dataset-empty'), 0);
   assert.equal(countDatasets(database, 'dataset-incremental'), 1);
+
+  const geoJson = JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        id: 'castle',
+        properties: { name: 'Castle', year: 1500, lat: 'shadow' },
+        geometry: { type: 'Point', coordinates: [18.1, 59.3] },
+      },
+      {
+        type: 'Feature',
+        properties: { name: 'Road', year: 1600 },
+        geometry: { type: 'LineString', coordinates: [[10, 50], [11, 51]] },
+      },
+      {
+        type: 'Feature',
+        id: 'realm',
+        properties: { name: 'Realm', year: 1700 },
+        geometry: {
+          type: 'MultiPolygon',
+          coordinates: [
+            [[[0, 0], [1, 0], [1, 1], [0, 0]]],
+            [[[5, 5], [6, 5], [6, 6], [5, 5]]],
+          ],
+        },
+      },
+      { type: 'Feature', properties: { name: 'Nowhere' }, geometry: null },
+    ],
+  });
+  const geoJsonFile = new TestBrowserFile(geoJson, {
+    name: 'borders.geojson',
+    type: 'application/geo+json',
+    allowText: true,
+  });
+  const geoJsonResult = await importBrowserSqliteFile(database, geoJsonFile, {
+    datasetId: 'dataset-geojson',
+    batchSize: 3,
+    yieldControl: async () => {},
+    now: () => '2026-07-26T15:06:00.000Z',
+  });
+  assert.equal(geoJsonFile.sliceCount, 0);
+  assert.equal(geoJsonResult.rowCount, 9);
+  assert.equal(geoJsonResult.skippedRowCount, 1);
+  assert.equal(geoJsonResult.importedFeatureCount, 4);
+  assert.equal(geoJsonResult.storedBatchCount, 3);
+  assert.equal(geoJsonResult.detectedFields.latField, 'lat');
+  assert.equal(geoJsonResult.detectedFields.lonField, 'lon');
+  assert.equal(geoJsonResult.detectedFields.yearField, 'year');
+  assert.ok(geoJsonResult.warnings.includes(
+    'Feature 4: skipped because it has no geometry.',
+  ));
+  const geoJsonSummary = getBrowserSqliteDatasetSummary(database).datasets
+    .find((dataset) => dataset.id === 'dataset-geojson');
+  assert.deepEqual(geoJsonSummary.headers, [
+    'featureType', 'featureId', 'part', 'order', 'lat', 'lon',
+    'name', 'year', 'lat_2',
+  ]);
+  assert.deepEqual(geoJsonSummary.recommendedTimelineRange, {
+    startYear: 1500,
+    endYear: 1700,
+  });
+  const geoJsonView = queryBrowserSqliteMapView(database, {
+    bounds: { north: 80, south: -10, east: 30, west: -10 },
+    datasetIds: ['dataset-geojson'],
+    renderBudget: 100,
+  });
+  assert.deepEqual(geoJsonView.points.map((point) => [point.lat, point.lon]), [
+    [59.3, 18.1],
+  ]);
+  assert.deepEqual(geoJsonView.lines.map((line) => line.featureId), ['feature-2']);
+  assert.deepEqual(geoJsonView.lines[0].coordinates, [[50, 10], [51, 11]]);
+  assert.deepEqual(geoJsonView.regions.map((region) => region.id), [
+    'dataset-geojson:realm:0',
+    'dataset-geojson:realm:1',
+  ]);
+  assert.deepEqual(geoJsonView.regions[1].coordinates, [
+    [5, 5], [5, 6], [6, 6], [5, 5],
+  ]);
+
+  await assertImporterRejects(
+    importBrowserSqliteFile(
+      database,
+      new TestBrowserFile('{"type":', {
+        name: 'broken.geojson',
+        allowText: true,
+      }),
+      { datasetId: 'dataset-broken-geojson' },
+    ),
+    'geojson-invalid',
+  );
+  await assertImporterRejects(
+    importBrowserSqliteFile(
+      database,
+      new TestBrowserFile('{"type":"FeatureCollection","features":[]}', {
+        name: 'empty.json',
+        allowText: true,
+      }),
+      { datasetId: 'dataset-empty-geojson' },
+    ),
+    'geojson-empty',
+  );
+  assert.equal(countDatasets(database, 'dataset-broken-geojson'), 0);
+  assert.equal(countDatasets(database, 'dataset-empty-geojson'), 0);
+
+  // MultiLineString members never merge with a feature whose ID looks like theirs.
+  await importBrowserSqliteFile(
+    database,
+    new TestBrowserFile(JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          id: 'a',
+          properties: {},
+          geometry: { type: 'MultiLineString', coordinates: [[[0, 0], [1, 1]], [[2, 2], [3, 3]]] },
+        },
+        {
+          type: 'Feature',
+          id: 'a-1',
+          properties: {},
+          geometry: { type: 'LineString', coordinates: [[4, 4], [5, 5]] },
+        },
+      ],
+    }), { name: 'routes.geojson', allowText: true }),
+    { datasetId: 'dataset-line-ids', yieldControl: async () => {} },
+  );
+  assert.deepEqual(queryBrowserSqliteMapView(database, {
+    bounds: { north: 10, south: -1, east: 10, west: -1 },
+    datasetIds: ['dataset-line-ids'],
+    renderBudget: 100,
+  }).lines.map((line) => [line.featureId, line.coordinates.length]).sort(), [
+    ['a-1', 2],
+    ['a-1_2', 2],
+    ['a-2', 2],
+  ]);
+
+  // Plain .json files are recognized by content; a saved project is named.
+  await assert.rejects(
+    importBrowserSqliteFile(
+      database,
+      new TestBrowserFile('{"format":"csv-map-layer-visualizer-project","version":1}', {
+        name: 'map-project.json',
+        type: 'application/json',
+        allowText: true,
+      }),
+      { datasetId: 'dataset-project-json' },
+    ),
+    (error) => error.code === 'geojson-invalid' && /map project file/.test(error.message),
+  );
+  await assert.rejects(
+    importBrowserSqliteFile(
+      database,
+      new TestBrowserFile('{"type":"Topology","coordinates":[]}', {
+        name: 'other.json',
+        allowText: true,
+      }),
+      { datasetId: 'dataset-other-json' },
+    ),
+    {
+      code: 'geojson-invalid',
+      message: 'The file is not a GeoJSON Feature or FeatureCollection.',
+    },
+  );
+
+  // The chosen sheet takes the CSV header and row rules.
+  const workbook = createStoredZip({
+    'content.xml': [
+      '<office:document-content><office:body><office:spreadsheet>',
+      '<table:table table:name="Cover"><table:table-row><table:table-cell><text:p>Survey</text:p></table:table-cell></table:table-row></table:table>',
+      '<table:table table:name="Finds">',
+      odsRow(['name', 'lat', 'lon', 'name', 'year']),
+      odsRow(['Mound', '59.3', '18.1', 'alias', '1650', 'extra']),
+      '<table:table-row table:number-rows-repeated="200"><table:table-cell/></table:table-row>',
+      odsRow(['Cairn', '57.7', '11.9', '', '1700']),
+      '</table:table></office:spreadsheet></office:body></office:document-content>',
+    ].join(''),
+  });
+  const workbookFile = new TestBrowserFile(workbook, {
+    name: 'finds.ods',
+    type: 'application/vnd.oasis.opendocument.spreadsheet',
+  });
+  const workbookResult = await importBrowserSqliteFile(database, workbookFile, {
+    datasetId: 'dataset-workbook',
+    sheetName: 'Finds',
+    batchSize: 1,
+    yieldControl: async () => {},
+    now: () => '2026-07-26T15:07:00.000Z',
+  });
+  assert.equal(workbookFile.sliceCount, 0);
+  assert.equal(workbookResult.fileName, 'finds.ods');
+  assert.equal(workbookResult.rowCount, 2);
+  assert.equal(workbookResult.importedFeatureCount, 2);
+  assert.equal(workbookResult.detectedFields.yearField, 'year');
+  assert.ok(workbookResult.warnings.includes('Line 2: had 6 values; truncated to 5.'));
+  const workbookSummary = getBrowserSqliteDatasetSummary(database).datasets
+    .find((dataset) => dataset.id === 'dataset-workbook');
+  assert.deepEqual(workbookSummary.headers, ['name', 'lat', 'lon', 'name_2', 'year']);
+  assert.deepEqual(
+    getBrowserSqlitePreviewPage(database, {
+      datasetId: 'dataset-workbook',
+      offset: 0,
+      limit: 5,
+    }).rows.map((row) => row.name),
+    ['Mound', 'Cairn'],
+  );
+
+  // Import options: a Windows-1252 semicolon file with a title line, a comment,
+  // and a row above the header.
+  const optionsFile = new TestBrowserFile(encodeWindows1252([
+    'Utdrag ur ortregistret, 2024',
+    '# Koordinater i WGS 84',
+    'Socknar i Bohuslän;;',
+    'namn;lat;lon',
+    'Kärna;58,1;11,9',
+    '# utgått',
+    'Tjörn;58,0;11,6',
+  ].join('\r\n')), { name: 'orter.csv' });
+  const optionsResult = await importBrowserSqliteCsvFile(database, optionsFile, {
+    datasetId: 'dataset-csv-options',
+    // Skipped lines are taken from the first chunk; later chunks split rows.
+    chunkSizeBytes: 40,
+    csvOptions: {
+      delimiter: ';',
+      encoding: 'windows-1252',
+      skipRows: 1,
+      headerRowIndex: 1,
+      commentPrefix: '#',
+    },
+    now: () => '2026-07-26T15:08:00.000Z',
+  });
+  assert.equal(optionsResult.rowCount, 2);
+  assert.equal(optionsResult.importedFeatureCount, 2);
+  assert.deepEqual(optionsResult.warnings, []);
+  assert.deepEqual(
+    getBrowserSqlitePreviewPage(database, {
+      datasetId: 'dataset-csv-options',
+      offset: 0,
+      limit: 5,
+    }).rows.map((row) => [row.namn, row.lat]),
+    [['Kärna', '58,1'], ['Tjörn', '58,0']],
+  );
+  assert.throws(
+    () => importBrowserSqliteCsvFile(database, optionsFile, {
+      datasetId: 'dataset-csv-options-invalid',
+      csvOptions: { quoteChar: '`' },
+    }),
+    (error) => error instanceof BrowserSqliteImporterError &&
+      error.code === 'invalid-import-options',
+  );
+
+  await assertImporterRejects(
+    importBrowserSqliteFile(database, workbookFile, {
+      datasetId: 'dataset-missing-sheet',
+      sheetName: 'Missing',
+    }),
+    'spreadsheet-invalid',
+  );
+  await assertImporterRejects(
+    importBrowserSqliteFile(
+      database,
+      new TestBrowserFile('name,lat,lon', { name: 'renamed.xlsx' }),
+      { datasetId: 'dataset-not-workbook' },
+    ),
+    'spreadsheet-invalid',
+  );
+  assert.equal(countDatasets(database, 'dataset-missing-sheet'), 0);
+  assert.equal(countDatasets(database, 'dataset-not-workbook'), 0);
   assert.equal(readScalar(database, 'PRAGMA foreign_key_check'), null);
 } finally {
   closeBrowserSqliteDatabase(database);
@@ -265,11 +566,57 @@ try {
 
 console.log('Browser SQLite incremental CSV importer smoke test passed.');
 
+function odsRow(values) {
+  const cells = values.map((value) => (
+    `<table:table-cell><text:p>${value}</text:p></table:table-cell>`
+  ));
+  return `<table:table-row>${cells.join('')}</table:table-row>`;
+}
+
+/** Minimal ZIP archive with stored (uncompressed) entries. */
+function createStoredZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const nameBytes = encoder.encode(name);
+    const content = encoder.encode(text);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint32(18, content.length, true);
+    local.setUint32(22, content.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint32(20, content.length, true);
+    entry.setUint32(24, content.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    parts.push(local, nameBytes, content);
+    directory.push(entry, nameBytes);
+    offset += 30 + nameBytes.length + content.length;
+  }
+  const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, directory.length / 2, true);
+  end.setUint16(10, directory.length / 2, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...directory, end]);
+}
+
+/** Encode text whose characters all fit in one Windows-1252 byte. */
+function encodeWindows1252(text) {
+  return Uint8Array.from(text, (character) => character.charCodeAt(0));
+}
+
 function installFileReaderShim() {
   const originalFileReader = globalThis.FileReader;
 
   globalThis.FileReader = class FileReaderShim {
-    readAsText(blob) {
+    readAsText(blob, encoding = 'utf-8') {
       Promise.resolve().then(async () => {
         if (blob?.simulatedReadFailure) {
           this.error = new Error('simulated private read failure');
@@ -277,7 +624,7 @@ function installFileReaderShim() {
           return;
         }
         try {
-          const result = await blob.text();
+          const result = new TextDecoder(encoding).decode(await blob.arrayBuffer());
           this.onload?.({ target: { result } });
         } catch (error) {
           this.error = error;
@@ -0,0 +1,104 @@
+/** Snapshot file kept in the Origin Private File System for this origin. */
+export const BROWSER_SQLITE_SNAPSHOT_FILE_NAME = 'csv-map-layer-visualizer.sqlite3';
+
+/**
+ * Return true when this context exposes the Origin Private File System.
+ *
+ * @param {object} [storage] `navigator.storage` or a compatible test double.
+ * @returns {boolean} Whether persistent snapshots can be requested.
+ */
+export function isBrowserSqlitePersistenceSupported(
+  storage = globalThis.navigator?.storage,
+) {
+  return typeof storage?.getDirectory === 'function';
+}
+
+/**
+ * Create the worker-owned store for serialized database snapshots.
+ *
+ * The whole database is written as one file after each committed change.
+ * `createWritable()` replaces the file atomically when the stream closes;
+ * browsers that only offer synchronous access handles in workers use those
+ * instead. Missing files read as `null` so a first session starts fresh.
+ *
+ * @param {object} [options] Store options.
+ * @param {object} [options.storage] `navigator.storage` or a compatible test double.
+ * @param {string} [options.fileName] Snapshot file name.
+ * @returns {{ read: Function, write: Function, remove: Function }} Snapshot store.
+ */
+export function createBrowserSqliteSnapshotStore({
+  storage = globalThis.navigator?.storage,
+  fileName = BROWSER_SQLITE_SNAPSHOT_FILE_NAME,
+} = {}) {
+  async function getDirectory() {
+    if (!isBrowserSqlitePersistenceSupported(storage)) {
+      throw new BrowserSqlitePersistenceError(
+        'persistence-unavailable',
+        'Persistent browser storage is unavailable.',
+      );
+    }
+    return storage.getDirectory();
+  }
+
+  async function read() {
+    const directory = await getDirectory();
+    let handle;
+    try {
+      handle = await directory.getFileHandle(fileName);
+    } catch (error) {
+      if (error?.name === 'NotFoundError') return null;
+      throw error;
+    }
+    const file = await handle.getFile();
+    if (file.size === 0) return null;
+    return new Uint8Array(await file.arrayBuffer());
+  }
+
+  async function write(bytes) {
+    if (!(bytes instanceof Uint8Array)) {
+      throw new TypeError('Serialized database bytes are required.');
+    }
+    const directory = await getDirectory();
+    const handle = await directory.getFileHandle(fileName, { create: true });
+
+    if (typeof handle.createWritable === 'function') {
+      const writable = await handle.createWritable();
+      try {
+        await writable.write(bytes);
+        await writable.close();
+      } catch (error) {
+        await writable.abort?.();
+        throw error;
+      }
+      return;
+    }
+
+    const access = await handle.createSyncAccessHandle();
+    try {
+      access.truncate(0);
+      access.write(bytes, { at: 0 });
+      access.flush();
+    } finally {
+      access.close();
+    }
+  }
+
+  async function remove() {
+    const directory = await getDirectory();
+    try {
+      await directory.removeEntry(fileName);
+    } catch (error) {
+      if (error?.name !== 'NotFoundError') throw error;
+    }
+  }
+
+  return Object.freeze({ read, write, remove });
+}
+
+export class BrowserSqlitePersistenceError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'BrowserSqlitePersistenceError';
+    this.code = code;
+  }
+}
@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import {
+  BROWSER_SQLITE_SNAPSHOT_FILE_NAME,
+  createBrowserSqliteSnapshotStore,
+  isBrowserSqlitePersistenceSupported,
+} from './browserSqlitePersistence.js';
+
+assert.equal(isBrowserSqlitePersistenceSupported(undefined), false);
+assert.equal(isBrowserSqlitePersistenceSupported({}), false);
+assert.equal(isBrowserSqlitePersistenceSupported(createFakeStorage()), true);
+
+for (const syncOnly of [false, true]) {
+  const storage = createFakeStorage({ syncOnly });
+  const store = createBrowserSqliteSnapshotStore({ storage });
+
+  assert.equal(await store.read(), null);
+  await store.write(new Uint8Array([1, 2, 3, 4]));
+  assert.deepEqual([...storage.files.get(BROWSER_SQLITE_SNAPSHOT_FILE_NAME)], [1, 2, 3, 4]);
+  // A shorter snapshot must not keep trailing bytes from the previous one.
+  await store.write(new Uint8Array([9]));
+  assert.deepEqual([...await store.read()], [9]);
+
+  await store.remove();
+  assert.equal(storage.files.has(BROWSER_SQLITE_SNAPSHOT_FILE_NAME), false);
+  await store.remove();
+  assert.equal(await store.read(), null);
+  await assert.rejects(store.write([1, 2]), TypeError);
+}
+
+const emptyStorage = createFakeStorage();
+emptyStorage.files.set('empty.sqlite3', new Uint8Array());
+assert.equal(
+  await createBrowserSqliteSnapshotStore({
+    storage: emptyStorage,
+    fileName: 'empty.sqlite3',
+  }).read(),
+  null,
+);
+
+await assert.rejects(
+  createBrowserSqliteSnapshotStore({ storage: {} }).read(),
+  { name: 'BrowserSqlitePersistenceError', code: 'persistence-unavailable' },
+);
+
+console.log('Browser SQLite OPFS snapshot store smoke test passed.');
+
+function createFakeStorage({ syncOnly = false } = {}) {
+  const files = new Map();
+  const directory = {
+    async getFileHandle(name, options = {}) {
+      if (!files.has(name)) {
+        if (!options.create) throw notFound();
+        files.set(name, new Uint8Array());
+      }
+      return createFileHandle(name);
+    },
+    async removeEntry(name) {
+      if (!files.delete(name)) throw notFound();
+    },
+  };
+
+  function createFileHandle(name) {
+    const handle = {
+      async getFile() {
+        const bytes = files.get(name);
+        return {
+          size: bytes.length,
+          arrayBuffer: async () => bytes.slice().buffer,
+        };
+      },
+      async createSyncAccessHandle() {
+        return {
+          truncate: (size) => files.set(name, files.get(name).slice(0, size)),
+          write: (bytes, { at }) => {
+            const next = new Uint8Array(Math.max(files.get(name).length, at + bytes.length));
+            next.set(files.get(name));
+            next.set(bytes, at);
+            files.set(name, next);
+          },
+          flush: () => {},
+          close: () => {},
+        };
+      },
+    };
+    if (!syncOnly) {
+      handle.createWritable = async () => {
+        let pending = new Uint8Array();
+        return {
+          write: async (bytes) => {
+            pending = bytes.slice();
+          },
+          close: async () => {
+            files.set(name, pending);
+          },
+          abort: async () => {},
+        };
+      };
+    }
+    return handle;
+  }
+
+  return {
+    files,
+    getDirectory: async () => directory,
+  };
+}
+
+function notFound() {
+  const error = new Error('Entry not found.');
+  error.name = 'NotFoundError';
+  return error;
+}
@@ -1,3 +1,8 @@
+import { getCoordinateTransform } from '../../components/coordinateSystems.js';
+import {
+  hasMappedCoordinates,
+  readMappedCoordinates,
+} from '../../components/coordinateText.js';
 import {
   isValidLat,
   isValidLon,
@@ -7,6 +12,10 @@ import {
   detectFeatureTypeField,
   getRowFeatureType,
 } from '../../components/featureTypes.js';
+import {
+  detectWktField,
+  parseWktGeometry,
+} from '../../components/wktGeometry.js';
 import {
   getBrowserSqliteTimelineExtent,
 } from './browserSqliteTimeline.js';
@@ -54,8 +63,12 @@ export function rebuildBrowserSqlitePointFeatures(database, datasetId) {
   const mapping = parseJsonObject(metadata.coordinate_mapping_json);
   const detectedFields = parseJsonObject(metadata.detected_fields_json);
   const featureTypeField = detectFeatureTypeField(headers);
+  const wktField = detectWktField(headers);
   const latField = normalizeNullableString(mapping.latField);
   const lonField = normalizeNullableString(mapping.lonField);
+  const coordinateField = normalizeNullableString(mapping.coordinateField);
+  const columns = { latField, lonField, coordinateField };
+  const transform = getCoordinateTransform(mapping.coordinateSystem);
   let pointFeatureCount = 0;
   let skippedPointCount = 0;
 
@@ -64,7 +77,7 @@ export function rebuildBrowserSqlitePointFeatures(database, datasetId) {
     [normalizedId],
   );
 
-  if (latField && lonField) {
+  if (hasMappedCoordinates(columns) || wktField) {
     const sourceRows = database.prepare(`
       SELECT source_row_index, row_json
       FROM source_rows
@@ -82,20 +95,27 @@ export function rebuildBrowserSqlitePointFeatures(database, datasetId) {
           lon,
           timeline_start_year,
           timeline_end_year,
+          timeline_start_day,
+          timeline_end_day,
           compact_json
-        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
       sourceRows.bind([normalizedId]);
       while (sourceRows.step()) {
         const stored = sourceRows.getAsObject();
         const row = parseJsonObject(stored.row_json);
+        const wktGeometry = wktField ? parseWktGeometry(row[wktField]) : null;
+        // WKT lines and regions belong to geometry derivation.
+        if (wktGeometry && wktGeometry.featureType !== 'point') continue;
+
         const featureType = getRowFeatureType(row, featureTypeField);
 
         // Explicit line, region, or unknown feature types are not point failures.
-        if (featureType && featureType !== 'point') continue;
+        if (!wktGeometry && featureType && featureType !== 'point') continue;
 
-        const lat = parseFlexibleFloat(row[latField]);
-        const lon = parseFlexibleFloat(row[lonField]);
+        const [lat, lon] = wktGeometry
+          ? wktGeometry.parts[0][0]
+          : transform.toWgs84(...readMappedCoordinates(row, columns));
         if (!isValidLat(lat) || !isValidLon(lon)) {
           skippedPointCount += 1;
           continue;
@@ -109,6 +129,8 @@ export function rebuildBrowserSqlitePointFeatures(database, datasetId) {
           lon,
           timeline?.startYear ?? null,
           timeline?.endYear ?? null,
+          timeline?.startDay ?? null,
+          timeline?.endDay ?? null,
           JSON.stringify(getCompactFields(row, { latField, lonField })),
         ]);
         pointFeatureCount += 1;
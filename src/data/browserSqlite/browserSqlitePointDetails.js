@@ -1,4 +1,7 @@
 import { DEFAULT_GROUP_ROWS_LIMIT } from '../dataSource.js';
+import { normalizeAttributeFilters } from '../../components/attributeFilters.js';
+import { getTimelineDayRange } from '../../components/timelineDates.js';
+import { buildAttributeFilterClauses } from './browserSqliteAttributeFilters.js';
 
 export const MAX_BROWSER_SQLITE_GROUP_ROWS_LIMIT = 100;
 const GROUP_ROWS_SORT_ORDER = 'dataset-source-row';
@@ -63,8 +66,8 @@ export const getBrowserSqlitePointDetails = getBrowserSqliteFeatureDetails;
 /**
  * Return a stable page of source rows represented by one grouped point.
  *
- * The captured dataset set, viewport, timeline, and grid cell reproduce the
- * originating query. Removed or remapped-away points naturally disappear.
+ * The captured dataset set, viewport, attribute filters, timeline, and grid
+ * cell reproduce the originating query. Removed or remapped-away points naturally disappear.
  *
  * @param {{ prepare: Function }} database sql.js database.
  * @param {{ groupRef?: object, offset?: number, limit?: number }} [query] Page request.
@@ -110,6 +113,10 @@ export function getBrowserSqliteGroupRows(database, query = {}) {
 
 function buildGroupFilter(groupRef) {
   const datasetFilter = createDatasetFilter(groupRef.datasetIds);
+  const attributeFilter = buildAttributeFilterClauses(
+    groupRef.attributeFilters,
+    'point_features',
+  );
   const clauses = [
     datasetFilter.sql,
     'point_features.lat BETWEEN $south AND $north',
@@ -122,9 +129,11 @@ function buildGroupFilter(groupRef) {
     `CAST(
       (point_features.lon + 180.0) / $cellWidth AS INTEGER
     ) = $cellLon`,
+    ...attributeFilter.clauses,
   ];
   const params = {
     ...datasetFilter.params,
+    ...attributeFilter.params,
     $north: groupRef.bounds.north,
     $south: groupRef.bounds.south,
     $east: groupRef.bounds.east,
@@ -137,13 +146,14 @@ function buildGroupFilter(groupRef) {
 
   if (groupRef.timeline) {
     clauses.push(
-      'point_features.timeline_start_year IS NOT NULL',
-      'point_features.timeline_end_year IS NOT NULL',
-      'point_features.timeline_start_year <= $timelineEndYear',
-      'point_features.timeline_end_year >= $timelineStartYear',
+      'point_features.timeline_start_day IS NOT NULL',
+      'point_features.timeline_end_day IS NOT NULL',
+      'point_features.timeline_start_day <= $timelineEndDay',
+      'point_features.timeline_end_day >= $timelineStartDay',
     );
-    params.$timelineStartYear = groupRef.timeline.startYear;
-    params.$timelineEndYear = groupRef.timeline.endYear;
+    const dayRange = getTimelineDayRange(groupRef.timeline);
+    params.$timelineStartDay = dayRange.startDay;
+    params.$timelineEndDay = dayRange.endDay;
   }
 
   return {
@@ -171,6 +181,7 @@ function normalizeGroupRef(value) {
     grid,
     timeline,
     datasetIds,
+    attributeFilters: normalizeAttributeFilters(value.attributeFilters),
     sortOrder: GROUP_ROWS_SORT_ORDER,
   };
 }
@@ -239,10 +250,15 @@ function normalizeTimeline(value) {
   const startYear = normalizeInteger(value.startYear);
   const endYear = normalizeInteger(value.endYear);
   if (startYear == null || endYear == null) return undefined;
+  const startEpochDay = normalizeInteger(value.startEpochDay);
+  const endEpochDay = normalizeInteger(value.endEpochDay);
   return {
     timelineEnabled: true,
     startYear: Math.min(startYear, endYear),
     endYear: Math.max(startYear, endYear),
+    ...(startEpochDay != null && endEpochDay != null
+      ? { startEpochDay: Math.min(startEpochDay, endEpochDay), endEpochDay: Math.max(startEpochDay, endEpochDay) }
+      : {}),
   };
 }
 
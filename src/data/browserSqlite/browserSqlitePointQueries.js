@@ -1,6 +1,19 @@
+import { normalizeAttributeFilters } from '../../components/attributeFilters.js';
+import {
+  DENSITY_GRID_CELLS,
+  MAX_DENSITY_CELLS,
+  normalizeHeatmapDatasetIds,
+} from '../../components/densityHeatmap.js';
+import { normalizeStyleFields } from '../../components/styleRules.js';
+import { getTimelineDayRange } from '../../components/timelineDates.js';
+import { buildAttributeFilterClauses } from './browserSqliteAttributeFilters.js';
 import {
   queryBrowserSqliteGeometries,
 } from './browserSqliteGeometryQueries.js';
+import {
+  buildStyleValueColumn,
+  parseStyleValues,
+} from './browserSqliteStyleValues.js';
 
 export const DEFAULT_BROWSER_SQLITE_RENDER_BUDGET = 1_000;
 export const MAX_BROWSER_SQLITE_RENDER_BUDGET = 10_000;
@@ -8,8 +21,14 @@ export const MAX_BROWSER_SQLITE_RENDER_BUDGET = 10_000;
 /**
  * Query compact browser-SQLite point results for one normalized map viewport.
  *
- * Bounds, enabled datasets, and timeline constraints are applied in SQLite
- * before the render-budget decision. Complete source-row JSON is never read.
+ * Bounds, enabled datasets, attribute filters, and timeline constraints are
+ * applied in SQLite before the render-budget decision. Complete source-row
+ * JSON is never returned; attribute filters only read the columns they test,
+ * and exact points carry only the values of requested style columns.
+ *
+ * Points of `heatmapDatasetIds` are counted into a fine viewport grid under
+ * the same filters instead of being returned as markers, and never count
+ * against the render budget.
  *
  * @param {{ prepare: Function }} database sql.js database.
  * @param {object} [query] Backend-neutral map-view query.
@@ -30,7 +49,24 @@ export function queryBrowserSqliteMapView(database, query = {}) {
     );
   }
 
-  const filter = buildPointFilter({ bounds, datasetIds, timeline: query.timeline });
+  const attributeFilters = normalizeAttributeFilters(query.attributeFilters);
+  const heatmapDatasetIds = new Set(normalizeHeatmapDatasetIds(query.heatmapDatasetIds));
+  const markerDatasetIds = datasetIds.filter((id) => !heatmapDatasetIds.has(id));
+  const densityDatasetIds = datasetIds.filter((id) => heatmapDatasetIds.has(id));
+  const density = densityDatasetIds.length > 0
+    ? queryPointDensity(database, bounds, buildPointFilter({
+        bounds,
+        datasetIds: densityDatasetIds,
+        attributeFilters,
+        timeline: query.timeline,
+      }))
+    : null;
+  const filter = buildPointFilter({
+    bounds,
+    datasetIds: markerDatasetIds,
+    attributeFilters,
+    timeline: query.timeline,
+  });
   const totalMatchingCount = countMatchingPoints(database, filter);
   const boundsOnlyCount = filter.usesTimeline
     ? countMatchingPoints(database, filter.boundsOnly)
@@ -38,16 +74,22 @@ export function queryBrowserSqliteMapView(database, query = {}) {
   const skippedPointsByTimeline = Math.max(
     0,
     boundsOnlyCount - totalMatchingCount,
-  );
+  ) + (density?.skippedByTimeline ?? 0);
   const overBudget = totalMatchingCount > renderBudget;
   const grid = overBudget ? getGridSpec(bounds, renderBudget) : null;
   const rows = overBudget
     ? selectGroupedPoints(database, filter, grid, renderBudget)
-    : selectExactPoints(database, filter, renderBudget);
+    : selectExactPoints(
+        database,
+        filter,
+        renderBudget,
+        buildStyleValueColumn(normalizeStyleFields(query.styleFields), 'point_features'),
+      );
   const points = overBudget
     ? rows.map((row) => groupedRowToPoint(row, {
         bounds,
-        datasetIds,
+        datasetIds: markerDatasetIds,
+        attributeFilters,
         timeline: filter.timeline,
         grid,
       }))
@@ -80,9 +122,55 @@ export function queryBrowserSqliteMapView(database, query = {}) {
     // Dataset-wide extent is returned by getDatasetSummary; per-row entries
     // would defeat the compact viewport contract.
     timelineIndex: { entries: [] },
+    ...(density ? { density: density.result } : {}),
   }, geometryResult);
 }
 
+/**
+ * Count heatmap points per viewport cell. Each cell reports the mean position
+ * of its points, so sparse data stays where it is rather than on cell corners.
+ */
+function queryPointDensity(database, bounds, filter) {
+  const grid = getGridSpec(bounds, DENSITY_GRID_CELLS);
+  const totalCount = countMatchingPoints(database, filter);
+  const boundsOnlyCount = filter.usesTimeline
+    ? countMatchingPoints(database, filter.boundsOnly)
+    : totalCount;
+  const cells = readAll(database, `
+    SELECT
+      AVG(lat) AS lat,
+      AVG(lon) AS lon,
+      COUNT(*) AS count,
+      CAST((lat + 90.0) / $cellHeight AS INTEGER) AS cell_lat,
+      CAST((lon + 180.0) / $cellWidth AS INTEGER) AS cell_lon
+    FROM point_features
+    ${filter.sql}
+    GROUP BY cell_lat, cell_lon
+    ORDER BY cell_lat, cell_lon
+    LIMIT $limit
+  `, {
+    ...filter.params,
+    $cellHeight: grid.cellHeight,
+    $cellWidth: grid.cellWidth,
+    $limit: MAX_DENSITY_CELLS,
+  }).map((row) => ({
+    lat: Number(row.lat),
+    lon: Number(row.lon),
+    count: normalizeCount(row.count),
+  }));
+
+  return {
+    result: {
+      cells,
+      cellHeight: grid.cellHeight,
+      cellWidth: grid.cellWidth,
+      maxCount: cells.reduce((max, cell) => Math.max(max, cell.count), 0),
+      totalCount,
+    },
+    skippedByTimeline: Math.max(0, boundsOnlyCount - totalCount),
+  };
+}
+
 function mergeGeometryResult(pointResult, geometryResult) {
   const geometryStats = geometryResult.stats;
   const skippedLinesByTimeline = geometryStats.skippedLinesByTimeline;
@@ -126,19 +214,20 @@ function mergeGeometryResult(pointResult, geometryResult) {
   };
 }
 
-function selectExactPoints(database, filter, renderBudget) {
+function selectExactPoints(database, filter, renderBudget, styleColumn) {
   return readAll(database, `
     SELECT
       dataset_id,
       source_row_index,
       lat,
       lon,
-      compact_json
+      compact_json,
+      ${styleColumn.sql} AS style_values_json
     FROM point_features
     ${filter.sql}
     ORDER BY dataset_id, source_row_index
     LIMIT $limit
-  `, { ...filter.params, $limit: renderBudget });
+  `, { ...filter.params, ...styleColumn.params, $limit: renderBudget });
 }
 
 /** Return one deterministic representative for each occupied viewport cell. */
@@ -197,6 +286,7 @@ function exactRowToPoint(row) {
   const compact = parseJsonObject(row.compact_json);
   const datasetId = String(row.dataset_id);
   const rowIndex = normalizeCount(row.source_row_index);
+  const styleValues = parseStyleValues(row.style_values_json);
   return {
     id: `${datasetId}:${rowIndex}`,
     renderType: 'exact',
@@ -212,6 +302,7 @@ function exactRowToPoint(row) {
     imageHeightMeters: normalizePositiveNumber(compact.imageHeightMeters),
     latField: normalizeNullableString(compact.latField),
     lonField: normalizeNullableString(compact.lonField),
+    ...(styleValues ? { styleValues } : {}),
   };
 }
 
@@ -237,6 +328,9 @@ function groupedRowToPoint(row, context) {
         west: context.bounds.west,
       },
       datasetIds: [...context.datasetIds],
+      ...(context.attributeFilters.length > 0
+        ? { attributeFilters: context.attributeFilters }
+        : {}),
       timeline: context.timeline,
       grid: {
         cellLat,
@@ -256,17 +350,25 @@ function groupedRowToPoint(row, context) {
   };
 }
 
-function buildPointFilter({ bounds, datasetIds, timeline }) {
+function buildPointFilter({ bounds, datasetIds, attributeFilters, timeline }) {
   const datasetFilter = createDatasetFilter(datasetIds);
+  const attributeFilter = buildAttributeFilterClauses(
+    attributeFilters,
+    'point_features',
+  );
+  // Attribute filters stay in the bounds-only filter so rows they hide are
+  // never reported as hidden by the timeline.
   const boundsClauses = [
     datasetFilter.sql,
     'lat BETWEEN $south AND $north',
     bounds.crossesAntimeridian
       ? '(lon >= $west OR lon <= $east)'
       : 'lon BETWEEN $west AND $east',
+    ...attributeFilter.clauses,
   ];
   const boundsParams = {
     ...datasetFilter.params,
+    ...attributeFilter.params,
     $south: bounds.south,
     $north: bounds.north,
     $west: bounds.west,
@@ -278,13 +380,14 @@ function buildPointFilter({ bounds, datasetIds, timeline }) {
 
   if (normalizedTimeline) {
     clauses.push(
-      'timeline_start_year IS NOT NULL',
-      'timeline_end_year IS NOT NULL',
-      'timeline_start_year <= $timelineEndYear',
-      'timeline_end_year >= $timelineStartYear',
+      'timeline_start_day IS NOT NULL',
+      'timeline_end_day IS NOT NULL',
+      'timeline_start_day <= $timelineEndDay',
+      'timeline_end_day >= $timelineStartDay',
     );
-    params.$timelineStartYear = normalizedTimeline.startYear;
-    params.$timelineEndYear = normalizedTimeline.endYear;
+    const dayRange = getTimelineDayRange(normalizedTimeline);
+    params.$timelineStartDay = dayRange.startDay;
+    params.$timelineEndDay = dayRange.endDay;
   }
 
   return {
@@ -390,10 +493,15 @@ function normalizeTimeline(value) {
   const startYear = normalizeOptionalInteger(value.startYear ?? value.yearMin);
   const endYear = normalizeOptionalInteger(value.endYear ?? value.yearMax);
   if (startYear == null || endYear == null) return null;
+  const startEpochDay = normalizeOptionalInteger(value.startEpochDay);
+  const endEpochDay = normalizeOptionalInteger(value.endEpochDay);
   return {
     timelineEnabled: true,
     startYear: Math.min(startYear, endYear),
     endYear: Math.max(startYear, endYear),
+    ...(startEpochDay != null && endEpochDay != null
+      ? { startEpochDay: Math.min(startEpochDay, endEpochDay), endEpochDay: Math.max(startEpochDay, endEpochDay) }
+      : {}),
   };
 }
 
@@ -29,9 +29,9 @@ const database = createBrowserSqliteDatabase(SQL);
 
 try {
   const firstRows = [
-    point('First', 10, 10, 2000, { marker: 'red', image: 'pin.png' }),
-    point('Second', 10, 10, 2001, { featureType: '' }),
-    point('Third', 10, 10, 2002),
+    point('First', 10, 10, 2000, { marker: 'red', image: 'pin.png', size: '12,500' }),
+    point('Second', 10, 10, 2001, { featureType: '', size: ' 12,5' }),
+    point('Third', 10, 10, 2002, { size: '12' }),
     point('Line only', 10, 10, 2001, { featureType: 'line' }),
     point('Invalid', 999, 10, 2001),
     point('Undated', 20, 20, ''),
@@ -142,6 +142,27 @@ try {
     'dataset-c',
   ]);
 
+  // Heatmap datasets are counted per cell under the same filters, never as markers.
+  const heatmap = queryBrowserSqliteMapView(database, {
+    ...exactQuery,
+    heatmapDatasetIds: ['dataset-a', 'missing'],
+    timeline: { timelineEnabled: true, startYear: 2000, endYear: 2001 },
+  });
+  assert.deepEqual(heatmap.points.map((item) => item.id), ['dataset-b:0']);
+  assert.deepEqual(heatmap.density.cells, [{ lat: 10, lon: 10, count: 2 }]);
+  assert.equal(heatmap.density.maxCount, 2);
+  assert.equal(heatmap.density.totalCount, 2);
+  assert.equal(heatmap.stats.skippedPointsByTimeline, 2);
+  assert.equal(Object.hasOwn(exact, 'density'), false);
+  // Heatmap points leave the render budget to the remaining marker datasets.
+  const heatmapOnly = queryBrowserSqliteMapView(database, {
+    ...denseQuery,
+    heatmapDatasetIds: ['dataset-a', 'dataset-b', 'dataset-c'],
+  });
+  assert.deepEqual(heatmapOnly.points, []);
+  assert.equal(heatmapOnly.stats.overBudget, false);
+  assert.equal(heatmapOnly.density.totalCount, 4);
+
   const firstPage = getBrowserSqliteGroupRows(database, {
     groupRef: dense.points[0].groupRef,
     limit: 2,
@@ -168,6 +189,65 @@ try {
   }).totalRows, 4);
   setBrowserSqliteDatasetEnabled(database, 'dataset-b', true);
 
+  // Attribute filters apply before grouping and only to their own dataset.
+  const filteredDense = queryBrowserSqliteMapView(database, {
+    ...denseQuery,
+    attributeFilters: [
+      { datasetId: 'dataset-a', field: 'name', operator: 'contains', value: 'IR' },
+    ],
+  });
+  assert.equal(filteredDense.stats.totalMatchingCount, 3);
+  assert.equal(filteredDense.points[0].count, 3);
+  assert.deepEqual(filteredDense.points[0].groupRef.attributeFilters, [
+    { datasetId: 'dataset-a', field: 'name', operator: 'contains', value: 'IR' },
+  ]);
+  assert.deepEqual(
+    getBrowserSqliteGroupRows(database, {
+      groupRef: filteredDense.points[0].groupRef,
+    }).rows.map((row) => row.name),
+    ['First', 'Third', 'Dataset B'],
+  );
+  const rangeFiltered = queryBrowserSqliteMapView(database, {
+    ...exactQuery,
+    attributeFilters: [
+      { datasetId: 'dataset-a', field: 'year', operator: 'range', min: 2001 },
+      { datasetId: 'dataset-a', field: 'name', operator: 'equals', value: 'third' },
+    ],
+  });
+  assert.deepEqual(
+    rangeFiltered.points.map((item) => item.id),
+    ['dataset-a:2', 'dataset-b:0'],
+  );
+  // Decimal commas are read like coordinates, not as the whole part only.
+  assert.deepEqual(
+    queryBrowserSqliteMapView(database, {
+      ...exactQuery,
+      attributeFilters: [
+        { datasetId: 'dataset-a', field: 'size', operator: 'range', min: 12.4, max: 12.6 },
+      ],
+    }).points.map((item) => item.id),
+    ['dataset-a:1', 'dataset-b:0'],
+  );
+  // A comma setting off three digits groups thousands instead.
+  assert.deepEqual(
+    queryBrowserSqliteMapView(database, {
+      ...exactQuery,
+      attributeFilters: [
+        { datasetId: 'dataset-a', field: 'size', operator: 'range', min: 12000, max: 13000 },
+      ],
+    }).points.map((item) => item.id),
+    ['dataset-a:0', 'dataset-b:0'],
+  );
+  // The undated row's blank year never satisfies a numeric range.
+  assert.deepEqual(queryBrowserSqliteMapView(database, {
+    ...exactQuery,
+    timeline: { timelineEnabled: true, startYear: 2001, endYear: 2001 },
+    attributeFilters: [
+      { datasetId: 'dataset-a', field: 'marker', operator: 'empty' },
+      { datasetId: 'dataset-a', field: 'year', operator: 'range', max: 2100 },
+    ],
+  }).stats.skippedPointsByTimeline, 2);
+
   const details = getBrowserSqlitePointDetails(database, {
     sourceRef: exact.points[0].sourceRef,
   });
@@ -258,6 +338,7 @@ function point(name, lat, lon, year, overrides = {}) {
     image: '',
     imageWidthMeters: '',
     imageHeightMeters: '',
+    size: '',
     ...overrides,
   };
 }
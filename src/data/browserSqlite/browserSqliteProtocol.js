@@ -1,4 +1,16 @@
 import { DEFAULT_PREVIEW_ROWS_LIMIT } from '../dataSource.js';
+import { normalizeCsvImportOptions } from '../csvImportOptions.js';
+import {
+  ATTRIBUTE_FILTER_OPERATORS,
+  MAX_ATTRIBUTE_FILTERS,
+} from '../../components/attributeFilters.js';
+import { normalizeCoordinateSystem } from '../../components/coordinateSystems.js';
+import {
+  DEFAULT_FEATURE_SEARCH_LIMIT,
+  MAX_FEATURE_SEARCH_LIMIT,
+  MAX_FEATURE_SEARCH_TEXT_LENGTH,
+} from '../../components/featureSearch.js';
+import { MAX_STYLE_RULES } from '../../components/styleRules.js';
 
 /** Maximum number of browser files accepted by one import protocol request. */
 export const MAX_BROWSER_SQLITE_IMPORT_FILES = 100;
@@ -12,13 +24,24 @@ export const BROWSER_SQLITE_OPERATIONS = Object.freeze({
   SET_DATASET_ENABLED: 'set-dataset-enabled',
   REMOVE_DATASET: 'remove-dataset',
   EXPORT_DATASET_CSV: 'export-dataset-csv',
+  EXPORT_DATASET_GEOJSON: 'export-dataset-geojson',
   UPDATE_DATASET_MAPPING: 'update-dataset-mapping',
   GET_PREVIEW_PAGE: 'get-preview-page',
   QUERY_MAP_VIEW: 'query-map-view',
   GET_FEATURE_DETAILS: 'get-feature-details',
   GET_GROUP_ROWS: 'get-group-rows',
+  SEARCH_FEATURES: 'search-features',
+  GET_FIELD_SUMMARY: 'get-field-summary',
+  GET_TIMELINE_HISTOGRAM: 'get-timeline-histogram',
   GET_LOGICAL_ZONE: 'get-logical-zone',
   UPDATE_LOGICAL_ZONE: 'update-logical-zone',
+  UNDO_ZONE_EDIT: 'undo-zone-edit',
+  REDO_ZONE_EDIT: 'redo-zone-edit',
+  GET_ZONE_EDIT_HISTORY: 'get-zone-edit-history',
+  REVERT_LOGICAL_ZONE: 'revert-logical-zone',
+  ADD_DRAWN_FEATURE: 'add-drawn-feature',
+  UPDATE_SOURCE_ROW: 'update-source-row',
+  GEOCODE_DATASET: 'geocode-dataset',
   CLOSE: 'close',
 });
 
@@ -222,6 +245,7 @@ function normalizeOperation(value) {
 function normalizeOperationPayload(operation, payload) {
   switch (operation) {
     case BROWSER_SQLITE_OPERATIONS.INITIALIZE:
+      return normalizeInitializePayload(payload);
     case BROWSER_SQLITE_OPERATIONS.GET_DATASET_SUMMARY:
     case BROWSER_SQLITE_OPERATIONS.CLOSE:
       return normalizeEmptyPayload(payload);
@@ -233,6 +257,10 @@ function normalizeOperationPayload(operation, payload) {
       return normalizeDatasetEnabledPayload(payload);
     case BROWSER_SQLITE_OPERATIONS.REMOVE_DATASET:
     case BROWSER_SQLITE_OPERATIONS.EXPORT_DATASET_CSV:
+    case BROWSER_SQLITE_OPERATIONS.EXPORT_DATASET_GEOJSON:
+    case BROWSER_SQLITE_OPERATIONS.UNDO_ZONE_EDIT:
+    case BROWSER_SQLITE_OPERATIONS.REDO_ZONE_EDIT:
+    case BROWSER_SQLITE_OPERATIONS.GET_ZONE_EDIT_HISTORY:
       return normalizeDatasetIdPayload(payload);
     case BROWSER_SQLITE_OPERATIONS.UPDATE_DATASET_MAPPING:
       return normalizeDatasetMappingPayload(payload);
@@ -244,10 +272,23 @@ function normalizeOperationPayload(operation, payload) {
       return normalizeFeatureDetailsPayload(payload);
     case BROWSER_SQLITE_OPERATIONS.GET_GROUP_ROWS:
       return normalizeGroupRowsPayload(payload);
+    case BROWSER_SQLITE_OPERATIONS.SEARCH_FEATURES:
+      return normalizeFeatureSearchPayload(payload);
+    case BROWSER_SQLITE_OPERATIONS.GET_FIELD_SUMMARY:
+      return normalizeFieldSummaryPayload(payload);
+    case BROWSER_SQLITE_OPERATIONS.GET_TIMELINE_HISTOGRAM:
+      return normalizeTimelineHistogramPayload(payload);
     case BROWSER_SQLITE_OPERATIONS.GET_LOGICAL_ZONE:
+    case BROWSER_SQLITE_OPERATIONS.REVERT_LOGICAL_ZONE:
       return normalizeLogicalZoneIdentityPayload(payload);
     case BROWSER_SQLITE_OPERATIONS.UPDATE_LOGICAL_ZONE:
       return normalizeLogicalZoneUpdatePayload(payload);
+    case BROWSER_SQLITE_OPERATIONS.ADD_DRAWN_FEATURE:
+      return normalizeDrawnFeaturePayload(payload);
+    case BROWSER_SQLITE_OPERATIONS.UPDATE_SOURCE_ROW:
+      return normalizeSourceRowUpdatePayload(payload);
+    case BROWSER_SQLITE_OPERATIONS.GEOCODE_DATASET:
+      return normalizeGeocodingPayload(payload);
     default:
       throwProtocolError(
         'unsupported-operation',
@@ -263,8 +304,24 @@ function normalizeEmptyPayload(payload) {
   return {};
 }
 
+/** Persistence is opt-in, so an omitted value keeps the temporary database. */
+function normalizeInitializePayload(payload) {
+  if (payload == null) return {};
+  requirePlainRecord(payload, 'invalid-request', 'The payload must be an object.');
+  requireOnlyKeys(payload, ['persistence']);
+  if (payload.persistence === undefined) return {};
+  const persistence = payload.persistence;
+  if (persistence !== 'temporary' && persistence !== 'persistent') {
+    throwProtocolError(
+      'invalid-request',
+      'Database persistence must be temporary or persistent.',
+    );
+  }
+  return { persistence };
+}
+
 function normalizeImportFilesPayload(payload) {
-  requirePayload(payload, ['importId', 'files']);
+  requirePayload(payload, ['importId', 'files', 'fileOptions']);
   const importId = normalizeIdentifier(
     payload.importId,
     'import ID',
@@ -284,9 +341,46 @@ function normalizeImportFilesPayload(payload) {
   return {
     importId,
     files: payload.files.map(validateBrowserFile),
+    ...(payload.fileOptions == null
+      ? {}
+      : { fileOptions: normalizeImportFileOptions(payload.fileOptions, payload.files.length) }),
   };
 }
 
+/** Per-file import choices, aligned with the file list; null keeps the defaults. */
+function normalizeImportFileOptions(value, fileCount) {
+  if (!Array.isArray(value) || value.length !== fileCount) {
+    throwProtocolError(
+      'invalid-request',
+      'Import file options must match the file list.',
+    );
+  }
+  return value.map((options) => {
+    if (options == null) return null;
+    requirePlainRecord(options, 'invalid-request', 'Import file options must be objects.');
+    requireOnlyKeys(options, ['sheetName', 'csvOptions']);
+    if (
+      options.sheetName != null && (
+        typeof options.sheetName !== 'string' ||
+        !options.sheetName ||
+        options.sheetName.length > MAX_PROTOCOL_ID_LENGTH
+      )
+    ) {
+      throwProtocolError('invalid-request', 'The sheet name is invalid.');
+    }
+    const csvOptions = options.csvOptions == null
+      ? null
+      : normalizeCsvImportOptions(options.csvOptions);
+    if (options.csvOptions != null && !csvOptions) {
+      throwProtocolError('invalid-request', 'The CSV import options are invalid.');
+    }
+    return {
+      ...(options.sheetName == null ? {} : { sheetName: options.sheetName }),
+      ...(csvOptions ? { csvOptions } : {}),
+    };
+  });
+}
+
 function normalizeCancelImportPayload(payload) {
   requirePayload(payload, ['importId']);
   return {
@@ -334,7 +428,7 @@ function normalizeDatasetMappingPayload(payload) {
     'invalid-request',
     'Coordinate mapping must be an object.',
   );
-  requireOnlyKeys(payload.mapping, ['latField', 'lonField']);
+  requireOnlyKeys(payload.mapping, ['latField', 'lonField', 'coordinateField', 'coordinateSystem']);
   const mapping = {};
   if (Object.hasOwn(payload.mapping, 'latField')) {
     mapping.latField = normalizeMappingField(payload.mapping.latField);
@@ -342,6 +436,18 @@ function normalizeDatasetMappingPayload(payload) {
   if (Object.hasOwn(payload.mapping, 'lonField')) {
     mapping.lonField = normalizeMappingField(payload.mapping.lonField);
   }
+  if (Object.hasOwn(payload.mapping, 'coordinateField')) {
+    mapping.coordinateField = normalizeMappingField(payload.mapping.coordinateField);
+  }
+  if (Object.hasOwn(payload.mapping, 'coordinateSystem')) {
+    mapping.coordinateSystem = normalizeCoordinateSystem(payload.mapping.coordinateSystem);
+    if (mapping.coordinateSystem === undefined) {
+      throwProtocolError(
+        'invalid-request',
+        'The coordinate system must be a supported EPSG code or a proj4 string.',
+      );
+    }
+  }
 
   return {
     datasetId: normalizeIdentifier(
@@ -378,6 +484,9 @@ function normalizeMapViewPayload(payload) {
     'timeline',
     'renderBudget',
     'datasetIds',
+    'attributeFilters',
+    'styleFields',
+    'heatmapDatasetIds',
   ]);
   return {
     bounds: normalizeBoundsPayload(payload.bounds),
@@ -390,6 +499,15 @@ function normalizeMapViewPayload(payload) {
       'render budget',
     ),
     datasetIds: normalizeDatasetIdsPayload(payload.datasetIds),
+    ...(payload.attributeFilters == null
+      ? {}
+      : { attributeFilters: normalizeAttributeFiltersPayload(payload.attributeFilters) }),
+    ...(payload.styleFields == null
+      ? {}
+      : { styleFields: normalizeStyleFieldsPayload(payload.styleFields) }),
+    ...(payload.heatmapDatasetIds == null
+      ? {}
+      : { heatmapDatasetIds: normalizeDatasetIdsPayload(payload.heatmapDatasetIds) }),
   };
 }
 
@@ -415,30 +533,91 @@ function normalizeGroupRowsPayload(payload) {
   };
 }
 
+function normalizeFeatureSearchPayload(payload) {
+  requirePayload(payload, ['text', 'limit']);
+  if (
+    typeof payload.text !== 'string'
+    || payload.text.length > MAX_FEATURE_SEARCH_TEXT_LENGTH
+  ) {
+    throwProtocolError('invalid-request', 'Search text must be a bounded string.');
+  }
+  return {
+    text: payload.text,
+    limit: Math.min(
+      normalizeOptionalInteger(
+        payload.limit,
+        DEFAULT_FEATURE_SEARCH_LIMIT,
+        1,
+        'search limit',
+      ),
+      MAX_FEATURE_SEARCH_LIMIT,
+    ),
+  };
+}
+
+function normalizeFieldSummaryPayload(payload) {
+  requirePayload(payload, ['datasetId', 'field']);
+  return {
+    datasetId: normalizeIdentifier(payload.datasetId, 'dataset ID', 'invalid-request'),
+    field: normalizeFieldNamePayload(payload.field, 'A summary column is required.'),
+  };
+}
+
+function normalizeTimelineHistogramPayload(payload) {
+  requirePayload(payload, ['startYear', 'endYear', 'bucketYears', 'attributeFilters']);
+  return {
+    startYear: normalizeRequiredInteger(payload.startYear, 'histogram start year'),
+    endYear: normalizeRequiredInteger(payload.endYear, 'histogram end year'),
+    bucketYears: normalizeOptionalInteger(payload.bucketYears, 1, 1, 'histogram bucket size'),
+    ...(payload.attributeFilters == null
+      ? {}
+      : { attributeFilters: normalizeAttributeFiltersPayload(payload.attributeFilters) }),
+  };
+}
+
 function normalizeLogicalZoneIdentityPayload(payload) {
-  requirePayload(payload, ['datasetId', 'featureId']);
+  requirePayload(payload, ['datasetId', 'featureId', 'geometryType']);
   return {
     datasetId: normalizeIdentifier(payload.datasetId, 'dataset ID', 'invalid-request'),
     featureId: normalizeIdentifier(payload.featureId, 'feature ID', 'invalid-request'),
+    geometryType: normalizeZoneGeometryType(payload.geometryType),
   };
 }
 
+/** Zone requests default to regions; lines are the only other editable geometry. */
+function normalizeZoneGeometryType(value) {
+  if (value == null) return 'region';
+  if (value !== 'region' && value !== 'line') {
+    throwProtocolError('invalid-request', 'A zone geometry type must be region or line.');
+  }
+  return value;
+}
+
 /** Bound complete-zone coordinates before they enter the worker transaction queue. */
 function normalizeLogicalZoneUpdatePayload(payload) {
-  requirePayload(payload, ['datasetId', 'featureId', 'parts']);
+  requirePayload(payload, ['datasetId', 'featureId', 'geometryType', 'parts']);
   const identity = normalizeLogicalZoneIdentityPayload({
     datasetId: payload.datasetId,
     featureId: payload.featureId,
+    geometryType: payload.geometryType,
   });
-  if (!Array.isArray(payload.parts) || payload.parts.length === 0 || payload.parts.length > 1000) {
+  const isLine = identity.geometryType === 'line';
+  if (
+    !Array.isArray(payload.parts)
+    || payload.parts.length === 0
+    || payload.parts.length > (isLine ? 1 : 1000)
+  ) {
     throwProtocolError('invalid-request', 'A bounded logical-zone part list is required.');
   }
   let coordinateCount = 0;
   const parts = payload.parts.map((part) => {
     requirePlainRecord(part, 'invalid-request', 'A logical-zone part must be an object.');
     requireOnlyKeys(part, ['part', 'coordinates']);
-    if (!Array.isArray(part.coordinates) || part.coordinates.length < 4) {
-      throwProtocolError('invalid-request', 'A region part requires a coordinate ring.');
+    if (!Array.isArray(part.coordinates) || part.coordinates.length < (isLine ? 2 : 4)) {
+      throwProtocolError(
+        'invalid-request',
+        isLine ? 'A line requires at least two vertices.' : 'A region part requires a coordinate ring.',
+      );
     }
     coordinateCount += part.coordinates.length;
     const coordinates = part.coordinates.map((coordinate) => {
@@ -450,8 +629,12 @@ function normalizeLogicalZoneUpdatePayload(payload) {
         normalizeFiniteNumber(coordinate[1], 'zone longitude'),
       ];
     });
+    // A line's single part is stored under the empty part identity.
+    if (isLine && part.part !== '') {
+      throwProtocolError('invalid-request', 'A line part must use the empty part ID.');
+    }
     return {
-      part: normalizeIdentifier(part.part, 'part ID', 'invalid-request'),
+      part: isLine ? '' : normalizeIdentifier(part.part, 'part ID', 'invalid-request'),
       coordinates,
     };
   });
@@ -461,6 +644,97 @@ function normalizeLogicalZoneUpdatePayload(payload) {
   return { ...identity, parts };
 }
 
+/** A drawn feature is one point, one line, or one region ring without holes. */
+function normalizeDrawnFeaturePayload(payload) {
+  requirePayload(payload, ['datasetId', 'geometryType', 'coordinates']);
+  const geometryType = payload.geometryType;
+  if (geometryType !== 'point' && geometryType !== 'line' && geometryType !== 'region') {
+    throwProtocolError(
+      'invalid-request',
+      'A drawn feature geometry type must be point, line, or region.',
+    );
+  }
+  if (
+    !Array.isArray(payload.coordinates)
+    || payload.coordinates.length === 0
+    || payload.coordinates.length > 10000
+  ) {
+    throwProtocolError('invalid-request', 'A bounded drawn vertex list is required.');
+  }
+  return {
+    datasetId: normalizeIdentifier(payload.datasetId, 'dataset ID', 'invalid-request'),
+    geometryType,
+    coordinates: payload.coordinates.map((coordinate) => {
+      if (!Array.isArray(coordinate) || coordinate.length !== 2) {
+        throwProtocolError('invalid-request', 'A drawn vertex must be a latitude-longitude pair.');
+      }
+      return [
+        normalizeFiniteNumber(coordinate[0], 'drawn latitude'),
+        normalizeFiniteNumber(coordinate[1], 'drawn longitude'),
+      ];
+    }),
+  };
+}
+
+/** Row edits name existing columns; the worker checks them against the dataset. */
+function normalizeSourceRowUpdatePayload(payload) {
+  requirePayload(payload, ['sourceRef', 'values']);
+  const sourceRef = normalizeSourceRefPayload(payload.sourceRef);
+  if (!sourceRef || sourceRef.rowIndex == null) {
+    throwProtocolError('invalid-request', 'A source reference is required.');
+  }
+  requirePlainRecord(payload.values, 'invalid-request', 'Edited values must be an object.');
+  const entries = Object.entries(payload.values);
+  if (entries.length === 0 || entries.length > 1000) {
+    throwProtocolError('invalid-request', 'A bounded set of edited values is required.');
+  }
+  const values = {};
+  for (const [field, value] of entries) {
+    if (
+      !field.trim()
+      || field.length > MAX_PROTOCOL_ID_LENGTH
+      || field === '__proto__'
+      || typeof value !== 'string'
+      || value.length > 100000
+    ) {
+      throwProtocolError('invalid-request', 'Edited values must be strings keyed by column.');
+    }
+    values[field] = value;
+  }
+  return { sourceRef, values };
+}
+
+/** Geocoding names columns and reviewed rows; the worker checks both against the datasets. */
+function normalizeGeocodingPayload(payload) {
+  requirePayload(payload, ['datasetId', 'gazetteerDatasetId', 'placeField', 'countryField', 'choices']);
+  const placeField = normalizeMappingField(payload.placeField);
+  if (!placeField) {
+    throwProtocolError('invalid-request', 'A place-name column is required.');
+  }
+  const choices = payload.choices ?? [];
+  if (!Array.isArray(choices) || choices.length > 1000) {
+    throwProtocolError('invalid-request', 'Reviewed rows must be a bounded list.');
+  }
+  return {
+    datasetId: normalizeIdentifier(payload.datasetId, 'dataset ID', 'invalid-request'),
+    gazetteerDatasetId: normalizeIdentifier(
+      payload.gazetteerDatasetId,
+      'gazetteer dataset ID',
+      'invalid-request',
+    ),
+    placeField,
+    countryField: normalizeMappingField(payload.countryField),
+    choices: choices.map((choice) => {
+      requirePlainRecord(choice, 'invalid-request', 'A reviewed row must be an object.');
+      requireOnlyKeys(choice, ['rowIndex', 'gazetteerRowIndex']);
+      return {
+        rowIndex: normalizeRequiredInteger(choice.rowIndex, 'reviewed row index'),
+        gazetteerRowIndex: normalizeRequiredInteger(choice.gazetteerRowIndex, 'gazetteer row index'),
+      };
+    }),
+  };
+}
+
 function normalizeBoundsPayload(value) {
   if (value == null) return null;
   requirePlainRecord(value, 'invalid-request', 'Map bounds must be an object.');
@@ -480,6 +754,8 @@ function normalizeTimelinePayload(value) {
     'timelineEnabled',
     'startYear',
     'endYear',
+    'startEpochDay',
+    'endEpochDay',
     'yearMin',
     'yearMax',
     'dayFilterEnabled',
@@ -502,6 +778,8 @@ function normalizeTimelinePayload(value) {
     timelineEnabled: value.timelineEnabled === true,
     startYear: normalizeNullableInteger(value.startYear, 'timeline start year'),
     endYear: normalizeNullableInteger(value.endYear, 'timeline end year'),
+    startEpochDay: normalizeNullableInteger(value.startEpochDay, 'timeline start date'),
+    endEpochDay: normalizeNullableInteger(value.endEpochDay, 'timeline end date'),
     yearMin: normalizeNullableInteger(value.yearMin, 'timeline minimum year'),
     yearMax: normalizeNullableInteger(value.yearMax, 'timeline maximum year'),
     dayFilterEnabled: value.dayFilterEnabled === true,
@@ -520,6 +798,65 @@ function normalizeDatasetIdsPayload(value) {
   )))].sort();
 }
 
+function normalizeAttributeFiltersPayload(value) {
+  if (!Array.isArray(value) || value.length > MAX_ATTRIBUTE_FILTERS) {
+    throwProtocolError('invalid-request', 'Attribute filters must be a bounded array.');
+  }
+  return value.map((filter) => {
+    requirePlainRecord(filter, 'invalid-request', 'An attribute filter must be an object.');
+    requireOnlyKeys(filter, ['datasetId', 'field', 'operator', 'value', 'min', 'max']);
+    if (
+      typeof filter.field !== 'string'
+      || !filter.field.trim()
+      || filter.field.length > MAX_PROTOCOL_ID_LENGTH
+    ) {
+      throwProtocolError('invalid-request', 'An attribute filter column is required.');
+    }
+    if (!ATTRIBUTE_FILTER_OPERATORS.some(({ operator }) => operator === filter.operator)) {
+      throwProtocolError('invalid-request', 'The attribute filter operator is invalid.');
+    }
+    if (
+      filter.value != null
+      && (typeof filter.value !== 'string' || filter.value.length > 1000)
+    ) {
+      throwProtocolError('invalid-request', 'The attribute filter value is invalid.');
+    }
+    return {
+      datasetId: normalizeIdentifier(filter.datasetId, 'dataset ID', 'invalid-request'),
+      field: filter.field,
+      operator: filter.operator,
+      value: filter.value ?? null,
+      min: normalizeNullableFiniteNumber(filter.min, 'attribute filter minimum'),
+      max: normalizeNullableFiniteNumber(filter.max, 'attribute filter maximum'),
+    };
+  });
+}
+
+function normalizeStyleFieldsPayload(value) {
+  if (!Array.isArray(value) || value.length > MAX_STYLE_RULES) {
+    throwProtocolError('invalid-request', 'Style columns must be a bounded array.');
+  }
+  return value.map((entry) => {
+    requirePlainRecord(entry, 'invalid-request', 'A style column must be an object.');
+    requireOnlyKeys(entry, ['datasetId', 'field']);
+    return {
+      datasetId: normalizeIdentifier(entry.datasetId, 'dataset ID', 'invalid-request'),
+      field: normalizeFieldNamePayload(entry.field, 'A style column name is required.'),
+    };
+  });
+}
+
+function normalizeFieldNamePayload(value, message) {
+  if (
+    typeof value !== 'string'
+    || !value.trim()
+    || value.length > MAX_PROTOCOL_ID_LENGTH
+  ) {
+    throwProtocolError('invalid-request', message);
+  }
+  return value;
+}
+
 function normalizeSourceRefPayload(value) {
   if (value == null) return null;
   requirePlainRecord(value, 'invalid-request', 'A source reference must be an object.');
@@ -546,6 +883,7 @@ function normalizeGroupRefPayload(value) {
     'groupId',
     'bounds',
     'datasetIds',
+    'attributeFilters',
     'timeline',
     'grid',
     'sortOrder',
@@ -566,6 +904,9 @@ function normalizeGroupRefPayload(value) {
     groupId,
     bounds: normalizeBoundsPayload(value.bounds),
     datasetIds,
+    ...(value.attributeFilters == null
+      ? {}
+      : { attributeFilters: normalizeAttributeFiltersPayload(value.attributeFilters) }),
     timeline: normalizeTimelinePayload(value.timeline),
     grid,
     sortOrder: 'dataset-source-row',
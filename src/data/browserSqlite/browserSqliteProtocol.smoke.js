@@ -33,6 +33,16 @@ assert.deepEqual(validateBrowserSqliteRequest({
   operation: 'initialize',
   payload: {},
 });
+assert.deepEqual(validateBrowserSqliteRequest({
+  requestId: 'request-initialize-persistent',
+  operation: BROWSER_SQLITE_OPERATIONS.INITIALIZE,
+  payload: { persistence: 'persistent' },
+}).payload, { persistence: 'persistent' });
+assertProtocolError(() => validateBrowserSqliteRequest({
+  requestId: 'request-initialize-invalid',
+  operation: BROWSER_SQLITE_OPERATIONS.INITIALIZE,
+  payload: { persistence: 'forever' },
+}), 'invalid-request');
 assert.deepEqual(validateBrowserSqliteRequest({
   requestId: 'request-summary',
   operation: BROWSER_SQLITE_OPERATIONS.GET_DATASET_SUMMARY,
@@ -120,6 +130,22 @@ assert.deepEqual(validateBrowserSqliteRequest({
     mapping: { latField: 'lat', lonField: null },
   },
 });
+assert.deepEqual(validateBrowserSqliteRequest({
+  requestId: 'request-mapping-system',
+  operation: BROWSER_SQLITE_OPERATIONS.UPDATE_DATASET_MAPPING,
+  payload: {
+    datasetId: 'dataset-1',
+    mapping: { coordinateSystem: 'epsg:3006' },
+  },
+}).payload.mapping, { coordinateSystem: 'EPSG:3006' });
+assert.deepEqual(validateBrowserSqliteRequest({
+  requestId: 'request-mapping-column',
+  operation: BROWSER_SQLITE_OPERATIONS.UPDATE_DATASET_MAPPING,
+  payload: {
+    datasetId: 'dataset-1',
+    mapping: { coordinateField: ' position ' },
+  },
+}).payload.mapping, { coordinateField: 'position' });
 assert.deepEqual(validateBrowserSqliteRequest({
   requestId: 'request-preview',
   operation: BROWSER_SQLITE_OPERATIONS.GET_PREVIEW_PAGE,
@@ -148,6 +174,8 @@ assert.deepEqual(validateBrowserSqliteRequest({
       timelineEnabled: true,
       startYear: 2002,
       endYear: 2000,
+      startEpochDay: 12052,
+      endEpochDay: 10957,
     },
     renderBudget: 50,
     datasetIds: ['dataset-2', 'dataset-1', 'dataset-1'],
@@ -162,6 +190,8 @@ assert.deepEqual(validateBrowserSqliteRequest({
       timelineEnabled: true,
       startYear: 2002,
       endYear: 2000,
+      startEpochDay: 12052,
+      endEpochDay: 10957,
       yearMin: null,
       yearMax: null,
       dayFilterEnabled: false,
@@ -227,6 +257,216 @@ assertProtocolError(() => validateBrowserSqliteRequest({
   },
 }), 'invalid-request');
 
+for (const operation of [
+  BROWSER_SQLITE_OPERATIONS.UNDO_ZONE_EDIT,
+  BROWSER_SQLITE_OPERATIONS.REDO_ZONE_EDIT,
+  BROWSER_SQLITE_OPERATIONS.GET_ZONE_EDIT_HISTORY,
+]) {
+  assert.deepEqual(validateBrowserSqliteRequest({
+    requestId: 'request-zone-history',
+    operation,
+    payload: { datasetId: 'dataset-1' },
+  }).payload, { datasetId: 'dataset-1' });
+  for (const payload of [{}, { datasetId: 'dataset-1', featureId: 'zone' }]) {
+    assertProtocolError(() => validateBrowserSqliteRequest({
+      requestId: 'request-zone-history-invalid',
+      operation,
+      payload,
+    }), 'invalid-request');
+  }
+}
+assert.deepEqual(validateBrowserSqliteRequest({
+  requestId: 'request-zone-revert',
+  operation: BROWSER_SQLITE_OPERATIONS.REVERT_LOGICAL_ZONE,
+  payload: { datasetId: 'dataset-1', featureId: 'zone' },
+}).payload, { datasetId: 'dataset-1', featureId: 'zone', geometryType: 'region' });
+assert.deepEqual(validateBrowserSqliteRequest({
+  requestId: 'request-line-update',
+  operation: BROWSER_SQLITE_OPERATIONS.UPDATE_LOGICAL_ZONE,
+  payload: {
+    datasetId: 'dataset-1',
+    featureId: 'road',
+    geometryType: 'line',
+    parts: [{ part: '', coordinates: [[1, 1], [2, 2]] }],
+  },
+}).payload, {
+  datasetId: 'dataset-1',
+  featureId: 'road',
+  geometryType: 'line',
+  parts: [{ part: '', coordinates: [[1, 1], [2, 2]] }],
+});
+for (const payload of [
+  { geometryType: 'point', parts: [{ part: '', coordinates: [[1, 1], [2, 2]] }] },
+  { geometryType: 'line', parts: [{ part: 'main', coordinates: [[1, 1], [2, 2]] }] },
+  { geometryType: 'line', parts: [{ part: '', coordinates: [[1, 1]] }] },
+]) {
+  assertProtocolError(() => validateBrowserSqliteRequest({
+    requestId: 'request-line-invalid',
+    operation: BROWSER_SQLITE_OPERATIONS.UPDATE_LOGICAL_ZONE,
+    payload: { datasetId: 'dataset-1', featureId: 'road', ...payload },
+  }), 'invalid-request');
+}
+
+assert.deepEqual(validateBrowserSqliteRequest({
+  requestId: 'request-draw',
+  operation: BROWSER_SQLITE_OPERATIONS.ADD_DRAWN_FEATURE,
+  payload: { datasetId: 'dataset-1', geometryType: 'point', coordinates: [[1, 2]] },
+}).payload, { datasetId: 'dataset-1', geometryType: 'point', coordinates: [[1, 2]] });
+for (const payload of [
+  { geometryType: 'circle', coordinates: [[1, 2]] },
+  { geometryType: 'line', coordinates: [] },
+  { geometryType: 'line', coordinates: [[1, 2, 3]] },
+  { geometryType: 'point', coordinates: [['1', 2]] },
+  { geometryType: 'line', coordinates: [[1, 2]], featureId: 'road' },
+]) {
+  assertProtocolError(() => validateBrowserSqliteRequest({
+    requestId: 'request-draw-invalid',
+    operation: BROWSER_SQLITE_OPERATIONS.ADD_DRAWN_FEATURE,
+    payload: { datasetId: 'dataset-1', ...payload },
+  }), 'invalid-request');
+}
+
+assert.deepEqual(validateBrowserSqliteRequest({
+  requestId: 'request-row-edit',
+  operation: BROWSER_SQLITE_OPERATIONS.UPDATE_SOURCE_ROW,
+  payload: {
+    sourceRef: { datasetId: 'dataset-1', rowIndex: 4 },
+    values: { name: 'Harbour', 'opening year': '' },
+  },
+}).payload, {
+  sourceRef: { datasetId: 'dataset-1', rowIndex: 4 },
+  values: { name: 'Harbour', 'opening year': '' },
+});
+for (const payload of [
+  { sourceRef: { datasetId: 'dataset-1' }, values: { name: 'x' } },
+  { sourceRef: { datasetId: 'dataset-1', rowIndex: 4 }, values: {} },
+  { sourceRef: { datasetId: 'dataset-1', rowIndex: 4 }, values: { name: 1 } },
+  { sourceRef: { datasetId: 'dataset-1', rowIndex: 4 }, values: { ' ': 'x' } },
+  { sourceRef: { datasetId: 'dataset-1', rowIndex: 4 }, values: JSON.parse('{"__proto__":"x"}') },
+  { sourceRef: { datasetId: 'dataset-1', rowIndex: 4 }, values: { name: 'x' }, sql: 'UPDATE' },
+]) {
+  assertProtocolError(() => validateBrowserSqliteRequest({
+    requestId: 'request-row-edit-invalid',
+    operation: BROWSER_SQLITE_OPERATIONS.UPDATE_SOURCE_ROW,
+    payload,
+  }), 'invalid-request');
+}
+
+assert.deepEqual(validateBrowserSqliteRequest({
+  requestId: 'request-geocode',
+  operation: BROWSER_SQLITE_OPERATIONS.GEOCODE_DATASET,
+  payload: {
+    datasetId: ' dataset-1 ',
+    gazetteerDatasetId: 'places',
+    placeField: ' Socken ',
+    choices: [{ rowIndex: 4, gazetteerRowIndex: 7 }],
+  },
+}).payload, {
+  datasetId: 'dataset-1',
+  gazetteerDatasetId: 'places',
+  placeField: 'Socken',
+  countryField: null,
+  choices: [{ rowIndex: 4, gazetteerRowIndex: 7 }],
+});
+for (const payload of [
+  { datasetId: 'dataset-1', gazetteerDatasetId: 'places' },
+  { datasetId: 'dataset-1', gazetteerDatasetId: 'places', placeField: ' ' },
+  { datasetId: 'dataset-1', placeField: 'Socken' },
+  { datasetId: 'dataset-1', gazetteerDatasetId: 'places', placeField: 'Socken', countryField: 1 },
+  { datasetId: 'dataset-1', gazetteerDatasetId: 'places', placeField: 'Socken', choices: {} },
+  { datasetId: 'dataset-1', gazetteerDatasetId: 'places', placeField: 'Socken', choices: [{ rowIndex: 4 }] },
+  {
+    datasetId: 'dataset-1',
+    gazetteerDatasetId: 'places',
+    placeField: 'Socken',
+    choices: [{ rowIndex: 4, gazetteerRowIndex: 7, lat: 1 }],
+  },
+  { datasetId: 'dataset-1', gazetteerDatasetId: 'places', placeField: 'Socken', sql: 'UPDATE' },
+]) {
+  assertProtocolError(() => validateBrowserSqliteRequest({
+    requestId: 'request-geocode-invalid',
+    operation: BROWSER_SQLITE_OPERATIONS.GEOCODE_DATASET,
+    payload,
+  }), 'invalid-request');
+}
+
+assert.deepEqual(validateBrowserSqliteRequest({
+  requestId: 'request-search',
+  operation: BROWSER_SQLITE_OPERATIONS.SEARCH_FEATURES,
+  payload: { text: 'harbour' },
+}).payload, { text: 'harbour', limit: 20 });
+assert.equal(validateBrowserSqliteRequest({
+  requestId: 'request-search-limit',
+  operation: BROWSER_SQLITE_OPERATIONS.SEARCH_FEATURES,
+  payload: { text: 'harbour', limit: 5000 },
+}).payload.limit, 100);
+for (const payload of [
+  {},
+  { text: 1 },
+  { text: 'x'.repeat(201) },
+  { text: 'harbour', limit: 0 },
+  { text: 'harbour', sql: 'DROP TABLE datasets' },
+]) {
+  assertProtocolError(() => validateBrowserSqliteRequest({
+    requestId: 'request-search-invalid',
+    operation: BROWSER_SQLITE_OPERATIONS.SEARCH_FEATURES,
+    payload,
+  }), 'invalid-request');
+}
+
+assert.deepEqual(validateBrowserSqliteRequest({
+  requestId: 'request-field-summary',
+  operation: BROWSER_SQLITE_OPERATIONS.GET_FIELD_SUMMARY,
+  payload: { datasetId: 'dataset-1', field: ' population ' },
+}).payload, { datasetId: 'dataset-1', field: ' population ' });
+for (const payload of [
+  {},
+  { datasetId: 'dataset-1', field: ' ' },
+  { datasetId: 'dataset-1', field: 1 },
+  { datasetId: 'dataset-1', field: 'kind', sql: 'DROP TABLE datasets' },
+]) {
+  assertProtocolError(() => validateBrowserSqliteRequest({
+    requestId: 'request-field-summary-invalid',
+    operation: BROWSER_SQLITE_OPERATIONS.GET_FIELD_SUMMARY,
+    payload,
+  }), 'invalid-request');
+}
+
+assert.deepEqual(validateBrowserSqliteRequest({
+  requestId: 'request-timeline-histogram',
+  operation: BROWSER_SQLITE_OPERATIONS.GET_TIMELINE_HISTOGRAM,
+  payload: {
+    startYear: 1900,
+    endYear: 1950,
+    attributeFilters: [{ datasetId: 'dataset-1', field: 'kind', operator: 'empty' }],
+  },
+}).payload, {
+  startYear: 1900,
+  endYear: 1950,
+  bucketYears: 1,
+  attributeFilters: [{
+    datasetId: 'dataset-1',
+    field: 'kind',
+    operator: 'empty',
+    value: null,
+    min: null,
+    max: null,
+  }],
+});
+for (const payload of [
+  {},
+  { startYear: 1900, endYear: null },
+  { startYear: 1900, endYear: 1950, bucketYears: 0 },
+  { startYear: 1900, endYear: 1950.5 },
+  { startYear: 1900, endYear: 1950, datasetIds: ['dataset-1'] },
+]) {
+  assertProtocolError(() => validateBrowserSqliteRequest({
+    requestId: 'request-timeline-histogram-invalid',
+    operation: BROWSER_SQLITE_OPERATIONS.GET_TIMELINE_HISTOGRAM,
+    payload,
+  }), 'invalid-request');
+}
+
 assertProtocolError(() => validateBrowserSqliteRequest(null), 'invalid-request');
 assertProtocolError(() => validateBrowserSqliteRequest([]), 'invalid-request');
 assertProtocolError(() => validateBrowserSqliteRequest({
@@ -301,6 +541,50 @@ assertProtocolError(() => validateBrowserSqliteRequest({
     files: [new TestBrowserFile('https://example.invalid/data.csv')],
   },
 }), 'invalid-file-list');
+const sheetImportRequest = validateBrowserSqliteRequest({
+  requestId: 'request-import-sheet',
+  operation: BROWSER_SQLITE_OPERATIONS.IMPORT_FILES,
+  payload: {
+    importId: 'import-1',
+    files: [file, file],
+    fileOptions: [{ sheetName: ' Places ' }, null],
+  },
+});
+assert.deepEqual(sheetImportRequest.payload.fileOptions, [{ sheetName: ' Places ' }, null]);
+const csvOptionsRequest = validateBrowserSqliteRequest({
+  requestId: 'request-import-csv-options',
+  operation: 'import-files',
+  payload: {
+    importId: 'import-1',
+    files: [file],
+    fileOptions: [{ csvOptions: { delimiter: ';', encoding: 'windows-1252', headerRowIndex: 2 } }],
+  },
+});
+assert.deepEqual(csvOptionsRequest.payload.fileOptions, [{
+  csvOptions: {
+    delimiter: ';',
+    quoteChar: '"',
+    encoding: 'windows-1252',
+    skipRows: 0,
+    headerRowIndex: 2,
+    commentPrefix: '',
+  },
+}]);
+for (const fileOptions of [
+  [{ sheetName: '' }],
+  [{ sheetName: 1 }],
+  [{ path: 'x' }],
+  [],
+  [{ csvOptions: { encoding: 'ebcdic' } }],
+  [{ csvOptions: { skipRows: -1 } }],
+  [{ csvOptions: 'semicolon' }],
+]) {
+  assertProtocolError(() => validateBrowserSqliteRequest({
+    requestId: 'request-import-sheet-invalid',
+    operation: 'import-files',
+    payload: { importId: 'import-1', files: [file], fileOptions },
+  }), 'invalid-request');
+}
 assertProtocolError(() => validateBrowserSqliteRequest({
   requestId: 'request-import-extra',
   operation: 'import-files',
@@ -335,6 +619,11 @@ assertProtocolError(() => validateBrowserSqliteRequest({
     mapping: { latField: 'lat', sql: 'DELETE FROM datasets' },
   },
 }), 'invalid-request');
+assertProtocolError(() => validateBrowserSqliteRequest({
+  requestId: 'request-mapping-system',
+  operation: 'update-dataset-mapping',
+  payload: { datasetId: 'dataset-1', mapping: { coordinateSystem: 'EPSG:9999' } },
+}), 'invalid-request');
 assertProtocolError(() => validateBrowserSqliteRequest({
   requestId: 'request-preview-offset',
   operation: 'get-preview-page',
@@ -360,6 +649,82 @@ assertProtocolError(() => validateBrowserSqliteRequest({
   operation: 'query-map-view',
   payload: { bounds: { north: 1, south: 0, east: 1, west: Infinity } },
 }), 'invalid-request');
+assert.deepEqual(validateBrowserSqliteRequest({
+  requestId: 'request-map-filters',
+  operation: 'query-map-view',
+  payload: {
+    attributeFilters: [
+      { datasetId: 'dataset-1', field: 'kind', operator: 'equals', value: 'castle' },
+      { datasetId: 'dataset-1', field: 'size', operator: 'range', min: 1 },
+    ],
+  },
+}).payload.attributeFilters, [
+  {
+    datasetId: 'dataset-1',
+    field: 'kind',
+    operator: 'equals',
+    value: 'castle',
+    min: null,
+    max: null,
+  },
+  {
+    datasetId: 'dataset-1',
+    field: 'size',
+    operator: 'range',
+    value: null,
+    min: 1,
+    max: null,
+  },
+]);
+assertProtocolError(() => validateBrowserSqliteRequest({
+  requestId: 'request-map-filter-operator',
+  operation: 'query-map-view',
+  payload: {
+    attributeFilters: [
+      { datasetId: 'dataset-1', field: 'kind', operator: 'sql', value: '1=1' },
+    ],
+  },
+}), 'invalid-request');
+assertProtocolError(() => validateBrowserSqliteRequest({
+  requestId: 'request-map-filter-bound',
+  operation: 'query-map-view',
+  payload: {
+    attributeFilters: [
+      { datasetId: 'dataset-1', field: 'size', operator: 'range', min: '1' },
+    ],
+  },
+}), 'invalid-request');
+assert.deepEqual(validateBrowserSqliteRequest({
+  requestId: 'request-map-style-fields',
+  operation: 'query-map-view',
+  payload: { styleFields: [{ datasetId: 'dataset-1', field: 'kind' }] },
+}).payload.styleFields, [{ datasetId: 'dataset-1', field: 'kind' }]);
+assert.deepEqual(validateBrowserSqliteRequest({
+  requestId: 'request-map-heatmap',
+  operation: 'query-map-view',
+  payload: { heatmapDatasetIds: ['dataset-2'] },
+}).payload.heatmapDatasetIds, ['dataset-2']);
+assertProtocolError(() => validateBrowserSqliteRequest({
+  requestId: 'request-map-heatmap-invalid',
+  operation: 'query-map-view',
+  payload: { heatmapDatasetIds: 'dataset-2' },
+}), 'invalid-request');
+for (const styleFields of [
+  [{ datasetId: 'dataset-1' }],
+  [{ datasetId: 'dataset-1', field: 'kind', operator: 'equals' }],
+  Array.from({ length: 51 }, () => ({ datasetId: 'dataset-1', field: 'kind' })),
+]) {
+  assertProtocolError(() => validateBrowserSqliteRequest({
+    requestId: 'request-map-style-fields-invalid',
+    operation: 'query-map-view',
+    payload: { styleFields },
+  }), 'invalid-request');
+}
+assertProtocolError(() => validateBrowserSqliteRequest({
+  requestId: 'request-group-filters',
+  operation: 'get-group-rows',
+  payload: { groupRef: { ...groupRef, attributeFilters: [{ field: 'kind' }] } },
+}), 'invalid-request');
 assertProtocolError(() => validateBrowserSqliteRequest({
   requestId: 'request-group-id',
   operation: 'get-group-rows',
@@ -518,6 +883,7 @@ assert.deepEqual(
     'set-dataset-enabled',
     'remove-dataset',
     'export-dataset-csv',
+    'export-dataset-geojson',
     'update-dataset-mapping',
     'get-preview-page',
     'query-map-view',
@@ -525,6 +891,16 @@ assert.deepEqual(
     'get-group-rows',
     'get-logical-zone',
     'update-logical-zone',
+    'undo-zone-edit',
+    'redo-zone-edit',
+    'get-zone-edit-history',
+    'revert-logical-zone',
+    'add-drawn-feature',
+    'update-source-row',
+    'geocode-dataset',
+    'search-features',
+    'get-field-summary',
+    'get-timeline-histogram',
     'close',
   ]),
 );
@@ -0,0 +1,57 @@
+import { toJsonPath } from './browserSqliteAttributeFilters.js';
+
+/**
+ * Build a selected column holding the styled values of each feature's source
+ * row as a JSON object, or NULL for datasets without style rules. Only the
+ * requested columns are read, so complete rows stay out of map results.
+ *
+ * @param {Array<{ datasetId: string, field: string }>} styleFields Normalized style columns.
+ * @param {string} tableName Derived feature table being selected.
+ * @returns {{ sql: string, params: Record<string, unknown> }}
+ */
+export function buildStyleValueColumn(styleFields, tableName) {
+  if (styleFields.length === 0) return { sql: 'NULL', params: {} };
+
+  const fieldsByDataset = new Map();
+  for (const { datasetId, field } of styleFields) {
+    fieldsByDataset.set(datasetId, [...(fieldsByDataset.get(datasetId) ?? []), field]);
+  }
+
+  const params = {};
+  const cases = [...fieldsByDataset].map(([datasetId, fields], datasetIndex) => {
+    const key = `$style${datasetIndex}`;
+    params[`${key}Dataset`] = datasetId;
+    const pairs = fields.map((field, fieldIndex) => {
+      params[`${key}Field${fieldIndex}`] = field;
+      params[`${key}Path${fieldIndex}`] = toJsonPath(field);
+      return `${key}Field${fieldIndex}, `
+        + `CAST(json_extract(source_rows.row_json, ${key}Path${fieldIndex}) AS TEXT)`;
+    });
+    return `WHEN ${key}Dataset THEN json_object(${pairs.join(', ')})`;
+  });
+
+  return {
+    sql: `(
+      SELECT CASE source_rows.dataset_id ${cases.join(' ')} END
+      FROM source_rows
+      WHERE source_rows.dataset_id = ${tableName}.dataset_id
+        AND source_rows.source_row_index = ${tableName}.source_row_index
+    )`,
+    params,
+  };
+}
+
+/** Parse the styled values column into a record of trimmed text values. */
+export function parseStyleValues(value) {
+  if (value == null) return null;
+  try {
+    const parsed = JSON.parse(String(value));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null;
+    return Object.fromEntries(Object.entries(parsed).map(([field, text]) => [
+      field,
+      text == null ? null : String(text).trim(),
+    ]));
+  } catch {
+    return null;
+  }
+}
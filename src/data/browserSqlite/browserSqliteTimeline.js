@@ -1,59 +1,69 @@
 import {
-  parseDateValue,
-  parseYearValue,
-} from '../../components/timeline.js';
+  getDateValueDayExtent,
+  getYearOfEpochDay,
+  getYearValueDayExtent,
+} from '../../components/timelineDates.js';
 
 /**
- * Resolve the inclusive year extent used by browser-SQLite features.
+ * Resolve the inclusive year and epoch-day extent used by browser-SQLite
+ * features.
  *
  * Explicit from/to fields take precedence over single-value fields. A missing
  * side of a range reuses the available side, matching the raw browser timeline
- * index. Null means the feature is undated and is excluded only when timeline
+ * index. Within a side, a date field that parses wins over a year field. A
+ * year covers every day of it and a year and month the whole month.
+ * Null means the feature is undated and is excluded only when timeline
  * filtering is enabled.
  *
  * @param {Record<string, unknown>} row Original normalized source row.
  * @param {Record<string, unknown>} fields Detected timeline field metadata.
- * @returns {{ startYear: number, endYear: number }|null} Inclusive year extent.
+ * @returns {{ startYear: number, endYear: number, startDay: number, endDay: number }|null}
+ *   Inclusive extent.
  */
 export function getBrowserSqliteTimelineExtent(row, fields) {
-  const yearFrom = getRangeYear(
+  const from = getFieldDayExtent(
     row,
     normalizeNullableString(fields.yearFromField),
     normalizeNullableString(fields.dateFromField),
   );
-  const yearTo = getRangeYear(
+  const to = getFieldDayExtent(
     row,
     normalizeNullableString(fields.yearToField),
     normalizeNullableString(fields.dateToField),
   );
 
-  if (yearFrom != null || yearTo != null) {
-    const first = yearFrom ?? yearTo;
-    const last = yearTo ?? yearFrom;
-    return {
-      startYear: Math.min(first, last),
-      endYear: Math.max(first, last),
+  let extent = null;
+  if (from || to) {
+    const first = from ?? to;
+    const last = to ?? from;
+    extent = {
+      startDay: Math.min(first.startDay, last.startDay),
+      endDay: Math.max(first.endDay, last.endDay),
     };
+  } else {
+    extent = getFieldDayExtent(
+      row,
+      normalizeNullableString(fields.yearField),
+      normalizeNullableString(fields.dateField),
+    );
   }
+  if (!extent) return null;
 
-  const year = getRangeYear(
-    row,
-    normalizeNullableString(fields.yearField),
-    normalizeNullableString(fields.dateField),
-  );
-  return year == null ? null : { startYear: year, endYear: year };
+  return {
+    startYear: getYearOfEpochDay(extent.startDay),
+    endYear: getYearOfEpochDay(extent.endDay),
+    startDay: extent.startDay,
+    endDay: extent.endDay,
+  };
 }
 
-function getRangeYear(row, yearField, dateField) {
-  if (yearField) {
-    const year = parseYearValue(row[yearField]);
-    if (year != null) return year;
-  }
+/** A date that parses wins over the year beside it, which covers only whole years. */
+function getFieldDayExtent(row, yearField, dateField) {
   if (dateField) {
-    const date = parseDateValue(row[dateField]);
-    if (date) return date.getUTCFullYear();
+    const extent = getDateValueDayExtent(row[dateField]);
+    if (extent) return extent;
   }
-  return null;
+  return yearField ? getYearValueDayExtent(row[yearField]) : null;
 }
 
 function normalizeNullableString(value) {
@@ -0,0 +1,127 @@
+import { normalizeAttributeFilters } from '../../components/attributeFilters.js';
+import { normalizeTimelineHistogramQuery } from '../../components/timelineHistogram.js';
+import { buildAttributeFilterClauses } from './browserSqliteAttributeFilters.js';
+
+/**
+ * Count the points, lines, and regions of enabled datasets per bucket of
+ * whole years, split by dataset. Attribute filters apply as on the map.
+ *
+ * A feature counts in every bucket its time range overlaps. Rows are first
+ * grouped by their first and last bucket, so only those groups are spread
+ * over the buckets and the work stays proportional to the row count.
+ *
+ * @param {{ prepare: Function }} database sql.js database.
+ * @param {{ startYear?: number, endYear?: number, bucketYears?: number, attributeFilters?: object[] }} [query]
+ * @returns {object} Histogram with non-empty buckets in year order.
+ */
+export function getBrowserSqliteTimelineHistogram(database, query = {}) {
+  requireDatabase(database);
+  const range = normalizeTimelineHistogramQuery(query);
+  if (!range) return { startYear: null, endYear: null, bucketYears: 1, buckets: [] };
+
+  const filters = normalizeAttributeFilters(query.attributeFilters);
+  const pointFilter = buildAttributeFilterClauses(filters, 'point_features');
+  const geometryFilter = buildAttributeFilterClauses(filters, 'geometry_features');
+  const rows = readAll(database, `
+    WITH RECURSIVE timeline_rows AS (
+      SELECT
+        point_features.dataset_id,
+        point_features.timeline_start_year AS start_year,
+        point_features.timeline_end_year AS end_year
+      FROM point_features
+      WHERE ${[...getTimelineClauses('point_features'), ...pointFilter.clauses].join(' AND ')}
+      UNION ALL
+      SELECT
+        geometry_features.dataset_id,
+        geometry_features.timeline_start_year,
+        geometry_features.timeline_end_year
+      FROM geometry_features
+      WHERE ${[...getTimelineClauses('geometry_features'), ...geometryFilter.clauses].join(' AND ')}
+    ),
+    spans AS (
+      SELECT
+        dataset_id,
+        CAST((MAX(start_year, $startYear) - $startYear) / $bucketYears AS INTEGER) AS first_bucket,
+        CAST((MIN(end_year, $endYear) - $startYear) / $bucketYears AS INTEGER) AS last_bucket,
+        COUNT(*) AS count
+      FROM timeline_rows
+      GROUP BY dataset_id, first_bucket, last_bucket
+    ),
+    buckets(bucket) AS (
+      SELECT 0
+      UNION ALL
+      SELECT bucket + 1 FROM buckets WHERE bucket + 1 < $bucketCount
+    )
+    SELECT spans.dataset_id, buckets.bucket, SUM(spans.count) AS count
+    FROM spans
+    INNER JOIN buckets ON buckets.bucket BETWEEN spans.first_bucket AND spans.last_bucket
+    GROUP BY buckets.bucket, spans.dataset_id
+    ORDER BY buckets.bucket, spans.dataset_id
+  `, {
+    ...pointFilter.params,
+    ...geometryFilter.params,
+    $startYear: range.startYear,
+    $endYear: range.endYear,
+    $bucketYears: range.bucketYears,
+    $bucketCount: range.bucketCount,
+  });
+
+  const buckets = [];
+  for (const row of rows) {
+    const bucketStart = range.startYear + Number(row.bucket) * range.bucketYears;
+    let bucket = buckets[buckets.length - 1];
+    if (bucket?.startYear !== bucketStart) {
+      bucket = {
+        startYear: bucketStart,
+        endYear: Math.min(range.endYear, bucketStart + range.bucketYears - 1),
+        counts: [],
+      };
+      buckets.push(bucket);
+    }
+    bucket.counts.push({ datasetId: String(row.dataset_id), count: normalizeCount(row.count) });
+  }
+
+  return {
+    startYear: range.startYear,
+    endYear: range.endYear,
+    bucketYears: range.bucketYears,
+    buckets,
+  };
+}
+
+function getTimelineClauses(tableName) {
+  return [
+    `${tableName}.dataset_id IN (
+      SELECT id FROM datasets WHERE enabled = 1 AND import_state = 'complete'
+    )`,
+    `${tableName}.timeline_start_year IS NOT NULL`,
+    `${tableName}.timeline_end_year IS NOT NULL`,
+    `${tableName}.timeline_start_year <= $endYear`,
+    `${tableName}.timeline_end_year >= $startYear`,
+  ];
+}
+
+function normalizeCount(value) {
+  const number = Number(value);
+  return Number.isSafeInteger(number) && number > 0 ? number : 0;
+}
+
+function readAll(database, sql, parameters = {}) {
+  const statement = database.prepare(sql);
+  const rows = [];
+  try {
+    statement.bind(parameters);
+    while (statement.step()) {
+      rows.push(statement.getAsObject());
+    }
+    return rows;
+  } finally {
+    statement.free();
+  }
+}
+
+function requireDatabase(database) {
+  if (!database || typeof database.prepare !== 'function') {
+    throw new TypeError('A sql.js database with prepare() is required.');
+  }
+}
@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import initSqlJs from 'sql.js';
+import {
+  closeBrowserSqliteDatabase,
+  createBrowserSqliteDatabase,
+} from './browserSqliteDatabase.js';
+import { setBrowserSqliteDatasetEnabled } from './browserSqliteDatasetMutations.js';
+import {
+  beginBrowserSqliteFileImport,
+  completeBrowserSqliteFileImport,
+  insertBrowserSqliteImportRowBatch,
+} from './browserSqliteImportTransaction.js';
+import { getBrowserSqliteTimelineHistogram } from './browserSqliteTimelineHistogram.js';
+
+const HEADERS = ['name', 'featureType', 'featureId', 'order', 'lat', 'lon', 'yearFrom', 'yearTo', 'kind'];
+
+const SQL = await initSqlJs();
+const database = createBrowserSqliteDatabase(SQL);
+
+try {
+  importDataset(database, 'dataset-a', [
+    row({ name: 'A', lat: '57', lon: '11', yearFrom: '1900', yearTo: '1900', kind: 'port' }),
+    row({ name: 'B', lat: '58', lon: '12', yearFrom: '1903', yearTo: '1907', kind: 'town' }),
+    row({ name: 'C', lat: '59', lon: '13', yearFrom: '1908', kind: 'port' }),
+    // Undated rows and rows outside the range never count.
+    row({ name: 'D', lat: '60', lon: '14', kind: 'port' }),
+    row({ name: 'E', lat: '61', lon: '15', yearFrom: '1850', yearTo: '1850', kind: 'port' }),
+    row({ featureType: 'line', featureId: 'road', order: '1', lat: '58', lon: '11', yearFrom: '1901', yearTo: '1902', kind: 'road' }),
+    row({ featureType: 'line', featureId: 'road', order: '2', lat: '59', lon: '12', yearFrom: '1901', yearTo: '1902', kind: 'road' }),
+  ]);
+  importDataset(database, 'dataset-b', [
+    row({ name: 'F', lat: '10', lon: '10', yearFrom: '1904' }),
+    row({ name: 'G', lat: '11', lon: '11', yearFrom: '1909' }),
+  ]);
+
+  // Ranges count in every bucket they overlap, per dataset.
+  assert.deepEqual(getBrowserSqliteTimelineHistogram(database, {
+    startYear: 1909,
+    endYear: 1900,
+    bucketYears: 5,
+  }), {
+    startYear: 1900,
+    endYear: 1909,
+    bucketYears: 5,
+    buckets: [
+      {
+        startYear: 1900,
+        endYear: 1904,
+        counts: [{ datasetId: 'dataset-a', count: 3 }, { datasetId: 'dataset-b', count: 1 }],
+      },
+      {
+        startYear: 1905,
+        endYear: 1909,
+        counts: [{ datasetId: 'dataset-a', count: 2 }, { datasetId: 'dataset-b', count: 1 }],
+      },
+    ],
+  });
+
+  // Attribute filters and hidden datasets change the counts like the map.
+  assert.deepEqual(getBrowserSqliteTimelineHistogram(database, {
+    startYear: 1900,
+    endYear: 1909,
+    bucketYears: 10,
+    attributeFilters: [{ datasetId: 'dataset-a', field: 'kind', operator: 'equals', value: 'road' }],
+  }).buckets[0].counts, [{ datasetId: 'dataset-a', count: 1 }, { datasetId: 'dataset-b', count: 2 }]);
+  setBrowserSqliteDatasetEnabled(database, 'dataset-b', false);
+  assert.deepEqual(
+    getBrowserSqliteTimelineHistogram(database, { startYear: 1900, endYear: 1909, bucketYears: 10 }).buckets,
+    [{ startYear: 1900, endYear: 1909, counts: [{ datasetId: 'dataset-a', count: 4 }] }],
+  );
+
+  // Long ranges get wider buckets instead of more of them.
+  const long = getBrowserSqliteTimelineHistogram(database, { startYear: 0, endYear: 1999, bucketYears: 1 });
+  assert.equal(long.bucketYears, 10);
+  assert.deepEqual(long.buckets.map(({ startYear }) => startYear), [1850, 1900]);
+  assert.deepEqual(getBrowserSqliteTimelineHistogram(database, { startYear: 1900 }).buckets, []);
+  assert.throws(() => getBrowserSqliteTimelineHistogram(null), TypeError);
+} finally {
+  closeBrowserSqliteDatabase(database);
+}
+
+console.log('Browser SQLite timeline histogram smoke test passed.');
+
+function row(values) {
+  return Object.fromEntries(HEADERS.map((header) => [
+    header,
+    values[header] ?? (header === 'featureType' ? 'point' : ''),
+  ]));
+}
+
+function importDataset(targetDatabase, datasetId, rows) {
+  const activeImport = beginBrowserSqliteFileImport(targetDatabase, {
+    datasetId,
+    fileName: `${datasetId}.csv`,
+  });
+  insertBrowserSqliteImportRowBatch(activeImport, rows);
+  return completeBrowserSqliteFileImport(activeImport, {
+    headers: HEADERS,
+    totalParsedRowCount: rows.length,
+    skippedRowCount: 0,
+    detectedFields: {
+      latField: 'lat',
+      lonField: 'lon',
+      yearField: null,
+      dateField: null,
+      dayOfYearField: null,
+      yearFromField: 'yearFrom',
+      yearToField: 'yearTo',
+      dateFromField: null,
+      dateToField: null,
+    },
+    coordinateMapping: { latField: 'lat', lonField: 'lon' },
+    warnings: [],
+    importedAt: '2026-07-26T18:00:00.000Z',
+  });
+}
@@ -1,5 +1,8 @@
 import initSqlJs from 'sql.js/dist/sql-wasm-browser.js';
 import sqlWasmUrl from 'sql.js/dist/sql-wasm-browser.wasm?url';
+import {
+  createBrowserSqliteSnapshotStore,
+} from './browserSqlitePersistence.js';
 import {
   createBrowserSqliteWorkerRuntime,
 } from './browserSqliteWorkerRuntime.js';
@@ -9,6 +12,7 @@ const runtime = createBrowserSqliteWorkerRuntime({
     locateFile: () => sqlWasmUrl,
   }),
   postMessage: (message) => self.postMessage(message),
+  snapshotStore: createBrowserSqliteSnapshotStore(),
 });
 
 self.addEventListener('message', (event) => {
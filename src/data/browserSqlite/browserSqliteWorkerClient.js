@@ -202,6 +202,7 @@ export function createBrowserSqliteWorkerClient(options = {}) {
     const result = sendRequest(BROWSER_SQLITE_OPERATIONS.IMPORT_FILES, {
       importId,
       files,
+      ...(importOptions.fileOptions ? { fileOptions: importOptions.fileOptions } : {}),
     }).finally(() => {
       activeImportIds.delete(importId);
       unsubscribe?.();
@@ -222,8 +223,11 @@ export function createBrowserSqliteWorkerClient(options = {}) {
     return sendRequest(BROWSER_SQLITE_OPERATIONS.CANCEL_IMPORT, { importId });
   }
 
-  function initialize() {
-    return sendRequest(BROWSER_SQLITE_OPERATIONS.INITIALIZE);
+  function initialize(options = undefined) {
+    return sendRequest(
+      BROWSER_SQLITE_OPERATIONS.INITIALIZE,
+      options?.persistence ? { persistence: options.persistence } : undefined,
+    );
   }
 
   function getDatasetSummary() {
@@ -246,6 +250,11 @@ export function createBrowserSqliteWorkerClient(options = {}) {
     return sendRequest(BROWSER_SQLITE_OPERATIONS.EXPORT_DATASET_CSV, { datasetId });
   }
 
+  /** Request one dataset serialized as a GeoJSON FeatureCollection. */
+  function exportDatasetGeoJson(datasetId) {
+    return sendRequest(BROWSER_SQLITE_OPERATIONS.EXPORT_DATASET_GEOJSON, { datasetId });
+  }
+
   function updateDatasetMapping(datasetId, mapping) {
     return sendRequest(BROWSER_SQLITE_OPERATIONS.UPDATE_DATASET_MAPPING, {
       datasetId,
@@ -281,6 +290,21 @@ export function createBrowserSqliteWorkerClient(options = {}) {
     return sendRequest(BROWSER_SQLITE_OPERATIONS.GET_GROUP_ROWS, query);
   }
 
+  function searchFeatures(query = {}) {
+    if (!isPlainRecord(query)) return invalidRequestPromise();
+    return sendRequest(BROWSER_SQLITE_OPERATIONS.SEARCH_FEATURES, query);
+  }
+
+  function getFieldSummary(query = {}) {
+    if (!isPlainRecord(query)) return invalidRequestPromise();
+    return sendRequest(BROWSER_SQLITE_OPERATIONS.GET_FIELD_SUMMARY, query);
+  }
+
+  function getTimelineHistogram(query = {}) {
+    if (!isPlainRecord(query)) return invalidRequestPromise();
+    return sendRequest(BROWSER_SQLITE_OPERATIONS.GET_TIMELINE_HISTOGRAM, query);
+  }
+
   function getLogicalZone(query = {}) {
     if (!isPlainRecord(query)) return invalidRequestPromise();
     return sendRequest(BROWSER_SQLITE_OPERATIONS.GET_LOGICAL_ZONE, query);
@@ -291,6 +315,41 @@ export function createBrowserSqliteWorkerClient(options = {}) {
     return sendRequest(BROWSER_SQLITE_OPERATIONS.UPDATE_LOGICAL_ZONE, request);
   }
 
+  function undoZoneEdit(request = {}) {
+    if (!isPlainRecord(request)) return invalidRequestPromise();
+    return sendRequest(BROWSER_SQLITE_OPERATIONS.UNDO_ZONE_EDIT, request);
+  }
+
+  function redoZoneEdit(request = {}) {
+    if (!isPlainRecord(request)) return invalidRequestPromise();
+    return sendRequest(BROWSER_SQLITE_OPERATIONS.REDO_ZONE_EDIT, request);
+  }
+
+  function getZoneEditHistory(query = {}) {
+    if (!isPlainRecord(query)) return invalidRequestPromise();
+    return sendRequest(BROWSER_SQLITE_OPERATIONS.GET_ZONE_EDIT_HISTORY, query);
+  }
+
+  function revertLogicalZone(request = {}) {
+    if (!isPlainRecord(request)) return invalidRequestPromise();
+    return sendRequest(BROWSER_SQLITE_OPERATIONS.REVERT_LOGICAL_ZONE, request);
+  }
+
+  function addDrawnFeature(request = {}) {
+    if (!isPlainRecord(request)) return invalidRequestPromise();
+    return sendRequest(BROWSER_SQLITE_OPERATIONS.ADD_DRAWN_FEATURE, request);
+  }
+
+  function updateSourceRow(request = {}) {
+    if (!isPlainRecord(request)) return invalidRequestPromise();
+    return sendRequest(BROWSER_SQLITE_OPERATIONS.UPDATE_SOURCE_ROW, request);
+  }
+
+  function geocodeDataset(request = {}) {
+    if (!isPlainRecord(request)) return invalidRequestPromise();
+    return sendRequest(BROWSER_SQLITE_OPERATIONS.GEOCODE_DATASET, request);
+  }
+
   function close() {
     return sendRequest(BROWSER_SQLITE_OPERATIONS.CLOSE);
   }
@@ -329,13 +388,24 @@ export function createBrowserSqliteWorkerClient(options = {}) {
     setDatasetEnabled,
     removeDataset,
     exportDatasetCsv,
+    exportDatasetGeoJson,
     updateDatasetMapping,
     getPreviewPage,
     queryMapView,
     getFeatureDetails,
     getGroupRows,
+    searchFeatures,
+    getFieldSummary,
+    getTimelineHistogram,
     getLogicalZone,
     updateLogicalZone,
+    undoZoneEdit,
+    redoZoneEdit,
+    getZoneEditHistory,
+    revertLogicalZone,
+    addDrawnFeature,
+    updateSourceRow,
+    geocodeDataset,
     close,
     dispose,
   });
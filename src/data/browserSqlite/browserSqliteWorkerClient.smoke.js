@@ -90,6 +90,7 @@ respondSuccess(worker, worker.posted.at(-1), {
   initialized: true,
   reused: false,
   databaseStorage: 'memory',
+  restored: false,
   schemaVersion: 3,
 });
 assert.equal((await initializePromise).initialized, true);
@@ -319,6 +320,17 @@ respondSuccess(worker, worker.posted.at(-1), {
 });
 await healthyAfterCloneFailure;
 
+const persistentInitialize = client.initialize({ persistence: 'persistent' });
+assert.deepEqual(worker.posted.at(-1).payload, { persistence: 'persistent' });
+respondSuccess(worker, worker.posted.at(-1), {
+  initialized: true,
+  reused: true,
+  databaseStorage: 'opfs',
+  restored: true,
+  schemaVersion: 3,
+});
+assert.equal((await persistentInitialize).restored, true);
+
 const closePromise = client.close();
 assert.equal(worker.posted.at(-1).operation, BROWSER_SQLITE_OPERATIONS.CLOSE);
 respondSuccess(worker, worker.posted.at(-1), { closed: true });
@@ -1,11 +1,16 @@
 import {
   closeBrowserSqliteDatabase,
   createBrowserSqliteDatabase,
+  exportBrowserSqliteDatabase,
   getBrowserSqliteSchemaVersion,
+  openBrowserSqliteDatabase,
 } from './browserSqliteDatabase.js';
 import {
+  addBrowserSqliteDrawnFeature,
+  geocodeBrowserSqliteDataset,
   setBrowserSqliteDatasetEnabled,
   updateBrowserSqliteDatasetMapping,
+  updateBrowserSqliteSourceRow,
 } from './browserSqliteDatasetMutations.js';
 import {
   getBrowserSqliteDatasetSummary,
@@ -14,10 +19,19 @@ import {
 import {
   removeBrowserSqliteDataset,
 } from './browserSqliteDatasetRemoval.js';
-import { exportBrowserSqliteDatasetCsv } from './browserSqliteDatasetExport.js';
+import {
+  exportBrowserSqliteDatasetCsv,
+  exportBrowserSqliteDatasetGeoJson,
+} from './browserSqliteDatasetExport.js';
 import {
   importBrowserSqliteCsvBatch,
 } from './browserSqliteImportBatch.js';
+import {
+  searchBrowserSqliteFeatures,
+} from './browserSqliteFeatureSearch.js';
+import {
+  getBrowserSqliteFieldSummary,
+} from './browserSqliteFieldSummary.js';
 import {
   getBrowserSqliteGroupRows,
   getBrowserSqliteFeatureDetails,
@@ -25,8 +39,15 @@ import {
 import {
   queryBrowserSqliteMapView,
 } from './browserSqlitePointQueries.js';
+import {
+  getBrowserSqliteTimelineHistogram,
+} from './browserSqliteTimelineHistogram.js';
 import {
   getBrowserSqliteLogicalZone,
+  getBrowserSqliteZoneEditHistory,
+  redoBrowserSqliteZoneEdit,
+  revertBrowserSqliteLogicalZone,
+  undoBrowserSqliteZoneEdit,
   updateBrowserSqliteLogicalZone,
 } from './browserSqliteZoneAdjustments.js';
 import {
@@ -39,6 +60,21 @@ import {
   validateBrowserSqliteRequest,
 } from './browserSqliteProtocol.js';
 
+/** Operations whose effects are written to the persistent snapshot. */
+const SNAPSHOT_OPERATIONS = new Set([
+  BROWSER_SQLITE_OPERATIONS.IMPORT_FILES,
+  BROWSER_SQLITE_OPERATIONS.SET_DATASET_ENABLED,
+  BROWSER_SQLITE_OPERATIONS.REMOVE_DATASET,
+  BROWSER_SQLITE_OPERATIONS.UPDATE_DATASET_MAPPING,
+  BROWSER_SQLITE_OPERATIONS.UPDATE_LOGICAL_ZONE,
+  BROWSER_SQLITE_OPERATIONS.UNDO_ZONE_EDIT,
+  BROWSER_SQLITE_OPERATIONS.REDO_ZONE_EDIT,
+  BROWSER_SQLITE_OPERATIONS.REVERT_LOGICAL_ZONE,
+  BROWSER_SQLITE_OPERATIONS.ADD_DRAWN_FEATURE,
+  BROWSER_SQLITE_OPERATIONS.UPDATE_SOURCE_ROW,
+  BROWSER_SQLITE_OPERATIONS.GEOCODE_DATASET,
+]);
+
 const SAFE_RUNTIME_ERROR_CODES = new Set([
   'database-not-initialized',
   'dataset-not-found',
@@ -57,14 +93,23 @@ const SAFE_RUNTIME_ERROR_CODES = new Set([
  * never enter an active file transaction. Valid cancellation requests bypass
  * that queue and only set the matching active import flag.
  *
+ * When initialization opts into persistence, the last snapshot is restored
+ * and every mutating operation writes a new one before it responds, whether
+ * or not it succeeded, since batch imports can commit some files and fail
+ * others. A failed write leaves the in-memory database authoritative and the
+ * next change retries.
+ *
  * @param {object} dependencies Worker-owned runtime dependencies.
  * @param {() => Promise<object>} dependencies.initializeSql Initializes sql.js.
  * @param {(message: object) => void} dependencies.postMessage Posts to main thread.
+ * @param {{ read: Function, write: Function, remove: Function }|null} [dependencies.snapshotStore]
+ *   Optional persistent snapshot store.
  * @returns {{ handleMessage: (message: unknown) => Promise<object> }} Runtime.
  */
 export function createBrowserSqliteWorkerRuntime({
   initializeSql,
   postMessage,
+  snapshotStore = null,
 }) {
   if (typeof initializeSql !== 'function' || typeof postMessage !== 'function') {
     throw new TypeError(
@@ -74,6 +119,8 @@ export function createBrowserSqliteWorkerRuntime({
 
   let sqlModulePromise = null;
   let database = null;
+  let persistent = false;
+  let restored = false;
   let activeImport = null;
   let operationQueue = Promise.resolve();
 
@@ -128,6 +175,7 @@ export function createBrowserSqliteWorkerRuntime({
         selectSafeErrorCode(error, request.operation),
       );
     }
+    if (SNAPSHOT_OPERATIONS.has(request.operation)) await writeSnapshot();
     postMessage(response);
     return response;
   }
@@ -135,7 +183,7 @@ export function createBrowserSqliteWorkerRuntime({
   async function dispatchOperation(request) {
     switch (request.operation) {
       case BROWSER_SQLITE_OPERATIONS.INITIALIZE:
-        return initializeDatabase();
+        return initializeDatabase(request.payload);
       case BROWSER_SQLITE_OPERATIONS.IMPORT_FILES:
         return importFiles(request.payload);
       case BROWSER_SQLITE_OPERATIONS.GET_DATASET_SUMMARY:
@@ -157,6 +205,11 @@ export function createBrowserSqliteWorkerRuntime({
           requireDatabase(database),
           request.payload.datasetId,
         );
+      case BROWSER_SQLITE_OPERATIONS.EXPORT_DATASET_GEOJSON:
+        return exportBrowserSqliteDatasetGeoJson(
+          requireDatabase(database),
+          request.payload.datasetId,
+        );
       case BROWSER_SQLITE_OPERATIONS.UPDATE_DATASET_MAPPING:
         return updateBrowserSqliteDatasetMapping(
           requireDatabase(database),
@@ -183,6 +236,21 @@ export function createBrowserSqliteWorkerRuntime({
           requireDatabase(database),
           request.payload,
         );
+      case BROWSER_SQLITE_OPERATIONS.SEARCH_FEATURES:
+        return searchBrowserSqliteFeatures(
+          requireDatabase(database),
+          request.payload,
+        );
+      case BROWSER_SQLITE_OPERATIONS.GET_FIELD_SUMMARY:
+        return getBrowserSqliteFieldSummary(
+          requireDatabase(database),
+          request.payload,
+        );
+      case BROWSER_SQLITE_OPERATIONS.GET_TIMELINE_HISTOGRAM:
+        return getBrowserSqliteTimelineHistogram(
+          requireDatabase(database),
+          request.payload,
+        );
       case BROWSER_SQLITE_OPERATIONS.GET_LOGICAL_ZONE:
         return getBrowserSqliteLogicalZone(
           requireDatabase(database),
@@ -193,6 +261,44 @@ export function createBrowserSqliteWorkerRuntime({
           requireDatabase(database),
           request.payload,
         );
+      case BROWSER_SQLITE_OPERATIONS.UNDO_ZONE_EDIT:
+        return undoBrowserSqliteZoneEdit(
+          requireDatabase(database),
+          request.payload,
+        );
+      case BROWSER_SQLITE_OPERATIONS.REDO_ZONE_EDIT:
+        return redoBrowserSqliteZoneEdit(
+          requireDatabase(database),
+          request.payload,
+        );
+      case BROWSER_SQLITE_OPERATIONS.GET_ZONE_EDIT_HISTORY:
+        return getBrowserSqliteZoneEditHistory(
+          requireDatabase(database),
+          request.payload,
+        );
+      case BROWSER_SQLITE_OPERATIONS.REVERT_LOGICAL_ZONE:
+        return revertBrowserSqliteLogicalZone(
+          requireDatabase(database),
+          request.payload,
+        );
+      case BROWSER_SQLITE_OPERATIONS.ADD_DRAWN_FEATURE:
+        return addBrowserSqliteDrawnFeature(
+          requireDatabase(database),
+          request.payload.datasetId,
+          request.payload,
+        );
+      case BROWSER_SQLITE_OPERATIONS.UPDATE_SOURCE_ROW:
+        return updateBrowserSqliteSourceRow(
+          requireDatabase(database),
+          request.payload.sourceRef,
+          request.payload.values,
+        );
+      case BROWSER_SQLITE_OPERATIONS.GEOCODE_DATASET:
+        return geocodeBrowserSqliteDataset(
+          requireDatabase(database),
+          request.payload.datasetId,
+          request.payload,
+        );
       case BROWSER_SQLITE_OPERATIONS.CLOSE:
         return closeDatabase();
       default:
@@ -203,9 +309,9 @@ export function createBrowserSqliteWorkerRuntime({
     }
   }
 
-  async function initializeDatabase() {
+  async function initializeDatabase(payload) {
     if (database) {
-      return createInitializationResult(database, true);
+      return createInitializationResult(database, true, persistent, restored);
     }
 
     try {
@@ -213,18 +319,60 @@ export function createBrowserSqliteWorkerRuntime({
         sqlModulePromise = Promise.resolve().then(initializeSql);
       }
       const SQL = await sqlModulePromise;
-      database = createBrowserSqliteDatabase(SQL);
-      return createInitializationResult(database, false);
+      persistent = payload.persistence === 'persistent' && !!snapshotStore;
+      const bytes = persistent ? await readSnapshot() : null;
+      database = bytes ? restoreDatabase(SQL, bytes) : null;
+      restored = !!database;
+      database ??= createBrowserSqliteDatabase(SQL);
+      if (!persistent) await removeSnapshot();
+      return createInitializationResult(database, false, persistent, restored);
     } catch {
       sqlModulePromise = null;
       database = null;
+      persistent = false;
+      restored = false;
       throw new BrowserSqliteWorkerRuntimeError(
         'initialization-failed',
-        'The temporary database could not be initialized.',
+        'The database could not be initialized.',
       );
     }
   }
 
+  /** Unreadable snapshots start a fresh database rather than blocking the app. */
+  async function readSnapshot() {
+    try {
+      return await snapshotStore.read();
+    } catch {
+      return null;
+    }
+  }
+
+  function restoreDatabase(SQL, bytes) {
+    try {
+      return openBrowserSqliteDatabase(SQL, bytes);
+    } catch {
+      return null;
+    }
+  }
+
+  async function writeSnapshot() {
+    if (!persistent || !database) return;
+    try {
+      await snapshotStore.write(exportBrowserSqliteDatabase(database));
+    } catch {
+      // The in-memory database stays authoritative; the next change retries.
+    }
+  }
+
+  /** Opting out of persistence clears the snapshot left by an earlier session. */
+  async function removeSnapshot() {
+    try {
+      await snapshotStore?.remove();
+    } catch {
+      // A leftover snapshot is harmless because it is never read while opted out.
+    }
+  }
+
   async function importFiles(payload) {
     const targetDatabase = requireDatabase(database);
     const importRecord = {
@@ -239,6 +387,7 @@ export function createBrowserSqliteWorkerRuntime({
         payload.files,
         {
           importId: payload.importId,
+          fileOptions: payload.fileOptions,
           shouldCancel: () => importRecord.canceled,
           onProgress: (progress) => {
             postMessage(createBrowserSqliteProgressEvent(progress));
@@ -260,11 +409,12 @@ export function createBrowserSqliteWorkerRuntime({
   return Object.freeze({ handleMessage });
 }
 
-function createInitializationResult(database, reused) {
+function createInitializationResult(database, reused, persistent, restored) {
   return {
     initialized: true,
     reused,
-    databaseStorage: 'memory',
+    databaseStorage: persistent ? 'opfs' : 'memory',
+    restored,
     schemaVersion: getBrowserSqliteSchemaVersion(database),
   };
 }
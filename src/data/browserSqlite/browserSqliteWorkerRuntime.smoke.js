@@ -63,7 +63,8 @@ try {
     initialized: true,
     reused: false,
     databaseStorage: 'memory',
-    schemaVersion: 3,
+    restored: false,
+    schemaVersion: 7,
   });
   const repeatedInitialize = await runtime.handleMessage(request(
     'initialize-repeated',
@@ -145,6 +146,8 @@ try {
   assert.deepEqual(mapped.result.mapping, {
     latField: 'lat',
     lonField: 'lon',
+    coordinateField: null,
+    coordinateSystem: null,
   });
   await runtime.handleMessage(request(
     'enable-first',
@@ -277,6 +280,106 @@ try {
     'fresh-close',
     BROWSER_SQLITE_OPERATIONS.CLOSE,
   ));
+
+  const snapshotStore = createMemorySnapshotStore();
+  const persistentRuntime = createBrowserSqliteWorkerRuntime({
+    initializeSql: initSqlJs,
+    postMessage: () => {},
+    snapshotStore,
+  });
+  const persistentInitialize = await persistentRuntime.handleMessage(request(
+    'persistent-initialize',
+    BROWSER_SQLITE_OPERATIONS.INITIALIZE,
+    { persistence: 'persistent' },
+  ));
+  assert.equal(persistentInitialize.result.databaseStorage, 'opfs');
+  assert.equal(persistentInitialize.result.restored, false);
+  assert.equal(snapshotStore.writes, 0);
+  await persistentRuntime.handleMessage(request(
+    'persistent-import',
+    BROWSER_SQLITE_OPERATIONS.IMPORT_FILES,
+    {
+      importId: 'persistent-import',
+      files: [new TestBrowserFile('name,lat,lon\nKept,59.3,18.1', 'kept.csv')],
+    },
+  ));
+  assert.equal(snapshotStore.writes, 1);
+  await persistentRuntime.handleMessage(request(
+    'persistent-summary',
+    BROWSER_SQLITE_OPERATIONS.GET_DATASET_SUMMARY,
+  ));
+  assert.equal(snapshotStore.writes, 1, 'Reads must not rewrite the snapshot.');
+  await persistentRuntime.handleMessage(request(
+    'persistent-close',
+    BROWSER_SQLITE_OPERATIONS.CLOSE,
+  ));
+
+  const reloadedRuntime = createBrowserSqliteWorkerRuntime({
+    initializeSql: initSqlJs,
+    postMessage: () => {},
+    snapshotStore,
+  });
+  const reloaded = await reloadedRuntime.handleMessage(request(
+    'reloaded-initialize',
+    BROWSER_SQLITE_OPERATIONS.INITIALIZE,
+    { persistence: 'persistent' },
+  ));
+  assert.equal(reloaded.result.restored, true);
+  const reloadedSummary = await reloadedRuntime.handleMessage(request(
+    'reloaded-summary',
+    BROWSER_SQLITE_OPERATIONS.GET_DATASET_SUMMARY,
+  ));
+  assert.deepEqual(
+    reloadedSummary.result.datasets.map((dataset) => dataset.name),
+    ['kept.csv'],
+  );
+  const reloadedRemoval = await reloadedRuntime.handleMessage(request(
+    'reloaded-remove',
+    BROWSER_SQLITE_OPERATIONS.REMOVE_DATASET,
+    { datasetId: reloadedSummary.result.datasets[0].id },
+  ));
+  assert.equal(reloadedRemoval.result.changed, true);
+  assert.equal(snapshotStore.writes, 2);
+  await reloadedRuntime.handleMessage(request(
+    'reloaded-close',
+    BROWSER_SQLITE_OPERATIONS.CLOSE,
+  ));
+
+  // An unreadable snapshot starts fresh instead of failing initialization.
+  snapshotStore.bytes = new Uint8Array([1, 2, 3]);
+  const corruptRuntime = createBrowserSqliteWorkerRuntime({
+    initializeSql: initSqlJs,
+    postMessage: () => {},
+    snapshotStore,
+  });
+  const corrupt = await corruptRuntime.handleMessage(request(
+    'corrupt-initialize',
+    BROWSER_SQLITE_OPERATIONS.INITIALIZE,
+    { persistence: 'persistent' },
+  ));
+  assert.equal(corrupt.ok, true);
+  assert.equal(corrupt.result.restored, false);
+  await corruptRuntime.handleMessage(request(
+    'corrupt-close',
+    BROWSER_SQLITE_OPERATIONS.CLOSE,
+  ));
+
+  // Opting out clears the snapshot and keeps the database in memory.
+  const temporaryRuntime = createBrowserSqliteWorkerRuntime({
+    initializeSql: initSqlJs,
+    postMessage: () => {},
+    snapshotStore,
+  });
+  const temporary = await temporaryRuntime.handleMessage(request(
+    'temporary-initialize',
+    BROWSER_SQLITE_OPERATIONS.INITIALIZE,
+  ));
+  assert.equal(temporary.result.databaseStorage, 'memory');
+  assert.equal(snapshotStore.bytes, null);
+  await temporaryRuntime.handleMessage(request(
+    'temporary-close',
+    BROWSER_SQLITE_OPERATIONS.CLOSE,
+  ));
 } finally {
   restoreFileReader();
 }
@@ -309,6 +412,23 @@ function assertFailure(response, code) {
   assert.doesNotMatch(response.error.message, /DROP TABLE/);
 }
 
+function createMemorySnapshotStore() {
+  return {
+    bytes: null,
+    writes: 0,
+    async read() {
+      return this.bytes;
+    },
+    async write(bytes) {
+      this.bytes = bytes;
+      this.writes += 1;
+    },
+    async remove() {
+      this.bytes = null;
+    },
+  };
+}
+
 function createCsvRows(count) {
   const lines = ['name,lat,lon'];
   for (let index = 0; index < count; index += 1) {
@@ -1,87 +1,430 @@
 import { detectFeatureTypeField, getRowFeatureType } from '../../components/featureTypes.js';
-import { isValidLat, isValidLon, parseFlexibleFloat } from '../../components/geoColumns.js';
+import { getCoordinateTransform } from '../../components/coordinateSystems.js';
+import {
+  formatCoordinateText,
+  hasMappedCoordinates,
+  readMappedCoordinates,
+} from '../../components/coordinateText.js';
+import { isValidLat, isValidLon } from '../../components/geoColumns.js';
+import {
+  detectWktField,
+  parseWktGeometry,
+  replaceWktLineString,
+  replaceWktPolygons,
+  resolveWktFeatureParts,
+} from '../../components/wktGeometry.js';
 
-/** Read every stored part for one dataset-scoped logical region. */
+/** Newest history entries returned by one history listing. */
+const ZONE_HISTORY_LIST_LIMIT = 100;
+const GEOMETRY_TYPES = new Set(['line', 'region']);
+
+/**
+ * Read every stored part for one dataset-scoped logical region or line.
+ * Lines are single-part features whose part identity is the empty string.
+ */
 export function getBrowserSqliteLogicalZone(database, request = {}) {
   requireDatabase(database);
   const datasetId = normalizeRequiredString(request.datasetId);
   const featureId = normalizeRequiredString(request.featureId);
+  const geometryType = normalizeGeometryType(request.geometryType);
   const rows = readAll(database, `
     SELECT part, coordinates_json, style_json
     FROM geometry_features
-    WHERE dataset_id = ? AND geometry_type = 'region' AND feature_id = ?
+    WHERE dataset_id = ? AND geometry_type = ? AND feature_id = ?
     ORDER BY part_order_index, part
-  `, [datasetId, featureId]);
+  `, [datasetId, geometryType, featureId]);
   if (rows.length === 0) throw zoneError('dataset-not-found');
 
   return {
     datasetId,
     featureId,
+    geometryType,
     parts: rows.map((row) => ({
       part: String(row.part),
-      coordinates: parseCoordinates(row.coordinates_json),
+      coordinates: parseCoordinates(row.coordinates_json, geometryType),
       style: parseJsonObject(row.style_json),
     })),
   };
 }
 
-/** Atomically update all source vertices and compact parts for one logical zone. */
+/**
+ * Atomically update all source vertices and compact parts for one logical zone.
+ * Parts may gain or lose vertices: source rows are inserted or deleted to match
+ * and the part's `order` values are renumbered. Geometry read from a WKT column
+ * has that cell rewritten instead. The change is recorded in the dataset's zone
+ * edit history and clears its redo stack.
+ */
 export function updateBrowserSqliteLogicalZone(database, request = {}) {
   requireDatabase(database);
   const storedZone = getBrowserSqliteLogicalZone(database, request);
-  const submittedParts = normalizeSubmittedParts(request.parts);
-  validateCompletePartSet(storedZone.parts, submittedParts);
+  const submittedParts = normalizeSubmittedParts(request.parts, storedZone.geometryType);
+  validateCompletePartSet(storedZone, submittedParts);
+
+  runInTransaction(database, () => {
+    writeZoneParts(database, storedZone, submittedParts);
+    recordZoneEdit(database, storedZone, 'adjust', submittedParts);
+  });
+  return getBrowserSqliteLogicalZone(database, storedZone);
+}
+
+/** Restore the coordinates from before the dataset's latest applied zone edit. */
+export function undoBrowserSqliteZoneEdit(database, request = {}) {
+  requireDatabase(database);
+  const datasetId = requireCompleteDataset(database, request.datasetId);
+  const edit = readAll(database, `
+    SELECT edit_index, feature_id, geometry_type, before_json
+    FROM zone_edits
+    WHERE dataset_id = ? AND undone = 0
+    ORDER BY edit_index DESC
+  `, [datasetId], 1)[0];
+  return applyHistoryEdit(database, datasetId, edit, 'before_json', 1);
+}
+
+/** Reapply the earliest undone zone edit for one dataset. */
+export function redoBrowserSqliteZoneEdit(database, request = {}) {
+  requireDatabase(database);
+  const datasetId = requireCompleteDataset(database, request.datasetId);
+  const edit = readAll(database, `
+    SELECT edit_index, feature_id, geometry_type, after_json
+    FROM zone_edits
+    WHERE dataset_id = ? AND undone = 1
+    ORDER BY edit_index
+  `, [datasetId], 1)[0];
+  return applyHistoryEdit(database, datasetId, edit, 'after_json', 0);
+}
+
+/**
+ * Return a zone to the coordinates it had before its first recorded edit.
+ * The revert is itself recorded, so it can be undone like any adjustment.
+ */
+export function revertBrowserSqliteLogicalZone(database, request = {}) {
+  requireDatabase(database);
+  const storedZone = getBrowserSqliteLogicalZone(database, request);
+  // The oldest edit's starting point is the imported geometry: undone edits
+  // are discarded by later ones, so nothing earlier can have replaced it.
+  const original = readAll(database, `
+    SELECT before_json
+    FROM zone_edits
+    WHERE dataset_id = ? AND geometry_type = ? AND feature_id = ?
+    ORDER BY edit_index
+  `, [storedZone.datasetId, storedZone.geometryType, storedZone.featureId], 1)[0];
+  const originalParts = original
+    ? parseHistoryParts(original.before_json, storedZone.geometryType)
+    : null;
+  if (!originalParts || partsEqual(originalParts, storedZone.parts)) {
+    return createZoneEditResult(database, storedZone.datasetId, false, storedZone);
+  }
+  validateCompletePartSet(storedZone, originalParts);
+
+  runInTransaction(database, () => {
+    writeZoneParts(database, storedZone, originalParts);
+    recordZoneEdit(database, storedZone, 'revert', originalParts);
+  });
+  return createZoneEditResult(
+    database,
+    storedZone.datasetId,
+    true,
+    getBrowserSqliteLogicalZone(database, storedZone),
+  );
+}
+
+/** List the newest zone edits for one dataset with its undo and redo state. */
+export function getBrowserSqliteZoneEditHistory(database, request = {}) {
+  requireDatabase(database);
+  const datasetId = requireCompleteDataset(database, request.datasetId);
+  return readZoneEditHistory(database, datasetId);
+}
+
+function applyHistoryEdit(database, datasetId, edit, column, undone) {
+  if (!edit) return createZoneEditResult(database, datasetId, false, null);
+  const storedZone = getBrowserSqliteLogicalZone(database, {
+    datasetId,
+    featureId: String(edit.feature_id),
+    geometryType: String(edit.geometry_type),
+  });
+  const parts = parseHistoryParts(edit[column], storedZone.geometryType);
+  validateCompletePartSet(storedZone, parts);
+
+  runInTransaction(database, () => {
+    writeZoneParts(database, storedZone, parts);
+    database.run(`
+      UPDATE zone_edits SET undone = ?
+      WHERE dataset_id = ? AND edit_index = ?
+    `, [undone, datasetId, edit.edit_index]);
+  });
+  return createZoneEditResult(
+    database,
+    datasetId,
+    true,
+    getBrowserSqliteLogicalZone(database, storedZone),
+  );
+}
+
+function createZoneEditResult(database, datasetId, changed, zone) {
+  return {
+    changed,
+    zone,
+    history: readZoneEditHistory(database, datasetId),
+  };
+}
+
+function readZoneEditHistory(database, datasetId) {
+  const entries = readAll(database, `
+    SELECT edit_index, feature_id, geometry_type, kind, undone, edited_at
+    FROM zone_edits
+    WHERE dataset_id = ?
+    ORDER BY edit_index DESC
+  `, [datasetId], ZONE_HISTORY_LIST_LIMIT).map((entry) => ({
+    editIndex: Number(entry.edit_index),
+    featureId: String(entry.feature_id),
+    geometryType: String(entry.geometry_type),
+    kind: String(entry.kind),
+    undone: Number(entry.undone) === 1,
+    editedAt: String(entry.edited_at),
+  }));
+  const counts = readAll(database, `
+    SELECT
+      COALESCE(SUM(undone = 0), 0) AS applied_count,
+      COALESCE(SUM(undone = 1), 0) AS undone_count
+    FROM zone_edits
+    WHERE dataset_id = ?
+  `, [datasetId])[0];
+  return {
+    datasetId,
+    canUndo: Number(counts.applied_count) > 0,
+    canRedo: Number(counts.undone_count) > 0,
+    entries,
+  };
+}
+
+/** Append one edit after discarding the redo stack it supersedes. */
+function recordZoneEdit(database, storedZone, kind, afterParts) {
+  database.run(`
+    DELETE FROM zone_edits WHERE dataset_id = ? AND undone = 1
+  `, [storedZone.datasetId]);
+  database.run(`
+    INSERT INTO zone_edits (
+      dataset_id, edit_index, feature_id, geometry_type, kind,
+      before_json, after_json, edited_at
+    )
+    SELECT ?, COALESCE(MAX(edit_index) + 1, 0), ?, ?, ?, ?, ?, ?
+    FROM zone_edits
+    WHERE dataset_id = ?
+  `, [
+    storedZone.datasetId,
+    storedZone.featureId,
+    storedZone.geometryType,
+    kind,
+    JSON.stringify(toHistoryParts(storedZone.parts)),
+    JSON.stringify(toHistoryParts(afterParts)),
+    new Date().toISOString(),
+    storedZone.datasetId,
+  ]);
+}
+
+/** Write complete part coordinates back to source rows and compact geometry. */
+function writeZoneParts(database, storedZone, submittedParts) {
   const sourceContext = readSourceContext(database, storedZone);
-  let updateSourceRow = null;
-  let updateGeometry = null;
+  const statements = {};
 
-  database.run('BEGIN TRANSACTION');
   try {
-    updateSourceRow = database.prepare(`
+    statements.updateSourceRow = database.prepare(`
       UPDATE source_rows
       SET row_json = ?
       WHERE dataset_id = ? AND source_row_index = ?
     `);
-    updateGeometry = database.prepare(`
+    statements.insertSourceRow = database.prepare(`
+      INSERT INTO source_rows (dataset_id, source_row_index, row_json)
+      VALUES (?, ?, ?)
+    `);
+    statements.updateGeometry = database.prepare(`
       UPDATE geometry_features
       SET coordinates_json = ?, min_lat = ?, max_lat = ?, min_lon = ?, max_lon = ?
-      WHERE dataset_id = ? AND geometry_type = 'region' AND feature_id = ? AND part = ?
+      WHERE dataset_id = ? AND geometry_type = ? AND feature_id = ? AND part = ?
     `);
 
+    const coordinatesByPart = new Map(
+      submittedParts.map((part) => [part.part, part.coordinates]),
+    );
+    for (const wktRow of sourceContext.wktRows) {
+      const original = wktRow.row[sourceContext.wktField];
+      wktRow.row[sourceContext.wktField] = storedZone.geometryType === 'line'
+        ? replaceWktLineString(original, coordinatesByPart.get(wktRow.parts[0]))
+        : replaceWktPolygons(original, wktRow.parts.map((part) => coordinatesByPart.get(part)));
+      statements.updateSourceRow.run([
+        JSON.stringify(wktRow.row),
+        storedZone.datasetId,
+        wktRow.sourceRowIndex,
+      ]);
+    }
+
+    const storedCoordinates = new Map(
+      storedZone.parts.map((part) => [part.part, part.coordinates]),
+    );
+    let rowCountChange = 0;
     for (const part of submittedParts) {
       const vertices = sourceContext.verticesByPart.get(part.part);
-      const sourceCoordinates = part.coordinates.slice(0, vertices.length);
-      for (let index = 0; index < vertices.length; index += 1) {
-        const vertex = vertices[index];
-        const [lat, lon] = sourceCoordinates[index];
-        // Only coordinate fields change; every other imported CSV value is retained verbatim.
-        vertex.row[sourceContext.latField] = formatCoordinateLike(
-          vertex.row[sourceContext.latField],
-          lat,
-        );
-        vertex.row[sourceContext.lonField] = formatCoordinateLike(
-          vertex.row[sourceContext.lonField],
-          lon,
-        );
-        updateSourceRow.run([
-          JSON.stringify(vertex.row),
-          storedZone.datasetId,
-          vertex.sourceRowIndex,
-        ]);
+      if (!sourceContext.wktParts.has(part.part)) {
+        rowCountChange += writeVertexRows(database, statements, {
+          storedZone,
+          sourceContext,
+          vertices,
+          storedCoordinates: storedCoordinates.get(part.part),
+          coordinates: part.coordinates,
+        });
       }
 
       const bounds = getBounds(part.coordinates);
-      updateGeometry.run([
+      statements.updateGeometry.run([
         JSON.stringify(part.coordinates),
         bounds.minLat,
         bounds.maxLat,
         bounds.minLon,
         bounds.maxLon,
         storedZone.datasetId,
+        storedZone.geometryType,
         storedZone.featureId,
         part.part,
       ]);
     }
+    if (sourceContext.ordersRewritten) {
+      updateDatasetRows(database, sourceContext, rowCountChange);
+    }
+  } finally {
+    for (const statement of Object.values(statements)) statement.free();
+  }
+}
+
+/**
+ * Write one part's coordinates to its vertex rows and return the row count change.
+ * Only coordinate fields change on existing rows, and `order` as well when the
+ * vertex count changes; every other imported CSV value is retained verbatim.
+ */
+function writeVertexRows(database, statements, {
+  storedZone,
+  sourceContext,
+  vertices,
+  storedCoordinates,
+  coordinates,
+}) {
+  // Regions whose source rows omit the closing vertex keep omitting it.
+  const sourceCoordinates = vertices.length < storedCoordinates.length
+    ? coordinates.slice(0, -1)
+    : coordinates;
+  const { slots, removed } = alignVertexRows(
+    vertices,
+    storedCoordinates.slice(0, vertices.length),
+    sourceCoordinates,
+  );
+  const renumber = removed.length > 0 || slots.some((slot) => slot.template);
+  let nextSourceRowIndex = renumber ? readNextSourceRowIndex(database, storedZone.datasetId) : 0;
+
+  slots.forEach((slot, index) => {
+    const [lat, lon] = sourceContext.transform.fromWgs84(...slot.coordinate);
+    const vertex = slot.vertex ?? {
+      sourceRowIndex: nextSourceRowIndex++,
+      row: JSON.parse(JSON.stringify(slot.template.row)),
+      inserted: true,
+    };
+    const row = vertex.row;
+    const { coordinateField, latField, lonField } = sourceContext.columns;
+    if (coordinateField) {
+      row[coordinateField] = formatCoordinateText(row[coordinateField], lat, lon);
+    } else {
+      row[latField] = formatCoordinateLike(row[latField], lat);
+      row[lonField] = formatCoordinateLike(row[lonField], lon);
+    }
+    if (renumber) row.order = formatCoordinateLike(row.order, index + 1);
+    const statement = vertex.inserted ? statements.insertSourceRow : statements.updateSourceRow;
+    statement.run(vertex.inserted
+      ? [storedZone.datasetId, vertex.sourceRowIndex, JSON.stringify(row)]
+      : [JSON.stringify(row), storedZone.datasetId, vertex.sourceRowIndex]);
+    slot.vertex = vertex;
+  });
+
+  if (removed.length > 0) {
+    // Compact parts reference a source row, so repoint them before that row is deleted.
+    const firstSourceRowIndex = slots[0].vertex.sourceRowIndex;
+    for (const vertex of removed) {
+      database.run(`
+        UPDATE geometry_features SET source_row_index = ?
+        WHERE dataset_id = ? AND source_row_index = ?
+      `, [firstSourceRowIndex, storedZone.datasetId, vertex.sourceRowIndex]);
+      database.run(`
+        DELETE FROM source_rows WHERE dataset_id = ? AND source_row_index = ?
+      `, [storedZone.datasetId, vertex.sourceRowIndex]);
+    }
+  }
+  if (renumber) sourceContext.ordersRewritten = true;
+  return slots.length - vertices.length;
+}
+
+/**
+ * Pair stored vertex rows with submitted coordinates. Unchanged leading and
+ * trailing vertices keep their rows, so inserting or deleting one vertex adds or
+ * removes only the row at that position. Slots without a row name the
+ * neighbouring row a new one is copied from.
+ */
+function alignVertexRows(vertices, currentCoordinates, coordinates) {
+  if (vertices.length === coordinates.length) {
+    return {
+      slots: vertices.map((vertex, index) => ({ vertex, coordinate: coordinates[index] })),
+      removed: [],
+    };
+  }
+  const limit = Math.min(vertices.length, coordinates.length);
+  let prefix = 0;
+  while (prefix < limit && coordinatesEqual(currentCoordinates[prefix], coordinates[prefix])) {
+    prefix += 1;
+  }
+  let suffix = 0;
+  while (
+    suffix < limit - prefix
+    && coordinatesEqual(currentCoordinates.at(-1 - suffix), coordinates.at(-1 - suffix))
+  ) suffix += 1;
+
+  const changed = vertices.slice(prefix, vertices.length - suffix);
+  const slots = coordinates.map((coordinate, index) => {
+    if (index < prefix) return { vertex: vertices[index], coordinate };
+    if (index >= coordinates.length - suffix) {
+      return { vertex: vertices[vertices.length - (coordinates.length - index)], coordinate };
+    }
+    return { vertex: changed[index - prefix] ?? null, coordinate };
+  });
+  slots.forEach((slot, index) => {
+    if (slot.vertex) return;
+    slot.template = slots[index - 1]?.vertex ?? slots[index - 1]?.template ?? vertices[0];
+  });
+  return { slots, removed: changed.slice(coordinates.length - prefix - suffix) };
+}
+
+function readNextSourceRowIndex(database, datasetId) {
+  const row = readAll(database, `
+    SELECT COALESCE(MAX(source_row_index) + 1, 0) AS next_index
+    FROM source_rows
+    WHERE dataset_id = ?
+  `, [datasetId], 1)[0];
+  return Number(row.next_index);
+}
+
+/** Keep stored row counts and the exported header in step with inserted or deleted vertices. */
+function updateDatasetRows(database, sourceContext, change) {
+  const headers = !sourceContext.headers.includes('order')
+    ? [...sourceContext.headers, 'order']
+    : sourceContext.headers;
+  database.run(`
+    UPDATE datasets
+    SET stored_row_count = stored_row_count + ?,
+        total_parsed_row_count = total_parsed_row_count + ?,
+        columns_json = ?
+    WHERE id = ?
+  `, [change, change, JSON.stringify(headers), sourceContext.datasetId]);
+}
+
+function runInTransaction(database, callback) {
+  database.run('BEGIN TRANSACTION');
+  try {
+    callback();
     database.run('COMMIT');
   } catch (error) {
     try {
@@ -90,12 +433,7 @@ export function updateBrowserSqliteLogicalZone(database, request = {}) {
       // Preserve the original transaction failure when rollback itself is unavailable.
     }
     throw error;
-  } finally {
-    updateSourceRow?.free();
-    updateGeometry?.free();
   }
-
-  return getBrowserSqliteLogicalZone(database, storedZone);
 }
 
 /** Reconstruct the authoritative source-row ordering used by geometry derivation. */
@@ -109,11 +447,20 @@ function readSourceContext(database, zone) {
   const headers = parseJsonArray(metadata.columns_json);
   const mapping = parseJsonObject(metadata.coordinate_mapping_json);
   const featureTypeField = detectFeatureTypeField(headers);
-  const latField = normalizeRequiredString(mapping.latField);
-  const lonField = normalizeRequiredString(mapping.lonField);
-  if (!featureTypeField || !latField || !lonField) throw zoneError('operation-failed');
+  const wktField = detectWktField(headers);
+  const columns = {
+    latField: normalizeRequiredString(mapping.latField),
+    lonField: normalizeRequiredString(mapping.lonField),
+    coordinateField: normalizeRequiredString(mapping.coordinateField),
+  };
+  const hasVertexColumns = !!featureTypeField && hasMappedCoordinates(columns);
+  if (!hasVertexColumns && !wktField) throw zoneError('operation-failed');
+  const transform = getCoordinateTransform(mapping.coordinateSystem);
 
   const verticesByPart = new Map(zone.parts.map((part) => [part.part, []]));
+  const wktRows = [];
+  const wktParts = new Set();
+  const isLine = zone.geometryType === 'line';
   const rows = readAll(database, `
     SELECT source_row_index, row_json
     FROM source_rows
@@ -122,63 +469,110 @@ function readSourceContext(database, zone) {
   `, [zone.datasetId]);
   for (const stored of rows) {
     const row = parseJsonObject(stored.row_json);
+    const sourceRowIndex = Number(stored.source_row_index);
+    const wktGeometry = wktField ? parseWktGeometry(row[wktField]) : null;
+    if (wktGeometry) {
+      if (wktGeometry.featureType !== zone.geometryType) continue;
+      const { featureId, parts } = resolveWktFeatureParts(row, sourceRowIndex, wktGeometry);
+      if (featureId !== zone.featureId || !parts.every((part) => verticesByPart.has(part))) {
+        continue;
+      }
+      parts.forEach((part) => wktParts.add(part));
+      wktRows.push({ sourceRowIndex, row, parts });
+      continue;
+    }
+
     if (
-      getRowFeatureType(row, featureTypeField) !== 'region'
+      !hasVertexColumns
+      || getRowFeatureType(row, featureTypeField) !== zone.geometryType
       || normalizeRequiredString(row.featureId) !== zone.featureId
     ) continue;
-    const part = normalizeRequiredString(row.part) ?? '0';
+    const part = isLine ? '' : normalizeRequiredString(row.part) ?? '0';
     if (!verticesByPart.has(part)) continue;
-    const lat = parseFlexibleFloat(row[latField]);
-    const lon = parseFlexibleFloat(row[lonField]);
+    const [lat, lon] = transform.toWgs84(...readMappedCoordinates(row, columns));
     if (!isValidLat(lat) || !isValidLon(lon)) continue;
     verticesByPart.get(part).push({
-      sourceRowIndex: Number(stored.source_row_index),
+      sourceRowIndex,
       order: parseOrder(row.order),
       row,
     });
   }
 
   for (const part of zone.parts) {
+    // WKT-owned parts are rewritten whole, so their vertex count may change freely.
+    if (wktParts.has(part.part)) continue;
     const vertices = verticesByPart.get(part.part);
     vertices.sort((left, right) => (
       (left.order ?? left.sourceRowIndex) - (right.order ?? right.sourceRowIndex)
       || left.sourceRowIndex - right.sourceRowIndex
     ));
     const coordinateCount = part.coordinates.length;
-    const isClosed = coordinatesEqual(part.coordinates[0], part.coordinates.at(-1));
+    const isClosed = !isLine && coordinatesEqual(part.coordinates[0], part.coordinates.at(-1));
     if (
       vertices.length !== coordinateCount
       && !(isClosed && vertices.length === coordinateCount - 1)
     ) throw zoneError('operation-failed');
   }
-  return { latField, lonField, verticesByPart };
+  return {
+    datasetId: zone.datasetId,
+    headers,
+    columns,
+    transform,
+    wktField,
+    verticesByPart,
+    wktRows,
+    wktParts,
+    ordersRewritten: false,
+  };
+}
+
+/** Keep only part identities and coordinates; styles are not part of an edit. */
+function toHistoryParts(parts) {
+  return parts.map((part) => ({ part: part.part, coordinates: part.coordinates }));
+}
+
+/** Stored history is trusted but still revalidated before it reaches SQLite rows. */
+function parseHistoryParts(value, geometryType) {
+  return normalizeSubmittedParts(parseJsonArray(value), geometryType);
+}
+
+function partsEqual(left, right) {
+  return left.length === right.length && left.every((part, index) => (
+    part.part === right[index].part
+    && JSON.stringify(part.coordinates) === JSON.stringify(right[index].coordinates)
+  ));
 }
 
 /** Normalize the client payload without permitting part identities or rings to disappear. */
-function normalizeSubmittedParts(value) {
+function normalizeSubmittedParts(value, geometryType) {
   if (!Array.isArray(value) || value.length === 0) throw zoneError('operation-failed');
   return value.map((part) => ({
-    part: normalizeRequiredString(part?.part),
-    coordinates: normalizeCoordinates(part?.coordinates),
+    part: geometryType === 'line' ? String(part?.part ?? '') : normalizeRequiredString(part?.part),
+    coordinates: normalizeCoordinates(part?.coordinates, geometryType),
   }));
 }
 
-/** Require the submitted multipart structure to match the stored logical zone exactly. */
-function validateCompletePartSet(storedParts, submittedParts) {
+/**
+ * Require the submitted parts to match the stored logical zone's part identities
+ * in order. Vertex counts may change, but region rings must stay closed.
+ */
+function validateCompletePartSet(storedZone, submittedParts) {
+  const storedParts = storedZone.parts;
   if (storedParts.length !== submittedParts.length) throw zoneError('operation-failed');
   for (let index = 0; index < storedParts.length; index += 1) {
-    const stored = storedParts[index];
     const submitted = submittedParts[index];
     if (
-      stored.part !== submitted.part
-      || stored.coordinates.length !== submitted.coordinates.length
-      || !coordinatesEqual(submitted.coordinates[0], submitted.coordinates.at(-1))
+      storedParts[index].part !== submitted.part
+      || storedZone.geometryType === 'region'
+        && !coordinatesEqual(submitted.coordinates[0], submitted.coordinates.at(-1))
     ) throw zoneError('operation-failed');
   }
 }
 
-function normalizeCoordinates(value) {
-  if (!Array.isArray(value) || value.length < 4) throw zoneError('operation-failed');
+/** Lines need two vertices; region rings need three distinct vertices plus the closing one. */
+function normalizeCoordinates(value, geometryType = 'region') {
+  const minimumLength = geometryType === 'line' ? 2 : 4;
+  if (!Array.isArray(value) || value.length < minimumLength) throw zoneError('operation-failed');
   return value.map((coordinate) => {
     const lat = Number(coordinate?.[0]);
     const lon = Number(coordinate?.[1]);
@@ -213,8 +607,14 @@ function coordinatesEqual(left, right) {
     && left[0] === right[0] && left[1] === right[1];
 }
 
-function parseCoordinates(value) {
-  return normalizeCoordinates(parseJsonArray(value));
+function parseCoordinates(value, geometryType) {
+  return normalizeCoordinates(parseJsonArray(value), geometryType);
+}
+
+function normalizeGeometryType(value) {
+  if (value == null) return 'region';
+  if (!GEOMETRY_TYPES.has(value)) throw zoneError('operation-failed');
+  return value;
 }
 
 function parseJsonArray(value) {
@@ -251,6 +651,15 @@ function readAll(database, sql, parameters = [], maximumRows = Infinity) {
   return rows;
 }
 
+function requireCompleteDataset(database, value) {
+  const datasetId = normalizeRequiredString(value);
+  const exists = datasetId && readAll(database, `
+    SELECT 1 AS present FROM datasets WHERE id = ? AND import_state = 'complete'
+  `, [datasetId], 1).length > 0;
+  if (!exists) throw zoneError('dataset-not-found');
+  return datasetId;
+}
+
 function requireDatabase(database) {
   if (!database || typeof database.prepare !== 'function') {
     throw new TypeError('A sql.js database with prepare() is required.');
@@ -0,0 +1,148 @@
+/**
+ * User overrides for how CSV text is decoded and split into rows.
+ *
+ * The browser worker importer and the desktop importer (through
+ * desktop/csvImportOptions.cjs) both build their PapaParse configuration from
+ * these options, so one set of choices reads a file the same way in either
+ * runtime. The defaults reproduce automatic detection.
+ */
+
+/** Column separators offered for import; an empty value detects one per file. */
+export const CSV_IMPORT_DELIMITERS = Object.freeze([
+  Object.freeze({ value: '', label: 'Detect automatically' }),
+  Object.freeze({ value: ',', label: 'Comma (,)' }),
+  Object.freeze({ value: ';', label: 'Semicolon (;)' }),
+  Object.freeze({ value: '\t', label: 'Tab' }),
+  Object.freeze({ value: '|', label: 'Vertical bar (|)' }),
+]);
+
+/** Characters that may enclose values containing separators or line breaks. */
+export const CSV_IMPORT_QUOTE_CHARS = Object.freeze([
+  Object.freeze({ value: '"', label: 'Double quote (")' }),
+  Object.freeze({ value: "'", label: "Single quote (')" }),
+]);
+
+/** Text encodings offered for import, as WHATWG encoding labels. */
+export const CSV_IMPORT_ENCODINGS = Object.freeze([
+  Object.freeze({ value: 'utf-8', label: 'UTF-8' }),
+  Object.freeze({ value: 'windows-1252', label: 'Western European (Windows-1252, Latin-1)' }),
+  Object.freeze({ value: 'iso-8859-15', label: 'Western European (ISO-8859-15)' }),
+  Object.freeze({ value: 'utf-16le', label: 'UTF-16 LE' }),
+]);
+
+// Skipped lines are removed from the first parser chunk, so keep the count
+// small enough to always fall inside it.
+export const MAX_CSV_SKIPPED_LINES = 100;
+export const MAX_CSV_HEADER_ROW_INDEX = 1000;
+const MAX_CSV_COMMENT_PREFIX_LENGTH = 8;
+
+export const DEFAULT_CSV_IMPORT_OPTIONS = Object.freeze({
+  delimiter: '',
+  quoteChar: '"',
+  encoding: 'utf-8',
+  skipRows: 0,
+  headerRowIndex: 0,
+  commentPrefix: '',
+});
+
+/**
+ * Validate import options, filling omitted keys with the defaults.
+ *
+ * `skipRows` drops raw lines at the start of the file before parsing, which
+ * keeps title lines out of delimiter detection. `headerRowIndex` then passes
+ * over that many non-empty parsed rows before the header row. Lines starting
+ * with `commentPrefix` are ignored wherever they appear.
+ *
+ * @param {unknown} value Options from the dialog or an IPC/worker request.
+ * @returns {typeof DEFAULT_CSV_IMPORT_OPTIONS|null} Normalized options, or
+ *   null when any value is invalid.
+ */
+export function normalizeCsvImportOptions(value) {
+  if (value == null) return DEFAULT_CSV_IMPORT_OPTIONS;
+  if (typeof value !== 'object' || Array.isArray(value)) return null;
+
+  const options = { ...DEFAULT_CSV_IMPORT_OPTIONS };
+  for (const key of Object.keys(DEFAULT_CSV_IMPORT_OPTIONS)) {
+    if (value[key] != null) options[key] = value[key];
+  }
+
+  const { delimiter, quoteChar, encoding, skipRows, headerRowIndex, commentPrefix } = options;
+  if (
+    typeof delimiter !== 'string' ||
+    delimiter.length > 1 ||
+    isLineBreakOrQuote(delimiter, quoteChar) ||
+    !CSV_IMPORT_QUOTE_CHARS.some((option) => option.value === quoteChar) ||
+    !CSV_IMPORT_ENCODINGS.some((option) => option.value === encoding) ||
+    !isCountAtMost(skipRows, MAX_CSV_SKIPPED_LINES) ||
+    !isCountAtMost(headerRowIndex, MAX_CSV_HEADER_ROW_INDEX) ||
+    typeof commentPrefix !== 'string' ||
+    commentPrefix.length > MAX_CSV_COMMENT_PREFIX_LENGTH ||
+    isDelimiterLike(commentPrefix, delimiter) ||
+    /[\r\n]/.test(commentPrefix) ||
+    commentPrefix.startsWith(quoteChar)
+  ) {
+    return null;
+  }
+
+  return Object.freeze(options);
+}
+
+/**
+ * PapaParse settings for normalized options, shared by every CSV parser.
+ *
+ * @param {typeof DEFAULT_CSV_IMPORT_OPTIONS} options Normalized options.
+ * @returns {object} Parser configuration without input or callback settings.
+ */
+export function getCsvParseConfig(options) {
+  return {
+    delimiter: options.delimiter,
+    skipEmptyLines: true,
+    quoteChar: options.quoteChar,
+    escapeChar: options.quoteChar,
+    ...(options.commentPrefix ? { comments: options.commentPrefix } : {}),
+    ...(options.skipRows > 0 ? { skipFirstNLines: options.skipRows } : {}),
+  };
+}
+
+/**
+ * Encoding used to decode a file: a byte order mark wins over the chosen one,
+ * as it does when browsers read files as text.
+ *
+ * @param {Uint8Array} bytes The first bytes of the file.
+ * @param {string} encoding Encoding chosen in the import options.
+ * @returns {string} WHATWG encoding label.
+ */
+export function getCsvTextEncoding(bytes, encoding) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+  return encoding;
+}
+
+/**
+ * Decode file bytes to text with the chosen encoding.
+ *
+ * @param {Uint8Array} bytes File contents, or a leading part of them.
+ * @param {string} encoding Encoding chosen in the import options.
+ * @returns {string} Decoded text without a byte order mark.
+ */
+export function decodeCsvBytes(bytes, encoding) {
+  return new TextDecoder(getCsvTextEncoding(bytes, encoding)).decode(bytes);
+}
+
+function isLineBreakOrQuote(delimiter, quoteChar) {
+  return delimiter === '\r' || delimiter === '\n' || delimiter === quoteChar;
+}
+
+// PapaParse refuses a comment prefix equal to the delimiter, including every
+// delimiter it tries while detecting one.
+function isDelimiterLike(commentPrefix, delimiter) {
+  return commentPrefix !== '' && (
+    commentPrefix === delimiter ||
+    CSV_IMPORT_DELIMITERS.some((option) => option.value === commentPrefix)
+  );
+}
+
+function isCountAtMost(value, maximum) {
+  return Number.isSafeInteger(value) && value >= 0 && value <= maximum;
+}
@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_CSV_IMPORT_OPTIONS,
+  MAX_CSV_SKIPPED_LINES,
+  decodeCsvBytes,
+  getCsvParseConfig,
+  getCsvTextEncoding,
+  normalizeCsvImportOptions,
+} from './csvImportOptions.js';
+
+// Omitted keys keep automatic detection, which matches the old parser settings.
+assert.equal(normalizeCsvImportOptions(undefined), DEFAULT_CSV_IMPORT_OPTIONS);
+assert.deepEqual(getCsvParseConfig(DEFAULT_CSV_IMPORT_OPTIONS), {
+  delimiter: '',
+  skipEmptyLines: true,
+  quoteChar: '"',
+  escapeChar: '"',
+});
+const options = normalizeCsvImportOptions({
+  delimiter: ';',
+  quoteChar: "'",
+  encoding: 'windows-1252',
+  skipRows: 2,
+  headerRowIndex: null,
+  commentPrefix: '#',
+  ignored: true,
+});
+assert.deepEqual(options, {
+  delimiter: ';',
+  quoteChar: "'",
+  encoding: 'windows-1252',
+  skipRows: 2,
+  headerRowIndex: 0,
+  commentPrefix: '#',
+});
+assert.ok(Object.isFrozen(options));
+assert.deepEqual(getCsvParseConfig(options), {
+  delimiter: ';',
+  skipEmptyLines: true,
+  quoteChar: "'",
+  escapeChar: "'",
+  comments: '#',
+  skipFirstNLines: 2,
+});
+
+for (const invalid of [
+  'semicolon',
+  [],
+  { delimiter: ';;' },
+  { delimiter: '\n' },
+  { delimiter: '"' },
+  { quoteChar: '`' },
+  { encoding: 'shift_jis' },
+  { skipRows: MAX_CSV_SKIPPED_LINES + 1 },
+  { skipRows: 1.5 },
+  { headerRowIndex: -1 },
+  { headerRowIndex: '2' },
+  { commentPrefix: ';' },
+  { delimiter: '~', commentPrefix: '~' },
+  { commentPrefix: '"x' },
+  { commentPrefix: '#\n' },
+  { commentPrefix: '#########' },
+]) {
+  assert.equal(normalizeCsvImportOptions(invalid), null, JSON.stringify(invalid));
+}
+
+// Byte order marks win over the chosen encoding.
+assert.equal(getCsvTextEncoding(new Uint8Array([0xef, 0xbb, 0xbf]), 'windows-1252'), 'utf-8');
+assert.equal(getCsvTextEncoding(new Uint8Array([0xff, 0xfe]), 'utf-8'), 'utf-16le');
+assert.equal(getCsvTextEncoding(new Uint8Array([0x61]), 'iso-8859-15'), 'iso-8859-15');
+assert.equal(decodeCsvBytes(new Uint8Array([0x4b, 0xe4, 0xa4]), 'iso-8859-15'), 'Kä€');
+assert.equal(decodeCsvBytes(new Uint8Array([0xff, 0xfe, 0x61, 0x00]), 'utf-8'), 'a');
+
+console.log('CSV import options smoke test passed.');
@@ -22,13 +22,26 @@ export const DATA_SOURCE_METHODS = Object.freeze({
   setDatasetEnabled: "setDatasetEnabled",
   removeDataset: "removeDataset",
   saveDatasetAsCsv: "saveDatasetAsCsv",
+  saveDatasetAsGeoJson: "saveDatasetAsGeoJson",
   updateDatasetMapping: "updateDatasetMapping",
   getPreviewPage: "getPreviewPage",
   queryMapView: "queryMapView",
   getFeatureDetails: "getFeatureDetails",
   getGroupRows: "getGroupRows",
+  searchFeatures: "searchFeatures",
+  getFieldSummary: "getFieldSummary",
+  getTimelineHistogram: "getTimelineHistogram",
   getLogicalZone: "getLogicalZone",
   updateLogicalZone: "updateLogicalZone",
+  undoZoneEdit: "undoZoneEdit",
+  redoZoneEdit: "redoZoneEdit",
+  getZoneEditHistory: "getZoneEditHistory",
+  revertLogicalZone: "revertLogicalZone",
+  addDrawnFeature: "addDrawnFeature",
+  updateSourceRow: "updateSourceRow",
+  geocodeDataset: "geocodeDataset",
+  saveProject: "saveProject",
+  openProject: "openProject",
   dispose: "dispose",
 });
 
@@ -87,6 +100,10 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  * @property {(datasetId: string) => DatasetCsvSaveResult | Promise<DatasetCsvSaveResult>} saveDatasetAsCsv
  *   Saves one dataset's current committed SQLite rows without exposing runtime
  *   filesystem or database access to presentation code.
+ * @property {(datasetId: string) => DatasetCsvSaveResult | Promise<DatasetCsvSaveResult>} saveDatasetAsGeoJson
+ *   Saves one dataset as a GeoJSON FeatureCollection of its derived points,
+ *   lines, and multipart regions, including committed zone adjustments. It
+ *   uses the same result shape and cancellation rules as CSV saves.
  * @property {(datasetId: string, mapping: CoordinateMapping) => MappingMutationResult | Promise<MappingMutationResult>} updateDatasetMapping
  *   Changes coordinate fields and returns normalized detected timeline metadata.
  * @property {(query: PreviewPageQuery) => PreviewPageResult | Promise<PreviewPageResult>} getPreviewPage
@@ -98,10 +115,44 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  *   Returns row/detail data for a selected map feature.
  * @property {(query: GroupRowsQuery) => GroupRowsResult | Promise<GroupRowsResult>} getGroupRows
  *   Returns a page of backing rows for a dataset or future grouped detail view.
+ * @property {(query: FeatureSearchQuery) => FeatureSearchResult | Promise<FeatureSearchResult>} searchFeatures
+ *   Finds features in enabled datasets whose source row contains the searched words.
+ * @property {(query: FieldSummaryQuery) => FieldSummary | Promise<FieldSummary>} getFieldSummary
+ *   Summarizes one column over a dataset's map features for style rules.
+ * @property {(query: TimelineHistogramQuery) => TimelineHistogram | Promise<TimelineHistogram>} getTimelineHistogram
+ *   Counts enabled datasets' features per bucket of years for the timeline slider.
  * @property {(query: LogicalZoneQuery) => LogicalZoneResult | Promise<LogicalZoneResult>} getLogicalZone
- *   Returns every part of one dataset-scoped logical region.
+ *   Returns every part of one dataset-scoped logical region or line.
  * @property {(request: LogicalZoneUpdate) => LogicalZoneResult | Promise<LogicalZoneResult>} updateLogicalZone
- *   Atomically replaces every coordinate belonging to one logical region.
+ *   Atomically replaces every coordinate belonging to one logical region or
+ *   line and records the change in that dataset's zone edit history. Parts
+ *   may gain or lose vertices; the backend inserts or removes source rows and
+ *   renumbers their `order` values to match.
+ * @property {(request: ZoneEditHistoryQuery) => ZoneEditResult | Promise<ZoneEditResult>} undoZoneEdit
+ *   Restores the coordinates from before the dataset's latest applied zone edit.
+ * @property {(request: ZoneEditHistoryQuery) => ZoneEditResult | Promise<ZoneEditResult>} redoZoneEdit
+ *   Reapplies the dataset's earliest undone zone edit. Any new edit discards
+ *   the undone edits it supersedes.
+ * @property {(query: ZoneEditHistoryQuery) => ZoneEditHistory | Promise<ZoneEditHistory>} getZoneEditHistory
+ *   Lists recent zone edits for one dataset, newest first.
+ * @property {(request: LogicalZoneQuery) => ZoneEditResult | Promise<ZoneEditResult>} revertLogicalZone
+ *   Returns one logical region or line to its imported coordinates as a new,
+ *   undoable edit.
+ * @property {(request: DrawnFeatureRequest) => DrawnFeatureResult | Promise<DrawnFeatureResult>} addDrawnFeature
+ *   Appends a point, line, or region drawn on the map to a dataset as new
+ *   source rows that follow the dataset's columns.
+ * @property {(request: SourceRowUpdateRequest) => SourceRowUpdateResult | Promise<SourceRowUpdateResult>} updateSourceRow
+ *   Replaces attribute values in one stored source row and rebuilds the
+ *   dataset's derived features so timelines, markers, and styles follow.
+ * @property {(request: GeocodingRequest) => GeocodingResult | Promise<GeocodingResult>} geocodeDataset
+ *   Fills coordinates of rows that have none from a place-name column matched
+ *   against a gazetteer dataset, and lists the rows that need review.
+ * @property {(request: ProjectSaveRequest) => ProjectSaveResult | Promise<ProjectSaveResult>} saveProject
+ *   Saves every dataset's committed rows, coordinate mapping, and visibility
+ *   together with the given view as one project file.
+ * @property {(request?: ProjectOpenRequest) => ProjectOpenResult | Promise<ProjectOpenResult>} openProject
+ *   Imports a project file's datasets beside those already loaded and returns
+ *   its view with settings keyed by dataset position.
  * @property {() => void | Promise<void>} dispose
  *   Releases listeners, workers, and backend resources. It must be idempotent.
  */
@@ -150,6 +201,7 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  * @property {boolean} datasetVisibility
  * @property {boolean} datasetRemoval
  * @property {boolean} datasetCsvExport
+ * @property {boolean} datasetGeoJsonExport
  * @property {boolean} datasetMapping
  * @property {boolean} previewPaging
  * @property {boolean} points
@@ -157,6 +209,16 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  * @property {boolean} regions
  * @property {boolean} groupedViewportResults
  * @property {boolean} zoneEditing
+ * @property {boolean} zoneHistory
+ * @property {boolean} featureDrawing
+ * @property {boolean} rowEditing
+ * @property {boolean} placeGeocoding
+ * @property {boolean} attributeFilters
+ * @property {boolean} featureSearch
+ * @property {boolean} styleRules
+ * @property {boolean} pointHeatmap
+ * @property {boolean} projectFiles
+ * @property {boolean} timelineHistogram
  */
 
 /**
@@ -165,6 +227,16 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  *
  * @typedef {object} BrowserFileImportRequest
  * @property {File[]} files
+ * @property {Array<ImportFileOptions|null>} [fileOptions]
+ *   Choices for the file at the same index; null keeps the defaults.
+ */
+
+/**
+ * @typedef {object} ImportFileOptions
+ * @property {string} [sheetName] Sheet read from an .xlsx or .ods workbook
+ *   instead of its first visible sheet.
+ * @property {object} [csvOptions] Delimiter, quote, encoding and header-row
+ *   overrides for a CSV file, as accepted by `normalizeCsvImportOptions`.
  */
 
 /**
@@ -178,6 +250,8 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  *
  * @typedef {object} DroppedFileImportRequest
  * @property {File[]} files
+ * @property {object} [csvOptions] CSV overrides applied to every file, as
+ *   accepted by `normalizeCsvImportOptions`.
  */
 
 /**
@@ -224,6 +298,37 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  * @property {BackendFailure|null} error
  */
 
+/**
+ * View state stored in a project file. Dataset-scoped settings are keyed by
+ * dataset ID here; the backend rewrites them to dataset positions.
+ *
+ * @typedef {object} ProjectSaveRequest
+ * @property {object} view
+ */
+
+/**
+ * Browser backends read the given `File`; desktop backends show a native
+ * picker and ignore it.
+ *
+ * @typedef {object} ProjectOpenRequest
+ * @property {File} [file]
+ */
+
+/**
+ * @typedef {object} ProjectSaveResult
+ * @property {boolean} ok
+ * @property {boolean} canceled
+ * @property {string|null} fileName
+ * @property {BackendFailure|null} error
+ */
+
+/**
+ * Import results keep the project's dataset order, so `results[index]` is the
+ * dataset that view settings refer to as position `index`.
+ *
+ * @typedef {ImportBatchResult & { view: object|null }} ProjectOpenResult
+ */
+
 /**
  * @typedef {"queued"|"started"|"parsing"|"storing"|"completed"} ImportProgressState
  */
@@ -255,6 +360,13 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  * @typedef {object} CoordinateMapping
  * @property {string|null} latField
  * @property {string|null} lonField
+ * @property {string|null} [coordinateField]
+ *   Single column holding whole positions, such as "59.33, 18.06", a WKT
+ *   point, DMS text, or a Google Maps link. When set it locates rows instead
+ *   of the latitude and longitude columns.
+ * @property {string|null} [coordinateSystem]
+ *   Built-in EPSG code or proj4 string the coordinate columns use; null means
+ *   WGS 84 degrees. Backends reproject the columns to WGS 84 for the map.
  */
 
 /**
@@ -264,6 +376,7 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  * @typedef {object} DetectedFields
  * @property {string|null} latField
  * @property {string|null} lonField
+ * @property {string|null} coordinateField
  * @property {string|null} yearField
  * @property {string|null} dateField
  * @property {string|null} dayOfYearField
@@ -330,6 +443,36 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  * @property {string[]|null} [datasetIds]
  *   Explicit enabled dataset IDs when the controller supplies them. Null or
  *   omission uses the backend's current enabled-dataset state.
+ * @property {AttributeFilter[]|null} [attributeFilters]
+ *   Column conditions applied before grouping and the render budget. Filters
+ *   on one dataset must all match; other datasets are unaffected.
+ * @property {StyleField[]|null} [styleFields]
+ *   Columns returned as `styleValues` on exact points, lines, and regions of
+ *   their dataset, for client-side style rules.
+ * @property {string[]|null} [heatmapDatasetIds]
+ *   Datasets whose points are returned as `density` instead of markers. Their
+ *   lines and regions are unaffected.
+ */
+
+/**
+ * @typedef {object} StyleField
+ * @property {string} datasetId
+ * @property {string} field
+ */
+
+/**
+ * One column condition on a dataset's source rows. Text comparisons trim both
+ * sides and ignore ASCII case; `range` only matches numeric cell values and
+ * needs at least one bound. Lines and regions are tested through the row that
+ * supplies their details.
+ *
+ * @typedef {object} AttributeFilter
+ * @property {string} datasetId
+ * @property {string} field
+ * @property {"equals"|"contains"|"range"|"empty"} operator
+ * @property {string} [value] Text for `equals` and `contains`.
+ * @property {number|null} [min] Inclusive lower bound for `range`.
+ * @property {number|null} [max] Inclusive upper bound for `range`.
  */
 
 /**
@@ -345,6 +488,10 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  * @property {boolean} [timelineEnabled]
  * @property {number|null} [startYear]
  * @property {number|null} [endYear]
+ * @property {number|null} [startEpochDay]
+ * @property {number|null} [endEpochDay]
+ *   Inclusive days since 1970-01-01 of a month or day selection. When both
+ *   are set they replace the selected years as the filtered range.
  * @property {number|null} [yearMin]
  * @property {number|null} [yearMax]
  * @property {boolean} [dayFilterEnabled]
@@ -363,6 +510,20 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  * @property {TimelineIndex} timelineIndex
  *   Compact render results only. Complete source rows must be requested through
  *   details or paging operations and must not be embedded here.
+ * @property {DensityGrid} [density]
+ *   Present only when the query named heatmap datasets.
+ */
+
+/**
+ * Heatmap point counts on a viewport grid, after bounds, attribute, and
+ * timeline filters. Cells report the mean position of their points.
+ *
+ * @typedef {object} DensityGrid
+ * @property {{ lat: number, lon: number, count: number }[]} cells
+ * @property {number|null} cellHeight Cell size in degrees latitude.
+ * @property {number|null} cellWidth Cell size in degrees longitude.
+ * @property {number} maxCount
+ * @property {number} totalCount
  */
 
 /**
@@ -391,6 +552,8 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  * @property {number|null} [imageHeightMeters]
  * @property {string|null} [latField]
  * @property {string|null} [lonField]
+ * @property {Record<string, string|null>} [styleValues]
+ *   Trimmed text of the requested style columns; present only when requested.
  */
 
 /**
@@ -403,6 +566,8 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  * @property {FeatureSourceRef|null} [sourceRef]
  * @property {string|null} [latField]
  * @property {string|null} [lonField]
+ * @property {Record<string, string|null>} [styleValues]
+ *   Trimmed text of the requested style columns; present only when requested.
  */
 
 /**
@@ -415,6 +580,8 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  * @property {FeatureSourceRef|null} [sourceRef]
  * @property {string|null} [latField]
  * @property {string|null} [lonField]
+ * @property {Record<string, string|null>} [styleValues]
+ *   Trimmed text of the requested style columns; present only when requested.
  */
 
 /**
@@ -423,13 +590,22 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  * @property {number} rowIndex
  */
 
+/**
+ * @typedef {'region'|'line'} LogicalZoneGeometryType
+ */
+
 /**
  * @typedef {object} LogicalZoneQuery
  * @property {string} datasetId
  * @property {string} featureId
+ * @property {LogicalZoneGeometryType} [geometryType]
+ *   Defaults to `region`.
  */
 
 /**
+ * Region parts are closed rings. A line has exactly one part whose `part` is
+ * the empty string.
+ *
  * @typedef {object} LogicalZonePart
  * @property {string} part
  * @property {Array<[number, number]>} coordinates
@@ -440,6 +616,7 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  * @typedef {object} LogicalZoneUpdate
  * @property {string} datasetId
  * @property {string} featureId
+ * @property {LogicalZoneGeometryType} [geometryType]
  * @property {LogicalZonePart[]} parts
  */
 
@@ -447,9 +624,139 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  * @typedef {object} LogicalZoneResult
  * @property {string|null} datasetId
  * @property {string|null} featureId
+ * @property {LogicalZoneGeometryType} geometryType
  * @property {LogicalZonePart[]} parts
  */
 
+/**
+ * @typedef {object} ZoneEditHistoryQuery
+ * @property {string} datasetId
+ */
+
+/**
+ * @typedef {object} ZoneEditHistoryEntry
+ * @property {number} editIndex
+ * @property {string} featureId
+ * @property {LogicalZoneGeometryType} geometryType
+ * @property {"adjust"|"revert"} kind
+ * @property {boolean} undone
+ * @property {string} editedAt
+ */
+
+/**
+ * History is stored per dataset in the backend database, so it survives for as
+ * long as the dataset does. Changing a browser dataset's coordinate mapping
+ * clears it because recorded coordinates belong to the previous fields.
+ *
+ * @typedef {object} ZoneEditHistory
+ * @property {string|null} datasetId
+ * @property {boolean} canUndo
+ * @property {boolean} canRedo
+ * @property {ZoneEditHistoryEntry[]} entries
+ *   At most the 100 newest edits, newest first.
+ */
+
+/**
+ * `changed=false` reports a valid no-op, such as undo with nothing to undo.
+ *
+ * @typedef {object} ZoneEditResult
+ * @property {boolean} changed
+ * @property {LogicalZoneResult|null} zone
+ *   The affected zone after the change, or null when nothing changed.
+ * @property {ZoneEditHistory} history
+ */
+
+/**
+ * @typedef {'point'|'line'|'region'} DrawnFeatureGeometryType
+ */
+
+/**
+ * A point has one vertex. Region vertices need not repeat the first vertex.
+ *
+ * @typedef {object} DrawnFeatureRequest
+ * @property {string} datasetId
+ * @property {DrawnFeatureGeometryType} geometryType
+ * @property {Array<[number, number]>} coordinates
+ */
+
+/**
+ * Lines and regions receive an unused `drawn-N` feature ID; points have none.
+ *
+ * @typedef {object} DrawnFeatureResult
+ * @property {boolean} ok
+ * @property {string} datasetId
+ * @property {DrawnFeatureGeometryType|null} geometryType
+ * @property {string|null} featureId
+ * @property {DatasetSummaryItem|null} dataset
+ * @property {BackendFailure|null} error
+ */
+
+/**
+ * Values are keyed by existing column. Mapped coordinate columns and the WKT
+ * column are rejected; locations are adjusted on the map.
+ *
+ * @typedef {object} SourceRowUpdateRequest
+ * @property {FeatureSourceRef} sourceRef
+ * @property {Record<string, string>} values
+ */
+
+/**
+ * @typedef {object} SourceRowUpdateResult
+ * @property {boolean} ok
+ * @property {string} datasetId
+ * @property {number|null} rowIndex
+ * @property {Record<string, string>|null} row
+ *   The complete stored row after the edit.
+ * @property {DatasetSummaryItem|null} dataset
+ * @property {BackendFailure|null} error
+ */
+
+/**
+ * The gazetteer is another loaded dataset with a name column, optional
+ * alternative names and country, and located points. A country column narrows
+ * matches to gazetteer places in the same country. Each choice settles one
+ * reviewed row with one of its gazetteer rows.
+ *
+ * @typedef {object} GeocodingRequest
+ * @property {string} datasetId
+ * @property {string} gazetteerDatasetId
+ * @property {string} placeField
+ * @property {string|null} [countryField]
+ * @property {Array<{ rowIndex: number, gazetteerRowIndex: number }>} [choices]
+ */
+
+/**
+ * @typedef {object} GeocodingCandidate
+ * @property {number} gazetteerRowIndex
+ * @property {string} name
+ * @property {string|null} country
+ * @property {number} lat
+ * @property {number} lon
+ */
+
+/**
+ * @typedef {object} GeocodingReviewRow
+ * @property {number} rowIndex
+ * @property {string} value Place name as written in the row.
+ * @property {"ambiguous"|"unmatched"} status
+ * @property {GeocodingCandidate[]} candidates
+ *   Up to five places for ambiguous rows; empty for unmatched rows.
+ */
+
+/**
+ * @typedef {object} GeocodingResult
+ * @property {boolean} ok
+ * @property {string} datasetId
+ * @property {number} matchedCount Rows located by this run.
+ * @property {number} fuzzyCount Located rows whose name matched only approximately.
+ * @property {number} ambiguousCount
+ * @property {number} unmatchedCount
+ * @property {GeocodingReviewRow[]} review
+ *   At most the first 200 ambiguous or unmatched rows.
+ * @property {DatasetSummaryItem|null} dataset
+ * @property {BackendFailure|null} error
+ */
+
 /**
  * @typedef {'dataset-source-row'} GroupRowsSortOrder
  */
@@ -473,6 +780,11 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  * @property {string[]} [datasetIds]
  *   Enabled dataset snapshot captured by grouped backends so later paging
  *   cannot broaden when the current UI selection or visibility changes.
+ * @property {AttributeFilter[]} [attributeFilters]
+ *   Attribute filters of the originating query, omitted when none applied.
+ * @property {string[]} [heatmapDatasetIds]
+ *   Datasets drawn as a heatmap and so excluded from the group, when the
+ *   backend did not capture `datasetIds`.
  * @property {TimelineFilter|null} timeline
  * @property {GroupGridRef} grid
  * @property {GroupRowsSortOrder} sortOrder
@@ -547,6 +859,96 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  * @property {boolean} [hasMore]
  */
 
+/**
+ * @typedef {object} FeatureSearchQuery
+ * @property {string} text
+ *   Words to find; each must start a word of the same source row.
+ * @property {number} [limit=20]
+ */
+
+/**
+ * Lines and regions are matched through the row that supplies their details.
+ *
+ * @typedef {object} FeatureSearchMatch
+ * @property {string} datasetId
+ * @property {string} datasetName
+ * @property {FeatureSourceRef} sourceRef
+ *   Opens the result through `getFeatureDetails`.
+ * @property {DrawnFeatureGeometryType} geometryType
+ * @property {string|null} featureId
+ *   Line or region ID; null for points.
+ * @property {string} name
+ * @property {number|null} startYear
+ * @property {number|null} endYear
+ * @property {number} lat
+ * @property {number} lon
+ *   The point itself, or the center of a line or region.
+ * @property {MapBounds|null} bounds
+ *   Extent of a line or region; null for points.
+ */
+
+/**
+ * @typedef {object} FeatureSearchResult
+ * @property {FeatureSearchMatch[]} results
+ *   Enabled datasets only, in import order.
+ * @property {boolean} hasMore
+ */
+
+/**
+ * @typedef {object} FieldSummaryQuery
+ * @property {string} datasetId
+ * @property {string} field
+ */
+
+/**
+ * Values are trimmed text of rows that draw a point or supply a line's or
+ * region's details. Numbers need a digit and only digits, `.`, `e`, `+`, or
+ * `-`, as in numeric attribute filters.
+ *
+ * @typedef {object} FieldSummary
+ * @property {string|null} datasetId
+ * @property {string|null} field
+ * @property {number} rowCount Feature rows in the dataset.
+ * @property {number} valueCount Rows with a non-blank value.
+ * @property {number} numericCount Rows with a numeric value.
+ * @property {number|null} min Smallest numeric value.
+ * @property {number|null} max Largest numeric value.
+ * @property {Array<{ value: string, count: number }>} categories
+ *   Most common values, most frequent first.
+ * @property {number} categoryCount Distinct non-blank values.
+ */
+
+/**
+ * @typedef {object} TimelineHistogramQuery
+ * @property {number} startYear
+ * @property {number} endYear
+ * @property {number} [bucketYears=1]
+ *   Whole years per bucket. Backends widen buckets so a range never needs
+ *   more than 200 of them.
+ * @property {AttributeFilter[]} [attributeFilters]
+ */
+
+/**
+ * Points, lines, and regions of enabled datasets whose time range overlaps
+ * each bucket, after attribute filters. A feature spanning several buckets
+ * counts in each of them.
+ *
+ * @typedef {object} TimelineHistogram
+ * @property {number|null} startYear
+ * @property {number|null} endYear
+ * @property {number} bucketYears
+ * @property {TimelineHistogramBucket[]} buckets
+ *   Buckets with at least one feature, in year order.
+ */
+
+/**
+ * @typedef {object} TimelineHistogramBucket
+ * @property {number} startYear
+ * @property {number} endYear
+ * @property {Array<{ datasetId: string, count: number }>} counts
+ *   Datasets with features in the bucket.
+ */
+
 /**
  * @typedef {object} DatasetSummary
  * @property {DatasetSummaryItem[]} datasets
@@ -569,6 +971,8 @@ export const BACKEND_FAILURE_CATEGORIES = Object.freeze({
  * @property {string|null} [importedAt]
  * @property {string|null} latField
  * @property {string|null} lonField
+ * @property {string|null} [coordinateField] See CoordinateMapping.
+ * @property {string|null} [coordinateSystem] See CoordinateMapping.
  * @property {DetectedFields|null} [detectedFields]
  * @property {{startYear: number, endYear: number}|null} recommendedTimelineRange
  * @property {string[]} parseErrors
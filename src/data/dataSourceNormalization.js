@@ -4,6 +4,8 @@ import {
   DEFAULT_GROUP_ROWS_LIMIT,
   DEFAULT_PREVIEW_ROWS_LIMIT,
 } from './dataSource.js';
+import { normalizeAttributeFilters } from '../components/attributeFilters.js';
+import { MAX_PROJECT_DATASETS, normalizeProjectView } from './projectFile.js';
 
 const FAILURE_CATEGORIES = new Set(Object.values(BACKEND_FAILURE_CATEGORIES));
 const OPERATIONS = new Set(Object.values(DATA_SOURCE_METHODS));
@@ -40,6 +42,7 @@ const CAPABILITY_KEYS = [
   'datasetVisibility',
   'datasetRemoval',
   'datasetCsvExport',
+  'datasetGeoJsonExport',
   'datasetMapping',
   'previewPaging',
   'points',
@@ -47,7 +50,20 @@ const CAPABILITY_KEYS = [
   'regions',
   'groupedViewportResults',
   'zoneEditing',
+  'zoneHistory',
+  'featureDrawing',
+  'rowEditing',
+  'placeGeocoding',
+  'attributeFilters',
+  'featureSearch',
+  'styleRules',
+  'pointHeatmap',
+  'projectFiles',
+  'timelineHistogram',
 ];
+const DRAWN_FEATURE_GEOMETRY_TYPES = new Set(['point', 'line', 'region']);
+const ZONE_EDIT_KINDS = new Set(['adjust', 'revert']);
+const GEOCODING_REVIEW_STATUSES = new Set(['ambiguous', 'unmatched']);
 
 /**
  * Build a stable failure without copying raw runtime error details.
@@ -168,6 +184,54 @@ export function normalizeImportBatchResult(value, context = {}) {
   };
 }
 
+/**
+ * Normalize a project open. Import results must stay in project order for the
+ * view's dataset positions, so invalid entries become failed results instead
+ * of being dropped.
+ */
+export function normalizeProjectOpenResult(value) {
+  const source = isRecord(value) ? value : {};
+  const results = Array.isArray(source.results)
+    ? source.results.slice(0, MAX_PROJECT_DATASETS).map((item) => (
+        normalizeImportFileResult(item, { operation: DATA_SOURCE_METHODS.openProject }) ??
+        normalizeImportFileResult(
+          { ok: false, fileName: 'Project dataset' },
+          { operation: DATA_SOURCE_METHODS.openProject },
+        )
+      ))
+    : [];
+  const batch = normalizeImportBatchResult({ ...source, results }, {
+    operation: DATA_SOURCE_METHODS.openProject,
+    message: 'The project file could not be opened.',
+  });
+
+  return {
+    ...batch,
+    view: batch.ok ? normalizeProjectView(source.view, results.length) : null,
+  };
+}
+
+/** Normalize one project save; a dismissed dialog is a cancellation, not a failure. */
+export function normalizeProjectSaveResult(value) {
+  const source = isRecord(value) ? value : {};
+  const canceled = source.canceled === true;
+  const ok = source.ok === true && !canceled;
+
+  return {
+    ok,
+    canceled,
+    fileName: ok ? normalizeDisplayName(source.fileName) : null,
+    error: ok || canceled
+      ? null
+      : normalizeBackendFailure(source.error, {
+          category: BACKEND_FAILURE_CATEGORIES.QUERY_FAILED,
+          operation: DATA_SOURCE_METHODS.saveProject,
+          message: 'The project could not be saved.',
+          recoverable: true,
+        }),
+  };
+}
+
 /** Normalize one import result without exposing a source path. */
 export function normalizeImportFileResult(value, context = {}) {
   if (!isRecord(value)) return null;
@@ -267,6 +331,8 @@ export function normalizeDatasetSummaryItem(value) {
     importedAt: normalizeNullableString(value.importedAt),
     latField: normalizeNullableString(value.latField),
     lonField: normalizeNullableString(value.lonField),
+    coordinateField: normalizeNullableString(value.coordinateField),
+    coordinateSystem: normalizeNullableString(value.coordinateSystem),
     detectedFields: normalizeDetectedFields(value.detectedFields),
     recommendedTimelineRange: normalizeRecommendedTimelineRange(
       value.recommendedTimelineRange,
@@ -317,6 +383,21 @@ export function normalizeDatasetMutationResult(value, context = {}) {
 
 /** Normalize one runtime-specific CSV save without exposing paths or raw errors. */
 export function normalizeDatasetCsvSaveResult(value, datasetId) {
+  return normalizeDatasetSaveResult(value, datasetId, {
+    operation: DATA_SOURCE_METHODS.saveDatasetAsCsv,
+    message: 'The selected CSV dataset could not be saved.',
+  });
+}
+
+/** Normalize one GeoJSON save using the CSV save result shape. */
+export function normalizeDatasetGeoJsonSaveResult(value, datasetId) {
+  return normalizeDatasetSaveResult(value, datasetId, {
+    operation: DATA_SOURCE_METHODS.saveDatasetAsGeoJson,
+    message: 'The selected dataset could not be saved as GeoJSON.',
+  });
+}
+
+function normalizeDatasetSaveResult(value, datasetId, context) {
   const source = isRecord(value) ? value : {};
   const normalizedDatasetId = normalizeNullableId(datasetId ?? source.datasetId);
   const canceled = source.canceled === true;
@@ -331,8 +412,8 @@ export function normalizeDatasetCsvSaveResult(value, datasetId) {
       ? null
       : normalizeBackendFailure(source.error, {
           category: BACKEND_FAILURE_CATEGORIES.QUERY_FAILED,
-          operation: DATA_SOURCE_METHODS.saveDatasetAsCsv,
-          message: 'The selected CSV dataset could not be saved.',
+          operation: context.operation,
+          message: context.message,
           recoverable: true,
           datasetId: normalizedDatasetId,
         }),
@@ -363,11 +444,117 @@ export function normalizeMappingMutationResult(value, datasetId) {
   };
 }
 
+export function normalizeDrawnFeatureResult(value, datasetId) {
+  const source = isRecord(value) ? value : {};
+  const normalizedDatasetId = normalizeNullableId(datasetId ?? source.datasetId) ?? '';
+  const ok = source.ok === true;
+
+  return {
+    ok,
+    datasetId: normalizedDatasetId,
+    geometryType: ok && DRAWN_FEATURE_GEOMETRY_TYPES.has(source.geometryType)
+      ? source.geometryType
+      : null,
+    featureId: ok ? normalizeNullableId(source.featureId) : null,
+    dataset: ok ? normalizeDatasetSummaryItem(source.dataset) : null,
+    error: ok
+      ? null
+      : normalizeBackendFailure(source.error, {
+          category: BACKEND_FAILURE_CATEGORIES.QUERY_FAILED,
+          operation: DATA_SOURCE_METHODS.addDrawnFeature,
+          message: 'The drawn feature could not be added.',
+          recoverable: true,
+          datasetId: normalizedDatasetId,
+        }),
+  };
+}
+
+/** Normalize a source-row edit; failures carry neither row nor dataset. */
+export function normalizeSourceRowUpdateResult(value, datasetId) {
+  const source = isRecord(value) ? value : {};
+  const normalizedDatasetId = normalizeNullableId(datasetId ?? source.datasetId) ?? '';
+  const ok = source.ok === true;
+  const rowIndex = Number(source.rowIndex);
+
+  return {
+    ok,
+    datasetId: normalizedDatasetId,
+    rowIndex: ok && Number.isSafeInteger(rowIndex) && rowIndex >= 0 ? rowIndex : null,
+    row: ok ? normalizeRow(source.row) : null,
+    dataset: ok ? normalizeDatasetSummaryItem(source.dataset) : null,
+    error: ok
+      ? null
+      : normalizeBackendFailure(source.error, {
+          category: BACKEND_FAILURE_CATEGORIES.QUERY_FAILED,
+          operation: DATA_SOURCE_METHODS.updateSourceRow,
+          message: 'The edited row could not be saved.',
+          recoverable: true,
+          datasetId: normalizedDatasetId,
+        }),
+  };
+}
+
+/** Normalize a geocoding run; failures carry no counts, review rows, or dataset. */
+export function normalizeGeocodingResult(value, datasetId) {
+  const source = isRecord(value) ? value : {};
+  const normalizedDatasetId = normalizeNullableId(datasetId ?? source.datasetId) ?? '';
+  const ok = source.ok === true;
+
+  return {
+    ok,
+    datasetId: normalizedDatasetId,
+    matchedCount: ok ? normalizeNonNegativeInteger(source.matchedCount) : 0,
+    fuzzyCount: ok ? normalizeNonNegativeInteger(source.fuzzyCount) : 0,
+    ambiguousCount: ok ? normalizeNonNegativeInteger(source.ambiguousCount) : 0,
+    unmatchedCount: ok ? normalizeNonNegativeInteger(source.unmatchedCount) : 0,
+    review: ok && Array.isArray(source.review)
+      ? source.review.map(normalizeGeocodingReviewRow).filter(Boolean)
+      : [],
+    dataset: ok ? normalizeDatasetSummaryItem(source.dataset) : null,
+    error: ok
+      ? null
+      : normalizeBackendFailure(source.error, {
+          category: BACKEND_FAILURE_CATEGORIES.QUERY_FAILED,
+          operation: DATA_SOURCE_METHODS.geocodeDataset,
+          message: 'Place names could not be geocoded.',
+          recoverable: true,
+          datasetId: normalizedDatasetId,
+        }),
+  };
+}
+
+function normalizeGeocodingReviewRow(value) {
+  const rowIndex = normalizeOptionalNonNegativeInteger(value?.rowIndex);
+  if (rowIndex == null || !GEOCODING_REVIEW_STATUSES.has(value.status)) return null;
+  return {
+    rowIndex,
+    value: normalizeNullableString(value.value) ?? '',
+    status: value.status,
+    candidates: Array.isArray(value.candidates)
+      ? value.candidates.map((candidate) => {
+          const gazetteerRowIndex = normalizeOptionalNonNegativeInteger(candidate?.gazetteerRowIndex);
+          const lat = normalizeFiniteNumber(candidate?.lat);
+          const lon = normalizeFiniteNumber(candidate?.lon);
+          if (gazetteerRowIndex == null || lat == null || lon == null) return null;
+          return {
+            gazetteerRowIndex,
+            name: normalizeNullableString(candidate.name) ?? '',
+            country: normalizeNullableString(candidate.country),
+            lat,
+            lon,
+          };
+        }).filter(Boolean)
+      : [],
+  };
+}
+
 function normalizeCoordinateMapping(value) {
   if (!isRecord(value)) return null;
   return {
     latField: normalizeNullableString(value.latField),
     lonField: normalizeNullableString(value.lonField),
+    coordinateField: normalizeNullableString(value.coordinateField),
+    coordinateSystem: normalizeNullableString(value.coordinateSystem),
   };
 }
 
@@ -376,6 +563,7 @@ function normalizeDetectedFields(value) {
   return {
     latField: normalizeNullableString(value.latField),
     lonField: normalizeNullableString(value.lonField),
+    coordinateField: normalizeNullableString(value.coordinateField),
     yearField: normalizeNullableString(value.yearField),
     dateField: normalizeNullableString(value.dateField),
     dayOfYearField: normalizeNullableString(value.dayOfYearField),
@@ -438,6 +626,7 @@ export function normalizeMapViewResult(value) {
     regions,
     stats: normalizeMapViewStats(source.stats, points.length + lines.length + regions.length),
     timelineIndex: normalizeTimelineIndex(source.timelineIndex),
+    ...(isRecord(source.density) ? { density: normalizeDensityGrid(source.density) } : {}),
   };
 }
 
@@ -475,20 +664,179 @@ export function normalizeGroupRowsResult(value, query = {}) {
   };
 }
 
+/** Normalize a search page, dropping results that could not be located or opened. */
+export function normalizeFeatureSearchResult(value) {
+  const source = isRecord(value) ? value : {};
+  const results = Array.isArray(source.results)
+    ? source.results.map(normalizeFeatureSearchMatch).filter(Boolean)
+    : [];
+  return { results, hasMore: source.hasMore === true };
+}
+
+function normalizeFeatureSearchMatch(value) {
+  if (!isRecord(value)) return null;
+  const sourceRef = normalizeFeatureSourceRef(value.sourceRef);
+  const lat = normalizeLatitude(value.lat);
+  const lon = normalizeLongitude(value.lon);
+  const geometryType = DRAWN_FEATURE_GEOMETRY_TYPES.has(value.geometryType)
+    ? value.geometryType
+    : null;
+  if (!sourceRef || lat == null || lon == null || !geometryType) return null;
+
+  return {
+    datasetId: sourceRef.datasetId,
+    datasetName: normalizeDisplayName(value.datasetName) ?? sourceRef.datasetId,
+    sourceRef,
+    geometryType,
+    featureId: geometryType === 'point' ? null : normalizeNullableId(value.featureId),
+    name: normalizeNullableString(value.name) ?? `Row ${sourceRef.rowIndex + 1}`,
+    startYear: normalizeOptionalInteger(value.startYear),
+    endYear: normalizeOptionalInteger(value.endYear),
+    lat,
+    lon,
+    bounds: geometryType === 'point' ? null : normalizeBounds(value.bounds),
+  };
+}
+
+/** Normalize a style column summary; counts never go below the values they contain. */
+export function normalizeFieldSummaryResult(value, query = {}) {
+  const source = isRecord(value) ? value : {};
+  const categories = Array.isArray(source.categories)
+    ? source.categories.map(normalizeFieldSummaryCategory).filter(Boolean)
+    : [];
+  const numericCount = normalizeNonNegativeInteger(source.numericCount);
+  const valueCount = Math.max(numericCount, normalizeNonNegativeInteger(source.valueCount));
+  const min = normalizeFiniteNumber(source.min);
+  const max = normalizeFiniteNumber(source.max);
+  const hasRange = min != null && max != null && min <= max;
+
+  return {
+    datasetId: normalizeNullableId(source.datasetId ?? query.datasetId),
+    field: normalizeFieldName(source.field ?? query.field),
+    rowCount: Math.max(valueCount, normalizeNonNegativeInteger(source.rowCount)),
+    valueCount,
+    numericCount,
+    min: hasRange ? min : null,
+    max: hasRange ? max : null,
+    categories,
+    categoryCount: Math.max(
+      categories.length,
+      normalizeNonNegativeInteger(source.categoryCount),
+    ),
+  };
+}
+
+function normalizeFieldSummaryCategory(value) {
+  if (!isRecord(value) || typeof value.value !== 'string' || !value.value) return null;
+  return { value: value.value, count: normalizePositiveInteger(value.count, 1) };
+}
+
+/**
+ * Normalize a timeline histogram. Buckets outside the range, without a
+ * counted dataset, or out of year order are dropped.
+ */
+export function normalizeTimelineHistogramResult(value) {
+  const source = isRecord(value) ? value : {};
+  const startYear = normalizeOptionalInteger(source.startYear);
+  const endYear = normalizeOptionalInteger(source.endYear);
+  if (startYear == null || endYear == null || startYear > endYear) {
+    return { startYear: null, endYear: null, bucketYears: 1, buckets: [] };
+  }
+
+  const buckets = [];
+  for (const entry of Array.isArray(source.buckets) ? source.buckets : []) {
+    const bucket = normalizeTimelineHistogramBucket(entry);
+    const previous = buckets[buckets.length - 1];
+    if (
+      bucket
+      && bucket.startYear >= startYear
+      && bucket.endYear <= endYear
+      && (!previous || bucket.startYear > previous.endYear)
+    ) {
+      buckets.push(bucket);
+    }
+  }
+  return {
+    startYear,
+    endYear,
+    bucketYears: normalizePositiveInteger(source.bucketYears, 1),
+    buckets,
+  };
+}
+
+function normalizeTimelineHistogramBucket(value) {
+  if (!isRecord(value)) return null;
+  const startYear = normalizeOptionalInteger(value.startYear);
+  const endYear = normalizeOptionalInteger(value.endYear);
+  if (startYear == null || endYear == null || startYear > endYear) return null;
+  const counts = (Array.isArray(value.counts) ? value.counts : [])
+    .map((entry) => (isRecord(entry)
+      ? { datasetId: normalizeNullableId(entry.datasetId), count: normalizeNonNegativeInteger(entry.count) }
+      : null))
+    .filter((entry) => entry?.datasetId && entry.count > 0);
+  return counts.length > 0 ? { startYear, endYear, counts } : null;
+}
+
 /** Normalize one complete dataset-scoped region without accepting extra fields. */
 export function normalizeLogicalZoneResult(value) {
   const source = isRecord(value) ? value : {};
   const datasetId = normalizeNullableId(source.datasetId);
   const featureId = normalizeNullableId(source.featureId);
+  const geometryType = source.geometryType === 'line' ? 'line' : 'region';
   const parts = Array.isArray(source.parts)
-    ? source.parts.map(normalizeLogicalZonePart).filter(Boolean)
+    ? source.parts.map((part) => normalizeLogicalZonePart(part, geometryType)).filter(Boolean)
     : [];
-  return { datasetId, featureId, parts };
+  return { datasetId, featureId, geometryType, parts };
+}
+
+/** Normalize undo, redo, and revert results; a no-op carries no zone. */
+export function normalizeZoneEditResult(value) {
+  const source = isRecord(value) ? value : {};
+  const changed = source.changed === true;
+  return {
+    changed,
+    zone: changed && isRecord(source.zone) ? normalizeLogicalZoneResult(source.zone) : null,
+    history: normalizeZoneEditHistory(source.history),
+  };
+}
+
+/** Normalize one dataset's zone edit history listing. */
+export function normalizeZoneEditHistory(value) {
+  const source = isRecord(value) ? value : {};
+  const entries = Array.isArray(source.entries)
+    ? source.entries.map(normalizeZoneEditHistoryEntry).filter(Boolean)
+    : [];
+  return {
+    datasetId: normalizeNullableId(source.datasetId),
+    canUndo: source.canUndo === true,
+    canRedo: source.canRedo === true,
+    entries,
+  };
+}
+
+function normalizeZoneEditHistoryEntry(value) {
+  if (!isRecord(value)) return null;
+  const featureId = normalizeNullableId(value.featureId);
+  if (!featureId || !ZONE_EDIT_KINDS.has(value.kind)) return null;
+  return {
+    editIndex: normalizeNonNegativeInteger(value.editIndex),
+    featureId,
+    geometryType: value.geometryType === 'line' ? 'line' : 'region',
+    kind: value.kind,
+    undone: value.undone === true,
+    editedAt: normalizeNullableString(value.editedAt) ?? '',
+  };
 }
 
-/** Retain only the declared identity, ring, and style fields for one zone part. */
-function normalizeLogicalZonePart(value) {
+/** Retain only the declared identity, ring or path, and style fields for one zone part. */
+function normalizeLogicalZonePart(value, geometryType) {
   if (!isRecord(value)) return null;
+  if (geometryType === 'line') {
+    const coordinates = normalizeCoordinates(value.coordinates, 2, false);
+    return value.part === '' && coordinates
+      ? { part: '', coordinates, style: normalizeStyle(value.style) }
+      : null;
+  }
   const part = normalizeNullableString(value.part);
   const coordinates = normalizeCoordinates(value.coordinates, 3, true);
   return part && coordinates
@@ -522,6 +870,7 @@ function normalizePointFeature(value) {
     imageHeightMeters: normalizeOptionalPositiveNumber(value.imageHeightMeters),
     latField: normalizeNullableString(value.latField),
     lonField: normalizeNullableString(value.lonField),
+    ...normalizeStyleValuesEntry(value.styleValues),
   };
 }
 
@@ -540,6 +889,7 @@ function normalizeLineFeature(value) {
     sourceRef: normalizeFeatureSourceRef(value.sourceRef),
     latField: normalizeNullableString(value.latField),
     lonField: normalizeNullableString(value.lonField),
+    ...normalizeStyleValuesEntry(value.styleValues),
   };
 }
 
@@ -558,6 +908,7 @@ function normalizeRegionFeature(value) {
     sourceRef: normalizeFeatureSourceRef(value.sourceRef),
     latField: normalizeNullableString(value.latField),
     lonField: normalizeNullableString(value.lonField),
+    ...normalizeStyleValuesEntry(value.styleValues),
   };
 }
 
@@ -638,6 +989,8 @@ function normalizeGroupRef(value) {
   const datasetIds = value.datasetIds == null
     ? null
     : normalizeGroupDatasetIds(value.datasetIds);
+  const attributeFilters = normalizeAttributeFilters(value.attributeFilters);
+  const heatmapDatasetIds = normalizeGroupDatasetIds(value.heatmapDatasetIds);
   if (!groupId || !bounds || !grid || timeline === undefined) return null;
   if (value.datasetIds != null && datasetIds.length === 0) return null;
   if (groupId !== ['grid', grid.cellLat, grid.cellLon].join(':')) return null;
@@ -646,12 +999,39 @@ function normalizeGroupRef(value) {
     groupId,
     bounds,
     ...(datasetIds == null ? {} : { datasetIds }),
+    ...(attributeFilters.length > 0 ? { attributeFilters } : {}),
+    ...(heatmapDatasetIds.length > 0 ? { heatmapDatasetIds } : {}),
     timeline,
     grid,
     sortOrder: 'dataset-source-row',
   };
 }
 
+function normalizeDensityGrid(value) {
+  const cells = Array.isArray(value.cells)
+    ? value.cells.map(normalizeDensityCell).filter(Boolean)
+    : [];
+  return {
+    cells,
+    cellHeight: normalizeOptionalPositiveNumber(value.cellHeight),
+    cellWidth: normalizeOptionalPositiveNumber(value.cellWidth),
+    maxCount: cells.reduce((max, cell) => Math.max(max, cell.count), 0),
+    totalCount: Math.max(
+      normalizeNonNegativeInteger(value.totalCount),
+      cells.reduce((sum, cell) => sum + cell.count, 0),
+    ),
+  };
+}
+
+function normalizeDensityCell(value) {
+  if (!isRecord(value)) return null;
+  const lat = normalizeLatitude(value.lat);
+  const lon = normalizeLongitude(value.lon);
+  const count = normalizeNonNegativeInteger(value.count);
+  if (lat == null || lon == null || count === 0) return null;
+  return { lat, lon, count };
+}
+
 function normalizeGroupDatasetIds(value) {
   if (!Array.isArray(value)) return [];
   return [...new Set(value.map(normalizeNullableId).filter(Boolean))].sort();
@@ -685,11 +1065,16 @@ function normalizeCapturedTimeline(value) {
   const startYear = normalizeOptionalInteger(value.startYear);
   const endYear = normalizeOptionalInteger(value.endYear);
   if (startYear == null || endYear == null) return undefined;
+  const startEpochDay = normalizeOptionalInteger(value.startEpochDay);
+  const endEpochDay = normalizeOptionalInteger(value.endEpochDay);
 
   return {
     timelineEnabled: true,
     startYear: Math.min(startYear, endYear),
     endYear: Math.max(startYear, endYear),
+    ...(startEpochDay != null && endEpochDay != null
+      ? { startEpochDay: Math.min(startEpochDay, endEpochDay), endEpochDay: Math.max(startEpochDay, endEpochDay) }
+      : {}),
     dayFilterEnabled: value.dayFilterEnabled === true,
     startDay: normalizeDayOfYear(value.startDay),
     endDay: normalizeDayOfYear(value.endDay),
@@ -772,6 +1157,22 @@ function normalizeRow(value) {
   return row;
 }
 
+/** Style values keep only the requested text columns; absent means none were requested. */
+function normalizeStyleValuesEntry(value) {
+  if (!isRecord(value)) return {};
+  const styleValues = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (!isSafeRecordKey(key)) continue;
+    styleValues[key] = typeof item === 'string' && item.trim() ? item.trim() : null;
+  }
+  return { styleValues };
+}
+
+/** Column names keep their spacing; only blank names are rejected. */
+function normalizeFieldName(value) {
+  return typeof value === 'string' && value.trim() ? value : null;
+}
+
 function isSafeRecordKey(key) {
   return key !== '__proto__' && key !== 'prototype' && key !== 'constructor';
 }
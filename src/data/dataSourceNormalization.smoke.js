@@ -11,6 +11,8 @@ import {
   normalizeDatasetMutationResult,
   normalizeDatasetSummary,
   normalizeFeatureDetailsResult,
+  normalizeFeatureSearchResult,
+  normalizeFieldSummaryResult,
   normalizeGroupRowsResult,
   normalizeImportBatchResult,
   normalizeImportCancellationResult,
@@ -19,6 +21,7 @@ import {
   normalizeMapViewResult,
   normalizeMappingMutationResult,
   normalizePreviewPageResult,
+  normalizeTimelineHistogramResult,
 } from './dataSourceNormalization.js';
 
 const rawSecret = new Error(
@@ -238,6 +241,11 @@ const mapView = normalizeMapViewResult({
       groupRef: {
         groupId: 'grid:1:2',
         bounds: { north: 70, south: 50, east: 30, west: 10 },
+        attributeFilters: [
+          { datasetId: 'dataset-1', field: 'kind', operator: 'range', min: 5, max: 1 },
+          { datasetId: 'dataset-1', field: 'kind', operator: 'drop table' },
+        ],
+        heatmapDatasetIds: ['dataset-2', ' ', 'dataset-2'],
         timeline: null,
         grid: { cellLat: 1, cellLon: 2, cellHeight: 1, cellWidth: 1 },
         sortOrder: 'dataset-source-row',
@@ -273,6 +281,17 @@ const mapView = normalizeMapViewResult({
       { featureId: '', startYear: 1, endYear: 2 },
     ],
   },
+  density: {
+    cells: [
+      { lat: '10', lon: 20, count: 3 },
+      { lat: 10, lon: 200, count: 1 },
+      { lat: 11, lon: 21, count: 0 },
+    ],
+    cellHeight: 0.5,
+    cellWidth: -1,
+    maxCount: 99,
+    totalCount: 2,
+  },
 });
 assert.deepEqual(
   [mapView.points.length, mapView.lines.length, mapView.regions.length],
@@ -285,6 +304,17 @@ assert.deepEqual(mapView.points[0].sourceRef, {
   rowIndex: 0,
 });
 assert.equal(mapView.points[1].groupRef.groupId, 'grid:1:2');
+assert.deepEqual(mapView.points[1].groupRef.attributeFilters, [
+  { datasetId: 'dataset-1', field: 'kind', operator: 'range', min: 1, max: 5 },
+]);
+assert.deepEqual(mapView.points[1].groupRef.heatmapDatasetIds, ['dataset-2']);
+assert.deepEqual(mapView.density, {
+  cells: [{ lat: 10, lon: 20, count: 3 }],
+  cellHeight: 0.5,
+  cellWidth: null,
+  maxCount: 3,
+  totalCount: 3,
+});
 assert.equal(Object.hasOwn(mapView.lines[0].style, 'sql'), false);
 assert.equal(mapView.lines[0].arrow, 'none');
 assert.deepEqual(
@@ -321,4 +351,90 @@ assert.deepEqual(groupRows, {
   hasMore: true,
 });
 
+assert.deepEqual(normalizeFeatureSearchResult({
+  results: [
+    {
+      datasetId: 'ignored',
+      datasetName: ' regions.csv ',
+      sourceRef: { datasetId: 'dataset-1', rowIndex: 7 },
+      geometryType: 'region',
+      featureId: 'lake',
+      name: null,
+      startYear: '1850',
+      endYear: 1900,
+      lat: 58.5,
+      lon: 14.5,
+      bounds: { north: 59, south: 58, east: 15, west: 14 },
+      sql: 'DROP TABLE datasets',
+    },
+    { sourceRef: { datasetId: 'dataset-1', rowIndex: 1 }, geometryType: 'point', lat: 91, lon: 0 },
+    { sourceRef: { datasetId: 'dataset-1', rowIndex: 1 }, geometryType: 'zone', lat: 1, lon: 0 },
+  ],
+  hasMore: 'yes',
+}), {
+  results: [{
+    datasetId: 'dataset-1',
+    datasetName: 'regions.csv',
+    sourceRef: { datasetId: 'dataset-1', rowIndex: 7 },
+    geometryType: 'region',
+    featureId: 'lake',
+    name: 'Row 8',
+    startYear: 1850,
+    endYear: 1900,
+    lat: 58.5,
+    lon: 14.5,
+    bounds: { north: 59, south: 58, east: 15, west: 14 },
+  }],
+  hasMore: false,
+});
+assert.deepEqual(normalizeFeatureSearchResult(null), { results: [], hasMore: false });
+assert.deepEqual(normalizeFieldSummaryResult({
+  rowCount: 1,
+  valueCount: 2,
+  numericCount: 1,
+  min: '3',
+  max: 7,
+  categories: [{ value: 'port', count: 2 }, { value: 7 }, null],
+  private: 'dropped',
+}, { datasetId: 'dataset-1', field: 'size' }), {
+  datasetId: 'dataset-1',
+  field: 'size',
+  rowCount: 2,
+  valueCount: 2,
+  numericCount: 1,
+  min: 3,
+  max: 7,
+  categories: [{ value: 'port', count: 2 }],
+  categoryCount: 1,
+});
+assert.deepEqual(normalizeTimelineHistogramResult({
+  startYear: 1900,
+  endYear: 1919,
+  bucketYears: 10,
+  buckets: [
+    { startYear: 1900, endYear: 1909, counts: [{ datasetId: ' a ', count: 3 }, { datasetId: 'b', count: 0 }, null] },
+    { startYear: 1905, endYear: 1914, counts: [{ datasetId: 'a', count: 1 }] },
+    { startYear: 1910, endYear: 1919, counts: [] },
+    { startYear: 1910, endYear: 1925, counts: [{ datasetId: 'a', count: 1 }] },
+  ],
+}), {
+  startYear: 1900,
+  endYear: 1919,
+  bucketYears: 10,
+  buckets: [{ startYear: 1900, endYear: 1909, counts: [{ datasetId: 'a', count: 3 }] }],
+});
+assert.deepEqual(normalizeTimelineHistogramResult({ startYear: 1900, buckets: [{}] }), {
+  startYear: null,
+  endYear: null,
+  bucketYears: 1,
+  buckets: [],
+});
+assert.deepEqual(normalizeMapViewResult({
+  lines: [{
+    id: 'line-1',
+    coordinates: [[1, 2], [3, 4]],
+    styleValues: { kind: ' road ', width: '', constructor: 'x' },
+  }],
+}).lines[0].styleValues, { kind: 'road', width: null });
+
 console.log('DataSource normalization smoke test passed.');
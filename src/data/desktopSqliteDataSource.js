@@ -7,17 +7,33 @@ import {
   normalizeBackendCapabilities,
   normalizeBackendFailure,
   normalizeDatasetCsvSaveResult,
+  normalizeDatasetGeoJsonSaveResult,
   normalizeDatasetMutationResult,
   normalizeDatasetSummary,
+  normalizeDrawnFeatureResult,
   normalizeFeatureDetailsResult,
+  normalizeFeatureSearchResult,
+  normalizeFieldSummaryResult,
+  normalizeGeocodingResult,
   normalizeGroupRowsResult,
   normalizeImportBatchResult,
   normalizeImportCancellationResult,
   normalizeImportProgress,
   normalizeInitializationResult,
   normalizeMapViewResult,
+  normalizeMappingMutationResult,
   normalizeLogicalZoneResult,
+  normalizeProjectOpenResult,
+  normalizeProjectSaveResult,
+  normalizeSourceRowUpdateResult,
+  normalizeTimelineHistogramResult,
+  normalizeZoneEditHistory,
+  normalizeZoneEditResult,
 } from './dataSourceNormalization.js';
+import { normalizeAttributeFilters } from '../components/attributeFilters.js';
+import { normalizeHeatmapDatasetIds } from '../components/densityHeatmap.js';
+import { MAX_FEATURE_SEARCH_TEXT_LENGTH } from '../components/featureSearch.js';
+import { normalizeStyleFields } from '../components/styleRules.js';
 
 const DEFAULT_SQLITE_RENDER_BUDGET = 1000;
 
@@ -42,7 +58,8 @@ export function createDesktopSqliteDataSource({ desktopApi } = {}) {
     datasetVisibility: typeof desktopApi?.setDatasetEnabled === 'function',
     datasetRemoval: typeof desktopApi?.removeDataset === 'function',
     datasetCsvExport: typeof desktopApi?.saveDatasetAsCsv === 'function',
-    datasetMapping: false,
+    datasetGeoJsonExport: typeof desktopApi?.saveDatasetAsGeoJson === 'function',
+    datasetMapping: typeof desktopApi?.updateDatasetMapping === 'function',
     previewPaging: false,
     points: typeof desktopApi?.queryMapView === 'function',
     lines: typeof desktopApi?.queryMapView === 'function',
@@ -53,6 +70,24 @@ export function createDesktopSqliteDataSource({ desktopApi } = {}) {
     zoneEditing:
       typeof desktopApi?.getLogicalZone === 'function' &&
       typeof desktopApi?.updateLogicalZone === 'function',
+    zoneHistory:
+      typeof desktopApi?.undoZoneEdit === 'function' &&
+      typeof desktopApi?.redoZoneEdit === 'function' &&
+      typeof desktopApi?.getZoneEditHistory === 'function' &&
+      typeof desktopApi?.revertLogicalZone === 'function',
+    featureDrawing: typeof desktopApi?.addDrawnFeature === 'function',
+    rowEditing: typeof desktopApi?.updateSourceRow === 'function',
+    placeGeocoding: typeof desktopApi?.geocodeDataset === 'function',
+    attributeFilters: typeof desktopApi?.queryMapView === 'function',
+    featureSearch: typeof desktopApi?.searchFeatures === 'function',
+    styleRules:
+      typeof desktopApi?.queryMapView === 'function' &&
+      typeof desktopApi?.getFieldSummary === 'function',
+    pointHeatmap: typeof desktopApi?.queryMapView === 'function',
+    projectFiles:
+      typeof desktopApi?.saveProject === 'function' &&
+      typeof desktopApi?.openProject === 'function',
+    timelineHistogram: typeof desktopApi?.getTimelineHistogram === 'function',
   });
 
   return {
@@ -96,7 +131,10 @@ export function createDesktopSqliteDataSource({ desktopApi } = {}) {
       assertActive(DATA_SOURCE_METHODS.importDroppedFiles);
       return runImport(
         DATA_SOURCE_METHODS.importDroppedFiles,
-        () => desktopApi?.importDroppedCsvFiles?.(Array.from(request.files ?? [])),
+        () => desktopApi?.importDroppedCsvFiles?.(
+          Array.from(request.files ?? []),
+          request.csvOptions ? { csvOptions: request.csvOptions } : undefined,
+        ),
         capabilities.droppedFileImport,
       );
     },
@@ -226,21 +264,50 @@ export function createDesktopSqliteDataSource({ desktopApi } = {}) {
       }
     },
 
-    updateDatasetMapping(datasetId) {
+    async saveDatasetAsGeoJson(datasetId) {
+      assertActive(DATA_SOURCE_METHODS.saveDatasetAsGeoJson);
+      const normalizedId = normalizeId(datasetId);
+      if (!capabilities.datasetGeoJsonExport || !normalizedId) {
+        return normalizeDatasetGeoJsonSaveResult(null, normalizedId);
+      }
+      try {
+        return normalizeDatasetGeoJsonSaveResult(
+          await desktopApi.saveDatasetAsGeoJson(normalizedId),
+          normalizedId,
+        );
+      } catch {
+        return normalizeDatasetGeoJsonSaveResult(null, normalizedId);
+      }
+    },
+
+    async updateDatasetMapping(datasetId, mapping = {}) {
       assertActive(DATA_SOURCE_METHODS.updateDatasetMapping);
       const normalizedId = normalizeId(datasetId) ?? '';
-      return {
-        ok: false,
-        datasetId: normalizedId,
-        mapping: null,
-        detectedFields: null,
-        dataset: null,
-        error: unsupportedFailure(
-          DATA_SOURCE_METHODS.updateDatasetMapping,
-          'Coordinate mapping is unavailable in the desktop backend.',
-          { datasetId: normalizedId },
-        ),
-      };
+      if (!capabilities.datasetMapping) {
+        return {
+          ok: false,
+          datasetId: normalizedId,
+          mapping: null,
+          detectedFields: null,
+          dataset: null,
+          error: unsupportedFailure(
+            DATA_SOURCE_METHODS.updateDatasetMapping,
+            'Coordinate mapping is unavailable in the desktop backend.',
+            { datasetId: normalizedId },
+          ),
+        };
+      }
+      if (!normalizedId || !isRecord(mapping)) {
+        return normalizeMappingMutationResult(null, normalizedId);
+      }
+      try {
+        return normalizeMappingMutationResult(await desktopApi.updateDatasetMapping({
+          datasetId: normalizedId,
+          mapping,
+        }), normalizedId);
+      } catch {
+        return normalizeMappingMutationResult(null, normalizedId);
+      }
     },
 
     getPreviewPage(query = {}) {
@@ -262,6 +329,9 @@ export function createDesktopSqliteDataSource({ desktopApi } = {}) {
           timeline: query.timeline ?? null,
           renderBudget: query.renderBudget ?? DEFAULT_SQLITE_RENDER_BUDGET,
           datasetIds: query.datasetIds ?? null,
+          attributeFilters: normalizeAttributeFilters(query.attributeFilters),
+          styleFields: normalizeStyleFields(query.styleFields),
+          heatmapDatasetIds: normalizeHeatmapDatasetIds(query.heatmapDatasetIds),
         });
         if (!isRecord(result)) throw new TypeError('Malformed map result');
         return normalizeMapViewResult(result);
@@ -300,6 +370,60 @@ export function createDesktopSqliteDataSource({ desktopApi } = {}) {
       }
     },
 
+    async searchFeatures(query = {}) {
+      assertActive(DATA_SOURCE_METHODS.searchFeatures);
+      requireMethod(desktopApi?.searchFeatures, DATA_SOURCE_METHODS.searchFeatures);
+      try {
+        const result = await desktopApi.searchFeatures({
+          text: typeof query.text === 'string'
+            ? query.text.slice(0, MAX_FEATURE_SEARCH_TEXT_LENGTH)
+            : '',
+          limit: query.limit ?? null,
+        });
+        if (!isRecord(result)) throw new TypeError('Malformed search result');
+        return normalizeFeatureSearchResult(result);
+      } catch {
+        throw queryFailure(DATA_SOURCE_METHODS.searchFeatures);
+      }
+    },
+
+    async getFieldSummary(query = {}) {
+      assertActive(DATA_SOURCE_METHODS.getFieldSummary);
+      requireMethod(desktopApi?.getFieldSummary, DATA_SOURCE_METHODS.getFieldSummary);
+      const datasetId = normalizeId(query.datasetId);
+      const field = typeof query.field === 'string' && query.field.trim() ? query.field : null;
+      if (!datasetId || !field) throw queryFailure(DATA_SOURCE_METHODS.getFieldSummary);
+      try {
+        const result = await desktopApi.getFieldSummary({ datasetId, field });
+        if (!isRecord(result)) throw new TypeError('Malformed summary result');
+        return normalizeFieldSummaryResult(result, { datasetId, field });
+      } catch {
+        throw queryFailure(DATA_SOURCE_METHODS.getFieldSummary);
+      }
+    },
+
+    async getTimelineHistogram(query = {}) {
+      assertActive(DATA_SOURCE_METHODS.getTimelineHistogram);
+      requireMethod(desktopApi?.getTimelineHistogram, DATA_SOURCE_METHODS.getTimelineHistogram);
+      const startYear = normalizeInteger(query.startYear);
+      const endYear = normalizeInteger(query.endYear);
+      if (startYear == null || endYear == null) {
+        throw queryFailure(DATA_SOURCE_METHODS.getTimelineHistogram);
+      }
+      try {
+        const result = await desktopApi.getTimelineHistogram({
+          startYear,
+          endYear,
+          bucketYears: normalizePositiveInteger(query.bucketYears, 1),
+          attributeFilters: normalizeAttributeFilters(query.attributeFilters),
+        });
+        if (!isRecord(result)) throw new TypeError('Malformed histogram result');
+        return normalizeTimelineHistogramResult(result);
+      } catch {
+        throw queryFailure(DATA_SOURCE_METHODS.getTimelineHistogram);
+      }
+    },
+
     async getLogicalZone(query = {}) {
       assertActive(DATA_SOURCE_METHODS.getLogicalZone);
       requireMethod(desktopApi?.getLogicalZone, DATA_SOURCE_METHODS.getLogicalZone);
@@ -307,6 +431,7 @@ export function createDesktopSqliteDataSource({ desktopApi } = {}) {
         return normalizeLogicalZoneResult(await desktopApi.getLogicalZone({
           datasetId: normalizeId(query.datasetId),
           featureId: normalizeId(query.featureId),
+          geometryType: query.geometryType,
         }));
       } catch {
         throw queryFailure(DATA_SOURCE_METHODS.getLogicalZone, query.datasetId);
@@ -323,6 +448,137 @@ export function createDesktopSqliteDataSource({ desktopApi } = {}) {
       }
     },
 
+    undoZoneEdit(request = {}) {
+      return runZoneEdit(DATA_SOURCE_METHODS.undoZoneEdit, desktopApi?.undoZoneEdit, {
+        datasetId: normalizeId(request.datasetId),
+      });
+    },
+
+    redoZoneEdit(request = {}) {
+      return runZoneEdit(DATA_SOURCE_METHODS.redoZoneEdit, desktopApi?.redoZoneEdit, {
+        datasetId: normalizeId(request.datasetId),
+      });
+    },
+
+    async getZoneEditHistory(query = {}) {
+      assertActive(DATA_SOURCE_METHODS.getZoneEditHistory);
+      requireMethod(desktopApi?.getZoneEditHistory, DATA_SOURCE_METHODS.getZoneEditHistory);
+      try {
+        return normalizeZoneEditHistory(await desktopApi.getZoneEditHistory({
+          datasetId: normalizeId(query.datasetId),
+        }));
+      } catch {
+        throw queryFailure(DATA_SOURCE_METHODS.getZoneEditHistory);
+      }
+    },
+
+    revertLogicalZone(request = {}) {
+      return runZoneEdit(DATA_SOURCE_METHODS.revertLogicalZone, desktopApi?.revertLogicalZone, {
+        datasetId: normalizeId(request.datasetId),
+        featureId: normalizeId(request.featureId),
+        geometryType: request.geometryType,
+      });
+    },
+
+    async addDrawnFeature(request = {}) {
+      assertActive(DATA_SOURCE_METHODS.addDrawnFeature);
+      const normalizedId = normalizeId(request?.datasetId);
+      if (!capabilities.featureDrawing) {
+        return {
+          ...normalizeDrawnFeatureResult(null, normalizedId),
+          error: unsupportedFailure(
+            DATA_SOURCE_METHODS.addDrawnFeature,
+            'This dataset operation is unavailable.',
+            { datasetId: normalizedId },
+          ),
+        };
+      }
+      if (!normalizedId) return normalizeDrawnFeatureResult(null, normalizedId);
+      try {
+        return normalizeDrawnFeatureResult(await desktopApi.addDrawnFeature({
+          datasetId: normalizedId,
+          geometryType: request.geometryType,
+          coordinates: request.coordinates,
+        }), normalizedId);
+      } catch {
+        return normalizeDrawnFeatureResult(null, normalizedId);
+      }
+    },
+
+    async updateSourceRow(request = {}) {
+      assertActive(DATA_SOURCE_METHODS.updateSourceRow);
+      const normalizedId = normalizeId(request?.sourceRef?.datasetId);
+      if (!capabilities.rowEditing) {
+        return {
+          ...normalizeSourceRowUpdateResult(null, normalizedId),
+          error: unsupportedFailure(
+            DATA_SOURCE_METHODS.updateSourceRow,
+            'This dataset operation is unavailable.',
+            { datasetId: normalizedId },
+          ),
+        };
+      }
+      if (!normalizedId) return normalizeSourceRowUpdateResult(null, normalizedId);
+      try {
+        return normalizeSourceRowUpdateResult(await desktopApi.updateSourceRow({
+          sourceRef: { datasetId: normalizedId, rowIndex: request.sourceRef.rowIndex },
+          values: request.values,
+        }), normalizedId);
+      } catch {
+        return normalizeSourceRowUpdateResult(null, normalizedId);
+      }
+    },
+
+    /** Locate unlocated rows by place name against another dataset's points. */
+    async geocodeDataset(request = {}) {
+      assertActive(DATA_SOURCE_METHODS.geocodeDataset);
+      const normalizedId = normalizeId(request?.datasetId) ?? '';
+      if (!capabilities.placeGeocoding) {
+        return {
+          ...normalizeGeocodingResult(null, normalizedId),
+          error: unsupportedFailure(
+            DATA_SOURCE_METHODS.geocodeDataset,
+            'Place-name geocoding is unavailable in the desktop backend.',
+            { datasetId: normalizedId },
+          ),
+        };
+      }
+      if (!normalizedId) return normalizeGeocodingResult(null, normalizedId);
+      try {
+        return normalizeGeocodingResult(await desktopApi.geocodeDataset({
+          datasetId: normalizedId,
+          gazetteerDatasetId: request.gazetteerDatasetId,
+          placeField: request.placeField,
+          countryField: request.countryField ?? null,
+          choices: request.choices ?? [],
+        }), normalizedId);
+      } catch {
+        return normalizeGeocodingResult(null, normalizedId);
+      }
+    },
+
+    /** The main process collects the datasets and owns the Save As dialog. */
+    async saveProject(request = {}) {
+      assertActive(DATA_SOURCE_METHODS.saveProject);
+      if (!capabilities.projectFiles) return normalizeProjectSaveResult(null);
+      try {
+        return normalizeProjectSaveResult(await desktopApi.saveProject(request.view ?? null));
+      } catch {
+        return normalizeProjectSaveResult(null);
+      }
+    },
+
+    /** Desktop projects are chosen in a native picker; `request.file` is unused. */
+    async openProject() {
+      assertActive(DATA_SOURCE_METHODS.openProject);
+      if (!capabilities.projectFiles) return normalizeProjectOpenResult(null);
+      try {
+        return normalizeProjectOpenResult(await desktopApi.openProject());
+      } catch {
+        return normalizeProjectOpenResult(null);
+      }
+    },
+
     dispose() {
       if (disposed) return;
       disposed = true;
@@ -345,6 +601,16 @@ export function createDesktopSqliteDataSource({ desktopApi } = {}) {
     }
   }
 
+  async function runZoneEdit(operation, method, request) {
+    assertActive(operation);
+    requireMethod(method, operation);
+    try {
+      return normalizeZoneEditResult(await method.call(desktopApi, request));
+    } catch {
+      throw queryFailure(operation);
+    }
+  }
+
   function assertActive(operation) {
     if (!disposed) return;
     throw unsupportedFailure(
@@ -428,9 +694,19 @@ function normalizeGroupRef(value) {
   const bounds = normalizeBounds(value.bounds);
   const grid = normalizeGrid(value.grid);
   const timeline = normalizeTimeline(value.timeline);
+  const attributeFilters = normalizeAttributeFilters(value.attributeFilters);
+  const heatmapDatasetIds = normalizeHeatmapDatasetIds(value.heatmapDatasetIds);
   if (!groupId || !bounds || !grid || timeline === undefined) return null;
   if (groupId !== ['grid', grid.cellLat, grid.cellLon].join(':')) return null;
-  return { groupId, bounds, grid, timeline, sortOrder: 'dataset-source-row' };
+  return {
+    groupId,
+    bounds,
+    grid,
+    timeline,
+    ...(attributeFilters.length > 0 ? { attributeFilters } : {}),
+    ...(heatmapDatasetIds.length > 0 ? { heatmapDatasetIds } : {}),
+    sortOrder: 'dataset-source-row',
+  };
 }
 
 function normalizeBounds(value) {
@@ -460,10 +736,15 @@ function normalizeTimeline(value) {
   const startYear = normalizeInteger(value.startYear);
   const endYear = normalizeInteger(value.endYear);
   if (startYear == null || endYear == null) return undefined;
+  const startEpochDay = normalizeInteger(value.startEpochDay);
+  const endEpochDay = normalizeInteger(value.endEpochDay);
   return {
     timelineEnabled: true,
     startYear: Math.min(startYear, endYear),
     endYear: Math.max(startYear, endYear),
+    ...(startEpochDay != null && endEpochDay != null
+      ? { startEpochDay: Math.min(startEpochDay, endEpochDay), endEpochDay: Math.max(startEpochDay, endEpochDay) }
+      : {}),
   };
 }
 
@@ -5,6 +5,8 @@ import { createDesktopSqliteDataSource } from './desktopSqliteDataSource.js';
 let progressBridgeListener = null;
 let progressCleanupCount = 0;
 let droppedFilesRequest = null;
+let droppedFilesOptions = null;
+let mapViewRequest = null;
 const groupRef = {
   groupId: 'grid:1:2',
   bounds: { north: 10, south: 0, east: 20, west: 0 },
@@ -13,6 +15,12 @@ const groupRef = {
   sortOrder: 'dataset-source-row',
 };
 
+const searchRequests = [];
+const geocodingRequests = [];
+const mappingRequests = [];
+const summaryRequests = [];
+const histogramRequests = [];
+const savedProjectViews = [];
 const desktopApi = {
   isDesktop: true,
   getStatus: async () => ({ ok: true, runtime: 'electron' }),
@@ -49,8 +57,9 @@ const desktopApi = {
       }],
     };
   },
-  importDroppedCsvFiles: async (files) => {
+  importDroppedCsvFiles: async (files, options) => {
     droppedFilesRequest = files;
+    droppedFilesOptions = options;
     return {
       ok: true,
       results: [{ ok: true, fileName: 'drop.csv', rowCount: 1 }],
@@ -79,14 +88,24 @@ const desktopApi = {
     fileName: 'places.csv',
     private: 'ignored',
   }),
-  queryMapView: async () => ({
-    points: [{
-      id: 'point-1',
-      lat: 59.3,
-      lon: 18.1,
-      sourceRef: { datasetId: 'dataset-1', rowIndex: 0 },
-    }],
+  saveDatasetAsGeoJson: async (datasetId) => ({
+    ok: false,
+    canceled: true,
+    datasetId,
+    fileName: 'places.geojson',
   }),
+  queryMapView: async (query) => {
+    mapViewRequest = query;
+    return {
+      points: [{
+        id: 'point-1',
+        lat: 59.3,
+        lon: 18.1,
+        sourceRef: { datasetId: 'dataset-1', rowIndex: 0 },
+        styleValues: { kind: ' fort ', population: 12 },
+      }],
+    };
+  },
   getFeatureDetails: async () => ({
     featureId: 'point-1',
     row: { name: 'Place' },
@@ -109,6 +128,137 @@ const desktopApi = {
     }],
   }),
   updateLogicalZone: async (request) => request,
+  undoZoneEdit: async (request) => ({
+    changed: true,
+    zone: await desktopApi.getLogicalZone(),
+    history: { datasetId: request.datasetId, canUndo: false, canRedo: true, entries: [] },
+  }),
+  redoZoneEdit: async () => ({ changed: false, zone: null, history: null }),
+  getZoneEditHistory: async (query) => ({
+    datasetId: query.datasetId,
+    canUndo: true,
+    canRedo: false,
+    entries: [
+      { editIndex: 0, featureId: 'zone', kind: 'adjust', undone: false, editedAt: 'now' },
+      { editIndex: 1, featureId: 'zone', kind: 'unknown' },
+    ],
+  }),
+  revertLogicalZone: async () => {
+    throw new Error('private detail');
+  },
+  addDrawnFeature: async (request) => {
+    if (request.geometryType === 'region') throw new Error('private detail');
+    return { ok: true, ...request, featureId: null, dataset: null };
+  },
+  updateSourceRow: async ({ sourceRef, values }) => {
+    if (values.name === 'fail') throw new Error('private detail');
+    return {
+      ok: true,
+      datasetId: sourceRef.datasetId,
+      rowIndex: sourceRef.rowIndex,
+      row: { lat: '1', lon: '2', ...values },
+      dataset: null,
+    };
+  },
+  updateDatasetMapping: async ({ datasetId, mapping }) => {
+    if (mapping.coordinateSystem === 'fail') throw new Error('private detail');
+    mappingRequests.push({ datasetId, mapping });
+    return {
+      ok: true,
+      datasetId,
+      mapping: { latField: 'north', lonField: 'east', coordinateField: null, ...mapping },
+      detectedFields: null,
+      dataset: {
+        id: datasetId,
+        name: 'places.csv',
+        headers: ['north', 'east'],
+        latField: 'north',
+        lonField: 'east',
+        ...mapping,
+      },
+    };
+  },
+  geocodeDataset: async (request) => {
+    if (request.placeField === 'fail') throw new Error('private detail');
+    geocodingRequests.push(request);
+    return {
+      ok: true,
+      datasetId: request.datasetId,
+      matchedCount: 1,
+      fuzzyCount: 0,
+      ambiguousCount: 1,
+      unmatchedCount: 0,
+      review: [{
+        rowIndex: 3,
+        value: 'Springfield',
+        status: 'ambiguous',
+        candidates: [{ gazetteerRowIndex: 0, name: 'Springfield', country: 'US', lat: 39.8, lon: -89.6 }],
+      }],
+      dataset: null,
+    };
+  },
+  searchFeatures: async ({ text, limit }) => {
+    if (text === 'fail') throw new Error('private detail');
+    searchRequests.push({ text, limit });
+    return {
+      results: [{
+        datasetId: 'dataset-1',
+        datasetName: 'places.csv',
+        sourceRef: { datasetId: 'dataset-1', rowIndex: 2 },
+        geometryType: 'point',
+        featureId: 'ignored',
+        name: 'Harbour',
+        startYear: 1850,
+        endYear: 1850,
+        lat: 57.7,
+        lon: 11.9,
+        bounds: null,
+      }, { sourceRef: null }],
+      hasMore: true,
+    };
+  },
+  getFieldSummary: async (query) => {
+    if (query.field === 'fail') throw new Error('private detail');
+    summaryRequests.push(query);
+    return {
+      datasetId: query.datasetId,
+      field: query.field,
+      rowCount: 3,
+      valueCount: 4,
+      numericCount: 2,
+      min: 9,
+      max: 1,
+      categories: [{ value: 'fort', count: 2 }, { value: '', count: 1 }],
+      categoryCount: 1,
+    };
+  },
+  getTimelineHistogram: async (query) => {
+    if (query.startYear === 0) throw new Error('private detail');
+    histogramRequests.push(query);
+    return {
+      startYear: query.startYear,
+      endYear: query.endYear,
+      bucketYears: query.bucketYears,
+      buckets: [{ startYear: 1900, endYear: 1904, counts: [{ datasetId: 'dataset-1', count: 2 }] }],
+    };
+  },
+  saveProject: async (view) => {
+    savedProjectViews.push(view);
+    return { ok: true, canceled: false, fileName: 'C:\\private\\trip.json' };
+  },
+  openProject: async () => ({
+    ok: true,
+    canceled: false,
+    results: [
+      { ok: false, fileName: 'broken.csv', error: 'private detail' },
+      null,
+      { ok: true, fileName: 'places.csv', datasetId: 'dataset-9', rowCount: 2 },
+    ],
+    view: {
+      map: { lat: 59, lon: 18, zoom: 6 },
+      pointDisplayModes: [{ dataset: 2, mode: 'heatmap' }, { dataset: 3, mode: 'heatmap' }],
+    },
+  }),
 };
 
 const dataSource = createDesktopSqliteDataSource({ desktopApi });
@@ -122,10 +272,20 @@ assert.equal(initialization.capabilities.persistence, 'persistent');
 assert.equal(initialization.capabilities.nativeFilePickerImport, true);
 assert.equal(initialization.capabilities.droppedFileImport, true);
 assert.equal(initialization.capabilities.browserFileImport, false);
-assert.equal(initialization.capabilities.datasetMapping, false);
+assert.equal(initialization.capabilities.datasetMapping, true);
 assert.equal(initialization.capabilities.previewPaging, false);
 assert.equal(initialization.capabilities.zoneEditing, true);
+assert.equal(initialization.capabilities.zoneHistory, true);
+assert.equal(initialization.capabilities.featureDrawing, true);
+assert.equal(initialization.capabilities.rowEditing, true);
+assert.equal(initialization.capabilities.placeGeocoding, true);
+assert.equal(initialization.capabilities.attributeFilters, true);
 assert.equal(initialization.capabilities.datasetCsvExport, true);
+assert.equal(initialization.capabilities.featureSearch, true);
+assert.equal(initialization.capabilities.styleRules, true);
+assert.equal(initialization.capabilities.pointHeatmap, true);
+assert.equal(initialization.capabilities.projectFiles, true);
+assert.equal(initialization.capabilities.timelineHistogram, true);
 
 const progressEvents = [];
 const unsubscribe = dataSource.subscribeImportProgress((progress) => {
@@ -144,15 +304,26 @@ const droppedFile = { name: 'drop.csv' };
 const droppedResult = await dataSource.importDroppedFiles({ files: [droppedFile] });
 assert.equal(droppedResult.ok, true);
 assert.deepEqual(droppedFilesRequest, [droppedFile]);
+assert.equal(droppedFilesOptions, undefined);
+await dataSource.importDroppedFiles({ files: [droppedFile], csvOptions: { delimiter: ';' } });
+assert.deepEqual(droppedFilesOptions, { csvOptions: { delimiter: ';' } });
 
 assert.equal(dataSource.importBrowserFiles().error.category, 'backend-unavailable');
 assert.equal(dataSource.importExample().error.category, 'backend-unavailable');
 assert.equal(dataSource.cancelImport('import-1').error.category, 'backend-unavailable');
 assert.equal(dataSource.selectDataset('dataset-1').error.category, 'backend-unavailable');
-assert.equal(
-  dataSource.updateDatasetMapping('dataset-1', { latField: 'lat' }).error.category,
-  'backend-unavailable',
+const remapped = await dataSource.updateDatasetMapping('dataset-1', { coordinateSystem: 'EPSG:25832' });
+assert.deepEqual(mappingRequests, [
+  { datasetId: 'dataset-1', mapping: { coordinateSystem: 'EPSG:25832' } },
+]);
+assert.deepEqual(
+  [remapped.ok, remapped.mapping.coordinateSystem, remapped.dataset.coordinateSystem],
+  [true, 'EPSG:25832', 'EPSG:25832'],
 );
+const failedMapping = await dataSource.updateDatasetMapping('dataset-1', { coordinateSystem: 'fail' });
+assert.equal(failedMapping.ok, false);
+assert.equal(failedMapping.error.category, 'invalid-mapping');
+assert.equal(JSON.stringify(failedMapping).includes('private detail'), false);
 assert.throws(
   () => dataSource.getPreviewPage({ datasetId: 'dataset-1' }),
   (error) => error.category === 'backend-unavailable',
@@ -177,9 +348,39 @@ assert.deepEqual(await dataSource.saveDatasetAsCsv(' dataset-1 '), {
   fileName: 'places.csv',
   error: null,
 });
+assert.equal(initialization.capabilities.datasetGeoJsonExport, true);
+assert.deepEqual(await dataSource.saveDatasetAsGeoJson(' dataset-1 '), {
+  ok: false,
+  canceled: true,
+  datasetId: 'dataset-1',
+  fileName: null,
+  error: null,
+});
 
-const mapView = await dataSource.queryMapView({ renderBudget: 10 });
+const mapView = await dataSource.queryMapView({
+  renderBudget: 10,
+  attributeFilters: [
+    { datasetId: 'dataset-1', field: 'kind', operator: 'contains', value: ' fort ' },
+    { datasetId: 'dataset-1', field: 'kind', operator: 'equals', value: '' },
+  ],
+});
 assert.equal(mapView.points.length, 1);
+assert.deepEqual(mapViewRequest.attributeFilters, [
+  { datasetId: 'dataset-1', field: 'kind', operator: 'contains', value: 'fort' },
+]);
+assert.deepEqual(mapViewRequest.styleFields, []);
+assert.deepEqual(mapViewRequest.heatmapDatasetIds, []);
+assert.deepEqual(mapView.points[0].styleValues, { kind: 'fort', population: null });
+await dataSource.queryMapView({
+  styleFields: [
+    { datasetId: 'dataset-1', field: 'kind' },
+    { datasetId: 'dataset-1', field: 'kind' },
+    { datasetId: ' ', field: 'kind' },
+  ],
+  heatmapDatasetIds: [' dataset-2 ', 'dataset-2', 7],
+});
+assert.deepEqual(mapViewRequest.styleFields, [{ datasetId: 'dataset-1', field: 'kind' }]);
+assert.deepEqual(mapViewRequest.heatmapDatasetIds, ['dataset-2']);
 assert.deepEqual(mapView.points[0].sourceRef, {
   datasetId: 'dataset-1',
   rowIndex: 0,
@@ -209,6 +410,160 @@ const logicalZone = await dataSource.getLogicalZone({
 });
 assert.equal(logicalZone.parts.length, 1);
 assert.deepEqual(await dataSource.updateLogicalZone(logicalZone), logicalZone);
+const undoneZoneEdit = await dataSource.undoZoneEdit({ datasetId: 'dataset-1' });
+assert.equal(undoneZoneEdit.changed, true);
+assert.deepEqual(undoneZoneEdit.zone, logicalZone);
+assert.deepEqual([undoneZoneEdit.history.canUndo, undoneZoneEdit.history.canRedo], [false, true]);
+assert.deepEqual(await dataSource.redoZoneEdit({ datasetId: 'dataset-1' }), {
+  changed: false,
+  zone: null,
+  history: { datasetId: null, canUndo: false, canRedo: false, entries: [] },
+});
+const zoneEditHistory = await dataSource.getZoneEditHistory({ datasetId: 'dataset-1' });
+assert.deepEqual(zoneEditHistory.entries, [
+  {
+    editIndex: 0,
+    featureId: 'zone',
+    geometryType: 'region',
+    kind: 'adjust',
+    undone: false,
+    editedAt: 'now',
+  },
+]);
+await assert.rejects(
+  dataSource.revertLogicalZone({ datasetId: 'dataset-1', featureId: 'zone' }),
+  (error) => error.category === 'query-failed' && !error.message.includes('private detail'),
+);
+const drawnPoint = await dataSource.addDrawnFeature({
+  datasetId: 'dataset-1',
+  geometryType: 'point',
+  coordinates: [[1, 2]],
+});
+assert.deepEqual(
+  [drawnPoint.ok, drawnPoint.geometryType, drawnPoint.featureId],
+  [true, 'point', null],
+);
+const failedDrawing = await dataSource.addDrawnFeature({
+  datasetId: 'dataset-1',
+  geometryType: 'region',
+  coordinates: [[1, 1], [1, 2], [2, 1]],
+});
+assert.equal(failedDrawing.ok, false);
+assert.equal(failedDrawing.error.category, 'query-failed');
+assert.equal(JSON.stringify(failedDrawing).includes('private detail'), false);
+const editedRow = await dataSource.updateSourceRow({
+  sourceRef: { datasetId: 'dataset-1', rowIndex: 2 },
+  values: { name: 'Harbour' },
+});
+assert.deepEqual(
+  [editedRow.ok, editedRow.rowIndex, editedRow.row],
+  [true, 2, { lat: '1', lon: '2', name: 'Harbour' }],
+);
+const failedEdit = await dataSource.updateSourceRow({
+  sourceRef: { datasetId: 'dataset-1', rowIndex: 2 },
+  values: { name: 'fail' },
+});
+assert.equal(failedEdit.ok, false);
+assert.equal(failedEdit.error.operation, 'updateSourceRow');
+assert.equal(JSON.stringify(failedEdit).includes('private detail'), false);
+const geocoded = await dataSource.geocodeDataset({
+  datasetId: 'dataset-1',
+  gazetteerDatasetId: 'dataset-2',
+  placeField: 'place',
+});
+assert.deepEqual(geocodingRequests, [{
+  datasetId: 'dataset-1',
+  gazetteerDatasetId: 'dataset-2',
+  placeField: 'place',
+  countryField: null,
+  choices: [],
+}]);
+assert.deepEqual(
+  [geocoded.ok, geocoded.matchedCount, geocoded.ambiguousCount, geocoded.review[0].rowIndex],
+  [true, 1, 1, 3],
+);
+const failedGeocoding = await dataSource.geocodeDataset({
+  datasetId: 'dataset-1',
+  gazetteerDatasetId: 'dataset-2',
+  placeField: 'fail',
+});
+assert.equal(failedGeocoding.ok, false);
+assert.equal(failedGeocoding.error.operation, 'geocodeDataset');
+assert.equal(JSON.stringify(failedGeocoding).includes('private detail'), false);
+const search = await dataSource.searchFeatures({ text: `harbour${'x'.repeat(300)}` });
+assert.deepEqual(searchRequests, [{ text: `harbour${'x'.repeat(193)}`, limit: null }]);
+assert.equal(search.hasMore, true);
+assert.deepEqual(search.results.map(({ name, featureId }) => [name, featureId]), [
+  ['Harbour', null],
+]);
+await assert.rejects(
+  dataSource.searchFeatures({ text: 'fail' }),
+  (error) => error.operation === 'searchFeatures' && !error.message.includes('private detail'),
+);
+
+// Counts cover the values they list, and a reversed range is dropped.
+assert.deepEqual(await dataSource.getFieldSummary({ datasetId: ' dataset-1 ', field: 'kind' }), {
+  datasetId: 'dataset-1',
+  field: 'kind',
+  rowCount: 4,
+  valueCount: 4,
+  numericCount: 2,
+  min: null,
+  max: null,
+  categories: [{ value: 'fort', count: 2 }],
+  categoryCount: 1,
+});
+assert.deepEqual(summaryRequests, [{ datasetId: 'dataset-1', field: 'kind' }]);
+await assert.rejects(
+  dataSource.getFieldSummary({ datasetId: 'dataset-1', field: 'fail' }),
+  (error) => error.operation === 'getFieldSummary' && !error.message.includes('private detail'),
+);
+await assert.rejects(
+  dataSource.getFieldSummary({ datasetId: 'dataset-1', field: ' ' }),
+  (error) => error.operation === 'getFieldSummary',
+);
+
+// Histogram requests carry only complete filters and a whole bucket size.
+assert.deepEqual(await dataSource.getTimelineHistogram({
+  startYear: 1900,
+  endYear: 1909,
+  bucketYears: 5,
+  attributeFilters: [{ datasetId: 'dataset-1', field: 'kind', operator: 'equals', value: '' }],
+}), {
+  startYear: 1900,
+  endYear: 1909,
+  bucketYears: 5,
+  buckets: [{ startYear: 1900, endYear: 1904, counts: [{ datasetId: 'dataset-1', count: 2 }] }],
+});
+await dataSource.getTimelineHistogram({ startYear: '1900', endYear: 1950, bucketYears: 'x' });
+assert.deepEqual(histogramRequests, [
+  { startYear: 1900, endYear: 1909, bucketYears: 5, attributeFilters: [] },
+  { startYear: 1900, endYear: 1950, bucketYears: 1, attributeFilters: [] },
+]);
+await assert.rejects(
+  dataSource.getTimelineHistogram({ startYear: 0, endYear: 1 }),
+  (error) => error.operation === 'getTimelineHistogram' && !error.message.includes('private detail'),
+);
+await assert.rejects(
+  dataSource.getTimelineHistogram({ startYear: 1900 }),
+  (error) => error.operation === 'getTimelineHistogram',
+);
+
+const projectView = { map: { lat: 1, lon: 2, zoom: 3 } };
+const savedProject = await dataSource.saveProject({ view: projectView });
+assert.deepEqual(savedProjectViews, [projectView]);
+assert.deepEqual(savedProject, { ok: true, canceled: false, fileName: 'trip.json', error: null });
+
+// Project results keep their positions, even for entries the bridge garbled.
+const openedProject = await dataSource.openProject();
+assert.equal(openedProject.ok, true);
+assert.deepEqual(
+  openedProject.results.map(({ ok, fileName, datasetId }) => [ok, fileName, datasetId]),
+  [[false, 'broken.csv', null], [false, 'Project dataset', null], [true, 'places.csv', 'dataset-9']],
+);
+assert.equal(JSON.stringify(openedProject).includes('private detail'), false);
+assert.deepEqual(openedProject.view.map, { lat: 59, lon: 18, zoom: 6 });
+assert.deepEqual(openedProject.view.pointDisplayModes, [{ dataset: 2, mode: 'heatmap' }]);
 
 unsubscribe();
 unsubscribe();
@@ -216,10 +571,36 @@ assert.equal(progressCleanupCount, 1);
 
 const unavailable = createDesktopSqliteDataSource({ desktopApi: null });
 assert.equal((await unavailable.initialize()).ok, false);
+assert.equal(unavailable.getCapabilities().featureSearch, false);
+assert.equal(unavailable.getCapabilities().styleRules, false);
+assert.equal(unavailable.getCapabilities().pointHeatmap, false);
+assert.equal(unavailable.getCapabilities().projectFiles, false);
+assert.equal((await unavailable.saveProject({ view: {} })).ok, false);
+const unavailableProject = await unavailable.openProject();
+assert.equal(unavailableProject.ok, false);
+assert.equal(unavailableProject.view, null);
+assert.equal(unavailableProject.error.message, 'The project file could not be opened.');
+assert.equal(
+  (await unavailable.updateDatasetMapping('dataset-1', { latField: 'lat' })).error.category,
+  'backend-unavailable',
+);
 assert.equal(
   (await unavailable.importFromPicker()).error.category,
   'backend-unavailable',
 );
+assert.equal(
+  (await unavailable.addDrawnFeature({ datasetId: 'dataset-1' })).error.category,
+  'backend-unavailable',
+);
+assert.equal(
+  (await unavailable.updateSourceRow({ sourceRef: { datasetId: 'dataset-1' } }))
+    .error.category,
+  'backend-unavailable',
+);
+assert.equal(
+  (await unavailable.geocodeDataset({ datasetId: 'dataset-1' })).error.category,
+  'backend-unavailable',
+);
 await assert.rejects(
   unavailable.getDatasetSummary(),
   (error) => error.category === 'backend-unavailable',
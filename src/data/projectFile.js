@@ -0,0 +1,338 @@
+import { ATTRIBUTE_FILTER_OPERATORS, createAttributeFilterDraft } from '../components/attributeFilters.js';
+import { normalizeCoordinateSystem } from '../components/coordinateSystems.js';
+import { POINT_DISPLAY_MODES } from '../components/densityHeatmap.js';
+import { STYLE_COLOR_RAMPS, STYLE_RULE_KINDS, createStyleRuleDraft } from '../components/styleRules.js';
+import { normalizeTimelineUnit } from '../components/timelineDates.js';
+import { normalizeClusterRadius } from '../components/useMapToolsState.js';
+
+/*
+ * Project files bundle loaded datasets with the view that was built on them.
+ *
+ * {
+ *   "format": "csv-map-layer-visualizer-project",
+ *   "version": 1,
+ *   "savedAt": "2026-01-01T00:00:00.000Z",
+ *   "datasets": [{ "name", "enabled", "latField", "lonField", "coordinateField", "coordinateSystem", "csv" }],
+ *   "view": {
+ *     "map": { "lat", "lon", "zoom" },
+ *     "layers": { "backgroundId", "overlayIds" },
+ *     "timeline": { "timelineEnabled", "yearMin", "yearMax", "startYear", ... },
+ *     "mapTools": { "clusterMarkersEnabled", "clusterRadius" },
+ *     "styleRules": [{ "dataset", "field", "kind", "ramp" }],
+ *     "attributeFilters": [{ "dataset", "field", "operator", "value", "min", "max" }],
+ *     "pointDisplayModes": [{ "dataset", "mode" }]
+ *   }
+ * }
+ *
+ * Dataset IDs belong to one backend database, so view settings refer to
+ * datasets by their position in `datasets` and are bound to fresh IDs after
+ * the datasets are imported again.
+ */
+
+export const PROJECT_FILE_FORMAT = 'csv-map-layer-visualizer-project';
+export const PROJECT_FILE_VERSION = 1;
+export const PROJECT_FILE_NAME = 'map-project.json';
+/** Upper bound on datasets restored from one project file. */
+export const MAX_PROJECT_DATASETS = 100;
+
+const MAX_LAYER_ID_LENGTH = 200;
+const MAX_OVERLAY_LAYERS = 20;
+const MAX_VIEW_SETTINGS = 50;
+const MAX_MAP_ZOOM = 24;
+const STYLE_KINDS = new Set(STYLE_RULE_KINDS.map(({ kind }) => kind));
+const STYLE_RAMPS = new Set(STYLE_COLOR_RAMPS.map(({ ramp }) => ramp));
+const FILTER_OPERATORS = new Set(ATTRIBUTE_FILTER_OPERATORS.map(({ operator }) => operator));
+const DISPLAY_MODES = new Set(POINT_DISPLAY_MODES.map(({ mode }) => mode));
+
+/** Rejected project file; the message is safe to show in the UI. */
+export class ProjectFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProjectFileError';
+  }
+}
+
+/**
+ * Serialize datasets and a view whose settings are keyed by dataset ID.
+ * Settings for datasets that are not saved are left out.
+ *
+ * @param {{
+ *   datasets: Array<{ id: string, name: string, csvText: string, enabled: boolean, latField?: string|null, lonField?: string|null, coordinateField?: string|null, coordinateSystem?: string|null }>,
+ *   view?: object,
+ *   savedAt?: string,
+ * }} project
+ * @returns {string}
+ */
+export function serializeProjectFile({ datasets, view, savedAt = new Date().toISOString() }) {
+  const savedDatasets = Array.from(datasets ?? []).slice(0, MAX_PROJECT_DATASETS);
+  const indexes = new Map(savedDatasets.map((dataset, index) => [dataset.id, index]));
+  const toIndexed = (entries) => (entries ?? [])
+    .filter((entry) => indexes.has(entry?.datasetId))
+    .map(({ datasetId, ...entry }) => ({ dataset: indexes.get(datasetId), ...entry }));
+
+  const indexedView = normalizeProjectView({
+    ...view,
+    styleRules: toIndexed(view?.styleRules),
+    attributeFilters: toIndexed(view?.attributeFilters),
+    pointDisplayModes: toIndexed(Object.entries(view?.pointDisplayModes ?? {})
+      .map(([datasetId, mode]) => ({ datasetId, mode }))),
+  }, savedDatasets.length);
+
+  return JSON.stringify({
+    format: PROJECT_FILE_FORMAT,
+    version: PROJECT_FILE_VERSION,
+    savedAt,
+    datasets: savedDatasets.map((dataset) => ({
+      name: dataset.name,
+      enabled: dataset.enabled !== false,
+      latField: normalizeField(dataset.latField),
+      lonField: normalizeField(dataset.lonField),
+      coordinateField: normalizeField(dataset.coordinateField),
+      coordinateSystem: normalizeCoordinateSystem(dataset.coordinateSystem) ?? null,
+      csv: dataset.csvText,
+    })),
+    view: indexedView,
+  }, null, 2);
+}
+
+/**
+ * Read and validate project file text.
+ *
+ * @param {string} text
+ * @returns {{
+ *   datasets: Array<{ name: string, csvText: string, enabled: boolean, latField: string|null, lonField: string|null, coordinateField?: string|null, coordinateSystem?: string|null }>,
+ *   view: object,
+ * }}
+ * @throws {ProjectFileError} When the text is not a supported project file.
+ */
+export function parseProjectFile(text) {
+  let source;
+  try {
+    source = JSON.parse(String(text ?? ''));
+  } catch {
+    throw new ProjectFileError('The project file is not valid JSON.');
+  }
+  if (!isRecord(source) || source.format !== PROJECT_FILE_FORMAT) {
+    throw new ProjectFileError('The file is not a map project.');
+  }
+  if (Number.isInteger(source.version) && source.version > PROJECT_FILE_VERSION) {
+    throw new ProjectFileError('This project was saved by a newer version of the app.');
+  }
+  if (source.version !== PROJECT_FILE_VERSION) {
+    throw new ProjectFileError('The project file has an unsupported version.');
+  }
+  if (!Array.isArray(source.datasets) || source.datasets.length > MAX_PROJECT_DATASETS) {
+    throw new ProjectFileError('The project file has an invalid dataset list.');
+  }
+
+  const datasets = source.datasets.map((dataset) => {
+    const name = typeof dataset?.name === 'string' ? dataset.name.trim() : '';
+    if (!name || typeof dataset.csv !== 'string') {
+      throw new ProjectFileError('The project file has an invalid dataset.');
+    }
+    return {
+      name,
+      csvText: dataset.csv,
+      enabled: dataset.enabled !== false,
+      latField: normalizeField(dataset.latField),
+      lonField: normalizeField(dataset.lonField),
+      // Older projects leave the coordinate column and system to import detection.
+      ...(Object.hasOwn(dataset, 'coordinateField')
+        ? { coordinateField: normalizeField(dataset.coordinateField) }
+        : {}),
+      ...(Object.hasOwn(dataset, 'coordinateSystem')
+        ? { coordinateSystem: normalizeCoordinateSystem(dataset.coordinateSystem) ?? null }
+        : {}),
+    };
+  });
+
+  return { datasets, view: normalizeProjectView(source.view, datasets.length) };
+}
+
+/**
+ * Keep the valid parts of a view whose settings refer to dataset positions.
+ * Unknown or malformed settings are dropped rather than failing the file.
+ *
+ * @param {unknown} value
+ * @param {number} datasetCount Number of datasets the positions may refer to.
+ */
+export function normalizeProjectView(value, datasetCount) {
+  const source = isRecord(value) ? value : {};
+  const isDatasetIndex = (index) => Number.isInteger(index) && index >= 0 && index < datasetCount;
+  const indexed = (entries) => (Array.isArray(entries) ? entries : [])
+    .filter((entry) => isRecord(entry) && isDatasetIndex(entry.dataset))
+    .slice(0, MAX_VIEW_SETTINGS);
+
+  return {
+    map: normalizeMapView(source.map),
+    layers: normalizeLayers(source.layers),
+    timeline: normalizeTimeline(source.timeline),
+    mapTools: normalizeMapTools(source.mapTools),
+    styleRules: indexed(source.styleRules)
+      .map((rule) => ({
+        dataset: rule.dataset,
+        field: normalizeField(rule.field),
+        kind: STYLE_KINDS.has(rule.kind) ? rule.kind : null,
+        ramp: STYLE_RAMPS.has(rule.ramp) ? rule.ramp : null,
+      }))
+      .filter((rule) => rule.field && rule.kind && rule.ramp),
+    attributeFilters: indexed(source.attributeFilters)
+      .map((filter) => ({
+        dataset: filter.dataset,
+        field: normalizeField(filter.field),
+        operator: FILTER_OPERATORS.has(filter.operator) ? filter.operator : null,
+        value: normalizeText(filter.value),
+        min: normalizeText(filter.min),
+        max: normalizeText(filter.max),
+      }))
+      .filter((filter) => filter.field && filter.operator),
+    pointDisplayModes: indexed(source.pointDisplayModes)
+      .filter((entry) => DISPLAY_MODES.has(entry.mode))
+      .map((entry) => ({ dataset: entry.dataset, mode: entry.mode })),
+  };
+}
+
+/**
+ * Turn a normalized project view into app state for freshly imported datasets.
+ * `datasetIds[index]` is the new ID of the dataset at that position, or null
+ * when it failed to import; its settings are dropped.
+ *
+ * @param {ReturnType<typeof normalizeProjectView>} view
+ * @param {Array<string|null>} datasetIds
+ */
+export function bindProjectView(view, datasetIds) {
+  const datasetIdAt = (index) => datasetIds?.[index] ?? null;
+  const bound = (entries) => (entries ?? []).filter((entry) => datasetIdAt(entry.dataset));
+  const pointDisplayModes = {};
+  for (const entry of bound(view?.pointDisplayModes)) {
+    pointDisplayModes[datasetIdAt(entry.dataset)] = entry.mode;
+  }
+
+  return {
+    map: view?.map ?? null,
+    layers: view?.layers ?? null,
+    timeline: view?.timeline ?? null,
+    mapTools: view?.mapTools
+      ? { ...view.mapTools, clusterRadiusDraft: view.mapTools.clusterRadius }
+      : null,
+    styleRules: bound(view?.styleRules).map((rule) => ({
+      ...createStyleRuleDraft(datasetIdAt(rule.dataset), rule.field),
+      kind: rule.kind,
+      ramp: rule.ramp,
+    })),
+    attributeFilters: bound(view?.attributeFilters).map((filter) => ({
+      ...createAttributeFilterDraft(datasetIdAt(filter.dataset), filter.field),
+      operator: filter.operator,
+      value: filter.value,
+      min: filter.min,
+      max: filter.max,
+    })),
+    pointDisplayModes,
+  };
+}
+
+function normalizeMapView(value) {
+  if (!isRecord(value)) return null;
+  const { lat, lon, zoom } = value;
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) return null;
+  if (!Number.isFinite(lon) || lon < -180 || lon > 180) return null;
+  if (!Number.isFinite(zoom) || zoom < 0 || zoom > MAX_MAP_ZOOM) return null;
+  return { lat, lon, zoom };
+}
+
+function normalizeLayers(value) {
+  if (!isRecord(value)) return null;
+  const backgroundId = normalizeLayerId(value.backgroundId);
+  if (!backgroundId) return null;
+  const overlayIds = Array.isArray(value.overlayIds)
+    ? [...new Set(value.overlayIds.map(normalizeLayerId).filter(Boolean))]
+      .slice(0, MAX_OVERLAY_LAYERS)
+    : [];
+  return { backgroundId, overlayIds };
+}
+
+function normalizeLayerId(value) {
+  const id = typeof value === 'string' ? value.trim() : '';
+  return id && id.length <= MAX_LAYER_ID_LENGTH ? id : null;
+}
+
+/**
+ * Keep the selected range and its slider domain, not panel or playback state.
+ * The drafts are rebuilt from the domain so the inputs match it, and dates are
+ * kept only for month and day sliders.
+ */
+function normalizeTimeline(value) {
+  if (!isRecord(value)) return null;
+  const yearMin = normalizeInteger(value.yearMin);
+  const yearMax = normalizeInteger(value.yearMax);
+  const startYear = normalizeInteger(value.startYear);
+  const endYear = normalizeInteger(value.endYear);
+  if (yearMin == null || yearMax == null || startYear == null || endYear == null) {
+    return null;
+  }
+  const startDay = clampDay(value.startDay, 1);
+  const endDay = clampDay(value.endDay, 365);
+  const timelineUnit = normalizeTimelineUnit(value.timelineUnit);
+  const dates = timelineUnit === 'year'
+    ? null
+    : normalizeDayRange(value.startEpochDay, value.endEpochDay);
+  const sliderWindow = timelineUnit === 'year'
+    ? null
+    : normalizeDayRange(value.windowStartEpochDay, value.windowEndEpochDay);
+
+  return {
+    timelineEnabled: value.timelineEnabled === true,
+    yearMin: Math.min(yearMin, yearMax),
+    yearMax: Math.max(yearMin, yearMax),
+    yearMinDraft: String(Math.min(yearMin, yearMax)),
+    yearMaxDraft: String(Math.max(yearMin, yearMax)),
+    startYear: Math.min(startYear, endYear),
+    endYear: Math.max(startYear, endYear),
+    dayFilterEnabled: value.dayFilterEnabled === true,
+    startDay: Math.min(startDay, endDay),
+    endDay: Math.max(startDay, endDay),
+    timelineUnit,
+    startEpochDay: dates?.[0] ?? null,
+    endEpochDay: dates?.[1] ?? null,
+    windowStartEpochDay: sliderWindow?.[0] ?? null,
+    windowEndEpochDay: sliderWindow?.[1] ?? null,
+  };
+}
+
+function normalizeDayRange(start, end) {
+  const startDay = normalizeInteger(start);
+  const endDay = normalizeInteger(end);
+  if (startDay == null || endDay == null) return null;
+  return [Math.min(startDay, endDay), Math.max(startDay, endDay)];
+}
+
+function normalizeMapTools(value) {
+  if (!isRecord(value)) return null;
+  return {
+    clusterMarkersEnabled: value.clusterMarkersEnabled === true,
+    clusterRadius: normalizeClusterRadius(value.clusterRadius),
+  };
+}
+
+function clampDay(value, fallback) {
+  const day = normalizeInteger(value);
+  return day == null ? fallback : Math.max(1, Math.min(365, day));
+}
+
+function normalizeInteger(value) {
+  return Number.isSafeInteger(value) ? value : null;
+}
+
+function normalizeField(value) {
+  const field = typeof value === 'string' ? value.trim() : '';
+  return field || null;
+}
+
+function normalizeText(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  return typeof value === 'string' ? value : '';
+}
+
+function isRecord(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,190 @@
+import assert from 'node:assert/strict';
+import {
+  PROJECT_FILE_FORMAT,
+  PROJECT_FILE_VERSION,
+  ProjectFileError,
+  bindProjectView,
+  normalizeProjectView,
+  parseProjectFile,
+  serializeProjectFile,
+} from './projectFile.js';
+
+const text = serializeProjectFile({
+  savedAt: '2026-01-01T00:00:00.000Z',
+  datasets: [
+    { id: 'a', name: 'places.csv', csvText: 'name,y,x\nHome,59,18\n', enabled: true, latField: 'y', lonField: 'x' },
+    { id: 'b', name: 'routes.csv', csvText: 'lat,lon\n1,2\n', enabled: false, coordinateField: ' at ', coordinateSystem: 'epsg:3006' },
+  ],
+  view: {
+    map: { lat: 59.3, lon: 18.1, zoom: 7 },
+    layers: { backgroundId: 'builtin:satellite', overlayIds: ['builtin:labelsBoundaries', 'builtin:labelsBoundaries'] },
+    timeline: {
+      timelineEnabled: true,
+      yearMin: 2000,
+      yearMax: 1900,
+      startYear: 1950,
+      endYear: 1920,
+      dayFilterEnabled: false,
+      moreFiltersOpen: true,
+      playback: { isPlaying: true },
+    },
+    mapTools: { clusterMarkersEnabled: true, clusterRadius: 900, zoneEditingEnabled: true },
+    styleRules: [
+      { id: 'rule-1', datasetId: 'a', field: 'name', kind: 'category', ramp: 'blues' },
+      { id: 'rule-2', datasetId: 'gone', field: 'name', kind: 'size', ramp: 'blues' },
+    ],
+    attributeFilters: [
+      { id: 'filter-1', datasetId: 'b', field: 'lat', operator: 'range', value: '', min: '0', max: 5 },
+      { id: 'filter-2', datasetId: 'a', field: 'name', operator: 'nope', value: 'x', min: '', max: '' },
+    ],
+    pointDisplayModes: { a: 'heatmap', b: 'markers', gone: 'heatmap' },
+  },
+});
+
+// Settings refer to dataset positions; draft IDs and unsaved datasets are left out.
+const saved = JSON.parse(text);
+assert.equal(saved.format, PROJECT_FILE_FORMAT);
+assert.equal(saved.version, PROJECT_FILE_VERSION);
+assert.deepEqual(saved.datasets.map(({ name, enabled, latField, lonField, coordinateField, coordinateSystem }) => [
+  name,
+  enabled,
+  latField,
+  lonField,
+  coordinateField,
+  coordinateSystem,
+]), [
+  ['places.csv', true, 'y', 'x', null, null],
+  ['routes.csv', false, null, null, 'at', 'EPSG:3006'],
+]);
+assert.deepEqual(saved.view.styleRules, [{ dataset: 0, field: 'name', kind: 'category', ramp: 'blues' }]);
+assert.deepEqual(saved.view.attributeFilters, [
+  { dataset: 1, field: 'lat', operator: 'range', value: '', min: '0', max: '5' },
+]);
+assert.deepEqual(saved.view.pointDisplayModes, [
+  { dataset: 0, mode: 'heatmap' },
+  { dataset: 1, mode: 'markers' },
+]);
+assert.deepEqual(saved.view.mapTools, { clusterMarkersEnabled: true, clusterRadius: 300 });
+assert.deepEqual(saved.view.layers, { backgroundId: 'builtin:satellite', overlayIds: ['builtin:labelsBoundaries'] });
+// Ranges are ordered and panel/playback state is not saved.
+assert.deepEqual(saved.view.timeline, {
+  timelineEnabled: true,
+  yearMin: 1900,
+  yearMax: 2000,
+  yearMinDraft: '1900',
+  yearMaxDraft: '2000',
+  startYear: 1920,
+  endYear: 1950,
+  dayFilterEnabled: false,
+  startDay: 1,
+  endDay: 365,
+  timelineUnit: 'year',
+  startEpochDay: null,
+  endEpochDay: null,
+  windowStartEpochDay: null,
+  windowEndEpochDay: null,
+});
+// Day sliders keep their ordered dates and zoom window.
+assert.deepEqual(
+  normalizeProjectView({
+    timeline: {
+      yearMin: 1900,
+      yearMax: 2000,
+      startYear: 1943,
+      endYear: 1943,
+      timelineUnit: 'day',
+      startEpochDay: -9620,
+      endEpochDay: -9711,
+      windowStartEpochDay: -10958,
+      windowEndEpochDay: 'later',
+    },
+  }).timeline,
+  {
+    timelineEnabled: false,
+    yearMin: 1900,
+    yearMax: 2000,
+    yearMinDraft: '1900',
+    yearMaxDraft: '2000',
+    startYear: 1943,
+    endYear: 1943,
+    dayFilterEnabled: false,
+    startDay: 1,
+    endDay: 365,
+    timelineUnit: 'day',
+    startEpochDay: -9711,
+    endEpochDay: -9620,
+    windowStartEpochDay: null,
+    windowEndEpochDay: null,
+  },
+);
+
+const parsed = parseProjectFile(text);
+assert.deepEqual(parsed.datasets[0], {
+  name: 'places.csv',
+  csvText: 'name,y,x\nHome,59,18\n',
+  enabled: true,
+  latField: 'y',
+  lonField: 'x',
+  coordinateField: null,
+  coordinateSystem: null,
+});
+assert.equal(parsed.datasets[1].coordinateField, 'at');
+assert.equal(parsed.datasets[1].coordinateSystem, 'EPSG:3006');
+// Projects saved before these keys leave them to import detection.
+const legacy = JSON.parse(text);
+delete legacy.datasets[0].coordinateField;
+delete legacy.datasets[0].coordinateSystem;
+const [legacyDataset] = parseProjectFile(JSON.stringify(legacy)).datasets;
+assert.equal(Object.hasOwn(legacyDataset, 'coordinateField'), false);
+assert.equal(Object.hasOwn(legacyDataset, 'coordinateSystem'), false);
+assert.deepEqual(parsed.view, saved.view);
+
+// Binding gives every setting a fresh draft and drops datasets that failed to import.
+const bound = bindProjectView(parsed.view, ['new-a', null]);
+assert.deepEqual(bound.map, { lat: 59.3, lon: 18.1, zoom: 7 });
+assert.deepEqual(bound.mapTools, { clusterMarkersEnabled: true, clusterRadius: 300, clusterRadiusDraft: 300 });
+assert.deepEqual(bound.styleRules.map(({ id, ...rule }) => [typeof id, rule]), [
+  ['string', { datasetId: 'new-a', field: 'name', kind: 'category', ramp: 'blues' }],
+]);
+assert.deepEqual(bound.attributeFilters, []);
+assert.deepEqual(bound.pointDisplayModes, { 'new-a': 'heatmap' });
+assert.notEqual(
+  bindProjectView(parsed.view, ['new-a']).styleRules[0].id,
+  bound.styleRules[0].id,
+);
+
+// Malformed view parts are dropped without rejecting the file.
+assert.deepEqual(normalizeProjectView({
+  map: { lat: 95, lon: 0, zoom: 3 },
+  layers: { backgroundId: ' ', overlayIds: [] },
+  timeline: { yearMin: 'soon' },
+  styleRules: [{ dataset: 4, field: 'name', kind: 'category', ramp: 'blues' }],
+  pointDisplayModes: 'heatmap',
+}, 2), {
+  map: null,
+  layers: null,
+  timeline: null,
+  mapTools: null,
+  styleRules: [],
+  attributeFilters: [],
+  pointDisplayModes: [],
+});
+
+for (const [input, message] of [
+  ['{', 'The project file is not valid JSON.'],
+  ['{"format":"other"}', 'The file is not a map project.'],
+  [JSON.stringify({ format: PROJECT_FILE_FORMAT, version: 2, datasets: [] }), 'This project was saved by a newer version of the app.'],
+  [JSON.stringify({ format: PROJECT_FILE_FORMAT, version: 0, datasets: [] }), 'The project file has an unsupported version.'],
+  [JSON.stringify({ format: PROJECT_FILE_FORMAT, version: -1, datasets: [] }), 'The project file has an unsupported version.'],
+  [JSON.stringify({ format: PROJECT_FILE_FORMAT, version: '2', datasets: [] }), 'The project file has an unsupported version.'],
+  [JSON.stringify({ format: PROJECT_FILE_FORMAT, version: 1.5, datasets: [] }), 'The project file has an unsupported version.'],
+  [JSON.stringify({ format: PROJECT_FILE_FORMAT, datasets: [] }), 'The project file has an unsupported version.'],
+  [JSON.stringify({ format: PROJECT_FILE_FORMAT, version: 1 }), 'The project file has an invalid dataset list.'],
+  [JSON.stringify({ format: PROJECT_FILE_FORMAT, version: 1, datasets: [{ name: 'a.csv' }] }), 'The project file has an invalid dataset.'],
+]) {
+  assert.throws(() => parseProjectFile(input), (error) => (
+    error instanceof ProjectFileError && error.message === message
+  ));
+}
+
+console.log('Project file smoke test passed.');
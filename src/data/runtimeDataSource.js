@@ -5,18 +5,20 @@ import { createBrowserSqliteDataSource } from './browserSqlite/browserSqliteData
  * Select exactly one SQLite backend for the current page session.
  *
  * Electron receives the persistent native adapter. Every browser, including
- * GitHub Pages, receives a fresh temporary SQLite WASM adapter. Keeping this
+ * GitHub Pages, receives a SQLite WASM adapter that is temporary unless
+ * `browserPersistence` opts into keeping it between page loads. Keeping this
  * decision at the runtime boundary prevents presentation code from switching
  * backends or mixing datasets after a session starts.
  */
 export function selectRuntimeDataSource({
   desktopApi,
+  browserPersistence = 'temporary',
   createBrowserSqlite = createBrowserSqliteDataSource,
 } = {}) {
   const isDesktop = desktopApi?.isDesktop === true;
   const dataSource = isDesktop
     ? createDesktopSqliteDataSource({ desktopApi })
-    : createBrowserSqlite();
+    : createBrowserSqlite({ persistence: browserPersistence });
 
   return Object.freeze({
     runtime: isDesktop ? 'desktop' : 'browser',
@@ -15,6 +15,7 @@ try {
   );
 
   let browserSqliteCreations = 0;
+  let browserSqliteOptions = null;
   const browserCapabilities = {
     persistence: 'temporary',
     browserFileImport: true,
@@ -32,12 +33,14 @@ try {
   };
   const browser = selectRuntimeDataSource({
     desktopApi: null,
-    createBrowserSqlite: () => {
+    createBrowserSqlite: (options) => {
       browserSqliteCreations += 1;
+      browserSqliteOptions = options;
       return browserSqliteDataSource;
     },
   });
   assert.equal(browser.runtime, 'browser');
+  assert.deepEqual(browserSqliteOptions, { persistence: 'temporary' });
   assert.equal(browser.isDesktop, false);
   assert.equal(browser.capabilities.persistence, 'temporary');
   assert.equal(browser.capabilities.browserFileImport, true);
@@ -45,6 +48,15 @@ try {
   assert.equal(browser.dataSource, browserSqliteDataSource);
   assert.equal(browserSqliteCreations, 1);
   assert.equal((await browser.dataSource.initialize()).ok, true);
+  selectRuntimeDataSource({
+    desktopApi: null,
+    browserPersistence: 'persistent',
+    createBrowserSqlite: (options) => {
+      browserSqliteOptions = options;
+      return browserSqliteDataSource;
+    },
+  });
+  assert.deepEqual(browserSqliteOptions, { persistence: 'persistent' });
 
   const desktopApi = {
     isDesktop: true,
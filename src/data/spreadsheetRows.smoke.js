@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import { deflateRawSync } from 'node:zlib';
+import {
+  SpreadsheetRowsError,
+  isSpreadsheetFile,
+  listSpreadsheetSheets,
+  readSpreadsheetRows,
+} from './spreadsheetRows.js';
+
+/** Build a ZIP archive; odd entries are stored and the rest deflated. */
+function createZip(files) {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+  Object.entries(files).forEach(([name, text], index) => {
+    const nameBytes = Buffer.from(name);
+    const content = Buffer.from(text);
+    const method = index % 2 === 1 ? 0 : 8;
+    const stored = method === 8 ? deflateRawSync(content) : content;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(method, 10);
+    entry.writeUInt32LE(stored.length, 20);
+    entry.writeUInt32LE(content.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, stored);
+    directory.push(entry, nameBytes);
+    offset += local.length + nameBytes.length + stored.length;
+  });
+  const directoryBytes = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directoryBytes.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat([...locals, directoryBytes, end]));
+}
+
+const xlsx = createZip({
+  '_rels/.rels': '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>',
+  'xl/workbook.xml': '<workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Notes" sheetId="1" state="hidden" r:id="rId3"/><sheet name="Places &amp; years" sheetId="2" r:id="rId1"/></sheets></workbook>',
+  'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="/xl/worksheets/notes.xml"/><Relationship Id="rId4" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/sharedStrings" Target="sharedStrings.xml"/><Relationship Id="rId5" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>',
+  'xl/sharedStrings.xml': '<sst><si><t>name</t></si><si><t>lat</t></si><si><t>lon</t></si><si><r><t>Upp</t></r><r><t>sala</t></r><rPh><t>x</t></rPh></si><si/></sst>',
+  'xl/styles.xml': '<styleSheet><numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy\\-mm\\-dd"/><numFmt numFmtId="165" formatCode="&quot;kr&quot;\\ #,##0"/></numFmts><cellStyleXfs><xf numFmtId="14"/></cellStyleXfs><cellXfs><xf numFmtId="0"/><xf numFmtId="164"/><xf numFmtId="165"/><xf numFmtId="22"/></cellXfs></styleSheet>',
+  'xl/worksheets/sheet1.xml': `<worksheet><sheetData>
+    <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c><c r="D1" t="inlineStr"><is><t>date</t></is></c><c r="E1" t="inlineStr"><is><t>price</t></is></c><c r="F1" t="inlineStr"><is><t>ok</t></is></c></row>
+    <row r="2"><c r="A2" t="s"><v>3</v></c><c r="B2"><v>59.858600000000003</v></c><c r="C2"><v>17.6389</v></c><c r="D2" s="1"><v>45000</v></c><c r="E2" s="2"><v>1250</v></c><c r="F2" t="b"><v>1</v></c></row>
+    <row r="3"/>
+    <row r="4"><c r="A4" t="str"><f>A2</f><v>Kalmar &lt;SE&gt;</v></c><c r="C4"><v>16.36</v></c><c r="D4" s="3"><v>45000.5</v></c><c r="F4" s="1"/></row>
+  </sheetData></worksheet>`,
+  'xl/worksheets/notes.xml': '<x:worksheet xmlns:x="main"><x:sheetData><x:row><x:c t="inlineStr"><x:is><x:t>note</x:t></x:is></x:c></x:row></x:sheetData></x:worksheet>',
+});
+
+// Hidden sheets are listed but not chosen by default.
+assert.deepEqual(await listSpreadsheetSheets(xlsx), [
+  { name: 'Notes', hidden: true },
+  { name: 'Places & years', hidden: false },
+]);
+const places = await readSpreadsheetRows(xlsx);
+assert.equal(places.sheetName, 'Places & years');
+assert.deepEqual(places.rows, [
+  ['name', 'lat', 'lon', 'date', 'price', 'ok'],
+  ['Uppsala', '59.8586', '17.6389', '2023-03-15', '1250', 'TRUE'],
+  [],
+  ['Kalmar <SE>', '', '16.36', '2023-03-15T12:00:00'],
+]);
+assert.deepEqual((await readSpreadsheetRows(xlsx.buffer, 'Notes')).rows, [['note']]);
+await assert.rejects(readSpreadsheetRows(xlsx, 'Missing'), SpreadsheetRowsError);
+
+const ods = createZip({
+  mimetype: 'application/vnd.oasis.opendocument.spreadsheet',
+  'content.xml': `<office:document-content><office:automatic-styles>
+    <style:style style:name="ta2" style:family="table"><style:table-properties table:display="false"/></style:style>
+  </office:automatic-styles><office:body><office:spreadsheet>
+    <table:table table:name="Hidden" table:style-name="ta2"><table:table-row><table:table-cell><text:p>x</text:p></table:table-cell></table:table-row></table:table>
+    <table:table table:name="Parishes">
+      <table:table-row><table:table-cell office:value-type="string"><text:p>name</text:p></table:table-cell><table:table-cell><text:p>year</text:p></table:table-cell><table:table-cell><text:p>date</text:p></table:table-cell><table:table-cell table:number-columns-repeated="1020"/></table:table-row>
+      <table:table-row table:number-rows-repeated="3"><table:table-cell table:number-columns-repeated="1024"/></table:table-row>
+      <table:table-row><table:table-cell><text:p>Sankt<text:s text:c="2"/>Per</text:p><text:p>kyrka</text:p><office:annotation><text:p>comment</text:p></office:annotation></table:table-cell><table:table-cell office:value-type="float" office:value="1650"><text:p>1 650</text:p></table:table-cell><table:table-cell office:value-type="date" office:date-value="1650-05-01T00:00:00"><text:p>1 May 1650</text:p></table:table-cell></table:table-row>
+      <table:table-row table:number-rows-repeated="2"><table:table-cell table:number-columns-repeated="2"/><table:table-cell><text:p>same</text:p></table:table-cell></table:table-row>
+      <table:table-row table:number-rows-repeated="1048570"><table:table-cell table:number-columns-repeated="1024"/></table:table-row>
+    </table:table>
+  </office:spreadsheet></office:body></office:document-content>`,
+});
+
+assert.deepEqual(await listSpreadsheetSheets(ods), [
+  { name: 'Hidden', hidden: true },
+  { name: 'Parishes', hidden: false },
+]);
+assert.deepEqual((await readSpreadsheetRows(ods)).rows, [
+  ['name', 'year', 'date'],
+  ['Sankt  Per\nkyrka', '1650', '1650-05-01'],
+  ['', '', 'same'],
+  ['', '', 'same'],
+]);
+
+// Only workbooks are recognized, and other archives are rejected safely.
+assert.equal(isSpreadsheetFile({ name: 'Places.XLSX' }), true);
+assert.equal(isSpreadsheetFile({ name: 'data', type: 'application/vnd.oasis.opendocument.spreadsheet' }), true);
+assert.equal(isSpreadsheetFile({ name: 'places.xls' }), false);
+await assert.rejects(readSpreadsheetRows(new TextEncoder().encode('name,lat\n')), SpreadsheetRowsError);
+await assert.rejects(readSpreadsheetRows(createZip({ 'readme.txt': 'hi' })), SpreadsheetRowsError);
+
+console.log('Spreadsheet rows smoke test passed.');